@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Document Text Backfill
+ *
+ * Usage:
+ *   node backfill-document-text.js                 # index every pending document
+ *   node backfill-document-text.js --project <id>  # re-queue and index one project
+ *   node backfill-document-text.js --failed        # retry documents that failed
+ *
+ * The API server's indexer worker drains the same queue in the background;
+ * this runs it to completion in the foreground, e.g. right after migration 019
+ * or with DOCUMENT_INDEX_WORKER_ENABLED=false on the web dynos.
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const storage = require('./storage');
+const DocumentTextIndexer = require('./services/DocumentTextIndexer');
+
+// Determine if we need SSL (true for remote databases like Render)
+const isRemoteDatabase = process.env.DATABASE_URL && !process.env.DATABASE_URL.includes('localhost');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: isRemoteDatabase ? { rejectUnauthorized: false } : false
+});
+
+const args = process.argv.slice(2);
+const projectId = args.includes('--project') ? args[args.indexOf('--project') + 1] : null;
+const retryFailed = args.includes('--failed');
+
+async function backfill() {
+  const indexer = new DocumentTextIndexer(pool, storage, { batchSize: 10 });
+
+  if (projectId || retryFailed) {
+    const result = await pool.query(
+      `SELECT id FROM documents
+       WHERE ($1::UUID IS NULL OR project_id = $1)
+         AND ($2::BOOLEAN = false OR text_status = 'failed')`,
+      [projectId, retryFailed]
+    );
+    await pool.query(
+      `UPDATE documents SET text_status = 'pending', text_error = NULL, text_locked_until = NULL
+       WHERE id = ANY($1::UUID[])`,
+      [result.rows.map(row => row.id)]
+    );
+    console.log(`📄 Queued ${result.rows.length} document(s)`);
+  }
+
+  console.log('🔎 Indexing pending documents...');
+  const started = Date.now();
+  const processed = await indexer.processPending();
+  console.log(`✅ Processed ${processed} document(s) in ${Math.round((Date.now() - started) / 1000)}s`);
+  console.log('📊 Status:', await indexer.status(projectId));
+}
+
+backfill()
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
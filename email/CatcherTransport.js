@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailTransport = require('./EmailTransport');
+
+const MAX_KEPT_MESSAGES = 200;
+
+/**
+ * Local Catcher Email Transport
+ * Never sends: renders each message to a .eml file (open it in any mail
+ * client) and keeps the most recent ones in memory for tests and the
+ * development inbox route
+ */
+class CatcherTransport extends EmailTransport {
+  constructor(config) {
+    super(config);
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    this.messages = [];
+    if (config.path && !fs.existsSync(config.path)) {
+      fs.mkdirSync(config.path, { recursive: true });
+    }
+  }
+
+  /**
+   * Capture one message
+   * @param {Object} message - { to, subject, html, text, headers }
+   * @returns {Promise<Object>} - { messageId, path }
+   */
+  async send(message) {
+    const built = this.buildMessage(message);
+    const info = await this.transporter.sendMail(built);
+
+    let filePath = null;
+    if (this.config.path) {
+      filePath = path.join(this.config.path, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '_')}.eml`);
+      await fs.promises.writeFile(filePath, info.message);
+    }
+
+    this.messages.unshift({
+      messageId: info.messageId,
+      to: built.to,
+      subject: built.subject,
+      text: built.text,
+      html: built.html,
+      headers: built.headers,
+      path: filePath,
+      sentAt: new Date().toISOString()
+    });
+    this.messages.length = Math.min(this.messages.length, MAX_KEPT_MESSAGES);
+
+    return { messageId: info.messageId, path: filePath };
+  }
+
+  /**
+   * Forget captured messages
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = CatcherTransport;
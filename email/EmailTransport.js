@@ -0,0 +1,48 @@
+/**
+ * Base Email Transport Interface
+ * Defines the contract that all email transports must implement
+ */
+class EmailTransport {
+  constructor(config) {
+    if (new.target === EmailTransport) {
+      throw new Error('EmailTransport is an abstract class and cannot be instantiated directly');
+    }
+    this.config = config;
+  }
+
+  /**
+   * Send one message
+   * @param {Object} message - { to, subject, html, text, headers }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send(message) {
+    throw new Error('send() must be implemented by subclass');
+  }
+
+  /**
+   * Check the transport can deliver (connects for SMTP)
+   * @returns {Promise<boolean>}
+   */
+  async verify() {
+    return true;
+  }
+
+  /**
+   * Fill in the configured sender
+   * @param {Object} message
+   * @returns {Object} - nodemailer message options
+   */
+  buildMessage(message) {
+    return {
+      from: this.config.from,
+      replyTo: message.replyTo || this.config.replyTo || undefined,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers || {}
+    };
+  }
+}
+
+module.exports = EmailTransport;
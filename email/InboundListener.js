@@ -0,0 +1,116 @@
+const { SMTPServer } = require('smtp-server');
+
+const MAX_MESSAGE_BYTES = 25 * 1024 * 1024;
+
+// Rejections the sender should hear about as a bounce; anything else
+// (auto replies, duplicates) is accepted and dropped quietly
+const BOUNCE_REASONS = {
+  unknown_reply_token: 'This reply address is not recognised',
+  expired_reply_token: 'This reply address has expired; reply from BuildPro instead',
+  sender_not_project_member: 'Your address is not a member of this project in BuildPro',
+  empty_reply: 'The reply was empty'
+};
+
+/**
+ * Inbound Mail Listener
+ * Receives replies over LMTP (behind Postfix / Exim, the default) or plain
+ * SMTP and hands each message to the InboundEmailProcessor. Only reply+token
+ * recipients are accepted, so the listener is never a relay.
+ */
+class InboundListener {
+  /**
+   * @param {InboundEmailProcessor} processor
+   * @param {Object} options - { port, host, protocol: 'lmtp'|'smtp' }
+   */
+  constructor(processor, options = {}) {
+    this.processor = processor;
+    this.port = options.port || parseInt(process.env.EMAIL_INBOUND_PORT, 10);
+    this.host = options.host || process.env.EMAIL_INBOUND_HOST || '127.0.0.1';
+    this.protocol = options.protocol || process.env.EMAIL_INBOUND_PROTOCOL || 'lmtp';
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this.server) return Promise.resolve();
+
+    this.server = new SMTPServer({
+      lmtp: this.protocol === 'lmtp',
+      authOptional: true,
+      disabledCommands: ['AUTH', 'STARTTLS'],
+      size: MAX_MESSAGE_BYTES,
+      logger: false,
+      onRcptTo: (address, session, callback) => {
+        if (!this.processor.acceptsRecipient(address.address)) {
+          const error = new Error('No such recipient');
+          error.responseCode = 550;
+          return callback(error);
+        }
+        callback();
+      },
+      onData: (stream, session, callback) => {
+        this._receive(stream, session)
+          .then(() => callback())
+          .catch(callback);
+      }
+    });
+
+    this.server.on('error', (error) => {
+      console.error('Inbound mail listener error:', error);
+    });
+
+    return new Promise((resolve) => {
+      this.server.listen(this.port, this.host, () => {
+        console.log(`📥 Inbound mail (${this.protocol.toUpperCase()}) listening on ${this.host}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Read a message and process it. A processing failure is a temporary
+   * error so the sending MTA retries; rejections bounce.
+   * @private
+   */
+  async _receive(stream, session) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    if (stream.sizeExceeded) {
+      const error = new Error('Message too large');
+      error.responseCode = 552;
+      throw error;
+    }
+
+    const result = await this.processor.process(Buffer.concat(chunks), {
+      source: this.protocol,
+      recipients: session.envelope.rcptTo.map(recipient => recipient.address)
+    });
+
+    if (result.status === 'failed') {
+      const error = new Error('Temporary failure processing the message');
+      error.responseCode = 451;
+      throw error;
+    }
+    if (result.status === 'rejected' && BOUNCE_REASONS[result.reason]) {
+      const error = new Error(BOUNCE_REASONS[result.reason]);
+      error.responseCode = 550;
+      throw error;
+    }
+  }
+}
+
+module.exports = InboundListener;
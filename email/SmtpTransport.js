@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+const EmailTransport = require('./EmailTransport');
+
+/**
+ * SMTP Email Transport
+ * Delivers through any SMTP relay (SES, SendGrid, Postmark, Mailpit, ...)
+ */
+class SmtpTransport extends EmailTransport {
+  constructor(config) {
+    super(config);
+    this.transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.password } : undefined,
+      pool: true,
+      maxConnections: 3
+    });
+  }
+
+  /**
+   * Send one message
+   * @param {Object} message - { to, subject, html, text, headers }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(this.buildMessage(message));
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Connect and authenticate without sending
+   * @returns {Promise<boolean>}
+   */
+  async verify() {
+    return this.transporter.verify();
+  }
+}
+
+module.exports = SmtpTransport;
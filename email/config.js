@@ -0,0 +1,70 @@
+/**
+ * Email Configuration Module
+ * Validates and provides configuration for the different email transports
+ */
+
+/**
+ * Get configuration for a specific transport type
+ * @param {string} type - Transport type (smtp, catcher)
+ * @param {Object} customConfig - Custom configuration overrides
+ * @returns {Object} - Validated configuration
+ */
+function getConfig(type, customConfig = {}) {
+  const common = {
+    from: process.env.EMAIL_FROM || 'BuildPro <notifications@buildpro.local>',
+    replyTo: process.env.EMAIL_REPLY_TO || null
+  };
+
+  const configs = {
+    smtp: {
+      ...common,
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      password: process.env.SMTP_PASSWORD || null
+    },
+    catcher: {
+      ...common,
+      path: process.env.EMAIL_CATCHER_PATH || './tmp/mail'
+    }
+  };
+
+  const baseConfig = configs[type];
+  if (!baseConfig) {
+    throw new Error(`Unknown email transport: ${type}. Supported types: ${Object.keys(configs).join(', ')}`);
+  }
+
+  const finalConfig = { ...baseConfig, ...customConfig };
+  validateConfig(type, finalConfig);
+  return finalConfig;
+}
+
+/**
+ * Validate configuration for a specific transport type
+ * @param {string} type - Transport type
+ * @param {Object} config - Configuration to validate
+ * @throws {Error} - If configuration is invalid
+ */
+function validateConfig(type, config) {
+  const validators = {
+    smtp: (cfg) => {
+      if (!cfg.host) {
+        throw new Error('SMTP email requires SMTP_HOST to be configured');
+      }
+      if (isNaN(cfg.port) || cfg.port <= 0) {
+        throw new Error('SMTP_PORT must be a positive number');
+      }
+    }
+  };
+
+  const validator = validators[type];
+  if (validator) {
+    validator(config);
+  }
+}
+
+module.exports = {
+  getConfig,
+  validateConfig
+};
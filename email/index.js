@@ -0,0 +1,62 @@
+/**
+ * Email Transport Factory
+ * Creates and manages email transport instances
+ */
+
+const SmtpTransport = require('./SmtpTransport');
+const CatcherTransport = require('./CatcherTransport');
+const config = require('./config');
+
+/**
+ * Email Transport Factory Class
+ * Creates transport instances based on type
+ */
+class EmailTransportFactory {
+  /**
+   * Create an email transport instance
+   * @param {string} type - Transport type (smtp, catcher)
+   * @param {Object} customConfig - Custom configuration overrides
+   * @returns {EmailTransport} - Email transport instance
+   */
+  static create(type, customConfig = {}) {
+    const transportConfig = config.getConfig(type, customConfig);
+
+    switch (type) {
+      case 'smtp':
+        return new SmtpTransport(transportConfig);
+      case 'catcher':
+        return new CatcherTransport(transportConfig);
+      default:
+        throw new Error(`Unsupported email transport: ${type}. Supported types: smtp, catcher`);
+    }
+  }
+}
+
+// Create singleton instance based on environment
+let transportInstance = null;
+
+/**
+ * Get the singleton email transport. Defaults to the catcher so development
+ * and test environments never email real people.
+ * @returns {EmailTransport} - Email transport instance
+ */
+function getEmailTransport() {
+  if (!transportInstance) {
+    const transportType = process.env.EMAIL_TRANSPORT || 'catcher';
+    console.log(`Initializing email transport: ${transportType}`);
+
+    try {
+      transportInstance = EmailTransportFactory.create(transportType);
+    } catch (error) {
+      console.error(`Failed to initialize email transport (${transportType}):`, error.message);
+      console.log('Falling back to the local mail catcher');
+      transportInstance = EmailTransportFactory.create('catcher');
+    }
+  }
+  return transportInstance;
+}
+
+// Export the singleton instance and factory
+module.exports = getEmailTransport();
+module.exports.EmailTransportFactory = EmailTransportFactory;
+module.exports.getEmailTransport = getEmailTransport;
@@ -0,0 +1,232 @@
+/**
+ * Email Templates
+ * HTML and plain-text bodies for notification emails, one builder per
+ * notification type plus the daily digest. Every builder returns
+ * { subject, html, text }.
+ */
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const BRAND_COLOR = '#1f4e79';
+
+/**
+ * Shared HTML frame: heading, body, call to action and the footer with the
+ * unsubscribe links every notification email must carry
+ * @private
+ */
+function layout({ preheader, heading, bodyHtml, action, footer }) {
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:${BRAND_COLOR};color:#ffffff;padding:10px 18px;border-radius:4px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>`
+    : '';
+  const footerLinks = footer.links
+    .map(link => `<a href="${escapeHtml(link.url)}" style="color:#666666">${escapeHtml(link.label)}</a>`)
+    .join(' &middot; ');
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width"></head>
+<body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#222222">
+<span style="display:none;max-height:0;overflow:hidden">${escapeHtml(preheader)}</span>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:6px">
+<tr><td style="background:${BRAND_COLOR};color:#ffffff;padding:14px 24px;font-size:18px;font-weight:bold;border-radius:6px 6px 0 0">BuildPro</td></tr>
+<tr><td style="padding:24px">
+<h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(heading)}</h1>
+${bodyHtml}
+${button}
+</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid #eeeeee;font-size:12px;color:#666666">
+${escapeHtml(footer.reason)}<br>${footerLinks}
+</td></tr>
+</table>
+</td></tr></table>
+</body>
+</html>`;
+}
+
+/**
+ * Plain-text twin of layout()
+ * @private
+ */
+function textLayout({ heading, bodyText, action, footer }) {
+  return [
+    heading,
+    '='.repeat(Math.min(heading.length, 70)),
+    '',
+    bodyText,
+    '',
+    action ? `${action.label}: ${action.url}` : null,
+    '',
+    '--',
+    footer.reason,
+    ...footer.links.map(link => `${link.label}: ${link.url}`)
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Footer for a single notification
+ * @private
+ */
+function notificationFooter(context) {
+  const links = [];
+  if (context.markReadUrl) links.push({ label: 'Mark as read', url: context.markReadUrl });
+  if (context.unsubscribeTypeUrl) links.push({ label: `Stop ${context.typeLabel.toLowerCase()} emails`, url: context.unsubscribeTypeUrl });
+  if (context.unsubscribeProjectUrl) links.push({ label: 'Stop emails for this project', url: context.unsubscribeProjectUrl });
+  if (context.preferencesUrl) links.push({ label: 'Email preferences', url: context.preferencesUrl });
+
+  return {
+    reason: context.project
+      ? `You received this because you are on the ${context.project.name} team in BuildPro.`
+      : 'You received this because you have a BuildPro account.',
+    links
+  };
+}
+
+/**
+ * Build a single-notification template from type-specific wording
+ * @private
+ */
+function singleNotification({ subjectPrefix, intro, actionLabel }) {
+  return (context) => {
+    const { notification, project, recipient } = context;
+    const subject = `${project ? `[${project.name}] ` : ''}${subjectPrefix ? `${subjectPrefix}: ` : ''}${notification.title}`;
+    const greeting = `Hi ${recipient.first_name || 'there'},`;
+    const action = context.link ? { label: actionLabel, url: context.link } : null;
+    const footer = notificationFooter(context);
+    const replyNote = context.canReply ? 'Reply to this email to respond; attachments are added to the item.' : null;
+
+    return {
+      subject,
+      html: layout({
+        preheader: notification.message || notification.title,
+        heading: notification.title,
+        bodyHtml: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>`
+          + (notification.message ? `<p style="padding:12px 16px;background:#f7f9fb;border-left:3px solid ${BRAND_COLOR}">${escapeHtml(notification.message)}</p>` : '')
+          + (replyNote ? `<p style="color:#555555;font-size:13px">${escapeHtml(replyNote)}</p>` : ''),
+        action,
+        footer
+      }),
+      text: textLayout({
+        heading: notification.title,
+        bodyText: [greeting, '', intro, notification.message ? `\n${notification.message}` : '', replyNote ? `\n${replyNote}` : ''].join('\n'),
+        action,
+        footer
+      })
+    };
+  };
+}
+
+const templates = {
+  assignment: singleNotification({
+    subjectPrefix: 'Assigned to you',
+    intro: 'An item has been assigned to you and is waiting on your response.',
+    actionLabel: 'Open in BuildPro'
+  }),
+  status_change: singleNotification({
+    subjectPrefix: null,
+    intro: 'An item you are following has changed status.',
+    actionLabel: 'View details'
+  }),
+  workflow: singleNotification({
+    subjectPrefix: null,
+    intro: 'A workflow you are part of needs attention.',
+    actionLabel: 'Open workflow'
+  }),
+  mention: singleNotification({
+    subjectPrefix: 'You were mentioned',
+    intro: 'Someone mentioned you in BuildPro.',
+    actionLabel: 'View conversation'
+  }),
+  due_soon: singleNotification({
+    subjectPrefix: 'Due soon',
+    intro: 'An item assigned to you is coming due.',
+    actionLabel: 'Open in BuildPro'
+  }),
+  overdue: singleNotification({
+    subjectPrefix: 'Overdue',
+    intro: 'An item assigned to you is past due.',
+    actionLabel: 'Open in BuildPro'
+  }),
+  default: singleNotification({
+    subjectPrefix: null,
+    intro: 'There is an update for you in BuildPro.',
+    actionLabel: 'Open in BuildPro'
+  })
+};
+
+/**
+ * Render the email for one notification
+ * @param {Object} context - { notification, recipient, project, link, typeLabel, markReadUrl,
+ *                             unsubscribeTypeUrl, unsubscribeProjectUrl, preferencesUrl, canReply }
+ * @returns {Object} - { subject, html, text }
+ */
+function renderNotification(context) {
+  const builder = templates[context.notification.type] || templates.default;
+  return builder(context);
+}
+
+/**
+ * Render a daily digest of many notifications, grouped by project
+ * @param {Object} context - { recipient, groups: [{ project, items: [{ notification, link, typeLabel }] }],
+ *                             unsubscribeAllUrl, preferencesUrl, date }
+ * @returns {Object} - { subject, html, text }
+ */
+function renderDigest(context) {
+  const { recipient, groups } = context;
+  const count = groups.reduce((sum, group) => sum + group.items.length, 0);
+  const subject = `BuildPro daily summary: ${count} update${count === 1 ? '' : 's'}`;
+  const greeting = `Hi ${recipient.first_name || 'there'}, here is what happened since your last summary.`;
+
+  const footer = {
+    reason: 'You receive a daily summary for notifications set to digest in your email preferences.',
+    links: [
+      context.preferencesUrl ? { label: 'Email preferences', url: context.preferencesUrl } : null,
+      context.unsubscribeAllUrl ? { label: 'Unsubscribe from all BuildPro email', url: context.unsubscribeAllUrl } : null
+    ].filter(Boolean)
+  };
+
+  const groupHtml = groups.map(group => `
+<h2 style="font-size:16px;margin:24px 0 8px;color:${BRAND_COLOR}">${escapeHtml(group.project ? group.project.name : 'General')}</h2>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+${group.items.map(item => `<tr><td style="padding:8px 0;border-bottom:1px solid #eeeeee">
+<span style="font-size:11px;text-transform:uppercase;color:#888888">${escapeHtml(item.typeLabel)}</span><br>
+${item.link ? `<a href="${escapeHtml(item.link)}" style="color:#222222;font-weight:bold">${escapeHtml(item.notification.title)}</a>` : `<strong>${escapeHtml(item.notification.title)}</strong>`}
+${item.notification.message ? `<br><span style="color:#555555">${escapeHtml(item.notification.message)}</span>` : ''}
+</td></tr>`).join('\n')}
+</table>`).join('\n');
+
+  const groupText = groups.map(group => [
+    `## ${group.project ? group.project.name : 'General'}`,
+    ...group.items.map(item => `- [${item.typeLabel}] ${item.notification.title}`
+      + (item.notification.message ? `\n  ${item.notification.message}` : '')
+      + (item.link ? `\n  ${item.link}` : ''))
+  ].join('\n')).join('\n\n');
+
+  return {
+    subject,
+    html: layout({
+      preheader: greeting,
+      heading: `Daily summary for ${context.date}`,
+      bodyHtml: `<p>${escapeHtml(greeting)}</p>${groupHtml}`,
+      action: context.inboxUrl ? { label: 'Open your inbox', url: context.inboxUrl } : null,
+      footer
+    }),
+    text: textLayout({
+      heading: `Daily summary for ${context.date}`,
+      bodyText: `${greeting}\n\n${groupText}`,
+      action: context.inboxUrl ? { label: 'Open your inbox', url: context.inboxUrl } : null,
+      footer
+    })
+  };
+}
+
+module.exports = {
+  renderNotification,
+  renderDigest,
+  escapeHtml
+};
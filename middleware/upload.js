@@ -69,7 +69,24 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+/**
+ * Schedule files (XER / MSPDI XML) are parsed in memory and never stored
+ */
+const scheduleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xer|xml)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Allowed types: .xer, .xml'));
+  }
+});
+
 module.exports = {
   upload,
+  scheduleUpload,
   storageType
 };
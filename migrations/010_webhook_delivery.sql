@@ -0,0 +1,76 @@
+-- ============================================================================
+-- WEBHOOK DELIVERY MIGRATION
+-- Version: 1.0
+-- Purpose: Persisted outbound webhook queue with signing, retries and
+--          dead-lettering on top of the webhooks / webhook_deliveries tables
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- WEBHOOK SUBSCRIPTIONS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID REFERENCES projects(id),
+    name VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    event_types TEXT[] NOT NULL,
+    secret VARCHAR(255),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 8;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS last_failure_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_project_active ON webhooks(project_id) WHERE is_active = true;
+
+COMMENT ON COLUMN webhooks.event_types IS 'Subscribed event types, e.g. {workflow.transition,rfi.created}. Use * for all events';
+COMMENT ON COLUMN webhooks.secret IS 'HMAC-SHA256 signing secret sent as X-BuildPro-Signature';
+COMMENT ON COLUMN webhooks.max_attempts IS 'Attempts before a delivery is moved to dead_letter';
+
+-- ============================================================================
+-- DELIVERY QUEUE / LOG
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES system_events(id),
+    status VARCHAR(50),
+    http_status INTEGER,
+    response_body TEXT,
+    attempt_count INTEGER DEFAULT 0,
+    next_retry_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS event_type VARCHAR(100);
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS payload JSONB;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
+
+-- Widen the status set: 'delivering' is a short lease held by the worker,
+-- 'dead_letter' is terminal after max_attempts failures
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_status_check;
+ALTER TABLE webhook_deliveries ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_status_check
+    CHECK (status IN ('pending', 'delivering', 'success', 'failed', 'dead_letter'));
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries(next_retry_at) WHERE status IN ('pending', 'delivering');
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+    ON webhook_deliveries(webhook_id, created_at DESC);
+
+COMMENT ON COLUMN webhook_deliveries.payload IS 'Exact JSON body sent to the endpoint (frozen at enqueue time)';
+COMMENT ON COLUMN webhook_deliveries.next_retry_at IS 'When the worker may next attempt (or reclaim) this delivery';
+
+COMMIT;
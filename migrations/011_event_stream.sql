@@ -0,0 +1,103 @@
+-- ============================================================================
+-- EVENT STREAM MIGRATION
+-- Version: 1.0
+-- Purpose: pg_notify on new notifications / system_events so the SSE hub
+--          (services/EventStreamHub.js) can push instead of clients polling,
+--          and a shared stream_seq cursor for Last-Event-ID resume
+-- ============================================================================
+
+BEGIN;
+
+-- Payload is kept small (pg_notify is capped at 8000 bytes); the hub loads
+-- the full row only when a connected client is interested in it.
+-- to_jsonb(NEW) keeps this working on databases bootstrapped without
+-- system_events.project_id.
+CREATE OR REPLACE FUNCTION notify_event_stream()
+RETURNS TRIGGER AS $$
+DECLARE
+    row_data JSONB := to_jsonb(NEW);
+BEGIN
+    PERFORM pg_notify(
+        'buildpro_stream',
+        json_build_object(
+            'table', TG_TABLE_NAME,
+            'id', NEW.id,
+            'user_id', row_data->>'user_id',
+            'project_id', row_data->>'project_id'
+        )::text
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION notify_event_stream IS 'Publishes inserted row ids on the buildpro_stream channel for Server-Sent Events';
+
+DROP TRIGGER IF EXISTS notifications_event_stream ON notifications;
+CREATE TRIGGER notifications_event_stream
+    AFTER INSERT ON notifications
+    FOR EACH ROW EXECUTE FUNCTION notify_event_stream();
+
+DROP TRIGGER IF EXISTS system_events_event_stream ON system_events;
+CREATE TRIGGER system_events_event_stream
+    AFTER INSERT ON system_events
+    FOR EACH ROW EXECUTE FUNCTION notify_event_stream();
+
+-- ============================================================================
+-- STREAM ORDER
+-- One sequence numbers both tables, so a single Last-Event-ID resumes both.
+-- Unlike created_at it is unique: rows inserted in one transaction share a
+-- CURRENT_TIMESTAMP but never a stream_seq.
+-- ============================================================================
+
+CREATE SEQUENCE IF NOT EXISTS event_stream_seq;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS stream_seq BIGINT;
+ALTER TABLE system_events ADD COLUMN IF NOT EXISTS stream_seq BIGINT;
+
+-- Number existing rows in created_at order, after any already numbered
+CREATE TEMP TABLE event_stream_backfill ON COMMIT DROP AS
+SELECT source, id,
+       ROW_NUMBER() OVER (ORDER BY created_at, id)
+       + (SELECT COALESCE(MAX(stream_seq), 0) FROM (
+            SELECT stream_seq FROM notifications UNION ALL SELECT stream_seq FROM system_events
+          ) numbered) AS stream_seq
+FROM (
+    SELECT 'notifications' AS source, id, created_at FROM notifications WHERE stream_seq IS NULL
+    UNION ALL
+    SELECT 'system_events', id, created_at FROM system_events WHERE stream_seq IS NULL
+) unnumbered;
+
+UPDATE notifications n SET stream_seq = b.stream_seq
+FROM event_stream_backfill b WHERE b.source = 'notifications' AND b.id = n.id;
+UPDATE system_events e SET stream_seq = b.stream_seq
+FROM event_stream_backfill b WHERE b.source = 'system_events' AND b.id = e.id;
+
+SELECT setval('event_stream_seq', COALESCE((
+    SELECT MAX(stream_seq) FROM (
+        SELECT stream_seq FROM notifications UNION ALL SELECT stream_seq FROM system_events
+    ) numbered
+), 0) + 1, false);
+
+ALTER TABLE notifications ALTER COLUMN stream_seq SET DEFAULT nextval('event_stream_seq');
+ALTER TABLE notifications ALTER COLUMN stream_seq SET NOT NULL;
+ALTER TABLE system_events ALTER COLUMN stream_seq SET DEFAULT nextval('event_stream_seq');
+ALTER TABLE system_events ALTER COLUMN stream_seq SET NOT NULL;
+
+COMMENT ON COLUMN notifications.stream_seq IS 'Event stream cursor (SSE event id), shared with system_events';
+COMMENT ON COLUMN system_events.stream_seq IS 'Event stream cursor (SSE event id), shared with notifications';
+
+-- Last-Event-ID replay reads by (owner, stream_seq)
+CREATE INDEX IF NOT EXISTS idx_notifications_user_stream ON notifications(user_id, stream_seq);
+
+-- Databases bootstrapped from 000_bootstrap_minimal have no
+-- system_events.project_id; their events are never replayed by project
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'system_events' AND column_name = 'project_id'
+    ) THEN
+        CREATE INDEX IF NOT EXISTS idx_system_events_project_stream ON system_events(project_id, stream_seq);
+    END IF;
+END $$;
+
+COMMIT;
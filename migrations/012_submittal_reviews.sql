@@ -0,0 +1,57 @@
+-- ============================================================================
+-- SUBMITTAL REVIEW ROUTING MIGRATION
+-- Version: 1.0
+-- Purpose: Multi-step reviewer chains per submittal revision, with
+--          revise-and-resubmit cycles tracked in submittal_revisions
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- SUBMITTALS: REVISION COUNTER
+-- ============================================================================
+
+ALTER TABLE submittals ADD COLUMN IF NOT EXISTS revision_number INTEGER DEFAULT 0;
+ALTER TABLE submittals ADD COLUMN IF NOT EXISTS current_step_number INTEGER;
+
+COMMENT ON COLUMN submittals.revision_number IS '0 for the original submission, incremented on each resubmittal';
+COMMENT ON COLUMN submittals.current_step_number IS 'Review step currently in_review (NULL when no review is running)';
+
+-- ============================================================================
+-- REVISIONS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS submittal_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submittal_id UUID NOT NULL REFERENCES submittals(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    status VARCHAR(50) DEFAULT 'in_review' CHECK (status IN ('in_review', 'approved', 'approved_as_noted', 'revise_resubmit', 'rejected')),
+    notes TEXT,
+    submitted_by UUID REFERENCES users(id),
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(submittal_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_submittal_revisions_submittal ON submittal_revisions(submittal_id);
+
+-- ============================================================================
+-- REVIEW STEPS: ONE CHAIN PER REVISION
+-- ============================================================================
+
+ALTER TABLE submittal_review_steps ADD COLUMN IF NOT EXISTS revision_number INTEGER DEFAULT 0;
+ALTER TABLE submittal_review_steps ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE submittal_review_steps ADD COLUMN IF NOT EXISTS review_days INTEGER;
+ALTER TABLE submittal_review_steps ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE submittal_review_steps ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id);
+
+ALTER TABLE submittal_review_steps DROP CONSTRAINT IF EXISTS submittal_review_steps_submittal_id_step_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_submittal_review_steps_revision_step
+    ON submittal_review_steps(submittal_id, revision_number, step_number);
+CREATE INDEX IF NOT EXISTS idx_submittal_review_steps_reviewer
+    ON submittal_review_steps(reviewer_id) WHERE status = 'in_review';
+
+COMMENT ON COLUMN submittal_review_steps.review_days IS 'Turnaround in calendar days; sets due_date when the step starts if none was given';
+COMMENT ON COLUMN submittal_review_steps.reviewed_by IS 'User who recorded the decision (differs from reviewer_id when a PM records it on their behalf)';
+
+COMMIT;
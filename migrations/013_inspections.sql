@@ -0,0 +1,54 @@
+-- ============================================================================
+-- INSPECTIONS MIGRATION
+-- Version: 1.0
+-- Purpose: Scoring, submit/lock tracking and template snapshots for
+--          inspection_runs; link observations back to the failed item
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- TEMPLATES
+-- ============================================================================
+
+ALTER TABLE inspection_templates ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE inspection_templates ADD COLUMN IF NOT EXISTS pass_threshold DECIMAL(5,2) DEFAULT 100;
+ALTER TABLE inspection_templates ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE inspection_templates ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_inspection_templates_project ON inspection_templates(project_id);
+
+COMMENT ON COLUMN inspection_templates.sections IS '[{section_name, items: [{id, question, type, required, options, min, max, fail_on}]}]';
+COMMENT ON COLUMN inspection_templates.pass_threshold IS 'Minimum score (percent of scored items passed) for a run to pass';
+
+-- ============================================================================
+-- RUNS
+-- ============================================================================
+
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS template_snapshot JSONB;
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS location VARCHAR(255);
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS score DECIMAL(5,2);
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS result VARCHAR(10) CHECK (result IN ('pass', 'fail'));
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS passed_count INTEGER;
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS failed_count INTEGER;
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS submitted_by UUID REFERENCES users(id);
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE inspection_runs ADD COLUMN IF NOT EXISTS locked_by UUID REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_inspection_runs_project ON inspection_runs(project_id, inspection_date);
+
+COMMENT ON COLUMN inspection_runs.template_snapshot IS 'Template sections/threshold at run creation; responses are validated against this';
+COMMENT ON COLUMN inspection_runs.responses IS '{item_id: {value, notes}}';
+
+-- ============================================================================
+-- OBSERVATIONS FROM FAILED ITEMS
+-- ============================================================================
+
+ALTER TABLE observations ADD COLUMN IF NOT EXISTS inspection_item_id VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_observations_inspection_item
+    ON observations(inspection_run_id, inspection_item_id)
+    WHERE inspection_item_id IS NOT NULL;
+
+COMMIT;
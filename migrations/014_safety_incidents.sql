@@ -0,0 +1,54 @@
+-- ============================================================================
+-- SAFETY INCIDENTS MIGRATION
+-- Version: 1.0
+-- Purpose: Investigation / closure tracking and OSHA 300 log fields on
+--          incidents; ownership and completion details on corrective actions
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- INCIDENTS
+-- ============================================================================
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS immediate_actions TEXT;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS root_cause TEXT;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS investigated_by UUID REFERENCES users(id);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS closed_by UUID REFERENCES users(id);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- OSHA Form 300 columns (B)-(M)
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS is_recordable BOOLEAN DEFAULT false;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS is_privacy_case BOOLEAN DEFAULT false;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS injured_person_name VARCHAR(255);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS injured_person_job_title VARCHAR(255);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS injured_person_company VARCHAR(255);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS body_part VARCHAR(100);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS osha_outcome VARCHAR(30)
+    CHECK (osha_outcome IN ('death', 'days_away', 'job_transfer', 'other_recordable'));
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS osha_case_type VARCHAR(30)
+    CHECK (osha_case_type IN ('injury', 'skin_disorder', 'respiratory', 'poisoning', 'hearing_loss', 'other_illness'));
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS days_away INTEGER DEFAULT 0;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS days_restricted INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_project_date ON incidents(project_id, incident_date);
+
+COMMENT ON COLUMN incidents.osha_outcome IS 'Most serious outcome for OSHA 300 columns G-J';
+COMMENT ON COLUMN incidents.is_privacy_case IS 'Name is replaced with "Privacy Case" on the OSHA log';
+
+-- ============================================================================
+-- CORRECTIVE ACTIONS
+-- ============================================================================
+
+ALTER TABLE incident_corrective_actions ADD COLUMN IF NOT EXISTS completion_notes TEXT;
+ALTER TABLE incident_corrective_actions ADD COLUMN IF NOT EXISTS completed_by UUID REFERENCES users(id);
+ALTER TABLE incident_corrective_actions ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+ALTER TABLE incident_corrective_actions ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE incident_corrective_actions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_incident_corrective_actions_incident ON incident_corrective_actions(incident_id);
+CREATE INDEX IF NOT EXISTS idx_incident_corrective_actions_responsible
+    ON incident_corrective_actions(responsible_party) WHERE status <> 'completed';
+
+COMMIT;
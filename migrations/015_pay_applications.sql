@@ -0,0 +1,66 @@
+-- ============================================================================
+-- PAY APPLICATIONS MIGRATION
+-- Version: 1.0
+-- Purpose: Schedule of values per commitment and G702/G703-style period
+--          invoices (pay applications) with stored materials and retainage
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- COMMITMENTS / SCHEDULE OF VALUES
+-- ============================================================================
+
+ALTER TABLE commitments ADD COLUMN IF NOT EXISTS retainage_percent DECIMAL(5,2) DEFAULT 10;
+
+ALTER TABLE sov_lines ADD COLUMN IF NOT EXISTS budget_line_id UUID REFERENCES budget_lines(id);
+ALTER TABLE sov_lines ADD COLUMN IF NOT EXISTS work_completed_to_date DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE sov_lines ADD COLUMN IF NOT EXISTS materials_stored DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE sov_lines ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+COMMENT ON COLUMN sov_lines.previous_amount IS 'Completed and stored through approved pay applications before the latest one';
+COMMENT ON COLUMN sov_lines.current_amount IS 'Completed and stored billed on the latest approved pay application';
+COMMENT ON COLUMN sov_lines.work_completed_to_date IS 'Work in place through the latest approved pay application';
+COMMENT ON COLUMN sov_lines.materials_stored IS 'Materials presently stored (not yet in place) per the latest approved pay application';
+
+-- ============================================================================
+-- PAY APPLICATIONS (G702)
+-- ============================================================================
+
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS application_number INTEGER;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS retainage_percent DECIMAL(5,2);
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS contract_sum DECIMAL(15,2);
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS work_completed_this_period DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS materials_stored DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS total_completed_and_stored DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS retainage_amount DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS total_earned_less_retainage DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS previous_certificates DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES users(id);
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE commitment_invoices ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_commitment_invoices_commitment ON commitment_invoices(commitment_id, application_number);
+
+COMMENT ON COLUMN commitment_invoices.total_amount IS 'Current payment due (G702 line 8)';
+COMMENT ON COLUMN commitment_invoices.previous_certificates IS 'Total earned less retainage on the previous approved application (G702 line 7)';
+
+-- ============================================================================
+-- CONTINUATION SHEET LINES (G703)
+-- ============================================================================
+
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS scheduled_value DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS previous_work_completed DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS previous_materials_stored DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS work_completed_this_period DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS materials_stored DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS total_completed_and_stored DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS percent_complete DECIMAL(7,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS balance_to_finish DECIMAL(15,2) DEFAULT 0;
+ALTER TABLE commitment_invoice_lines ADD COLUMN IF NOT EXISTS retainage_amount DECIMAL(15,2) DEFAULT 0;
+
+COMMENT ON COLUMN commitment_invoice_lines.amount IS 'Gross billed this period: total completed and stored minus the previous total';
+
+COMMIT;
@@ -0,0 +1,58 @@
+-- ============================================================================
+-- COST REPORT MIGRATION
+-- Version: 1.0
+-- Purpose: Per-cost-code allocation of change events / change orders and a
+--          history of manual forecast-to-complete entries per budget line
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- CHANGE ALLOCATIONS BY COST CODE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS change_event_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    change_event_id UUID NOT NULL REFERENCES change_events(id) ON DELETE CASCADE,
+    budget_line_id UUID NOT NULL REFERENCES budget_lines(id),
+    description VARCHAR(255),
+    estimated_amount DECIMAL(15,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS change_order_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    change_order_id UUID NOT NULL REFERENCES change_orders(id) ON DELETE CASCADE,
+    budget_line_id UUID NOT NULL REFERENCES budget_lines(id),
+    description VARCHAR(255),
+    amount DECIMAL(15,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_event_lines_event ON change_event_lines(change_event_id);
+CREATE INDEX IF NOT EXISTS idx_change_event_lines_budget_line ON change_event_lines(budget_line_id);
+CREATE INDEX IF NOT EXISTS idx_change_order_lines_order ON change_order_lines(change_order_id);
+CREATE INDEX IF NOT EXISTS idx_change_order_lines_budget_line ON change_order_lines(budget_line_id);
+
+COMMENT ON TABLE change_event_lines IS 'Estimated cost of a change event split by cost code (pending changes on the cost report)';
+COMMENT ON TABLE change_order_lines IS 'Change order cost impact split by cost code (approved CO adjustments on the cost report)';
+
+-- ============================================================================
+-- FORECAST TO COMPLETE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS budget_forecasts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    budget_line_id UUID NOT NULL REFERENCES budget_lines(id) ON DELETE CASCADE,
+    forecast_to_complete DECIMAL(15,2),
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_forecasts_line_created ON budget_forecasts(budget_line_id, created_at DESC);
+
+COMMENT ON TABLE budget_forecasts IS 'Append-only forecast history; the newest row is current';
+COMMENT ON COLUMN budget_forecasts.forecast_to_complete IS 'Remaining cost to complete; NULL switches the line back to the automatic forecast';
+
+COMMIT;
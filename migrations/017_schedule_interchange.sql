@@ -0,0 +1,46 @@
+-- ============================================================================
+-- SCHEDULE INTERCHANGE MIGRATION
+-- Version: 1.0
+-- Purpose: Source ids for tasks and calendars imported from Primavera XER /
+--          MS Project XML, and a log of import previews and runs
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- SOURCE IDS
+-- ============================================================================
+
+ALTER TABLE schedule_tasks ADD COLUMN IF NOT EXISTS external_id VARCHAR(100);
+ALTER TABLE work_calendars ADD COLUMN IF NOT EXISTS external_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_tasks_external ON schedule_tasks(project_id, external_id)
+    WHERE external_id IS NOT NULL;
+
+COMMENT ON COLUMN schedule_tasks.external_id IS '<format>:<source id> of the XER activity / WBS or MSPDI task UID; re-imports update matching tasks';
+COMMENT ON COLUMN work_calendars.external_id IS '<format>:<source id> of the imported calendar';
+
+-- ============================================================================
+-- IMPORT LOG
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS schedule_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('xer', 'mspdi')),
+    file_name VARCHAR(255),
+    mode VARCHAR(10) NOT NULL DEFAULT 'merge' CHECK (mode IN ('merge', 'replace')),
+    dry_run BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('previewed', 'rejected', 'imported')),
+    summary JSONB DEFAULT '{}',
+    problems JSONB DEFAULT '[]',
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_imports_project ON schedule_imports(project_id, created_at DESC);
+
+COMMENT ON TABLE schedule_imports IS 'Dry-run previews, rejected and committed schedule imports with their mapping problems';
+COMMENT ON COLUMN schedule_imports.problems IS '[{severity: error|warning, entity, ref, message}]; any error blocks the import';
+
+COMMIT;
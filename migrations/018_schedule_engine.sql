@@ -0,0 +1,16 @@
+-- ============================================================================
+-- SCHEDULE ENGINE MIGRATION
+-- Version: 1.0
+-- Purpose: Status (data) date for the calendar-aware CPM engine
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS schedule_data_date DATE;
+
+COMMENT ON COLUMN projects.schedule_data_date IS 'Schedule status date; unfinished work is not scheduled before it (NULL = plan from planned start dates)';
+
+CREATE INDEX IF NOT EXISTS idx_schedule_tasks_calendar ON schedule_tasks(work_calendar_id)
+    WHERE work_calendar_id IS NOT NULL;
+
+COMMIT;
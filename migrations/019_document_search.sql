@@ -0,0 +1,55 @@
+-- ============================================================================
+-- DOCUMENT SEARCH MIGRATION
+-- Version: 1.0
+-- Purpose: Full-text search over document names, descriptions and the text
+--          extracted from PDF / DOCX / XLSX files, page by page
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- EXTRACTION QUEUE
+-- ============================================================================
+-- Every existing document starts 'pending', so the indexer worker backfills
+-- the whole library on first start.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS text_status VARCHAR(20) DEFAULT 'pending'
+    CHECK (text_status IN ('pending', 'processing', 'indexed', 'no_text', 'unsupported', 'failed'));
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS text_error TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS text_page_count INTEGER;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS text_indexed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS text_locked_until TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_documents_text_queue ON documents(text_status, uploaded_at)
+    WHERE text_status IN ('pending', 'processing');
+
+COMMENT ON COLUMN documents.text_status IS 'Text extraction state: pending, processing (leased by text_locked_until), indexed, no_text (e.g. scanned), unsupported, failed';
+
+-- ============================================================================
+-- SEARCH VECTORS
+-- ============================================================================
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_documents_search ON documents USING GIN(search_vector);
+
+CREATE TABLE IF NOT EXISTS document_text_pages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    document_version_id UUID REFERENCES document_versions(id) ON DELETE SET NULL,
+    page_number INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (document_id, page_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_text_pages_search ON document_text_pages USING GIN(search_vector);
+
+COMMENT ON TABLE document_text_pages IS 'Extracted text of the current version of each document, one row per page (worksheet for XLSX)';
+
+COMMIT;
@@ -0,0 +1,60 @@
+-- ============================================================================
+-- EMAIL NOTIFICATIONS MIGRATION
+-- Version: 1.0
+-- Purpose: Deliver notifications by email (instant or daily digest) with
+--          per-user, per-project preferences
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- NOTIFICATIONS
+-- ============================================================================
+-- Databases created from 000_bootstrap_minimal only have notification_type;
+-- createNotification writes type / entity_type / entity_id.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS type VARCHAR(50);
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS entity_type VARCHAR(50);
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS entity_id UUID;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE CASCADE;
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_status VARCHAR(20) DEFAULT 'pending'
+    CHECK (email_status IN ('pending', 'sending', 'sent', 'digest_queued', 'skipped', 'failed'));
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_attempts INTEGER DEFAULT 0;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_error TEXT;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_locked_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS email_digest_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP WITH TIME ZONE;
+
+-- Don't email the whole notification history on first deploy
+UPDATE notifications SET email_status = 'skipped' WHERE email_status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_notifications_email_queue ON notifications(email_status, created_at)
+    WHERE email_status IN ('pending', 'sending', 'digest_queued');
+
+COMMENT ON COLUMN notifications.email_status IS 'Email delivery: pending, sending (leased by email_locked_until), sent, digest_queued, skipped (mode off / no address / already read), failed';
+COMMENT ON COLUMN notifications.email_digest_at IS 'Digest cutoff a row was claimed for; NULL while it is an instant send';
+
+-- ============================================================================
+-- PREFERENCES
+-- ============================================================================
+-- project_id NULL applies to every project; notification_type '*' to every type.
+-- The most specific row wins (see services/NotificationMailer.js).
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    notification_type VARCHAR(50) NOT NULL DEFAULT '*',
+    email_mode VARCHAR(20) NOT NULL CHECK (email_mode IN ('instant', 'digest', 'off')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_preferences_scope ON notification_preferences(
+    user_id, COALESCE(project_id, '00000000-0000-0000-0000-000000000000'::UUID), notification_type
+);
+
+COMMENT ON TABLE notification_preferences IS 'Per-user email mode (instant, digest, off) by project and notification type';
+
+COMMIT;
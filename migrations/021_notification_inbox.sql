@@ -0,0 +1,70 @@
+-- ============================================================================
+-- NOTIFICATION INBOX MIGRATION
+-- Version: 1.0
+-- Purpose: Read / unread / archived state, inbox indexes for cursor paging
+--          and unread counts, and project_id on notifications created before
+--          migration 020
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- STATE
+-- ============================================================================
+-- is_read stays the read flag every writer already sets; read_at records when.
+-- Archived notifications leave the inbox and the unread count but are kept.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE notifications SET read_at = created_at WHERE is_read = true AND read_at IS NULL;
+
+COMMENT ON COLUMN notifications.read_at IS 'When the notification was first marked read (NULL while unread)';
+COMMENT ON COLUMN notifications.archived_at IS 'Archived notifications are hidden from the inbox and unread count';
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+-- Inbox pages walk (created_at, id) newest first; the unread badge is a
+-- count over the partial index.
+
+CREATE INDEX IF NOT EXISTS idx_notifications_inbox ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id, project_id)
+    WHERE is_read = false AND archived_at IS NULL;
+
+-- ============================================================================
+-- PROJECT BACKFILL
+-- ============================================================================
+-- Older notifications were stored without project_id; fill it in from the
+-- entity for every entity table that carries one directly.
+
+DO $$
+DECLARE
+    entity RECORD;
+BEGIN
+    FOR entity IN
+        SELECT * FROM (VALUES
+            ('rfi', 'rfis'),
+            ('schedule_task', 'schedule_tasks'),
+            ('inspection_run', 'inspection_runs'),
+            ('observation', 'observations'),
+            ('incident', 'incidents'),
+            ('change_event', 'change_events'),
+            ('change_order', 'change_orders'),
+            ('commitment', 'commitments')
+        ) AS mapping(entity_type, table_name)
+    LOOP
+        IF EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = entity.table_name AND column_name = 'project_id'
+        ) THEN
+            EXECUTE format(
+                'UPDATE notifications n SET project_id = e.project_id FROM %I e
+                 WHERE n.project_id IS NULL AND n.entity_type = %L AND e.id = n.entity_id',
+                entity.table_name, entity.entity_type
+            );
+        END IF;
+    END LOOP;
+END $$;
+
+COMMIT;
@@ -0,0 +1,99 @@
+-- ============================================================================
+-- INBOUND EMAIL MIGRATION
+-- Version: 1.0
+-- Purpose: Email-in: reply addresses on notification emails, a log of every
+--          message received with its sender authentication, and email as a
+--          source of RFI responses
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- REPLY TOKENS
+-- ============================================================================
+-- One token per notification email about a replyable item (RFI, submittal,
+-- workflow task); it is the +tag of the Reply-To address.
+
+CREATE TABLE IF NOT EXISTS email_reply_tokens (
+    token VARCHAR(40) PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id UUID NOT NULL,
+    notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_reply_tokens_entity ON email_reply_tokens(entity_type, entity_id);
+
+COMMENT ON TABLE email_reply_tokens IS 'reply+<token>@EMAIL_INBOUND_DOMAIN addresses handed out in notification emails';
+
+-- ============================================================================
+-- INBOUND LOG
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS inbound_emails (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id VARCHAR(998) UNIQUE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('lmtp', 'smtp', 'upload')),
+    from_address VARCHAR(320),
+    to_addresses TEXT[] DEFAULT '{}',
+    subject VARCHAR(500),
+    reply_token VARCHAR(40),
+    status VARCHAR(20) NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processed', 'rejected', 'failed')),
+    reason TEXT,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    entity_type VARCHAR(50),
+    entity_id UUID,
+    sender_user_id UUID REFERENCES users(id),
+    body_text TEXT,
+    document_ids UUID[] DEFAULT '{}',
+    result JSONB,
+    raw_path TEXT,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Sender authentication, added after the table first shipped
+ALTER TABLE inbound_emails ADD COLUMN IF NOT EXISTS spf_result VARCHAR(20);
+ALTER TABLE inbound_emails ADD COLUMN IF NOT EXISTS dkim_result VARCHAR(20);
+ALTER TABLE inbound_emails ADD COLUMN IF NOT EXISTS sender_verified BOOLEAN;
+
+CREATE INDEX IF NOT EXISTS idx_inbound_emails_project ON inbound_emails(project_id, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inbound_emails_entity ON inbound_emails(entity_type, entity_id);
+
+COMMENT ON TABLE inbound_emails IS 'Every message received by email-in, with what it became or why it was rejected';
+COMMENT ON COLUMN inbound_emails.reason IS 'Rejection reason (auto_reply, no_reply_token, unknown_reply_token, expired_reply_token, sender_not_project_member, empty_reply) or the processing error';
+COMMENT ON COLUMN inbound_emails.raw_path IS 'Storage path of the original .eml';
+COMMENT ON COLUMN inbound_emails.spf_result IS 'SPF verdict reported by the receiving MTA (Authentication-Results or Received-SPF), NULL when not reported';
+COMMENT ON COLUMN inbound_emails.dkim_result IS 'DKIM verdict reported by the receiving MTA (Authentication-Results), NULL when not reported';
+COMMENT ON COLUMN inbound_emails.sender_verified IS 'From matched the user the reply token was issued to and neither SPF nor DKIM failed; unverified replies are never official';
+
+-- ============================================================================
+-- NOTIFICATION TYPE
+-- ============================================================================
+-- Databases created from 000_bootstrap_minimal stored the type in
+-- notification_type; everything now reads and writes type.
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'notifications' AND column_name = 'notification_type'
+    ) THEN
+        UPDATE notifications SET type = notification_type WHERE type IS NULL;
+    END IF;
+END $$;
+
+-- ============================================================================
+-- RFI RESPONSES
+-- ============================================================================
+
+ALTER TABLE rfi_responses ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'app';
+ALTER TABLE rfi_responses ADD COLUMN IF NOT EXISTS inbound_email_id UUID REFERENCES inbound_emails(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN rfi_responses.source IS 'app or email';
+
+COMMIT;
@@ -0,0 +1,72 @@
+-- ============================================================================
+-- RFI TRACKING MIGRATION
+-- Version: 1.0
+-- Purpose: RFI distribution lists, ball-in-court history, business-day
+--          response deadlines and overdue escalation state
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- RFIS: LIFECYCLE AND DEADLINES
+-- ============================================================================
+
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS response_days INTEGER CHECK (response_days IS NULL OR response_days > 0);
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS answered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS ball_in_court_since TIMESTAMP WITH TIME ZONE;
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS due_soon_notified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS overdue_notified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE rfis ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE;
+
+-- Best available history for RFIs issued before this migration
+UPDATE rfis SET opened_at = created_at WHERE status <> 'draft' AND opened_at IS NULL;
+UPDATE rfis SET closed_at = updated_at WHERE status = 'closed' AND closed_at IS NULL;
+UPDATE rfis SET ball_in_court_since = COALESCE(updated_at, created_at) WHERE ball_in_court IS NOT NULL AND ball_in_court_since IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rfis_ball_in_court ON rfis(ball_in_court) WHERE status IN ('draft', 'open', 'answered');
+CREATE INDEX IF NOT EXISTS idx_rfis_open_due ON rfis(due_date) WHERE status = 'open';
+
+COMMENT ON COLUMN rfis.response_days IS 'Business days allowed for a response; sets due_date when the RFI is opened (default RFI_RESPONSE_DAYS)';
+COMMENT ON COLUMN rfis.escalated_at IS 'When project managers were told the RFI is RFI_ESCALATION_DAYS business days overdue';
+
+-- ============================================================================
+-- DISTRIBUTION
+-- ============================================================================
+
+ALTER TABLE rfi_distribution ADD COLUMN IF NOT EXISTS added_by UUID REFERENCES users(id);
+ALTER TABLE rfi_distribution ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE rfi_distribution SET role = 'to' WHERE role IS NULL OR role NOT IN ('to', 'cc');
+
+ALTER TABLE rfi_distribution DROP CONSTRAINT IF EXISTS rfi_distribution_role_check;
+ALTER TABLE rfi_distribution ADD CONSTRAINT rfi_distribution_role_check CHECK (role IN ('to', 'cc'));
+
+-- ============================================================================
+-- BALL-IN-COURT HISTORY
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS rfi_ball_in_court_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rfi_id UUID NOT NULL REFERENCES rfis(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    reason VARCHAR(50),
+    assigned_by UUID REFERENCES users(id),
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    released_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfi_ball_in_court_log_rfi ON rfi_ball_in_court_log(rfi_id, assigned_at);
+
+-- Seed the current holder so the next handoff closes a real interval
+INSERT INTO rfi_ball_in_court_log (rfi_id, user_id, reason, assigned_at)
+SELECT r.id, r.ball_in_court, 'migrated', r.ball_in_court_since
+FROM rfis r
+WHERE r.ball_in_court IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM rfi_ball_in_court_log l WHERE l.rfi_id = r.id);
+
+COMMENT ON TABLE rfi_ball_in_court_log IS 'Who held each RFI and for how long (released_at NULL for the current holder)';
+COMMENT ON COLUMN rfi_ball_in_court_log.reason IS 'draft, opened, response, official_response, answered, reassigned, migrated';
+
+COMMIT;
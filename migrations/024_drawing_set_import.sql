@@ -0,0 +1,82 @@
+-- ============================================================================
+-- DRAWING SET IMPORT MIGRATION
+-- Version: 1.0
+-- Purpose: Split multi-page drawing set PDFs into sheets, title-block
+--          recognition with a review queue, and sheet supersession
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- DRAWING SETS: TITLE BLOCK REGION
+-- ============================================================================
+
+ALTER TABLE drawing_sets ADD COLUMN IF NOT EXISTS title_block_region JSONB;
+
+COMMENT ON COLUMN drawing_sets.title_block_region IS 'Where to read sheet number / title / revision: { x, y, width, height } as fractions of the page from its top-left corner; NULL uses the default bottom-right region';
+
+-- ============================================================================
+-- IMPORTS (QUEUE)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drawing_set_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    drawing_set_id UUID NOT NULL REFERENCES drawing_sets(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    title_block_region JSONB,
+    page_count INTEGER,
+    pages_processed INTEGER NOT NULL DEFAULT 0,
+    sheets_created INTEGER NOT NULL DEFAULT 0,
+    sheets_superseded INTEGER NOT NULL DEFAULT 0,
+    sheets_for_review INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_drawing_set_imports_set ON drawing_set_imports(drawing_set_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_drawing_set_imports_queue ON drawing_set_imports(created_at) WHERE status IN ('pending', 'processing');
+
+COMMENT ON TABLE drawing_set_imports IS 'A whole-set PDF being split into drawing_sheets by the background worker';
+COMMENT ON COLUMN drawing_set_imports.title_block_region IS 'Region used for this import (the set''s region at upload time unless overridden)';
+
+-- ============================================================================
+-- DRAWING SHEETS: REVISIONS, SUPERSESSION, RECOGNITION
+-- ============================================================================
+
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS revision VARCHAR(20);
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'current';
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS supersedes_id UUID REFERENCES drawing_sheets(id) ON DELETE SET NULL;
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES drawing_sheets(id) ON DELETE SET NULL;
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES drawing_set_imports(id) ON DELETE SET NULL;
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS page_width NUMERIC(10, 2);
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS page_height NUMERIC(10, 2);
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS extraction JSONB;
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS extraction_confidence NUMERIC(4, 3);
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id);
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE drawing_sheets ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+
+ALTER TABLE drawing_sheets DROP CONSTRAINT IF EXISTS drawing_sheets_status_check;
+ALTER TABLE drawing_sheets ADD CONSTRAINT drawing_sheets_status_check
+    CHECK (status IN ('pending_review', 'current', 'superseded'));
+
+-- A set may hold several revisions of one sheet number; only one is current
+ALTER TABLE drawing_sheets DROP CONSTRAINT IF EXISTS drawing_sheets_drawing_set_id_sheet_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drawing_sheets_current_number
+    ON drawing_sheets(drawing_set_id, sheet_number) WHERE status = 'current';
+
+CREATE INDEX IF NOT EXISTS idx_drawing_sheets_number ON drawing_sheets(UPPER(REPLACE(sheet_number, ' ', '')));
+CREATE INDEX IF NOT EXISTS idx_drawing_sheets_review ON drawing_sheets(drawing_set_id) WHERE status = 'pending_review';
+CREATE INDEX IF NOT EXISTS idx_drawing_sheets_import ON drawing_sheets(import_id, page_number);
+
+COMMENT ON COLUMN drawing_sheets.status IS 'pending_review (title block not read confidently), current, or superseded by a later revision';
+COMMENT ON COLUMN drawing_sheets.extraction IS 'Title-block recognition result: candidates, chosen values and review reasons';
+COMMENT ON COLUMN drawing_sheets.page_width IS 'Page size in PDF points as displayed (rotation applied)';
+
+COMMIT;
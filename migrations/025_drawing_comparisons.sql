@@ -0,0 +1,42 @@
+-- ============================================================================
+-- DRAWING COMPARISON MIGRATION
+-- Version: 1.0
+-- Purpose: Cached revision comparisons between two versions of a drawing
+--          sheet (overlay PDF and changed regions)
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- COMPARISONS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drawing_comparisons (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    base_version_id UUID NOT NULL REFERENCES document_versions(id) ON DELETE CASCADE,
+    compare_version_id UUID NOT NULL REFERENCES document_versions(id) ON DELETE CASCADE,
+    base_page INTEGER NOT NULL DEFAULT 1,
+    compare_page INTEGER NOT NULL DEFAULT 1,
+    engine_version INTEGER NOT NULL,
+    base_sheet_id UUID REFERENCES drawing_sheets(id) ON DELETE SET NULL,
+    compare_sheet_id UUID REFERENCES drawing_sheets(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'failed')),
+    overlay_path TEXT,
+    regions JSONB NOT NULL DEFAULT '[]',
+    summary JSONB NOT NULL DEFAULT '{}',
+    error TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (base_version_id, compare_version_id, base_page, compare_page, engine_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_drawing_comparisons_compare ON drawing_comparisons(compare_version_id);
+CREATE INDEX IF NOT EXISTS idx_drawing_comparisons_sheets ON drawing_comparisons(compare_sheet_id, base_sheet_id);
+
+COMMENT ON TABLE drawing_comparisons IS 'Revision comparison between one page of two document versions, computed once and reused';
+COMMENT ON COLUMN drawing_comparisons.engine_version IS 'Comparison engine that produced the result; a newer engine recomputes instead of reusing';
+COMMENT ON COLUMN drawing_comparisons.overlay_path IS 'Storage path of the overlay PDF: old version in red, new in blue, changed regions outlined';
+COMMENT ON COLUMN drawing_comparisons.regions IS 'Changed regions: number, change (added/removed/modified), counts, text changes, x/y/width/height in points from the top-left and bounds as page fractions';
+COMMENT ON COLUMN drawing_comparisons.error IS 'Why a failed comparison could not be produced (unreadable PDF, missing page)';
+
+COMMIT;
@@ -0,0 +1,86 @@
+-- ============================================================================
+-- MARKUP LAYERS MIGRATION
+-- Version: 1.0
+-- Purpose: Named markup layers (personal, company, published) with role-based
+--          visibility, and links from markups to the items promoted from them
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- LAYERS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drawing_markup_layers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('personal', 'company', 'published')),
+    owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    min_role VARCHAR(50)
+        CHECK (min_role IN ('viewer', 'subcontractor', 'engineer', 'superintendent', 'project_manager', 'admin')),
+    published_by UUID REFERENCES users(id),
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (scope <> 'personal' OR owner_id IS NOT NULL),
+    CHECK (scope <> 'company' OR organization_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_markup_layers_published_name
+    ON drawing_markup_layers(project_id, name) WHERE scope = 'published';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_markup_layers_personal_name
+    ON drawing_markup_layers(project_id, owner_id, name) WHERE scope = 'personal';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_markup_layers_company_name
+    ON drawing_markup_layers(project_id, organization_id, name) WHERE scope = 'company';
+
+COMMENT ON TABLE drawing_markup_layers IS 'Named groups of drawing markups; the layer decides who can see its markups';
+COMMENT ON COLUMN drawing_markup_layers.scope IS 'personal: the owner only; company: members of the organization; published: the project team';
+COMMENT ON COLUMN drawing_markup_layers.min_role IS 'Lowest project role that sees the layer: everyone on a published layer, others besides the organization on a company layer; NULL for personal layers';
+
+-- ============================================================================
+-- MARKUPS
+-- ============================================================================
+
+ALTER TABLE drawing_markups ADD COLUMN IF NOT EXISTS layer_id UUID REFERENCES drawing_markup_layers(id) ON DELETE CASCADE;
+
+-- Promoting a markup records the RFI or punch item it became
+ALTER TABLE drawing_markups ADD COLUMN IF NOT EXISTS linked_entity_type VARCHAR(50);
+ALTER TABLE drawing_markups ADD COLUMN IF NOT EXISTS linked_entity_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_drawing_markups_layer ON drawing_markups(layer_id);
+
+COMMENT ON COLUMN drawing_markups.layer_id IS 'Layer the markup is drawn on; deleting the layer deletes its markups';
+
+-- Existing markups were visible to everyone: move them onto published layers
+-- named after markup_data.layer, or "Default"
+WITH markup_projects AS (
+    SELECT m.id,
+           COALESCE(ds.project_id, d.project_id) as project_id,
+           COALESCE(NULLIF(m.markup_data->>'layer', ''), 'Default') as layer_name
+    FROM drawing_markups m
+    LEFT JOIN drawing_sheets sh ON sh.id = m.drawing_sheet_id
+    LEFT JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+    LEFT JOIN documents d ON d.id = m.document_id
+    WHERE m.layer_id IS NULL
+)
+INSERT INTO drawing_markup_layers (project_id, name, scope, min_role)
+SELECT DISTINCT project_id, LEFT(layer_name, 100), 'published', 'viewer'
+FROM markup_projects WHERE project_id IS NOT NULL
+ON CONFLICT (project_id, name) WHERE scope = 'published' DO NOTHING;
+
+UPDATE drawing_markups m
+SET layer_id = l.id
+FROM drawing_markups src
+LEFT JOIN drawing_sheets sh ON sh.id = src.drawing_sheet_id
+LEFT JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+LEFT JOIN documents d ON d.id = src.document_id
+JOIN drawing_markup_layers l
+    ON l.project_id = COALESCE(ds.project_id, d.project_id)
+   AND l.scope = 'published'
+   AND l.name = LEFT(COALESCE(NULLIF(src.markup_data->>'layer', ''), 'Default'), 100)
+WHERE m.id = src.id AND m.layer_id IS NULL;
+
+COMMIT;
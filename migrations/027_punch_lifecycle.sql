@@ -0,0 +1,64 @@
+-- ============================================================================
+-- PUNCH LIFECYCLE MIGRATION
+-- Version: 1.0
+-- Purpose: Enforced punch item states, responsible subcontractor company,
+--          before/after photo requirement, back-charges, and status history
+--          for sign-off
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- PUNCH ITEMS
+-- ============================================================================
+
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS assigned_company_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS photos_required BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS back_charge_amount NUMERIC(12, 2) CHECK (back_charge_amount >= 0);
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS back_charge_notes TEXT;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS issued_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS completed_by UUID REFERENCES users(id);
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS rejection_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS verified_by UUID REFERENCES users(id);
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE punch_items ADD COLUMN IF NOT EXISTS closed_by UUID REFERENCES users(id);
+
+-- open -> work_required -> ready_for_review -> verified -> closed, with
+-- rejection from ready_for_review back to work_required
+UPDATE punch_items SET status = 'work_required' WHERE status = 'in_progress';
+UPDATE punch_items SET status = 'ready_for_review' WHERE status = 'completed';
+UPDATE punch_items SET issued_at = created_at WHERE status <> 'open' AND issued_at IS NULL;
+
+ALTER TABLE punch_items DROP CONSTRAINT IF EXISTS punch_items_status_check;
+ALTER TABLE punch_items ADD CONSTRAINT punch_items_status_check
+    CHECK (status IN ('open', 'work_required', 'ready_for_review', 'verified', 'closed'));
+
+CREATE INDEX IF NOT EXISTS idx_punch_items_company ON punch_items(assigned_company_id) WHERE status IN ('work_required', 'ready_for_review');
+CREATE INDEX IF NOT EXISTS idx_punch_items_project_trade ON punch_items(project_id, trade);
+
+COMMENT ON COLUMN punch_items.status IS 'open, work_required (issued to the company), ready_for_review, verified, closed (signed off); status changes go through PUT /punch-items/:id/status';
+COMMENT ON COLUMN punch_items.assigned_company_id IS 'Subcontractor company responsible for the work; its members may mark the item ready for review';
+COMMENT ON COLUMN punch_items.photos_required IS 'Issuing needs a before photo and marking ready for review needs an after photo';
+COMMENT ON COLUMN punch_items.back_charge_amount IS 'Amount charged back to the responsible company, if any';
+
+-- ============================================================================
+-- STATUS HISTORY
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS punch_item_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    punch_item_id UUID NOT NULL REFERENCES punch_items(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    notes TEXT,
+    changed_by UUID REFERENCES users(id),
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_punch_item_history_item ON punch_item_history(punch_item_id, changed_at);
+
+COMMENT ON TABLE punch_item_history IS 'Every punch item status change with who made it; rejections carry the reason in notes';
+
+COMMIT;
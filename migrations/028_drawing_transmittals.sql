@@ -0,0 +1,91 @@
+-- ============================================================================
+-- DRAWING TRANSMITTALS MIGRATION
+-- Version: 1.0
+-- Purpose: Numbered transmittals covering many drawings, recipients resolved
+--          from users and project roles at send time, secure download links
+--          and acknowledgement of receipt
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- TRANSMITTALS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drawing_transmittals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    transmittal_number VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    purpose VARCHAR(30) NOT NULL DEFAULT 'for_construction'
+        CHECK (purpose IN ('for_construction', 'for_review', 'for_approval', 'for_information', 'for_record', 'for_bid')),
+    message TEXT,
+    recipient_user_ids UUID[] NOT NULL DEFAULT '{}',
+    recipient_roles TEXT[] NOT NULL DEFAULT '{}',
+    acknowledge_by DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent')),
+    sent_by UUID REFERENCES users(id),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(project_id, transmittal_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_drawing_transmittals_project ON drawing_transmittals(project_id, created_at);
+
+COMMENT ON TABLE drawing_transmittals IS 'Formal record of drawings sent to a set of recipients';
+COMMENT ON COLUMN drawing_transmittals.recipient_roles IS 'Project roles requested; expanded to the members holding them when the transmittal is sent';
+COMMENT ON COLUMN drawing_transmittals.acknowledge_by IS 'Date receipt should be confirmed by; later confirmations count as overdue';
+
+-- ============================================================================
+-- ITEMS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drawing_transmittal_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    transmittal_id UUID NOT NULL REFERENCES drawing_transmittals(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    document_version_id UUID REFERENCES document_versions(id) ON DELETE SET NULL,
+    drawing_sheet_id UUID REFERENCES drawing_sheets(id) ON DELETE SET NULL,
+    copies INTEGER NOT NULL DEFAULT 1 CHECK (copies > 0),
+    notes TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_drawing_transmittal_items_transmittal ON drawing_transmittal_items(transmittal_id, sort_order);
+
+COMMENT ON COLUMN drawing_transmittal_items.document_version_id IS 'Version sent: the one named, else the latest version when the transmittal was sent';
+
+-- ============================================================================
+-- RECIPIENTS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drawing_transmittal_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    transmittal_id UUID NOT NULL REFERENCES drawing_transmittals(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    via_role VARCHAR(50),
+    access_token VARCHAR(64) NOT NULL UNIQUE,
+    token_expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    notified_at TIMESTAMP WITH TIME ZONE,
+    last_reminded_at TIMESTAMP WITH TIME ZONE,
+    first_downloaded_at TIMESTAMP WITH TIME ZONE,
+    download_count INTEGER NOT NULL DEFAULT 0,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    acknowledged_via VARCHAR(20) CHECK (acknowledged_via IN ('app', 'link', 'distribution')),
+    UNIQUE(transmittal_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_drawing_transmittal_recipients_outstanding
+    ON drawing_transmittal_recipients(transmittal_id) WHERE acknowledged_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_drawing_transmittal_recipients_user ON drawing_transmittal_recipients(user_id);
+
+COMMENT ON COLUMN drawing_transmittal_recipients.via_role IS 'Role the recipient was resolved from, NULL when named directly';
+COMMENT ON COLUMN drawing_transmittal_recipients.access_token IS 'Secret in the download link sent to the recipient; valid until token_expires_at';
+
+-- Per-drawing distribution rows written for each recipient when a transmittal is sent
+ALTER TABLE drawing_distributions ADD COLUMN IF NOT EXISTS transmittal_id UUID REFERENCES drawing_transmittals(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_drawing_distributions_transmittal ON drawing_distributions(transmittal_id);
+
+COMMIT;
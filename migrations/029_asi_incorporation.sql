@@ -0,0 +1,33 @@
+-- ============================================================================
+-- ASI INCORPORATION MIGRATION
+-- Version: 1.0
+-- Purpose: Connect ASIs to the change event and schedule links they generate,
+--          and record when an ASI's drawing revisions were all incorporated
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- ASIS
+-- ============================================================================
+
+ALTER TABLE asis ADD COLUMN IF NOT EXISTS incorporated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE asis ADD COLUMN IF NOT EXISTS incorporated_by UUID REFERENCES users(id);
+
+COMMENT ON COLUMN asis.incorporated_at IS 'Set when the last affected drawing revision is completed; cleared if a drawing needing revision is linked afterwards';
+
+-- ASIs already marked incorporated by hand
+UPDATE asis SET incorporated_at = updated_at WHERE status = 'incorporated' AND incorporated_at IS NULL;
+
+-- ============================================================================
+-- CHANGE EVENTS
+-- ============================================================================
+
+ALTER TABLE change_events ADD COLUMN IF NOT EXISTS source_asi_id UUID REFERENCES asis(id) ON DELETE SET NULL;
+
+-- One change event per ASI
+CREATE UNIQUE INDEX IF NOT EXISTS idx_change_events_source_asi ON change_events(source_asi_id) WHERE source_asi_id IS NOT NULL;
+
+COMMENT ON COLUMN change_events.source_asi_id IS 'ASI the change event was generated from; its estimate follows the ASI while the event is a draft or pending review';
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- ============================================================================
+-- BASELINE COMPARISON MIGRATION
+-- Version: 1.0
+-- Purpose: Capture schedule logic and milestones in baselines so any two
+--          baselines (or a baseline and the current schedule) can be compared
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE schedule_baselines ADD COLUMN IF NOT EXISTS dependency_snapshot JSONB;
+ALTER TABLE schedule_baselines ADD COLUMN IF NOT EXISTS milestone_snapshot JSONB;
+
+COMMENT ON COLUMN schedule_baselines.dependency_snapshot IS 'task_dependencies rows between the baseline''s tasks when it was taken; NULL on older baselines, whose logic cannot be compared';
+COMMENT ON COLUMN schedule_baselines.milestone_snapshot IS 'schedule_milestones rows when the baseline was taken; NULL on older baselines';
+
+COMMIT;
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- SCHEDULE SNAPSHOTS MIGRATION
+-- Version: 1.0
+-- Purpose: Full, versioned baseline snapshots (tasks, logic, milestones,
+--          assignments, calendars and data date) that can be restored, and
+--          what-if scenarios: editable copies of the schedule kept apart from
+--          the live plan
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- BASELINES
+-- ============================================================================
+
+-- 1 = tasks only, 2 = tasks, logic and milestones, 3 = full (restorable)
+ALTER TABLE schedule_baselines ADD COLUMN IF NOT EXISTS snapshot_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE schedule_baselines ADD COLUMN IF NOT EXISTS assignment_snapshot JSONB;
+ALTER TABLE schedule_baselines ADD COLUMN IF NOT EXISTS calendar_snapshot JSONB;
+ALTER TABLE schedule_baselines ADD COLUMN IF NOT EXISTS data_date DATE;
+
+UPDATE schedule_baselines SET snapshot_version = 2
+WHERE snapshot_version = 1 AND dependency_snapshot IS NOT NULL AND milestone_snapshot IS NOT NULL;
+
+COMMENT ON COLUMN schedule_baselines.snapshot_version IS 'Snapshot format: 1 tasks only, 2 adds logic and milestones, 3 adds assignments, calendars and data date and can be restored';
+COMMENT ON COLUMN schedule_baselines.calendar_snapshot IS 'Project and referenced work calendars, each with its exceptions';
+
+-- ============================================================================
+-- WHAT-IF SCENARIOS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS schedule_scenarios (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    source_baseline_id UUID REFERENCES schedule_baselines(id) ON DELETE SET NULL,
+    snapshot JSONB NOT NULL,
+    warnings JSONB NOT NULL DEFAULT '[]',
+    calculated_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_scenarios_project ON schedule_scenarios(project_id, created_at);
+
+COMMENT ON TABLE schedule_scenarios IS 'What-if copies of a schedule, edited and recalculated without touching schedule_tasks';
+COMMENT ON COLUMN schedule_scenarios.snapshot IS 'Same format as a version 3 baseline: { version, data_date, tasks, dependencies, milestones, assignments, calendars }';
+COMMENT ON COLUMN schedule_scenarios.source_baseline_id IS 'Baseline the scenario was branched from; NULL when branched from the live schedule';
+
+COMMIT;
@@ -0,0 +1,72 @@
+-- ============================================================================
+-- EARNED VALUE MIGRATION
+-- Version: 1.0
+-- Purpose: Cost-load schedule tasks from budget cost codes and keep periodic
+--          earned value (PV, EV, AC, SPI, CPI, EAC, VAC) snapshots at task,
+--          WBS and project level
+-- ============================================================================
+
+BEGIN;
+
+-- ============================================================================
+-- COST LOADING
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS task_cost_loads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES schedule_tasks(id) ON DELETE CASCADE,
+    budget_line_id UUID NOT NULL REFERENCES budget_lines(id) ON DELETE CASCADE,
+    amount DECIMAL(15,2) NOT NULL CHECK (amount >= 0),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_id, budget_line_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_cost_loads_budget_line ON task_cost_loads(budget_line_id);
+
+COMMENT ON TABLE task_cost_loads IS 'Budget at completion of a task, split by cost code; schedule_tasks.budgeted_cost is kept equal to the sum';
+
+-- ============================================================================
+-- SNAPSHOTS
+-- ============================================================================
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS evm_period VARCHAR(20) DEFAULT 'monthly'
+    CHECK (evm_period IN ('weekly', 'monthly', 'none'));
+
+COMMENT ON COLUMN projects.evm_period IS 'How often the earned value worker snapshots a cost-loaded project: at the end of each week (Sunday), month, or never';
+
+CREATE TABLE IF NOT EXISTS evm_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    status_date DATE NOT NULL,
+    period VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (period IN ('manual', 'weekly', 'monthly')),
+    baseline_id UUID REFERENCES schedule_baselines(id) ON DELETE SET NULL,
+    bac DECIMAL(15,2) NOT NULL DEFAULT 0,
+    pv DECIMAL(15,2) NOT NULL DEFAULT 0,
+    ev DECIMAL(15,2) NOT NULL DEFAULT 0,
+    ac DECIMAL(15,2) NOT NULL DEFAULT 0,
+    sv DECIMAL(15,2),
+    cv DECIMAL(15,2),
+    spi DECIMAL(10,3),
+    cpi DECIMAL(10,3),
+    eac DECIMAL(15,2),
+    etc DECIMAL(15,2),
+    vac DECIMAL(15,2),
+    tcpi DECIMAL(10,3),
+    unallocated_actual DECIMAL(15,2) NOT NULL DEFAULT 0,
+    tasks JSONB NOT NULL DEFAULT '[]',
+    wbs JSONB NOT NULL DEFAULT '[]',
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(project_id, status_date)
+);
+
+COMMENT ON TABLE evm_snapshots IS 'Earned value at a status date; one per project per date, retaking a date replaces it';
+COMMENT ON COLUMN evm_snapshots.baseline_id IS 'Baseline whose dates planned value was measured against; NULL when there was no active baseline and current dates were used';
+COMMENT ON COLUMN evm_snapshots.unallocated_actual IS 'Actual cost on cost codes with no task loaded from them, left out of AC';
+COMMENT ON COLUMN evm_snapshots.tasks IS 'Per task: task_id, task_code, name, bac, pv, ev, ac and the derived measures';
+COMMENT ON COLUMN evm_snapshots.wbs IS 'Per summary task, rolled up over everything beneath it';
+
+COMMIT;
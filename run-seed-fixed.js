@@ -139,7 +139,7 @@ async function runSeed() {
        VALUES
          ($1, 1, 'Touch up paint on wall', 'Lobby', 'Painting', 'low', 'open', CURRENT_DATE + INTERVAL '14 days', $2, $2),
          ($1, 2, 'Replace cracked floor tile', 'Suite 201', 'Flooring', 'high', 'open', CURRENT_DATE + INTERVAL '7 days', $2, $2),
-         ($1, 3, 'Fix leaking faucet', 'Restroom', 'Plumbing', 'high', 'completed', CURRENT_DATE - INTERVAL '2 days', $2, $2)`,
+         ($1, 3, 'Fix leaking faucet', 'Restroom', 'Plumbing', 'high', 'ready_for_review', CURRENT_DATE - INTERVAL '2 days', $2, $2)`,
       [projectId, demoUser.id]
     );
     console.log(`   ✓ Created 3 punch items\n`);
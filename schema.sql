@@ -355,7 +355,7 @@ CREATE TABLE punch_items (
     description TEXT NOT NULL,
     location VARCHAR(255) NOT NULL,
     trade VARCHAR(100) NOT NULL,
-    status VARCHAR(50) DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'completed', 'verified', 'closed')),
+    status VARCHAR(50) DEFAULT 'open' CHECK (status IN ('open', 'work_required', 'ready_for_review', 'verified', 'closed')),
     priority VARCHAR(20) DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high')),
     assigned_to UUID REFERENCES users(id),
     due_date DATE,
@@ -288,9 +288,9 @@ async function runSeed() {
        VALUES
        ($1, '001', 'Touch up paint on drywall', 'Suite 201', 'Painting', 'low', 'open', CURRENT_DATE + 14, $2, $3),
        ($1, '002', 'Replace cracked floor tile', 'Lobby', 'Flooring', 'high', 'open', CURRENT_DATE + 7, $2, $3),
-       ($1, '003', 'Fix leaking faucet', 'Restroom 1A', 'Plumbing', 'high', 'completed', CURRENT_DATE - 2, $2, $4),
-       ($1, '004', 'Adjust door alignment', 'Suite 105', 'Carpentry', 'normal', 'in_progress', CURRENT_DATE + 5, $2, $3),
-       ($1, '005', 'Clean roof debris', 'Roof', 'General', 'low', 'completed', CURRENT_DATE - 5, $2, $3)`,
+       ($1, '003', 'Fix leaking faucet', 'Restroom 1A', 'Plumbing', 'high', 'ready_for_review', CURRENT_DATE - 2, $2, $4),
+       ($1, '004', 'Adjust door alignment', 'Suite 105', 'Carpentry', 'normal', 'work_required', CURRENT_DATE + 5, $2, $3),
+       ($1, '005', 'Clean roof debris', 'Roof', 'General', 'low', 'ready_for_review', CURRENT_DATE - 5, $2, $3)`,
       [projectId, demoUserId, emilyId, mikeId]
     );
     console.log('   ✓ Created 5 punch items\n');
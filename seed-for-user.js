@@ -249,7 +249,7 @@ async function seedForExistingUser() {
        VALUES
          ($1, 1, 'Touch up paint on wall', 'Lobby', 'low', 'open', CURRENT_DATE + INTERVAL '14 days', $2, $2),
          ($1, 2, 'Replace cracked floor tile', 'Suite 201', 'medium', 'open', CURRENT_DATE + INTERVAL '7 days', $2, $2),
-         ($1, 3, 'Fix leaking faucet', 'Restroom', 'high', 'in_progress', CURRENT_DATE + INTERVAL '3 days', $2, $2)`,
+         ($1, 3, 'Fix leaking faucet', 'Restroom', 'high', 'work_required', CURRENT_DATE + INTERVAL '3 days', $2, $2)`,
       [projectId, user.id]
     );
     console.log(`   ✓ Created 3 punch items\n`);
@@ -235,11 +235,11 @@ async function runSeed() {
        VALUES
        ($1, '001', 'Touch up paint on drywall - multiple scuff marks', 'Suite 201, East Wall', 'Painting', 'low', 'open', CURRENT_DATE + 14, $2, $3),
        ($1, '002', 'Replace cracked floor tile (3 tiles)', 'Main Lobby, NE Corner', 'Flooring', 'high', 'open', CURRENT_DATE + 7, $2, $3),
-       ($1, '003', 'Fix leaking faucet - dripping continuously', 'Restroom 1A, Second Stall', 'Plumbing', 'high', 'completed', CURRENT_DATE - 2, $2, $4),
-       ($1, '004', 'Adjust door alignment - not closing properly', 'Suite 105, Entry Door', 'Carpentry', 'normal', 'in_progress', CURRENT_DATE + 5, $2, $3),
-       ($1, '005', 'Clean roof debris and check drainage', 'Roof Level, All Drains', 'General', 'low', 'completed', CURRENT_DATE - 5, $2, $3),
+       ($1, '003', 'Fix leaking faucet - dripping continuously', 'Restroom 1A, Second Stall', 'Plumbing', 'high', 'ready_for_review', CURRENT_DATE - 2, $2, $4),
+       ($1, '004', 'Adjust door alignment - not closing properly', 'Suite 105, Entry Door', 'Carpentry', 'normal', 'work_required', CURRENT_DATE + 5, $2, $3),
+       ($1, '005', 'Clean roof debris and check drainage', 'Roof Level, All Drains', 'General', 'low', 'ready_for_review', CURRENT_DATE - 5, $2, $3),
        ($1, '006', 'Repair damaged drywall corner bead', 'Corridor 2B, Column Line C', 'Drywall', 'normal', 'open', CURRENT_DATE + 10, $2, $3),
-       ($1, '007', 'Reset fire alarm pull station - tampered', 'Stairwell A, Level 3', 'Fire Protection', 'high', 'in_progress', CURRENT_DATE + 3, $2, $4),
+       ($1, '007', 'Reset fire alarm pull station - tampered', 'Stairwell A, Level 3', 'Fire Protection', 'high', 'work_required', CURRENT_DATE + 3, $2, $4),
        ($1, '008', 'Caulk window perimeter - air infiltration', 'Suite 210, South Windows', 'Glazing', 'normal', 'open', CURRENT_DATE + 12, $2, $3)`,
       [projectId, demoUserId, emilyId, mikeId]
     );
@@ -114,7 +114,7 @@ async function runSeed() {
        VALUES
        ($1, '001', 'Touch up paint', 'Lobby', 'Painting', 'low', 'open', CURRENT_DATE + 14, $2, $2),
        ($1, '002', 'Replace cracked tile', 'Suite 201', 'Flooring', 'high', 'open', CURRENT_DATE + 7, $2, $2),
-       ($1, '003', 'Fix leaking faucet', 'Restroom', 'Plumbing', 'high', 'completed', CURRENT_DATE - 2, $2, $2)`,
+       ($1, '003', 'Fix leaking faucet', 'Restroom', 'Plumbing', 'high', 'ready_for_review', CURRENT_DATE - 2, $2, $2)`,
       [projectId, demoUserId]
     );
     console.log('   ✓ Created 3 punch items\n');
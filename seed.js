@@ -341,9 +341,9 @@ async function seedDatabase() {
        VALUES
          ($1, 1, 'Touch up paint on wall in lobby', 'Level 1 - Lobby', 'low', 'open', CURRENT_DATE + INTERVAL '14 days', $2, $3),
          ($1, 2, 'Replace cracked floor tile', 'Level 2 - Suite 201', 'medium', 'open', CURRENT_DATE + INTERVAL '7 days', $2, $3),
-         ($1, 3, 'Fix leaking faucet in restroom', 'Level 1 - Restroom', 'high', 'in_progress', CURRENT_DATE + INTERVAL '3 days', $2, $4),
+         ($1, 3, 'Fix leaking faucet in restroom', 'Level 1 - Restroom', 'high', 'work_required', CURRENT_DATE + INTERVAL '3 days', $2, $4),
          ($1, 4, 'Adjust door alignment - sticking', 'Level 3 - Suite 305', 'medium', 'open', CURRENT_DATE + INTERVAL '10 days', $2, $3),
-         ($1, 5, 'Clean construction debris from roof', 'Roof Level', 'low', 'completed', CURRENT_DATE - INTERVAL '2 days', $2, $4)`,
+         ($1, 5, 'Clean construction debris from roof', 'Roof Level', 'low', 'ready_for_review', CURRENT_DATE - INTERVAL '2 days', $2, $4)`,
       [projectId, mike.id, emily.id, demoUser.id]
     );
 
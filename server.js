@@ -11,10 +11,43 @@ const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const JSZip = require('jszip');
 const storage = require('./storage');
-const { upload, storageType } = require('./middleware/upload');
+const { upload, scheduleUpload, storageType } = require('./middleware/upload');
 const { registerWorkflowRoutes } = require('./services/workflow-api');
+const { registerWebhookRoutes } = require('./services/webhook-api');
+const WebhookDispatcher = require('./services/WebhookDispatcher');
+const { registerStreamRoutes } = require('./services/stream-api');
+const EventStreamHub = require('./services/EventStreamHub');
+const { renderPayApplicationPdf } = require('./services/PayApplicationPdf');
+const { renderPunchListPdf } = require('./services/PunchListPdf');
+const { renderTransmittalPdf } = require('./services/TransmittalPdf');
+const DrawingTransmittals = require('./services/DrawingTransmittals');
+const PunchList = require('./services/PunchList');
+const AsiTracker = require('./services/AsiTracker');
+const { renderMarkupPdf, renderMarkupSnapshot, markupBounds } = require('./services/MarkupPdf');
+const ScheduleInterchange = require('./services/ScheduleInterchange');
+const ScheduleEngine = require('./services/ScheduleEngine');
+const WorkCalendar = require('./services/WorkCalendar');
+const ScheduleComparison = require('./services/ScheduleComparison');
+const ScheduleSnapshots = require('./services/ScheduleSnapshots');
+const EarnedValue = require('./services/EarnedValue');
+const { renderXlsx } = require('./services/XlsxWriter');
+const DocumentTextIndexer = require('./services/DocumentTextIndexer');
+const NotificationMailer = require('./services/NotificationMailer');
+const emailTransport = require('./email');
+const CatcherTransport = require('./email/CatcherTransport');
+const { escapeHtml } = require('./email/templates');
+const InboundListener = require('./email/InboundListener');
+const InboundEmailProcessor = require('./services/InboundEmailProcessor');
+const RfiTracker = require('./services/RfiTracker');
+const DrawingSetImporter = require('./services/DrawingSetImporter');
+const DrawingComparator = require('./services/DrawingComparator');
+const MarkupLayers = require('./services/MarkupLayers');
+const DrawingPins = require('./services/DrawingPins');
+const { validateRegion: validateTitleBlockRegion, normalizeSheetNumber, DEFAULT_REGION: DEFAULT_TITLE_BLOCK_REGION } = require('./services/TitleBlockReader');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -50,6 +83,28 @@ pool.connect(async (err, client, release) => {
   }
 });
 
+// Outbound webhooks: emitEvent enqueues, the worker started in app.listen delivers
+const webhookDispatcher = new WebhookDispatcher(pool);
+
+// Server-Sent Events: one LISTEN connection shared by every /api/v1/stream client
+const eventStreamHub = new EventStreamHub(pool);
+
+// Primavera XER / MS Project XML schedule import and export
+const scheduleInterchange = new ScheduleInterchange(pool);
+
+// Calendar-aware CPM; re-run whenever tasks, logic or calendars change
+const scheduleEngine = new ScheduleEngine(pool);
+
+// Full-text search: uploads queue text extraction, the worker started in app.listen indexes
+const documentTextIndexer = new DocumentTextIndexer(pool, storage);
+
+// Email channel for notifications: instant sends and daily digests per user preference
+// Items that take email replies get a reply+token Reply-To (see inboundEmailProcessor)
+const notificationMailer = new NotificationMailer(pool, emailTransport, {
+  secret: JWT_SECRET,
+  replyAddress: (notification) => inboundEmailProcessor.replyAddress(notification)
+});
+
 // Storage configuration moved to ./storage and ./middleware/upload
 console.log(`🗄️  Storage type: ${storageType}`);
 
@@ -141,11 +196,20 @@ const requireProjectMember = async (req, res, next) => {
   }
 };
 
+const ROLE_HIERARCHY = {
+  'viewer': 1, 'subcontractor': 2, 'engineer': 3,
+  'superintendent': 4, 'project_manager': 5, 'admin': 6
+};
+
 // Enhanced permission checking middleware
+// options.resolveProjectId lets routes keyed by an entity id (no :projectId)
+// look up the owning project, e.g. projectOf('submittal')
 const checkPermission = (requiredRole, options = {}) => {
   return async (req, res, next) => {
     try {
-      const projectId = req.params.projectId || req.body.project_id;
+      const projectId = options.resolveProjectId
+        ? await options.resolveProjectId(req)
+        : req.params.projectId || req.body?.project_id;
 
       if (!projectId && !options.requireProject) {
         return next();
@@ -168,12 +232,8 @@ const checkPermission = (requiredRole, options = {}) => {
       }
 
       const userRole = result.rows[0].role;
-      const roleHierarchy = {
-        'viewer': 1, 'subcontractor': 2, 'engineer': 3,
-        'superintendent': 4, 'project_manager': 5, 'admin': 6
-      };
 
-      if (roleHierarchy[userRole] < roleHierarchy[requiredRole]) {
+      if (ROLE_HIERARCHY[userRole] < ROLE_HIERARCHY[requiredRole]) {
         return res.status(403).json({
           error: `Insufficient permissions. Requires ${requiredRole} role or higher.`,
           user_role: userRole, required_role: requiredRole
@@ -181,7 +241,37 @@ const checkPermission = (requiredRole, options = {}) => {
       }
 
       req.userRole = userRole;
-      req.userRoleLevel = roleHierarchy[userRole];
+      req.userRoleLevel = ROLE_HIERARCHY[userRole];
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Organization-level permission for resources that belong to no project
+// (e.g. global inspection templates); uses the user's highest organization role
+const checkOrganizationRole = (requiredRole) => {
+  return async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        `SELECT role FROM user_organizations WHERE user_id = $1`,
+        [req.user.userId]
+      );
+
+      const userRole = result.rows
+        .map(row => row.role)
+        .sort((a, b) => ROLE_HIERARCHY[b] - ROLE_HIERARCHY[a])[0];
+
+      if (!userRole || ROLE_HIERARCHY[userRole] < ROLE_HIERARCHY[requiredRole]) {
+        return res.status(403).json({
+          error: `Insufficient permissions. Requires organization ${requiredRole} role or higher.`,
+          user_role: userRole || null, required_role: requiredRole
+        });
+      }
+
+      req.userRole = userRole;
+      req.userRoleLevel = ROLE_HIERARCHY[userRole];
       next();
     } catch (error) {
       next(error);
@@ -189,6 +279,60 @@ const checkPermission = (requiredRole, options = {}) => {
   };
 };
 
+// Project lookups for entity-keyed routes, used with checkPermission's resolveProjectId
+const PROJECT_LOOKUPS = {
+  submittal: `SELECT sp.project_id FROM submittals s
+              JOIN submittal_packages sp ON sp.id = s.package_id WHERE s.id = $1`,
+  submittal_review_step: `SELECT sp.project_id FROM submittal_review_steps srs
+                          JOIN submittals s ON s.id = srs.submittal_id
+                          JOIN submittal_packages sp ON sp.id = s.package_id WHERE srs.id = $1`,
+  inspection_run: `SELECT project_id FROM inspection_runs WHERE id = $1`,
+  incident: `SELECT project_id FROM incidents WHERE id = $1`,
+  incident_corrective_action: `SELECT i.project_id FROM incident_corrective_actions ca
+                               JOIN incidents i ON i.id = ca.incident_id WHERE ca.id = $1`,
+  commitment: `SELECT project_id FROM commitments WHERE id = $1`,
+  pay_application: `SELECT c.project_id FROM commitment_invoices ci
+                    JOIN commitments c ON c.id = ci.commitment_id WHERE ci.id = $1`,
+  budget_line: `SELECT project_id FROM budget_lines WHERE id = $1`,
+  change_event: `SELECT project_id FROM change_events WHERE id = $1`,
+  change_order: `SELECT project_id FROM change_orders WHERE id = $1`,
+  work_calendar: `SELECT project_id FROM work_calendars WHERE id = $1`,
+  inbound_email: `SELECT project_id FROM inbound_emails WHERE id = $1`,
+  rfi: `SELECT project_id FROM rfis WHERE id = $1`,
+  punch_item: `SELECT project_id FROM punch_items WHERE id = $1`,
+  observation: `SELECT project_id FROM observations WHERE id = $1`,
+  schedule_task: `SELECT project_id FROM schedule_tasks WHERE id = $1`,
+  task_dependency: `SELECT t.project_id FROM task_dependencies td
+                    JOIN schedule_tasks t ON t.id = td.successor_task_id WHERE td.id = $1`,
+  drawing_set: `SELECT project_id FROM drawing_sets WHERE id = $1`,
+  drawing_sheet: `SELECT ds.project_id FROM drawing_sheets sh
+                  JOIN drawing_sets ds ON ds.id = sh.drawing_set_id WHERE sh.id = $1`,
+  drawing_set_import: `SELECT ds.project_id FROM drawing_set_imports i
+                       JOIN drawing_sets ds ON ds.id = i.drawing_set_id WHERE i.id = $1`,
+  document_version: `SELECT d.project_id FROM document_versions dv
+                     JOIN documents d ON d.id = dv.document_id WHERE dv.id = $1`,
+  drawing_comparison: `SELECT d.project_id FROM drawing_comparisons c
+                       JOIN document_versions dv ON dv.id = c.compare_version_id
+                       JOIN documents d ON d.id = dv.document_id WHERE c.id = $1`,
+  document: `SELECT project_id FROM documents WHERE id = $1`,
+  drawing_markup: `SELECT COALESCE(ds.project_id, d.project_id) as project_id FROM drawing_markups m
+                   LEFT JOIN drawing_sheets sh ON sh.id = m.drawing_sheet_id
+                   LEFT JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+                   LEFT JOIN documents d ON d.id = m.document_id WHERE m.id = $1`,
+  markup_layer: `SELECT project_id FROM drawing_markup_layers WHERE id = $1`,
+  drawing_transmittal: `SELECT project_id FROM drawing_transmittals WHERE id = $1`,
+  asi: `SELECT project_id FROM asis WHERE id = $1`,
+  asi_drawing: `SELECT a.project_id FROM asi_drawings ad JOIN asis a ON a.id = ad.asi_id WHERE ad.id = $1`,
+  schedule_baseline: `SELECT project_id FROM schedule_baselines WHERE id = $1`,
+  schedule_scenario: `SELECT project_id FROM schedule_scenarios WHERE id = $1`,
+  evm_snapshot: `SELECT project_id FROM evm_snapshots WHERE id = $1`
+};
+
+const projectOf = (entityType, param = 'id') => async (req) => {
+  const result = await pool.query(PROJECT_LOOKUPS[entityType], [req.params[param]]);
+  return result.rows[0]?.project_id || null;
+};
+
 // Ownership check middleware
 const checkOwnership = (resourceType) => {
   return async (req, res, next) => {
@@ -248,11 +392,7 @@ const logAudit = async (userId, action, entityType, entityId, changes = null, re
 
 const emitEvent = async (eventType, entityType, entityId, projectId, userId, eventData) => {
   try {
-    await pool.query(
-      `INSERT INTO system_events (event_type, entity_type, entity_id, project_id, user_id, event_data)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [eventType, entityType, entityId, projectId, userId, JSON.stringify(eventData)]
-    );
+    await webhookDispatcher.publish(eventType, entityType, entityId, projectId, userId, eventData);
   } catch (error) {
     console.error('Event error:', error);
   }
@@ -260,16 +400,153 @@ const emitEvent = async (eventType, entityType, entityId, projectId, userId, eve
 
 const createNotification = async (userId, type, title, message, entityType, entityId) => {
   try {
+    // The project scopes email preferences and the link in the email
+    let projectId = null;
+    if (entityId && PROJECT_LOOKUPS[entityType]) {
+      const projectResult = await pool.query(PROJECT_LOOKUPS[entityType], [entityId]);
+      projectId = projectResult.rows[0]?.project_id || null;
+    }
+
     await pool.query(
-      `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [userId, type, title, message, entityType, entityId]
+      `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id, project_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [userId, type, title, message, entityType, entityId, projectId]
     );
+    notificationMailer.kick();
   } catch (error) {
     console.error('Notification error:', error);
   }
 };
 
+// Store an uploaded (multer) file through the storage provider and record it
+// as a document with an initial version. Files built in memory (email
+// attachments) carry a buffer instead of a disk path.
+const saveUploadedDocument = async (file, projectId, userId, fields = {}) => {
+  let filePath;
+  if (storageType === 'local' && file.path) {
+    filePath = file.path;
+  } else {
+    const uploadResult = await storage.uploadBuffer(
+      file.buffer,
+      file.originalname,
+      { mimetype: file.mimetype, projectId }
+    );
+    filePath = uploadResult.path;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO documents (project_id, name, description, category, file_path, file_size, mime_type, uploaded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [projectId, fields.name || file.originalname, fields.description || null, fields.category || null,
+     filePath, file.size, file.mimetype, userId]
+  );
+
+  await pool.query(
+    `INSERT INTO document_versions (document_id, version_number, file_path, file_size, uploaded_by, version_name, is_current)
+     VALUES ($1, 1, $2, $3, $4, 'Original', true)`,
+    [result.rows[0].id, filePath, file.size, userId]
+  );
+
+  documentTextIndexer.kick();
+  return result.rows[0];
+};
+
+// Undo the uploads of a request that failed: multer has already written files
+// to disk (local storage) before the route runs, and documents saved from them
+// before a later step failed would otherwise be left behind
+const discardUploads = async (files = [], documents = []) => {
+  try {
+    if (documents.length > 0) {
+      await pool.query('DELETE FROM documents WHERE id = ANY($1::UUID[])', [documents.map(document => document.id)]);
+    }
+    const paths = new Set([...files.map(file => file.path), ...documents.map(document => document.file_path)].filter(Boolean));
+    for (const filePath of paths) {
+      await storage.deleteFile(filePath);
+    }
+  } catch (error) {
+    console.error('Upload cleanup error (non-critical):', error);
+  }
+};
+
+// Whole-set drawing PDFs: the worker started in app.listen splits them into
+// sheets and reads each title block
+const drawingSetImporter = new DrawingSetImporter(pool, storage, {
+  saveDocument: saveUploadedDocument,
+  emitEvent,
+  createNotification
+});
+
+// Revision comparison between two versions of a sheet, cached per version pair
+const drawingComparator = new DrawingComparator(pool, storage);
+
+// Markup layer visibility (personal, company, published) by project role
+const markupLayers = new MarkupLayers(pool, ROLE_HIERARCHY);
+const markupViewer = (req) => ({ userId: req.user.userId, roleLevel: req.userRoleLevel });
+
+// Punch items, RFIs, observations and photos pinned on drawing sheets
+const drawingPins = new DrawingPins(pool);
+
+// Punch item state machine, responsible companies and sign-off history
+const punchList = new PunchList(pool, ROLE_HIERARCHY, { createNotification });
+
+// Numbered drawing transmittals with role fan-out, download links and receipts
+const drawingTransmittals = new DrawingTransmittals(pool, { roleHierarchy: ROLE_HIERARCHY, createNotification });
+
+// ASI change events, schedule impacts and incorporation
+const asiTracker = new AsiTracker(pool);
+
+// Full baseline snapshots, restore and what-if scenarios
+const scheduleSnapshots = new ScheduleSnapshots(pool);
+
+// Cost-loaded tasks and earned value; the worker started in app.listen takes
+// each project's period-end snapshot
+const earnedValue = new EarnedValue(pool, scheduleEngine);
+
+// RFI ball in court, distribution and business-day deadlines; the deadline
+// worker started in app.listen sends due-soon, overdue and escalation notices
+const rfiTracker = new RfiTracker(pool, scheduleEngine, {
+  createNotification,
+  notifyProjectManagers: (...args) => notifyProjectManagers(...args)
+});
+
+// Email-in: replies to notification emails become RFI responses, submittal
+// review comments and workflow comments. Messages arrive through the
+// LMTP/SMTP listener started in app.listen or POST /api/v1/inbound-email.
+const inboundEmailProcessor = new InboundEmailProcessor(pool, {
+  storage,
+  saveDocument: saveUploadedDocument,
+  discardDocuments: (documents) => discardUploads([], documents),
+  emitEvent,
+  createNotification,
+  rfiTracker,
+  roleLevels: ROLE_HIERARCHY
+});
+const inboundListener = new InboundListener(inboundEmailProcessor);
+
+// Money arithmetic is done in integer cents to avoid floating point drift
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Render rows as CSV; columns are [{ key, header, format? }]. Text that a
+// spreadsheet would run as a formula is prefixed with ' (negative numbers are
+// left as numbers).
+const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(column => escape(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escape(column.format ? column.format(row[column.key], row) : row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
 // AUTH
 app.post('/api/v1/auth/register', async (req, res, next) => {
   try {
@@ -563,6 +840,9 @@ app.post('/api/v1/projects/:projectId/documents', authenticateToken, checkPermis
       [result.rows[0].id, filePath, uploadedFile.size, req.user.userId]
     );
 
+    // New documents start text_status = 'pending'; index now rather than at the next poll
+    documentTextIndexer.kick();
+
     await emitEvent('document.uploaded', 'document', result.rows[0].id, req.params.projectId, req.user.userId, result.rows[0]);
     res.status(201).json({ document: result.rows[0] });
   } catch (error) {
@@ -680,18 +960,36 @@ app.get('/api/v1/projects/:projectId/documents/favorites', authenticateToken, as
 });
 
 // Advanced document search
-app.get('/api/v1/projects/:projectId/documents/search', authenticateToken, async (req, res, next) => {
-  try {
-    const { q, folder_id, category, tags, uploader_id, date_from, date_to, file_type, sort = 'date', order = 'desc' } = req.query;
+// q runs a full-text search over names, descriptions and extracted file text
+// (web-search syntax: "exact phrase", or, -exclude) and still matches partial
+// names such as drawing numbers. Results are ranked by relevance unless another
+// sort is requested; each carries the best matching pages with snippets in
+// which matches are wrapped in <mark></mark> (the rest of the snippet is HTML-escaped).
+app.get('/api/v1/projects/:projectId/documents/search', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const { q, folder_id, category, tags, uploader_id, date_from, date_to, file_type, order = 'desc' } = req.query;
+    const sort = req.query.sort || (q ? 'relevance' : 'date');
+    // Text searches page by default; plain filtered listings return everything unless asked
+    const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200) : (q ? 50 : null);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
     let conditions = ['d.project_id = $1'];
     let params = [req.params.projectId];
     let paramIndex = 2;
+    let rankSelect = '';
 
     if (q) {
-      conditions.push(`(d.name ILIKE $${paramIndex} OR d.description ILIKE $${paramIndex})`);
-      params.push(`%${q}%`);
-      paramIndex++;
+      conditions.push(`(d.search_vector @@ websearch_to_tsquery('english', $${paramIndex})
+        OR EXISTS (SELECT 1 FROM document_text_pages p
+                   WHERE p.document_id = d.id AND p.search_vector @@ websearch_to_tsquery('english', $${paramIndex}))
+        OR d.name ILIKE $${paramIndex + 1} OR d.description ILIKE $${paramIndex + 1})`);
+      rankSelect = `, ts_rank(d.search_vector, websearch_to_tsquery('english', $${paramIndex}))
+        + COALESCE((SELECT MAX(ts_rank_cd(p.search_vector, websearch_to_tsquery('english', $${paramIndex})))
+                    FROM document_text_pages p
+                    WHERE p.document_id = d.id AND p.search_vector @@ websearch_to_tsquery('english', $${paramIndex})), 0)
+        + CASE WHEN d.name ILIKE $${paramIndex + 1} THEN 1 ELSE 0 END as rank`;
+      params.push(q, `%${q}%`);
+      paramIndex += 2;
     }
 
     if (folder_id) {
@@ -737,16 +1035,121 @@ app.get('/api/v1/projects/:projectId/documents/search', authenticateToken, async
       paramIndex++;
     }
 
-    const sortField = sort === 'name' ? 'd.name' : sort === 'size' ? 'd.file_size' : 'd.uploaded_at';
-    const sortOrder = order === 'asc' ? 'ASC' : 'DESC';
+    const sortField = sort === 'relevance' && q ? 'rank' : sort === 'name' ? 'd.name' : sort === 'size' ? 'd.file_size' : 'd.uploaded_at';
+    const sortOrder = order === 'asc' && sortField !== 'rank' ? 'ASC' : 'DESC';
 
-    const query = `SELECT d.*, u.first_name, u.last_name FROM documents d
+    const query = `SELECT d.*, u.first_name, u.last_name${rankSelect},
+                          COUNT(*) OVER() as total_count
+                   FROM documents d
                    LEFT JOIN users u ON d.uploaded_by = u.id
                    WHERE ${conditions.join(' AND ')}
-                   ORDER BY ${sortField} ${sortOrder}`;
+                   ORDER BY ${sortField} ${sortOrder}, d.uploaded_at DESC
+                   LIMIT ${limit || 'ALL'} OFFSET ${offset}`;
 
     const result = await pool.query(query, params);
-    res.json({ documents: result.rows });
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0;
+    const documents = result.rows.map(({ search_vector, total_count, ...document }) => document);
+
+    if (q && documents.length > 0) {
+      // Best three pages per document; \u0001 / \u0002 mark matches until the snippet is escaped
+      const pagesResult = await pool.query(
+        `SELECT document_id, page_number, rank, page_matches,
+                ts_headline('english', content, websearch_to_tsquery('english', $2),
+                            'StartSel=\u0001, StopSel=\u0002, MaxFragments=2, MaxWords=30, MinWords=12, FragmentDelimiter=" ... "') as snippet
+         FROM (
+           SELECT p.document_id, p.page_number, p.content,
+                  ts_rank_cd(p.search_vector, websearch_to_tsquery('english', $2)) as rank,
+                  COUNT(*) OVER (PARTITION BY p.document_id) as page_matches,
+                  ROW_NUMBER() OVER (PARTITION BY p.document_id
+                                     ORDER BY ts_rank_cd(p.search_vector, websearch_to_tsquery('english', $2)) DESC, p.page_number) as position
+           FROM document_text_pages p
+           WHERE p.document_id = ANY($1::UUID[])
+             AND p.search_vector @@ websearch_to_tsquery('english', $2)
+         ) ranked
+         WHERE position <= 3
+         ORDER BY document_id, rank DESC`,
+        [documents.map(document => document.id), q]
+      );
+
+      const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+      const matchesByDocument = new Map();
+      for (const page of pagesResult.rows) {
+        if (!matchesByDocument.has(page.document_id)) matchesByDocument.set(page.document_id, { total: parseInt(page.page_matches, 10), pages: [] });
+        matchesByDocument.get(page.document_id).pages.push({
+          page_number: page.page_number,
+          snippet: escapeHtml(page.snippet).replace(/\u0001/g, '<mark>').replace(/\u0002/g, '</mark>'),
+          rank: Number(page.rank)
+        });
+      }
+      for (const document of documents) {
+        const matches = matchesByDocument.get(document.id);
+        document.rank = Number(document.rank);
+        document.matching_page_count = matches ? matches.total : 0;
+        document.matches = matches ? matches.pages : [];
+      }
+    }
+
+    res.json({ documents, total, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Extracted text of a document's current version, page by page (?page=N for one page)
+app.get('/api/v1/documents/:id/text', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('document'), requireProject: true }), async (req, res, next) => {
+  try {
+    const documentResult = await pool.query(
+      'SELECT id, name, text_status, text_error, text_page_count, text_indexed_at FROM documents WHERE id = $1',
+      [req.params.id]
+    );
+    if (documentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const page = req.query.page ? parseInt(req.query.page, 10) : null;
+    const pagesResult = await pool.query(
+      `SELECT page_number, content FROM document_text_pages
+       WHERE document_id = $1 AND ($2::INT IS NULL OR page_number = $2)
+       ORDER BY page_number`,
+      [req.params.id, page]
+    );
+
+    res.json({ document: documentResult.rows[0], pages: pagesResult.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Text indexing progress for a project: documents per text_status
+app.get('/api/v1/projects/:projectId/documents/index-status', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const failedResult = await pool.query(
+      `SELECT id, name, text_error, text_indexed_at FROM documents
+       WHERE project_id = $1 AND text_status = 'failed'
+       ORDER BY text_indexed_at DESC LIMIT 50`,
+      [req.params.projectId]
+    );
+    res.json({ status: await documentTextIndexer.status(req.params.projectId), failed: failedResult.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-extract text: { document_ids } or { status: 'failed' } (default: every document in the project)
+app.post('/api/v1/projects/:projectId/documents/reindex', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+  try {
+    const { document_ids, status } = req.body;
+    const result = await pool.query(
+      `SELECT id FROM documents
+       WHERE project_id = $1
+         AND ($2::UUID[] IS NULL OR id = ANY($2::UUID[]))
+         AND ($3::TEXT IS NULL OR text_status = $3)`,
+      [req.params.projectId, Array.isArray(document_ids) ? document_ids : null, status || null]
+    );
+
+    const queued = await documentTextIndexer.requeue(result.rows.map(row => row.id));
+    await logAudit(req.user.userId, 'reindex', 'project', req.params.projectId, { queued, status: status || null }, req);
+    res.status(202).json({ queued });
   } catch (error) {
     next(error);
   }
@@ -924,9 +1327,10 @@ app.post('/api/v1/documents/:id/versions', authenticateToken, checkPermission('s
 
     // Update main document file_path to new version
     await pool.query(
-      'UPDATE documents SET file_path = $1, file_size = $2 WHERE id = $3',
-      [filePath, uploadedFile.size, req.params.id]
+      'UPDATE documents SET file_path = $1, file_size = $2, mime_type = $3 WHERE id = $4',
+      [filePath, uploadedFile.size, uploadedFile.mimetype, req.params.id]
     );
+    await documentTextIndexer.requeue([req.params.id]);
 
     res.status(201).json({ version: result.rows[0] });
   } catch (error) {
@@ -1013,6 +1417,7 @@ app.put('/api/v1/documents/:id/versions/:versionId/set-current', authenticateTok
       'UPDATE documents SET file_path = $1, file_size = $2 WHERE id = $3',
       [result.rows[0].file_path, result.rows[0].file_size, req.params.id]
     );
+    await documentTextIndexer.requeue([req.params.id]);
 
     res.json({ version: result.rows[0] });
   } catch (error) {
@@ -1246,6 +1651,7 @@ app.post('/api/v1/projects/:projectId/documents/bulk-upload', authenticateToken,
       }
     }
 
+    documentTextIndexer.kick();
     res.status(201).json({ uploaded, failed });
   } catch (error) {
     next(error);
@@ -1493,40 +1899,117 @@ app.get('/api/v1/documents/:id/download', async (req, res, next) => {
 });
 
 // RFIS
+const RFI_FIELDS = ['title', 'question', 'priority', 'due_date', 'response_days', 'assigned_to', 'cost_impact', 'schedule_impact'];
+const RFI_TRANSITIONS = { 'draft': ['open'], 'open': ['answered', 'closed'], 'answered': ['closed'], 'closed': [] };
+
+// Sequential numbers per project, shared by the create routes and markup promotion
+const nextRfiNumber = async (db, projectId) => {
+  const numberResult = await db.query('SELECT COUNT(*) as count FROM rfis WHERE project_id = $1', [projectId]);
+  return `RFI-${String(parseInt(numberResult.rows[0].count) + 1).padStart(3, '0')}`;
+};
+
+const nextPunchNumber = async (db, projectId) => {
+  const numberResult = await db.query('SELECT COUNT(*) as count FROM punch_items WHERE project_id = $1', [projectId]);
+  return `PUNCH-${String(parseInt(numberResult.rows[0].count) + 1).padStart(4, '0')}`;
+};
+
+const validateRfiFields = (fields) => {
+  if (fields.response_days !== undefined && fields.response_days !== null
+    && !(Number.isInteger(Number(fields.response_days)) && Number(fields.response_days) > 0)) {
+    return 'response_days must be a positive whole number';
+  }
+  return null;
+};
+
 app.post('/api/v1/projects/:projectId/rfis', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    const { title, question, priority, due_date, assigned_to } = req.body;
-    const numberResult = await pool.query('SELECT COUNT(*) as count FROM rfis WHERE project_id = $1', [req.params.projectId]);
-    const rfi_number = `RFI-${String(parseInt(numberResult.rows[0].count) + 1).padStart(3, '0')}`;
+    const { title, question, priority, due_date, assigned_to, response_days, distribution, status } = req.body;
+    if (status && !['draft', 'open'].includes(status)) {
+      return res.status(400).json({ error: 'An RFI is created as draft or open' });
+    }
+    const validationError = validateRfiFields(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
 
-    const result = await pool.query(
-      `INSERT INTO rfis (project_id, rfi_number, title, question, status, priority, due_date, created_by, assigned_to, ball_in_court)
-       VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $8) RETURNING *`,
-      [req.params.projectId, rfi_number, title, question, priority || 'normal', due_date, req.user.userId, assigned_to]
+    let entries = [];
+    if (distribution !== undefined) {
+      const parsed = RfiTracker.parseDistribution(distribution);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      entries = parsed.entries;
+    }
+
+    const rfi_number = await nextRfiNumber(pool, req.params.projectId);
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO rfis (project_id, rfi_number, title, question, status, priority, due_date, response_days, created_by, assigned_to)
+       VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $9) RETURNING *`,
+      [req.params.projectId, rfi_number, title, question, priority || 'normal', due_date, response_days || null, req.user.userId, assigned_to]
     );
 
-    const rfi = result.rows[0];
+    // A draft sits with its author until it is issued
+    let rfi = result.rows[0];
+    await rfiTracker.setBallInCourt(client, rfi, req.user.userId, 'draft', req.user.userId);
+
+    const distributionResult = await rfiTracker.setDistribution(client, rfi, entries, req.user.userId);
+    if (distributionResult.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: distributionResult.error });
+    }
+
+    let handoff = null;
+    if (status === 'open') {
+      ({ rfi, handoff } = await rfiTracker.transition(client, rfi, 'open', req.user.userId));
+    }
+    await client.query('COMMIT');
+
     await emitEvent('rfi.created', 'rfi', rfi.id, req.params.projectId, req.user.userId, rfi);
     if (assigned_to) {
       await createNotification(assigned_to, 'assignment', 'New RFI Assigned', `RFI ${rfi_number}: ${title}`, 'rfi', rfi.id);
     }
+    if (rfi.status === 'open') {
+      await rfiTracker.notifyDistribution(rfi, entries.filter(entry => entry.user_id !== assigned_to), req.user.userId);
+      if (handoff && handoff.to !== assigned_to) await rfiTracker.notifyHandoff(rfi, handoff, req.user.userId);
+    }
+
+    rfi.distribution = distributionResult.distribution;
     res.status(201).json({ rfi });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
 app.get('/api/v1/projects/:projectId/rfis', authenticateToken, async (req, res, next) => {
   try {
+    const conditions = ['r.project_id = $1'];
+    const params = [req.params.projectId];
+
+    if (req.query.status) {
+      params.push(req.query.status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+    if (req.query.ball_in_court) {
+      params.push(req.query.ball_in_court === 'me' ? req.user.userId : req.query.ball_in_court);
+      conditions.push(`r.ball_in_court = $${params.length}`);
+    }
+    if (req.query.overdue === 'true') {
+      conditions.push(`r.status = 'open' AND r.due_date < CURRENT_DATE`);
+    }
+
     const result = await pool.query(
       `SELECT r.*, 
               u1.first_name || ' ' || u1.last_name as created_by_name,
-              u2.first_name || ' ' || u2.last_name as assigned_to_name
+              u2.first_name || ' ' || u2.last_name as assigned_to_name,
+              u3.first_name || ' ' || u3.last_name as ball_in_court_name
        FROM rfis r
        LEFT JOIN users u1 ON r.created_by = u1.id
        LEFT JOIN users u2 ON r.assigned_to = u2.id
-       WHERE r.project_id = $1 ORDER BY r.created_at DESC`,
-      [req.params.projectId]
+       LEFT JOIN users u3 ON r.ball_in_court = u3.id
+       WHERE ${conditions.join(' AND ')} ORDER BY r.created_at DESC`,
+      params
     );
     res.json({ rfis: result.rows });
   } catch (error) {
@@ -1534,15 +2017,81 @@ app.get('/api/v1/projects/:projectId/rfis', authenticateToken, async (req, res,
   }
 });
 
+// RFI log: open items grouped by who holds the ball, with business-day ages
+app.get('/api/v1/projects/:projectId/rfis/log', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const statuses = req.query.include_closed === 'true' ? ['draft', 'open', 'answered', 'closed'] : ['draft', 'open', 'answered'];
+    const result = await pool.query(
+      `SELECT r.*,
+              u1.first_name || ' ' || u1.last_name as created_by_name,
+              u2.first_name || ' ' || u2.last_name as assigned_to_name,
+              u3.first_name || ' ' || u3.last_name as ball_in_court_name
+       FROM rfis r
+       LEFT JOIN users u1 ON r.created_by = u1.id
+       LEFT JOIN users u2 ON r.assigned_to = u2.id
+       LEFT JOIN users u3 ON r.ball_in_court = u3.id
+       WHERE r.project_id = $1 AND r.status = ANY($2::TEXT[])
+       ORDER BY r.due_date NULLS LAST, r.rfi_number`,
+      [req.params.projectId, statuses]
+    );
+
+    const calendar = await scheduleEngine.projectCalendar(req.params.projectId);
+    const rows = result.rows.map(rfi => ({ ...rfi, ...RfiTracker.ages(calendar, rfi) }));
+
+    if (req.query.format === 'csv') {
+      const csv = toCsv([
+        { key: 'ball_in_court_name', header: 'Ball In Court', format: value => value || 'Nobody' },
+        { key: 'rfi_number', header: 'RFI No.' },
+        { key: 'title', header: 'Title' },
+        { key: 'status', header: 'Status' },
+        { key: 'priority', header: 'Priority' },
+        { key: 'assigned_to_name', header: 'Assigned To' },
+        { key: 'created_by_name', header: 'Created By' },
+        { key: 'due_date', header: 'Due Date', format: value => (value ? WorkCalendar.fromDayNumber(WorkCalendar.toDayNumber(value)) : '') },
+        { key: 'days_open', header: 'Days Open' },
+        { key: 'days_in_court', header: 'Days In Court' },
+        { key: 'days_overdue', header: 'Days Overdue' }
+      ], [...rows].sort((a, b) => (a.ball_in_court_name || '~').localeCompare(b.ball_in_court_name || '~')));
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="rfi-log-${req.params.projectId}.csv"`);
+      return res.send(csv);
+    }
+
+    const groups = new Map();
+    for (const row of rows) {
+      const key = row.ball_in_court || 'none';
+      if (!groups.has(key)) {
+        groups.set(key, { ball_in_court: row.ball_in_court, ball_in_court_name: row.ball_in_court_name, count: 0, overdue: 0, rfis: [] });
+      }
+      const group = groups.get(key);
+      group.count += 1;
+      if (row.days_overdue > 0) group.overdue += 1;
+      group.rfis.push(row);
+    }
+
+    res.json({
+      summary: {
+        total: rows.length,
+        overdue: rows.filter(row => row.days_overdue > 0).length
+      },
+      groups: [...groups.values()].sort((a, b) => b.overdue - a.overdue || b.count - a.count)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 app.get('/api/v1/rfis/:id', authenticateToken, async (req, res, next) => {
   try {
     const result = await pool.query(
       `SELECT r.*, 
               u1.first_name || ' ' || u1.last_name as created_by_name,
-              u2.first_name || ' ' || u2.last_name as assigned_to_name
+              u2.first_name || ' ' || u2.last_name as assigned_to_name,
+              u3.first_name || ' ' || u3.last_name as ball_in_court_name
        FROM rfis r
        LEFT JOIN users u1 ON r.created_by = u1.id
        LEFT JOIN users u2 ON r.assigned_to = u2.id
+       LEFT JOIN users u3 ON r.ball_in_court = u3.id
        WHERE r.id = $1`,
       [req.params.id]
     );
@@ -1557,108 +2106,304 @@ app.get('/api/v1/rfis/:id', authenticateToken, async (req, res, next) => {
        WHERE rr.rfi_id = $1 ORDER BY rr.responded_at ASC`,
       [req.params.id]
     );
+    const history = await pool.query(
+      `SELECT l.user_id, u.first_name || ' ' || u.last_name as name, l.reason, l.assigned_at, l.released_at
+       FROM rfi_ball_in_court_log l
+       JOIN users u ON u.id = l.user_id
+       WHERE l.rfi_id = $1 ORDER BY l.assigned_at ASC`,
+      [req.params.id]
+    );
 
     rfi.responses = responses.rows;
+    rfi.distribution = await rfiTracker.getDistribution(pool, rfi.id);
+    rfi.ball_in_court_history = history.rows;
+    Object.assign(rfi, RfiTracker.ages(await scheduleEngine.projectCalendar(rfi.project_id), rfi));
+    res.json({ rfi });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit an RFI and its distribution list (the author, or engineer and above)
+app.put('/api/v1/rfis/:id', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('rfi') }), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const validationError = validateRfiFields(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    let entries = null;
+    if (req.body.distribution !== undefined) {
+      const parsed = RfiTracker.parseDistribution(req.body.distribution);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      entries = parsed.entries;
+    }
+
+    const fields = RFI_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0 && !entries) return res.status(400).json({ error: 'No fields to update' });
+
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM rfis WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'RFI not found' });
+    }
+    let rfi = current.rows[0];
+
+    if (rfi.created_by !== req.user.userId && req.userRoleLevel < ROLE_HIERARCHY.engineer) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only the author or an engineer and above can edit this RFI' });
+    }
+    if (rfi.status === 'closed') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Closed RFIs cannot be edited' });
+    }
+
+    if (fields.length > 0) {
+      // A new due date earns fresh due-soon and overdue notices
+      const dueDateChanged = fields.includes('due_date');
+      const updated = await client.query(
+        `UPDATE rfis
+         SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+             ${dueDateChanged ? 'due_soon_notified_at = NULL, overdue_notified_at = NULL, escalated_at = NULL,' : ''}
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${fields.length + 1} RETURNING *`,
+        [...fields.map(field => req.body[field]), rfi.id]
+      );
+      rfi = updated.rows[0];
+    }
+
+    let added = [];
+    if (entries) {
+      const distributionResult = await rfiTracker.setDistribution(client, rfi, entries, req.user.userId);
+      if (distributionResult.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: distributionResult.error });
+      }
+      added = distributionResult.added;
+    }
+
+    // The new assignee takes over an RFI that is waiting on a response
+    let handoff = null;
+    if (rfi.status === 'open' && rfi.ball_in_court !== rfi.created_by && (fields.includes('assigned_to') || entries)) {
+      const holder = await rfiTracker.holderForStatus(client, rfi, 'open');
+      handoff = await rfiTracker.setBallInCourt(client, rfi, holder, 'reassigned', req.user.userId);
+    }
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, 'update', 'rfi', rfi.id,
+      { ...Object.fromEntries(fields.map(field => [field, req.body[field]])), ...(entries ? { distribution: entries } : {}) }, req);
+    if (rfi.status === 'open') {
+      await rfiTracker.notifyDistribution(rfi, added, req.user.userId);
+      await rfiTracker.notifyHandoff(rfi, handoff, req.user.userId);
+    }
+
+    rfi.distribution = await rfiTracker.getDistribution(pool, rfi.id);
     res.json({ rfi });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.put('/api/v1/rfis/:id/status', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.put('/api/v1/rfis/:id/status', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('rfi') }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
     const { status } = req.body;
-    const validTransitions = { 'draft': ['open'], 'open': ['answered', 'closed'], 'answered': ['closed'], 'closed': [] };
-    
-    const currentResult = await pool.query('SELECT status, project_id FROM rfis WHERE id = $1', [req.params.id]);
-    if (currentResult.rows.length === 0) return res.status(404).json({ error: 'RFI not found' });
+
+    await client.query('BEGIN');
+    const currentResult = await client.query('SELECT * FROM rfis WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (currentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'RFI not found' });
+    }
 
     const currentStatus = currentResult.rows[0].status;
-    if (!validTransitions[currentStatus].includes(status)) {
+    if (!RFI_TRANSITIONS[currentStatus].includes(status)) {
+      await client.query('ROLLBACK');
       return res.status(400).json({ error: `Cannot transition from ${currentStatus} to ${status}` });
     }
 
-    const result = await pool.query(
-      `UPDATE rfis SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
-      [status, req.params.id]
-    );
+    const { rfi, handoff } = await rfiTracker.transition(client, currentResult.rows[0], status, req.user.userId);
+    await client.query('COMMIT');
 
-    await emitEvent('rfi.status_changed', 'rfi', req.params.id, currentResult.rows[0].project_id, req.user.userId, { old_status: currentStatus, new_status: status });
-    res.json({ rfi: result.rows[0] });
+    await emitEvent('rfi.status_changed', 'rfi', rfi.id, rfi.project_id, req.user.userId, { old_status: currentStatus, new_status: status });
+    if (status === 'open') {
+      const distribution = await rfiTracker.getDistribution(pool, rfi.id);
+      await rfiTracker.notifyDistribution(rfi, distribution.filter(entry => entry.user_id !== handoff?.to), req.user.userId);
+    }
+    await rfiTracker.notifyHandoff(rfi, handoff, req.user.userId);
+    res.json({ rfi });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.post('/api/v1/rfis/:id/responses', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+app.post('/api/v1/rfis/:id/responses', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('rfi') }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
     const { response_text, is_official } = req.body;
-    const rfiResult = await pool.query('SELECT project_id FROM rfis WHERE id = $1', [req.params.id]);
-    if (rfiResult.rows.length === 0) return res.status(404).json({ error: 'RFI not found' });
 
-    const result = await pool.query(
+    await client.query('BEGIN');
+    const rfiResult = await client.query('SELECT * FROM rfis WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (rfiResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'RFI not found' });
+    }
+
+    const result = await client.query(
       `INSERT INTO rfi_responses (rfi_id, response_text, is_official, responded_by)
        VALUES ($1, $2, $3, $4) RETURNING *`,
       [req.params.id, response_text, is_official || false, req.user.userId]
     );
+    const { rfi, handoff } = await rfiTracker.recordResponse(client, rfiResult.rows[0], result.rows[0], req.user.userId);
+    await client.query('COMMIT');
+
+    await emitEvent('rfi.response_added', 'rfi', rfi.id, rfi.project_id, req.user.userId,
+      { rfi_response_id: result.rows[0].id, is_official: result.rows[0].is_official });
+    await rfiTracker.notifyHandoff(rfi, handoff, req.user.userId);
+    res.status(201).json({ response: result.rows[0], ball_in_court: rfi.ball_in_court });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
 
-    if (is_official) {
-      await pool.query('UPDATE rfis SET status = $1 WHERE id = $2', ['answered', req.params.id]);
+// EMAIL-IN
+// Raw MIME (.eml) posted by a mail provider's inbound webhook or an operator.
+// Authenticated with the shared EMAIL_INBOUND_SECRET rather than a user token:
+// the From address decides who the reply is from.
+app.post('/api/v1/inbound-email', express.raw({ type: () => true, limit: '25mb' }), async (req, res, next) => {
+  try {
+    const secret = process.env.EMAIL_INBOUND_SECRET;
+    const provided = Buffer.from(String(req.headers['x-inbound-email-secret'] || ''));
+    if (!secret) {
+      return res.status(404).json({ error: 'Email-in is not configured' });
+    }
+    // timingSafeEqual throws on buffers of different byte lengths
+    const expected = Buffer.from(secret);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ error: 'Invalid inbound email secret' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Request body must be the raw message (message/rfc822)' });
     }
 
-    res.status(201).json({ response: result.rows[0] });
+    const inbound = await inboundEmailProcessor.process(req.body, { source: 'upload' });
+    const { body_text, ...summary } = inbound;
+    res.status(inbound.status === 'processed' && !inbound.duplicate ? 201 : 200).json({ inbound_email: summary });
   } catch (error) {
     next(error);
   }
 });
 
-// DRAWINGS
-app.post('/api/v1/projects/:projectId/drawing-sets', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.get('/api/v1/projects/:projectId/inbound-emails', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
   try {
-    const { name, discipline, set_number, issue_date, revision } = req.body;
+    const { status, entity_type, entity_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
     const result = await pool.query(
-      `INSERT INTO drawing_sets (project_id, name, discipline, set_number, issue_date, revision, status, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, 'draft', $7) RETURNING *`,
-      [req.params.projectId, name, discipline, set_number, issue_date, revision, req.user.userId]
+      `SELECT ie.*, u.first_name || ' ' || u.last_name as sender_name
+       FROM inbound_emails ie
+       LEFT JOIN users u ON u.id = ie.sender_user_id
+       WHERE ie.project_id = $1
+         AND ($2::VARCHAR IS NULL OR ie.status = $2)
+         AND ($3::VARCHAR IS NULL OR ie.entity_type = $3)
+         AND ($4::UUID IS NULL OR ie.entity_id = $4)
+       ORDER BY ie.received_at DESC
+       LIMIT $5`,
+      [req.params.projectId, status || null, entity_type || null, entity_id || null, limit]
     );
-    res.status(201).json({ drawing_set: result.rows[0] });
+    res.json({ inbound_emails: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/drawing-sets', authenticateToken, async (req, res, next) => {
+// The original message as received
+app.get('/api/v1/inbound-emails/:id/raw', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('inbound_email'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT ds.*, u.first_name || ' ' || u.last_name as created_by_name, COUNT(sh.id) as sheet_count
-       FROM drawing_sets ds
-       LEFT JOIN users u ON ds.created_by = u.id
-       LEFT JOIN drawing_sheets sh ON ds.id = sh.drawing_set_id
-       WHERE ds.project_id = $1
-       GROUP BY ds.id, u.first_name, u.last_name ORDER BY ds.created_at DESC`,
-      [req.params.projectId]
-    );
-    res.json({ drawing_sets: result.rows });
+    const result = await pool.query('SELECT raw_path FROM inbound_emails WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0 || !result.rows[0].raw_path) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const raw = await storage.downloadFile(result.rows[0].raw_path);
+    res.setHeader('Content-Type', 'message/rfc822');
+    res.setHeader('Content-Disposition', `attachment; filename="inbound-${req.params.id}.eml"`);
+    res.send(raw);
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/drawing-sets/:id', authenticateToken, async (req, res, next) => {
-  try {
+// DRAWINGS
+app.post('/api/v1/projects/:projectId/drawing-sets', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const { name, discipline, set_number, issue_date, revision, title_block_region } = req.body;
+    if (title_block_region) {
+      const regionError = validateTitleBlockRegion(title_block_region);
+      if (regionError) return res.status(400).json({ error: regionError });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO drawing_sets (project_id, name, discipline, set_number, issue_date, revision, status, created_by, title_block_region)
+       VALUES ($1, $2, $3, $4, $5, $6, 'draft', $7, $8) RETURNING *`,
+      [req.params.projectId, name, discipline, set_number, issue_date, revision, req.user.userId,
+       title_block_region ? JSON.stringify(title_block_region) : null]
+    );
+    res.status(201).json({ drawing_set: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/drawing-sets', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ds.*, u.first_name || ' ' || u.last_name as created_by_name,
+              COUNT(sh.id) FILTER (WHERE sh.status = 'current') as sheet_count,
+              COUNT(sh.id) FILTER (WHERE sh.status = 'pending_review') as review_count
+       FROM drawing_sets ds
+       LEFT JOIN users u ON ds.created_by = u.id
+       LEFT JOIN drawing_sheets sh ON ds.id = sh.drawing_set_id
+       WHERE ds.project_id = $1
+       GROUP BY ds.id, u.first_name, u.last_name ORDER BY ds.created_at DESC`,
+      [req.params.projectId]
+    );
+    res.json({ drawing_sets: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/drawing-sets/:id', authenticateToken, async (req, res, next) => {
+  try {
     const result = await pool.query(
       `SELECT ds.* FROM drawing_sets ds WHERE ds.id = $1`,
       [req.params.id]
     );
     if (result.rows.length === 0) return res.status(404).json({ error: 'Drawing set not found' });
     
+    // Superseded revisions are history; list them only when asked
     const sheetsResult = await pool.query(
-      `SELECT sh.* FROM drawing_sheets sh WHERE sh.drawing_set_id = $1 ORDER BY sh.sheet_number`,
+      `SELECT sh.* FROM drawing_sheets sh
+       WHERE sh.drawing_set_id = $1 AND ($2 OR sh.status <> 'superseded')
+       ORDER BY sh.sheet_number, sh.created_at`,
+      [req.params.id, req.query.include_superseded === 'true']
+    );
+    const importsResult = await pool.query(
+      `SELECT * FROM drawing_set_imports WHERE drawing_set_id = $1 ORDER BY created_at DESC LIMIT 10`,
       [req.params.id]
     );
-    
+
     const drawingSet = result.rows[0];
     drawingSet.sheets = sheetsResult.rows;
+    drawingSet.imports = importsResult.rows;
     res.json({ drawing_set: drawingSet });
   } catch (error) {
     next(error);
@@ -1667,7 +2412,11 @@ app.get('/api/v1/drawing-sets/:id', authenticateToken, async (req, res, next) =>
 
 app.post('/api/v1/drawing-sets/:setId/sheets', authenticateToken, checkPermission('engineer'), upload.single('file'), async (req, res, next) => {
   try {
-    const { sheet_number, title, discipline, page_number } = req.body;
+    const { sheet_number, title, discipline, page_number, revision } = req.body;
+    if (!sheet_number || !title) return res.status(400).json({ error: 'sheet_number and title are required' });
+
+    const setResult = await pool.query('SELECT project_id FROM drawing_sets WHERE id = $1', [req.params.setId]);
+    if (setResult.rows.length === 0) return res.status(404).json({ error: 'Drawing set not found' });
     let documentVersionId = null;
 
     if (req.file) {
@@ -1701,25 +2450,209 @@ app.post('/api/v1/drawing-sets/:setId/sheets', authenticateToken, checkPermissio
       documentVersionId = versionResult.rows[0].id;
     }
     
+    // A sheet number already current in the project is a new revision of it
+    const client = await pool.connect();
+    let placed;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO drawing_sheets (drawing_set_id, sheet_number, title, discipline, page_number, document_version_id, revision, status, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending_review', $8) RETURNING *`,
+        [req.params.setId, sheet_number, title, discipline, page_number, documentVersionId, revision || null, req.user.userId]
+      );
+      placed = await drawingSetImporter.publish(client, result.rows[0], setResult.rows[0].project_id);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({ sheet: placed.sheet, superseded: placed.superseded });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload a whole drawing set PDF; the importer splits it into sheets in the background
+app.post('/api/v1/drawing-sets/:setId/import', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_set', 'setId') }), upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'file is required' });
+    if (req.file.mimetype !== 'application/pdf' && path.extname(req.file.originalname).toLowerCase() !== '.pdf') {
+      return res.status(400).json({ error: 'Drawing sets must be uploaded as a PDF' });
+    }
+
+    // Multipart bodies carry the region as a JSON string
+    let region = req.body.title_block_region || null;
+    if (typeof region === 'string') {
+      try {
+        region = JSON.parse(region);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'title_block_region must be JSON: { x, y, width, height }' });
+      }
+    }
+    if (region) {
+      const regionError = validateTitleBlockRegion(region);
+      if (regionError) return res.status(400).json({ error: regionError });
+    }
+
+    const setResult = await pool.query('SELECT * FROM drawing_sets WHERE id = $1', [req.params.setId]);
+    if (setResult.rows.length === 0) return res.status(404).json({ error: 'Drawing set not found' });
+    const drawingSet = setResult.rows[0];
+
+    const document = await saveUploadedDocument(req.file, drawingSet.project_id, req.user.userId, { category: 'drawing_set' });
+    const job = await drawingSetImporter.queue(drawingSet, document, req.user.userId, region);
+
+    await logAudit(req.user.userId, 'import', 'drawing_set', drawingSet.id, { import_id: job.id, document_id: document.id }, req);
+    res.status(202).json({ import: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/drawing-set-imports/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_set_import') }), async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT * FROM drawing_set_imports WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Import not found' });
+
+    const sheets = await pool.query(
+      `SELECT id, sheet_number, title, revision, discipline, page_number, status, extraction_confidence, supersedes_id,
+              extraction->'reasons' as review_reasons
+       FROM drawing_sheets WHERE import_id = $1 ORDER BY page_number`,
+      [req.params.id]
+    );
+
+    const job = result.rows[0];
+    job.sheets = sheets.rows;
+    res.json({ import: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run an import again (e.g. with a corrected title-block region); only pages still in review are re-read
+app.post('/api/v1/drawing-set-imports/:id/rerun', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_set_import') }), async (req, res, next) => {
+  try {
+    const region = req.body.title_block_region || null;
+    if (region) {
+      const regionError = validateTitleBlockRegion(region);
+      if (regionError) return res.status(400).json({ error: regionError });
+    }
+
+    const existing = await pool.query('SELECT status FROM drawing_set_imports WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'Import not found' });
+
+    const job = await drawingSetImporter.requeue(req.params.id, region);
+    if (!job) return res.status(409).json({ error: `The import is still ${existing.rows[0].status}` });
+    res.status(202).json({ import: job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/v1/drawing-sets/:id/title-block-region', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_set') }), async (req, res, next) => {
+  try {
+    const region = req.body.title_block_region || null;
+    if (region) {
+      const regionError = validateTitleBlockRegion(region);
+      if (regionError) return res.status(400).json({ error: regionError });
+    }
+
     const result = await pool.query(
-      `INSERT INTO drawing_sheets (drawing_set_id, sheet_number, title, discipline, page_number, document_version_id)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [req.params.setId, sheet_number, title, discipline, page_number, documentVersionId]
+      `UPDATE drawing_sets SET title_block_region = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      [req.params.id, region ? JSON.stringify(region) : null]
     );
-    
-    res.status(201).json({ sheet: result.rows[0] });
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Drawing set not found' });
+    res.json({ drawing_set: result.rows[0], default_region: DEFAULT_TITLE_BLOCK_REGION });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Review queue: imported pages whose title block could not be read with confidence
+app.get('/api/v1/projects/:projectId/drawing-sheets/review', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT sh.*, ds.name as drawing_set_name, dv.file_path
+       FROM drawing_sheets sh
+       JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+       LEFT JOIN document_versions dv ON dv.id = sh.document_version_id
+       WHERE ds.project_id = $1 AND sh.status = 'pending_review'
+         AND ($2::UUID IS NULL OR sh.drawing_set_id = $2)
+       ORDER BY ds.name, sh.page_number`,
+      [req.params.projectId, req.query.drawing_set_id || null]
+    );
+    res.json({ sheets: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm or correct a sheet in review; it then supersedes any current revision of its number
+app.put('/api/v1/drawing-sheets/:id/review', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_sheet') }), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(
+      `SELECT sh.*, ds.project_id FROM drawing_sheets sh
+       JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+       WHERE sh.id = $1 FOR UPDATE OF sh`,
+      [req.params.id]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Sheet not found' });
+    }
+    const existing = current.rows[0];
+    if (existing.status !== 'pending_review') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Sheet is already ${existing.status}` });
+    }
+
+    const sheetNumber = req.body.sheet_number || existing.sheet_number;
+    const title = req.body.title || existing.title;
+    if (!normalizeSheetNumber(sheetNumber)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'sheet_number is required' });
+    }
+
+    const updated = await client.query(
+      `UPDATE drawing_sheets
+       SET sheet_number = $2, title = $3, revision = $4, discipline = $5,
+           reviewed_by = $6, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [existing.id, sheetNumber, title,
+       req.body.revision !== undefined ? req.body.revision : existing.revision,
+       req.body.discipline !== undefined ? req.body.discipline : existing.discipline,
+       req.user.userId]
+    );
+    const { sheet, superseded, pinsCarried } = await drawingSetImporter.publish(client, updated.rows[0], existing.project_id);
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, 'review', 'drawing_sheet', sheet.id,
+      { sheet_number: sheet.sheet_number, title: sheet.title, revision: sheet.revision, superseded_id: superseded ? superseded.id : null }, req);
+    await emitEvent('drawing_sheet.published', 'drawing_sheet', sheet.id, existing.project_id, req.user.userId,
+      { sheet_number: sheet.sheet_number, revision: sheet.revision, superseded_id: superseded ? superseded.id : null });
+    res.json({ sheet, superseded, pins_carried: pinsCarried });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/v1/drawing-sheets/:sheetId/markups', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/drawing-sheets/:sheetId/markups', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_sheet', 'sheetId'), requireProject: true }), async (req, res, next) => {
   try {
+    const params = [req.params.sheetId];
+    const visible = markupLayers.visibleCondition('l', params, markupViewer(req));
     const result = await pool.query(
-      `SELECT m.*, u.first_name || ' ' || u.last_name as created_by_name
+      `SELECT m.*, u.first_name || ' ' || u.last_name as created_by_name, l.name as layer_name, l.scope as layer_scope
        FROM drawing_markups m LEFT JOIN users u ON m.created_by = u.id
-       WHERE m.drawing_sheet_id = $1 ORDER BY m.created_at DESC`,
-      [req.params.sheetId]
+       LEFT JOIN drawing_markup_layers l ON l.id = m.layer_id
+       WHERE m.drawing_sheet_id = $1 AND ${visible} ORDER BY m.created_at DESC`,
+      params
     );
     res.json({ markups: result.rows });
   } catch (error) {
@@ -1728,15 +2661,34 @@ app.get('/api/v1/drawing-sheets/:sheetId/markups', authenticateToken, async (req
 });
 
 app.delete('/api/v1/drawing-sheets/:id', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    await pool.query('DELETE FROM drawing_sheets WHERE id = $1', [req.params.id]);
+    await client.query('BEGIN');
+    const deleted = await client.query('DELETE FROM drawing_sheets WHERE id = $1 RETURNING *', [req.params.id]);
+
+    // Removing the current revision brings back the one it superseded
+    const sheet = deleted.rows[0];
+    let restored = null;
+    if (sheet && sheet.status === 'current' && sheet.supersedes_id) {
+      const restoredResult = await client.query(
+        `UPDATE drawing_sheets SET status = 'current', superseded_by = NULL, superseded_at = NULL
+         WHERE id = $1 AND status = 'superseded' AND superseded_by IS NULL RETURNING id`,
+        [sheet.supersedes_id]
+      );
+      restored = restoredResult.rows[0] || null;
+    }
+    if (sheet) await DrawingPins.release(client, sheet.id, restored ? restored.id : null);
+    await client.query('COMMIT');
     res.json({ success: true });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/v1/drawing-sheets/:id', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/drawing-sheets/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_sheet'), requireProject: true }), async (req, res, next) => {
   try {
     const result = await pool.query(
       `SELECT sh.*, dv.file_path, d.file_path as doc_file_path
@@ -1748,42 +2700,104 @@ app.get('/api/v1/drawing-sheets/:id', authenticateToken, async (req, res, next)
     );
     if (result.rows.length === 0) return res.status(404).json({ error: 'Sheet not found' });
     
+    const markupParams = [req.params.id];
+    const visible = markupLayers.visibleCondition('l', markupParams, markupViewer(req));
     const markupsResult = await pool.query(
-      `SELECT m.*, u.first_name || ' ' || u.last_name as created_by_name
+      `SELECT m.*, u.first_name || ' ' || u.last_name as created_by_name, l.name as layer_name, l.scope as layer_scope
        FROM drawing_markups m LEFT JOIN users u ON m.created_by = u.id
-       WHERE m.drawing_sheet_id = $1 ORDER BY m.created_at DESC`,
-      [req.params.id]
+       LEFT JOIN drawing_markup_layers l ON l.id = m.layer_id
+       WHERE m.drawing_sheet_id = $1 AND ${visible} ORDER BY m.created_at DESC`,
+      markupParams
     );
     
+    // Every revision of this sheet number in the project, oldest first
+    const revisionsResult = await pool.query(
+      `SELECT sh.id, sh.drawing_set_id, ds.name as drawing_set_name, sh.revision, sh.status, sh.created_at, sh.superseded_at
+       FROM drawing_sheets sh
+       JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+       WHERE ds.project_id = (SELECT project_id FROM drawing_sets WHERE id = $1)
+         AND UPPER(REPLACE(sh.sheet_number, ' ', '')) = $2
+         AND sh.status <> 'pending_review'
+       ORDER BY sh.created_at`,
+      [result.rows[0].drawing_set_id, normalizeSheetNumber(result.rows[0].sheet_number)]
+    );
+
     const sheet = result.rows[0];
     sheet.markups = markupsResult.rows;
+    sheet.revisions = revisionsResult.rows;
     res.json({ sheet });
   } catch (error) {
     next(error);
   }
 });
-app.post('/api/v1/drawing-sheets/:sheetId/markups', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+
+// ==========================================================================
+// DRAWING PINS
+// ==========================================================================
+
+const pinFilterList = (value, allowed) => {
+  if (!value) return { list: [] };
+  const list = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const invalid = list.filter(v => !allowed.includes(v));
+  return invalid.length > 0 ? { error: `Unknown value(s): ${invalid.join(', ')}; expected ${allowed.join(', ')}` } : { list };
+};
+
+// Every pin on a sheet, coloured by its item's status
+app.get('/api/v1/drawing-sheets/:id/pins', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_sheet'), requireProject: true }), async (req, res, next) => {
+  try {
+    const types = pinFilterList(req.query.type, DrawingPins.types);
+    if (types.error) return res.status(400).json({ error: `type: ${types.error}` });
+    const states = pinFilterList(req.query.state, DrawingPins.states);
+    if (states.error) return res.status(400).json({ error: `state: ${states.error}` });
+
+    const pins = await drawingPins.list(req.params.id, { types: types.list, states: states.list });
+    res.json({ pins, legend: DrawingPins.legend() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pin an item to a point on the sheet; pinning it again moves the pin
+app.post('/api/v1/drawing-sheets/:id/pins', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('drawing_sheet'), requireProject: true }), async (req, res, next) => {
   try {
-    const { markup_data } = req.body;
-    if (!markup_data || !markup_data.type) {
-      return res.status(400).json({ error: 'Invalid markup data' });
-    }
-    
-    const result = await pool.query(
-      `INSERT INTO drawing_markups (drawing_sheet_id, created_by, markup_data)
-       VALUES ($1, $2, $3) RETURNING *`,
-      [req.params.sheetId, req.user.userId, JSON.stringify(markup_data)]
+    const validationError = DrawingPins.validate(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { entity_type, entity_id, x, y } = req.body;
+    const sheetResult = await pool.query(
+      `SELECT sh.id, ds.project_id FROM drawing_sheets sh JOIN drawing_sets ds ON ds.id = sh.drawing_set_id WHERE sh.id = $1`,
+      [req.params.id]
     );
-    
-    res.status(201).json({ markup: result.rows[0] });
+    const sheet = sheetResult.rows[0];
+    if (!sheet) return res.status(404).json({ error: 'Sheet not found' });
+
+    const itemProjectId = await drawingPins.projectOf(pool, entity_type, entity_id);
+    if (!itemProjectId || itemProjectId !== sheet.project_id) {
+      return res.status(404).json({ error: 'Item not found in this project' });
+    }
+
+    const { pin, moved } = await drawingPins.pin(pool, sheet.id, { entity_type, entity_id, x, y });
+    await logAudit(req.user.userId, moved ? 'move_pin' : 'create_pin', entity_type, entity_id, { drawing_sheet_id: sheet.id, x: pin.metadata.x, y: pin.metadata.y }, req);
+    await emitEvent('drawing_pin.placed', entity_type, entity_id, sheet.project_id, req.user.userId, { drawing_sheet_id: sheet.id, x: pin.metadata.x, y: pin.metadata.y, moved });
+
+    res.status(moved ? 200 : 201).json({ pin, moved });
   } catch (error) {
     next(error);
   }
 });
 
-app.delete('/api/v1/drawing-markups/:id', authenticateToken, async (req, res, next) => {
+app.delete('/api/v1/drawing-sheets/:id/pins/:pinId', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('drawing_sheet'), requireProject: true }), async (req, res, next) => {
   try {
-    await pool.query('DELETE FROM drawing_markups WHERE id = $1', [req.params.id]);
+    const result = await pool.query(
+      `DELETE FROM entity_links
+       WHERE id = $1 AND target_type = 'drawing_sheet' AND target_id = $2 AND relationship = 'pin'
+       RETURNING *`,
+      [req.params.pinId, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Pin not found' });
+
+    const pin = result.rows[0];
+    await logAudit(req.user.userId, 'delete_pin', pin.source_type, pin.source_id, { drawing_sheet_id: req.params.id }, req);
     res.json({ success: true });
   } catch (error) {
     next(error);
@@ -1791,404 +2805,758 @@ app.delete('/api/v1/drawing-markups/:id', authenticateToken, async (req, res, ne
 });
 
 // ==========================================================================
-// DRAWING WORKFLOW STATE MANAGEMENT
+// DRAWING COMPARISON
 // ==========================================================================
 
-// Get drawing workflow state
-app.get('/api/v1/drawings/:documentId/workflow', authenticateToken, async (req, res, next) => {
+const comparisonSheet = async (sheetId) => {
+  const result = await pool.query(
+    `SELECT sh.*, ds.project_id, dv.file_path, dv.version_number
+     FROM drawing_sheets sh
+     JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+     LEFT JOIN document_versions dv ON dv.id = sh.document_version_id
+     WHERE sh.id = $1`,
+    [sheetId]
+  );
+  return result.rows[0] || null;
+};
+
+const comparisonVersion = async (versionId) => {
+  const result = await pool.query(
+    `SELECT dv.*, d.project_id, d.name as document_name
+     FROM document_versions dv JOIN documents d ON d.id = dv.document_id
+     WHERE dv.id = $1`,
+    [versionId]
+  );
+  return result.rows[0] || null;
+};
+
+// Compare a sheet with the revision it superseded, or with any other sheet
+app.get('/api/v1/drawing-sheets/:id/compare', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_sheet'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT dws.*, u.first_name || ' ' || u.last_name as assigned_to_name,
-       uc.first_name || ' ' || uc.last_name as created_by_name
-       FROM drawing_workflow_states dws
-       LEFT JOIN users u ON dws.assigned_to = u.id
-       LEFT JOIN users uc ON dws.created_by = uc.id
-       WHERE dws.document_id = $1
-       ORDER BY dws.created_at DESC LIMIT 1`,
-      [req.params.documentId]
-    );
+    const sheet = await comparisonSheet(req.params.id);
+    if (!sheet) return res.status(404).json({ error: 'Sheet not found' });
 
-    if (result.rows.length === 0) {
-      return res.json({ workflow_state: null });
+    const baseSheetId = req.query.base_sheet_id || sheet.supersedes_id;
+    if (!baseSheetId) {
+      return res.status(400).json({ error: 'Sheet has no previous revision; pass base_sheet_id to compare with another sheet' });
     }
+    if (baseSheetId === sheet.id) return res.status(400).json({ error: 'Cannot compare a sheet with itself' });
 
-    res.json({ workflow_state: result.rows[0] });
+    const baseSheet = await comparisonSheet(baseSheetId);
+    if (!baseSheet || baseSheet.project_id !== sheet.project_id) {
+      return res.status(404).json({ error: 'Base sheet not found' });
+    }
+    if (!sheet.document_version_id || !baseSheet.document_version_id) {
+      return res.status(422).json({ error: 'Both sheets need an uploaded drawing to compare' });
+    }
+
+    const label = (s) => `${s.sheet_number}${s.revision ? ` Rev ${s.revision}` : ''}`;
+    const { comparison, cached } = await drawingComparator.compare({
+      baseVersion: { id: baseSheet.document_version_id, file_path: baseSheet.file_path, label: label(baseSheet) },
+      compareVersion: { id: sheet.document_version_id, file_path: sheet.file_path, label: label(sheet) },
+      basePage: baseSheet.page_number || 1,
+      comparePage: sheet.page_number || 1,
+      baseSheetId: baseSheet.id,
+      compareSheetId: sheet.id,
+      userId: req.user.userId
+    });
+
+    res.json({ comparison, cached });
   } catch (error) {
     next(error);
   }
 });
 
-// Update drawing workflow state
-app.post('/api/v1/drawings/:documentId/workflow', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+// Compare any two versions of a document (or two documents) in one project
+app.post('/api/v1/drawing-comparisons', authenticateToken, checkPermission('subcontractor', { resolveProjectId: async (req) => {
+  const result = await pool.query(PROJECT_LOOKUPS.document_version, [req.body.compare_version_id]);
+  return result.rows[0]?.project_id || null;
+}, requireProject: true }), async (req, res, next) => {
   try {
-    const { workflow_state, assigned_to, due_date, notes } = req.body;
-
-    if (!workflow_state) {
-      return res.status(400).json({ error: 'workflow_state is required' });
+    const { base_version_id, compare_version_id, base_page, compare_page } = req.body;
+    if (!base_version_id || !compare_version_id) {
+      return res.status(400).json({ error: 'base_version_id and compare_version_id are required' });
     }
-
-    // Valid states
-    const validStates = ['received', 'under_review', 'markup_in_progress', 'asi_pending', 'distributed', 'superseded', 'archived'];
-    if (!validStates.includes(workflow_state)) {
-      return res.status(400).json({ error: 'Invalid workflow_state' });
+    if (base_version_id === compare_version_id && (base_page || 1) === (compare_page || 1)) {
+      return res.status(400).json({ error: 'Cannot compare a page with itself' });
+    }
+    for (const page of [base_page, compare_page]) {
+      if (page !== undefined && (!Number.isInteger(page) || page < 1)) {
+        return res.status(400).json({ error: 'base_page and compare_page must be positive integers' });
+      }
     }
 
-    // Get current state if exists
-    const currentStateResult = await pool.query(
-      'SELECT workflow_state FROM drawing_workflow_states WHERE document_id = $1 ORDER BY created_at DESC LIMIT 1',
-      [req.params.documentId]
-    );
-    const fromState = currentStateResult.rows.length > 0 ? currentStateResult.rows[0].workflow_state : null;
-
-    // Insert new workflow state
-    const result = await pool.query(
-      `INSERT INTO drawing_workflow_states (document_id, workflow_state, assigned_to, due_date, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [req.params.documentId, workflow_state, assigned_to, due_date, notes, req.user.userId]
-    );
+    const [baseVersion, compareVersion] = await Promise.all([
+      comparisonVersion(base_version_id),
+      comparisonVersion(compare_version_id)
+    ]);
+    if (!compareVersion) return res.status(404).json({ error: 'Compare version not found' });
+    if (!baseVersion || baseVersion.project_id !== compareVersion.project_id) {
+      return res.status(404).json({ error: 'Base version not found' });
+    }
 
-    // Log workflow history
-    await pool.query(
-      `INSERT INTO drawing_workflow_history (document_id, from_state, to_state, changed_by, change_reason)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [req.params.documentId, fromState, workflow_state, req.user.userId, notes]
-    );
+    const label = (v) => `${v.document_name} v${v.version_number}`;
+    const { comparison, cached } = await drawingComparator.compare({
+      baseVersion: { ...baseVersion, label: label(baseVersion) },
+      compareVersion: { ...compareVersion, label: label(compareVersion) },
+      basePage: base_page || 1,
+      comparePage: compare_page || 1,
+      userId: req.user.userId
+    });
 
-    res.status(201).json({ workflow_state: result.rows[0] });
+    res.status(cached ? 200 : 201).json({ comparison, cached });
   } catch (error) {
     next(error);
   }
 });
 
-// Get workflow history for a drawing
-app.get('/api/v1/drawings/:documentId/workflow-history', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/drawing-comparisons/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_comparison'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT dwh.*, u.first_name || ' ' || u.last_name as changed_by_name
-       FROM drawing_workflow_history dwh
-       LEFT JOIN users u ON dwh.changed_by = u.id
-       WHERE dwh.document_id = $1
-       ORDER BY dwh.created_at DESC`,
-      [req.params.documentId]
-    );
-    res.json({ history: result.rows });
+    const result = await pool.query('SELECT * FROM drawing_comparisons WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Comparison not found' });
+    res.json({ comparison: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// ==========================================================================
-// DRAWING MARKUPS (Document-based, new schema)
-// ==========================================================================
-
-// Get markups for a drawing
-app.get('/api/v1/drawings/:documentId/markups', authenticateToken, async (req, res, next) => {
+// Overlay PDF: old revision in red, new in blue, changed regions numbered
+app.get('/api/v1/drawing-comparisons/:id/overlay', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_comparison'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT dm.*, u.first_name || ' ' || u.last_name as created_by_name,
-       ur.first_name || ' ' || ur.last_name as resolved_by_name
-       FROM drawing_markups dm
-       LEFT JOIN users u ON dm.created_by = u.id
-       LEFT JOIN users ur ON dm.resolved_by = ur.id
-       WHERE dm.document_id = $1
-       ORDER BY dm.created_at DESC`,
-      [req.params.documentId]
-    );
-    res.json({ markups: result.rows });
+    const result = await pool.query('SELECT * FROM drawing_comparisons WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Comparison not found' });
+    if (result.rows[0].status !== 'completed') {
+      return res.status(422).json({ error: result.rows[0].error || 'Comparison did not complete' });
+    }
+    const overlay = await drawingComparator.overlay(result.rows[0]);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="comparison-${req.params.id}.pdf"`);
+    res.send(overlay);
   } catch (error) {
     next(error);
   }
 });
+app.post('/api/v1/drawing-sheets/:sheetId/markups', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('drawing_sheet', 'sheetId'), requireProject: true }), async (req, res, next) => {
+  try {
+    const { markup_data, layer_id } = req.body;
+    if (!markup_data || !markup_data.type) {
+      return res.status(400).json({ error: 'Invalid markup data' });
+    }
 
-// Create markup for a drawing
-app.post('/api/v1/drawings/:documentId/markups', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+    const sheetResult = await pool.query(PROJECT_LOOKUPS.drawing_sheet, [req.params.sheetId]);
+    const { layer, error, status } = await markupLayers.forMarkup(pool, sheetResult.rows[0].project_id, layer_id, markupViewer(req));
+    if (error) return res.status(status).json({ error });
+
+    const result = await pool.query(
+      `INSERT INTO drawing_markups (drawing_sheet_id, created_by, markup_data, layer_id)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [req.params.sheetId, req.user.userId, JSON.stringify(markup_data), layer.id]
+    );
+    
+    res.status(201).json({ markup: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/v1/drawing-markups/:id', authenticateToken, async (req, res, next) => {
   try {
-    const { markup_data, markup_type, position_x, position_y, comment, color, linked_entity_type, linked_entity_id } = req.body;
+    await pool.query('DELETE FROM drawing_markups WHERE id = $1', [req.params.id]);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!markup_data) {
-      return res.status(400).json({ error: 'markup_data is required' });
+// ==========================================================================
+// MARKUP EXPORT
+// ==========================================================================
+
+const MARKUP_EXPORT_STATUSES = ['resolved', 'unresolved'];
+
+// Filters shared by the sheet and set exports: ?author= (user ids or 'me'),
+// ?status=resolved|unresolved, ?layer= (layer ids or names); lists are comma-separated
+const markupExportFilters = (query, userId) => {
+  const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  if (query.status && !MARKUP_EXPORT_STATUSES.includes(query.status)) {
+    return { error: `status must be one of: ${MARKUP_EXPORT_STATUSES.join(', ')}` };
+  }
+  return {
+    filters: {
+      authors: query.author ? list(query.author).map(author => (author === 'me' ? userId : author)) : null,
+      status: query.status || null,
+      layers: query.layer ? list(query.layer) : null
     }
+  };
+};
+
+const markupsForExport = async (sheetIds, filters, viewer) => {
+  const params = [sheetIds];
+  const conditions = ['m.drawing_sheet_id = ANY($1)', markupLayers.visibleCondition('l', params, viewer)];
+  if (filters.authors) {
+    params.push(filters.authors);
+    conditions.push(`m.created_by = ANY($${params.length}::uuid[])`);
+  }
+  if (filters.status === 'resolved') conditions.push(`m.status = 'resolved'`);
+  if (filters.status === 'unresolved') conditions.push(`m.status IS DISTINCT FROM 'resolved'`);
+  if (filters.layers) {
+    params.push(filters.layers);
+    conditions.push(`(l.id::text = ANY($${params.length}) OR l.name = ANY($${params.length}))`);
+  }
+
+  const result = await pool.query(
+    `SELECT m.*, u.first_name || ' ' || u.last_name as created_by_name, l.name as layer_name
+     FROM drawing_markups m LEFT JOIN users u ON m.created_by = u.id
+     LEFT JOIN drawing_markup_layers l ON l.id = m.layer_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY m.created_at`,
+    params
+  );
+  const bySheet = new Map(sheetIds.map(id => [id, []]));
+  for (const markup of result.rows) bySheet.get(markup.drawing_sheet_id).push(markup);
+  return bySheet;
+};
+
+const sendMarkupPdf = async (res, { title, fileName, sheets, filters, viewer, includeComments, markedOnly }) => {
+  const bySheet = await markupsForExport(sheets.map(sheet => sheet.id), filters, viewer);
+  const pages = [];
+  for (const sheet of sheets) {
+    const markups = bySheet.get(sheet.id);
+    if (markedOnly && markups.length === 0) continue;
+    pages.push({ sheet, markups, pdf: () => storage.downloadFile(sheet.file_path) });
+  }
+  if (pages.length === 0) return res.status(404).json({ error: 'No sheets have markups matching the filters' });
+
+  const rendered = await renderMarkupPdf({ title, sheets: pages, includeComments });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^\w.-]+/g, '_')}"`);
+  res.setHeader('X-Markup-Count', String(rendered.drawn));
+  res.setHeader('X-Markups-Skipped', String(rendered.skipped));
+  res.send(Buffer.from(rendered.pdf));
+};
+
+// One sheet with its markups burned in
+app.get('/api/v1/drawing-sheets/:id/markups/export', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_sheet'), requireProject: true }), async (req, res, next) => {
+  try {
+    const { filters, error } = markupExportFilters(req.query, req.user.userId);
+    if (error) return res.status(400).json({ error });
 
     const result = await pool.query(
-      `INSERT INTO drawing_markups
-       (document_id, created_by, markup_data, markup_type, position_x, position_y, comment, color, linked_entity_type, linked_entity_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
-      [req.params.documentId, req.user.userId, JSON.stringify(markup_data), markup_type, position_x, position_y, comment, color, linked_entity_type, linked_entity_id]
+      `SELECT sh.*, dv.file_path
+       FROM drawing_sheets sh JOIN document_versions dv ON dv.id = sh.document_version_id
+       WHERE sh.id = $1`,
+      [req.params.id]
     );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Sheet not found or has no drawing' });
+    const sheet = result.rows[0];
 
-    res.status(201).json({ markup: result.rows[0] });
+    await sendMarkupPdf(res, {
+      title: `${sheet.sheet_number} ${sheet.title} - Markups`,
+      fileName: `${sheet.sheet_number}${sheet.revision ? `-rev${sheet.revision}` : ''}-markups.pdf`,
+      sheets: [sheet],
+      filters,
+      viewer: markupViewer(req),
+      includeComments: req.query.include_comments === 'true'
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// Update markup
-app.put('/api/v1/drawing-markups/:markupId', authenticateToken, async (req, res, next) => {
+// Every current sheet of a set, in set order; ?marked_only=true leaves out
+// sheets with no matching markups
+app.get('/api/v1/drawing-sets/:id/markups/export', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_set'), requireProject: true }), async (req, res, next) => {
   try {
-    const { markup_data, status, comment, color } = req.body;
+    const { filters, error } = markupExportFilters(req.query, req.user.userId);
+    if (error) return res.status(400).json({ error });
 
-    // First, fetch the markup to check ownership and get project_id
-    const markupCheck = await pool.query(
-      `SELECT dm.created_by, d.project_id
-       FROM drawing_markups dm
-       JOIN documents d ON d.id = dm.document_id
-       WHERE dm.id = $1`,
-      [req.params.markupId]
+    const setResult = await pool.query('SELECT * FROM drawing_sets WHERE id = $1', [req.params.id]);
+    if (setResult.rows.length === 0) return res.status(404).json({ error: 'Drawing set not found' });
+
+    const sheetsResult = await pool.query(
+      `SELECT sh.*, dv.file_path
+       FROM drawing_sheets sh JOIN document_versions dv ON dv.id = sh.document_version_id
+       WHERE sh.drawing_set_id = $1 AND sh.status = 'current'
+       ORDER BY sh.page_number NULLS LAST, sh.sheet_number`,
+      [req.params.id]
     );
+    if (sheetsResult.rows.length === 0) return res.status(404).json({ error: 'Drawing set has no sheets with drawings' });
 
-    if (markupCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Markup not found' });
-    }
+    await sendMarkupPdf(res, {
+      title: `${setResult.rows[0].name} - Markups`,
+      fileName: `${setResult.rows[0].name}-markups.pdf`,
+      sheets: sheetsResult.rows,
+      filters,
+      viewer: markupViewer(req),
+      includeComments: req.query.include_comments === 'true',
+      markedOnly: req.query.marked_only === 'true'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const markup = markupCheck.rows[0];
+// ==========================================================================
+// MARKUP LAYERS
+// ==========================================================================
 
-    // Check if user owns the markup OR has engineer+ role in the project
-    if (markup.created_by !== req.user.userId) {
-      // Check user's role in the project
-      const roleCheck = await pool.query(
-        `SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2`,
-        [markup.project_id, req.user.userId]
-      );
+app.get('/api/v1/projects/:projectId/markup-layers', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const layers = await markupLayers.list(req.params.projectId, markupViewer(req));
+    res.json({ layers });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      if (roleCheck.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied. You must be a project member.' });
-      }
+app.post('/api/v1/projects/:projectId/markup-layers', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+  try {
+    const validationError = markupLayers.validate(req.body, true);
+    if (validationError) return res.status(400).json({ error: validationError });
 
-      const roleHierarchy = {
-        'viewer': 1, 'subcontractor': 2, 'engineer': 3,
-        'superintendent': 4, 'project_manager': 5, 'admin': 6
-      };
+    const { layer, error, status } = await markupLayers.create(req.params.projectId, req.body, markupViewer(req));
+    if (error) return res.status(status).json({ error });
 
-      if (roleHierarchy[roleCheck.rows[0].role] < roleHierarchy['engineer']) {
-        return res.status(403).json({ error: 'You can only update your own markups. Engineer role or higher required to modify others.' });
-      }
+    await logAudit(req.user.userId, 'create', 'markup_layer', layer.id, { name: layer.name, scope: layer.scope }, req);
+    res.status(201).json({ layer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load a layer the user can see and change, or answer with why not
+const writableLayer = async (req, res) => {
+  const result = await pool.query('SELECT * FROM drawing_markup_layers WHERE id = $1', [req.params.id]);
+  const layer = result.rows[0];
+  const viewer = markupViewer(req);
+  if (!layer || !(await markupLayers.canSee(layer, viewer))) {
+    res.status(404).json({ error: 'Markup layer not found' });
+    return null;
+  }
+  if (!(await markupLayers.canWrite(layer, viewer))
+    || (layer.scope === 'published' && req.userRoleLevel < ROLE_HIERARCHY.engineer)) {
+    res.status(403).json({ error: 'You cannot change this layer' });
+    return null;
+  }
+  return layer;
+};
+
+app.put('/api/v1/markup-layers/:id', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('markup_layer'), requireProject: true }), async (req, res, next) => {
+  try {
+    const { name, min_role } = req.body;
+    const validationError = markupLayers.validate({ name, min_role }, false);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const layer = await writableLayer(req, res);
+    if (!layer) return;
+    if (min_role !== undefined && layer.scope === 'personal') {
+      return res.status(400).json({ error: 'A personal layer is only visible to its owner; publish it to share it' });
     }
 
-    // Now perform the update
     const result = await pool.query(
-      `UPDATE drawing_markups
-       SET markup_data = COALESCE($1, markup_data),
-           status = COALESCE($2, status),
-           comment = COALESCE($3, comment),
-           color = COALESCE($4, color),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $5 RETURNING *`,
-      [markup_data ? JSON.stringify(markup_data) : null, status, comment, color, req.params.markupId]
+      `UPDATE drawing_markup_layers
+       SET name = COALESCE($1, name), min_role = COALESCE($2, min_role), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [name ? name.trim() : null, min_role || null, layer.id]
     );
+    res.json({ layer: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: 'A layer with that name already exists' });
+    next(error);
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Markup not found' });
+// Share a personal or company layer with the project team
+app.post('/api/v1/markup-layers/:id/publish', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('markup_layer'), requireProject: true }), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const { name, min_role, merge } = req.body || {};
+    const validationError = markupLayers.validate({ name, min_role }, false);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const layer = await writableLayer(req, res);
+    if (!layer) return;
+
+    await client.query('BEGIN');
+    const result = await markupLayers.publish(client, layer, { name, min_role, merge: merge === true }, req.user.userId);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
     }
+    await client.query('COMMIT');
 
-    res.json({ markup: result.rows[0] });
+    await logAudit(req.user.userId, 'publish', 'markup_layer', layer.id,
+      { from_scope: layer.scope, published_layer_id: result.layer.id, merged: result.merged }, req);
+    await emitEvent('markup_layer.published', 'markup_layer', result.layer.id, layer.project_id, req.user.userId,
+      { layer: result.layer, from_scope: layer.scope, merged: result.merged });
+    res.json({ layer: result.layer, merged: result.merged });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Deleting a layer deletes its markups
+app.delete('/api/v1/markup-layers/:id', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('markup_layer'), requireProject: true }), async (req, res, next) => {
+  try {
+    const layer = await writableLayer(req, res);
+    if (!layer) return;
+    if (layer.scope === 'published' && req.userRoleLevel < ROLE_HIERARCHY.superintendent) {
+      return res.status(403).json({ error: 'Requires superintendent role or higher to delete a published layer' });
+    }
+
+    const deleted = await pool.query('DELETE FROM drawing_markup_layers WHERE id = $1', [layer.id]);
+    await logAudit(req.user.userId, 'delete', 'markup_layer', layer.id, { name: layer.name, scope: layer.scope }, req);
+    res.json({ success: deleted.rowCount > 0 });
   } catch (error) {
     next(error);
   }
 });
 
-// Resolve markup
-app.post('/api/v1/drawing-markups/:markupId/resolve', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+// Move a markup onto another layer (its author, or engineer and up)
+app.put('/api/v1/drawing-markups/:id/layer', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('drawing_markup'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `UPDATE drawing_markups
-       SET status = 'resolved',
-           resolved_by = $1,
-           resolved_at = CURRENT_TIMESTAMP
-       WHERE id = $2 RETURNING *`,
-      [req.user.userId, req.params.markupId]
+    const markupResult = await pool.query(
+      `SELECT m.*, l.scope, l.owner_id, l.organization_id, l.min_role, l.project_id as layer_project_id
+       FROM drawing_markups m LEFT JOIN drawing_markup_layers l ON l.id = m.layer_id WHERE m.id = $1`,
+      [req.params.id]
     );
-
-    if (result.rows.length === 0) {
+    const markup = markupResult.rows[0];
+    const viewer = markupViewer(req);
+    if (!markup || (markup.layer_id && !(await markupLayers.canSee({ ...markup, id: markup.layer_id }, viewer)))) {
       return res.status(404).json({ error: 'Markup not found' });
     }
+    if (markup.created_by !== req.user.userId && req.userRoleLevel < ROLE_HIERARCHY.engineer) {
+      return res.status(403).json({ error: 'You can only move your own markups. Engineer role or higher required to move others.' });
+    }
+    if (!req.body.layer_id) return res.status(400).json({ error: 'layer_id is required' });
+
+    const projectResult = await pool.query(PROJECT_LOOKUPS.drawing_markup, [markup.id]);
+    const { layer, error, status } = await markupLayers.forMarkup(pool, projectResult.rows[0].project_id, req.body.layer_id, viewer);
+    if (error) return res.status(status).json({ error });
 
+    const result = await pool.query(
+      'UPDATE drawing_markups SET layer_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [layer.id, markup.id]
+    );
     res.json({ markup: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete markup
-app.delete('/api/v1/drawing-markups/:markupId', authenticateToken, async (req, res, next) => {
+// ==========================================================================
+// MARKUP PROMOTION
+// ==========================================================================
+
+const PROMOTION_TYPES = ['rfi', 'punch_item'];
+
+// Turn a sheet markup into a draft RFI or an open punch item. The item is
+// pinned to the sheet at the markup (entity_links, relationship 'pin') and
+// gets a cropped snapshot of the marked-up sheet as a linked document.
+app.post('/api/v1/drawing-markups/:id/promote', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('drawing_markup'), requireProject: true }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    // Check if user created this markup or has permission
-    const markup = await pool.query(
-      `SELECT dm.created_by, d.project_id
-       FROM drawing_markups dm
-       JOIN documents d ON d.id = dm.document_id
-       WHERE dm.id = $1`,
-      [req.params.markupId]
-    );
+    const { type, title, question, description, location, trade, priority, due_date, assigned_to } = req.body;
+    if (!PROMOTION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${PROMOTION_TYPES.join(', ')}` });
+    }
+    if (type === 'punch_item' && req.userRoleLevel < ROLE_HIERARCHY.engineer) {
+      return res.status(403).json({ error: 'Requires engineer role or higher to create punch items' });
+    }
 
-    if (markup.rows.length === 0) {
+    const markupResult = await pool.query('SELECT * FROM drawing_markups WHERE id = $1', [req.params.id]);
+    const markup = markupResult.rows[0];
+    const layerResult = markup && markup.layer_id
+      ? await pool.query('SELECT * FROM drawing_markup_layers WHERE id = $1', [markup.layer_id])
+      : { rows: [] };
+    if (!markup || !(await markupLayers.canSee(layerResult.rows[0], markupViewer(req)))) {
       return res.status(404).json({ error: 'Markup not found' });
     }
+    if (!markup.drawing_sheet_id) {
+      return res.status(422).json({ error: 'Only markups on drawing sheets can be promoted' });
+    }
+    if (markup.linked_entity_id) {
+      return res.status(409).json({
+        error: 'Markup has already been promoted',
+        linked_entity_type: markup.linked_entity_type, linked_entity_id: markup.linked_entity_id
+      });
+    }
 
-    // Allow deletion if user created it OR has superintendent+ role in the project
-    if (markup.rows[0].created_by !== req.user.userId) {
-      // Check user's role in the project
-      const roleCheck = await pool.query(
-        `SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2`,
-        [markup.rows[0].project_id, req.user.userId]
-      );
+    const sheetResult = await pool.query(
+      `SELECT sh.*, ds.project_id, dv.file_path
+       FROM drawing_sheets sh
+       JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+       LEFT JOIN document_versions dv ON dv.id = sh.document_version_id
+       WHERE sh.id = $1`,
+      [markup.drawing_sheet_id]
+    );
+    const sheet = sheetResult.rows[0];
 
-      if (roleCheck.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied. You must be a project member.' });
+    // The snapshot is rendered first so the pin can use the drawing's real page size
+    let snapshot = null;
+    if (sheet.file_path) {
+      try {
+        snapshot = await renderMarkupSnapshot({ sheet, pdf: await storage.downloadFile(sheet.file_path), markup });
+      } catch (error) {
+        console.error(`Markup ${markup.id} snapshot failed:`, error.message);
       }
+    }
+    const bounds = snapshot ? snapshot.bounds : markupBounds(markup, { width: Number(sheet.page_width), height: Number(sheet.page_height) });
+    if (!bounds) return res.status(422).json({ error: 'Markup has no readable position on the sheet' });
 
-      const roleHierarchy = {
-        'viewer': 1, 'subcontractor': 2, 'engineer': 3,
-        'superintendent': 4, 'project_manager': 5, 'admin': 6
-      };
+    const markupText = markup.comment || markup.markup_data?.content || markup.markup_data?.text || null;
+    const summary = markupText ? String(markupText).split('\n')[0].slice(0, 200) : `Markup on ${sheet.sheet_number}`;
 
-      if (roleHierarchy[roleCheck.rows[0].role] < roleHierarchy['superintendent']) {
-        return res.status(403).json({ error: 'You can only delete your own markups. Superintendent role or higher required to delete others.' });
-      }
+    await client.query('BEGIN');
+    let item;
+    if (type === 'rfi') {
+      const rfiNumber = await nextRfiNumber(client, sheet.project_id);
+      const result = await client.query(
+        `INSERT INTO rfis (project_id, rfi_number, title, question, status, priority, due_date, created_by, assigned_to, drawing_sheet_id)
+         VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $9) RETURNING *`,
+        [sheet.project_id, rfiNumber, (title || summary).slice(0, 255), question || markupText || `See markup on sheet ${sheet.sheet_number}`,
+         priority || 'normal', due_date || null, req.user.userId, assigned_to || null, sheet.id]
+      );
+      item = result.rows[0];
+      await rfiTracker.setBallInCourt(client, item, req.user.userId, 'draft', req.user.userId);
+    } else {
+      const itemNumber = await nextPunchNumber(client, sheet.project_id);
+      const result = await client.query(
+        `INSERT INTO punch_items (project_id, item_number, description, location, trade, status, priority, due_date, assigned_to, created_by)
+         VALUES ($1, $2, $3, $4, $5, 'open', $6, $7, $8, $9) RETURNING *`,
+        [sheet.project_id, itemNumber, description || markupText || summary,
+         (location || `${sheet.sheet_number} ${sheet.title}`).slice(0, 255), trade || sheet.discipline || 'General',
+         priority || 'normal', due_date || null, assigned_to || null, req.user.userId]
+      );
+      item = result.rows[0];
+      await punchList.recordCreated(client, item, req.user.userId);
     }
 
-    await pool.query('DELETE FROM drawing_markups WHERE id = $1', [req.params.markupId]);
-    res.json({ success: true });
+    const { pin } = await drawingPins.pin(client, sheet.id, {
+      entity_type: type,
+      entity_id: item.id,
+      x: bounds.x + bounds.width / 2,
+      y: bounds.y + bounds.height / 2,
+      bounds,
+      markup_id: markup.id
+    });
+
+    // Claim the markup last so two promotions of it cannot both succeed
+    const claimed = await client.query(
+      `UPDATE drawing_markups SET linked_entity_type = $1, linked_entity_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND linked_entity_id IS NULL`,
+      [type, item.id, markup.id]
+    );
+    if (claimed.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Markup has already been promoted' });
+    }
+    await client.query('COMMIT');
+
+    let snapshotDocument = null;
+    if (snapshot) {
+      const buffer = Buffer.from(snapshot.pdf);
+      snapshotDocument = await saveUploadedDocument(
+        { buffer, originalname: `${sheet.sheet_number}-markup-snapshot.pdf`, size: buffer.length, mimetype: 'application/pdf' },
+        sheet.project_id, req.user.userId,
+        { name: `${sheet.sheet_number} markup snapshot`, description: `Snapshot of the markup promoted to ${type === 'rfi' ? item.rfi_number : item.item_number}`, category: 'Drawing Snapshot' }
+      );
+      await pool.query(
+        `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship, metadata)
+         VALUES ('document', $1, $2, $3, 'snapshot', $4)`,
+        [snapshotDocument.id, type, item.id, JSON.stringify({ drawing_sheet_id: sheet.id, markup_id: markup.id })]
+      );
+    }
+
+    await emitEvent(`${type}.created`, type, item.id, sheet.project_id, req.user.userId, item);
+    await emitEvent('drawing_markup.promoted', 'drawing_markup', markup.id, sheet.project_id, req.user.userId,
+      { type, id: item.id, drawing_sheet_id: sheet.id });
+    await logAudit(req.user.userId, 'promote', 'drawing_markup', markup.id, { type, id: item.id }, req);
+    if (assigned_to) {
+      await createNotification(assigned_to, 'assignment',
+        type === 'rfi' ? 'New RFI Assigned' : 'New Punch Item Assigned',
+        type === 'rfi' ? `RFI ${item.rfi_number}: ${item.title}` : `${item.item_number}: ${item.description}`,
+        type, item.id);
+    }
+
+    res.status(201).json({ [type]: item, pin, snapshot: snapshotDocument });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
 // ==========================================================================
-// DRAWING REVIEWS & COORDINATION
+// DRAWING WORKFLOW STATE MANAGEMENT
 // ==========================================================================
 
-// Get reviews for a drawing
-app.get('/api/v1/drawings/:documentId/reviews', authenticateToken, async (req, res, next) => {
+// Get drawing workflow state
+app.get('/api/v1/drawings/:documentId/workflow', authenticateToken, async (req, res, next) => {
   try {
-    // Single query to fetch all reviews with their checklist items (fix N+1 problem)
     const result = await pool.query(
-      `SELECT dr.*,
-       u.first_name || ' ' || u.last_name as reviewer_name,
-       ur.first_name || ' ' || ur.last_name as requested_by_name,
-       drc.id as checklist_id,
-       drc.item_description,
-       drc.is_checked,
-       drc.notes as checklist_notes,
-       drc.checked_by,
-       drc.checked_at,
-       drc.created_at as checklist_created_at,
-       uc.first_name || ' ' || uc.last_name as checked_by_name
-       FROM drawing_reviews dr
-       LEFT JOIN users u ON dr.reviewer_id = u.id
-       LEFT JOIN users ur ON dr.requested_by = ur.id
-       LEFT JOIN drawing_review_checklist drc ON drc.review_id = dr.id
-       LEFT JOIN users uc ON drc.checked_by = uc.id
-       WHERE dr.document_id = $1
-       ORDER BY dr.created_at DESC, drc.created_at ASC`,
+      `SELECT dws.*, u.first_name || ' ' || u.last_name as assigned_to_name,
+       uc.first_name || ' ' || uc.last_name as created_by_name
+       FROM drawing_workflow_states dws
+       LEFT JOIN users u ON dws.assigned_to = u.id
+       LEFT JOIN users uc ON dws.created_by = uc.id
+       WHERE dws.document_id = $1
+       ORDER BY dws.created_at DESC LIMIT 1`,
       [req.params.documentId]
     );
 
-    // Group checklist items by review
-    const reviewsMap = new Map();
-    for (let row of result.rows) {
-      if (!reviewsMap.has(row.id)) {
-        // Create review object (only review fields, not checklist fields)
-        reviewsMap.set(row.id, {
-          id: row.id,
-          document_id: row.document_id,
-          reviewer_id: row.reviewer_id,
-          reviewer_name: row.reviewer_name,
-          discipline: row.discipline,
-          review_status: row.review_status,
-          review_notes: row.review_notes,
-          clash_detected: row.clash_detected,
-          clash_description: row.clash_description,
-          requested_by: row.requested_by,
-          requested_by_name: row.requested_by_name,
-          requested_at: row.requested_at,
-          completed_at: row.completed_at,
-          created_at: row.created_at,
-          updated_at: row.updated_at,
-          checklist: []
-        });
-      }
-
-      // Add checklist item if it exists
-      if (row.checklist_id) {
-        reviewsMap.get(row.id).checklist.push({
-          id: row.checklist_id,
-          item_description: row.item_description,
-          is_checked: row.is_checked,
-          notes: row.checklist_notes,
-          checked_by: row.checked_by,
-          checked_by_name: row.checked_by_name,
-          checked_at: row.checked_at,
-          created_at: row.checklist_created_at
-        });
-      }
+    if (result.rows.length === 0) {
+      return res.json({ workflow_state: null });
     }
 
-    res.json({ reviews: Array.from(reviewsMap.values()) });
+    res.json({ workflow_state: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Request drawing review
-app.post('/api/v1/drawings/:documentId/reviews', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+// Update drawing workflow state
+app.post('/api/v1/drawings/:documentId/workflow', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
   try {
-    const { reviewer_id, discipline, review_notes, checklist_items } = req.body;
+    const { workflow_state, assigned_to, due_date, notes } = req.body;
 
-    if (!reviewer_id) {
-      return res.status(400).json({ error: 'reviewer_id is required' });
+    if (!workflow_state) {
+      return res.status(400).json({ error: 'workflow_state is required' });
+    }
+
+    // Valid states
+    const validStates = ['received', 'under_review', 'markup_in_progress', 'asi_pending', 'distributed', 'superseded', 'archived'];
+    if (!validStates.includes(workflow_state)) {
+      return res.status(400).json({ error: 'Invalid workflow_state' });
     }
 
+    // Get current state if exists
+    const currentStateResult = await pool.query(
+      'SELECT workflow_state FROM drawing_workflow_states WHERE document_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [req.params.documentId]
+    );
+    const fromState = currentStateResult.rows.length > 0 ? currentStateResult.rows[0].workflow_state : null;
+
+    // Insert new workflow state
     const result = await pool.query(
-      `INSERT INTO drawing_reviews (document_id, reviewer_id, discipline, review_notes, requested_by)
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [req.params.documentId, reviewer_id, discipline, review_notes, req.user.userId]
+      `INSERT INTO drawing_workflow_states (document_id, workflow_state, assigned_to, due_date, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [req.params.documentId, workflow_state, assigned_to, due_date, notes, req.user.userId]
     );
 
-    const review = result.rows[0];
+    // Log workflow history
+    await pool.query(
+      `INSERT INTO drawing_workflow_history (document_id, from_state, to_state, changed_by, change_reason)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.params.documentId, fromState, workflow_state, req.user.userId, notes]
+    );
 
-    // Add checklist items if provided
-    if (checklist_items && Array.isArray(checklist_items)) {
-      for (let item of checklist_items) {
-        await pool.query(
-          `INSERT INTO drawing_review_checklist (review_id, item_description)
-           VALUES ($1, $2)`,
-          [review.id, item]
-        );
-      }
+    res.status(201).json({ workflow_state: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get workflow history for a drawing
+app.get('/api/v1/drawings/:documentId/workflow-history', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT dwh.*, u.first_name || ' ' || u.last_name as changed_by_name
+       FROM drawing_workflow_history dwh
+       LEFT JOIN users u ON dwh.changed_by = u.id
+       WHERE dwh.document_id = $1
+       ORDER BY dwh.created_at DESC`,
+      [req.params.documentId]
+    );
+    res.json({ history: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================================================
+// DRAWING MARKUPS (Document-based, new schema)
+// ==========================================================================
+
+// Get markups for a drawing
+app.get('/api/v1/drawings/:documentId/markups', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('document', 'documentId'), requireProject: true }), async (req, res, next) => {
+  try {
+    const params = [req.params.documentId];
+    const visible = markupLayers.visibleCondition('l', params, markupViewer(req));
+    const result = await pool.query(
+      `SELECT dm.*, u.first_name || ' ' || u.last_name as created_by_name,
+       ur.first_name || ' ' || ur.last_name as resolved_by_name,
+       l.name as layer_name, l.scope as layer_scope
+       FROM drawing_markups dm
+       LEFT JOIN users u ON dm.created_by = u.id
+       LEFT JOIN users ur ON dm.resolved_by = ur.id
+       LEFT JOIN drawing_markup_layers l ON l.id = dm.layer_id
+       WHERE dm.document_id = $1 AND ${visible}
+       ORDER BY dm.created_at DESC`,
+      params
+    );
+    res.json({ markups: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create markup for a drawing
+app.post('/api/v1/drawings/:documentId/markups', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('document', 'documentId'), requireProject: true }), async (req, res, next) => {
+  try {
+    const { markup_data, markup_type, position_x, position_y, comment, color, linked_entity_type, linked_entity_id, layer_id } = req.body;
+
+    if (!markup_data) {
+      return res.status(400).json({ error: 'markup_data is required' });
     }
 
-    // TODO: Send notification to reviewer
+    const documentResult = await pool.query(PROJECT_LOOKUPS.document, [req.params.documentId]);
+    const { layer, error, status } = await markupLayers.forMarkup(pool, documentResult.rows[0].project_id, layer_id, markupViewer(req));
+    if (error) return res.status(status).json({ error });
 
-    res.status(201).json({ review });
+    const result = await pool.query(
+      `INSERT INTO drawing_markups
+       (document_id, created_by, markup_data, markup_type, position_x, position_y, comment, color, linked_entity_type, linked_entity_id, layer_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [req.params.documentId, req.user.userId, JSON.stringify(markup_data), markup_type, position_x, position_y, comment, color, linked_entity_type, linked_entity_id, layer.id]
+    );
+
+    res.status(201).json({ markup: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Update review status
-app.put('/api/v1/drawing-reviews/:reviewId', authenticateToken, async (req, res, next) => {
+// Update markup
+app.put('/api/v1/drawing-markups/:markupId', authenticateToken, async (req, res, next) => {
   try {
-    const { review_status, review_notes, clash_detected, clash_description } = req.body;
+    const { markup_data, status, comment, color } = req.body;
 
-    // Check if user is the assigned reviewer and get project_id
-    const review = await pool.query(
-      `SELECT dr.reviewer_id, d.project_id
-       FROM drawing_reviews dr
-       JOIN documents d ON d.id = dr.document_id
-       WHERE dr.id = $1`,
-      [req.params.reviewId]
+    // First, fetch the markup to check ownership and get project_id
+    const markupCheck = await pool.query(
+      `SELECT dm.created_by, d.project_id
+       FROM drawing_markups dm
+       JOIN documents d ON d.id = dm.document_id
+       WHERE dm.id = $1`,
+      [req.params.markupId]
     );
 
-    if (review.rows.length === 0) {
-      return res.status(404).json({ error: 'Review not found' });
+    if (markupCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Markup not found' });
     }
 
-    // Allow update if user is the reviewer OR has superintendent+ role in the project
-    if (review.rows[0].reviewer_id !== req.user.userId) {
+    const markup = markupCheck.rows[0];
+
+    // Check if user owns the markup OR has engineer+ role in the project
+    if (markup.created_by !== req.user.userId) {
       // Check user's role in the project
       const roleCheck = await pool.query(
         `SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2`,
-        [review.rows[0].project_id, req.user.userId]
+        [markup.project_id, req.user.userId]
       );
 
       if (roleCheck.rows.length === 0) {
@@ -2200,1142 +3568,4731 @@ app.put('/api/v1/drawing-reviews/:reviewId', authenticateToken, async (req, res,
         'superintendent': 4, 'project_manager': 5, 'admin': 6
       };
 
-      if (roleHierarchy[roleCheck.rows[0].role] < roleHierarchy['superintendent']) {
-        return res.status(403).json({ error: 'Only the assigned reviewer or superintendent+ can update this review.' });
+      if (roleHierarchy[roleCheck.rows[0].role] < roleHierarchy['engineer']) {
+        return res.status(403).json({ error: 'You can only update your own markups. Engineer role or higher required to modify others.' });
       }
     }
 
+    // Now perform the update
     const result = await pool.query(
-      `UPDATE drawing_reviews
-       SET review_status = COALESCE($1, review_status),
-           review_notes = COALESCE($2, review_notes),
-           clash_detected = COALESCE($3, clash_detected),
-           clash_description = COALESCE($4, clash_description),
-           completed_at = CASE WHEN $1 IN ('approved', 'rejected') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+      `UPDATE drawing_markups
+       SET markup_data = COALESCE($1, markup_data),
+           status = COALESCE($2, status),
+           comment = COALESCE($3, comment),
+           color = COALESCE($4, color),
            updated_at = CURRENT_TIMESTAMP
        WHERE id = $5 RETURNING *`,
-      [review_status, review_notes, clash_detected, clash_description, req.params.reviewId]
+      [markup_data ? JSON.stringify(markup_data) : null, status, comment, color, req.params.markupId]
     );
 
-    res.json({ review: result.rows[0] });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Markup not found' });
+    }
+
+    res.json({ markup: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Update checklist item
-app.put('/api/v1/drawing-review-checklist/:itemId', authenticateToken, async (req, res, next) => {
+// Resolve markup
+app.post('/api/v1/drawing-markups/:markupId/resolve', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
   try {
-    const { is_checked, notes } = req.body;
-
     const result = await pool.query(
-      `UPDATE drawing_review_checklist
-       SET is_checked = COALESCE($1, is_checked),
-           notes = COALESCE($2, notes),
-           checked_by = CASE WHEN $1 = true THEN $3 ELSE checked_by END,
-           checked_at = CASE WHEN $1 = true THEN CURRENT_TIMESTAMP ELSE checked_at END
-       WHERE id = $4 RETURNING *`,
-      [is_checked, notes, req.user.userId, req.params.itemId]
+      `UPDATE drawing_markups
+       SET status = 'resolved',
+           resolved_by = $1,
+           resolved_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING *`,
+      [req.user.userId, req.params.markupId]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Checklist item not found' });
+      return res.status(404).json({ error: 'Markup not found' });
     }
 
-    res.json({ item: result.rows[0] });
+    res.json({ markup: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// ==========================================================================
-// DRAWING DISTRIBUTION
-// ==========================================================================
-
-// Get distributions for a drawing
-app.get('/api/v1/drawings/:documentId/distributions', authenticateToken, async (req, res, next) => {
+// Delete markup
+app.delete('/api/v1/drawing-markups/:markupId', authenticateToken, async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT dd.*,
-       u.first_name || ' ' || u.last_name as distributed_to_name,
-       ub.first_name || ' ' || ub.last_name as distributed_by_name
-       FROM drawing_distributions dd
-       LEFT JOIN users u ON dd.distributed_to_user_id = u.id
-       LEFT JOIN users ub ON dd.distributed_by = ub.id
-       WHERE dd.document_id = $1
-       ORDER BY dd.created_at DESC`,
-      [req.params.documentId]
+    // Check if user created this markup or has permission
+    const markup = await pool.query(
+      `SELECT dm.created_by, d.project_id
+       FROM drawing_markups dm
+       JOIN documents d ON d.id = dm.document_id
+       WHERE dm.id = $1`,
+      [req.params.markupId]
     );
-    res.json({ distributions: result.rows });
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Distribute drawing to user/role
-app.post('/api/v1/drawings/:documentId/distribute', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
-  try {
-    const { distributed_to_user_id, distributed_to_role, distribution_method, distribution_notes } = req.body;
 
-    if (!distributed_to_user_id && !distributed_to_role) {
-      return res.status(400).json({ error: 'Either distributed_to_user_id or distributed_to_role is required' });
+    if (markup.rows.length === 0) {
+      return res.status(404).json({ error: 'Markup not found' });
     }
 
-    const result = await pool.query(
-      `INSERT INTO drawing_distributions
-       (document_id, distributed_to_user_id, distributed_to_role, distribution_method, distribution_notes, distributed_by)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [req.params.documentId, distributed_to_user_id, distributed_to_role, distribution_method || 'manual', distribution_notes, req.user.userId]
-    );
+    // Allow deletion if user created it OR has superintendent+ role in the project
+    if (markup.rows[0].created_by !== req.user.userId) {
+      // Check user's role in the project
+      const roleCheck = await pool.query(
+        `SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2`,
+        [markup.rows[0].project_id, req.user.userId]
+      );
+
+      if (roleCheck.rows.length === 0) {
+        return res.status(403).json({ error: 'Access denied. You must be a project member.' });
+      }
+
+      const roleHierarchy = {
+        'viewer': 1, 'subcontractor': 2, 'engineer': 3,
+        'superintendent': 4, 'project_manager': 5, 'admin': 6
+      };
+
+      if (roleHierarchy[roleCheck.rows[0].role] < roleHierarchy['superintendent']) {
+        return res.status(403).json({ error: 'You can only delete your own markups. Superintendent role or higher required to delete others.' });
+      }
+    }
+
+    await pool.query('DELETE FROM drawing_markups WHERE id = $1', [req.params.markupId]);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================================================
+// DRAWING REVIEWS & COORDINATION
+// ==========================================================================
+
+// Get reviews for a drawing
+app.get('/api/v1/drawings/:documentId/reviews', authenticateToken, async (req, res, next) => {
+  try {
+    // Single query to fetch all reviews with their checklist items (fix N+1 problem)
+    const result = await pool.query(
+      `SELECT dr.*,
+       u.first_name || ' ' || u.last_name as reviewer_name,
+       ur.first_name || ' ' || ur.last_name as requested_by_name,
+       drc.id as checklist_id,
+       drc.item_description,
+       drc.is_checked,
+       drc.notes as checklist_notes,
+       drc.checked_by,
+       drc.checked_at,
+       drc.created_at as checklist_created_at,
+       uc.first_name || ' ' || uc.last_name as checked_by_name
+       FROM drawing_reviews dr
+       LEFT JOIN users u ON dr.reviewer_id = u.id
+       LEFT JOIN users ur ON dr.requested_by = ur.id
+       LEFT JOIN drawing_review_checklist drc ON drc.review_id = dr.id
+       LEFT JOIN users uc ON drc.checked_by = uc.id
+       WHERE dr.document_id = $1
+       ORDER BY dr.created_at DESC, drc.created_at ASC`,
+      [req.params.documentId]
+    );
+
+    // Group checklist items by review
+    const reviewsMap = new Map();
+    for (let row of result.rows) {
+      if (!reviewsMap.has(row.id)) {
+        // Create review object (only review fields, not checklist fields)
+        reviewsMap.set(row.id, {
+          id: row.id,
+          document_id: row.document_id,
+          reviewer_id: row.reviewer_id,
+          reviewer_name: row.reviewer_name,
+          discipline: row.discipline,
+          review_status: row.review_status,
+          review_notes: row.review_notes,
+          clash_detected: row.clash_detected,
+          clash_description: row.clash_description,
+          requested_by: row.requested_by,
+          requested_by_name: row.requested_by_name,
+          requested_at: row.requested_at,
+          completed_at: row.completed_at,
+          created_at: row.created_at,
+          updated_at: row.updated_at,
+          checklist: []
+        });
+      }
+
+      // Add checklist item if it exists
+      if (row.checklist_id) {
+        reviewsMap.get(row.id).checklist.push({
+          id: row.checklist_id,
+          item_description: row.item_description,
+          is_checked: row.is_checked,
+          notes: row.checklist_notes,
+          checked_by: row.checked_by,
+          checked_by_name: row.checked_by_name,
+          checked_at: row.checked_at,
+          created_at: row.checklist_created_at
+        });
+      }
+    }
+
+    res.json({ reviews: Array.from(reviewsMap.values()) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request drawing review
+app.post('/api/v1/drawings/:documentId/reviews', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const { reviewer_id, discipline, review_notes, checklist_items } = req.body;
+
+    if (!reviewer_id) {
+      return res.status(400).json({ error: 'reviewer_id is required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO drawing_reviews (document_id, reviewer_id, discipline, review_notes, requested_by)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [req.params.documentId, reviewer_id, discipline, review_notes, req.user.userId]
+    );
+
+    const review = result.rows[0];
+
+    // Add checklist items if provided
+    if (checklist_items && Array.isArray(checklist_items)) {
+      for (let item of checklist_items) {
+        await pool.query(
+          `INSERT INTO drawing_review_checklist (review_id, item_description)
+           VALUES ($1, $2)`,
+          [review.id, item]
+        );
+      }
+    }
+
+    // TODO: Send notification to reviewer
+
+    res.status(201).json({ review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update review status
+app.put('/api/v1/drawing-reviews/:reviewId', authenticateToken, async (req, res, next) => {
+  try {
+    const { review_status, review_notes, clash_detected, clash_description } = req.body;
+
+    // Check if user is the assigned reviewer and get project_id
+    const review = await pool.query(
+      `SELECT dr.reviewer_id, d.project_id
+       FROM drawing_reviews dr
+       JOIN documents d ON d.id = dr.document_id
+       WHERE dr.id = $1`,
+      [req.params.reviewId]
+    );
+
+    if (review.rows.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    // Allow update if user is the reviewer OR has superintendent+ role in the project
+    if (review.rows[0].reviewer_id !== req.user.userId) {
+      // Check user's role in the project
+      const roleCheck = await pool.query(
+        `SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2`,
+        [review.rows[0].project_id, req.user.userId]
+      );
+
+      if (roleCheck.rows.length === 0) {
+        return res.status(403).json({ error: 'Access denied. You must be a project member.' });
+      }
+
+      const roleHierarchy = {
+        'viewer': 1, 'subcontractor': 2, 'engineer': 3,
+        'superintendent': 4, 'project_manager': 5, 'admin': 6
+      };
+
+      if (roleHierarchy[roleCheck.rows[0].role] < roleHierarchy['superintendent']) {
+        return res.status(403).json({ error: 'Only the assigned reviewer or superintendent+ can update this review.' });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE drawing_reviews
+       SET review_status = COALESCE($1, review_status),
+           review_notes = COALESCE($2, review_notes),
+           clash_detected = COALESCE($3, clash_detected),
+           clash_description = COALESCE($4, clash_description),
+           completed_at = CASE WHEN $1 IN ('approved', 'rejected') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 RETURNING *`,
+      [review_status, review_notes, clash_detected, clash_description, req.params.reviewId]
+    );
+
+    res.json({ review: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update checklist item
+app.put('/api/v1/drawing-review-checklist/:itemId', authenticateToken, async (req, res, next) => {
+  try {
+    const { is_checked, notes } = req.body;
+
+    const result = await pool.query(
+      `UPDATE drawing_review_checklist
+       SET is_checked = COALESCE($1, is_checked),
+           notes = COALESCE($2, notes),
+           checked_by = CASE WHEN $1 = true THEN $3 ELSE checked_by END,
+           checked_at = CASE WHEN $1 = true THEN CURRENT_TIMESTAMP ELSE checked_at END
+       WHERE id = $4 RETURNING *`,
+      [is_checked, notes, req.user.userId, req.params.itemId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    res.json({ item: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================================================
+// DRAWING DISTRIBUTION
+// ==========================================================================
+
+// Get distributions for a drawing
+app.get('/api/v1/drawings/:documentId/distributions', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT dd.*,
+       u.first_name || ' ' || u.last_name as distributed_to_name,
+       ub.first_name || ' ' || ub.last_name as distributed_by_name
+       FROM drawing_distributions dd
+       LEFT JOIN users u ON dd.distributed_to_user_id = u.id
+       LEFT JOIN users ub ON dd.distributed_by = ub.id
+       WHERE dd.document_id = $1
+       ORDER BY dd.created_at DESC`,
+      [req.params.documentId]
+    );
+    res.json({ distributions: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Distribute one drawing: a single-drawing transmittal, so roles are expanded
+// to project members and every recipient gets a download link
+const distributeDrawing = async (req, res, recipients) => {
+  const { distribution_method, distribution_notes } = req.body;
+  const document = await pool.query('SELECT id, project_id, name FROM documents WHERE id = $1', [req.params.documentId]);
+  if (document.rows.length === 0) return res.status(404).json({ error: 'Drawing not found' });
+
+  const fields = {
+    subject: `Distribution: ${document.rows[0].name}`.slice(0, 255),
+    purpose: 'for_information',
+    message: distribution_notes || null,
+    document_ids: [req.params.documentId],
+    ...recipients
+  };
+  const validationError = drawingTransmittals.validate(fields, true);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  const client = await pool.connect();
+  let sent;
+  try {
+    await client.query('BEGIN');
+    const created = await drawingTransmittals.create(client, document.rows[0].project_id, fields, req.user.userId);
+    sent = created.error ? created : await drawingTransmittals.send(client, created.transmittal, req.user.userId, { method: distribution_method || 'manual' });
+    if (sent.error) {
+      await client.query('ROLLBACK');
+      return res.status(sent.status).json({ error: sent.error });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await drawingTransmittals.notifyRecipients(sent.transmittal, sent.recipients, { senderId: req.user.userId });
+  await logAudit(req.user.userId, 'send', 'drawing_transmittal', sent.transmittal.id,
+    { transmittal_number: sent.transmittal.transmittal_number, document_id: req.params.documentId, recipients: sent.recipients.length }, req);
+  await emitEvent('drawing_transmittal.sent', 'drawing_transmittal', sent.transmittal.id, sent.transmittal.project_id, req.user.userId,
+    { transmittal_number: sent.transmittal.transmittal_number, recipients: sent.recipients.length, items: 1 });
+
+  const distributions = await pool.query('SELECT * FROM drawing_distributions WHERE transmittal_id = $1 ORDER BY created_at', [sent.transmittal.id]);
+  return { transmittal: sent.transmittal, distributions: distributions.rows, empty_roles: sent.emptyRoles };
+};
+
+// Distribute drawing to user/role
+app.post('/api/v1/drawings/:documentId/distribute', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('document', 'documentId') }), async (req, res, next) => {
+  try {
+    const { distributed_to_user_id, distributed_to_role } = req.body;
+
+    if (!distributed_to_user_id && !distributed_to_role) {
+      return res.status(400).json({ error: 'Either distributed_to_user_id or distributed_to_role is required' });
+    }
+
+    const result = await distributeDrawing(req, res, {
+      user_ids: distributed_to_user_id ? [distributed_to_user_id] : [],
+      roles: distributed_to_role ? [distributed_to_role] : []
+    });
+    if (!result) return;
+    res.status(201).json({ distribution: result.distributions[0], ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Acknowledge distribution
+app.post('/api/v1/drawing-distributions/:distributionId/acknowledge', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE drawing_distributions
+       SET acknowledged = true,
+           acknowledged_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [req.params.distributionId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Distribution not found' });
+    }
+
+    // Confirming one drawing of a transmittal confirms receipt of the transmittal
+    const distribution = result.rows[0];
+    if (distribution.transmittal_id && distribution.distributed_to_user_id === req.user.userId) {
+      await drawingTransmittals.acknowledge(pool, distribution.transmittal_id, req.user.userId, 'distribution');
+    }
+
+    res.json({ distribution });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bulk distribute drawing to multiple users/roles
+app.post('/api/v1/drawings/:documentId/distribute-bulk', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('document', 'documentId') }), async (req, res, next) => {
+  try {
+    const { user_ids, roles } = req.body;
+
+    if ((!user_ids || user_ids.length === 0) && (!roles || roles.length === 0)) {
+      return res.status(400).json({ error: 'user_ids or roles array required' });
+    }
+
+    const result = await distributeDrawing(req, res, { user_ids: user_ids || [], roles: roles || [] });
+    if (!result) return;
+    res.status(201).json({ ...result, count: result.distributions.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================================================
+// DRAWING TRANSMITTALS
+// ==========================================================================
+
+const transmittalFileName = (item, index) => {
+  const extension = path.extname(item.file_path || '') || (item.mime_type === 'application/pdf' ? '.pdf' : '');
+  const base = item.sheet_number ? `${item.sheet_number}${item.revision ? ` rev ${item.revision}` : ''}` : path.parse(item.document_name).name;
+  return `${String(index + 1).padStart(2, '0')} ${base.replace(/[\\/:*?"<>|]+/g, '-')}${extension}`;
+};
+
+const transmittalCoverPdf = async (transmittal) => {
+  const project = await pool.query('SELECT name, project_number FROM projects WHERE id = $1', [transmittal.project_id]);
+  return Buffer.from(await renderTransmittalPdf({ project: project.rows[0], transmittal }));
+};
+
+// Public pages behind the recipient's download link (no session needed)
+app.get('/api/v1/transmittals/access/:token', async (req, res, next) => {
+  try {
+    const recipient = await drawingTransmittals.recipientForToken(req.params.token);
+    if (!recipient) {
+      return res.status(404).send(emailLinkPage('This link is invalid or has expired', '<p>Ask the sender for a new copy of the transmittal.</p>'));
+    }
+
+    const transmittal = await drawingTransmittals.detail(pool, recipient.transmittal_id);
+    const base = `/api/v1/transmittals/access/${req.params.token}`;
+    const items = transmittal.items.map((item, index) =>
+      `<li><a href="${base}/items/${item.id}">${escapeHtml(transmittalFileName(item, index))}</a></li>`).join('');
+    const receipt = recipient.acknowledged_at
+      ? `<p>Receipt confirmed on ${escapeHtml(recipient.acknowledged_at.toISOString().slice(0, 10))}. Thank you.</p>`
+      : `<form method="POST" action="${base}/acknowledge"><button type="submit" style="padding:8px 16px">Confirm receipt</button></form>`;
+
+    res.send(emailLinkPage(`Transmittal ${escapeHtml(recipient.transmittal_number)}`, `
+<p><strong>${escapeHtml(recipient.subject)}</strong><br>${escapeHtml(recipient.project_name)}</p>
+${recipient.message ? `<p>${escapeHtml(recipient.message).replace(/\n/g, '<br>')}</p>` : ''}
+<p><a href="${base}/download">Download all drawings (zip)</a> &middot; <a href="${base}/cover">Cover sheet (PDF)</a></p>
+<ul>${items}</ul>
+${receipt}`));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/transmittals/access/:token/download', async (req, res, next) => {
+  try {
+    const recipient = await drawingTransmittals.recipientForToken(req.params.token);
+    if (!recipient) return res.status(404).json({ error: 'This link is invalid or has expired' });
+
+    const transmittal = await drawingTransmittals.detail(pool, recipient.transmittal_id);
+    const zip = new JSZip();
+    zip.file(`${transmittal.transmittal_number} cover.pdf`, await transmittalCoverPdf(transmittal));
+    for (const [index, item] of transmittal.items.entries()) {
+      zip.file(transmittalFileName(item, index), await storage.downloadFile(item.file_path));
+    }
+    const archive = await zip.generateAsync({ type: 'nodebuffer' });
+    await drawingTransmittals.recordDownload(recipient.id);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${transmittal.transmittal_number}.zip"`);
+    res.send(archive);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/transmittals/access/:token/cover', async (req, res, next) => {
+  try {
+    const recipient = await drawingTransmittals.recipientForToken(req.params.token);
+    if (!recipient) return res.status(404).json({ error: 'This link is invalid or has expired' });
+
+    const transmittal = await drawingTransmittals.detail(pool, recipient.transmittal_id);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${transmittal.transmittal_number}.pdf"`);
+    res.send(await transmittalCoverPdf(transmittal));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/transmittals/access/:token/items/:itemId', async (req, res, next) => {
+  try {
+    const recipient = await drawingTransmittals.recipientForToken(req.params.token);
+    if (!recipient) return res.status(404).json({ error: 'This link is invalid or has expired' });
+
+    const transmittal = await drawingTransmittals.detail(pool, recipient.transmittal_id);
+    const index = transmittal.items.findIndex(item => item.id === req.params.itemId);
+    if (index === -1) return res.status(404).json({ error: 'Drawing not found on this transmittal' });
+
+    const item = transmittal.items[index];
+    const file = await storage.downloadFile(item.file_path);
+    await drawingTransmittals.recordDownload(recipient.id);
+
+    res.setHeader('Content-Type', item.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${transmittalFileName(item, index).replace(/"/g, '')}"`);
+    res.send(file);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/transmittals/access/:token/acknowledge', async (req, res, next) => {
+  try {
+    const recipient = await drawingTransmittals.recipientForToken(req.params.token);
+    if (!recipient) {
+      return res.status(404).send(emailLinkPage('This link is invalid or has expired', '<p>Sign in to BuildPro to confirm receipt.</p>'));
+    }
+
+    if (!recipient.acknowledged_at) {
+      await drawingTransmittals.acknowledge(pool, recipient.transmittal_id, recipient.user_id, 'link');
+      await logAudit(recipient.user_id, 'acknowledge', 'drawing_transmittal', recipient.transmittal_id, { via: 'link' }, req);
+      await emitEvent('drawing_transmittal.acknowledged', 'drawing_transmittal', recipient.transmittal_id, recipient.project_id,
+        recipient.user_id, { transmittal_number: recipient.transmittal_number, via: 'link' });
+    }
+    res.send(emailLinkPage('Receipt confirmed',
+      `<p>Thank you, ${escapeHtml(recipient.recipient_name)}. Receipt of transmittal ${escapeHtml(recipient.transmittal_number)} is recorded.</p>`));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/transmittals', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const params = [req.params.projectId];
+    let statusFilter = '';
+    if (req.query.status) {
+      params.push(req.query.status);
+      statusFilter = `AND t.status = $${params.length}`;
+    }
+    const result = await pool.query(
+      `SELECT t.*, su.first_name || ' ' || su.last_name as sent_by_name,
+              (SELECT COUNT(*)::int FROM drawing_transmittal_items i WHERE i.transmittal_id = t.id) as item_count,
+              (SELECT COUNT(*)::int FROM drawing_transmittal_recipients r WHERE r.transmittal_id = t.id) as recipient_count,
+              (SELECT COUNT(*)::int FROM drawing_transmittal_recipients r WHERE r.transmittal_id = t.id AND r.acknowledged_at IS NOT NULL) as acknowledged_count
+       FROM drawing_transmittals t
+       LEFT JOIN users su ON su.id = t.sent_by
+       WHERE t.project_id = $1 ${statusFilter}
+       ORDER BY t.created_at DESC`,
+      params
+    );
+    res.json({ transmittals: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Draft a transmittal; with send: true it goes out straight away
+app.post('/api/v1/projects/:projectId/transmittals', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  const validationError = drawingTransmittals.validate(req.body, true);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  const client = await pool.connect();
+  let sent = null;
+  let transmittal;
+  try {
+    await client.query('BEGIN');
+    const created = await drawingTransmittals.create(client, req.params.projectId, req.body, req.user.userId);
+    if (created.error) {
+      await client.query('ROLLBACK');
+      return res.status(created.status).json({ error: created.error });
+    }
+    transmittal = created.transmittal;
+    if (req.body.send === true) {
+      sent = await drawingTransmittals.send(client, transmittal, req.user.userId);
+      if (sent.error) {
+        await client.query('ROLLBACK');
+        return res.status(sent.status).json({ error: sent.error });
+      }
+      transmittal = sent.transmittal;
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    client.release();
+    return next(error);
+  }
+  client.release();
+
+  try {
+    await logAudit(req.user.userId, 'create', 'drawing_transmittal', transmittal.id, { transmittal_number: transmittal.transmittal_number, sent: Boolean(sent) }, req);
+    if (sent) {
+      await drawingTransmittals.notifyRecipients(transmittal, sent.recipients, { senderId: req.user.userId });
+      await emitEvent('drawing_transmittal.sent', 'drawing_transmittal', transmittal.id, transmittal.project_id, req.user.userId,
+        { transmittal_number: transmittal.transmittal_number, recipients: sent.recipients.length });
+    }
+    res.status(201).json({
+      transmittal: await drawingTransmittals.detail(pool, transmittal.id),
+      ...(sent ? { empty_roles: sent.emptyRoles } : {})
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Who has not confirmed receipt, per transmittal and per recipient
+app.get('/api/v1/projects/:projectId/transmittals/acknowledgements', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const dashboard = await drawingTransmittals.acknowledgements(req.params.projectId);
+
+    if (req.query.format === 'csv') {
+      const csv = toCsv([
+        { key: 'transmittal_number', header: 'Transmittal' },
+        { key: 'subject', header: 'Subject' },
+        { key: 'name', header: 'Recipient' },
+        { key: 'email', header: 'Email' },
+        { key: 'via_role', header: 'Via Role' },
+        { key: 'sent_at', header: 'Sent' },
+        { key: 'acknowledge_by', header: 'Confirm By', format: value => (value ? WorkCalendar.fromDayNumber(WorkCalendar.toDayNumber(value)) : '') },
+        { key: 'days_outstanding', header: 'Days Outstanding' },
+        { key: 'overdue', header: 'Overdue', format: value => (value ? 'Yes' : '') },
+        { key: 'download_count', header: 'Downloads' }
+      ], dashboard.outstanding);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="transmittal-acknowledgements-${req.params.projectId}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json(dashboard);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/transmittals/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_transmittal'), requireProject: true }), async (req, res, next) => {
+  try {
+    const transmittal = await drawingTransmittals.detail(pool, req.params.id);
+    if (!transmittal) return res.status(404).json({ error: 'Transmittal not found' });
+    res.json({ transmittal });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit a draft: fields, drawings (items / document_ids / drawing_sheet_ids) and recipients (user_ids / roles)
+app.put('/api/v1/transmittals/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_transmittal'), requireProject: true }), async (req, res, next) => {
+  const validationError = drawingTransmittals.validate(req.body, false);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM drawing_transmittals WHERE id = $1 FOR UPDATE', [req.params.id]);
+    const transmittal = current.rows[0];
+    if (!transmittal) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Transmittal not found' });
+    }
+    if (transmittal.status !== 'draft') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Sent transmittals cannot be changed' });
+    }
+
+    const fields = DrawingTransmittals.editableFields.filter(field => req.body[field] !== undefined);
+    const values = fields.map(field => (field === 'subject' ? req.body.subject.trim() : req.body[field] === '' ? null : req.body[field]));
+    if (req.body.user_ids !== undefined) {
+      fields.push('recipient_user_ids');
+      values.push([...new Set(req.body.user_ids)]);
+    }
+    if (req.body.roles !== undefined) {
+      fields.push('recipient_roles');
+      values.push([...new Set(req.body.roles)]);
+    }
+    if (fields.length > 0) {
+      await client.query(
+        `UPDATE drawing_transmittals
+         SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${fields.length + 1}`,
+        [...values, transmittal.id]
+      );
+    }
+
+    if (['items', 'document_ids', 'drawing_sheet_ids'].some(list => req.body[list] !== undefined)) {
+      const resolved = await drawingTransmittals.resolveItems(client, transmittal.project_id, req.body);
+      if (resolved.error || resolved.items.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: resolved.error || 'A transmittal needs at least one drawing' });
+      }
+      await drawingTransmittals.setItems(client, transmittal.id, resolved.items);
+    }
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, 'update', 'drawing_transmittal', transmittal.id, req.body, req);
+    res.json({ transmittal: await drawingTransmittals.detail(pool, transmittal.id) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/v1/transmittals/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_transmittal'), requireProject: true }), async (req, res, next) => {
+  try {
+    const result = await pool.query(`DELETE FROM drawing_transmittals WHERE id = $1 AND status = 'draft' RETURNING id`, [req.params.id]);
+    if (result.rows.length === 0) return res.status(409).json({ error: 'Only draft transmittals can be deleted' });
+    await logAudit(req.user.userId, 'delete', 'drawing_transmittal', req.params.id, null, req);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/transmittals/:id/send', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_transmittal'), requireProject: true }), async (req, res, next) => {
+  const client = await pool.connect();
+  let sent;
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM drawing_transmittals WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Transmittal not found' });
+    }
+    sent = await drawingTransmittals.send(client, current.rows[0], req.user.userId);
+    if (sent.error) {
+      await client.query('ROLLBACK');
+      return res.status(sent.status).json({ error: sent.error });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    client.release();
+    return next(error);
+  }
+  client.release();
+
+  try {
+    const { transmittal, recipients, emptyRoles } = sent;
+    await drawingTransmittals.notifyRecipients(transmittal, recipients, { senderId: req.user.userId });
+    await logAudit(req.user.userId, 'send', 'drawing_transmittal', transmittal.id,
+      { transmittal_number: transmittal.transmittal_number, recipients: recipients.length, empty_roles: emptyRoles }, req);
+    await emitEvent('drawing_transmittal.sent', 'drawing_transmittal', transmittal.id, transmittal.project_id, req.user.userId,
+      { transmittal_number: transmittal.transmittal_number, recipients: recipients.length });
+    res.json({ transmittal: await drawingTransmittals.detail(pool, transmittal.id), empty_roles: emptyRoles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Notify recipients who have not confirmed receipt again
+app.post('/api/v1/transmittals/:id/remind', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('drawing_transmittal'), requireProject: true }), async (req, res, next) => {
+  try {
+    const current = await pool.query('SELECT * FROM drawing_transmittals WHERE id = $1', [req.params.id]);
+    const transmittal = current.rows[0];
+    if (!transmittal) return res.status(404).json({ error: 'Transmittal not found' });
+    if (transmittal.status !== 'sent') return res.status(409).json({ error: 'Transmittal has not been sent' });
+
+    const outstanding = await pool.query(
+      `SELECT * FROM drawing_transmittal_recipients
+       WHERE transmittal_id = $1 AND acknowledged_at IS NULL AND token_expires_at > CURRENT_TIMESTAMP`,
+      [transmittal.id]
+    );
+    const reminded = await drawingTransmittals.notifyRecipients(transmittal, outstanding.rows, { reminder: true });
+    await logAudit(req.user.userId, 'remind', 'drawing_transmittal', transmittal.id, { reminded }, req);
+    res.json({ reminded });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/transmittals/:id/acknowledge', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_transmittal'), requireProject: true }), async (req, res, next) => {
+  try {
+    const existing = await pool.query(
+      'SELECT acknowledged_at FROM drawing_transmittal_recipients WHERE transmittal_id = $1 AND user_id = $2',
+      [req.params.id, req.user.userId]
+    );
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'You are not a recipient of this transmittal' });
+
+    const recipient = await drawingTransmittals.acknowledge(pool, req.params.id, req.user.userId, 'app');
+    if (!existing.rows[0].acknowledged_at) {
+      const transmittal = await pool.query('SELECT project_id, transmittal_number FROM drawing_transmittals WHERE id = $1', [req.params.id]);
+      await logAudit(req.user.userId, 'acknowledge', 'drawing_transmittal', req.params.id, { via: 'app' }, req);
+      await emitEvent('drawing_transmittal.acknowledged', 'drawing_transmittal', req.params.id, transmittal.rows[0].project_id,
+        req.user.userId, { transmittal_number: transmittal.rows[0].transmittal_number, via: 'app' });
+    }
+    res.json({ recipient: { ...recipient, access_token: undefined } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/transmittals/:id/cover', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('drawing_transmittal'), requireProject: true }), async (req, res, next) => {
+  try {
+    const transmittal = await drawingTransmittals.detail(pool, req.params.id);
+    if (!transmittal) return res.status(404).json({ error: 'Transmittal not found' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${transmittal.transmittal_number}.pdf"`);
+    res.send(await transmittalCoverPdf(transmittal));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================================================
+// ASI (ARCHITECT SUPPLEMENTAL INSTRUCTIONS)
+// ==========================================================================
+
+// Get ASIs for a project
+app.get('/api/v1/projects/:projectId/asis', authenticateToken, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    let query = `
+      SELECT a.*, u.first_name || ' ' || u.last_name as created_by_name,
+      (SELECT COUNT(*) FROM asi_drawings WHERE asi_id = a.id) as affected_drawings_count
+      FROM asis a
+      LEFT JOIN users u ON a.created_by = u.id
+      WHERE a.project_id = $1
+    `;
+    const params = [req.params.projectId];
+
+    if (status) {
+      query += ` AND a.status = $2`;
+      params.push(status);
+    }
+
+    query += ` ORDER BY a.issue_date DESC, a.asi_number DESC`;
+
+    const result = await pool.query(query, params);
+    res.json({ asis: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single ASI with affected drawings, its change event and schedule impacts
+app.get('/api/v1/asis/:asiId', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('asi', 'asiId') }), async (req, res, next) => {
+  try {
+    const asiResult = await pool.query(
+      `SELECT a.*, u.first_name || ' ' || u.last_name as created_by_name
+       FROM asis a
+       LEFT JOIN users u ON a.created_by = u.id
+       WHERE a.id = $1`,
+      [req.params.asiId]
+    );
+
+    if (asiResult.rows.length === 0) {
+      return res.status(404).json({ error: 'ASI not found' });
+    }
+
+    const asi = asiResult.rows[0];
+
+    // Get affected drawings
+    const drawingsResult = await pool.query(
+      `SELECT ad.*, d.name as drawing_name, d.drawing_number, d.discipline
+       FROM asi_drawings ad
+       INNER JOIN documents d ON ad.document_id = d.id
+       WHERE ad.asi_id = $1`,
+      [req.params.asiId]
+    );
+
+    asi.affected_drawings = drawingsResult.rows;
+
+    const changeEvent = await pool.query('SELECT * FROM change_events WHERE source_asi_id = $1', [asi.id]);
+    asi.change_event = changeEvent.rows[0] || null;
+    asi.schedule_impacts = await asiTracker.scheduleImpacts(pool, asi.id);
+
+    res.json({ asi });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create ASI
+app.post('/api/v1/projects/:projectId/asis', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const {
+      asi_number, title, description, issued_by, issue_date, received_date,
+      affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days
+    } = req.body;
+
+    if (!asi_number || !title) {
+      return res.status(400).json({ error: 'asi_number and title are required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO asis
+       (project_id, asi_number, title, description, issued_by, issue_date, received_date,
+        affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+      [req.params.projectId, asi_number, title, description, issued_by, issue_date, received_date,
+       affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, req.user.userId]
+    );
+
+    res.status(201).json({ asi: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation
+      return res.status(400).json({ error: 'ASI number already exists for this project' });
+    }
+    next(error);
+  }
+});
+
+// Update ASI
+app.put('/api/v1/asis/:asiId', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('asi', 'asiId') }), async (req, res, next) => {
+  try {
+    const {
+      title, description, issued_by, issue_date, received_date, status,
+      affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, incorporation_notes
+    } = req.body;
+
+    const result = await pool.query(
+      `UPDATE asis
+       SET title = COALESCE($1, title),
+           description = COALESCE($2, description),
+           issued_by = COALESCE($3, issued_by),
+           issue_date = COALESCE($4, issue_date),
+           received_date = COALESCE($5, received_date),
+           status = COALESCE($6, status),
+           affects_cost = COALESCE($7, affects_cost),
+           affects_schedule = COALESCE($8, affects_schedule),
+           estimated_cost_impact = COALESCE($9, estimated_cost_impact),
+           estimated_schedule_impact_days = COALESCE($10, estimated_schedule_impact_days),
+           incorporation_notes = COALESCE($11, incorporation_notes),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $12 RETURNING *`,
+      [title, description, issued_by, issue_date, received_date, status,
+       affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, incorporation_notes, req.params.asiId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'ASI not found' });
+    }
+
+    // A generated change event keeps following the ASI's estimate until it is approved
+    const changeEvent = await asiTracker.syncEstimate(pool, result.rows[0]);
+    if (changeEvent) {
+      await logAudit(req.user.userId, 'update', 'change_event', changeEvent.id,
+        { estimated_cost: changeEvent.estimated_cost, estimated_days: changeEvent.estimated_days, source_asi_id: req.params.asiId }, req);
+    }
+
+    res.json({ asi: result.rows[0], ...(changeEvent ? { change_event: changeEvent } : {}) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Link ASI to drawing
+app.post('/api/v1/asis/:asiId/drawings/:documentId', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('asi', 'asiId') }), async (req, res, next) => {
+  const { impact_description, requires_revision } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO asi_drawings (asi_id, document_id, impact_description, requires_revision)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [req.params.asiId, req.params.documentId, impact_description, requires_revision !== false]
+    );
+
+    // Update drawing workflow state to 'asi_pending' if requires revision
+    if (requires_revision !== false) {
+      await client.query(
+        `INSERT INTO drawing_workflow_states (document_id, workflow_state, created_by, notes)
+         VALUES ($1, 'asi_pending', $2, 'ASI linked - revision may be required')`,
+        [req.params.documentId, req.user.userId]
+      );
+    }
+
+    // Another drawing to revise takes an incorporated ASI back under review
+    const { asi, change } = await asiTracker.reconcile(client, req.params.asiId, req.user.userId);
+    await client.query('COMMIT');
+
+    if (change) await asiIncorporationChanged(req, asi, change);
+    res.status(201).json({ asi_drawing: result.rows[0], asi_status: asi.status });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') { // Unique violation
+      return res.status(400).json({ error: 'This drawing is already linked to this ASI' });
+    }
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Audit, event and notice to the ASI's author when incorporation changes
+const asiIncorporationChanged = async (req, asi, change) => {
+  await logAudit(req.user.userId, change === 'incorporated' ? 'incorporate' : 'reopen', 'asi', asi.id, { status: asi.status }, req);
+  await emitEvent(`asi.${change}`, 'asi', asi.id, asi.project_id, req.user.userId,
+    { asi_number: asi.asi_number, status: asi.status, incorporated_at: asi.incorporated_at });
+  if (asi.created_by && asi.created_by !== req.user.userId) {
+    await createNotification(asi.created_by, 'status_change',
+      change === 'incorporated' ? `ASI ${asi.asi_number} incorporated` : `ASI ${asi.asi_number} back under review`,
+      change === 'incorporated'
+        ? `Every affected drawing for "${asi.title}" has been revised`
+        : `A drawing needing revision was linked to "${asi.title}"`,
+      'asi', asi.id);
+  }
+};
+
+// Mark ASI-drawing revision as completed; the last one incorporates the ASI
+app.post('/api/v1/asi-drawings/:asiDrawingId/complete', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('asi_drawing', 'asiDrawingId') }), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE asi_drawings
+       SET revision_completed = true,
+           completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 RETURNING *`,
+      [req.params.asiDrawingId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'ASI-Drawing link not found' });
+    }
+
+    const { asi, change } = await asiTracker.reconcile(client, result.rows[0].asi_id, req.user.userId);
+    await client.query('COMMIT');
+
+    if (change) await asiIncorporationChanged(req, asi, change);
+    res.json({ asi_drawing: result.rows[0], asi_status: asi.status, incorporated: change === 'incorporated' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Generate the ASI's change event from its cost and schedule estimate
+app.post('/api/v1/asis/:asiId/change-event', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('asi', 'asiId'), requireProject: true }), async (req, res, next) => {
+  const { estimated_cost, estimated_days } = req.body;
+  if (estimated_cost !== undefined && estimated_cost !== null && !Number.isFinite(Number(estimated_cost))) {
+    return res.status(400).json({ error: 'estimated_cost must be a number' });
+  }
+  if (estimated_days !== undefined && estimated_days !== null && !Number.isInteger(estimated_days)) {
+    return res.status(400).json({ error: 'estimated_days must be a whole number' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM asis WHERE id = $1 FOR UPDATE', [req.params.asiId]);
+    const created = await asiTracker.createChangeEvent(client, current.rows[0], req.body, req.user.userId);
+    if (created.error) {
+      await client.query('ROLLBACK');
+      return res.status(created.status).json({ error: created.error });
+    }
+    await client.query('COMMIT');
+
+    const changeEvent = created.changeEvent;
+    await logAudit(req.user.userId, 'create', 'change_event', changeEvent.id, { ...changeEvent, source_asi_id: req.params.asiId }, req);
+    await emitEvent('change_event.created', 'change_event', changeEvent.id, changeEvent.project_id, req.user.userId,
+      { event_number: changeEvent.event_number, estimated_cost: changeEvent.estimated_cost, estimated_days: changeEvent.estimated_days, source_asi_id: req.params.asiId });
+    res.status(201).json({ change_event: changeEvent });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Change event number already exists, or the ASI already has a change event' });
+    }
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Link the ASI to schedule tasks it delays
+app.post('/api/v1/asis/:asiId/schedule-impacts', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('asi', 'asiId'), requireProject: true }), async (req, res, next) => {
+  const validationError = AsiTracker.validateImpacts(req.body);
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM asis WHERE id = $1 FOR UPDATE', [req.params.asiId]);
+    const linked = await asiTracker.linkTasks(client, current.rows[0], req.body, req.user.userId);
+    if (linked.error) {
+      await client.query('ROLLBACK');
+      return res.status(linked.status).json({ error: linked.error });
+    }
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, 'link', 'asi', req.params.asiId,
+      { schedule_impacts: linked.links.map(link => ({ task_id: link.task_id, schedule_impact_days: link.schedule_impact_days })) }, req);
+    res.status(201).json({ schedule_impacts: await asiTracker.scheduleImpacts(pool, req.params.asiId) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/v1/asis/:asiId/schedule-impacts/:linkId', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('asi', 'asiId'), requireProject: true }), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM schedule_links WHERE id = $1 AND entity_type = 'asi' AND entity_id = $2 RETURNING *`,
+      [req.params.linkId, req.params.asiId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Schedule impact not found' });
+
+    await logAudit(req.user.userId, 'unlink', 'asi', req.params.asiId, { task_id: result.rows[0].task_id }, req);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete ASI
+app.delete('/api/v1/asis/:asiId', authenticateToken, async (req, res, next) => {
+  try {
+    // Get ASI to find its project_id for permission check
+    const asiResult = await pool.query('SELECT project_id FROM asis WHERE id = $1', [req.params.asiId]);
+
+    if (asiResult.rows.length === 0) {
+      return res.status(404).json({ error: 'ASI not found' });
+    }
+
+    // Set projectId for checkPermission middleware
+    req.params.projectId = asiResult.rows[0].project_id;
+
+    // Check permission manually - same level as create (engineer)
+    const permissionCheck = checkPermission('engineer');
+    await new Promise((resolve, reject) => {
+      permissionCheck(req, res, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    // Delete the ASI (CASCADE will delete related asi_drawings; its change event is kept)
+    await pool.query(`DELETE FROM schedule_links WHERE entity_type = 'asi' AND entity_id = $1`, [req.params.asiId]);
+    await pool.query('DELETE FROM asis WHERE id = $1', [req.params.asiId]);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==========================================================================
+// DRAWING SETS (Enhanced version with new schema)
+// ==========================================================================
+
+// Create drawing set
+app.post('/api/v1/projects/:projectId/drawing-sets-v2', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const { set_name, set_description, set_type, issue_date } = req.body;
+
+    if (!set_name) {
+      return res.status(400).json({ error: 'set_name is required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO drawing_sets (project_id, set_name, set_description, set_type, issue_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [req.params.projectId, set_name, set_description, set_type, issue_date, req.user.userId]
+    );
+
+    res.status(201).json({ drawing_set: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get drawing sets for project
+app.get('/api/v1/projects/:projectId/drawing-sets-v2', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ds.*, u.first_name || ' ' || u.last_name as created_by_name,
+       (SELECT COUNT(*) FROM drawing_set_members WHERE drawing_set_id = ds.id) as drawing_count
+       FROM drawing_sets ds
+       LEFT JOIN users u ON ds.created_by = u.id
+       WHERE ds.project_id = $1
+       ORDER BY ds.created_at DESC`,
+      [req.params.projectId]
+    );
+    res.json({ drawing_sets: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add drawing to set
+app.post('/api/v1/drawing-sets/:setId/members/:documentId', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const { sequence_order } = req.body;
+
+    const result = await pool.query(
+      `INSERT INTO drawing_set_members (drawing_set_id, document_id, sequence_order)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [req.params.setId, req.params.documentId, sequence_order]
+    );
+
+    res.status(201).json({ member: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Drawing already in this set' });
+    }
+    next(error);
+  }
+});
+
+// Remove drawing from set
+app.delete('/api/v1/drawing-set-members/:memberId', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    await pool.query('DELETE FROM drawing_set_members WHERE id = $1', [req.params.memberId]);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get drawings in a set
+app.get('/api/v1/drawing-sets/:setId/drawings', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT d.*, dsm.sequence_order, dsm.id as member_id
+       FROM drawing_set_members dsm
+       INNER JOIN documents d ON dsm.document_id = d.id
+       WHERE dsm.drawing_set_id = $1
+       ORDER BY dsm.sequence_order, d.drawing_number`,
+      [req.params.setId]
+    );
+    res.json({ drawings: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PHOTOS
+app.post('/api/v1/projects/:projectId/photo-albums', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    const result = await pool.query(
+      `INSERT INTO photo_albums (project_id, name, description, created_by) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [req.params.projectId, name, description, req.user.userId]
+    );
+    res.status(201).json({ album: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/photo-albums', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT pa.*, COUNT(p.id) as photo_count
+       FROM photo_albums pa LEFT JOIN photos p ON pa.id = p.album_id
+       WHERE pa.project_id = $1 GROUP BY pa.id ORDER BY pa.created_at DESC`,
+      [req.params.projectId]
+    );
+    res.json({ albums: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/v1/photo-albums/:id', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+  try {
+    // Fetch album to verify it exists and get project_id
+    const albumQuery = await pool.query(
+      'SELECT project_id FROM photo_albums WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (albumQuery.rows.length === 0) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    const album = albumQuery.rows[0];
+
+    // Verify user is project member
+    const memberCheck = await pool.query(
+      'SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2',
+      [album.project_id, req.user.userId]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied. You must be a project member to delete albums.'
+      });
+    }
+
+    // Delete album (photos will have album_id set to NULL due to ON DELETE SET NULL)
+    await pool.query('DELETE FROM photo_albums WHERE id = $1', [req.params.id]);
+
+    // Emit audit event
+    await emitEvent(
+      'album.deleted',
+      'photo_album',
+      req.params.id,
+      album.project_id,
+      req.user.userId,
+      { album_id: req.params.id }
+    );
+
+    res.json({
+      success: true,
+      deletedAlbumId: req.params.id
+    });
+
+  } catch (error) {
+    console.error('Delete album error:', error);
+    next(error);
+  }
+});
+
+app.post('/api/v1/photo-albums/:albumId/photos', authenticateToken, checkPermission('subcontractor'), upload.single('photo'), async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No photo uploaded' });
+    const { title, description, taken_at, location } = req.body;
+
+    const albumResult = await pool.query('SELECT project_id FROM photo_albums WHERE id = $1', [req.params.albumId]);
+    if (albumResult.rows.length === 0) return res.status(404).json({ error: 'Album not found' });
+
+    const projectId = albumResult.rows[0].project_id;
+
+    // Handle file storage based on storage type
+    let filePath, fileUrl;
+    if (storageType === 'local') {
+      filePath = req.file.path;
+      fileUrl = `/uploads/${path.basename(req.file.path)}`;
+    } else {
+      const uploadResult = await storage.uploadBuffer(
+        req.file.buffer,
+        req.file.originalname,
+        { mimetype: req.file.mimetype, albumId: req.params.albumId, projectId: projectId }
+      );
+      filePath = uploadResult.path;
+      fileUrl = uploadResult.url;
+    }
+
+    const docResult = await pool.query(
+      `INSERT INTO documents (project_id, name, file_path, file_size, mime_type, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [projectId, req.file.originalname, filePath, req.file.size, req.file.mimetype, req.user.userId]
+    );
+
+    const photoResult = await pool.query(
+      `INSERT INTO photos (album_id, project_id, document_id, title, description, taken_at, location, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [req.params.albumId, projectId, docResult.rows[0].id, title, description,
+       taken_at || new Date().toISOString(), location, req.user.userId]
+    );
+
+    res.status(201).json({ photo: photoResult.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/photos', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*, d.file_path FROM photos p
+       JOIN documents d ON p.document_id = d.id
+       WHERE p.project_id = $1 ORDER BY p.taken_at DESC`,
+      [req.params.projectId]
+    );
+    
+    for (let photo of result.rows) {
+      const tagsResult = await pool.query('SELECT tag FROM photo_tags WHERE photo_id = $1', [photo.id]);
+      photo.tags = tagsResult.rows.map(r => r.tag);
+    }
+    
+    res.json({ photos: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/photos/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*, d.file_path FROM photos p
+       JOIN documents d ON p.document_id = d.id WHERE p.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Photo not found' });
+    
+    const tagsResult = await pool.query('SELECT tag FROM photo_tags WHERE photo_id = $1', [req.params.id]);
+    const photo = result.rows[0];
+    photo.tags = tagsResult.rows.map(r => r.tag);
+    res.json({ photo });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/photos/:photoId/tags', authenticateToken, async (req, res, next) => {
+  try {
+    const { tags } = req.body;
+    if (!Array.isArray(tags)) return res.status(400).json({ error: 'Tags must be array' });
+    
+    for (const tag of tags) {
+      await pool.query(
+        `INSERT INTO photo_tags (photo_id, tag) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+        [req.params.photoId, tag.toLowerCase().trim()]
+      );
+    }
+    
+    const result = await pool.query('SELECT tag FROM photo_tags WHERE photo_id = $1', [req.params.photoId]);
+    res.json({ tags: result.rows.map(r => r.tag) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/tags', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT pt.tag, COUNT(*) as count FROM photo_tags pt
+       JOIN photos p ON pt.photo_id = p.id WHERE p.project_id = $1
+       GROUP BY pt.tag ORDER BY count DESC`,
+      [req.params.projectId]
+    );
+    res.json({ tags: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/photos/:photoId/link', authenticateToken, async (req, res, next) => {
+  try {
+    const { target_type, target_id, metadata } = req.body;
+    const result = await pool.query(
+      `INSERT INTO entity_links (source_type, source_id, target_type, target_id, metadata)
+       VALUES ('photo', $1, $2, $3, $4) RETURNING *`,
+      [req.params.photoId, target_type, target_id, JSON.stringify(metadata || {})]
+    );
+    res.status(201).json({ link: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/v1/photos/:id', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+  const client = await pool.connect();
+
+  try {
+    // Fetch photo with document info
+    const photoQuery = await client.query(
+      `SELECT p.*, d.file_path, d.id as document_id
+       FROM photos p
+       JOIN documents d ON p.document_id = d.id
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+
+    if (photoQuery.rows.length === 0) {
+      client.release();
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const photo = photoQuery.rows[0];
+    const filePath = photo.file_path;
+    const documentId = photo.document_id;
+
+    // Verify user is project member
+    const memberCheck = await client.query(
+      `SELECT role FROM project_members
+       WHERE project_id = $1 AND user_id = $2`,
+      [photo.project_id, req.user.userId]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      client.release();
+      return res.status(403).json({
+        error: 'Access denied. You must be a project member to delete photos.'
+      });
+    }
+
+    // Database transaction
+    await client.query('BEGIN');
+
+    // Delete photo (CASCADE handles photo_tags and entity_links)
+    await client.query('DELETE FROM photos WHERE id = $1', [req.params.id]);
+
+    // Delete document
+    await client.query('DELETE FROM documents WHERE id = $1', [documentId]);
+
+    await client.query('COMMIT');
+
+    // File cleanup (non-blocking, after DB commit)
+    if (filePath) {
+      try {
+        await storage.deleteFile(filePath);
+      } catch (unlinkErr) {
+        console.error('File deletion error (non-critical):', unlinkErr);
+      }
+    }
+
+    // Emit audit event
+    await emitEvent(
+      'photo.deleted',
+      'photo',
+      req.params.id,
+      photo.project_id,
+      req.user.userId,
+      {
+        title: photo.title,
+        document_id: documentId
+      }
+    );
+
+    res.json({
+      success: true,
+      deletedPhotoId: req.params.id,
+      deletedDocumentId: documentId
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete photo error:', error);
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// SUBMITTALS
+app.post('/api/v1/projects/:projectId/submittal-packages', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+  try {
+    const { package_number, title, spec_section } = req.body;
+    const result = await pool.query(
+      `INSERT INTO submittal_packages (project_id, package_number, title, spec_section, created_by)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [req.params.projectId, package_number, title, spec_section, req.user.userId]
+    );
+    res.status(201).json({ package: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/submittal-packages', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT sp.*, COUNT(s.id) as submittal_count
+       FROM submittal_packages sp
+       LEFT JOIN submittals s ON sp.id = s.package_id
+       WHERE sp.project_id = $1
+       GROUP BY sp.id ORDER BY sp.created_at DESC`,
+      [req.params.projectId]
+    );
+    res.json({ packages: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/submittal-packages/:packageId/submittals', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+  try {
+    const { submittal_number, title, type, due_date } = req.body;
+    const result = await pool.query(
+      `INSERT INTO submittals (package_id, submittal_number, title, type, status, due_date, submitted_by)
+       VALUES ($1, $2, $3, $4, 'draft', $5, $6) RETURNING *`,
+      [req.params.packageId, submittal_number, title, type, due_date, req.user.userId]
+    );
+    res.status(201).json({ submittal: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/submittals', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*, sp.package_number, sp.title as package_title
+       FROM submittals s
+       JOIN submittal_packages sp ON s.package_id = sp.id
+       WHERE sp.project_id = $1 ORDER BY s.created_at DESC`,
+      [req.params.projectId]
+    );
+    res.json({ submittals: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/submittals/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*, sp.title as package_title, sp.project_id FROM submittals s
+       JOIN submittal_packages sp ON s.package_id = sp.id WHERE s.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Submittal not found' });
+
+    const steps = await pool.query(
+      `SELECT srs.*, u.first_name || ' ' || u.last_name as reviewer_name
+       FROM submittal_review_steps srs
+       JOIN users u ON u.id = srs.reviewer_id
+       WHERE srs.submittal_id = $1 AND srs.revision_number = $2
+       ORDER BY srs.step_number`,
+      [req.params.id, result.rows[0].revision_number || 0]
+    );
+
+    res.json({ submittal: { ...result.rows[0], review_steps: steps.rows } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// SUBMITTAL REVIEW ROUTING
+// Each revision of a submittal has its own reviewer chain in submittal_review_steps.
+// Steps run one at a time; approvals advance the chain, revise_resubmit or
+// rejected closes the revision, and /resubmit opens revision N+1.
+const SUBMITTAL_DECISIONS = ['approved', 'approved_as_noted', 'revise_resubmit', 'rejected'];
+
+// Revision a reviewer chain defined now will apply to
+const upcomingSubmittalRevision = (submittal) =>
+  submittal.status === 'revise_resubmit' ? (submittal.revision_number || 0) + 1 : (submittal.revision_number || 0);
+
+// Put a step in_review; returns the started step so the caller can notify after COMMIT
+const startSubmittalReviewStep = async (client, submittalId, revisionNumber, stepNumber) => {
+  const stepResult = await client.query(
+    `UPDATE submittal_review_steps
+     SET status = 'in_review', started_at = CURRENT_TIMESTAMP,
+         due_date = COALESCE(due_date, CURRENT_DATE + review_days)
+     WHERE submittal_id = $1 AND revision_number = $2 AND step_number = $3
+     RETURNING *`,
+    [submittalId, revisionNumber, stepNumber]
+  );
+
+  await client.query(
+    `UPDATE submittals SET status = 'in_review', current_step_number = $1 WHERE id = $2`,
+    [stepNumber, submittalId]
+  );
+
+  return stepResult.rows[0];
+};
+
+const loadSubmittalForReview = async (submittalId) => {
+  const result = await pool.query(
+    `SELECT s.*, sp.project_id FROM submittals s
+     JOIN submittal_packages sp ON sp.id = s.package_id WHERE s.id = $1`,
+    [submittalId]
+  );
+  return result.rows[0] || null;
+};
+
+// Define (or replace) the reviewer chain for the upcoming revision
+app.put('/api/v1/submittals/:id/review-steps', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('submittal') }), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const { steps } = req.body;
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return res.status(400).json({ error: 'steps must be a non-empty array of { reviewer_id, role, due_date, review_days }' });
+    }
+    if (steps.some(step => !step.reviewer_id)) {
+      return res.status(400).json({ error: 'Every step requires a reviewer_id' });
+    }
+
+    const submittal = await loadSubmittalForReview(req.params.id);
+    if (!submittal) return res.status(404).json({ error: 'Submittal not found' });
+
+    if (!['draft', 'revise_resubmit'].includes(submittal.status)) {
+      return res.status(409).json({
+        error: `Cannot change the reviewer chain while the submittal is ${submittal.status}`
+      });
+    }
+
+    const reviewerIds = [...new Set(steps.map(step => step.reviewer_id))];
+    const members = await pool.query(
+      `SELECT user_id FROM project_members WHERE project_id = $1 AND user_id = ANY($2::UUID[])`,
+      [submittal.project_id, reviewerIds]
+    );
+    if (members.rows.length !== reviewerIds.length) {
+      return res.status(400).json({ error: 'All reviewers must be members of the project' });
+    }
+
+    const revisionNumber = upcomingSubmittalRevision(submittal);
+
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM submittal_review_steps WHERE submittal_id = $1 AND revision_number = $2',
+      [submittal.id, revisionNumber]
+    );
+
+    const created = [];
+    for (const [index, step] of steps.entries()) {
+      const result = await client.query(
+        `INSERT INTO submittal_review_steps (submittal_id, revision_number, step_number, reviewer_id, role, due_date, review_days, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending') RETURNING *`,
+        [submittal.id, revisionNumber, index + 1, step.reviewer_id, step.role || null, step.due_date || null, step.review_days || null]
+      );
+      created.push(result.rows[0]);
+    }
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, 'update', 'submittal', submittal.id, { review_steps: created.length, revision_number: revisionNumber }, req);
+    res.json({ revision_number: revisionNumber, review_steps: created });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Get the reviewer chain (defaults to the current revision) with stamped attachments
+app.get('/api/v1/submittals/:id/review-steps', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('submittal') }), async (req, res, next) => {
+  try {
+    const submittal = await loadSubmittalForReview(req.params.id);
+    if (!submittal) return res.status(404).json({ error: 'Submittal not found' });
+
+    const revisionNumber = req.query.revision !== undefined
+      ? parseInt(req.query.revision, 10)
+      : submittal.revision_number || 0;
+
+    const result = await pool.query(
+      `SELECT srs.*, u.first_name || ' ' || u.last_name as reviewer_name, u.email as reviewer_email,
+              COALESCE(json_agg(json_build_object('document_id', d.id, 'name', d.name, 'mime_type', d.mime_type))
+                       FILTER (WHERE d.id IS NOT NULL), '[]') as attachments
+       FROM submittal_review_steps srs
+       JOIN users u ON u.id = srs.reviewer_id
+       LEFT JOIN entity_links el ON el.target_type = 'submittal_review_step' AND el.target_id = srs.id
+                                AND el.source_type = 'document'
+       LEFT JOIN documents d ON d.id = el.source_id
+       WHERE srs.submittal_id = $1 AND srs.revision_number = $2
+       GROUP BY srs.id, u.first_name, u.last_name, u.email
+       ORDER BY srs.step_number`,
+      [submittal.id, revisionNumber]
+    );
+
+    res.json({ revision_number: revisionNumber, review_steps: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submit a draft submittal into its reviewer chain
+app.post('/api/v1/submittals/:id/submit', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('submittal') }), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const submittal = await loadSubmittalForReview(req.params.id);
+    if (!submittal) return res.status(404).json({ error: 'Submittal not found' });
+
+    if (submittal.status !== 'draft') {
+      return res.status(409).json({ error: `Only draft submittals can be submitted (current status: ${submittal.status})` });
+    }
+
+    const revisionNumber = submittal.revision_number || 0;
+    const stepCount = await pool.query(
+      'SELECT COUNT(*) as count FROM submittal_review_steps WHERE submittal_id = $1 AND revision_number = $2',
+      [submittal.id, revisionNumber]
+    );
+    if (parseInt(stepCount.rows[0].count) === 0) {
+      return res.status(400).json({ error: 'Define the reviewer chain before submitting' });
+    }
+
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE submittals SET submitted_at = CURRENT_TIMESTAMP, submitted_by = COALESCE(submitted_by, $1) WHERE id = $2`,
+      [req.user.userId, submittal.id]
+    );
+    await client.query(
+      `INSERT INTO submittal_revisions (submittal_id, revision_number, submitted_by, notes)
+       VALUES ($1, $2, $3, $4)`,
+      [submittal.id, revisionNumber, req.user.userId, req.body?.notes || null]
+    );
+    const firstStep = await startSubmittalReviewStep(client, submittal.id, revisionNumber, 1);
+    await client.query('COMMIT');
+
+    await createNotification(firstStep.reviewer_id, 'assignment', `Submittal review: ${submittal.submittal_number}`,
+      `${submittal.title} is ready for your review (step 1)`, 'submittal', submittal.id);
+    await emitEvent('submittal.submitted', 'submittal', submittal.id, submittal.project_id, req.user.userId,
+      { revision_number: revisionNumber, current_step: firstStep });
+
+    res.json({ submittal: await loadSubmittalForReview(submittal.id), current_step: firstStep });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Record a reviewer's decision (multipart: status, comments, attachments[] for stamped copies)
+app.post('/api/v1/submittal-review-steps/:id/decision', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('submittal_review_step') }), upload.array('attachments', 10), async (req, res, next) => {
+  const client = await pool.connect();
+  const attachments = [];
+  let committed = false;
+  const reject = async (httpStatus, error) => {
+    await discardUploads(req.files);
+    res.status(httpStatus).json({ error });
+  };
+  try {
+    const { status, comments } = req.body;
+    if (!SUBMITTAL_DECISIONS.includes(status)) {
+      return reject(400, `status must be one of: ${SUBMITTAL_DECISIONS.join(', ')}`);
+    }
+
+    const stepResult = await pool.query('SELECT * FROM submittal_review_steps WHERE id = $1', [req.params.id]);
+    if (stepResult.rows.length === 0) return reject(404, 'Review step not found');
+    const step = stepResult.rows[0];
+
+    const submittal = await loadSubmittalForReview(step.submittal_id);
+    if (step.status !== 'in_review' || step.revision_number !== (submittal.revision_number || 0)) {
+      return reject(409, 'This review step is not awaiting a decision');
+    }
+
+    // Reviewers decide their own step; PMs may record a decision received offline
+    if (step.reviewer_id !== req.user.userId && req.userRoleLevel < 5) {
+      return reject(403, 'Only the assigned reviewer or a project manager can record this decision');
+    }
+
+    for (const file of req.files || []) {
+      attachments.push(await saveUploadedDocument(file, submittal.project_id, req.user.userId, {
+        category: 'submittal',
+        description: `Review stamp - ${submittal.submittal_number} rev ${step.revision_number}, step ${step.step_number}`
+      }));
+    }
+
+    await client.query('BEGIN');
+
+    const decided = await client.query(
+      `UPDATE submittal_review_steps
+       SET status = $1, review_comments = $2, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = $3
+       WHERE id = $4 RETURNING *`,
+      [status, comments || null, req.user.userId, step.id]
+    );
+
+    for (const document of attachments) {
+      await client.query(
+        `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship)
+         VALUES ('document', $1, 'submittal_review_step', $2, 'review_stamp'),
+                ('document', $1, 'submittal', $3, 'review_attachment')`,
+        [document.id, step.id, submittal.id]
+      );
+    }
+
+    let nextStep = null;
+    let finalStatus = null;
+
+    if (status === 'approved' || status === 'approved_as_noted') {
+      const following = await client.query(
+        `SELECT step_number FROM submittal_review_steps
+         WHERE submittal_id = $1 AND revision_number = $2 AND step_number > $3
+         ORDER BY step_number LIMIT 1`,
+        [submittal.id, step.revision_number, step.step_number]
+      );
+
+      if (following.rows.length > 0) {
+        nextStep = await startSubmittalReviewStep(client, submittal.id, step.revision_number, following.rows[0].step_number);
+      } else {
+        // Final approval carries "as noted" forward if any reviewer noted it
+        const noted = await client.query(
+          `SELECT 1 FROM submittal_review_steps
+           WHERE submittal_id = $1 AND revision_number = $2 AND status = 'approved_as_noted' LIMIT 1`,
+          [submittal.id, step.revision_number]
+        );
+        finalStatus = noted.rows.length > 0 ? 'approved_as_noted' : 'approved';
+      }
+    } else {
+      finalStatus = status;
+    }
+
+    if (finalStatus) {
+      await client.query(
+        `UPDATE submittals SET status = $1, current_step_number = NULL WHERE id = $2`,
+        [finalStatus, submittal.id]
+      );
+      await client.query(
+        `UPDATE submittal_revisions SET status = $1, closed_at = CURRENT_TIMESTAMP
+         WHERE submittal_id = $2 AND revision_number = $3`,
+        [finalStatus, submittal.id, step.revision_number]
+      );
+    }
+
+    await client.query('COMMIT');
+    committed = true;
+
+    if (nextStep) {
+      await createNotification(nextStep.reviewer_id, 'assignment', `Submittal review: ${submittal.submittal_number}`,
+        `${submittal.title} is ready for your review (step ${nextStep.step_number})`, 'submittal', submittal.id);
+    }
+    if (finalStatus && submittal.submitted_by) {
+      await createNotification(submittal.submitted_by, 'status_change', `Submittal ${submittal.submittal_number}: ${finalStatus.replace(/_/g, ' ')}`,
+        comments || `${submittal.title} was returned ${finalStatus.replace(/_/g, ' ')}`, 'submittal', submittal.id);
+    }
+
+    await emitEvent('submittal.review_decision', 'submittal', submittal.id, submittal.project_id, req.user.userId, {
+      step_id: step.id, step_number: step.step_number, revision_number: step.revision_number,
+      decision: status, submittal_status: finalStatus || 'in_review'
+    });
+
+    res.json({
+      review_step: decided.rows[0],
+      attachments,
+      next_step: nextStep,
+      submittal: await loadSubmittalForReview(submittal.id)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!committed) await discardUploads(req.files, attachments);
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Resubmit after revise_resubmit: opens revision N+1 and restarts the chain
+// (the previous revision's chain is reused unless a new one was defined)
+app.post('/api/v1/submittals/:id/resubmit', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('submittal') }), upload.array('attachments', 10), async (req, res, next) => {
+  const client = await pool.connect();
+  const attachments = [];
+  let committed = false;
+  const reject = async (httpStatus, error) => {
+    await discardUploads(req.files);
+    res.status(httpStatus).json({ error });
+  };
+  try {
+    const submittal = await loadSubmittalForReview(req.params.id);
+    if (!submittal) return reject(404, 'Submittal not found');
+
+    if (submittal.status !== 'revise_resubmit') {
+      return reject(409, `Only submittals returned revise_resubmit can be resubmitted (current status: ${submittal.status})`);
+    }
+
+    const previousRevision = submittal.revision_number || 0;
+    const revisionNumber = previousRevision + 1;
+
+    for (const file of req.files || []) {
+      attachments.push(await saveUploadedDocument(file, submittal.project_id, req.user.userId, {
+        category: 'submittal',
+        description: `${submittal.submittal_number} revision ${revisionNumber}`
+      }));
+    }
+
+    await client.query('BEGIN');
+
+    const existingChain = await client.query(
+      'SELECT COUNT(*) as count FROM submittal_review_steps WHERE submittal_id = $1 AND revision_number = $2',
+      [submittal.id, revisionNumber]
+    );
+    if (parseInt(existingChain.rows[0].count) === 0) {
+      await client.query(
+        `INSERT INTO submittal_review_steps (submittal_id, revision_number, step_number, reviewer_id, role, review_days, status)
+         SELECT submittal_id, $2, step_number, reviewer_id, role, review_days, 'pending'
+         FROM submittal_review_steps WHERE submittal_id = $1 AND revision_number = $3`,
+        [submittal.id, revisionNumber, previousRevision]
+      );
+    }
+
+    await client.query(
+      `UPDATE submittals SET revision_number = $1, submitted_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [revisionNumber, submittal.id]
+    );
+    await client.query(
+      `INSERT INTO submittal_revisions (submittal_id, revision_number, submitted_by, notes)
+       VALUES ($1, $2, $3, $4)`,
+      [submittal.id, revisionNumber, req.user.userId, req.body?.notes || null]
+    );
+
+    for (const document of attachments) {
+      await client.query(
+        `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship, metadata)
+         VALUES ('document', $1, 'submittal', $2, 'resubmittal', $3)`,
+        [document.id, submittal.id, JSON.stringify({ revision_number: revisionNumber })]
+      );
+    }
+
+    const firstStep = await startSubmittalReviewStep(client, submittal.id, revisionNumber, 1);
+    await client.query('COMMIT');
+    committed = true;
+
+    await createNotification(firstStep.reviewer_id, 'assignment', `Submittal resubmitted: ${submittal.submittal_number} rev ${revisionNumber}`,
+      `${submittal.title} is ready for your review (step 1)`, 'submittal', submittal.id);
+    await emitEvent('submittal.resubmitted', 'submittal', submittal.id, submittal.project_id, req.user.userId,
+      { revision_number: revisionNumber, attachments: attachments.map(doc => doc.id) });
+
+    res.json({ submittal: await loadSubmittalForReview(submittal.id), current_step: firstStep, attachments });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (!committed) await discardUploads(req.files, attachments);
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Revision history with each revision's reviewer chain
+app.get('/api/v1/submittals/:id/revisions', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('submittal') }), async (req, res, next) => {
+  try {
+    const revisions = await pool.query(
+      `SELECT sr.*, u.first_name || ' ' || u.last_name as submitted_by_name
+       FROM submittal_revisions sr
+       LEFT JOIN users u ON u.id = sr.submitted_by
+       WHERE sr.submittal_id = $1 ORDER BY sr.revision_number`,
+      [req.params.id]
+    );
+
+    const steps = await pool.query(
+      `SELECT srs.*, u.first_name || ' ' || u.last_name as reviewer_name
+       FROM submittal_review_steps srs
+       JOIN users u ON u.id = srs.reviewer_id
+       WHERE srs.submittal_id = $1 ORDER BY srs.revision_number, srs.step_number`,
+      [req.params.id]
+    );
+
+    res.json({
+      revisions: revisions.rows.map(revision => ({
+        ...revision,
+        review_steps: steps.rows.filter(step => step.revision_number === revision.revision_number)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DAILY LOGS
+app.post('/api/v1/projects/:projectId/daily-logs', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+  try {
+    const { log_date, weather, work_performed, delays } = req.body;
+
+    // Check if a log already exists for this date
+    const existingLog = await pool.query(
+      'SELECT id FROM daily_logs WHERE project_id = $1 AND log_date = $2',
+      [req.params.projectId, log_date]
+    );
+
+    if (existingLog.rows.length > 0) {
+      return res.status(400).json({
+        error: 'A daily log already exists for this date. Please select a different date or edit the existing log.'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO daily_logs (project_id, log_date, weather, work_performed, delays, is_submitted, created_by)
+       VALUES ($1, $2, $3, $4, $5, false, $6) RETURNING *`,
+      [req.params.projectId, log_date, JSON.stringify(weather || {}), work_performed, delays, req.user.userId]
+    );
+    res.status(201).json({ daily_log: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/daily-logs', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT dl.* FROM daily_logs dl
+       WHERE dl.project_id = $1 ORDER BY dl.log_date DESC`,
+      [req.params.projectId]
+    );
+    res.json({ daily_logs: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/daily-logs/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT dl.* FROM daily_logs dl WHERE dl.id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Daily log not found' });
+    res.json({ daily_log: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/daily-logs/:id/submit', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE daily_logs SET is_submitted = true, submitted_by = $1, submitted_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING *`,
+      [req.user.userId, req.params.id]
+    );
+    res.json({ daily_log: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUNCH ITEMS
+// Lifecycle: open → work_required → ready_for_review → verified → closed, with
+// rejection from ready_for_review back to work_required (see services/PunchList.js).
+// Status only changes through PUT /punch-items/:id/status.
+const loadPunchItem = async (db, id, lock = false) => {
+  const result = await db.query(`SELECT * FROM punch_items WHERE id = $1${lock ? ' FOR UPDATE' : ''}`, [id]);
+  return result.rows[0] || null;
+};
+
+app.post('/api/v1/projects/:projectId/punch-items', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const validationError = PunchList.validate(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { description, location, trade, priority, due_date, assigned_to, assigned_company_id, photos_required,
+      back_charge_amount, back_charge_notes } = req.body;
+    if (!description || !location || !trade) {
+      return res.status(400).json({ error: 'description, location and trade are required' });
+    }
+    if (photos_required === false && req.userRoleLevel < ROLE_HIERARCHY.superintendent) {
+      return res.status(403).json({ error: 'Requires superintendent role or higher to waive the photo requirement' });
+    }
+    if (assigned_company_id) {
+      const companyError = await punchList.checkCompany(pool, assigned_company_id);
+      if (companyError) return res.status(400).json({ error: companyError });
+    }
+    const item_number = await nextPunchNumber(pool, req.params.projectId);
+    
+    const result = await pool.query(
+      `INSERT INTO punch_items (project_id, item_number, description, location, trade, status, priority, due_date, created_by,
+                                assigned_to, assigned_company_id, photos_required, back_charge_amount, back_charge_notes)
+       VALUES ($1, $2, $3, $4, $5, 'open', $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [req.params.projectId, item_number, description, location, trade, priority || 'normal', due_date, req.user.userId,
+       assigned_to || null, assigned_company_id || null, photos_required !== false,
+       back_charge_amount ?? null, back_charge_notes || null]
+    );
+    const item = result.rows[0];
+
+    await punchList.recordCreated(pool, item, req.user.userId);
+    await logAudit(req.user.userId, 'create', 'punch_item', item.id, { item_number, trade }, req);
+    await emitEvent('punch_item.created', 'punch_item', item.id, req.params.projectId, req.user.userId, item);
+    res.status(201).json({ punch_item: item });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/punch-items', authenticateToken, async (req, res, next) => {
+  try {
+    // ?drawing_sheet_id= limits the list to items pinned on that sheet
+    const params = [req.params.projectId];
+    let pinJoin = '';
+    if (req.query.drawing_sheet_id) {
+      params.push(req.query.drawing_sheet_id);
+      pinJoin = `JOIN entity_links pin ON pin.source_type = 'punch_item' AND pin.source_id = pi.id
+                   AND pin.target_type = 'drawing_sheet' AND pin.target_id = $2 AND pin.relationship = 'pin'`;
+    }
+    const result = await pool.query(
+      `SELECT pi.*${pinJoin ? ", (pin.metadata->>'x')::float as pin_x, (pin.metadata->>'y')::float as pin_y" : ''}
+       FROM punch_items pi ${pinJoin}
+       WHERE pi.project_id = $1 ORDER BY pi.created_at DESC`,
+      params
+    );
+    res.json({ punch_items: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/punch-items/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('punch_item'), requireProject: true }), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT pi.*, o.name as company_name,
+              au.first_name || ' ' || au.last_name as assigned_to_name,
+              vu.first_name || ' ' || vu.last_name as verified_by_name,
+              cu.first_name || ' ' || cu.last_name as closed_by_name
+       FROM punch_items pi
+       LEFT JOIN organizations o ON o.id = pi.assigned_company_id
+       LEFT JOIN users au ON au.id = pi.assigned_to
+       LEFT JOIN users vu ON vu.id = pi.verified_by
+       LEFT JOIN users cu ON cu.id = pi.closed_by
+       WHERE pi.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Punch item not found' });
+
+    const item = result.rows[0];
+    const [photos, history] = await Promise.all([punchList.photos(pool, item.id), punchList.history(pool, item.id)]);
+    res.json({
+      punch_item: { ...item, photos, history },
+      allowed_transitions: PunchList.transitions[item.status] || []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/v1/punch-items/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('punch_item') }), async (req, res, next) => {
+  try {
+    if (req.body.status !== undefined) {
+      return res.status(400).json({ error: 'Change status with PUT /api/v1/punch-items/:id/status' });
+    }
+    const validationError = PunchList.validate(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const fields = PunchList.editableFields.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) return res.status(400).json({ error: 'No fields to update' });
+
+    const item = await loadPunchItem(pool, req.params.id);
+    if (!item) return res.status(404).json({ error: 'Punch item not found' });
+    if (item.status === 'closed') return res.status(409).json({ error: 'Closed punch items are signed off and cannot be edited' });
+
+    if (req.body.assigned_company_id) {
+      const companyError = await punchList.checkCompany(pool, req.body.assigned_company_id);
+      if (companyError) return res.status(400).json({ error: companyError });
+    }
+    if ((req.body.back_charge_amount !== undefined || req.body.back_charge_notes !== undefined)
+      && req.userRoleLevel < ROLE_HIERARCHY.superintendent) {
+      return res.status(403).json({ error: 'Requires superintendent role or higher to set a back-charge' });
+    }
+    // The photo gate on issuing and review is only as strong as who can turn it off
+    if (req.body.photos_required !== undefined && req.body.photos_required !== item.photos_required
+      && req.userRoleLevel < ROLE_HIERARCHY.superintendent) {
+      return res.status(403).json({ error: 'Requires superintendent role or higher to change the photo requirement' });
+    }
+
+    const result = await pool.query(
+      `UPDATE punch_items
+       SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1} RETURNING *`,
+      [...fields.map(field => req.body[field] === '' ? null : req.body[field]), item.id]
+    );
+
+    await logAudit(req.user.userId, 'update', 'punch_item', item.id, Object.fromEntries(fields.map(field => [field, req.body[field]])), req);
+    res.json({ punch_item: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move a punch item through its lifecycle; the subcontractor floor lets the
+// responsible company mark its own items ready for review
+const changePunchStatus = async (req, res, next, status) => {
+  const client = await pool.connect();
+  try {
+    const { notes } = req.body;
+    if (!PunchList.statuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${PunchList.statuses.join(', ')}` });
+    }
+
+    await client.query('BEGIN');
+    const item = await loadPunchItem(client, req.params.id, true);
+    if (!item) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Punch item not found' });
+    }
+
+    const problem = await punchList.check(client, item, status, markupViewer(req), notes);
+    if (problem) {
+      await client.query('ROLLBACK');
+      const { status: httpStatus, ...body } = problem;
+      return res.status(httpStatus).json(body);
+    }
+
+    const updated = await punchList.transition(client, item, status, req.user.userId, notes);
+    await client.query('COMMIT');
+
+    await punchList.notify(updated, item.status, req.user.userId, notes);
+    await logAudit(req.user.userId, 'update', 'punch_item', item.id, { old_status: item.status, new_status: status, notes }, req);
+    await emitEvent('punch_item.status_changed', 'punch_item', item.id, item.project_id, req.user.userId,
+      { old_status: item.status, new_status: status, rejected: PunchList.isRejection(item.status, status) });
+
+    res.json({ punch_item: updated, allowed_transitions: PunchList.transitions[status] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+app.put('/api/v1/punch-items/:id/status', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('punch_item') }), (req, res, next) =>
+  changePunchStatus(req, res, next, req.body.status));
+
+app.put('/api/v1/punch-items/:id/verify', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('punch_item') }), (req, res, next) =>
+  changePunchStatus(req, res, next, 'verified'));
+
+app.put('/api/v1/punch-items/:id/close', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('punch_item') }), (req, res, next) =>
+  changePunchStatus(req, res, next, 'closed'));
+
+// Attach before / after photos (new uploads and/or existing photo_ids)
+app.post('/api/v1/punch-items/:id/photos', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('punch_item') }), upload.array('photos', 10), async (req, res, next) => {
+  try {
+    const { stage, description, taken_at } = req.body;
+    if (!PunchList.photoStages.includes(stage)) {
+      return res.status(400).json({ error: `stage must be one of: ${PunchList.photoStages.join(', ')}` });
+    }
+    const photoIds = [].concat(req.body.photo_ids || []).flatMap(id => String(id).split(',')).filter(Boolean);
+    if ((req.files || []).length === 0 && photoIds.length === 0) {
+      return res.status(400).json({ error: 'Upload photos or pass photo_ids' });
+    }
+
+    const item = await loadPunchItem(pool, req.params.id);
+    if (!item) return res.status(404).json({ error: 'Punch item not found' });
+    if (item.status === 'closed') return res.status(409).json({ error: 'Closed punch items are signed off and cannot be changed' });
+
+    if (photoIds.length > 0) {
+      const existing = await pool.query(
+        'SELECT id FROM photos WHERE id = ANY($1::UUID[]) AND project_id = $2',
+        [photoIds, item.project_id]
+      );
+      if (existing.rows.length !== new Set(photoIds).size) {
+        return res.status(400).json({ error: 'All photo_ids must be photos in this project' });
+      }
+    }
+
+    const uploaded = [];
+    for (const file of req.files || []) {
+      const document = await saveUploadedDocument(file, item.project_id, req.user.userId, { category: 'photo' });
+      const photo = await pool.query(
+        `INSERT INTO photos (project_id, document_id, title, description, taken_at, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [item.project_id, document.id, `${item.item_number} ${stage} - ${file.originalname}`, description || null,
+         taken_at || new Date().toISOString(), req.user.userId]
+      );
+      uploaded.push(photo.rows[0]);
+    }
+
+    for (const photoId of [...new Set([...photoIds, ...uploaded.map(photo => photo.id)])]) {
+      await pool.query(
+        `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship)
+         VALUES ('photo', $1, 'punch_item', $2, $3)
+         ON CONFLICT (source_type, source_id, target_type, target_id, relationship) DO NOTHING`,
+        [photoId, item.id, stage]
+      );
+    }
+
+    res.status(201).json({ photos: uploaded, linked_photo_ids: photoIds, stage });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Punch list by trade as PDF, with sign-off lines per trade.
+// ?trade=Electrical,Plumbing and ?status=verified,closed narrow it down.
+app.get('/api/v1/projects/:projectId/punch-items/export/pdf', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const trades = req.query.trade ? String(req.query.trade).split(',').map(trade => trade.trim()).filter(Boolean) : [];
+    const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()).filter(Boolean) : [];
+    const invalid = statuses.filter(status => !PunchList.statuses.includes(status));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Unknown status(es): ${invalid.join(', ')}; expected ${PunchList.statuses.join(', ')}` });
+    }
+
+    const project = await pool.query('SELECT name, project_number FROM projects WHERE id = $1', [req.params.projectId]);
+    if (project.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
+
+    const byTrade = await punchList.byTrade(req.params.projectId, { trades, statuses });
+    const pdfBytes = await renderPunchListPdf({ project: project.rows[0], trades: byTrade, statuses });
+
+    const suffix = trades.length === 1 ? `-${trades[0].replace(/[^A-Za-z0-9]+/g, '-')}` : '';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="punch-list${suffix}.pdf"`);
+    res.send(Buffer.from(pdfBytes));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// INSPECTIONS
+// Templates hold sections of typed items (global when project_id is NULL).
+// A run copies its template into template_snapshot, so editing a template
+// never changes how an existing run is validated or scored.
+const INSPECTION_ITEM_TYPES = ['pass_fail', 'yes_no', 'text', 'number', 'choice', 'date'];
+
+// Validate template sections and give every item a stable id for responses to key on
+const normalizeInspectionSections = (sections) => {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { error: 'sections must be a non-empty array of { section_name, items }' };
+  }
+
+  const seenIds = new Set();
+  const normalized = [];
+
+  for (const [index, section] of sections.entries()) {
+    if (!section.section_name || !Array.isArray(section.items) || section.items.length === 0) {
+      return { error: `Section ${index + 1} needs a section_name and at least one item` };
+    }
+
+    const items = [];
+    for (const item of section.items) {
+      if (!item.question) {
+        return { error: `Every item in "${section.section_name}" needs a question` };
+      }
+      if (!INSPECTION_ITEM_TYPES.includes(item.type)) {
+        return { error: `Item "${item.question}" has an invalid type. Valid types: ${INSPECTION_ITEM_TYPES.join(', ')}` };
+      }
+      if (item.type === 'choice' && (!Array.isArray(item.options) || item.options.length === 0)) {
+        return { error: `Choice item "${item.question}" needs options` };
+      }
+      if (item.type === 'yes_no' && item.fail_on && !['yes', 'no'].includes(item.fail_on)) {
+        return { error: `Item "${item.question}": fail_on must be yes or no` };
+      }
+
+      const id = item.id || uuidv4();
+      if (seenIds.has(id)) {
+        return { error: `Duplicate item id: ${id}` };
+      }
+      seenIds.add(id);
+
+      items.push({ ...item, id, required: item.required === true });
+    }
+
+    normalized.push({ section_name: section.section_name, items });
+  }
+
+  return { sections: normalized };
+};
+
+const inspectionItems = (snapshot) =>
+  snapshot.sections.flatMap(section => section.items.map(item => ({ ...item, section_name: section.section_name })));
+
+const isBlankAnswer = (value) => value === null || value === undefined || value === '';
+
+// Returns an error message when the answer does not fit the item type
+const validateInspectionAnswer = (item, value) => {
+  if (isBlankAnswer(value)) return null;
+
+  switch (item.type) {
+    case 'pass_fail':
+      return ['pass', 'fail', 'na'].includes(value) ? null : 'must be pass, fail or na';
+    case 'yes_no':
+      return ['yes', 'no', 'na'].includes(value) ? null : 'must be yes, no or na';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'choice':
+      return item.options.includes(value) ? null : `must be one of: ${item.options.join(', ')}`;
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? null : 'must be a YYYY-MM-DD date';
+    default:
+      return typeof value === 'string' ? null : 'must be text';
+  }
+};
+
+// 'pass', 'fail', or null when the item is unanswered, n/a or not scored
+const inspectionItemOutcome = (item, value) => {
+  if (isBlankAnswer(value) || value === 'na') return null;
+
+  switch (item.type) {
+    case 'pass_fail':
+      return value;
+    case 'yes_no':
+      return item.fail_on ? (value === item.fail_on ? 'fail' : 'pass') : null;
+    case 'number':
+      if (item.min == null && item.max == null) return null;
+      return (item.min != null && value < item.min) || (item.max != null && value > item.max) ? 'fail' : 'pass';
+    case 'choice':
+      return Array.isArray(item.fail_options) ? (item.fail_options.includes(value) ? 'fail' : 'pass') : null;
+    default:
+      return null;
+  }
+};
+
+// Score = percent of scored items passed; the run passes at or above the template threshold
+const scoreInspection = (snapshot, responses) => {
+  let passed = 0;
+  const failedItems = [];
+
+  for (const item of inspectionItems(snapshot)) {
+    const outcome = inspectionItemOutcome(item, responses[item.id]?.value);
+    if (outcome === 'pass') passed++;
+    if (outcome === 'fail') failedItems.push(item.id);
+  }
+
+  const scored = passed + failedItems.length;
+  const score = scored > 0 ? Math.round((passed / scored) * 10000) / 100 : null;
+  const threshold = Number(snapshot.pass_threshold ?? 100);
+
+  return {
+    score,
+    result: score === null || score >= threshold ? 'pass' : 'fail',
+    passed_count: passed,
+    failed_count: failedItems.length,
+    failed_items: failedItems
+  };
+};
+
+// Project templates use project roles; global templates are readable by any
+// user and changed by organization-level roles
+const checkInspectionTemplatePermission = (projectRole, globalRole = 'project_manager') => {
+  return async (req, res, next) => {
+    try {
+      const result = await pool.query('SELECT project_id FROM inspection_templates WHERE id = $1', [req.params.id]);
+      if (result.rows.length === 0) return res.status(404).json({ error: 'Inspection template not found' });
+
+      const projectId = result.rows[0].project_id;
+      if (projectId) {
+        return checkPermission(projectRole, { resolveProjectId: async () => projectId })(req, res, next);
+      }
+      if (projectRole === 'viewer') return next();
+      return checkOrganizationRole(globalRole)(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+const createInspectionTemplate = (getProjectId) => async (req, res, next) => {
+  try {
+    const { name, type, description, sections, pass_threshold } = req.body;
+    if (!name) return res.status(400).json({ error: 'name is required' });
+
+    const normalized = normalizeInspectionSections(sections);
+    if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+    const projectId = getProjectId(req);
+    const result = await pool.query(
+      `INSERT INTO inspection_templates (project_id, name, type, description, sections, pass_threshold, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [projectId, name, type || null, description || null, JSON.stringify(normalized.sections),
+       pass_threshold ?? 100, req.user.userId]
+    );
+
+    await logAudit(req.user.userId, 'create', 'inspection_template', result.rows[0].id, { name, project_id: projectId }, req);
+    res.status(201).json({ template: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Templates available to a project: its own plus global ones
+app.get('/api/v1/projects/:projectId/inspection-templates', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const { type, include_inactive } = req.query;
+    const result = await pool.query(
+      `SELECT it.*, (it.project_id IS NULL) as is_global
+       FROM inspection_templates it
+       WHERE (it.project_id = $1 OR it.project_id IS NULL)
+         AND ($2::VARCHAR IS NULL OR it.type = $2)
+         AND (it.is_active OR $3)
+       ORDER BY is_global, it.name`,
+      [req.params.projectId, type || null, include_inactive === 'true']
+    );
+    res.json({ templates: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/v1/projects/:projectId/inspection-templates', authenticateToken, checkPermission('engineer'),
+  createInspectionTemplate(req => req.params.projectId));
+
+// Global template, available to every project
+app.post('/api/v1/inspection-templates', authenticateToken, checkOrganizationRole('project_manager'),
+  createInspectionTemplate(() => null));
+
+app.get('/api/v1/inspection-templates/:id', authenticateToken, checkInspectionTemplatePermission('viewer'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT it.*, (it.project_id IS NULL) as is_global,
+              (SELECT COUNT(*) FROM inspection_runs ir WHERE ir.template_id = it.id) as run_count
+       FROM inspection_templates it WHERE it.id = $1`,
+      [req.params.id]
+    );
+    res.json({ template: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Existing runs keep the snapshot they were created with
+app.put('/api/v1/inspection-templates/:id', authenticateToken, checkInspectionTemplatePermission('engineer'), async (req, res, next) => {
+  try {
+    const { name, type, description, sections, pass_threshold, is_active } = req.body;
+
+    let normalizedSections = null;
+    if (sections !== undefined) {
+      const normalized = normalizeInspectionSections(sections);
+      if (normalized.error) return res.status(400).json({ error: normalized.error });
+      normalizedSections = JSON.stringify(normalized.sections);
+    }
+
+    const result = await pool.query(
+      `UPDATE inspection_templates
+       SET name = COALESCE($1, name),
+           type = COALESCE($2, type),
+           description = COALESCE($3, description),
+           sections = COALESCE($4, sections),
+           pass_threshold = COALESCE($5, pass_threshold),
+           is_active = COALESCE($6, is_active),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7 RETURNING *`,
+      [name, type, description, normalizedSections, pass_threshold, is_active, req.params.id]
+    );
 
-    // TODO: Send notification to recipient
+    await logAudit(req.user.userId, 'update', 'inspection_template', req.params.id, req.body, req);
+    res.json({ template: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update workflow state to 'distributed' if not already
-    const workflowCheck = await pool.query(
-      'SELECT workflow_state FROM drawing_workflow_states WHERE document_id = $1 ORDER BY created_at DESC LIMIT 1',
-      [req.params.documentId]
-    );
+// Templates with runs are deactivated instead of deleted
+app.delete('/api/v1/inspection-templates/:id', authenticateToken, checkInspectionTemplatePermission('project_manager'), async (req, res, next) => {
+  try {
+    const runs = await pool.query('SELECT COUNT(*) as count FROM inspection_runs WHERE template_id = $1', [req.params.id]);
 
-    if (workflowCheck.rows.length === 0 || workflowCheck.rows[0].workflow_state !== 'distributed') {
+    if (parseInt(runs.rows[0].count) > 0) {
       await pool.query(
-        `INSERT INTO drawing_workflow_states (document_id, workflow_state, created_by, notes)
-         VALUES ($1, 'distributed', $2, 'Auto-updated on distribution')`,
-        [req.params.documentId, req.user.userId]
+        'UPDATE inspection_templates SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [req.params.id]
       );
+      await logAudit(req.user.userId, 'update', 'inspection_template', req.params.id, { is_active: false }, req);
+      return res.json({ message: 'Template has inspections and was deactivated', deactivated: true });
     }
 
-    res.status(201).json({ distribution: result.rows[0] });
+    await pool.query('DELETE FROM inspection_templates WHERE id = $1', [req.params.id]);
+    await logAudit(req.user.userId, 'delete', 'inspection_template', req.params.id, null, req);
+    res.json({ message: 'Template deleted', deactivated: false });
   } catch (error) {
     next(error);
   }
 });
 
-// Acknowledge distribution
-app.post('/api/v1/drawing-distributions/:distributionId/acknowledge', authenticateToken, async (req, res, next) => {
+// Start an inspection from a template
+app.post('/api/v1/projects/:projectId/inspections', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
   try {
+    const { template_id, inspection_date, inspector_id, location, notes } = req.body;
+    if (!template_id) return res.status(400).json({ error: 'template_id is required' });
+
+    const template = await pool.query(
+      `SELECT * FROM inspection_templates
+       WHERE id = $1 AND (project_id = $2 OR project_id IS NULL) AND is_active`,
+      [template_id, req.params.projectId]
+    );
+    if (template.rows.length === 0) return res.status(404).json({ error: 'Inspection template not found for this project' });
+
+    const inspectorId = inspector_id || req.user.userId;
+    if (inspectorId !== req.user.userId) {
+      const member = await pool.query(
+        'SELECT 1 FROM project_members WHERE project_id = $1 AND user_id = $2',
+        [req.params.projectId, inspectorId]
+      );
+      if (member.rows.length === 0) return res.status(400).json({ error: 'Inspector must be a member of the project' });
+    }
+
+    const { name, type, sections, pass_threshold } = template.rows[0];
     const result = await pool.query(
-      `UPDATE drawing_distributions
-       SET acknowledged = true,
-           acknowledged_at = CURRENT_TIMESTAMP
-       WHERE id = $1 RETURNING *`,
-      [req.params.distributionId]
+      `INSERT INTO inspection_runs (template_id, project_id, inspection_date, inspector_id, status, responses, template_snapshot, location, notes)
+       VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, 'draft', '{}', $5, $6, $7) RETURNING *`,
+      [template_id, req.params.projectId, inspection_date || null, inspectorId,
+       JSON.stringify({ name, type, sections, pass_threshold }), location || null, notes || null]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Distribution not found' });
+    if (inspectorId !== req.user.userId) {
+      await createNotification(inspectorId, 'assignment', 'Inspection Assigned',
+        `${name}${location ? ` at ${location}` : ''}`, 'inspection_run', result.rows[0].id);
     }
 
-    res.json({ distribution: result.rows[0] });
+    res.status(201).json({ inspection: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Bulk distribute drawing to multiple users/roles
-app.post('/api/v1/drawings/:documentId/distribute-bulk', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.get('/api/v1/projects/:projectId/inspections', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const { status, result: runResult, template_id, inspector_id } = req.query;
+    const result = await pool.query(
+      `SELECT ir.id, ir.template_id, ir.project_id, ir.inspection_date, ir.inspector_id, ir.status,
+              ir.location, ir.score, ir.result, ir.passed_count, ir.failed_count,
+              ir.submitted_at, ir.locked_at, ir.created_at,
+              ir.template_snapshot->>'name' as template_name,
+              u.first_name || ' ' || u.last_name as inspector_name,
+              (SELECT COUNT(*) FROM observations o WHERE o.inspection_run_id = ir.id) as observation_count
+       FROM inspection_runs ir
+       JOIN users u ON u.id = ir.inspector_id
+       WHERE ir.project_id = $1
+         AND ($2::VARCHAR IS NULL OR ir.status = $2)
+         AND ($3::VARCHAR IS NULL OR ir.result = $3)
+         AND ($4::UUID IS NULL OR ir.template_id = $4)
+         AND ($5::UUID IS NULL OR ir.inspector_id = $5)
+       ORDER BY ir.inspection_date DESC, ir.created_at DESC`,
+      [req.params.projectId, status || null, runResult || null, template_id || null, inspector_id || null]
+    );
+    res.json({ inspections: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/inspections/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('inspection_run') }), async (req, res, next) => {
   try {
-    const { user_ids, roles, distribution_method, distribution_notes } = req.body;
+    const result = await pool.query(
+      `SELECT ir.*, u.first_name || ' ' || u.last_name as inspector_name
+       FROM inspection_runs ir
+       JOIN users u ON u.id = ir.inspector_id
+       WHERE ir.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Inspection not found' });
 
-    if ((!user_ids || user_ids.length === 0) && (!roles || roles.length === 0)) {
-      return res.status(400).json({ error: 'user_ids or roles array required' });
+    const observations = await pool.query(
+      `SELECT * FROM observations WHERE inspection_run_id = $1 ORDER BY created_at`,
+      [req.params.id]
+    );
+
+    res.json({ inspection: { ...result.rows[0], observations: observations.rows } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const loadInspectionForEdit = async (req, res) => {
+  const result = await pool.query('SELECT * FROM inspection_runs WHERE id = $1', [req.params.id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Inspection not found' });
+    return null;
+  }
+
+  const run = result.rows[0];
+  if (run.inspector_id !== req.user.userId && req.userRoleLevel < ROLE_HIERARCHY.project_manager) {
+    res.status(403).json({ error: 'Only the inspector or a project manager can change this inspection' });
+    return null;
+  }
+  if (!['draft', 'in_progress'].includes(run.status)) {
+    res.status(409).json({ error: `Inspection is ${run.status} and can no longer be edited` });
+    return null;
+  }
+
+  return run;
+};
+
+// Save answers: { responses: { <item_id>: { value, notes } } }, merged into existing answers
+app.put('/api/v1/inspections/:id/responses', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('inspection_run') }), async (req, res, next) => {
+  try {
+    const { responses, notes } = req.body;
+    if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+      return res.status(400).json({ error: 'responses must be an object keyed by item id' });
     }
 
-    const distributions = [];
+    const run = await loadInspectionForEdit(req, res);
+    if (!run) return;
 
-    // Distribute to users
-    if (user_ids && Array.isArray(user_ids)) {
-      for (let userId of user_ids) {
-        const result = await pool.query(
-          `INSERT INTO drawing_distributions
-           (document_id, distributed_to_user_id, distribution_method, distribution_notes, distributed_by)
-           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-          [req.params.documentId, userId, distribution_method || 'manual', distribution_notes, req.user.userId]
-        );
-        distributions.push(result.rows[0]);
+    const itemsById = new Map(inspectionItems(run.template_snapshot).map(item => [item.id, item]));
+    const errors = [];
+
+    for (const [itemId, answer] of Object.entries(responses)) {
+      const item = itemsById.get(itemId);
+      if (!item) {
+        errors.push({ item_id: itemId, error: 'Unknown item' });
+        continue;
       }
+      const message = validateInspectionAnswer(item, answer?.value);
+      if (message) errors.push({ item_id: itemId, question: item.question, error: `Answer ${message}` });
     }
 
-    // Distribute to roles
-    if (roles && Array.isArray(roles)) {
-      for (let role of roles) {
-        const result = await pool.query(
-          `INSERT INTO drawing_distributions
-           (document_id, distributed_to_role, distribution_method, distribution_notes, distributed_by)
-           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-          [req.params.documentId, role, distribution_method || 'manual', distribution_notes, req.user.userId]
-        );
-        distributions.push(result.rows[0]);
-      }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid responses', details: errors });
+    }
+
+    const merged = { ...(run.responses || {}) };
+    for (const [itemId, answer] of Object.entries(responses)) {
+      merged[itemId] = { value: answer?.value ?? null, notes: answer?.notes ?? merged[itemId]?.notes ?? null };
     }
 
-    res.status(201).json({ distributions, count: distributions.length });
+    const result = await pool.query(
+      `UPDATE inspection_runs
+       SET responses = $1, notes = COALESCE($2, notes), status = 'in_progress', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [JSON.stringify(merged), notes, run.id]
+    );
+
+    res.json({ inspection: result.rows[0], preview: scoreInspection(run.template_snapshot, merged) });
   } catch (error) {
     next(error);
   }
 });
 
-// ==========================================================================
-// ASI (ARCHITECT SUPPLEMENTAL INSTRUCTIONS)
-// ==========================================================================
+// Submit: every required item must be answered; the run is scored and becomes read-only
+app.post('/api/v1/inspections/:id/submit', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('inspection_run') }), async (req, res, next) => {
+  try {
+    const run = await loadInspectionForEdit(req, res);
+    if (!run) return;
 
-// Get ASIs for a project
-app.get('/api/v1/projects/:projectId/asis', authenticateToken, async (req, res, next) => {
+    const responses = run.responses || {};
+    const missing = inspectionItems(run.template_snapshot)
+      .filter(item => item.required && isBlankAnswer(responses[item.id]?.value))
+      .map(item => ({ item_id: item.id, section_name: item.section_name, question: item.question }));
+
+    if (missing.length > 0) {
+      return res.status(400).json({ error: 'Required items are unanswered', missing_items: missing });
+    }
+
+    const scoring = scoreInspection(run.template_snapshot, responses);
+    const result = await pool.query(
+      `UPDATE inspection_runs
+       SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP, submitted_by = $1,
+           score = $2, result = $3, passed_count = $4, failed_count = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 RETURNING *`,
+      [req.user.userId, scoring.score, scoring.result, scoring.passed_count, scoring.failed_count, run.id]
+    );
+
+    await logAudit(req.user.userId, 'update', 'inspection_run', run.id, { status: 'submitted', score: scoring.score, result: scoring.result }, req);
+    await emitEvent('inspection.submitted', 'inspection_run', run.id, run.project_id, req.user.userId, {
+      template_name: run.template_snapshot.name, ...scoring
+    });
+
+    res.json({ inspection: result.rows[0], failed_items: scoring.failed_items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a submitted inspection back for corrections (not possible once locked)
+app.post('/api/v1/inspections/:id/reopen', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('inspection_run') }), async (req, res, next) => {
   try {
-    const { status } = req.query;
+    const result = await pool.query(
+      `UPDATE inspection_runs
+       SET status = 'in_progress', submitted_at = NULL, submitted_by = NULL,
+           score = NULL, result = NULL, passed_count = NULL, failed_count = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'submitted' RETURNING *`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(409).json({ error: 'Only submitted inspections can be reopened' });
 
-    let query = `
-      SELECT a.*, u.first_name || ' ' || u.last_name as created_by_name,
-      (SELECT COUNT(*) FROM asi_drawings WHERE asi_id = a.id) as affected_drawings_count
-      FROM asis a
-      LEFT JOIN users u ON a.created_by = u.id
-      WHERE a.project_id = $1
-    `;
-    const params = [req.params.projectId];
+    await logAudit(req.user.userId, 'update', 'inspection_run', req.params.id, { status: 'in_progress', reason: req.body?.reason }, req);
+    if (result.rows[0].inspector_id !== req.user.userId) {
+      await createNotification(result.rows[0].inspector_id, 'status_change', 'Inspection Reopened',
+        req.body?.reason || 'An inspection you submitted was reopened for corrections', 'inspection_run', req.params.id);
+    }
 
-    if (status) {
-      query += ` AND a.status = $2`;
-      params.push(status);
+    res.json({ inspection: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lock a submitted inspection as the final record
+app.post('/api/v1/inspections/:id/lock', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('inspection_run') }), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE inspection_runs
+       SET status = 'locked', locked_at = CURRENT_TIMESTAMP, locked_by = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'submitted' RETURNING *`,
+      [req.user.userId, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(409).json({ error: 'Only submitted inspections can be locked' });
+
+    await logAudit(req.user.userId, 'update', 'inspection_run', req.params.id, { status: 'locked' }, req);
+    await emitEvent('inspection.locked', 'inspection_run', req.params.id, result.rows[0].project_id, req.user.userId, {
+      score: result.rows[0].score, result: result.rows[0].result
+    });
+
+    res.json({ inspection: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Raise an observation from a failed item (one per item per run)
+app.post('/api/v1/inspections/:id/items/:itemId/observation', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('inspection_run') }), async (req, res, next) => {
+  try {
+    const runResult = await pool.query('SELECT * FROM inspection_runs WHERE id = $1', [req.params.id]);
+    if (runResult.rows.length === 0) return res.status(404).json({ error: 'Inspection not found' });
+    const run = runResult.rows[0];
+
+    const item = inspectionItems(run.template_snapshot).find(candidate => candidate.id === req.params.itemId);
+    if (!item) return res.status(404).json({ error: 'Item not found in this inspection' });
+
+    const answer = (run.responses || {})[item.id];
+    if (inspectionItemOutcome(item, answer?.value) !== 'fail') {
+      return res.status(400).json({ error: 'Observations can only be raised from failed items' });
     }
 
-    query += ` ORDER BY a.issue_date DESC, a.asi_number DESC`;
+    const existing = await pool.query(
+      'SELECT * FROM observations WHERE inspection_run_id = $1 AND inspection_item_id = $2',
+      [run.id, item.id]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'An observation already exists for this item', observation: existing.rows[0] });
+    }
 
-    const result = await pool.query(query, params);
-    res.json({ asis: result.rows });
+    const { title, description, severity, assigned_to, due_date, location } = req.body;
+    if (severity && !['low', 'medium', 'high'].includes(severity)) {
+      return res.status(400).json({ error: 'severity must be low, medium or high' });
+    }
+
+    const numberResult = await pool.query('SELECT COUNT(*) as count FROM observations WHERE project_id = $1', [run.project_id]);
+    const observation_number = `OBS-${String(parseInt(numberResult.rows[0].count) + 1).padStart(4, '0')}`;
+
+    const result = await pool.query(
+      `INSERT INTO observations (project_id, inspection_run_id, inspection_item_id, observation_number, title, description,
+                                 location, severity, status, assigned_to, due_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+      [
+        run.project_id, run.id, item.id, observation_number,
+        title || `${run.template_snapshot.name}: ${item.question}`.slice(0, 255),
+        description || [`Failed inspection item "${item.question}" (${item.section_name})`, answer?.notes].filter(Boolean).join('\n\n'),
+        location || run.location, severity || 'medium', assigned_to ? 'assigned' : 'open',
+        assigned_to || null, due_date || null, req.user.userId
+      ]
+    );
+    const observation = result.rows[0];
+
+    if (assigned_to) {
+      await createNotification(assigned_to, 'assignment', 'New Observation Assigned',
+        `${observation_number}: ${observation.title}`, 'observation', observation.id);
+    }
+    await emitEvent('observation.created', 'observation', observation.id, run.project_id, req.user.userId, {
+      ...observation, inspection_item_question: item.question
+    });
+
+    res.status(201).json({ observation });
   } catch (error) {
     next(error);
   }
 });
 
-// Get single ASI with affected drawings
-app.get('/api/v1/asis/:asiId', authenticateToken, async (req, res, next) => {
+// SAFETY INCIDENTS
+// Lifecycle: reported → investigating → action_taken → closed. Closing needs
+// every corrective action completed; a closed incident can be reopened into
+// investigating by a project manager.
+const INCIDENT_TYPES = ['safety', 'environmental', 'property_damage', 'near_miss'];
+const INCIDENT_SEVERITIES = ['minor', 'moderate', 'serious', 'critical'];
+const INCIDENT_TRANSITIONS = {
+  reported: ['investigating', 'closed'],
+  investigating: ['action_taken', 'closed'],
+  action_taken: ['investigating', 'closed'],
+  closed: ['investigating']
+};
+const OSHA_OUTCOMES = ['death', 'days_away', 'job_transfer', 'other_recordable'];
+const OSHA_CASE_TYPES = ['injury', 'skin_disorder', 'respiratory', 'poisoning', 'hearing_loss', 'other_illness'];
+
+// Fields editable on create/update (status has its own endpoint)
+const INCIDENT_FIELDS = [
+  'title', 'description', 'incident_date', 'location', 'type', 'severity', 'immediate_actions', 'root_cause',
+  'is_recordable', 'is_privacy_case', 'injured_person_name', 'injured_person_job_title', 'injured_person_company',
+  'body_part', 'osha_outcome', 'osha_case_type', 'days_away', 'days_restricted'
+];
+
+const validateIncidentFields = (fields) => {
+  if (fields.type && !INCIDENT_TYPES.includes(fields.type)) {
+    return `type must be one of: ${INCIDENT_TYPES.join(', ')}`;
+  }
+  if (fields.severity && !INCIDENT_SEVERITIES.includes(fields.severity)) {
+    return `severity must be one of: ${INCIDENT_SEVERITIES.join(', ')}`;
+  }
+  if (fields.osha_outcome && !OSHA_OUTCOMES.includes(fields.osha_outcome)) {
+    return `osha_outcome must be one of: ${OSHA_OUTCOMES.join(', ')}`;
+  }
+  if (fields.osha_case_type && !OSHA_CASE_TYPES.includes(fields.osha_case_type)) {
+    return `osha_case_type must be one of: ${OSHA_CASE_TYPES.join(', ')}`;
+  }
+  for (const field of ['days_away', 'days_restricted']) {
+    if (fields[field] !== undefined && fields[field] !== null && !(Number.isInteger(Number(fields[field])) && Number(fields[field]) >= 0)) {
+      return `${field} must be a non-negative whole number`;
+    }
+  }
+  return null;
+};
+
+const notifyProjectManagers = async (projectId, excludeUserId, type, title, message, entityType, entityId) => {
+  const managers = await pool.query(
+    `SELECT user_id FROM project_members WHERE project_id = $1 AND role IN ('project_manager', 'admin') AND user_id <> $2`,
+    [projectId, excludeUserId]
+  );
+  for (const manager of managers.rows) {
+    await createNotification(manager.user_id, type, title, message, entityType, entityId);
+  }
+};
+
+app.post('/api/v1/projects/:projectId/incidents', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
   try {
-    const asiResult = await pool.query(
-      `SELECT a.*, u.first_name || ' ' || u.last_name as created_by_name
-       FROM asis a
-       LEFT JOIN users u ON a.created_by = u.id
-       WHERE a.id = $1`,
-      [req.params.asiId]
+    const { title, description, incident_date } = req.body;
+    if (!title || !description || !incident_date) {
+      return res.status(400).json({ error: 'title, description and incident_date are required' });
+    }
+
+    const validationError = validateIncidentFields(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const numberResult = await pool.query('SELECT COUNT(*) as count FROM incidents WHERE project_id = $1', [req.params.projectId]);
+    const incident_number = `INC-${String(parseInt(numberResult.rows[0].count) + 1).padStart(4, '0')}`;
+
+    const fields = INCIDENT_FIELDS.filter(field => req.body[field] !== undefined);
+    const columns = ['project_id', 'incident_number', 'status', 'reported_by', ...fields];
+    const values = [req.params.projectId, incident_number, 'reported', req.user.userId, ...fields.map(field => req.body[field])];
+
+    const result = await pool.query(
+      `INSERT INTO incidents (${columns.join(', ')})
+       VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+      values
     );
+    const incident = result.rows[0];
 
-    if (asiResult.rows.length === 0) {
-      return res.status(404).json({ error: 'ASI not found' });
+    if (['serious', 'critical'].includes(incident.severity)) {
+      await notifyProjectManagers(req.params.projectId, req.user.userId, 'status_change',
+        `${incident.severity === 'critical' ? 'Critical' : 'Serious'} incident reported`,
+        `${incident_number}: ${title}`, 'incident', incident.id);
     }
 
-    const asi = asiResult.rows[0];
+    await logAudit(req.user.userId, 'create', 'incident', incident.id, { incident_number, severity: incident.severity, type: incident.type }, req);
+    await emitEvent('incident.reported', 'incident', incident.id, req.params.projectId, req.user.userId, incident);
 
-    // Get affected drawings
-    const drawingsResult = await pool.query(
-      `SELECT ad.*, d.name as drawing_name, d.drawing_number, d.discipline
-       FROM asi_drawings ad
-       INNER JOIN documents d ON ad.document_id = d.id
-       WHERE ad.asi_id = $1`,
-      [req.params.asiId]
+    res.status(201).json({ incident });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/incidents', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const { status, type, severity, year } = req.query;
+    const result = await pool.query(
+      `SELECT i.*, u.first_name || ' ' || u.last_name as reported_by_name,
+              COUNT(ca.id) FILTER (WHERE ca.status <> 'completed') as open_action_count,
+              COUNT(ca.id) as action_count
+       FROM incidents i
+       JOIN users u ON u.id = i.reported_by
+       LEFT JOIN incident_corrective_actions ca ON ca.incident_id = i.id
+       WHERE i.project_id = $1
+         AND ($2::VARCHAR IS NULL OR i.status = $2)
+         AND ($3::VARCHAR IS NULL OR i.type = $3)
+         AND ($4::VARCHAR IS NULL OR i.severity = $4)
+         AND ($5::INT IS NULL OR EXTRACT(YEAR FROM i.incident_date) = $5)
+       GROUP BY i.id, u.first_name, u.last_name
+       ORDER BY i.incident_date DESC`,
+      [req.params.projectId, status || null, type || null, severity || null, year ? parseInt(year) : null]
     );
+    res.json({ incidents: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    asi.affected_drawings = drawingsResult.rows;
+// OSHA Form 300 style log of recordable cases for one calendar year (?format=csv to download)
+app.get('/api/v1/projects/:projectId/incidents/osha-log', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    const project = await pool.query('SELECT id, name, project_number, location FROM projects WHERE id = $1', [req.params.projectId]);
+    if (project.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
+
+    const result = await pool.query(
+      `SELECT incident_number, injured_person_name, injured_person_job_title, is_privacy_case,
+              to_char(incident_date, 'YYYY-MM-DD') as date_of_injury, location, description, body_part,
+              osha_outcome, osha_case_type, COALESCE(days_away, 0) as days_away, COALESCE(days_restricted, 0) as days_restricted
+       FROM incidents
+       WHERE project_id = $1 AND is_recordable AND EXTRACT(YEAR FROM incident_date) = $2
+       ORDER BY incident_date, incident_number`,
+      [req.params.projectId, year]
+    );
+
+    const entries = result.rows.map(row => ({
+      case_number: row.incident_number,
+      employee_name: row.is_privacy_case ? 'Privacy Case' : row.injured_person_name,
+      job_title: row.injured_person_job_title,
+      date_of_injury: row.date_of_injury,
+      where_occurred: row.location,
+      description: [row.body_part, row.description].filter(Boolean).join(' - '),
+      death: row.osha_outcome === 'death',
+      days_away_from_work: row.osha_outcome === 'days_away',
+      job_transfer_or_restriction: row.osha_outcome === 'job_transfer',
+      other_recordable: row.osha_outcome === 'other_recordable',
+      days_away: row.days_away,
+      days_restricted: row.days_restricted,
+      case_type: row.osha_case_type
+    }));
+
+    const summary = {
+      total_cases: entries.length,
+      deaths: entries.filter(entry => entry.death).length,
+      days_away_cases: entries.filter(entry => entry.days_away_from_work).length,
+      job_transfer_cases: entries.filter(entry => entry.job_transfer_or_restriction).length,
+      other_recordable_cases: entries.filter(entry => entry.other_recordable).length,
+      total_days_away: entries.reduce((sum, entry) => sum + entry.days_away, 0),
+      total_days_restricted: entries.reduce((sum, entry) => sum + entry.days_restricted, 0),
+      by_case_type: Object.fromEntries(OSHA_CASE_TYPES.map(type => [type, entries.filter(entry => entry.case_type === type).length]))
+    };
+
+    if (req.query.format === 'csv') {
+      const mark = value => (value ? 'X' : '');
+      const csv = toCsv([
+        { key: 'case_number', header: '(A) Case No.' },
+        { key: 'employee_name', header: "(B) Employee's Name" },
+        { key: 'job_title', header: '(C) Job Title' },
+        { key: 'date_of_injury', header: '(D) Date of Injury or Onset of Illness' },
+        { key: 'where_occurred', header: '(E) Where the Event Occurred' },
+        { key: 'description', header: '(F) Description of Injury or Illness' },
+        { key: 'death', header: '(G) Death', format: mark },
+        { key: 'days_away_from_work', header: '(H) Days Away From Work', format: mark },
+        { key: 'job_transfer_or_restriction', header: '(I) Job Transfer or Restriction', format: mark },
+        { key: 'other_recordable', header: '(J) Other Recordable Cases', format: mark },
+        { key: 'days_away', header: '(K) Days Away' },
+        { key: 'days_restricted', header: '(L) Days on Transfer or Restriction' },
+        ...OSHA_CASE_TYPES.map((type, index) => ({
+          key: 'case_type', header: `(M${index + 1}) ${type.replace(/_/g, ' ')}`, format: value => mark(value === type)
+        }))
+      ], entries);
+
+      const fileName = `osha-300-log-${project.rows[0].project_number || project.rows[0].id}-${year}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(csv);
+    }
+
+    res.json({ project: project.rows[0], year, entries, summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/incidents/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('incident') }), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT i.*, u.first_name || ' ' || u.last_name as reported_by_name
+       FROM incidents i JOIN users u ON u.id = i.reported_by WHERE i.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Incident not found' });
+
+    const actions = await pool.query(
+      `SELECT ca.*, u.first_name || ' ' || u.last_name as responsible_party_name
+       FROM incident_corrective_actions ca
+       LEFT JOIN users u ON u.id = ca.responsible_party
+       WHERE ca.incident_id = $1 ORDER BY ca.created_at`,
+      [req.params.id]
+    );
+
+    // Photos linked to the incident or to one of its corrective actions
+    const photos = await pool.query(
+      `SELECT p.*, d.file_path, el.target_type as linked_to_type, el.target_id as linked_to_id
+       FROM entity_links el
+       JOIN photos p ON p.id = el.source_id
+       JOIN documents d ON d.id = p.document_id
+       WHERE el.source_type = 'photo'
+         AND ((el.target_type = 'incident' AND el.target_id = $1)
+           OR (el.target_type = 'incident_corrective_action' AND el.target_id = ANY($2::UUID[])))
+       ORDER BY p.taken_at`,
+      [req.params.id, actions.rows.map(action => action.id)]
+    );
+
+    res.json({ incident: { ...result.rows[0], corrective_actions: actions.rows, photos: photos.rows } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/v1/incidents/:id', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('incident') }), async (req, res, next) => {
+  try {
+    const validationError = validateIncidentFields(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const current = await pool.query('SELECT status FROM incidents WHERE id = $1', [req.params.id]);
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Incident not found' });
+    if (current.rows[0].status === 'closed') {
+      return res.status(409).json({ error: 'Closed incidents must be reopened before editing' });
+    }
+
+    const fields = INCIDENT_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) return res.status(400).json({ error: 'No fields to update' });
+
+    const result = await pool.query(
+      `UPDATE incidents
+       SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${fields.length + 1} RETURNING *`,
+      [...fields.map(field => req.body[field]), req.params.id]
+    );
+
+    await logAudit(req.user.userId, 'update', 'incident', req.params.id, Object.fromEntries(fields.map(field => [field, req.body[field]])), req);
+    res.json({ incident: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/v1/incidents/:id/status', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('incident') }), async (req, res, next) => {
+  try {
+    const { status, notes } = req.body;
+    if (!status) return res.status(400).json({ error: 'status is required' });
+
+    const current = await pool.query('SELECT * FROM incidents WHERE id = $1', [req.params.id]);
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Incident not found' });
+    const incident = current.rows[0];
+
+    if (!(INCIDENT_TRANSITIONS[incident.status] || []).includes(status)) {
+      return res.status(400).json({
+        error: `Cannot move incident from ${incident.status} to ${status}`,
+        allowed: INCIDENT_TRANSITIONS[incident.status] || []
+      });
+    }
+
+    if (incident.status === 'closed' && req.userRoleLevel < ROLE_HIERARCHY.project_manager) {
+      return res.status(403).json({ error: 'Only a project manager can reopen a closed incident' });
+    }
+
+    const actions = await pool.query(
+      `SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE status <> 'completed') as open
+       FROM incident_corrective_actions WHERE incident_id = $1`,
+      [incident.id]
+    );
+
+    if (status === 'action_taken' && parseInt(actions.rows[0].total) === 0) {
+      return res.status(409).json({ error: 'Add at least one corrective action before marking action taken' });
+    }
+
+    if (status === 'closed') {
+      if (parseInt(actions.rows[0].open) > 0) {
+        return res.status(409).json({ error: `${actions.rows[0].open} corrective action(s) are still open` });
+      }
+      if (incident.is_recordable && (!incident.osha_outcome || !incident.osha_case_type)) {
+        return res.status(409).json({ error: 'Recordable incidents need osha_outcome and osha_case_type before closing' });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE incidents
+       SET status = $1,
+           investigated_by = CASE WHEN $1 = 'investigating' THEN COALESCE(investigated_by, $2) ELSE investigated_by END,
+           closed_at = CASE WHEN $1 = 'closed' THEN CURRENT_TIMESTAMP ELSE NULL END,
+           closed_by = CASE WHEN $1 = 'closed' THEN $2 ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [status, req.user.userId, incident.id]
+    );
+
+    if (incident.reported_by !== req.user.userId) {
+      await createNotification(incident.reported_by, 'status_change', `Incident ${incident.incident_number} ${status.replace(/_/g, ' ')}`,
+        notes || incident.title, 'incident', incident.id);
+    }
+
+    await logAudit(req.user.userId, 'update', 'incident', incident.id, { old_status: incident.status, new_status: status, notes }, req);
+    await emitEvent('incident.status_changed', 'incident', incident.id, incident.project_id, req.user.userId,
+      { old_status: incident.status, new_status: status });
 
-    res.json({ asi });
+    res.json({ incident: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Create ASI
-app.post('/api/v1/projects/:projectId/asis', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.post('/api/v1/incidents/:id/corrective-actions', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('incident') }), async (req, res, next) => {
   try {
-    const {
-      asi_number, title, description, issued_by, issue_date, received_date,
-      affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days
-    } = req.body;
+    const { action_description, responsible_party, due_date } = req.body;
+    if (!action_description) return res.status(400).json({ error: 'action_description is required' });
 
-    if (!asi_number || !title) {
-      return res.status(400).json({ error: 'asi_number and title are required' });
+    const incident = await pool.query('SELECT * FROM incidents WHERE id = $1', [req.params.id]);
+    if (incident.rows.length === 0) return res.status(404).json({ error: 'Incident not found' });
+    if (incident.rows[0].status === 'closed') {
+      return res.status(409).json({ error: 'Closed incidents must be reopened before adding actions' });
+    }
+
+    if (responsible_party) {
+      const member = await pool.query(
+        'SELECT 1 FROM project_members WHERE project_id = $1 AND user_id = $2',
+        [incident.rows[0].project_id, responsible_party]
+      );
+      if (member.rows.length === 0) return res.status(400).json({ error: 'Responsible party must be a member of the project' });
     }
 
     const result = await pool.query(
-      `INSERT INTO asis
-       (project_id, asi_number, title, description, issued_by, issue_date, received_date,
-        affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
-      [req.params.projectId, asi_number, title, description, issued_by, issue_date, received_date,
-       affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, req.user.userId]
+      `INSERT INTO incident_corrective_actions (incident_id, action_description, responsible_party, due_date, status, created_by)
+       VALUES ($1, $2, $3, $4, 'pending', $5) RETURNING *`,
+      [req.params.id, action_description, responsible_party || null, due_date || null, req.user.userId]
     );
 
-    res.status(201).json({ asi: result.rows[0] });
-  } catch (error) {
-    if (error.code === '23505') { // Unique violation
-      return res.status(400).json({ error: 'ASI number already exists for this project' });
+    if (responsible_party) {
+      await createNotification(responsible_party, 'assignment', `Corrective action: ${incident.rows[0].incident_number}`,
+        `${action_description}${due_date ? ` (due ${due_date})` : ''}`, 'incident', req.params.id);
     }
+
+    await logAudit(req.user.userId, 'create', 'incident_corrective_action', result.rows[0].id, { incident_id: req.params.id, responsible_party, due_date }, req);
+    res.status(201).json({ corrective_action: result.rows[0] });
+  } catch (error) {
     next(error);
   }
 });
 
-// Update ASI
-app.put('/api/v1/asis/:asiId', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+// The responsible party may progress their own action; reassignment needs superintendent
+app.put('/api/v1/incident-corrective-actions/:id', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('incident_corrective_action') }), async (req, res, next) => {
   try {
-    const {
-      title, description, issued_by, issue_date, received_date, status,
-      affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, incorporation_notes
-    } = req.body;
+    const { status, completion_notes, action_description, responsible_party, due_date } = req.body;
+
+    const current = await pool.query(
+      `SELECT ca.*, i.incident_number, i.project_id, i.reported_by, i.investigated_by, i.status as incident_status
+       FROM incident_corrective_actions ca JOIN incidents i ON i.id = ca.incident_id WHERE ca.id = $1`,
+      [req.params.id]
+    );
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Corrective action not found' });
+    const action = current.rows[0];
+
+    const isSupervisor = req.userRoleLevel >= ROLE_HIERARCHY.superintendent;
+    if (!isSupervisor && action.responsible_party !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the responsible party or a superintendent can update this action' });
+    }
+    if (!isSupervisor && (action_description !== undefined || responsible_party !== undefined || due_date !== undefined)) {
+      return res.status(403).json({ error: 'Only a superintendent can change the action, assignee or due date' });
+    }
+    if (action.incident_status === 'closed') {
+      return res.status(409).json({ error: 'The incident is closed' });
+    }
+    if (status && !['pending', 'in_progress', 'completed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, in_progress or completed' });
+    }
 
     const result = await pool.query(
-      `UPDATE asis
-       SET title = COALESCE($1, title),
-           description = COALESCE($2, description),
-           issued_by = COALESCE($3, issued_by),
-           issue_date = COALESCE($4, issue_date),
-           received_date = COALESCE($5, received_date),
-           status = COALESCE($6, status),
-           affects_cost = COALESCE($7, affects_cost),
-           affects_schedule = COALESCE($8, affects_schedule),
-           estimated_cost_impact = COALESCE($9, estimated_cost_impact),
-           estimated_schedule_impact_days = COALESCE($10, estimated_schedule_impact_days),
-           incorporation_notes = COALESCE($11, incorporation_notes),
+      `UPDATE incident_corrective_actions
+       SET status = COALESCE($1, status),
+           completion_notes = COALESCE($2, completion_notes),
+           action_description = COALESCE($3, action_description),
+           responsible_party = COALESCE($4, responsible_party),
+           due_date = COALESCE($5, due_date),
+           completed_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP
+                               WHEN $1 IS NOT NULL THEN NULL ELSE completed_at END,
+           completed_by = CASE WHEN $1 = 'completed' THEN $6::UUID
+                               WHEN $1 IS NOT NULL THEN NULL ELSE completed_by END,
            updated_at = CURRENT_TIMESTAMP
-       WHERE id = $12 RETURNING *`,
-      [title, description, issued_by, issue_date, received_date, status,
-       affects_cost, affects_schedule, estimated_cost_impact, estimated_schedule_impact_days, incorporation_notes, req.params.asiId]
+       WHERE id = $7 RETURNING *`,
+      [status || null, completion_notes, action_description, responsible_party, due_date, req.user.userId, req.params.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'ASI not found' });
+    if (responsible_party && responsible_party !== action.responsible_party) {
+      await createNotification(responsible_party, 'assignment', `Corrective action: ${action.incident_number}`,
+        result.rows[0].action_description, 'incident', action.incident_id);
+    }
+    if (status === 'completed' && action.status !== 'completed') {
+      const owner = action.investigated_by || action.reported_by;
+      if (owner !== req.user.userId) {
+        await createNotification(owner, 'status_change', `Corrective action completed: ${action.incident_number}`,
+          completion_notes || action.action_description, 'incident', action.incident_id);
+      }
     }
 
-    res.json({ asi: result.rows[0] });
+    await logAudit(req.user.userId, 'update', 'incident_corrective_action', req.params.id, req.body, req);
+    res.json({ corrective_action: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Link ASI to drawing
-app.post('/api/v1/asis/:asiId/drawings/:documentId', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+// Attach photos (new uploads and/or existing photo_ids) to an incident or one of its corrective actions
+app.post('/api/v1/incidents/:id/photos', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('incident') }), upload.array('photos', 10), async (req, res, next) => {
   try {
-    const { impact_description, requires_revision } = req.body;
+    const { corrective_action_id, description, taken_at } = req.body;
+    const photoIds = [].concat(req.body.photo_ids || []).flatMap(id => String(id).split(',')).filter(Boolean);
 
-    const result = await pool.query(
-      `INSERT INTO asi_drawings (asi_id, document_id, impact_description, requires_revision)
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [req.params.asiId, req.params.documentId, impact_description, requires_revision !== false]
-    );
+    if ((req.files || []).length === 0 && photoIds.length === 0) {
+      return res.status(400).json({ error: 'Upload photos or pass photo_ids' });
+    }
 
-    // Update drawing workflow state to 'asi_pending' if requires revision
-    if (requires_revision !== false) {
+    const incident = await pool.query('SELECT id, project_id, incident_number FROM incidents WHERE id = $1', [req.params.id]);
+    if (incident.rows.length === 0) return res.status(404).json({ error: 'Incident not found' });
+    const projectId = incident.rows[0].project_id;
+
+    let targetType = 'incident';
+    let targetId = req.params.id;
+    if (corrective_action_id) {
+      const action = await pool.query(
+        'SELECT id FROM incident_corrective_actions WHERE id = $1 AND incident_id = $2',
+        [corrective_action_id, req.params.id]
+      );
+      if (action.rows.length === 0) return res.status(404).json({ error: 'Corrective action not found on this incident' });
+      targetType = 'incident_corrective_action';
+      targetId = corrective_action_id;
+    }
+
+    if (photoIds.length > 0) {
+      const existing = await pool.query(
+        'SELECT id FROM photos WHERE id = ANY($1::UUID[]) AND project_id = $2',
+        [photoIds, projectId]
+      );
+      if (existing.rows.length !== new Set(photoIds).size) {
+        return res.status(400).json({ error: 'All photo_ids must be photos in this project' });
+      }
+    }
+
+    const uploaded = [];
+    for (const file of req.files || []) {
+      const document = await saveUploadedDocument(file, projectId, req.user.userId, { category: 'photo' });
+      const photo = await pool.query(
+        `INSERT INTO photos (project_id, document_id, title, description, taken_at, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [projectId, document.id, `${incident.rows[0].incident_number} - ${file.originalname}`, description || null,
+         taken_at || new Date().toISOString(), req.user.userId]
+      );
+      uploaded.push(photo.rows[0]);
+    }
+
+    for (const photoId of [...new Set([...photoIds, ...uploaded.map(photo => photo.id)])]) {
       await pool.query(
-        `INSERT INTO drawing_workflow_states (document_id, workflow_state, created_by, notes)
-         VALUES ($1, 'asi_pending', $2, 'ASI linked - revision may be required')`,
-        [req.params.documentId, req.user.userId]
+        `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship)
+         VALUES ('photo', $1, $2, $3, 'attachment')
+         ON CONFLICT (source_type, source_id, target_type, target_id, relationship) DO NOTHING`,
+        [photoId, targetType, targetId]
       );
     }
 
-    res.status(201).json({ asi_drawing: result.rows[0] });
+    res.status(201).json({ photos: uploaded, linked_photo_ids: photoIds, target_type: targetType, target_id: targetId });
   } catch (error) {
-    if (error.code === '23505') { // Unique violation
-      return res.status(400).json({ error: 'This drawing is already linked to this ASI' });
-    }
     next(error);
   }
 });
 
-// Mark ASI-drawing revision as completed
-app.post('/api/v1/asi-drawings/:asiDrawingId/complete', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+// FINANCIALS
+app.post('/api/v1/projects/:projectId/budget-lines', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
   try {
+    const { cost_code, description, category, budgeted_amount } = req.body;
     const result = await pool.query(
-      `UPDATE asi_drawings
-       SET revision_completed = true,
-           completed_at = CURRENT_TIMESTAMP
-       WHERE id = $1 RETURNING *`,
-      [req.params.asiDrawingId]
+      `INSERT INTO budget_lines (project_id, cost_code, description, category, budgeted_amount)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [req.params.projectId, cost_code, description, category, budgeted_amount]
     );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'ASI-Drawing link not found' });
-    }
-
-    res.json({ asi_drawing: result.rows[0] });
+    res.status(201).json({ budget_line: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete ASI
-app.delete('/api/v1/asis/:asiId', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/projects/:projectId/budget-lines', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
-    // Get ASI to find its project_id for permission check
-    const asiResult = await pool.query('SELECT project_id FROM asis WHERE id = $1', [req.params.asiId]);
-
-    if (asiResult.rows.length === 0) {
-      return res.status(404).json({ error: 'ASI not found' });
-    }
-
-    // Set projectId for checkPermission middleware
-    req.params.projectId = asiResult.rows[0].project_id;
-
-    // Check permission manually - same level as create (engineer)
-    const permissionCheck = checkPermission('engineer');
-    await new Promise((resolve, reject) => {
-      permissionCheck(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-
-    // Delete the ASI (CASCADE will delete related asi_drawings)
-    await pool.query('DELETE FROM asis WHERE id = $1', [req.params.asiId]);
-    res.json({ success: true });
+    const result = await pool.query(
+      `SELECT bl.* FROM budget_lines bl WHERE bl.project_id = $1 ORDER BY bl.cost_code`,
+      [req.params.projectId]
+    );
+    res.json({ budget_lines: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-// ==========================================================================
-// DRAWING SETS (Enhanced version with new schema)
-// ==========================================================================
-
-// Create drawing set
-app.post('/api/v1/projects/:projectId/drawing-sets-v2', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.post('/api/v1/projects/:projectId/commitments', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
   try {
-    const { set_name, set_description, set_type, issue_date } = req.body;
-
-    if (!set_name) {
-      return res.status(400).json({ error: 'set_name is required' });
-    }
-
+    const { commitment_number, title, type, total_amount } = req.body;
     const result = await pool.query(
-      `INSERT INTO drawing_sets (project_id, set_name, set_description, set_type, issue_date, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [req.params.projectId, set_name, set_description, set_type, issue_date, req.user.userId]
+      `INSERT INTO commitments (project_id, commitment_number, title, type, total_amount, status, created_by)
+       VALUES ($1, $2, $3, $4, $5, 'draft', $6) RETURNING *`,
+      [req.params.projectId, commitment_number, title, type, total_amount, req.user.userId]
     );
-
-    res.status(201).json({ drawing_set: result.rows[0] });
+    res.status(201).json({ commitment: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Get drawing sets for project
-app.get('/api/v1/projects/:projectId/drawing-sets-v2', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/projects/:projectId/commitments', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT ds.*, u.first_name || ' ' || u.last_name as created_by_name,
-       (SELECT COUNT(*) FROM drawing_set_members WHERE drawing_set_id = ds.id) as drawing_count
-       FROM drawing_sets ds
-       LEFT JOIN users u ON ds.created_by = u.id
-       WHERE ds.project_id = $1
-       ORDER BY ds.created_at DESC`,
+      `SELECT c.* FROM commitments c WHERE c.project_id = $1 ORDER BY c.created_at DESC`,
       [req.params.projectId]
     );
-    res.json({ drawing_sets: result.rows });
+    res.json({ commitments: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-// Add drawing to set
-app.post('/api/v1/drawing-sets/:setId/members/:documentId', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.post('/api/v1/projects/:projectId/change-events', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
   try {
-    const { sequence_order } = req.body;
-
+    const { event_number, title, description, estimated_cost, estimated_days } = req.body;
     const result = await pool.query(
-      `INSERT INTO drawing_set_members (drawing_set_id, document_id, sequence_order)
-       VALUES ($1, $2, $3) RETURNING *`,
-      [req.params.setId, req.params.documentId, sequence_order]
+      `INSERT INTO change_events (project_id, event_number, title, description, estimated_cost, estimated_days, status, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, 'draft', $7) RETURNING *`,
+      [req.params.projectId, event_number, title, description, estimated_cost, estimated_days, req.user.userId]
     );
+    res.status(201).json({ change_event: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(201).json({ member: result.rows[0] });
+app.get('/api/v1/projects/:projectId/change-events', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ce.* FROM change_events ce WHERE ce.project_id = $1 ORDER BY ce.created_at DESC`,
+      [req.params.projectId]
+    );
+    res.json({ change_events: result.rows });
   } catch (error) {
-    if (error.code === '23505') {
-      return res.status(400).json({ error: 'Drawing already in this set' });
-    }
     next(error);
   }
 });
 
-// Remove drawing from set
-app.delete('/api/v1/drawing-set-members/:memberId', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.put('/api/v1/change-events/:id/approve', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
-    await pool.query('DELETE FROM drawing_set_members WHERE id = $1', [req.params.memberId]);
+    await pool.query(`UPDATE change_events SET status = 'approved' WHERE id = $1`, [req.params.id]);
     res.json({ success: true });
   } catch (error) {
     next(error);
   }
 });
 
-// Get drawings in a set
-app.get('/api/v1/drawing-sets/:setId/drawings', authenticateToken, async (req, res, next) => {
+app.post('/api/v1/change-events/:id/convert-to-order', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+  try {
+    const eventResult = await pool.query(`SELECT * FROM change_events WHERE id = $1`, [req.params.id]);
+    if (eventResult.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+    
+    const event = eventResult.rows[0];
+    const numberResult = await pool.query('SELECT COUNT(*) as count FROM change_orders WHERE project_id = $1', [event.project_id]);
+    const change_order_number = `CO-${String(parseInt(numberResult.rows[0].count) + 1).padStart(3, '0')}`;
+    
+    const coResult = await pool.query(
+      `INSERT INTO change_orders (project_id, change_order_number, change_event_id, title, description, cost_impact, schedule_impact, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending') RETURNING *`,
+      [event.project_id, change_order_number, event.id, event.title, event.description, event.estimated_cost, event.estimated_days]
+    );
+    
+    // Carry the event's cost-code split over to the change order
+    await pool.query(
+      `INSERT INTO change_order_lines (change_order_id, budget_line_id, description, amount)
+       SELECT $1, budget_line_id, description, estimated_amount FROM change_event_lines WHERE change_event_id = $2`,
+      [coResult.rows[0].id, event.id]
+    );
+
+    await pool.query(`UPDATE change_events SET status = 'converted' WHERE id = $1`, [req.params.id]);
+    res.status(201).json({ change_order: coResult.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/v1/projects/:projectId/change-orders', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT d.*, dsm.sequence_order, dsm.id as member_id
-       FROM drawing_set_members dsm
-       INNER JOIN documents d ON dsm.document_id = d.id
-       WHERE dsm.drawing_set_id = $1
-       ORDER BY dsm.sequence_order, d.drawing_number`,
-      [req.params.setId]
+      `SELECT co.* FROM change_orders co WHERE co.project_id = $1 ORDER BY co.created_at DESC`,
+      [req.params.projectId]
     );
-    res.json({ drawings: result.rows });
+    res.json({ change_orders: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-// PHOTOS
-app.post('/api/v1/projects/:projectId/photo-albums', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.put('/api/v1/change-orders/:id/approve', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
   try {
-    const { name, description } = req.body;
+    const statusCheck = await pool.query('SELECT project_id, cost_impact FROM change_orders WHERE id = $1', [req.params.id]);
+    if (statusCheck.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+
+    // A cost-code split, when present, has to account for the whole cost impact
+    const allocation = await pool.query(
+      'SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total FROM change_order_lines WHERE change_order_id = $1',
+      [req.params.id]
+    );
+    if (parseInt(allocation.rows[0].count) > 0 && toCents(allocation.rows[0].total) !== toCents(statusCheck.rows[0].cost_impact)) {
+      return res.status(409).json({
+        error: 'Change order lines do not add up to the cost impact',
+        allocated: Number(allocation.rows[0].total),
+        cost_impact: Number(statusCheck.rows[0].cost_impact)
+      });
+    }
+    
     const result = await pool.query(
-      `INSERT INTO photo_albums (project_id, name, description, created_by) VALUES ($1, $2, $3, $4) RETURNING *`,
-      [req.params.projectId, name, description, req.user.userId]
+      `UPDATE change_orders SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
+      [req.user.userId, req.params.id]
+    );
+    
+    await pool.query(
+      `UPDATE projects SET budget = budget + $1 WHERE id = $2`,
+      [statusCheck.rows[0].cost_impact || 0, statusCheck.rows[0].project_id]
     );
-    res.status(201).json({ album: result.rows[0] });
+    
+    res.json({ change_order: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/photo-albums', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/projects/:projectId/financial-summary', authenticateToken, async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT pa.*, COUNT(p.id) as photo_count
-       FROM photo_albums pa LEFT JOIN photos p ON pa.id = p.album_id
-       WHERE pa.project_id = $1 GROUP BY pa.id ORDER BY pa.created_at DESC`,
+    const budgetResult = await pool.query(
+      `SELECT COALESCE(SUM(budgeted_amount), 0) as total_budget,
+              COALESCE(SUM(committed_amount), 0) as total_committed,
+              COALESCE(SUM(invoiced_amount), 0) as total_invoiced
+       FROM budget_lines WHERE project_id = $1`,
       [req.params.projectId]
     );
-    res.json({ albums: result.rows });
+    
+    const projectResult = await pool.query('SELECT budget FROM projects WHERE id = $1', [req.params.projectId]);
+    
+    const summary = {
+      ...budgetResult.rows[0],
+      remaining_budget: parseFloat(budgetResult.rows[0].total_budget) - parseFloat(budgetResult.rows[0].total_committed),
+      project_budget: projectResult.rows[0]?.budget
+    };
+    
+    res.json({ summary });
   } catch (error) {
     next(error);
   }
 });
 
-app.delete('/api/v1/photo-albums/:id', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
-  try {
-    // Fetch album to verify it exists and get project_id
-    const albumQuery = await pool.query(
-      'SELECT project_id FROM photo_albums WHERE id = $1',
-      [req.params.id]
-    );
+// PAY APPLICATIONS
+// A commitment's schedule of values (sov_lines) is billed through period pay
+// applications (commitment_invoices + commitment_invoice_lines, G702/G703).
+// Figures are computed in cents when the application is saved; approval rolls
+// the period into sov_lines and budget_lines.invoiced_amount.
+const OPEN_PAY_APPLICATION_STATUSES = ['draft', 'submitted'];
 
-    if (albumQuery.rows.length === 0) {
-      return res.status(404).json({ error: 'Album not found' });
-    }
+// Build continuation-sheet lines for every SOV line. Inputs carry sov_line_id plus
+// percent_complete (work in place to date, % of scheduled value) or
+// work_completed_this_period, and optionally materials_stored (presently stored
+// balance; carried forward from the last approved application when omitted).
+const computePayApplication = (sovLines, inputs, retainagePercent) => {
+  const sovIds = new Set(sovLines.map(line => line.id));
+  const unknown = inputs.filter(input => !sovIds.has(input.sov_line_id));
+  if (unknown.length > 0) {
+    return { errors: unknown.map(input => ({ sov_line_id: input.sov_line_id, error: 'Not a line on this schedule of values' })) };
+  }
 
-    const album = albumQuery.rows[0];
+  const inputByLine = new Map(inputs.map(input => [input.sov_line_id, input]));
+  const errors = [];
+  const lines = [];
 
-    // Verify user is project member
-    const memberCheck = await pool.query(
-      'SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2',
-      [album.project_id, req.user.userId]
-    );
+  for (const sov of sovLines) {
+    const input = inputByLine.get(sov.id) || {};
+    const scheduled = toCents(sov.scheduled_value);
+    const previousWork = toCents(sov.work_completed_to_date);
+    const previousStored = toCents(sov.materials_stored);
 
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({
-        error: 'Access denied. You must be a project member to delete albums.'
-      });
+    let thisPeriod;
+    if (input.percent_complete !== undefined && input.percent_complete !== null) {
+      const percent = Number(input.percent_complete);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        errors.push({ sov_line_id: sov.id, line_number: sov.line_number, error: 'percent_complete must be between 0 and 100' });
+        continue;
+      }
+      thisPeriod = Math.round(scheduled * percent / 100) - previousWork;
+    } else {
+      thisPeriod = toCents(input.work_completed_this_period);
+    }
+
+    const stored = input.materials_stored !== undefined && input.materials_stored !== null
+      ? toCents(input.materials_stored)
+      : previousStored;
+    const total = previousWork + thisPeriod + stored;
+
+    if (thisPeriod < 0) {
+      errors.push({ sov_line_id: sov.id, line_number: sov.line_number, error: 'Work completed cannot go below the previous application' });
+    } else if (stored < 0) {
+      errors.push({ sov_line_id: sov.id, line_number: sov.line_number, error: 'materials_stored cannot be negative' });
+    } else if (total > scheduled) {
+      errors.push({ sov_line_id: sov.id, line_number: sov.line_number, error: 'Completed and stored exceeds the scheduled value' });
+    }
+
+    const retainage = Math.round(total * Number(retainagePercent || 0) / 100);
+    lines.push({
+      sov_line_id: sov.id,
+      line_number: sov.line_number,
+      description: sov.description,
+      budget_line_id: sov.budget_line_id,
+      scheduled_value: fromCents(scheduled),
+      previous_work_completed: fromCents(previousWork),
+      previous_materials_stored: fromCents(previousStored),
+      work_completed_this_period: fromCents(thisPeriod),
+      materials_stored: fromCents(stored),
+      total_completed_and_stored: fromCents(total),
+      percent_complete: scheduled > 0 ? Math.round((total / scheduled) * 10000) / 100 : 0,
+      balance_to_finish: fromCents(scheduled - total),
+      retainage_amount: fromCents(retainage),
+      amount: fromCents(total - previousWork - previousStored)
+    });
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const sum = (key) => lines.reduce((total, line) => total + toCents(line[key]), 0);
+  const totalCompleted = sum('total_completed_and_stored');
+  const retainage = sum('retainage_amount');
+
+  return {
+    lines,
+    totals: {
+      contract_sum: fromCents(sum('scheduled_value')),
+      work_completed_this_period: fromCents(sum('work_completed_this_period')),
+      materials_stored: fromCents(sum('materials_stored')),
+      total_completed_and_stored: fromCents(totalCompleted),
+      retainage_amount: fromCents(retainage),
+      total_earned_less_retainage: fromCents(totalCompleted - retainage)
     }
+  };
+};
 
-    // Delete album (photos will have album_id set to NULL due to ON DELETE SET NULL)
-    await pool.query('DELETE FROM photo_albums WHERE id = $1', [req.params.id]);
+const loadCommitment = async (commitmentId) => {
+  const result = await pool.query(
+    `SELECT c.*, o.name as vendor_name FROM commitments c
+     LEFT JOIN organizations o ON o.id = c.vendor_organization_id WHERE c.id = $1`,
+    [commitmentId]
+  );
+  return result.rows[0] || null;
+};
 
-    // Emit audit event
-    await emitEvent(
-      'album.deleted',
-      'photo_album',
-      req.params.id,
-      album.project_id,
-      req.user.userId,
-      { album_id: req.params.id }
-    );
+// Below superintendent, only members of the commitment's vendor organization may bill it
+const canBillCommitment = async (req, commitment) => {
+  if (req.userRoleLevel >= ROLE_HIERARCHY.superintendent) return true;
+  if (!commitment.vendor_organization_id) return false;
 
-    res.json({
-      success: true,
-      deletedAlbumId: req.params.id
-    });
+  const membership = await pool.query(
+    'SELECT 1 FROM user_organizations WHERE user_id = $1 AND organization_id = $2',
+    [req.user.userId, commitment.vendor_organization_id]
+  );
+  return membership.rows.length > 0;
+};
 
-  } catch (error) {
-    console.error('Delete album error:', error);
-    next(error);
-  }
-});
+// Retainage comes from the commitment; only the general contractor's side
+// (superintendent or above, not a member of the vendor) may override it
+const canOverrideRetainage = async (req, commitment) => {
+  if (req.userRoleLevel < ROLE_HIERARCHY.superintendent) return false;
+  if (!commitment.vendor_organization_id) return true;
+
+  const membership = await pool.query(
+    'SELECT 1 FROM user_organizations WHERE user_id = $1 AND organization_id = $2',
+    [req.user.userId, commitment.vendor_organization_id]
+  );
+  return membership.rows.length === 0;
+};
 
-app.post('/api/v1/photo-albums/:albumId/photos', authenticateToken, checkPermission('subcontractor'), upload.single('photo'), async (req, res, next) => {
+// Save computed lines and G702 totals for a draft application (inside a transaction)
+const writePayApplicationFigures = async (client, applicationId, commitmentId, computed) => {
+  const previous = await client.query(
+    `SELECT total_earned_less_retainage FROM commitment_invoices
+     WHERE commitment_id = $1 AND status IN ('approved', 'paid') AND id <> $2
+     ORDER BY application_number DESC LIMIT 1`,
+    [commitmentId, applicationId]
+  );
+  const previousCertificates = toCents(previous.rows[0]?.total_earned_less_retainage);
+  const { totals } = computed;
+
+  await client.query('DELETE FROM commitment_invoice_lines WHERE invoice_id = $1', [applicationId]);
+  for (const line of computed.lines) {
+    await client.query(
+      `INSERT INTO commitment_invoice_lines (
+        invoice_id, sov_line_id, line_number, description, amount, scheduled_value, previous_work_completed,
+        previous_materials_stored, work_completed_this_period, materials_stored, total_completed_and_stored,
+        percent_complete, balance_to_finish, retainage_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [applicationId, line.sov_line_id, line.line_number, line.description, line.amount, line.scheduled_value,
+       line.previous_work_completed, line.previous_materials_stored, line.work_completed_this_period,
+       line.materials_stored, line.total_completed_and_stored, line.percent_complete, line.balance_to_finish,
+       line.retainage_amount]
+    );
+  }
+
+  const result = await client.query(
+    `UPDATE commitment_invoices
+     SET contract_sum = $1, work_completed_this_period = $2, materials_stored = $3, total_completed_and_stored = $4,
+         retainage_amount = $5, total_earned_less_retainage = $6, previous_certificates = $7, total_amount = $8,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $9 RETURNING *`,
+    [totals.contract_sum, totals.work_completed_this_period, totals.materials_stored, totals.total_completed_and_stored,
+     totals.retainage_amount, totals.total_earned_less_retainage, fromCents(previousCertificates),
+     fromCents(toCents(totals.total_earned_less_retainage) - previousCertificates), applicationId]
+  );
+  return result.rows[0];
+};
+
+const loadPayApplication = async (applicationId) => {
+  const result = await pool.query(
+    `SELECT ci.*, c.project_id, c.commitment_number, c.title as commitment_title, c.vendor_organization_id,
+            su.first_name || ' ' || su.last_name as submitted_by_name,
+            au.first_name || ' ' || au.last_name as approved_by_name
+     FROM commitment_invoices ci
+     JOIN commitments c ON c.id = ci.commitment_id
+     LEFT JOIN users su ON su.id = ci.submitted_by
+     LEFT JOIN users au ON au.id = ci.approved_by
+     WHERE ci.id = $1`,
+    [applicationId]
+  );
+  return result.rows[0] || null;
+};
+
+// Define or revise the schedule of values: { lines: [{ id?, description, scheduled_value, budget_line_id }], retainage_percent }
+// Lines are renumbered in the order given; omitted lines are removed unless already billed.
+app.put('/api/v1/commitments/:id/sov', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('commitment') }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    if (!req.file) return res.status(400).json({ error: 'No photo uploaded' });
-    const { title, description, taken_at, location } = req.body;
+    const { lines, retainage_percent } = req.body;
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ error: 'lines must be a non-empty array of { description, scheduled_value, budget_line_id }' });
+    }
+    if (lines.some(line => !line.description || !Number.isFinite(Number(line.scheduled_value)) || Number(line.scheduled_value) < 0)) {
+      return res.status(400).json({ error: 'Every line needs a description and a non-negative scheduled_value' });
+    }
+    if (retainage_percent !== undefined && !(Number(retainage_percent) >= 0 && Number(retainage_percent) <= 100)) {
+      return res.status(400).json({ error: 'retainage_percent must be between 0 and 100' });
+    }
 
-    const albumResult = await pool.query('SELECT project_id FROM photo_albums WHERE id = $1', [req.params.albumId]);
-    if (albumResult.rows.length === 0) return res.status(404).json({ error: 'Album not found' });
+    const commitment = await loadCommitment(req.params.id);
+    if (!commitment) return res.status(404).json({ error: 'Commitment not found' });
 
-    const projectId = albumResult.rows[0].project_id;
+    const open = await pool.query(
+      `SELECT invoice_number FROM commitment_invoices WHERE commitment_id = $1 AND status = ANY($2::VARCHAR[])`,
+      [commitment.id, OPEN_PAY_APPLICATION_STATUSES]
+    );
+    if (open.rows.length > 0) {
+      return res.status(409).json({ error: `Pay application ${open.rows[0].invoice_number} is open; approve or delete it before changing the schedule of values` });
+    }
 
-    // Handle file storage based on storage type
-    let filePath, fileUrl;
-    if (storageType === 'local') {
-      filePath = req.file.path;
-      fileUrl = `/uploads/${path.basename(req.file.path)}`;
-    } else {
-      const uploadResult = await storage.uploadBuffer(
-        req.file.buffer,
-        req.file.originalname,
-        { mimetype: req.file.mimetype, albumId: req.params.albumId, projectId: projectId }
+    const budgetLineIds = [...new Set(lines.map(line => line.budget_line_id).filter(Boolean))];
+    if (budgetLineIds.length > 0) {
+      const budgetLines = await pool.query(
+        'SELECT id FROM budget_lines WHERE id = ANY($1::UUID[]) AND project_id = $2',
+        [budgetLineIds, commitment.project_id]
       );
-      filePath = uploadResult.path;
-      fileUrl = uploadResult.url;
+      if (budgetLines.rows.length !== budgetLineIds.length) {
+        return res.status(400).json({ error: 'budget_line_id must reference budget lines on this project' });
+      }
     }
 
-    const docResult = await pool.query(
-      `INSERT INTO documents (project_id, name, file_path, file_size, mime_type, uploaded_by)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [projectId, req.file.originalname, filePath, req.file.size, req.file.mimetype, req.user.userId]
+    const existing = await pool.query(
+      `SELECT sl.*, EXISTS (SELECT 1 FROM commitment_invoice_lines cil WHERE cil.sov_line_id = sl.id) as is_billed
+       FROM sov_lines sl WHERE sl.commitment_id = $1`,
+      [commitment.id]
     );
+    const existingById = new Map(existing.rows.map(line => [line.id, line]));
 
-    const photoResult = await pool.query(
-      `INSERT INTO photos (album_id, project_id, document_id, title, description, taken_at, location, uploaded_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-      [req.params.albumId, projectId, docResult.rows[0].id, title, description,
-       taken_at || new Date().toISOString(), location, req.user.userId]
-    );
+    for (const line of lines) {
+      const current = line.id && existingById.get(line.id);
+      if (line.id && !current) {
+        return res.status(400).json({ error: `SOV line ${line.id} does not belong to this commitment` });
+      }
+      if (current) {
+        const billed = toCents(current.work_completed_to_date) + toCents(current.materials_stored);
+        if (toCents(line.scheduled_value) < billed) {
+          return res.status(400).json({ error: `Line "${line.description}" cannot be scheduled below the ${fromCents(billed)} already billed` });
+        }
+      }
+    }
 
-    res.status(201).json({ photo: photoResult.rows[0] });
-  } catch (error) {
-    next(error);
-  }
-});
+    const keptIds = new Set(lines.map(line => line.id).filter(Boolean));
+    const removed = existing.rows.filter(line => !keptIds.has(line.id));
+    const billedRemoved = removed.find(line => line.is_billed);
+    if (billedRemoved) {
+      return res.status(409).json({ error: `Line "${billedRemoved.description}" has been billed and cannot be removed` });
+    }
 
-app.get('/api/v1/projects/:projectId/photos', authenticateToken, async (req, res, next) => {
-  try {
-    const result = await pool.query(
-      `SELECT p.*, d.file_path FROM photos p
-       JOIN documents d ON p.document_id = d.id
-       WHERE p.project_id = $1 ORDER BY p.taken_at DESC`,
-      [req.params.projectId]
-    );
-    
-    for (let photo of result.rows) {
-      const tagsResult = await pool.query('SELECT tag FROM photo_tags WHERE photo_id = $1', [photo.id]);
-      photo.tags = tagsResult.rows.map(r => r.tag);
+    await client.query('BEGIN');
+    if (removed.length > 0) {
+      await client.query('DELETE FROM sov_lines WHERE id = ANY($1::UUID[])', [removed.map(line => line.id)]);
     }
-    
-    res.json({ photos: result.rows });
-  } catch (error) {
-    next(error);
-  }
-});
+    // Move kept lines out of the way so renumbering cannot collide with UNIQUE(commitment_id, line_number)
+    await client.query('UPDATE sov_lines SET line_number = -line_number WHERE commitment_id = $1', [commitment.id]);
 
-app.get('/api/v1/photos/:id', authenticateToken, async (req, res, next) => {
-  try {
-    const result = await pool.query(
-      `SELECT p.*, d.file_path FROM photos p
-       JOIN documents d ON p.document_id = d.id WHERE p.id = $1`,
-      [req.params.id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Photo not found' });
-    
-    const tagsResult = await pool.query('SELECT tag FROM photo_tags WHERE photo_id = $1', [req.params.id]);
-    const photo = result.rows[0];
-    photo.tags = tagsResult.rows.map(r => r.tag);
-    res.json({ photo });
-  } catch (error) {
-    next(error);
-  }
-});
+    for (const [index, line] of lines.entries()) {
+      if (line.id) {
+        await client.query(
+          `UPDATE sov_lines SET line_number = $1, description = $2, scheduled_value = $3, budget_line_id = $4 WHERE id = $5`,
+          [index + 1, line.description, line.scheduled_value, line.budget_line_id || null, line.id]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO sov_lines (commitment_id, line_number, description, scheduled_value, budget_line_id)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [commitment.id, index + 1, line.description, line.scheduled_value, line.budget_line_id || null]
+        );
+      }
+    }
 
-app.post('/api/v1/photos/:photoId/tags', authenticateToken, async (req, res, next) => {
-  try {
-    const { tags } = req.body;
-    if (!Array.isArray(tags)) return res.status(400).json({ error: 'Tags must be array' });
-    
-    for (const tag of tags) {
-      await pool.query(
-        `INSERT INTO photo_tags (photo_id, tag) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
-        [req.params.photoId, tag.toLowerCase().trim()]
+    if (retainage_percent !== undefined) {
+      await client.query(
+        'UPDATE commitments SET retainage_percent = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [retainage_percent, commitment.id]
       );
     }
-    
-    const result = await pool.query('SELECT tag FROM photo_tags WHERE photo_id = $1', [req.params.photoId]);
-    res.json({ tags: result.rows.map(r => r.tag) });
+    await client.query('COMMIT');
+
+    const saved = await pool.query('SELECT * FROM sov_lines WHERE commitment_id = $1 ORDER BY line_number', [commitment.id]);
+    const sovTotal = saved.rows.reduce((sum, line) => sum + toCents(line.scheduled_value), 0);
+
+    await logAudit(req.user.userId, 'update', 'commitment', commitment.id, { sov_lines: saved.rows.length, sov_total: fromCents(sovTotal) }, req);
+    res.json({
+      sov_lines: saved.rows,
+      sov_total: fromCents(sovTotal),
+      commitment_total: Number(commitment.total_amount),
+      balanced: sovTotal === toCents(commitment.total_amount)
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/v1/projects/:projectId/tags', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/commitments/:id/sov', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('commitment') }), async (req, res, next) => {
   try {
+    const commitment = await loadCommitment(req.params.id);
+    if (!commitment) return res.status(404).json({ error: 'Commitment not found' });
+    if (!(await canBillCommitment(req, commitment))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can view this schedule of values' });
+    }
+
     const result = await pool.query(
-      `SELECT DISTINCT pt.tag, COUNT(*) as count FROM photo_tags pt
-       JOIN photos p ON pt.photo_id = p.id WHERE p.project_id = $1
-       GROUP BY pt.tag ORDER BY count DESC`,
-      [req.params.projectId]
+      `SELECT sl.*, bl.cost_code,
+              sl.work_completed_to_date + sl.materials_stored as completed_and_stored,
+              sl.scheduled_value - sl.work_completed_to_date - sl.materials_stored as balance_to_finish,
+              CASE WHEN sl.scheduled_value > 0
+                   THEN ROUND((sl.work_completed_to_date + sl.materials_stored) / sl.scheduled_value * 100, 2)
+                   ELSE 0 END as percent_complete
+       FROM sov_lines sl
+       LEFT JOIN budget_lines bl ON bl.id = sl.budget_line_id
+       WHERE sl.commitment_id = $1 ORDER BY sl.line_number`,
+      [commitment.id]
     );
-    res.json({ tags: result.rows });
+
+    res.json({
+      commitment,
+      sov_lines: result.rows,
+      sov_total: fromCents(result.rows.reduce((sum, line) => sum + toCents(line.scheduled_value), 0))
+    });
   } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/v1/photos/:photoId/link', authenticateToken, async (req, res, next) => {
+app.get('/api/v1/commitments/:id/pay-applications', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('commitment') }), async (req, res, next) => {
   try {
-    const { target_type, target_id, metadata } = req.body;
+    const commitment = await loadCommitment(req.params.id);
+    if (!commitment) return res.status(404).json({ error: 'Commitment not found' });
+    if (!(await canBillCommitment(req, commitment))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can view its pay applications' });
+    }
+
     const result = await pool.query(
-      `INSERT INTO entity_links (source_type, source_id, target_type, target_id, metadata)
-       VALUES ('photo', $1, $2, $3, $4) RETURNING *`,
-      [req.params.photoId, target_type, target_id, JSON.stringify(metadata || {})]
+      `SELECT ci.*, u.first_name || ' ' || u.last_name as submitted_by_name
+       FROM commitment_invoices ci
+       LEFT JOIN users u ON u.id = ci.submitted_by
+       WHERE ci.commitment_id = $1 ORDER BY ci.application_number DESC`,
+      [commitment.id]
     );
-    res.status(201).json({ link: result.rows[0] });
+    res.json({ pay_applications: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-app.delete('/api/v1/photos/:id', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+// Start a period pay application: { period_start, period_end, invoice_date, invoice_number, retainage_percent, notes, lines }
+// (retainage_percent overrides the commitment's and is for the general contractor only)
+app.post('/api/v1/commitments/:id/pay-applications', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('commitment') }), async (req, res, next) => {
   const client = await pool.connect();
-
   try {
-    // Fetch photo with document info
-    const photoQuery = await client.query(
-      `SELECT p.*, d.file_path, d.id as document_id
-       FROM photos p
-       JOIN documents d ON p.document_id = d.id
-       WHERE p.id = $1`,
-      [req.params.id]
-    );
+    const { period_start, period_end, invoice_date, invoice_number, retainage_percent, notes, lines } = req.body;
+    if (!period_end) return res.status(400).json({ error: 'period_end is required' });
 
-    if (photoQuery.rows.length === 0) {
-      client.release();
-      return res.status(404).json({ error: 'Photo not found' });
+    const commitment = await loadCommitment(req.params.id);
+    if (!commitment) return res.status(404).json({ error: 'Commitment not found' });
+    if (!(await canBillCommitment(req, commitment))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can bill this commitment' });
     }
-
-    const photo = photoQuery.rows[0];
-    const filePath = photo.file_path;
-    const documentId = photo.document_id;
-
-    // Verify user is project member
-    const memberCheck = await client.query(
-      `SELECT role FROM project_members
-       WHERE project_id = $1 AND user_id = $2`,
-      [photo.project_id, req.user.userId]
-    );
-
-    if (memberCheck.rows.length === 0) {
-      client.release();
-      return res.status(403).json({
-        error: 'Access denied. You must be a project member to delete photos.'
-      });
+    if (!['approved', 'executed'].includes(commitment.status)) {
+      return res.status(409).json({ error: `Commitment is ${commitment.status}; only approved or executed commitments can be billed` });
     }
 
-    // Database transaction
-    await client.query('BEGIN');
-
-    // Delete photo (CASCADE handles photo_tags and entity_links)
-    await client.query('DELETE FROM photos WHERE id = $1', [req.params.id]);
-
-    // Delete document
-    await client.query('DELETE FROM documents WHERE id = $1', [documentId]);
-
-    await client.query('COMMIT');
-
-    // File cleanup (non-blocking, after DB commit)
-    if (filePath) {
-      try {
-        await storage.deleteFile(filePath);
-      } catch (unlinkErr) {
-        console.error('File deletion error (non-critical):', unlinkErr);
-      }
+    const open = await pool.query(
+      `SELECT invoice_number FROM commitment_invoices WHERE commitment_id = $1 AND status = ANY($2::VARCHAR[])`,
+      [commitment.id, OPEN_PAY_APPLICATION_STATUSES]
+    );
+    if (open.rows.length > 0) {
+      return res.status(409).json({ error: `Pay application ${open.rows[0].invoice_number} is still open` });
     }
 
-    // Emit audit event
-    await emitEvent(
-      'photo.deleted',
-      'photo',
-      req.params.id,
-      photo.project_id,
-      req.user.userId,
-      {
-        title: photo.title,
-        document_id: documentId
-      }
-    );
+    const sovLines = await pool.query('SELECT * FROM sov_lines WHERE commitment_id = $1 ORDER BY line_number', [commitment.id]);
+    if (sovLines.rows.length === 0) {
+      return res.status(400).json({ error: 'Define the schedule of values before billing' });
+    }
 
-    res.json({
-      success: true,
-      deletedPhotoId: req.params.id,
-      deletedDocumentId: documentId
-    });
+    if (retainage_percent !== undefined && !(await canOverrideRetainage(req, commitment))) {
+      return res.status(403).json({ error: 'Retainage is set by the commitment; only the general contractor can override it' });
+    }
+    const retainagePercent = retainage_percent ?? commitment.retainage_percent ?? 0;
+    const computed = computePayApplication(sovLines.rows, Array.isArray(lines) ? lines : [], retainagePercent);
+    if (computed.errors) return res.status(400).json({ error: 'Invalid pay application lines', details: computed.errors });
+
+    const countResult = await pool.query('SELECT COUNT(*) as count FROM commitment_invoices WHERE commitment_id = $1', [commitment.id]);
+    const applicationNumber = parseInt(countResult.rows[0].count) + 1;
 
+    await client.query('BEGIN');
+    const inserted = await client.query(
+      `INSERT INTO commitment_invoices (commitment_id, invoice_number, application_number, invoice_date, period_start, period_end,
+                                        retainage_percent, total_amount, status, notes)
+       VALUES ($1, $2, $3, COALESCE($4, CURRENT_DATE), $5, $6, $7, 0, 'draft', $8) RETURNING id`,
+      [commitment.id, invoice_number || `PA-${String(applicationNumber).padStart(3, '0')}`, applicationNumber,
+       invoice_date || null, period_start || null, period_end, retainagePercent, notes || null]
+    );
+    const application = await writePayApplicationFigures(client, inserted.rows[0].id, commitment.id, computed);
+    await client.query('COMMIT');
+
+    res.status(201).json({ pay_application: application, lines: computed.lines });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Delete photo error:', error);
     next(error);
   } finally {
     client.release();
   }
 });
 
-// SUBMITTALS
-app.post('/api/v1/projects/:projectId/submittal-packages', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+app.get('/api/v1/pay-applications/:id', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
   try {
-    const { package_number, title, spec_section } = req.body;
-    const result = await pool.query(
-      `INSERT INTO submittal_packages (project_id, package_number, title, spec_section, created_by)
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [req.params.projectId, package_number, title, spec_section, req.user.userId]
+    const application = await loadPayApplication(req.params.id);
+    if (!application) return res.status(404).json({ error: 'Pay application not found' });
+    if (!(await canBillCommitment(req, application))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can view this pay application' });
+    }
+
+    const lines = await pool.query(
+      'SELECT * FROM commitment_invoice_lines WHERE invoice_id = $1 ORDER BY line_number',
+      [application.id]
     );
-    res.status(201).json({ package: result.rows[0] });
+    res.json({ pay_application: application, lines: lines.rows });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/submittal-packages', authenticateToken, async (req, res, next) => {
+// Revise a draft; lines not mentioned keep their saved this-period and stored amounts
+app.put('/api/v1/pay-applications/:id', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `SELECT sp.*, COUNT(s.id) as submittal_count
-       FROM submittal_packages sp
-       LEFT JOIN submittals s ON sp.id = s.package_id
-       WHERE sp.project_id = $1
-       GROUP BY sp.id ORDER BY sp.created_at DESC`,
-      [req.params.projectId]
+    const application = await loadPayApplication(req.params.id);
+    if (!application) return res.status(404).json({ error: 'Pay application not found' });
+    if (!(await canBillCommitment(req, application))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can edit this pay application' });
+    }
+    if (application.status !== 'draft') {
+      return res.status(409).json({ error: `Pay application is ${application.status}; only drafts can be edited` });
+    }
+
+    const { period_start, period_end, invoice_date, invoice_number, retainage_percent, notes, lines } = req.body;
+    if (retainage_percent !== undefined && !(await canOverrideRetainage(req, application))) {
+      return res.status(403).json({ error: 'Retainage is set by the commitment; only the general contractor can override it' });
+    }
+
+    const saved = await pool.query(
+      'SELECT sov_line_id, work_completed_this_period, materials_stored FROM commitment_invoice_lines WHERE invoice_id = $1',
+      [application.id]
     );
-    res.json({ packages: result.rows });
+    const inputs = new Map(saved.rows.map(line => [line.sov_line_id, line]));
+    for (const line of Array.isArray(lines) ? lines : []) {
+      inputs.set(line.sov_line_id, { ...inputs.get(line.sov_line_id), ...line });
+    }
+
+    const sovLines = await pool.query('SELECT * FROM sov_lines WHERE commitment_id = $1 ORDER BY line_number', [application.commitment_id]);
+    const retainagePercent = retainage_percent ?? application.retainage_percent;
+    const computed = computePayApplication(sovLines.rows, [...inputs.values()], retainagePercent);
+    if (computed.errors) return res.status(400).json({ error: 'Invalid pay application lines', details: computed.errors });
+
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE commitment_invoices
+       SET period_start = COALESCE($1, period_start), period_end = COALESCE($2, period_end),
+           invoice_date = COALESCE($3, invoice_date), invoice_number = COALESCE($4, invoice_number),
+           retainage_percent = $5, notes = COALESCE($6, notes)
+       WHERE id = $7`,
+      [period_start, period_end, invoice_date, invoice_number, retainagePercent, notes, application.id]
+    );
+    const updated = await writePayApplicationFigures(client, application.id, application.commitment_id, computed);
+    await client.query('COMMIT');
+
+    res.json({ pay_application: updated, lines: computed.lines });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.post('/api/v1/submittal-packages/:packageId/submittals', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+app.delete('/api/v1/pay-applications/:id', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
   try {
-    const { submittal_number, title, type, due_date } = req.body;
-    const result = await pool.query(
-      `INSERT INTO submittals (package_id, submittal_number, title, type, status, due_date, submitted_by)
-       VALUES ($1, $2, $3, $4, 'draft', $5, $6) RETURNING *`,
-      [req.params.packageId, submittal_number, title, type, due_date, req.user.userId]
-    );
-    res.status(201).json({ submittal: result.rows[0] });
+    const application = await loadPayApplication(req.params.id);
+    if (!application) return res.status(404).json({ error: 'Pay application not found' });
+    if (!(await canBillCommitment(req, application))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can delete this pay application' });
+    }
+    if (application.status !== 'draft') {
+      return res.status(409).json({ error: 'Only draft pay applications can be deleted' });
+    }
+
+    await pool.query('DELETE FROM commitment_invoices WHERE id = $1', [application.id]);
+    res.json({ success: true });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/submittals', authenticateToken, async (req, res, next) => {
+app.post('/api/v1/pay-applications/:id/submit', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
   try {
+    const application = await loadPayApplication(req.params.id);
+    if (!application) return res.status(404).json({ error: 'Pay application not found' });
+    if (!(await canBillCommitment(req, application))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can submit this pay application' });
+    }
+
     const result = await pool.query(
-      `SELECT s.*, sp.package_number, sp.title as package_title
-       FROM submittals s
-       JOIN submittal_packages sp ON s.package_id = sp.id
-       WHERE sp.project_id = $1 ORDER BY s.created_at DESC`,
-      [req.params.projectId]
+      `UPDATE commitment_invoices
+       SET status = 'submitted', submitted_by = $1, submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'draft' RETURNING *`,
+      [req.user.userId, application.id]
     );
-    res.json({ submittals: result.rows });
+    if (result.rows.length === 0) return res.status(409).json({ error: 'Only draft pay applications can be submitted' });
+
+    await notifyProjectManagers(application.project_id, req.user.userId, 'assignment',
+      `Pay application ${application.invoice_number} submitted`,
+      `${application.commitment_number}: current payment due ${Number(application.total_amount).toFixed(2)}`,
+      'pay_application', application.id);
+    await emitEvent('pay_application.submitted', 'pay_application', application.id, application.project_id, req.user.userId, result.rows[0]);
+
+    res.json({ pay_application: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/submittals/:id', authenticateToken, async (req, res, next) => {
+// Send a submitted application back to draft for corrections
+app.post('/api/v1/pay-applications/:id/return', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT s.*, sp.package_title FROM submittals s
-       JOIN submittal_packages sp ON s.package_id = sp.id WHERE s.id = $1`,
-      [req.params.id]
+      `UPDATE commitment_invoices
+       SET status = 'draft', submitted_at = NULL, notes = COALESCE($1, notes), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'submitted' RETURNING *`,
+      [req.body?.notes || null, req.params.id]
     );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Submittal not found' });
-    res.json({ submittal: result.rows[0] });
+    if (result.rows.length === 0) return res.status(409).json({ error: 'Only submitted pay applications can be returned' });
+
+    if (result.rows[0].submitted_by) {
+      await createNotification(result.rows[0].submitted_by, 'status_change', `Pay application ${result.rows[0].invoice_number} returned`,
+        req.body?.notes || 'Returned for corrections', 'pay_application', req.params.id);
+    }
+    await logAudit(req.user.userId, 'update', 'pay_application', req.params.id, { status: 'draft', notes: req.body?.notes }, req);
+
+    res.json({ pay_application: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// DAILY LOGS
-app.post('/api/v1/projects/:projectId/daily-logs', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+// Approve: roll the period into the SOV and budget_lines.invoiced_amount
+app.post('/api/v1/pay-applications/:id/approve', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    const { log_date, weather, work_performed, delays } = req.body;
+    await client.query('BEGIN');
 
-    // Check if a log already exists for this date
-    const existingLog = await pool.query(
-      'SELECT id FROM daily_logs WHERE project_id = $1 AND log_date = $2',
-      [req.params.projectId, log_date]
+    const result = await client.query(
+      `UPDATE commitment_invoices
+       SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'submitted' RETURNING *`,
+      [req.user.userId, req.params.id]
     );
-
-    if (existingLog.rows.length > 0) {
-      return res.status(400).json({
-        error: 'A daily log already exists for this date. Please select a different date or edit the existing log.'
-      });
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Only submitted pay applications can be approved' });
     }
+    const application = result.rows[0];
 
-    const result = await pool.query(
-      `INSERT INTO daily_logs (project_id, log_date, weather, work_performed, delays, is_submitted, created_by)
-       VALUES ($1, $2, $3, $4, $5, false, $6) RETURNING *`,
-      [req.params.projectId, log_date, JSON.stringify(weather || {}), work_performed, delays, req.user.userId]
+    const lines = await client.query(
+      `SELECT cil.*, sl.budget_line_id FROM commitment_invoice_lines cil
+       JOIN sov_lines sl ON sl.id = cil.sov_line_id WHERE cil.invoice_id = $1`,
+      [application.id]
     );
-    res.status(201).json({ daily_log: result.rows[0] });
+
+    const invoicedByBudgetLine = new Map();
+    for (const line of lines.rows) {
+      await client.query(
+        `UPDATE sov_lines
+         SET previous_amount = $1, current_amount = $2,
+             work_completed_to_date = $3, materials_stored = $4
+         WHERE id = $5`,
+        [
+          fromCents(toCents(line.previous_work_completed) + toCents(line.previous_materials_stored)),
+          line.amount,
+          fromCents(toCents(line.previous_work_completed) + toCents(line.work_completed_this_period)),
+          line.materials_stored,
+          line.sov_line_id
+        ]
+      );
+
+      if (line.budget_line_id) {
+        invoicedByBudgetLine.set(line.budget_line_id, (invoicedByBudgetLine.get(line.budget_line_id) || 0) + toCents(line.amount));
+      }
+    }
+
+    for (const [budgetLineId, cents] of invoicedByBudgetLine) {
+      await client.query(
+        `UPDATE budget_lines SET invoiced_amount = COALESCE(invoiced_amount, 0) + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [fromCents(cents), budgetLineId]
+      );
+    }
+    await client.query('COMMIT');
+
+    const commitment = await loadCommitment(application.commitment_id);
+    const unallocated = lines.rows
+      .filter(line => !line.budget_line_id)
+      .reduce((sum, line) => sum + toCents(line.amount), 0);
+
+    if (application.submitted_by) {
+      await createNotification(application.submitted_by, 'status_change', `Pay application ${application.invoice_number} approved`,
+        `Current payment due ${Number(application.total_amount).toFixed(2)}`, 'pay_application', application.id);
+    }
+    await logAudit(req.user.userId, 'update', 'pay_application', application.id, { status: 'approved', total_amount: application.total_amount }, req);
+    await emitEvent('pay_application.approved', 'pay_application', application.id, commitment.project_id, req.user.userId, application);
+
+    res.json({ pay_application: application, unallocated_amount: fromCents(unallocated) });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/v1/projects/:projectId/daily-logs', authenticateToken, async (req, res, next) => {
+app.post('/api/v1/pay-applications/:id/mark-paid', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT dl.* FROM daily_logs dl
-       WHERE dl.project_id = $1 ORDER BY dl.log_date DESC`,
-      [req.params.projectId]
+      `UPDATE commitment_invoices SET status = 'paid', paid_at = COALESCE($1, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'approved' RETURNING *`,
+      [req.body?.paid_at || null, req.params.id]
     );
-    res.json({ daily_logs: result.rows });
+    if (result.rows.length === 0) return res.status(409).json({ error: 'Only approved pay applications can be marked paid' });
+
+    await logAudit(req.user.userId, 'update', 'pay_application', req.params.id, { status: 'paid' }, req);
+    res.json({ pay_application: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/daily-logs/:id', authenticateToken, async (req, res, next) => {
+// G702/G703-style PDF
+app.get('/api/v1/pay-applications/:id/pdf', authenticateToken, checkPermission('subcontractor', { resolveProjectId: projectOf('pay_application') }), async (req, res, next) => {
   try {
-    const result = await pool.query('SELECT dl.* FROM daily_logs dl WHERE dl.id = $1', [req.params.id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Daily log not found' });
-    res.json({ daily_log: result.rows[0] });
+    const application = await loadPayApplication(req.params.id);
+    if (!application) return res.status(404).json({ error: 'Pay application not found' });
+    if (!(await canBillCommitment(req, application))) {
+      return res.status(403).json({ error: 'Only the commitment vendor or a superintendent can view this pay application' });
+    }
+
+    const [commitment, project, lines] = await Promise.all([
+      loadCommitment(application.commitment_id),
+      pool.query('SELECT name, project_number FROM projects WHERE id = $1', [application.project_id]),
+      pool.query('SELECT * FROM commitment_invoice_lines WHERE invoice_id = $1 ORDER BY line_number', [application.id])
+    ]);
+
+    const pdfBytes = await renderPayApplicationPdf({
+      project: project.rows[0],
+      commitment,
+      vendor: { name: commitment.vendor_name },
+      application,
+      lines: lines.rows
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${commitment.commitment_number}-${application.invoice_number}.pdf"`);
+    res.send(Buffer.from(pdfBytes));
   } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/v1/daily-logs/:id/submit', authenticateToken, checkPermission('subcontractor'), async (req, res, next) => {
+// COST REPORT
+// Per cost code: original budget + approved change order lines = revised budget;
+// pending change events / change orders; committed and invoiced from budget_lines;
+// projected cost from the latest manual forecast-to-complete, or automatically
+// as the greater of revised budget + pending changes and committed.
+const PENDING_CHANGE_EVENT_STATUSES = ['draft', 'pending_review', 'approved'];
+const APPROVED_CHANGE_ORDER_STATUSES = ['approved', 'executed'];
+
+// Validate [{ budget_line_id, description, amount }] against the project's budget lines
+const validateAllocationLines = async (projectId, lines) => {
+  if (!Array.isArray(lines)) return 'lines must be an array of { budget_line_id, description, amount }';
+  if (lines.some(line => !line.budget_line_id || !Number.isFinite(Number(line.amount)))) {
+    return 'Every line needs a budget_line_id and a numeric amount';
+  }
+
+  const budgetLineIds = [...new Set(lines.map(line => line.budget_line_id))];
+  if (budgetLineIds.length === 0) return null;
+
+  const result = await pool.query(
+    'SELECT id FROM budget_lines WHERE id = ANY($1::UUID[]) AND project_id = $2',
+    [budgetLineIds, projectId]
+  );
+  return result.rows.length === budgetLineIds.length ? null : 'budget_line_id must reference budget lines on this project';
+};
+
+const allocationTotal = (lines) => lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+
+// Split a change event's estimate across cost codes (replaces existing lines)
+app.put('/api/v1/change-events/:id/lines', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('change_event') }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `UPDATE daily_logs SET is_submitted = true, submitted_by = $1, submitted_at = CURRENT_TIMESTAMP
-       WHERE id = $2 RETURNING *`,
-      [req.user.userId, req.params.id]
-    );
-    res.json({ daily_log: result.rows[0] });
+    const event = await pool.query('SELECT * FROM change_events WHERE id = $1', [req.params.id]);
+    if (event.rows.length === 0) return res.status(404).json({ error: 'Change event not found' });
+    if (['converted', 'rejected'].includes(event.rows[0].status)) {
+      return res.status(409).json({ error: `Change event is ${event.rows[0].status}` });
+    }
+
+    const { lines } = req.body;
+    const validationError = await validateAllocationLines(event.rows[0].project_id, lines);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM change_event_lines WHERE change_event_id = $1', [req.params.id]);
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO change_event_lines (change_event_id, budget_line_id, description, estimated_amount) VALUES ($1, $2, $3, $4)`,
+        [req.params.id, line.budget_line_id, line.description || null, line.amount]
+      );
+    }
+    await client.query('COMMIT');
+
+    const saved = await pool.query('SELECT * FROM change_event_lines WHERE change_event_id = $1 ORDER BY created_at', [req.params.id]);
+    res.json({
+      lines: saved.rows,
+      allocated: fromCents(allocationTotal(lines)),
+      estimated_cost: event.rows[0].estimated_cost
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-// PUNCH ITEMS
-app.post('/api/v1/projects/:projectId/punch-items', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.get('/api/v1/change-events/:id/lines', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('change_event') }), async (req, res, next) => {
   try {
-    const { description, location, trade, priority, due_date } = req.body;
-    const numberResult = await pool.query('SELECT COUNT(*) as count FROM punch_items WHERE project_id = $1', [req.params.projectId]);
-    const item_number = `PUNCH-${String(parseInt(numberResult.rows[0].count) + 1).padStart(4, '0')}`;
-    
     const result = await pool.query(
-      `INSERT INTO punch_items (project_id, item_number, description, location, trade, status, priority, due_date, created_by)
-       VALUES ($1, $2, $3, $4, $5, 'open', $6, $7, $8) RETURNING *`,
-      [req.params.projectId, item_number, description, location, trade, priority || 'normal', due_date, req.user.userId]
+      `SELECT cel.*, bl.cost_code, bl.description as cost_code_description
+       FROM change_event_lines cel JOIN budget_lines bl ON bl.id = cel.budget_line_id
+       WHERE cel.change_event_id = $1 ORDER BY bl.cost_code`,
+      [req.params.id]
     );
-    
-    res.status(201).json({ punch_item: result.rows[0] });
+    res.json({ lines: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/punch-items', authenticateToken, async (req, res, next) => {
+// Split a pending change order's cost impact across cost codes; lines must sum to cost_impact to approve
+app.put('/api/v1/change-orders/:id/lines', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('change_order') }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      `SELECT pi.* FROM punch_items pi WHERE pi.project_id = $1 ORDER BY pi.created_at DESC`,
-      [req.params.projectId]
-    );
-    res.json({ punch_items: result.rows });
+    const order = await pool.query('SELECT * FROM change_orders WHERE id = $1', [req.params.id]);
+    if (order.rows.length === 0) return res.status(404).json({ error: 'Change order not found' });
+    if (order.rows[0].status !== 'pending') {
+      return res.status(409).json({ error: `Change order is ${order.rows[0].status}; only pending change orders can be reallocated` });
+    }
+
+    const { lines } = req.body;
+    const validationError = await validateAllocationLines(order.rows[0].project_id, lines);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM change_order_lines WHERE change_order_id = $1', [req.params.id]);
+    for (const line of lines) {
+      await client.query(
+        `INSERT INTO change_order_lines (change_order_id, budget_line_id, description, amount) VALUES ($1, $2, $3, $4)`,
+        [req.params.id, line.budget_line_id, line.description || null, line.amount]
+      );
+    }
+    await client.query('COMMIT');
+
+    const saved = await pool.query('SELECT * FROM change_order_lines WHERE change_order_id = $1 ORDER BY created_at', [req.params.id]);
+    const allocated = allocationTotal(lines);
+    res.json({
+      lines: saved.rows,
+      allocated: fromCents(allocated),
+      cost_impact: order.rows[0].cost_impact,
+      balanced: allocated === toCents(order.rows[0].cost_impact)
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.put('/api/v1/punch-items/:id', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.get('/api/v1/change-orders/:id/lines', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('change_order') }), async (req, res, next) => {
   try {
-    const { status } = req.body;
     const result = await pool.query(
-      `UPDATE punch_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
-      [status, req.params.id]
+      `SELECT col.*, bl.cost_code, bl.description as cost_code_description
+       FROM change_order_lines col JOIN budget_lines bl ON bl.id = col.budget_line_id
+       WHERE col.change_order_id = $1 ORDER BY bl.cost_code`,
+      [req.params.id]
     );
-    res.json({ punch_item: result.rows[0] });
+    res.json({ lines: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-app.put('/api/v1/punch-items/:id/verify', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+// Record a forecast-to-complete; { forecast_to_complete: null } returns the line to the automatic forecast
+app.post('/api/v1/budget-lines/:id/forecasts', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('budget_line') }), async (req, res, next) => {
   try {
+    const { forecast_to_complete, notes } = req.body;
+    if (forecast_to_complete === undefined) {
+      return res.status(400).json({ error: 'forecast_to_complete is required (null to use the automatic forecast)' });
+    }
+    if (forecast_to_complete !== null && !(Number.isFinite(Number(forecast_to_complete)) && Number(forecast_to_complete) >= 0)) {
+      return res.status(400).json({ error: 'forecast_to_complete must be a non-negative number or null' });
+    }
+
     const result = await pool.query(
-      `UPDATE punch_items SET status = 'verified', verified_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
-      [req.params.id]
+      `INSERT INTO budget_forecasts (budget_line_id, forecast_to_complete, notes, created_by)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [req.params.id, forecast_to_complete, notes || null, req.user.userId]
     );
-    res.json({ punch_item: result.rows[0] });
+
+    await logAudit(req.user.userId, 'create', 'budget_forecast', result.rows[0].id, { budget_line_id: req.params.id, forecast_to_complete }, req);
+    res.status(201).json({ forecast: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-app.put('/api/v1/punch-items/:id/close', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+app.get('/api/v1/budget-lines/:id/forecasts', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('budget_line') }), async (req, res, next) => {
   try {
     const result = await pool.query(
-      `UPDATE punch_items SET status = 'closed' WHERE id = $1 RETURNING *`,
+      `SELECT bf.*, u.first_name || ' ' || u.last_name as created_by_name
+       FROM budget_forecasts bf LEFT JOIN users u ON u.id = bf.created_by
+       WHERE bf.budget_line_id = $1 ORDER BY bf.created_at DESC`,
       [req.params.id]
     );
-    res.json({ punch_item: result.rows[0] });
+    res.json({ forecasts: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-// FINANCIALS
-app.post('/api/v1/projects/:projectId/budget-lines', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+// Per-cost-code cost report (?format=csv to download)
+app.get('/api/v1/projects/:projectId/cost-report', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
-    const { cost_code, description, category, budgeted_amount } = req.body;
+    const projectId = req.params.projectId;
+
     const result = await pool.query(
-      `INSERT INTO budget_lines (project_id, cost_code, description, category, budgeted_amount)
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [req.params.projectId, cost_code, description, category, budgeted_amount]
-    );
-    res.status(201).json({ budget_line: result.rows[0] });
+      `WITH approved_changes AS (
+         SELECT col.budget_line_id, SUM(col.amount) as amount
+         FROM change_order_lines col JOIN change_orders co ON co.id = col.change_order_id
+         WHERE co.project_id = $1 AND co.status = ANY($2::VARCHAR[])
+         GROUP BY col.budget_line_id
+       ),
+       pending_changes AS (
+         SELECT budget_line_id, SUM(amount) as amount FROM (
+           SELECT col.budget_line_id, col.amount
+           FROM change_order_lines col JOIN change_orders co ON co.id = col.change_order_id
+           WHERE co.project_id = $1 AND co.status = 'pending'
+           UNION ALL
+           SELECT cel.budget_line_id, cel.estimated_amount
+           FROM change_event_lines cel JOIN change_events ce ON ce.id = cel.change_event_id
+           WHERE ce.project_id = $1 AND ce.status = ANY($3::VARCHAR[])
+         ) pending
+         GROUP BY budget_line_id
+       ),
+       latest_forecasts AS (
+         SELECT DISTINCT ON (bf.budget_line_id) bf.budget_line_id, bf.forecast_to_complete, bf.notes, bf.created_at
+         FROM budget_forecasts bf JOIN budget_lines bl ON bl.id = bf.budget_line_id
+         WHERE bl.project_id = $1
+         ORDER BY bf.budget_line_id, bf.created_at DESC
+       )
+       SELECT bl.id as budget_line_id, bl.cost_code, bl.description, bl.category,
+              bl.budgeted_amount as original_budget,
+              COALESCE(ac.amount, 0) as approved_changes,
+              COALESCE(pc.amount, 0) as pending_changes,
+              COALESCE(bl.committed_amount, 0) as committed,
+              COALESCE(bl.invoiced_amount, 0) as invoiced,
+              lf.forecast_to_complete as manual_forecast_to_complete,
+              lf.notes as forecast_notes, lf.created_at as forecast_updated_at
+       FROM budget_lines bl
+       LEFT JOIN approved_changes ac ON ac.budget_line_id = bl.id
+       LEFT JOIN pending_changes pc ON pc.budget_line_id = bl.id
+       LEFT JOIN latest_forecasts lf ON lf.budget_line_id = bl.id
+       WHERE bl.project_id = $1
+       ORDER BY bl.cost_code`,
+      [projectId, APPROVED_CHANGE_ORDER_STATUSES, PENDING_CHANGE_EVENT_STATUSES]
+    );
+
+    const lines = result.rows.map(row => {
+      const original = toCents(row.original_budget);
+      const approved = toCents(row.approved_changes);
+      const pending = toCents(row.pending_changes);
+      const committed = toCents(row.committed);
+      const invoiced = toCents(row.invoiced);
+      const revised = original + approved;
+      const isManual = row.manual_forecast_to_complete !== null;
+
+      const projected = isManual
+        ? invoiced + toCents(row.manual_forecast_to_complete)
+        : Math.max(revised + pending, committed, invoiced);
+
+      return {
+        budget_line_id: row.budget_line_id,
+        cost_code: row.cost_code,
+        description: row.description,
+        category: row.category,
+        original_budget: fromCents(original),
+        approved_changes: fromCents(approved),
+        revised_budget: fromCents(revised),
+        pending_changes: fromCents(pending),
+        committed: fromCents(committed),
+        uncommitted: fromCents(revised - committed),
+        invoiced: fromCents(invoiced),
+        forecast_to_complete: fromCents(projected - invoiced),
+        forecast_method: isManual ? 'manual' : 'automatic',
+        forecast_notes: row.forecast_notes,
+        forecast_updated_at: row.forecast_updated_at,
+        projected_cost: fromCents(projected),
+        variance: fromCents(revised - projected)
+      };
+    });
+
+    const totalKeys = ['original_budget', 'approved_changes', 'revised_budget', 'pending_changes', 'committed',
+      'uncommitted', 'invoiced', 'forecast_to_complete', 'projected_cost', 'variance'];
+    const totals = Object.fromEntries(totalKeys.map(key => [key, fromCents(lines.reduce((sum, line) => sum + toCents(line[key]), 0))]));
+
+    // Changes with no cost-code split are not in the lines above
+    const unallocated = await pool.query(
+      `SELECT
+         (SELECT COALESCE(SUM(co.cost_impact), 0) FROM change_orders co
+          WHERE co.project_id = $1 AND co.status = ANY($2::VARCHAR[])
+            AND NOT EXISTS (SELECT 1 FROM change_order_lines col WHERE col.change_order_id = co.id)) as approved_changes,
+         (SELECT COALESCE(SUM(co.cost_impact), 0) FROM change_orders co
+          WHERE co.project_id = $1 AND co.status = 'pending'
+            AND NOT EXISTS (SELECT 1 FROM change_order_lines col WHERE col.change_order_id = co.id))
+         + (SELECT COALESCE(SUM(ce.estimated_cost), 0) FROM change_events ce
+            WHERE ce.project_id = $1 AND ce.status = ANY($3::VARCHAR[])
+              AND NOT EXISTS (SELECT 1 FROM change_event_lines cel WHERE cel.change_event_id = ce.id)) as pending_changes`,
+      [projectId, APPROVED_CHANGE_ORDER_STATUSES, PENDING_CHANGE_EVENT_STATUSES]
+    );
+
+    if (req.query.format === 'csv') {
+      const money = value => Number(value).toFixed(2);
+      const csv = toCsv([
+        { key: 'cost_code', header: 'Cost Code' },
+        { key: 'description', header: 'Description' },
+        { key: 'category', header: 'Category' },
+        ...totalKeys.map(key => ({
+          key,
+          header: key.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+          format: money
+        })),
+        { key: 'forecast_method', header: 'Forecast Method' }
+      ], [...lines, { cost_code: 'TOTAL', ...totals, forecast_method: '' }]);
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="cost-report-${projectId}-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json({
+      lines,
+      totals,
+      unallocated: {
+        approved_changes: Number(unallocated.rows[0].approved_changes),
+        pending_changes: Number(unallocated.rows[0].pending_changes)
+      },
+      generated_at: new Date().toISOString()
+    });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/budget-lines', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+// EARNED VALUE
+// Tasks are cost-loaded from budget lines; PV, EV and AC are measured at a
+// status date (see services/EarnedValue.js for how each is derived)
+
+// Status date from the query or body, else the schedule data date, else today
+const evmStatusDate = async (projectId, value) => {
+  if (value !== undefined && value !== null && value !== '') {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && WorkCalendar.toDayNumber(value) !== null ? value : null;
+  }
+  const project = await pool.query(`SELECT to_char(schedule_data_date, 'YYYY-MM-DD') as data_date FROM projects WHERE id = $1`, [projectId]);
+  return project.rows[0]?.data_date || WorkCalendar.fromDayNumber(WorkCalendar.toDayNumber(new Date()));
+};
+
+app.get('/api/v1/schedule/tasks/:taskId/cost-loads', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('schedule_task', 'taskId'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT bl.* FROM budget_lines bl WHERE bl.project_id = $1 ORDER BY bl.cost_code`,
-      [req.params.projectId]
-    );
-    res.json({ budget_lines: result.rows });
+    const loads = await earnedValue.costLoads(pool, req.params.taskId);
+    res.json({ loads, budgeted_cost: fromCents(loads.reduce((sum, load) => sum + toCents(load.amount), 0)) });
   } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/v1/projects/:projectId/commitments', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+// Cost-load a task: [{ budget_line_id, amount }] replaces its loads
+app.put('/api/v1/schedule/tasks/:taskId/cost-loads', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('schedule_task', 'taskId'), requireProject: true }), async (req, res, next) => {
+  const client = await pool.connect();
   try {
-    const { commitment_number, title, type, total_amount } = req.body;
-    const result = await pool.query(
-      `INSERT INTO commitments (project_id, commitment_number, title, type, total_amount, status, created_by)
-       VALUES ($1, $2, $3, $4, $5, 'draft', $6) RETURNING *`,
-      [req.params.projectId, commitment_number, title, type, total_amount, req.user.userId]
-    );
-    res.status(201).json({ commitment: result.rows[0] });
+    await client.query('BEGIN');
+    const task = await client.query('SELECT * FROM schedule_tasks WHERE id = $1 FOR UPDATE', [req.params.taskId]);
+    if (task.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const saved = await earnedValue.setCostLoads(client, task.rows[0], req.body.loads, req.user.userId);
+    if (saved.error) {
+      await client.query('ROLLBACK');
+      return res.status(saved.status).json({ error: saved.error });
+    }
+    await client.query('COMMIT');
+
+    await logAudit(req.user.userId, 'update', 'task_cost_loads', req.params.taskId, { loads: req.body.loads, budgeted_cost: saved.budgeted_cost }, req);
+    res.json(saved);
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/v1/projects/:projectId/commitments', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+// Budget per cost code against what is loaded onto tasks
+app.get('/api/v1/projects/:projectId/evm/cost-loading', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT c.* FROM commitments c WHERE c.project_id = $1 ORDER BY c.created_at DESC`,
-      [req.params.projectId]
-    );
-    res.json({ commitments: result.rows });
+    res.json(await earnedValue.loadingSummary(req.params.projectId));
   } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/v1/projects/:projectId/change-events', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+// Earned value now, without storing it (?status_date=YYYY-MM-DD, ?format=csv)
+app.get('/api/v1/projects/:projectId/evm', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
-    const { event_number, title, description, estimated_cost, estimated_days } = req.body;
-    const result = await pool.query(
-      `INSERT INTO change_events (project_id, event_number, title, description, estimated_cost, estimated_days, status, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, 'draft', $7) RETURNING *`,
-      [req.params.projectId, event_number, title, description, estimated_cost, estimated_days, req.user.userId]
-    );
-    res.status(201).json({ change_event: result.rows[0] });
+    const statusDate = await evmStatusDate(req.params.projectId, req.query.status_date);
+    if (!statusDate) return res.status(400).json({ error: 'status_date must be YYYY-MM-DD' });
+
+    const measured = await earnedValue.measure(pool, req.params.projectId, statusDate);
+    if (req.query.format === 'csv') {
+      const { columns, rows } = EarnedValue.exportRows(measured);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="earned-value-${req.params.projectId}-${statusDate}.csv"`);
+      return res.send(toCsv(columns, rows));
+    }
+    res.json({ evm: measured });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/change-events', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+// Take (or retake) the snapshot for a status date
+app.post('/api/v1/projects/:projectId/evm/snapshots', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT ce.* FROM change_events ce WHERE ce.project_id = $1 ORDER BY ce.created_at DESC`,
-      [req.params.projectId]
-    );
-    res.json({ change_events: result.rows });
+    const statusDate = await evmStatusDate(req.params.projectId, req.body.status_date);
+    if (!statusDate) return res.status(400).json({ error: 'status_date must be YYYY-MM-DD' });
+
+    const snapshot = await earnedValue.takeSnapshot(pool, req.params.projectId, { statusDate, userId: req.user.userId });
+    const result = EarnedValue.fromSnapshot(snapshot);
+
+    await logAudit(req.user.userId, 'create', 'evm_snapshot', snapshot.id, { status_date: statusDate }, req);
+    await emitEvent('evm.snapshot_taken', 'project', req.params.projectId, req.params.projectId, req.user.userId, {
+      snapshot_id: snapshot.id,
+      status_date: statusDate,
+      spi: result.project.spi,
+      cpi: result.project.cpi,
+      vac: result.project.vac
+    });
+    res.status(201).json({ snapshot: result });
   } catch (error) {
     next(error);
   }
 });
 
-app.put('/api/v1/change-events/:id/approve', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+app.get('/api/v1/projects/:projectId/evm/snapshots', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
-    await pool.query(`UPDATE change_events SET status = 'approved' WHERE id = $1`, [req.params.id]);
-    res.json({ success: true });
+    const result = await pool.query(
+      `SELECT id, to_char(status_date, 'YYYY-MM-DD') as status_date, period, baseline_id,
+              bac, pv, ev, ac, sv, cv, spi, cpi, eac, etc, vac, tcpi, unallocated_actual, created_by, created_at, updated_at
+       FROM evm_snapshots WHERE project_id = $1 ORDER BY status_date DESC`,
+      [req.params.projectId]
+    );
+    res.json({ snapshots: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-app.post('/api/v1/change-events/:id/convert-to-order', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+// Snapshot with task and WBS detail (?format=csv)
+app.get('/api/v1/evm-snapshots/:id', authenticateToken, checkPermission('superintendent', { resolveProjectId: projectOf('evm_snapshot'), requireProject: true }), async (req, res, next) => {
   try {
-    const eventResult = await pool.query(`SELECT * FROM change_events WHERE id = $1`, [req.params.id]);
-    if (eventResult.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-    
-    const event = eventResult.rows[0];
-    const numberResult = await pool.query('SELECT COUNT(*) as count FROM change_orders WHERE project_id = $1', [event.project_id]);
-    const change_order_number = `CO-${String(parseInt(numberResult.rows[0].count) + 1).padStart(3, '0')}`;
-    
-    const coResult = await pool.query(
-      `INSERT INTO change_orders (project_id, change_order_number, change_event_id, title, description, cost_impact, schedule_impact, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending') RETURNING *`,
-      [event.project_id, change_order_number, event.id, event.title, event.description, event.estimated_cost, event.estimated_days]
-    );
-    
-    await pool.query(`UPDATE change_events SET status = 'converted' WHERE id = $1`, [req.params.id]);
-    res.status(201).json({ change_order: coResult.rows[0] });
+    const result = await pool.query('SELECT * FROM evm_snapshots WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Snapshot not found' });
+
+    const snapshot = EarnedValue.fromSnapshot(result.rows[0]);
+    if (req.query.format === 'csv') {
+      const { columns, rows } = EarnedValue.exportRows(snapshot);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="earned-value-${result.rows[0].project_id}-${snapshot.status_date}.csv"`);
+      return res.send(toCsv(columns, rows));
+    }
+    res.json({ snapshot });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/change-orders', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
+app.delete('/api/v1/evm-snapshots/:id', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('evm_snapshot'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT co.* FROM change_orders co WHERE co.project_id = $1 ORDER BY co.created_at DESC`,
-      [req.params.projectId]
-    );
-    res.json({ change_orders: result.rows });
+    await pool.query('DELETE FROM evm_snapshots WHERE id = $1', [req.params.id]);
+    await logAudit(req.user.userId, 'delete', 'evm_snapshot', req.params.id, null, req);
+    res.json({ success: true });
   } catch (error) {
     next(error);
   }
 });
 
-app.put('/api/v1/change-orders/:id/approve', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+// S-curve: cumulative PV per period with EV and AC from the snapshots (?interval=week|month)
+app.get('/api/v1/projects/:projectId/evm/s-curve', authenticateToken, checkPermission('superintendent'), async (req, res, next) => {
   try {
-    const statusCheck = await pool.query('SELECT project_id, cost_impact FROM change_orders WHERE id = $1', [req.params.id]);
-    if (statusCheck.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-    
-    const result = await pool.query(
-      `UPDATE change_orders SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
-      [req.user.userId, req.params.id]
-    );
-    
-    await pool.query(
-      `UPDATE projects SET budget = budget + $1 WHERE id = $2`,
-      [statusCheck.rows[0].cost_impact || 0, statusCheck.rows[0].project_id]
-    );
-    
-    res.json({ change_order: result.rows[0] });
+    const interval = req.query.interval || 'month';
+    if (!EarnedValue.sCurveIntervals.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of: ${EarnedValue.sCurveIntervals.join(', ')}` });
+    }
+
+    const curve = await earnedValue.sCurve(req.params.projectId, { interval });
+    if (curve.error) return res.status(curve.status).json({ error: curve.error });
+    res.json({ s_curve: curve });
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/v1/projects/:projectId/financial-summary', authenticateToken, async (req, res, next) => {
+// How often the worker snapshots this project: weekly, monthly or none
+app.put('/api/v1/projects/:projectId/evm/settings', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
   try {
-    const budgetResult = await pool.query(
-      `SELECT COALESCE(SUM(budgeted_amount), 0) as total_budget,
-              COALESCE(SUM(committed_amount), 0) as total_committed,
-              COALESCE(SUM(invoiced_amount), 0) as total_invoiced
-       FROM budget_lines WHERE project_id = $1`,
-      [req.params.projectId]
+    const { evm_period } = req.body;
+    if (!EarnedValue.periods.includes(evm_period)) {
+      return res.status(400).json({ error: `evm_period must be one of: ${EarnedValue.periods.join(', ')}` });
+    }
+
+    const result = await pool.query(
+      'UPDATE projects SET evm_period = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, evm_period',
+      [evm_period, req.params.projectId]
     );
-    
-    const projectResult = await pool.query('SELECT budget FROM projects WHERE id = $1', [req.params.projectId]);
-    
-    const summary = {
-      ...budgetResult.rows[0],
-      remaining_budget: parseFloat(budgetResult.rows[0].total_budget) - parseFloat(budgetResult.rows[0].total_committed),
-      project_budget: projectResult.rows[0]?.budget
-    };
-    
-    res.json({ summary });
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
+
+    await logAudit(req.user.userId, 'update', 'project', req.params.projectId, { evm_period }, req);
+    res.json({ settings: result.rows[0] });
   } catch (error) {
     next(error);
   }
@@ -3482,72 +8439,415 @@ app.delete('/api/v1/project-members/:id',
     }
 });
 
-// Search users
-app.get('/api/v1/users/search',
-  authenticateToken, checkPermission('project_manager', { requireProject: false }),
-  async (req, res, next) => {
-    try {
-      const { q } = req.query;
-      if (!q || q.length < 2) {
-        return res.status(400).json({ error: 'Search query must be at least 2 characters' });
-      }
-
-      const result = await pool.query(
-        `SELECT id, email, first_name, last_name
-         FROM users
-         WHERE (email ILIKE $1 OR first_name ILIKE $1 OR last_name ILIKE $1)
-         LIMIT 20`,
-        [`%${q}%`]
-      );
+// Search users
+app.get('/api/v1/users/search',
+  authenticateToken, checkPermission('project_manager', { requireProject: false }),
+  async (req, res, next) => {
+    try {
+      const { q } = req.query;
+      if (!q || q.length < 2) {
+        return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+      }
+
+      const result = await pool.query(
+        `SELECT id, email, first_name, last_name
+         FROM users
+         WHERE (email ILIKE $1 OR first_name ILIKE $1 OR last_name ILIKE $1)
+         LIMIT 20`,
+        [`%${q}%`]
+      );
+
+      res.json({ users: result.rows });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Get role definitions
+app.get('/api/v1/roles', authenticateToken, async (req, res, next) => {
+  try {
+    const roles = [
+      { name: 'viewer', level: 1, display_name: 'Viewer',
+        description: 'Read-only access to project information',
+        typical_users: 'Owners, clients, inspectors, external stakeholders' },
+      { name: 'subcontractor', level: 2, display_name: 'Subcontractor',
+        description: 'Can create RFIs, submit daily logs, and upload documents',
+        typical_users: 'Specialty trade contractors, vendors' },
+      { name: 'engineer', level: 3, display_name: 'Engineer',
+        description: 'Manage schedule, create technical documents, respond to RFIs',
+        typical_users: 'Field engineers, assistant project engineers' },
+      { name: 'superintendent', level: 4, display_name: 'Superintendent',
+        description: 'Manage daily operations, punch lists, quality control',
+        typical_users: 'Site superintendents, construction managers' },
+      { name: 'project_manager', level: 5, display_name: 'Project Manager',
+        description: 'Full project control including budget and team management',
+        typical_users: 'Project managers, senior construction managers' },
+      { name: 'admin', level: 6, display_name: 'Administrator',
+        description: 'All permissions plus system administration',
+        typical_users: 'Company admins, IT staff' }
+    ];
+    res.json({ roles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// NOTIFICATIONS
+// Inbox state: unread -> read (is_read / read_at), archived_at hides a row from
+// the inbox and the unread count. Every row carries `link`, the web app path
+// of its entity.
+
+const NOTIFICATION_STATUSES = ['inbox', 'unread', 'read', 'archived', 'all'];
+const NOTIFICATION_BULK_ACTIONS = {
+  read: 'is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)',
+  unread: 'is_read = false, read_at = NULL',
+  archive: 'archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP)',
+  unarchive: 'archived_at = NULL'
+};
+
+// WHERE clause for a user's notifications from list filters; type and
+// entity_type accept comma-separated lists
+const notificationFilters = (userId, filters = {}) => {
+  const conditions = ['n.user_id = $1'];
+  const params = [userId];
+  const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+  const status = filters.status || 'inbox';
+  if (!NOTIFICATION_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${NOTIFICATION_STATUSES.join(', ')}` };
+  }
+  if (status === 'inbox') conditions.push('n.archived_at IS NULL');
+  if (status === 'unread') conditions.push('n.is_read = false AND n.archived_at IS NULL');
+  if (status === 'read') conditions.push('n.is_read = true AND n.archived_at IS NULL');
+  if (status === 'archived') conditions.push('n.archived_at IS NOT NULL');
+
+  if (filters.type) {
+    params.push(list(filters.type));
+    conditions.push(`n.type = ANY($${params.length}::VARCHAR[])`);
+  }
+  if (filters.entity_type) {
+    params.push(list(filters.entity_type));
+    conditions.push(`n.entity_type = ANY($${params.length}::VARCHAR[])`);
+  }
+  if (filters.project_id) {
+    params.push(filters.project_id);
+    conditions.push(`n.project_id = $${params.length}`);
+  }
+  if (filters.before) {
+    params.push(filters.before);
+    conditions.push(`n.created_at < $${params.length}`);
+  }
+
+  return { conditions, params };
+};
+
+const withNotificationLink = (notification) => ({ ...notification, link: NotificationMailer.deepPath(notification) });
+
+// GET /api/v1/notifications?status=unread&type=assignment,overdue&project_id=&limit=50&cursor=
+// Newest first; pass next_cursor back as cursor for the following page
+app.get('/api/v1/notifications', authenticateToken, async (req, res, next) => {
+  try {
+    const filter = notificationFilters(req.user.userId, req.query);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+    const { conditions, params } = filter;
+
+    // Keyset on (created_at, id): stable while new notifications arrive
+    if (req.query.cursor) {
+      params.push(req.query.cursor);
+      conditions.push(`(n.created_at, n.id) < (SELECT created_at, id FROM notifications WHERE id = $${params.length} AND user_id = $1)`);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    params.push(limit + 1);
+    const result = await pool.query(
+      `SELECT n.*, p.name as project_name
+       FROM notifications n
+       LEFT JOIN projects p ON p.id = n.project_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const notifications = result.rows.slice(0, limit).map(withNotificationLink);
+    res.json({
+      notifications,
+      next_cursor: hasMore ? notifications[notifications.length - 1].id : null,
+      has_more: hasMore
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Badge counts: total unread plus breakdowns by project and type
+app.get('/api/v1/notifications/unread-count', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT n.project_id, p.name as project_name, n.type, COUNT(*)::INT as count
+       FROM notifications n
+       LEFT JOIN projects p ON p.id = n.project_id
+       WHERE n.user_id = $1 AND n.is_read = false AND n.archived_at IS NULL
+       GROUP BY n.project_id, p.name, n.type`,
+      [req.user.userId]
+    );
+
+    const byProject = new Map();
+    const byType = {};
+    let unread = 0;
+    for (const row of result.rows) {
+      unread += row.count;
+      byType[row.type] = (byType[row.type] || 0) + row.count;
+      const key = row.project_id || 'none';
+      if (!byProject.has(key)) byProject.set(key, { project_id: row.project_id, project_name: row.project_name, count: 0 });
+      byProject.get(key).count += row.count;
+    }
+
+    res.json({ unread, by_project: [...byProject.values()], by_type: byType });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body: { action: read|unread|archive|unarchive, ids: [...] }
+//   or  { action, filters: { status, type, entity_type, project_id, before } } for everything matching
+app.post('/api/v1/notifications/bulk', authenticateToken, async (req, res, next) => {
+  try {
+    const { action, ids, filters } = req.body;
+    if (!NOTIFICATION_BULK_ACTIONS[action]) {
+      return res.status(400).json({ error: `action must be one of: ${Object.keys(NOTIFICATION_BULK_ACTIONS).join(', ')}` });
+    }
+
+    let conditions;
+    let params;
+    if (Array.isArray(ids)) {
+      if (ids.length === 0 || ids.length > 1000) {
+        return res.status(400).json({ error: 'ids must contain between 1 and 1000 notification ids' });
+      }
+      conditions = ['n.user_id = $1', 'n.id = ANY($2::UUID[])'];
+      params = [req.user.userId, ids];
+    } else if (filters && typeof filters === 'object') {
+      const filter = notificationFilters(req.user.userId, filters);
+      if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+      }
+      ({ conditions, params } = filter);
+    } else {
+      return res.status(400).json({ error: 'ids or filters is required' });
+    }
+
+    const result = await pool.query(
+      `UPDATE notifications n SET ${NOTIFICATION_BULK_ACTIONS[action]}
+       WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    res.json({ action, updated: result.rowCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/v1/notifications/:id/read', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2 RETURNING *`,
+      [req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ notification: withNotificationLink(result.rows[0]) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Email preferences: one row per (project or all projects, type or '*');
+// the most specific row wins, unset scopes fall back to the defaults
+app.get('/api/v1/notifications/preferences', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT np.*, p.name as project_name
+       FROM notification_preferences np
+       LEFT JOIN projects p ON p.id = np.project_id
+       WHERE np.user_id = $1
+       ORDER BY np.project_id NULLS FIRST, np.notification_type`,
+      [req.user.userId]
+    );
+    res.json({
+      preferences: result.rows,
+      defaults: NotificationMailer.defaultModes,
+      email_modes: NotificationMailer.emailModes,
+      notification_types: NotificationMailer.notificationTypes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body: { preferences: [{ project_id, notification_type, email_mode }] }; email_mode null clears a row
+app.put('/api/v1/notifications/preferences', authenticateToken, async (req, res, next) => {
+  try {
+    const { preferences } = req.body;
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      return res.status(400).json({ error: 'preferences must be a non-empty array' });
+    }
+
+    for (const preference of preferences) {
+      if (preference.email_mode !== null && !NotificationMailer.emailModes.includes(preference.email_mode)) {
+        return res.status(400).json({ error: `email_mode must be one of: ${NotificationMailer.emailModes.join(', ')} (or null to clear)` });
+      }
+      if (preference.project_id) {
+        const memberResult = await pool.query(
+          'SELECT 1 FROM project_members WHERE project_id = $1 AND user_id = $2',
+          [preference.project_id, req.user.userId]
+        );
+        if (memberResult.rows.length === 0) {
+          return res.status(403).json({ error: `Not a member of project ${preference.project_id}` });
+        }
+      }
+    }
+
+    for (const preference of preferences) {
+      await notificationMailer.setPreference(req.user.userId, {
+        project_id: preference.project_id || null,
+        notification_type: preference.notification_type || '*',
+        email_mode: preference.email_mode
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM notification_preferences WHERE user_id = $1
+       ORDER BY project_id NULLS FIRST, notification_type`,
+      [req.user.userId]
+    );
+    res.json({ preferences: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Links in notification emails: the signed token stands in for a session
+
+const emailLinkPage = (heading, body) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>BuildPro</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;max-width:520px;margin:48px auto;padding:0 16px;color:#222222">
+<h1 style="font-size:20px">${heading}</h1>${body}
+</body></html>`;
+
+app.get('/api/v1/notifications/:id/read', async (req, res, next) => {
+  try {
+    const payload = notificationMailer.verifyToken(req.query.token, 'read');
+    if (!payload || payload.notificationId !== req.params.id) {
+      return res.status(400).send(emailLinkPage('This link is invalid or has expired', '<p>Sign in to BuildPro to see your notifications.</p>'));
+    }
+
+    const result = await pool.query(
+      `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2 RETURNING *`,
+      [req.params.id, payload.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).send(emailLinkPage('Notification not found', '<p>It may have been deleted.</p>'));
+    }
+    res.redirect(notificationMailer.deepLink(result.rows[0]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET only confirms: mail scanners follow links, so the change happens on POST
+// (the confirmation form, or a mail client's RFC 8058 one-click request)
+app.get('/api/v1/notifications/unsubscribe', async (req, res, next) => {
+  try {
+    const payload = notificationMailer.verifyToken(req.query.token, 'unsubscribe');
+    if (!payload) {
+      return res.status(400).send(emailLinkPage('This link is invalid or has expired', '<p>Sign in to BuildPro to change your email preferences.</p>'));
+    }
 
-      res.json({ users: result.rows });
-    } catch (error) {
-      next(error);
+    let scope = 'all BuildPro email';
+    if (payload.projectId) {
+      const projectResult = await pool.query('SELECT name FROM projects WHERE id = $1', [payload.projectId]);
+      scope = `${payload.type ? `${payload.type.replace(/_/g, ' ')} emails` : 'all emails'} for ${projectResult.rows[0]?.name || 'this project'}`;
+    } else if (payload.type) {
+      scope = `${payload.type.replace(/_/g, ' ')} emails`;
     }
+
+    res.send(emailLinkPage('Unsubscribe', `<p>Stop receiving ${escapeHtml(scope)}?</p>
+<form method="POST" action="/api/v1/notifications/unsubscribe?token=${encodeURIComponent(req.query.token)}">
+<button type="submit" style="background:#1f4e79;color:#ffffff;border:0;padding:10px 18px;border-radius:4px">Unsubscribe</button>
+</form>
+<p style="color:#666666;font-size:13px">Notifications still appear in the app. You can turn email back on in your email preferences.</p>`));
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Get role definitions
-app.get('/api/v1/roles', authenticateToken, async (req, res, next) => {
+app.post('/api/v1/notifications/unsubscribe', async (req, res, next) => {
   try {
-    const roles = [
-      { name: 'viewer', level: 1, display_name: 'Viewer',
-        description: 'Read-only access to project information',
-        typical_users: 'Owners, clients, inspectors, external stakeholders' },
-      { name: 'subcontractor', level: 2, display_name: 'Subcontractor',
-        description: 'Can create RFIs, submit daily logs, and upload documents',
-        typical_users: 'Specialty trade contractors, vendors' },
-      { name: 'engineer', level: 3, display_name: 'Engineer',
-        description: 'Manage schedule, create technical documents, respond to RFIs',
-        typical_users: 'Field engineers, assistant project engineers' },
-      { name: 'superintendent', level: 4, display_name: 'Superintendent',
-        description: 'Manage daily operations, punch lists, quality control',
-        typical_users: 'Site superintendents, construction managers' },
-      { name: 'project_manager', level: 5, display_name: 'Project Manager',
-        description: 'Full project control including budget and team management',
-        typical_users: 'Project managers, senior construction managers' },
-      { name: 'admin', level: 6, display_name: 'Administrator',
-        description: 'All permissions plus system administration',
-        typical_users: 'Company admins, IT staff' }
-    ];
-    res.json({ roles });
+    const payload = notificationMailer.verifyToken(req.query.token, 'unsubscribe');
+    if (!payload) {
+      return res.status(400).send(emailLinkPage('This link is invalid or has expired', '<p>Sign in to BuildPro to change your email preferences.</p>'));
+    }
+
+    await notificationMailer.setPreference(payload.userId, {
+      project_id: payload.projectId || null,
+      notification_type: payload.type || '*',
+      email_mode: 'off'
+    });
+    // Nothing already waiting for the digest should go out either
+    await pool.query(
+      `UPDATE notifications SET email_status = 'skipped'
+       WHERE user_id = $1 AND email_status IN ('pending', 'digest_queued')
+         AND ($2::UUID IS NULL OR project_id = $2)
+         AND ($3::VARCHAR IS NULL OR type = $3)`,
+      [payload.userId, payload.projectId || null, payload.type || null]
+    );
+    await logAudit(payload.userId, 'unsubscribe', 'notification_preference', null,
+      { project_id: payload.projectId || null, notification_type: payload.type || '*' }, req);
+
+    res.send(emailLinkPage('You have been unsubscribed', '<p>You can turn email back on at any time in your email preferences.</p>'));
   } catch (error) {
     next(error);
   }
 });
 
-// NOTIFICATIONS
-app.get('/api/v1/notifications', authenticateToken, async (req, res, next) => {
+// Opening a notification marks it read and returns where it points.
+// Registered after the fixed /notifications/* paths so they are not taken as ids.
+app.get('/api/v1/notifications/:id', authenticateToken, async (req, res, next) => {
   try {
     const result = await pool.query(
-      `SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50`,
-      [req.user.userId]
+      `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2 RETURNING *`,
+      [req.params.id, req.user.userId]
     );
-    res.json({ notifications: result.rows });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ notification: withNotificationLink(result.rows[0]) });
   } catch (error) {
     next(error);
   }
 });
 
+// Development outbox: what the local mail catcher captured instead of sending.
+// Captured mail carries other users' signed links, so it is opt-in and admin only.
+if (emailTransport instanceof CatcherTransport && process.env.NODE_ENV !== 'production'
+  && process.env.EMAIL_DEV_INBOX === '1') {
+  app.get('/api/v1/dev/emails', authenticateToken, checkOrganizationRole('admin'), (req, res) => {
+    res.json({ emails: emailTransport.messages });
+  });
+
+  app.delete('/api/v1/dev/emails', authenticateToken, checkOrganizationRole('admin'), (req, res) => {
+    emailTransport.clear();
+    res.status(204).send();
+  });
+}
+
 // EVENTS
 app.get('/api/v1/events', authenticateToken, async (req, res, next) => {
   try {
@@ -3568,38 +8868,68 @@ app.get('/api/v1/events', authenticateToken, async (req, res, next) => {
 // ===========================================================================
 // SCHEDULE TASKS
 // ===========================================================================
+// planned_start_date / planned_end_date are maintained by the CPM engine
+// (services/ScheduleEngine.js): a task with predecessors is placed by its
+// logic, so only duration, constraints and actual dates move it. Every change
+// below recalculates the project and returns the task as rescheduled.
+
+// Recalculate a project's schedule after a change; returns what the response reports
+const rescheduleProject = async (projectId, req, reason) => {
+  const schedule = await scheduleEngine.recalculate(projectId, { userId: req.user.userId, reason });
+  return {
+    updated: schedule.updated,
+    project_start: schedule.project_start,
+    project_finish: schedule.project_finish,
+    cycles: schedule.cycles,
+    warnings: schedule.warnings
+  };
+};
 
 // Create a new task
 app.post('/api/v1/projects/:projectId/schedule/tasks', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
   try {
     const {
       parent_task_id, task_code, name, description,
-      planned_start_date, planned_end_date, duration_days,
+      planned_start_date, planned_end_date,
       status, percent_complete, priority, task_type,
-      constraint_type, constraint_date,
+      constraint_type, constraint_date, work_calendar_id,
       budgeted_cost, assigned_to
     } = req.body;
+    let { duration_days } = req.body;
+
+    if (constraint_type && !ScheduleEngine.constraintTypes.includes(constraint_type)) {
+      return res.status(400).json({ error: `constraint_type must be one of: ${ScheduleEngine.constraintTypes.join(', ')}` });
+    }
+    if (duration_days === undefined || duration_days === null) {
+      if (!planned_start_date || !planned_end_date) {
+        return res.status(400).json({ error: 'duration_days or planned_start_date and planned_end_date are required' });
+      }
+      duration_days = await scheduleEngine.durationBetween(req.params.projectId, work_calendar_id, planned_start_date, planned_end_date);
+    }
 
     const result = await pool.query(
       `INSERT INTO schedule_tasks (
         project_id, parent_task_id, task_code, name, description,
         planned_start_date, planned_end_date, duration_days,
         status, percent_complete, priority, task_type,
-        constraint_type, constraint_date,
+        constraint_type, constraint_date, work_calendar_id,
         budgeted_cost, assigned_to, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
       RETURNING *`,
       [
         req.params.projectId, parent_task_id, task_code, name, description,
-        planned_start_date, planned_end_date, duration_days,
+        planned_start_date, planned_end_date || planned_start_date, duration_days,
         status || 'not_started', percent_complete || 0, priority || 'normal', task_type || 'task',
-        constraint_type, constraint_date,
+        constraint_type, constraint_date, work_calendar_id,
         budgeted_cost, assigned_to, req.user.userId
       ]
     );
 
-    await emitEvent('task.created', 'schedule_task', result.rows[0].id, req.params.projectId, req.user.userId, result.rows[0]);
-    res.status(201).json({ task: result.rows[0] });
+    const schedule = await rescheduleProject(req.params.projectId, req, 'task_created');
+    const taskResult = await pool.query('SELECT * FROM schedule_tasks WHERE id = $1', [result.rows[0].id]);
+
+    await emitEvent('task.created', 'schedule_task', result.rows[0].id, req.params.projectId, req.user.userId, taskResult.rows[0]);
+    res.status(201).json({ task: taskResult.rows[0], schedule });
   } catch (error) {
     next(error);
   }
@@ -3721,13 +9051,38 @@ app.get('/api/v1/schedule/tasks/:id', authenticateToken, async (req, res, next)
 });
 
 // Update task
-app.put('/api/v1/schedule/tasks/:id', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.put('/api/v1/schedule/tasks/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_task'), requireProject: true }), async (req, res, next) => {
   try {
     const {
-      name, description, planned_start_date, planned_end_date, duration_days,
+      name, description, planned_start_date, planned_end_date,
       actual_start_date, actual_end_date, status, percent_complete,
-      priority, constraint_type, constraint_date, budgeted_cost, actual_cost
+      priority, constraint_type, constraint_date, budgeted_cost, actual_cost,
+      work_calendar_id
     } = req.body;
+    let { duration_days } = req.body;
+
+    if (constraint_type && !ScheduleEngine.constraintTypes.includes(constraint_type)) {
+      return res.status(400).json({ error: `constraint_type must be one of: ${ScheduleEngine.constraintTypes.join(', ')}` });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT project_id, planned_start_date, work_calendar_id FROM schedule_tasks WHERE id = $1',
+      [req.params.id]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    const existing = existingResult.rows[0];
+
+    // A new finish date without a duration means "make it last until then"
+    if (planned_end_date && (duration_days === undefined || duration_days === null)) {
+      duration_days = await scheduleEngine.durationBetween(
+        existing.project_id,
+        work_calendar_id || existing.work_calendar_id,
+        planned_start_date || existing.planned_start_date,
+        planned_end_date
+      );
+    }
 
     const result = await pool.query(
       `UPDATE schedule_tasks SET
@@ -3745,30 +9100,30 @@ app.put('/api/v1/schedule/tasks/:id', authenticateToken, checkPermission('engine
         constraint_date = COALESCE($12, constraint_date),
         budgeted_cost = COALESCE($13, budgeted_cost),
         actual_cost = COALESCE($14, actual_cost),
+        work_calendar_id = COALESCE($15, work_calendar_id),
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = $15
+      WHERE id = $16
       RETURNING *`,
       [
         name, description, planned_start_date, planned_end_date, duration_days,
         actual_start_date, actual_end_date, status, percent_complete,
         priority, constraint_type, constraint_date, budgeted_cost, actual_cost,
-        req.params.id
+        work_calendar_id, req.params.id
       ]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Task not found' });
-    }
+    const schedule = await rescheduleProject(existing.project_id, req, 'task_updated');
+    const taskResult = await pool.query('SELECT * FROM schedule_tasks WHERE id = $1', [req.params.id]);
 
-    await emitEvent('task.updated', 'schedule_task', req.params.id, result.rows[0].project_id, req.user.userId, result.rows[0]);
-    res.json({ task: result.rows[0] });
+    await emitEvent('task.updated', 'schedule_task', req.params.id, result.rows[0].project_id, req.user.userId, taskResult.rows[0]);
+    res.json({ task: taskResult.rows[0], schedule });
   } catch (error) {
     next(error);
   }
 });
 
 // Delete task
-app.delete('/api/v1/schedule/tasks/:id', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.delete('/api/v1/schedule/tasks/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_task'), requireProject: true }), async (req, res, next) => {
   try {
     const taskResult = await pool.query(
       'SELECT project_id FROM schedule_tasks WHERE id = $1',
@@ -3781,9 +9136,10 @@ app.delete('/api/v1/schedule/tasks/:id', authenticateToken, checkPermission('eng
 
     // Cascade will handle dependencies and assignments
     await pool.query('DELETE FROM schedule_tasks WHERE id = $1', [req.params.id]);
+    const schedule = await rescheduleProject(taskResult.rows[0].project_id, req, 'task_deleted');
 
     await emitEvent('task.deleted', 'schedule_task', req.params.id, taskResult.rows[0].project_id, req.user.userId, {});
-    res.json({ success: true });
+    res.json({ success: true, schedule });
   } catch (error) {
     next(error);
   }
@@ -3794,14 +9150,33 @@ app.delete('/api/v1/schedule/tasks/:id', authenticateToken, checkPermission('eng
 // ===========================================================================
 
 // Add task dependency
-app.post('/api/v1/schedule/tasks/:taskId/dependencies', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.post('/api/v1/schedule/tasks/:taskId/dependencies', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_task', 'taskId'), requireProject: true }), async (req, res, next) => {
   try {
     const { predecessor_task_id, dependency_type, lag_days } = req.body;
 
-    // Prevent circular dependencies (basic check)
     if (predecessor_task_id === req.params.taskId) {
       return res.status(400).json({ error: 'Cannot create self-dependency' });
     }
+    if (dependency_type && !ScheduleEngine.dependencyTypes.includes(dependency_type)) {
+      return res.status(400).json({ error: `dependency_type must be one of: ${ScheduleEngine.dependencyTypes.join(', ')}` });
+    }
+
+    const tasksResult = await pool.query(
+      'SELECT id, project_id FROM schedule_tasks WHERE id = ANY($1::UUID[])',
+      [[predecessor_task_id, req.params.taskId]]
+    );
+    if (tasksResult.rows.length < 2) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (tasksResult.rows[0].project_id !== tasksResult.rows[1].project_id) {
+      return res.status(400).json({ error: 'Tasks must belong to the same project' });
+    }
+
+    // The successor already leads back to the predecessor: the link would close a loop
+    const cycle = await scheduleEngine.findCycle(predecessor_task_id, req.params.taskId);
+    if (cycle) {
+      return res.status(409).json({ error: 'Dependency would create a circular schedule', cycle });
+    }
 
     const result = await pool.query(
       `INSERT INTO task_dependencies (
@@ -3811,7 +9186,8 @@ app.post('/api/v1/schedule/tasks/:taskId/dependencies', authenticateToken, check
       [predecessor_task_id, req.params.taskId, dependency_type || 'FS', lag_days || 0, req.user.userId]
     );
 
-    res.status(201).json({ dependency: result.rows[0] });
+    const schedule = await rescheduleProject(tasksResult.rows[0].project_id, req, 'dependency_added');
+    res.status(201).json({ dependency: result.rows[0], schedule });
   } catch (error) {
     next(error);
   }
@@ -3852,10 +9228,21 @@ app.get('/api/v1/schedule/tasks/:taskId/dependencies', authenticateToken, async
 });
 
 // Delete dependency
-app.delete('/api/v1/schedule/dependencies/:id', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+app.delete('/api/v1/schedule/dependencies/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('task_dependency'), requireProject: true }), async (req, res, next) => {
   try {
-    await pool.query('DELETE FROM task_dependencies WHERE id = $1', [req.params.id]);
-    res.json({ success: true });
+    const result = await pool.query(
+      `DELETE FROM task_dependencies td
+       USING schedule_tasks t
+       WHERE td.id = $1 AND t.id = td.successor_task_id
+       RETURNING t.project_id`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+
+    const schedule = await rescheduleProject(result.rows[0].project_id, req, 'dependency_removed');
+    res.json({ success: true, schedule });
   } catch (error) {
     next(error);
   }
@@ -4070,122 +9457,331 @@ app.delete('/api/v1/schedule/assignments/:id', authenticateToken, checkPermissio
 // SCHEDULE BASELINES
 // ===========================================================================
 
-// Create baseline snapshot
+// Create baseline snapshot of tasks, logic, milestones, assignments, calendars and data date
 app.post('/api/v1/projects/:projectId/schedule/baselines', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+  const client = await pool.connect();
   try {
     const { name, description, baseline_type } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
 
-    // Get all tasks for snapshot
-    const tasksResult = await pool.query(
-      `SELECT * FROM schedule_tasks WHERE project_id = $1`,
+    await client.query('BEGIN');
+    const created = await scheduleSnapshots.createBaseline(client, req.params.projectId, { name, description, baseline_type }, req.user.userId);
+    if (created.error) {
+      await client.query('ROLLBACK');
+      return res.status(created.status).json({ error: created.error });
+    }
+    await client.query('COMMIT');
+
+    res.status(201).json({ baseline: created.baseline });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Get project baselines
+app.get('/api/v1/projects/:projectId/schedule/baselines', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, description, baseline_type, baseline_date,
+              start_date, finish_date, data_date, snapshot_version, is_active, created_at
+       FROM schedule_baselines
+       WHERE project_id = $1
+       ORDER BY baseline_date DESC`,
       [req.params.projectId]
     );
 
-    // Get schedule date range
-    const rangeResult = await pool.query(
-      `SELECT MIN(planned_start_date) as start_date,
-              MAX(planned_end_date) as finish_date
-       FROM schedule_tasks
-       WHERE project_id = $1`,
+    res.json({ baselines: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get baseline details with task snapshot
+app.get('/api/v1/schedule/baselines/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM schedule_baselines WHERE id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    res.json({ baseline: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set active baseline
+app.put('/api/v1/schedule/baselines/:id/set-active', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+  try {
+    const baselineResult = await pool.query(
+      'SELECT project_id FROM schedule_baselines WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (baselineResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    // Deactivate all other baselines for this project
+    await pool.query(
+      'UPDATE schedule_baselines SET is_active = false WHERE project_id = $1',
+      [baselineResult.rows[0].project_id]
+    );
+
+    // Activate this baseline
+    await pool.query(
+      'UPDATE schedule_baselines SET is_active = true WHERE id = $1',
+      [req.params.id]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore the live schedule from a full baseline. Without confirm: true this
+// only returns what would change; with it, the current schedule is first saved
+// as a 'forecast' baseline so the restore itself can be undone.
+app.post('/api/v1/schedule/baselines/:id/restore', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('schedule_baseline'), requireProject: true }), async (req, res, next) => {
+  const client = await pool.connect();
+  let baseline, backup, restored;
+  try {
+    await client.query('BEGIN');
+    const baselineResult = await client.query('SELECT * FROM schedule_baselines WHERE id = $1', [req.params.id]);
+    if (baselineResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+    baseline = baselineResult.rows[0];
+    const projectId = baseline.project_id;
+
+    const snapshot = ScheduleSnapshots.fromBaseline(baseline);
+    if (snapshot.version < ScheduleSnapshots.version) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: `Baseline "${baseline.name}" has a version ${snapshot.version} snapshot without assignments or calendars and cannot be restored`
+      });
+    }
+
+    // Same lock as recalculation, so the two never interleave
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`schedule:${projectId}`]);
+    const preview = await scheduleSnapshots.preview(client, projectId, snapshot);
+    if (req.body.confirm !== true) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Restoring replaces the live schedule; resend with confirm: true', preview });
+    }
+
+    const saved = await scheduleSnapshots.createBaseline(client, projectId, {
+      name: `Before restore of ${baseline.name}`.slice(0, 200),
+      description: req.body.reason || null,
+      baseline_type: 'forecast'
+    }, req.user.userId);
+    backup = saved.baseline || null;
+    restored = await scheduleSnapshots.restore(client, projectId, snapshot);
+
+    await client.query(
+      `INSERT INTO schedule_audit_log (project_id, change_type, field_changed, old_value, new_value, reason, changed_by)
+       VALUES ($1, 'baseline_restored', 'schedule', $2, $3, $4, $5)`,
+      [
+        projectId,
+        JSON.stringify({ backup_baseline_id: backup ? backup.id : null }),
+        JSON.stringify({ baseline_id: baseline.id, baseline_name: baseline.name, ...restored }),
+        req.body.reason || null,
+        req.user.userId
+      ]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    client.release();
+    return next(error);
+  }
+  client.release();
+
+  try {
+    await logAudit(req.user.userId, 'restore', 'schedule_baseline', baseline.id, { ...restored, backup_baseline_id: backup ? backup.id : null }, req);
+    await emitEvent('schedule.baseline_restored', 'project', baseline.project_id, baseline.project_id, req.user.userId, {
+      baseline_id: baseline.id,
+      backup_baseline_id: backup ? backup.id : null,
+      tasks: restored.tasks
+    });
+    res.json({ restored, backup_baseline: backup });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===========================================================================
+// WHAT-IF SCENARIOS
+// ===========================================================================
+
+const scenarioSummary = (scenario) => ({
+  id: scenario.id,
+  project_id: scenario.project_id,
+  name: scenario.name,
+  description: scenario.description,
+  source_baseline_id: scenario.source_baseline_id,
+  task_count: scenario.snapshot.tasks.length,
+  project_start: scenario.snapshot.tasks.map(task => task.planned_start_date).sort()[0] || null,
+  project_finish: scenario.snapshot.tasks.map(task => task.planned_end_date).sort().pop() || null,
+  warnings: scenario.warnings,
+  calculated_at: scenario.calculated_at,
+  created_by: scenario.created_by,
+  created_at: scenario.created_at,
+  updated_at: scenario.updated_at
+});
+
+// Apply an edit to a scenario's snapshot, recalculate it and save it. edit(snapshot)
+// changes the snapshot in place and returns the edited item, or { error, status }.
+const updateScenario = async (req, res, next, status, edit) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM schedule_scenarios WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+
+    const snapshot = current.rows[0].snapshot;
+    const edited = edit(snapshot);
+    if (edited.error) {
+      await client.query('ROLLBACK');
+      return res.status(edited.status).json({ error: edited.error });
+    }
+    const schedule = ScheduleSnapshots.calculate(snapshot);
+    if (schedule.cycles.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'This change would make the scenario logic circular', cycles: schedule.cycles });
+    }
+
+    const result = await client.query(
+      `UPDATE schedule_scenarios SET snapshot = $1, warnings = $2, calculated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [JSON.stringify(schedule.snapshot), JSON.stringify(schedule.warnings), req.params.id]
+    );
+    await client.query('COMMIT');
+
+    res.status(status).json({ ...edited, scenario: scenarioSummary(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+};
+
+// List scenarios
+app.get('/api/v1/projects/:projectId/schedule/scenarios', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*, u.first_name || ' ' || u.last_name as created_by_name, b.name as source_baseline_name
+       FROM schedule_scenarios s
+       LEFT JOIN users u ON u.id = s.created_by
+       LEFT JOIN schedule_baselines b ON b.id = s.source_baseline_id
+       WHERE s.project_id = $1
+       ORDER BY s.created_at DESC`,
       [req.params.projectId]
     );
+    res.json({
+      scenarios: result.rows.map(row => ({
+        ...scenarioSummary(row),
+        created_by_name: row.created_by_name,
+        source_baseline_name: row.source_baseline_name
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Deactivate other baselines if this is being set as active
-    if (baseline_type === 'original' || baseline_type === 'approved') {
-      await pool.query(
-        'UPDATE schedule_baselines SET is_active = false WHERE project_id = $1',
-        [req.params.projectId]
-      );
+// Branch a scenario from the live schedule or a full baseline (from: 'current' | baseline id)
+app.post('/api/v1/projects/:projectId/schedule/scenarios', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    const { name, description, from } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
     }
 
-    const result = await pool.query(
-      `INSERT INTO schedule_baselines (
-        project_id, name, description, baseline_type,
-        baseline_date, start_date, finish_date,
-        task_snapshot, is_active, created_by
-      ) VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, $6, $7, $8, $9)
-      RETURNING *`,
-      [
-        req.params.projectId, name, description, baseline_type || 'approved',
-        rangeResult.rows[0].start_date, rangeResult.rows[0].finish_date,
-        JSON.stringify(tasksResult.rows),
-        baseline_type === 'original' || baseline_type === 'approved',
-        req.user.userId
-      ]
-    );
+    const created = await scheduleSnapshots.createScenario(pool, req.params.projectId, { name, description, from }, req.user.userId);
+    if (created.error) {
+      return res.status(created.status).json({ error: created.error });
+    }
 
-    res.status(201).json({ baseline: result.rows[0] });
+    await logAudit(req.user.userId, 'create', 'schedule_scenario', created.scenario.id, { name, from: from || 'current' }, req);
+    res.status(201).json({ scenario: scenarioSummary(created.scenario) });
   } catch (error) {
     next(error);
   }
 });
 
-// Get project baselines
-app.get('/api/v1/projects/:projectId/schedule/baselines', authenticateToken, async (req, res, next) => {
+// Get a scenario with its full snapshot
+app.get('/api/v1/schedule/scenarios/:id', authenticateToken, checkPermission('viewer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT id, name, description, baseline_type, baseline_date,
-              start_date, finish_date, is_active, created_at
-       FROM schedule_baselines
-       WHERE project_id = $1
-       ORDER BY baseline_date DESC`,
-      [req.params.projectId]
-    );
-
-    res.json({ baselines: result.rows });
+    const result = await pool.query('SELECT * FROM schedule_scenarios WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    res.json({ scenario: { ...scenarioSummary(result.rows[0]), snapshot: result.rows[0].snapshot } });
   } catch (error) {
     next(error);
   }
 });
 
-// Get baseline details with task snapshot
-app.get('/api/v1/schedule/baselines/:id', authenticateToken, async (req, res, next) => {
+// Rename a scenario
+app.put('/api/v1/schedule/scenarios/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), async (req, res, next) => {
   try {
+    const { name, description } = req.body;
     const result = await pool.query(
-      `SELECT * FROM schedule_baselines WHERE id = $1`,
-      [req.params.id]
+      `UPDATE schedule_scenarios SET name = COALESCE($1, name), description = COALESCE($2, description), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [name, description, req.params.id]
     );
-
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Baseline not found' });
+      return res.status(404).json({ error: 'Scenario not found' });
     }
-
-    res.json({ baseline: result.rows[0] });
+    res.json({ scenario: scenarioSummary(result.rows[0]) });
   } catch (error) {
     next(error);
   }
 });
 
-// Set active baseline
-app.put('/api/v1/schedule/baselines/:id/set-active', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+app.delete('/api/v1/schedule/scenarios/:id', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), async (req, res, next) => {
   try {
-    const baselineResult = await pool.query(
-      'SELECT project_id FROM schedule_baselines WHERE id = $1',
-      [req.params.id]
-    );
-
-    if (baselineResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Baseline not found' });
-    }
-
-    // Deactivate all other baselines for this project
-    await pool.query(
-      'UPDATE schedule_baselines SET is_active = false WHERE project_id = $1',
-      [baselineResult.rows[0].project_id]
-    );
-
-    // Activate this baseline
-    await pool.query(
-      'UPDATE schedule_baselines SET is_active = true WHERE id = $1',
-      [req.params.id]
-    );
-
+    await pool.query('DELETE FROM schedule_scenarios WHERE id = $1', [req.params.id]);
+    await logAudit(req.user.userId, 'delete', 'schedule_scenario', req.params.id, null, req);
     res.json({ success: true });
   } catch (error) {
     next(error);
   }
 });
 
+// Scenario edits: each one recalculates the scenario's critical path; the live schedule is untouched
+app.post('/api/v1/schedule/scenarios/:id/tasks', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), (req, res, next) =>
+  updateScenario(req, res, next, 201, snapshot => ScheduleSnapshots.addTask(snapshot, req.body)));
+
+app.put('/api/v1/schedule/scenarios/:id/tasks/:taskId', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), (req, res, next) =>
+  updateScenario(req, res, next, 200, snapshot => ScheduleSnapshots.editTask(snapshot, req.params.taskId, req.body)));
+
+app.delete('/api/v1/schedule/scenarios/:id/tasks/:taskId', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), (req, res, next) =>
+  updateScenario(req, res, next, 200, snapshot => ScheduleSnapshots.removeTask(snapshot, req.params.taskId)));
+
+app.post('/api/v1/schedule/scenarios/:id/dependencies', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), (req, res, next) =>
+  updateScenario(req, res, next, 201, snapshot => ScheduleSnapshots.addDependency(snapshot, req.body)));
+
+app.delete('/api/v1/schedule/scenarios/:id/dependencies/:dependencyId', authenticateToken, checkPermission('engineer', { resolveProjectId: projectOf('schedule_scenario'), requireProject: true }), (req, res, next) =>
+  updateScenario(req, res, next, 200, snapshot => ScheduleSnapshots.removeDependency(snapshot, req.params.dependencyId)));
+
 // ===========================================================================
 // GANTT CHART DATA
 // ===========================================================================
@@ -4242,231 +9838,378 @@ app.get('/api/v1/projects/:projectId/schedule/gantt', authenticateToken, async (
 });
 
 // ===========================================================================
-// CRITICAL PATH CALCULATION
+// SCHEDULE IMPORT / EXPORT (PRIMAVERA XER, MS PROJECT XML)
 // ===========================================================================
 
-// Calculate and return critical path
-app.get('/api/v1/projects/:projectId/schedule/critical-path', authenticateToken, async (req, res, next) => {
+// Import a schedule file. dry_run=true reports the mapping plan and problems without writing.
+app.post('/api/v1/projects/:projectId/schedule/import', authenticateToken, checkPermission('project_manager'), scheduleUpload.single('file'), async (req, res, next) => {
   try {
-    // Get all tasks and dependencies
-    const tasksResult = await pool.query(
-      `SELECT * FROM schedule_tasks WHERE project_id = $1`,
-      [req.params.projectId]
-    );
-
-    const depsResult = await pool.query(
-      `SELECT td.*
-       FROM task_dependencies td
-       JOIN schedule_tasks t ON td.successor_task_id = t.id
-       WHERE t.project_id = $1`,
-      [req.params.projectId]
-    );
+    if (!req.file) {
+      return res.status(400).json({ error: 'file is required' });
+    }
 
-    const tasks = tasksResult.rows;
-    const dependencies = depsResult.rows;
+    const mode = req.body.mode || 'merge';
+    if (!ScheduleInterchange.importModes.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${ScheduleInterchange.importModes.join(', ')}` });
+    }
 
-    if (tasks.length === 0) {
-      return res.json({ criticalPath: [], projectDuration: 0 });
+    const text = ScheduleInterchange.decode(req.file.buffer);
+    const format = req.body.format || ScheduleInterchange.detectFormat(req.file.originalname, text);
+    if (!ScheduleInterchange.formats.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${ScheduleInterchange.formats.join(', ')}` });
     }
 
-    // Build task map and dependency graph
-    const taskMap = new Map();
-    tasks.forEach(task => {
-      taskMap.set(task.id, {
-        ...task,
-        earlyStart: null,
-        earlyFinish: null,
-        lateStart: null,
-        lateFinish: null,
-        totalFloat: 0,
-        freeFloat: 0,
-        isCritical: false,
-        predecessors: [],
-        successors: []
+    let model;
+    try {
+      model = scheduleInterchange.parse(format, text, {
+        project: req.body.xer_project,
+        baselineNumber: req.body.baseline_number
       });
+    } catch (parseError) {
+      return res.status(400).json({ error: `Could not read ${format.toUpperCase()} file: ${parseError.message}` });
+    }
+
+    const dryRun = req.body.dry_run === 'true' || req.body.dry_run === true;
+    const result = await scheduleInterchange.importSchedule(req.params.projectId, model, {
+      dryRun,
+      mode,
+      userId: req.user.userId,
+      fileName: req.file.originalname
     });
 
-    // Build predecessor/successor relationships
-    dependencies.forEach(dep => {
-      const successor = taskMap.get(dep.successor_task_id);
-      const predecessor = taskMap.get(dep.predecessor_task_id);
+    const response = {
+      import: result.record,
+      dry_run: dryRun,
+      committed: result.committed,
+      summary: result.summary,
+      plan: result.plan,
+      problems: result.problems
+    };
+
+    if (dryRun) {
+      return res.json(response);
+    }
+    if (!result.committed) {
+      return res.status(422).json({ error: 'Schedule has mapping errors; nothing was imported', ...response });
+    }
 
-      if (successor && predecessor) {
-        successor.predecessors.push({
-          taskId: dep.predecessor_task_id,
-          type: dep.dependency_type,
-          lag: dep.lag_days || 0
-        });
-        predecessor.successors.push({
-          taskId: dep.successor_task_id,
-          type: dep.dependency_type,
-          lag: dep.lag_days || 0
-        });
-      }
+    // Imported dates are re-placed by this project's logic and calendars
+    const schedule = await rescheduleProject(req.params.projectId, req, 'schedule_imported');
+
+    await logAudit(req.user.userId, 'import', 'schedule', result.record.id, { format, mode, file_name: req.file.originalname }, req);
+    await emitEvent('schedule.imported', 'project', req.params.projectId, req.params.projectId, req.user.userId, {
+      import_id: result.record.id,
+      format,
+      mode,
+      ...result.summary
     });
 
-    // Forward pass (calculate Early Start and Early Finish)
-    const calculateForwardPass = (taskId, visited = new Set()) => {
-      if (visited.has(taskId)) return;
-      visited.add(taskId);
+    res.status(201).json({ ...response, baseline: result.baseline || null, schedule });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      const task = taskMap.get(taskId);
-      if (!task) return;
+// Import history (previews, rejected and committed imports)
+app.get('/api/v1/projects/:projectId/schedule/imports', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT si.*, u.first_name || ' ' || u.last_name as created_by_name
+       FROM schedule_imports si
+       LEFT JOIN users u ON si.created_by = u.id
+       WHERE si.project_id = $1
+       ORDER BY si.created_at DESC
+       LIMIT 100`,
+      [req.params.projectId]
+    );
 
-      if (task.predecessors.length === 0) {
-        // Start task - use planned start date
-        task.earlyStart = new Date(task.planned_start_date);
-        task.earlyFinish = new Date(task.earlyStart);
-        task.earlyFinish.setDate(task.earlyFinish.getDate() + task.duration_days);
-      } else {
-        // Calculate based on predecessors
-        let maxFinish = null;
+    res.json({ imports: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
 
-        task.predecessors.forEach(pred => {
-          calculateForwardPass(pred.taskId, visited);
-          const predTask = taskMap.get(pred.taskId);
+// Export the schedule as XER (format=xer) or MS Project XML (format=mspdi)
+app.get('/api/v1/projects/:projectId/schedule/export', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const format = req.query.format || 'mspdi';
+    if (!ScheduleInterchange.formats.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${ScheduleInterchange.formats.join(', ')}` });
+    }
 
-          if (predTask && predTask.earlyFinish) {
-            let finishDate = new Date(predTask.earlyFinish);
-            finishDate.setDate(finishDate.getDate() + pred.lag);
+    const exported = await scheduleInterchange.exportSchedule(req.params.projectId, format);
+    if (!exported) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-            if (!maxFinish || finishDate > maxFinish) {
-              maxFinish = finishDate;
-            }
-          }
-        });
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.fileName}"`);
+    if (exported.warnings.length > 0) {
+      res.setHeader('X-Export-Warnings', String(exported.warnings.length));
+    }
+    res.send(exported.content);
+  } catch (error) {
+    next(error);
+  }
+});
 
-        if (maxFinish) {
-          task.earlyStart = maxFinish;
-          task.earlyFinish = new Date(task.earlyStart);
-          task.earlyFinish.setDate(task.earlyFinish.getDate() + task.duration_days);
-        }
-      }
-    };
+// ===========================================================================
+// WORK CALENDARS
+// ===========================================================================
+// Tasks without a work_calendar_id use the project's default calendar, then
+// the shared default template, then a Monday-Friday week.
+
+// List calendars available to a project (its own plus shared templates)
+app.get('/api/v1/projects/:projectId/schedule/calendars', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT wc.*,
+              COALESCE((SELECT json_agg(json_build_object(
+                'id', ce.id, 'exception_date', ce.exception_date, 'is_working', ce.is_working,
+                'name', ce.name, 'hours', ce.hours
+              ) ORDER BY ce.exception_date)
+              FROM calendar_exceptions ce WHERE ce.calendar_id = wc.id), '[]') as exceptions,
+              (SELECT COUNT(*) FROM schedule_tasks st WHERE st.work_calendar_id = wc.id AND st.project_id = $1) as task_count
+       FROM work_calendars wc
+       WHERE wc.project_id = $1 OR wc.project_id IS NULL
+       ORDER BY wc.project_id NULLS LAST, wc.is_default DESC, wc.name`,
+      [req.params.projectId]
+    );
+    res.json({ calendars: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Run forward pass for all tasks
-    tasks.forEach(task => calculateForwardPass(task.id));
+// Create a project calendar: { name, working_days: [1..5], hours_per_day, is_default, exceptions: [...] }
+app.post('/api/v1/projects/:projectId/schedule/calendars', authenticateToken, checkPermission('project_manager'), async (req, res, next) => {
+  const { name, description, working_days, hours_per_day, is_default, exceptions } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  const validDays = Array.isArray(working_days) && working_days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  if (working_days !== undefined && !validDays) {
+    return res.status(400).json({ error: 'working_days must be an array of weekday numbers (0 = Sunday to 6 = Saturday)' });
+  }
 
-    // Find project end date (max early finish)
-    let projectEnd = null;
-    taskMap.forEach(task => {
-      if (task.earlyFinish && (!projectEnd || task.earlyFinish > projectEnd)) {
-        projectEnd = task.earlyFinish;
-      }
-    });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (is_default) {
+      await client.query('UPDATE work_calendars SET is_default = false WHERE project_id = $1', [req.params.projectId]);
+    }
+    const result = await client.query(
+      `INSERT INTO work_calendars (project_id, name, description, working_days, hours_per_day, is_default, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [req.params.projectId, name, description, working_days || [1, 2, 3, 4, 5], hours_per_day || 8, is_default || false, req.user.userId]
+    );
+    await replaceCalendarExceptions(client, result.rows[0].id, exceptions || []);
+    await client.query('COMMIT');
 
-    // Backward pass (calculate Late Start and Late Finish)
-    const calculateBackwardPass = (taskId, visited = new Set()) => {
-      if (visited.has(taskId)) return;
-      visited.add(taskId);
+    const schedule = await rescheduleProject(req.params.projectId, req, 'calendar_changed');
+    await logAudit(req.user.userId, 'create', 'work_calendar', result.rows[0].id, { name, working_days, is_default }, req);
+    res.status(201).json({ calendar: result.rows[0], schedule });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
 
-      const task = taskMap.get(taskId);
-      if (!task) return;
+// Update a project calendar's working week
+app.put('/api/v1/schedule/calendars/:id', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('work_calendar') }), async (req, res, next) => {
+  const { name, description, working_days, hours_per_day, is_default } = req.body;
+  if (working_days !== undefined && !(Array.isArray(working_days) && working_days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    return res.status(400).json({ error: 'working_days must be an array of weekday numbers (0 = Sunday to 6 = Saturday)' });
+  }
 
-      if (task.successors.length === 0) {
-        // End task - late finish = project end
-        task.lateFinish = projectEnd;
-        task.lateStart = new Date(task.lateFinish);
-        task.lateStart.setDate(task.lateStart.getDate() - task.duration_days);
-      } else {
-        // Calculate based on successors
-        let minStart = null;
+  const client = await pool.connect();
+  try {
+    const existing = await client.query('SELECT project_id FROM work_calendars WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    const projectId = existing.rows[0].project_id;
+    if (!projectId) {
+      return res.status(403).json({ error: 'Shared calendar templates cannot be edited from a project' });
+    }
+
+    await client.query('BEGIN');
+    if (is_default) {
+      await client.query('UPDATE work_calendars SET is_default = false WHERE project_id = $1 AND id <> $2', [projectId, req.params.id]);
+    }
+    const result = await client.query(
+      `UPDATE work_calendars SET
+        name = COALESCE($1, name),
+        description = COALESCE($2, description),
+        working_days = COALESCE($3, working_days),
+        hours_per_day = COALESCE($4, hours_per_day),
+        is_default = COALESCE($5, is_default),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *`,
+      [name, description, working_days, hours_per_day, is_default, req.params.id]
+    );
+    await client.query('COMMIT');
+
+    const schedule = await rescheduleProject(projectId, req, 'calendar_changed');
+    await logAudit(req.user.userId, 'update', 'work_calendar', req.params.id, req.body, req);
+    res.json({ calendar: result.rows[0], schedule });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
 
-        task.successors.forEach(succ => {
-          calculateBackwardPass(succ.taskId, visited);
-          const succTask = taskMap.get(succ.taskId);
+// Replace a calendar's holidays and extra working days: { exceptions: [{ exception_date, is_working, name, hours }] }
+app.put('/api/v1/schedule/calendars/:id/exceptions', authenticateToken, checkPermission('project_manager', { resolveProjectId: projectOf('work_calendar') }), async (req, res, next) => {
+  const { exceptions } = req.body;
+  if (!Array.isArray(exceptions) || exceptions.some(exception => !exception.exception_date)) {
+    return res.status(400).json({ error: 'exceptions must be an array of { exception_date, is_working, name }' });
+  }
 
-          if (succTask && succTask.lateStart) {
-            let startDate = new Date(succTask.lateStart);
-            startDate.setDate(startDate.getDate() - succ.lag);
+  const client = await pool.connect();
+  try {
+    const existing = await client.query('SELECT project_id FROM work_calendars WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    const projectId = existing.rows[0].project_id;
+    if (!projectId) {
+      return res.status(403).json({ error: 'Shared calendar templates cannot be edited from a project' });
+    }
 
-            if (!minStart || startDate < minStart) {
-              minStart = startDate;
-            }
-          }
-        });
+    await client.query('BEGIN');
+    const saved = await replaceCalendarExceptions(client, req.params.id, exceptions);
+    await client.query('COMMIT');
 
-        if (minStart) {
-          task.lateFinish = minStart;
-          task.lateStart = new Date(task.lateFinish);
-          task.lateStart.setDate(task.lateStart.getDate() - task.duration_days);
-        }
-      }
+    const schedule = await rescheduleProject(projectId, req, 'calendar_changed');
+    await logAudit(req.user.userId, 'update', 'work_calendar', req.params.id, { exceptions: exceptions.length }, req);
+    res.json({ exceptions: saved, schedule });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
 
-      // Calculate float
-      if (task.earlyStart && task.lateStart) {
-        task.totalFloat = Math.floor((task.lateStart - task.earlyStart) / (1000 * 60 * 60 * 24));
-        task.isCritical = task.totalFloat === 0;
-      }
-    };
+// Swap a calendar's exception set inside the caller's transaction
+async function replaceCalendarExceptions(client, calendarId, exceptions) {
+  await client.query('DELETE FROM calendar_exceptions WHERE calendar_id = $1', [calendarId]);
+  if (exceptions.length === 0) return [];
+  const result = await client.query(
+    `INSERT INTO calendar_exceptions (calendar_id, exception_date, is_working, name, hours)
+     SELECT $1, r.exception_date, COALESCE(r.is_working, false), r.name, r.hours
+     FROM jsonb_to_recordset($2::JSONB) AS r(exception_date DATE, is_working BOOLEAN, name TEXT, hours NUMERIC)
+     ON CONFLICT (calendar_id, exception_date) DO UPDATE SET is_working = EXCLUDED.is_working, name = EXCLUDED.name, hours = EXCLUDED.hours
+     RETURNING *`,
+    [calendarId, JSON.stringify(exceptions)]
+  );
+  return result.rows;
+}
 
-    // Run backward pass for all tasks
-    tasks.forEach(task => calculateBackwardPass(task.id));
-
-    // Extract critical path
-    const criticalPath = [];
-    taskMap.forEach(task => {
-      if (task.isCritical) {
-        criticalPath.push({
-          id: task.id,
-          name: task.name,
-          task_code: task.task_code,
-          duration_days: task.duration_days,
-          early_start: task.earlyStart,
-          early_finish: task.earlyFinish,
-          total_float: task.totalFloat
-        });
+// ===========================================================================
+// CRITICAL PATH CALCULATION
+// ===========================================================================
+
+// Recalculate the schedule now. data_date (YYYY-MM-DD) sets the status date:
+// unfinished work is not scheduled before it. Pass data_date: null to clear it.
+app.post('/api/v1/projects/:projectId/schedule/recalculate', authenticateToken, checkPermission('engineer'), async (req, res, next) => {
+  try {
+    if (Object.prototype.hasOwnProperty.call(req.body, 'data_date')) {
+      const { data_date } = req.body;
+      if (data_date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(data_date)) {
+        return res.status(400).json({ error: 'data_date must be YYYY-MM-DD or null' });
       }
+      await pool.query(
+        'UPDATE projects SET schedule_data_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [data_date, req.params.projectId]
+      );
+    }
+
+    const schedule = await scheduleEngine.recalculate(req.params.projectId, {
+      userId: req.user.userId,
+      reason: req.body.reason || 'recalculated'
     });
+    if (schedule.cycles.length > 0) {
+      return res.status(409).json({ error: 'Schedule logic contains circular dependencies; nothing was recalculated', ...schedule });
+    }
 
-    // Sort critical path by early start
-    criticalPath.sort((a, b) => a.early_start - b.early_start);
-
-    // Calculate project duration
-    const projectStart = tasks.reduce((min, task) => {
-      const taskDate = new Date(task.planned_start_date);
-      return !min || taskDate < min ? taskDate : min;
-    }, null);
-
-    const projectDuration = projectStart && projectEnd
-      ? Math.floor((projectEnd - projectStart) / (1000 * 60 * 60 * 24))
-      : 0;
-
-    // Update tasks in database with calculated values
-    const updatePromises = Array.from(taskMap.values()).map(task => {
-      return pool.query(
-        `UPDATE schedule_tasks SET
-          early_start_date = $1,
-          early_finish_date = $2,
-          late_start_date = $3,
-          late_finish_date = $4,
-          total_float_days = $5,
-          is_critical = $6
-        WHERE id = $7`,
-        [
-          task.earlyStart,
-          task.earlyFinish,
-          task.lateStart,
-          task.lateFinish,
-          task.totalFloat,
-          task.isCritical,
-          task.id
-        ]
-      );
+    await emitEvent('schedule.recalculated', 'project', req.params.projectId, req.params.projectId, req.user.userId, {
+      updated: schedule.updated,
+      moved: schedule.moved,
+      project_finish: schedule.project_finish
     });
+    res.json({ schedule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Critical path from the persisted CPM results (float in working days)
+app.get('/api/v1/projects/:projectId/schedule/critical-path', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const pendingResult = await pool.query(
+      'SELECT COUNT(*) FROM schedule_tasks WHERE project_id = $1 AND early_start_date IS NULL',
+      [req.params.projectId]
+    );
+    // Schedules created before the engine existed have never been calculated
+    if (parseInt(pendingResult.rows[0].count, 10) > 0) {
+      await scheduleEngine.recalculate(req.params.projectId, { userId: req.user.userId, reason: 'initial_calculation' });
+    }
+
+    const tasksResult = await pool.query(
+      `SELECT t.id, t.name, t.task_code, t.duration_days, t.early_start_date, t.early_finish_date,
+              t.late_start_date, t.late_finish_date, t.total_float_days, t.free_float_days, t.is_critical,
+              EXISTS (SELECT 1 FROM schedule_tasks c WHERE c.parent_task_id = t.id) as is_summary
+       FROM schedule_tasks t
+       WHERE t.project_id = $1
+       ORDER BY t.early_start_date, t.task_code`,
+      [req.params.projectId]
+    );
+    const tasks = tasksResult.rows;
+
+    if (tasks.length === 0) {
+      return res.json({ criticalPath: [], projectDuration: 0 });
+    }
 
-    await Promise.all(updatePromises);
+    const criticalPath = tasks
+      .filter(task => task.is_critical && !task.is_summary)
+      .map(task => ({
+        id: task.id,
+        name: task.name,
+        task_code: task.task_code,
+        duration_days: task.duration_days,
+        early_start: task.early_start_date,
+        early_finish: task.early_finish_date,
+        late_start: task.late_start_date,
+        late_finish: task.late_finish_date,
+        total_float: task.total_float_days,
+        free_float: task.free_float_days
+      }));
+
+    const starts = tasks.map(task => task.early_start_date).filter(Boolean);
+    const finishes = tasks.map(task => task.early_finish_date).filter(Boolean);
+    const projectStart = starts.length ? new Date(Math.min(...starts)) : null;
+    const projectEnd = finishes.length ? new Date(Math.max(...finishes)) : null;
+    const calendar = await scheduleEngine.projectCalendar(req.params.projectId);
 
     res.json({
       criticalPath,
-      projectDuration,
+      projectDuration: projectStart && projectEnd
+        ? calendar.workingDaysBetween(WorkCalendar.toDayNumber(projectStart), WorkCalendar.toDayNumber(projectEnd)) + 1
+        : 0,
       projectStart,
       projectEnd,
       criticalTaskCount: criticalPath.length,
-      totalTaskCount: tasks.length
+      totalTaskCount: tasks.filter(task => !task.is_summary).length
     });
   } catch (error) {
-    console.error('Critical path calculation error:', error);
     next(error);
   }
 });
@@ -4633,6 +10376,45 @@ app.get('/api/v1/projects/:projectId/schedule/variance', authenticateToken, asyn
   }
 });
 
+// Compare two schedule snapshots: baseline vs baseline, or baseline vs current
+// (?from= / ?to= are baseline ids, 'active' or 'current'; default active -> current)
+app.get('/api/v1/projects/:projectId/schedule/compare', authenticateToken, checkPermission('viewer'), async (req, res, next) => {
+  try {
+    const fromRef = req.query.from || 'active';
+    const toRef = req.query.to || 'current';
+    if (fromRef === toRef) return res.status(400).json({ error: 'from and to must be different snapshots' });
+
+    const comparison = new ScheduleComparison(pool);
+    const [from, to] = await Promise.all([comparison.load(req.params.projectId, fromRef), comparison.load(req.params.projectId, toRef)]);
+    if (!from || !to) {
+      const missing = !from ? fromRef : toRef;
+      if (missing === 'active') return res.status(404).json({ error: 'No active baseline found' });
+      return res.status(404).json({
+        error: missing.startsWith('scenario:') ? `Scenario ${missing.slice(9)} not found on this project` : `Baseline ${missing} not found on this project`
+      });
+    }
+
+    const result = ScheduleComparison.compare(from, to, { changedOnly: req.query.changed_only !== 'false' });
+    const fileName = `schedule-comparison-${String(from.name).replace(/[^\w.-]+/g, '_')}-vs-${String(to.name).replace(/[^\w.-]+/g, '_')}`;
+
+    if (req.query.format === 'csv') {
+      const { columns, rows } = ScheduleComparison.changeRows(result);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(toCsv(columns, rows));
+    }
+    if (req.query.format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+      return res.send(await renderXlsx(ScheduleComparison.sheets(result)));
+    }
+
+    res.json({ comparison: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get look-ahead schedule (next N weeks)
 app.get('/api/v1/projects/:projectId/schedule/look-ahead', authenticateToken, async (req, res, next) => {
   try {
@@ -5033,7 +10815,7 @@ app.get('/api/v1/projects/:projectId/open-punch', authenticateToken, requireProj
               COALESCE(u.first_name || ' ' || u.last_name, u.email) as assigned_to_name
        FROM punch_items pi
        LEFT JOIN users u ON pi.assigned_to = u.id
-       WHERE pi.project_id = $1 AND pi.status IN ('open', 'in_progress')
+       WHERE pi.project_id = $1 AND pi.status IN ('open', 'work_required')
        ORDER BY
          CASE pi.priority
            WHEN 'critical' THEN 1
@@ -5058,7 +10840,17 @@ app.get('/api/v1/projects/:projectId/open-punch', authenticateToken, requireProj
 // ============================================================================
 // WORKFLOW ENGINE API ROUTES
 // ============================================================================
-registerWorkflowRoutes(app, pool, authenticateToken);
+registerWorkflowRoutes(app, pool, authenticateToken, webhookDispatcher);
+
+// ============================================================================
+// WEBHOOK API ROUTES
+// ============================================================================
+registerWebhookRoutes(app, pool, authenticateToken, checkPermission, webhookDispatcher);
+
+// ============================================================================
+// EVENT STREAM (SSE) ROUTES
+// ============================================================================
+registerStreamRoutes(app, pool, authenticateToken, eventStreamHub);
 
 // ERROR HANDLER
 app.use((err, req, res, next) => {
@@ -5145,10 +10937,49 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ BuildPro API (Complete) running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔧 All 11 modules loaded: Auth, Projects, Scheduling, Documents, RFIs, Drawings, Photos, Submittals, Daily Logs, Punch, Financials, Team`);
+
+  if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+    webhookDispatcher.start();
+  }
+
+  if (process.env.DOCUMENT_INDEX_WORKER_ENABLED !== 'false') {
+    documentTextIndexer.start();
+  }
+
+  if (process.env.EMAIL_WORKER_ENABLED !== 'false') {
+    notificationMailer.start();
+  }
+
+  if (process.env.RFI_DEADLINE_WORKER_ENABLED !== 'false') {
+    rfiTracker.start();
+  }
+
+  if (process.env.DRAWING_IMPORT_WORKER_ENABLED !== 'false') {
+    drawingSetImporter.start();
+  }
+
+  if (process.env.EVM_SNAPSHOT_WORKER_ENABLED !== 'false') {
+    earnedValue.start();
+  }
+
+  // Opt-in: the listener opens a second port
+  if (process.env.EMAIL_INBOUND_PORT) {
+    inboundListener.start().catch((error) => {
+      console.error('Inbound mail listener failed to start:', error);
+    });
+  }
 });
 
 process.on('SIGTERM', () => {
   console.log('Shutting down...');
+  webhookDispatcher.stop();
+  documentTextIndexer.stop();
+  notificationMailer.stop();
+  rfiTracker.stop();
+  drawingSetImporter.stop();
+  earnedValue.stop();
+  inboundListener.stop();
+  eventStreamHub.stop();
   pool.end();
   process.exit(0);
 });
\ No newline at end of file
@@ -3,9 +3,12 @@
 // Executes automated actions during workflow transitions
 // ============================================================================
 
+const WebhookDispatcher = require('./WebhookDispatcher');
+
 class ActionExecutor {
-  constructor(pool) {
+  constructor(pool, webhookDispatcher = new WebhookDispatcher(pool)) {
     this.pool = pool;
+    this.webhookDispatcher = webhookDispatcher;
   }
 
   // ==========================================================================
@@ -116,17 +119,20 @@ class ActionExecutor {
       context
     );
 
-    // Insert notification
+    // Insert notification (entity columns give it a link, and a reply address in email)
     const result = await this.pool.query(
       `INSERT INTO notifications (
         user_id,
         title,
         message,
-        notification_type,
+        type,
+        entity_type,
+        entity_id,
+        project_id,
         is_read
-      ) VALUES ($1, $2, $3, $4, false)
+      ) VALUES ($1, $2, $3, $4, 'workflow', $5, $6, false)
       RETURNING id`,
-      [recipientId, notificationTitle, notificationMessage, 'workflow']
+      [recipientId, notificationTitle, notificationMessage, 'workflow', workflowInstance.id, workflowInstance.project_id || null]
     );
 
     return {
@@ -210,51 +216,42 @@ class ActionExecutor {
   // ==========================================================================
 
   async _triggerWebhook(action, workflowInstance, context) {
-    // Get project webhooks
-    const webhookResult = await this.pool.query(
-      `SELECT * FROM webhooks
-       WHERE project_id = $1
-         AND is_active = true
-         AND event_types @> $2::jsonb`,
-      [workflowInstance.project_id, JSON.stringify([action.event || 'workflow.transition'])]
-    );
+    const eventType = action.event || 'workflow.transition';
 
-    if (webhookResult.rows.length === 0) {
-      return { skipped: true, reason: 'No matching webhooks found' };
+    // POST /workflows/:id/transition already publishes workflow.transition for
+    // every transition; publishing it again here would deliver it twice
+    if (eventType === 'workflow.transition') {
+      return { skipped: true, reason: 'workflow.transition is published by the transition itself' };
     }
 
-    // Prepare webhook payload
-    const payload = {
-      event: action.event || 'workflow.transition',
-      timestamp: new Date().toISOString(),
-      workflow: {
-        instanceId: workflowInstance.id,
-        entityType: workflowInstance.entity_type,
-        entityId: workflowInstance.entity_id,
-        status: workflowInstance.workflow_status
-      },
-      context
-    };
-
-    // Queue webhook deliveries (in production, this would use a job queue)
-    const deliveries = [];
-    for (const webhook of webhookResult.rows) {
-      try {
-        // In production, this would be queued for async delivery
-        // For now, we'll just log it
-        deliveries.push({
-          webhookId: webhook.id,
-          url: webhook.url,
-          queued: true
-        });
-
-        console.log(`Webhook queued: ${webhook.url}`, payload);
-      } catch (error) {
-        console.error(`Failed to queue webhook ${webhook.id}:`, error);
+    // Record the event and queue a signed delivery per subscribed webhook;
+    // the WebhookDispatcher worker performs the HTTP calls with retries
+    const { event, deliveries } = await this.webhookDispatcher.publish(
+      eventType,
+      workflowInstance.entity_type,
+      workflowInstance.entity_id,
+      workflowInstance.project_id,
+      context.actorId || null,
+      {
+        workflow_instance_id: workflowInstance.id,
+        workflow_status: workflowInstance.workflow_status,
+        transition_action: context.transitionAction || null,
+        comments: context.comments || null
       }
+    );
+
+    if (deliveries.length === 0) {
+      return { skipped: true, reason: 'No matching webhooks found', eventId: event.id };
     }
 
-    return { deliveries };
+    return {
+      eventId: event.id,
+      deliveries: deliveries.map(delivery => ({
+        deliveryId: delivery.id,
+        webhookId: delivery.webhook_id,
+        queued: true
+      }))
+    };
   }
 
   // ==========================================================================
@@ -319,28 +316,28 @@ class ActionExecutor {
         'rfi': 'closed',
         'change_order': 'approved',
         'drawing': 'approved',
-        'punch_item': 'completed'
+        'punch_item': 'verified'
       },
       'reject': {
         'submittal': 'rejected',
         'rfi': 'closed',
         'change_order': 'rejected',
         'drawing': 'rejected',
-        'punch_item': 'rejected'
+        'punch_item': 'work_required'
       },
       'revise': {
         'submittal': 'revisions_required',
         'rfi': 'pending_response',
         'change_order': 'pending',
         'drawing': 'revisions_required',
-        'punch_item': 'in_progress'
+        'punch_item': 'work_required'
       },
       'complete': {
         'submittal': 'distributed',
         'rfi': 'closed',
         'change_order': 'approved',
         'drawing': 'distributed',
-        'punch_item': 'verified'
+        'punch_item': 'closed'
       }
     };
 
@@ -0,0 +1,238 @@
+// ============================================================================
+// ASI TRACKER
+// Carries an ASI's cost and schedule estimate into the change event and the
+// schedule links it generates, and marks the ASI incorporated once every
+// affected drawing has been revised
+// ============================================================================
+//
+// - Change event: one per ASI (change_events.source_asi_id). Its estimate
+//   follows the ASI's estimated_cost_impact / estimated_schedule_impact_days
+//   while the event is still a draft or pending review.
+// - Schedule impacts: schedule_links rows with entity_type 'asi' and
+//   link_type 'impacts', one per task, each with its own impact days
+//   (the ASI's estimate unless given).
+// - Incorporation: once every asi_drawings row that requires a revision has
+//   it completed, the ASI becomes 'incorporated'; linking another drawing
+//   that needs a revision puts it back 'under_review'.
+// ============================================================================
+
+// Change event states in which the estimate is still an estimate
+const OPEN_EVENT_STATUSES = ['draft', 'pending_review'];
+
+class AsiTracker {
+  /**
+   * @param {Object} pool - pg pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Check a schedule impact request body
+   * @param {Object} body - { tasks: [{ task_id, impact_days }] } or { task_ids, impact_days }
+   * @returns {string|null} Error message
+   */
+  static validateImpacts(body) {
+    if (body.tasks !== undefined && !Array.isArray(body.tasks)) return 'tasks must be an array';
+    if (body.task_ids !== undefined && !Array.isArray(body.task_ids)) return 'task_ids must be an array';
+    const tasks = body.tasks || (body.task_ids || []).map(task_id => ({ task_id }));
+    if (tasks.length === 0) return 'tasks or task_ids is required';
+    const isDays = (value) => value === undefined || value === null || Number.isInteger(value);
+    if (!isDays(body.impact_days)) return 'impact_days must be a whole number';
+    if (tasks.some(task => !task || !task.task_id || !isDays(task.impact_days))) {
+      return 'Each task needs a task_id, and impact_days must be a whole number';
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // CHANGE EVENT
+  // ==========================================================================
+
+  /**
+   * Generate the ASI's change event, prefilled with its cost and schedule estimate
+   * @param {Object} db - Transaction client
+   * @param {Object} asi - asis row (locked)
+   * @param {Object} fields - Optional overrides: event_number, title, description, estimated_cost, estimated_days
+   * @param {string} userId
+   * @returns {Promise<Object>} { changeEvent } or { error, status }
+   */
+  async createChangeEvent(db, asi, fields, userId) {
+    const existing = await db.query('SELECT id, event_number FROM change_events WHERE source_asi_id = $1', [asi.id]);
+    if (existing.rows.length > 0) {
+      return { error: `ASI already has change event ${existing.rows[0].event_number}`, status: 409 };
+    }
+
+    const estimatedCost = fields.estimated_cost ?? asi.estimated_cost_impact;
+    const estimatedDays = fields.estimated_days ?? asi.estimated_schedule_impact_days;
+    const eventNumber = fields.event_number || await this._nextEventNumber(db, asi.project_id);
+    const description = fields.description
+      ?? [`Generated from ASI ${asi.asi_number}${asi.issued_by ? ` issued by ${asi.issued_by}` : ''}.`, asi.description].filter(Boolean).join('\n\n');
+
+    const result = await db.query(
+      `INSERT INTO change_events (project_id, event_number, title, description, estimated_cost, estimated_days, status, source_asi_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, 'draft', $7, $8) RETURNING *`,
+      [asi.project_id, eventNumber, (fields.title || `ASI ${asi.asi_number}: ${asi.title}`).slice(0, 255),
+       description, estimatedCost, estimatedDays, asi.id, userId]
+    );
+
+    // The ASI now has a cost impact on record
+    await db.query(
+      `UPDATE asis SET affects_cost = true,
+              estimated_cost_impact = COALESCE(estimated_cost_impact, $2),
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [asi.id, estimatedCost]
+    );
+    return { changeEvent: result.rows[0] };
+  }
+
+  /**
+   * Copy the ASI's estimate onto its change event while the event is open
+   * @param {Object} db
+   * @param {Object} asi - asis row after the update
+   * @returns {Promise<Object|null>} The updated change event
+   */
+  async syncEstimate(db, asi) {
+    const result = await db.query(
+      `UPDATE change_events
+       SET estimated_cost = $2, estimated_days = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE source_asi_id = $1 AND status = ANY($4)
+         AND (estimated_cost IS DISTINCT FROM $2 OR estimated_days IS DISTINCT FROM $3)
+       RETURNING *`,
+      [asi.id, asi.estimated_cost_impact, asi.estimated_schedule_impact_days, OPEN_EVENT_STATUSES]
+    );
+    return result.rows[0] || null;
+  }
+
+  // ==========================================================================
+  // SCHEDULE IMPACTS
+  // ==========================================================================
+
+  /**
+   * Link the ASI to schedule tasks with impact days; linking a task again updates its days
+   * @param {Object} db - Transaction client
+   * @param {Object} asi - asis row (locked)
+   * @param {Object} body - See validateImpacts
+   * @param {string} userId
+   * @returns {Promise<Object>} { links } or { error, status }
+   */
+  async linkTasks(db, asi, body, userId) {
+    const requested = body.tasks || body.task_ids.map(task_id => ({ task_id }));
+    const taskIds = [...new Set(requested.map(task => task.task_id))];
+
+    const tasks = await db.query('SELECT id FROM schedule_tasks WHERE id = ANY($1::uuid[]) AND project_id = $2', [taskIds, asi.project_id]);
+    const found = new Set(tasks.rows.map(task => task.id));
+    const missing = taskIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      return { error: `Schedule task(s) not found on this project: ${missing.join(', ')}`, status: 400 };
+    }
+
+    const links = [];
+    for (const task of requested) {
+      const days = task.impact_days ?? body.impact_days ?? asi.estimated_schedule_impact_days ?? 0;
+      const updated = await db.query(
+        `UPDATE schedule_links SET schedule_impact_days = $3
+         WHERE task_id = $1 AND entity_type = 'asi' AND entity_id = $2 RETURNING *`,
+        [task.task_id, asi.id, days]
+      );
+      if (updated.rows.length > 0) {
+        links.push(updated.rows[0]);
+        continue;
+      }
+      const inserted = await db.query(
+        `INSERT INTO schedule_links (task_id, entity_type, entity_id, link_type, schedule_impact_days, created_by)
+         VALUES ($1, 'asi', $2, 'impacts', $3, $4) RETURNING *`,
+        [task.task_id, asi.id, days, userId]
+      );
+      links.push(inserted.rows[0]);
+    }
+
+    await db.query(
+      `UPDATE asis SET affects_schedule = true,
+              estimated_schedule_impact_days = COALESCE(estimated_schedule_impact_days, $2),
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [asi.id, Math.max(...links.map(link => link.schedule_impact_days))]
+    );
+    return { links };
+  }
+
+  /**
+   * The ASI's schedule links with their tasks
+   * @param {Object} db
+   * @param {string} asiId
+   * @returns {Promise<Array<Object>>}
+   */
+  async scheduleImpacts(db, asiId) {
+    const result = await db.query(
+      `SELECT sl.*, t.name as task_name, t.planned_start_date, t.planned_end_date, t.is_critical
+       FROM schedule_links sl
+       JOIN schedule_tasks t ON t.id = sl.task_id
+       WHERE sl.entity_type = 'asi' AND sl.entity_id = $1
+       ORDER BY t.planned_start_date NULLS LAST, t.name`,
+      [asiId]
+    );
+    return result.rows;
+  }
+
+  // ==========================================================================
+  // INCORPORATION
+  // ==========================================================================
+
+  /**
+   * Mark the ASI incorporated when none of its drawings still needs a
+   * revision, or back under review when one does again
+   * @param {Object} db - Transaction client
+   * @param {string} asiId
+   * @param {string} userId
+   * @returns {Promise<Object>} { asi, change: 'incorporated' | 'reopened' | null }
+   */
+  async reconcile(db, asiId, userId) {
+    const current = await db.query('SELECT * FROM asis WHERE id = $1 FOR UPDATE', [asiId]);
+    const asi = current.rows[0];
+    const counts = await db.query(
+      `SELECT COUNT(*) FILTER (WHERE requires_revision)::int as drawings,
+              COUNT(*) FILTER (WHERE requires_revision AND NOT COALESCE(revision_completed, false))::int as pending
+       FROM asi_drawings WHERE asi_id = $1`,
+      [asiId]
+    );
+    const { drawings, pending } = counts.rows[0];
+
+    if (drawings > 0 && pending === 0 && !asi.incorporated_at && asi.status !== 'superseded') {
+      const result = await db.query(
+        `UPDATE asis SET status = 'incorporated', incorporated_at = CURRENT_TIMESTAMP, incorporated_by = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [asiId, userId]
+      );
+      return { asi: result.rows[0], change: 'incorporated' };
+    }
+    if (pending > 0 && asi.incorporated_at) {
+      const result = await db.query(
+        `UPDATE asis SET status = 'under_review', incorporated_at = NULL, incorporated_by = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [asiId]
+      );
+      return { asi: result.rows[0], change: 'reopened' };
+    }
+    return { asi, change: null };
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Next free CE-### number on the project
+   * @private
+   */
+  async _nextEventNumber(db, projectId) {
+    const result = await db.query('SELECT event_number FROM change_events WHERE project_id = $1', [projectId]);
+    const taken = new Set(result.rows.map(row => row.event_number));
+    let next = result.rows.length + 1;
+    while (taken.has(`CE-${String(next).padStart(3, '0')}`)) next++;
+    return `CE-${String(next).padStart(3, '0')}`;
+  }
+}
+
+module.exports = AsiTracker;
@@ -0,0 +1,208 @@
+// ============================================================================
+// DOCUMENT TEXT EXTRACTOR
+// Plain text per page from PDF, DOCX and XLSX (plus text/CSV) uploads
+// ============================================================================
+//
+// Pages are what a reader would call a page:
+// - PDF:  the PDF page
+// - DOCX: split on page breaks Word recorded when the file was last saved,
+//         so numbers match the author's layout (one page if none were saved)
+// - XLSX: one page per worksheet, in workbook order, headed by the sheet name
+// ============================================================================
+
+const path = require('path');
+const JSZip = require('jszip');
+
+const MAX_PAGES = 5000;
+// Postgres caps a tsvector at 1MB; keep each page comfortably below that
+const MAX_PAGE_CHARS = 200000;
+
+const FORMATS = {
+  pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  xlsx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    extensions: ['.xlsx', '.xlsm']
+  },
+  text: { mimeTypes: ['text/plain', 'text/csv', 'text/markdown'], extensions: ['.txt', '.csv', '.md'] }
+};
+
+// pdfjs prints canvas polyfill warnings when loaded; only pay for it when a PDF arrives
+let pdfjs = null;
+const loadPdfjs = () => {
+  if (!pdfjs) pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjs;
+};
+
+/**
+ * Which extractor handles a file, or null when its text cannot be read
+ * @param {string} mimeType
+ * @param {string} fileName
+ * @returns {string|null} pdf | docx | xlsx | text
+ */
+function detectFormat(mimeType, fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  for (const [format, { mimeTypes, extensions }] of Object.entries(FORMATS)) {
+    if (mimeTypes.includes(mimeType) || extensions.includes(extension)) return format;
+  }
+  return null;
+}
+
+/**
+ * Extract text page by page
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.mimeType
+ * @param {string} options.fileName
+ * @returns {Promise<Object>} { format, pages: [{ page_number, content }] } (format null when unsupported)
+ */
+async function extractText(buffer, { mimeType, fileName } = {}) {
+  const format = detectFormat(mimeType, fileName);
+  if (!format) return { format: null, pages: [] };
+
+  let pages;
+  if (format === 'pdf') pages = await extractPdf(buffer);
+  if (format === 'docx') pages = await extractDocx(buffer);
+  if (format === 'xlsx') pages = await extractXlsx(buffer);
+  if (format === 'text') pages = [buffer.toString('utf8')];
+
+  return {
+    format,
+    pages: pages
+      .slice(0, MAX_PAGES)
+      .map((content, index) => ({ page_number: index + 1, content: cleanText(content) }))
+      .filter(page => page.content.length > 0)
+  };
+}
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+async function extractPdf(buffer) {
+  const document = await loadPdfjs().getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    const pageCount = Math.min(document.numPages, MAX_PAGES);
+    for (let number = 1; number <= pageCount; number++) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => (item.str || '') + (item.hasEOL ? '\n' : ' ')).join(''));
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await document.destroy();
+  }
+}
+
+async function extractDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const body = zip.file('word/document.xml');
+  if (!body) throw new Error('Not a Word document: word/document.xml is missing');
+  const xml = await body.async('string');
+
+  let text = '';
+  const tokens = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<\/w:p>|<w:lastRenderedPageBreak\/>/g;
+  for (const [token, value] of xml.matchAll(tokens)) {
+    if (value !== undefined) text += value;
+    else if (token === '<w:tab/>') text += '\t';
+    else if (token.startsWith('<w:br')) text += /w:type="page"/.test(token) ? '\f' : '\n';
+    else if (token === '</w:p>') text += '\n';
+    else text += '\f';
+  }
+
+  return decodeXml(text).split('\f');
+}
+
+async function extractXlsx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const read = async (name) => (zip.file(name) ? zip.file(name).async('string') : null);
+
+  const workbook = await read('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an Excel workbook: xl/workbook.xml is missing');
+  const rels = (await read('xl/_rels/workbook.xml.rels')) || '';
+
+  const targets = new Map();
+  for (const [, attributes] of rels.matchAll(/<Relationship\s([^>]*)\/?>/g)) {
+    const id = attribute(attributes, 'Id');
+    const target = attribute(attributes, 'Target');
+    if (id && target) targets.set(id, target.replace(/^\/?(xl\/)?/, 'xl/'));
+  }
+
+  const sharedStrings = [];
+  const shared = await read('xl/sharedStrings.xml');
+  if (shared) {
+    for (const [, item] of shared.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(decodeXml([...item.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(match => match[1]).join('')));
+    }
+  }
+
+  const pages = [];
+  for (const [, attributes] of workbook.matchAll(/<sheet\s([^>]*)\/>/g)) {
+    const name = decodeXml(attribute(attributes, 'name') || '');
+    const sheetXml = await read(targets.get(attribute(attributes, 'r:id')) || '');
+    if (!sheetXml) continue;
+
+    const lines = [name];
+    for (const [, row] of sheetXml.matchAll(/<row\b(?:[^>]*[^/>])?>([\s\S]*?)<\/row>/g)) {
+      const cells = [];
+      for (const [, cellAttributes, cellBody] of row.matchAll(/<c(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        if (!cellBody) continue;
+        const type = attribute(cellAttributes || '', 't');
+        if (type === 'inlineStr') {
+          cells.push(decodeXml([...cellBody.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(match => match[1]).join('')));
+          continue;
+        }
+        const value = /<v>([^<]*)<\/v>/.exec(cellBody)?.[1];
+        if (value === undefined) continue;
+        cells.push(type === 's' ? sharedStrings[Number(value)] || '' : decodeXml(value));
+      }
+      if (cells.length > 0) lines.push(cells.join('\t'));
+    }
+    pages.push(lines.join('\n'));
+  }
+  return pages;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function attribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name.replace(':', '\\:')}="([^"]*)"`).exec(attributes);
+  return match ? match[1] : null;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Postgres text cannot hold NUL, and search snippets use \u0001/\u0002 as markers
+function cleanText(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_PAGE_CHARS);
+}
+
+module.exports = { extractText, detectFormat };
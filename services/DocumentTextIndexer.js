@@ -0,0 +1,236 @@
+// ============================================================================
+// DOCUMENT TEXT INDEXER
+// Background worker that extracts document text into document_text_pages for
+// full-text search. New uploads, new versions and the initial backfill all go
+// through the same queue: documents.text_status = 'pending'.
+// ============================================================================
+
+const path = require('path');
+const { extractText, detectFormat } = require('./DocumentTextExtractor');
+
+const LEASE_SECONDS = 600;
+const DEFAULT_MAX_FILE_BYTES = 100 * 1024 * 1024;
+
+class DocumentTextIndexer {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} storage - Storage provider (downloadFile)
+   * @param {Object} options - { pollIntervalMs, batchSize, maxFileBytes }
+   */
+  constructor(pool, storage, options = {}) {
+    this.pool = pool;
+    this.storage = storage;
+    this.pollIntervalMs = options.pollIntervalMs
+      || parseInt(process.env.DOCUMENT_INDEX_POLL_INTERVAL_MS, 10)
+      || 30000;
+    this.batchSize = options.batchSize || 5;
+    this.maxFileBytes = options.maxFileBytes
+      || parseInt(process.env.DOCUMENT_INDEX_MAX_BYTES, 10)
+      || DEFAULT_MAX_FILE_BYTES;
+    this._timer = null;
+    this._processing = false;
+    this._again = false;
+  }
+
+  // ==========================================================================
+  // QUEUE
+  // ==========================================================================
+
+  /**
+   * Put documents back in the queue, e.g. after a new version becomes current
+   * @param {Array<string>} documentIds
+   * @returns {Promise<number>} Number of documents queued
+   */
+  async requeue(documentIds) {
+    const result = await this.pool.query(
+      `UPDATE documents
+       SET text_status = 'pending', text_error = NULL, text_locked_until = NULL
+       WHERE id = ANY($1::UUID[])`,
+      [documentIds]
+    );
+    this.kick();
+    return result.rowCount;
+  }
+
+  /**
+   * Process the queue now instead of waiting for the next poll.
+   * Never blocks the caller; a run already in progress picks the work up.
+   */
+  kick() {
+    if (this._processing) {
+      this._again = true;
+      return;
+    }
+    setImmediate(() => {
+      this.processPending().catch((error) => {
+        console.error('Document indexer error:', error);
+      });
+    });
+  }
+
+  /**
+   * Queue depth per status, for the backfill progress report
+   * @param {string} projectId - Optional project filter
+   * @returns {Promise<Object>} { pending: n, indexed: n, ... }
+   */
+  async status(projectId = null) {
+    const result = await this.pool.query(
+      `SELECT text_status, COUNT(*)::INT as count
+       FROM documents
+       WHERE ($1::UUID IS NULL OR project_id = $1)
+       GROUP BY text_status`,
+      [projectId]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.text_status, row.count]));
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  /**
+   * Start polling for pending documents
+   */
+  start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.processPending().catch((error) => {
+        console.error('Document indexer error:', error);
+      });
+    }, this.pollIntervalMs);
+
+    // Never hold the process open just for the worker
+    this._timer.unref();
+    console.log(`🔎 Document text indexer polling every ${this.pollIntervalMs}ms`);
+    this.kick();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Claim and index batches until the queue is empty.
+   * Claimed rows move to 'processing' with a lease; a crashed worker's lease
+   * simply expires and the document is picked up again.
+   * @returns {Promise<number>} Number of documents processed
+   */
+  async processPending() {
+    if (this._processing) return 0;
+    this._processing = true;
+
+    let processed = 0;
+    try {
+      do {
+        this._again = false;
+        const claimResult = await this.pool.query(
+          `UPDATE documents
+           SET text_status = 'processing',
+               text_locked_until = CURRENT_TIMESTAMP + ($2 || ' seconds')::INTERVAL
+           WHERE id IN (
+             SELECT id FROM documents
+             WHERE text_status = 'pending'
+                OR (text_status = 'processing' AND text_locked_until < CURRENT_TIMESTAMP)
+             ORDER BY uploaded_at DESC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING id, name, file_path, file_size, mime_type`,
+          [this.batchSize, String(LEASE_SECONDS)]
+        );
+
+        for (const document of claimResult.rows) {
+          await this.indexDocument(document);
+        }
+        processed += claimResult.rows.length;
+        if (claimResult.rows.length === this.batchSize) this._again = true;
+      } while (this._again);
+
+      return processed;
+    } finally {
+      this._processing = false;
+    }
+  }
+
+  /**
+   * Extract and store one document's text. Failures are recorded on the
+   * document rather than thrown, so one bad file never stalls the queue.
+   * @param {Object} document - documents row (id, name, file_path, file_size, mime_type)
+   * @returns {Promise<string>} Resulting text_status
+   */
+  async indexDocument(document) {
+    // The display name usually keeps the original extension; stored names may not
+    const fileName = detectFormat(null, document.name) ? document.name : path.basename(document.file_path || '');
+    if (!detectFormat(document.mime_type, fileName)) {
+      return this._finish(document.id, 'unsupported', [], null);
+    }
+    if (Number(document.file_size) > this.maxFileBytes) {
+      return this._finish(document.id, 'failed', [], `File is larger than the ${Math.round(this.maxFileBytes / 1048576)}MB indexing limit`);
+    }
+
+    try {
+      const buffer = await this.storage.downloadFile(document.file_path);
+      const { pages } = await extractText(buffer, { mimeType: document.mime_type, fileName });
+      // Scanned drawings and image-only PDFs have no text layer
+      return this._finish(document.id, pages.length > 0 ? 'indexed' : 'no_text', pages, null);
+    } catch (error) {
+      return this._finish(document.id, 'failed', [], error.message);
+    }
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Replace a document's pages and record the outcome. If the document was
+   * re-queued while we worked (a newer version arrived) the result is stale
+   * and is dropped; the next run indexes the new file.
+   * @private
+   */
+  async _finish(documentId, status, pages, errorMessage) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const updateResult = await client.query(
+        `UPDATE documents
+         SET text_status = $2, text_error = $3, text_page_count = $4,
+             text_indexed_at = CURRENT_TIMESTAMP, text_locked_until = NULL
+         WHERE id = $1 AND text_status = 'processing'`,
+        [documentId, status, errorMessage, pages.length]
+      );
+      if (updateResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return 'pending';
+      }
+
+      await client.query('DELETE FROM document_text_pages WHERE document_id = $1', [documentId]);
+      if (pages.length > 0) {
+        await client.query(
+          `INSERT INTO document_text_pages (document_id, document_version_id, page_number, content)
+           SELECT $1,
+                  (SELECT id FROM document_versions WHERE document_id = $1 AND is_current = true LIMIT 1),
+                  p.page_number, p.content
+           FROM jsonb_to_recordset($2::JSONB) AS p(page_number INTEGER, content TEXT)`,
+          [documentId, JSON.stringify(pages)]
+        );
+      }
+      await client.query('COMMIT');
+      return status;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = DocumentTextIndexer;
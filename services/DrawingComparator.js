@@ -0,0 +1,552 @@
+// ============================================================================
+// DRAWING COMPARATOR
+// Compares two versions of a drawing sheet: an overlay PDF with the old sheet
+// in red and the new one in blue, and the list of regions that changed.
+// Results are cached per pair of document versions in drawing_comparisons.
+// ============================================================================
+//
+// Changes are found in the drawing's vector content rather than by rendering:
+// every path, image and text run on both pages becomes a primitive with a
+// fingerprint (its geometry, rounded to the point, or its text and position).
+// Primitives only in the old page were removed, only in the new page added.
+// Changed primitives are marked on a coarse grid and neighbouring cells are
+// joined into regions, so a moved door or a revised note is one region rather
+// than dozens of line segments.
+//
+// Pages are compared in place: the new page is scaled onto the old page's size
+// and no re-registration is attempted, which matches how reissued sheets keep
+// their title block and grid.
+//
+// Overlay colours come from transparency blending, so they show in any PDF
+// viewer: each page is drawn in its own group and screened with its colour
+// (black lines take the colour, white stays white), then the two groups are
+// multiplied together. Unchanged linework is dark, removed is red, added blue.
+// ============================================================================
+
+const {
+  PDFDocument, PDFName, StandardFonts, rgb, degrees,
+  pushGraphicsState, popGraphicsState, setGraphicsState, drawObject
+} = require('pdf-lib');
+
+// Bump when the diff or the overlay changes so cached results are recomputed
+const ENGINE_VERSION = 1;
+
+const CELL_POINTS = 6;
+const JOIN_CELLS = 2;
+const MAX_PRIMITIVES = 300000;
+const MAX_REGIONS = 200;
+const MAX_REGION_TEXT = 10;
+const OLD_COLOR = [0.85, 0, 0];
+const NEW_COLOR = [0, 0.35, 1];
+const REGION_COLOR = rgb(0.85, 0, 0.85);
+
+// pdfjs prints canvas polyfill warnings when loaded; only pay for it when a PDF arrives
+let pdfjs = null;
+const loadPdfjs = () => {
+  if (!pdfjs) pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjs;
+};
+
+class DrawingComparator {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} storage - Storage provider (downloadFile, uploadBuffer)
+   */
+  constructor(pool, storage) {
+    this.pool = pool;
+    this.storage = storage;
+  }
+
+  static get engineVersion() {
+    return ENGINE_VERSION;
+  }
+
+  // ==========================================================================
+  // CACHED COMPARISONS
+  // ==========================================================================
+
+  /**
+   * Compare two document versions, reusing the cached result when there is one
+   * @param {Object} params
+   * @param {Object} params.baseVersion - document_versions row of the older drawing
+   * @param {Object} params.compareVersion - document_versions row of the newer drawing
+   * @param {number} params.basePage - Page in a multi-page file (single-page files use page 1)
+   * @param {number} params.comparePage
+   * @param {string} params.baseSheetId - For reference only
+   * @param {string} params.compareSheetId
+   * @param {string} params.userId
+   * @returns {Promise<Object>} { comparison: drawing_comparisons row, cached: boolean }
+   */
+  async compare({ baseVersion, compareVersion, basePage = 1, comparePage = 1, baseSheetId = null, compareSheetId = null, userId = null }) {
+    const key = [baseVersion.id, compareVersion.id, basePage, comparePage, ENGINE_VERSION];
+    const cached = await this._find(key);
+    if (cached) return { comparison: cached, cached: true };
+
+    let outcome;
+    try {
+      const [baseBuffer, compareBuffer] = await Promise.all([
+        this.storage.downloadFile(baseVersion.file_path),
+        this.storage.downloadFile(compareVersion.file_path)
+      ]);
+      const result = await DrawingComparator.diff(baseBuffer, compareBuffer, {
+        basePage,
+        comparePage,
+        baseLabel: baseVersion.label,
+        compareLabel: compareVersion.label
+      });
+      const upload = await this.storage.uploadBuffer(result.overlay, `comparison-${baseVersion.id}-${compareVersion.id}.pdf`, {
+        mimetype: 'application/pdf'
+      });
+      outcome = { status: 'completed', overlay_path: upload.path, regions: result.regions, summary: result.summary, error: null };
+    } catch (error) {
+      // Unreadable files are cached as failed so every request does not retry them
+      outcome = { status: 'failed', overlay_path: null, regions: [], summary: {}, error: error.message };
+    }
+
+    const inserted = await this.pool.query(
+      `INSERT INTO drawing_comparisons (base_version_id, compare_version_id, base_page, compare_page, engine_version,
+                                        base_sheet_id, compare_sheet_id, status, overlay_path, regions, summary, error, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (base_version_id, compare_version_id, base_page, compare_page, engine_version) DO NOTHING
+       RETURNING *`,
+      [...key, baseSheetId, compareSheetId, outcome.status, outcome.overlay_path,
+       JSON.stringify(outcome.regions), JSON.stringify(outcome.summary), outcome.error, userId]
+    );
+    if (inserted.rows.length > 0) return { comparison: inserted.rows[0], cached: false };
+
+    // Another request finished the same comparison first; keep theirs
+    if (outcome.overlay_path) {
+      await this.storage.deleteFile(outcome.overlay_path).catch(() => {});
+    }
+    return { comparison: await this._find(key), cached: true };
+  }
+
+  /**
+   * The overlay PDF of a completed comparison
+   * @param {Object} comparison - drawing_comparisons row
+   * @returns {Promise<Buffer>}
+   */
+  async overlay(comparison) {
+    return this.storage.downloadFile(comparison.overlay_path);
+  }
+
+  // ==========================================================================
+  // DIFF
+  // ==========================================================================
+
+  /**
+   * Compare one page of each PDF
+   * @param {Buffer} baseBuffer - Older drawing
+   * @param {Buffer} compareBuffer - Newer drawing
+   * @param {Object} options - { basePage, comparePage, baseLabel, compareLabel }
+   * @returns {Promise<Object>} { overlay: Buffer, regions, summary }
+   */
+  static async diff(baseBuffer, compareBuffer, options = {}) {
+    const base = await readPage(baseBuffer, options.basePage);
+    const compare = await readPage(compareBuffer, options.comparePage, base);
+
+    const removed = [];
+    const added = [];
+    let unchanged = 0;
+    for (const [fingerprint, items] of base.primitives) {
+      const others = compare.primitives.get(fingerprint) || [];
+      unchanged += Math.min(items.length, others.length);
+      for (let index = others.length; index < items.length; index++) removed.push(items[index]);
+    }
+    for (const [fingerprint, items] of compare.primitives) {
+      const others = base.primitives.get(fingerprint) || [];
+      for (let index = others.length; index < items.length; index++) added.push(items[index]);
+    }
+
+    const regions = findRegions(base, removed, added);
+    const overlay = await renderOverlay(baseBuffer, compareBuffer, base, compare, regions, options);
+
+    return {
+      overlay,
+      // Crop-box coordinates were only needed to draw the overlay
+      regions: regions.slice(0, MAX_REGIONS).map(({ local, ...region }) => region),
+      summary: {
+        engine_version: ENGINE_VERSION,
+        base_page: base.pageNumber,
+        compare_page: compare.pageNumber,
+        page_width: base.viewWidth,
+        page_height: base.viewHeight,
+        base_primitives: base.count,
+        compare_primitives: compare.count,
+        unchanged,
+        removed: removed.length,
+        added: added.length,
+        region_count: regions.length,
+        regions_truncated: regions.length > MAX_REGIONS,
+        change_ratio: Math.round(((removed.length + added.length) / Math.max(base.count + compare.count, 1)) * 1000) / 1000,
+        page_size_changed: Math.abs(base.width - compare.width) > 1 || Math.abs(base.height - compare.height) > 1,
+        rotation_changed: base.rotation !== compare.rotation,
+        primitives_truncated: base.truncated || compare.truncated,
+        no_vector_content: base.count === 0 && compare.count === 0
+      }
+    };
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  async _find(key) {
+    const result = await this.pool.query(
+      `SELECT * FROM drawing_comparisons
+       WHERE base_version_id = $1 AND compare_version_id = $2 AND base_page = $3 AND compare_page = $4 AND engine_version = $5`,
+      key
+    );
+    return result.rows[0] || null;
+  }
+}
+
+// ============================================================================
+// DIFF HELPERS
+// ============================================================================
+
+/**
+ * Load one page and fingerprint its paths, images and text. Coordinates are
+ * PDF points from the page's crop box corner (rotation not applied); with
+ * `scaleTo`, they are scaled onto that page's size.
+ * @private
+ */
+async function readPage(buffer, requestedPage, scaleTo = null) {
+  const lib = loadPdfjs();
+  const document = await lib.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    // Pages split out of a set are single-page files
+    const pageNumber = document.numPages === 1 ? 1 : (requestedPage || 1);
+    if (pageNumber < 1 || pageNumber > document.numPages) {
+      throw new Error(`Page ${pageNumber} does not exist; the file has ${document.numPages}`);
+    }
+    const page = await document.getPage(pageNumber);
+    const [viewX, viewY, viewRight, viewTop] = page.view;
+    const width = viewRight - viewX;
+    const height = viewTop - viewY;
+    const scaleX = scaleTo ? scaleTo.width / width : 1;
+    const scaleY = scaleTo ? scaleTo.height / height : 1;
+    const viewport = page.getViewport({ scale: 1 });
+
+    const primitives = new Map();
+    let count = 0;
+    let truncated = false;
+    const toLocal = ([x, y]) => [(x - viewX) * scaleX, (y - viewY) * scaleY];
+    const add = (fingerprint, points, text = null) => {
+      if (count >= MAX_PRIMITIVES) {
+        truncated = true;
+        return;
+      }
+      const xs = points.map(point => point[0]);
+      const ys = points.map(point => point[1]);
+      const item = { box: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)], text };
+      if (!primitives.has(fingerprint)) primitives.set(fingerprint, []);
+      primitives.get(fingerprint).push(item);
+      count += 1;
+    };
+    const key = points => points.map(([x, y]) => `${Math.round(x)},${Math.round(y)}`).join(' ');
+
+    const { OPS, Util } = lib;
+    const operators = await page.getOperatorList();
+    let ctm = [1, 0, 0, 1, 0, 0];
+    const stack = [];
+    for (let index = 0; index < operators.fnArray.length && !truncated; index++) {
+      const fn = operators.fnArray[index];
+      const args = operators.argsArray[index];
+      if (fn === OPS.save) {
+        stack.push(ctm);
+      } else if (fn === OPS.restore) {
+        ctm = stack.pop() || ctm;
+      } else if (fn === OPS.transform) {
+        ctm = Util.transform(ctm, args);
+      } else if (fn === OPS.paintFormXObjectBegin) {
+        stack.push(ctm);
+        if (Array.isArray(args[0]) && args[0].length === 6) ctm = Util.transform(ctm, args[0]);
+      } else if (fn === OPS.paintFormXObjectEnd) {
+        ctm = stack.pop() || ctm;
+      } else if (fn === OPS.constructPath) {
+        const point = (x, y) => toLocal(Util.applyTransform([x, y], ctm));
+        for (const subpath of subpaths(OPS, args[0], args[1], point)) {
+          add(`p:${subpath.closed ? 'z' : ''}${key(subpath.points)}`, subpath.points);
+        }
+      } else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject || fn === OPS.paintImageMaskXObject) {
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(corner => toLocal(Util.applyTransform(corner, ctm)));
+        add(`i:${key(corners)}`, corners);
+      }
+    }
+
+    const content = await page.getTextContent();
+    for (const item of content.items) {
+      const text = (item.str || '').trim();
+      if (!text || truncated) continue;
+      const [a, b, c, d, e, f] = item.transform;
+      const size = Math.hypot(c, d) || 1;
+      const along = Math.hypot(a, b) || 1;
+      const direction = [a / along, b / along];
+      const up = [c / size, d / size];
+      const run = item.width || 0;
+      const corners = [
+        [e, f],
+        [e + direction[0] * run, f + direction[1] * run],
+        [e + up[0] * size, f + up[1] * size],
+        [e + direction[0] * run + up[0] * size, f + direction[1] * run + up[1] * size]
+      ].map(toLocal);
+      add(`t:${text}@${key([corners[0]])}`, corners, text);
+    }
+
+    return {
+      pageNumber,
+      primitives,
+      count,
+      truncated,
+      width: width * scaleX,
+      height: height * scaleY,
+      rotation: page.rotate || 0,
+      viewWidth: Math.round(viewport.width * 100) / 100,
+      viewHeight: Math.round(viewport.height * 100) / 100,
+      // Local (crop box) point -> displayed page point, y down
+      toView: (x, y) => viewport.convertToViewportPoint(x / scaleX + viewX, y / scaleY + viewY)
+    };
+  } finally {
+    await document.destroy();
+  }
+}
+
+/**
+ * Split a constructPath operator into subpaths of transformed points
+ * @private
+ */
+function subpaths(OPS, ops, coords, point) {
+  const paths = [];
+  let current = null;
+  let cursor = 0;
+  const flush = () => {
+    if (current && current.points.length > 0) paths.push(current);
+    current = null;
+  };
+
+  for (const op of ops) {
+    if (op === OPS.rectangle) {
+      flush();
+      const [x, y, w, h] = coords.slice(cursor, cursor + 4);
+      cursor += 4;
+      paths.push({ closed: true, points: [point(x, y), point(x + w, y), point(x + w, y + h), point(x, y + h)] });
+    } else if (op === OPS.moveTo) {
+      flush();
+      current = { closed: false, points: [point(coords[cursor], coords[cursor + 1])] };
+      cursor += 2;
+    } else if (op === OPS.lineTo) {
+      if (!current) current = { closed: false, points: [] };
+      current.points.push(point(coords[cursor], coords[cursor + 1]));
+      cursor += 2;
+    } else if (op === OPS.curveTo) {
+      if (!current) current = { closed: false, points: [] };
+      for (let offset = 0; offset < 6; offset += 2) current.points.push(point(coords[cursor + offset], coords[cursor + offset + 1]));
+      cursor += 6;
+    } else if (op === OPS.curveTo2 || op === OPS.curveTo3) {
+      if (!current) current = { closed: false, points: [] };
+      for (let offset = 0; offset < 4; offset += 2) current.points.push(point(coords[cursor + offset], coords[cursor + offset + 1]));
+      cursor += 4;
+    } else if (op === OPS.closePath) {
+      if (current) current.closed = true;
+      flush();
+    }
+  }
+  flush();
+  return paths;
+}
+
+/**
+ * Join changed primitives that lie near each other into regions
+ * @private
+ */
+function findRegions(page, removed, added) {
+  const columns = Math.max(1, Math.ceil(page.width / CELL_POINTS));
+  const rows = Math.max(1, Math.ceil(page.height / CELL_POINTS));
+  const cells = new Map();
+  const columnOf = x => Math.min(columns - 1, Math.max(0, Math.floor(x / CELL_POINTS)));
+  const rowOf = y => Math.min(rows - 1, Math.max(0, Math.floor(y / CELL_POINTS)));
+  const cellOf = (x, y) => rowOf(y) * columns + columnOf(x);
+
+  const mark = (item, change) => {
+    const [x0, y0, x1, y1] = item.box;
+    const entry = { change, text: item.text };
+    const touch = (cell) => {
+      if (!cells.has(cell)) cells.set(cell, []);
+      cells.get(cell).push(entry);
+    };
+    // A long line or a sheet-sized rectangle only changed along its edges
+    if (x1 - x0 > page.width / 4 || y1 - y0 > page.height / 4) {
+      for (let x = x0; x <= x1; x += CELL_POINTS) { touch(cellOf(x, y0)); touch(cellOf(x, y1)); }
+      for (let y = y0; y <= y1; y += CELL_POINTS) { touch(cellOf(x0, y)); touch(cellOf(x1, y)); }
+      return;
+    }
+    for (let row = rowOf(y0); row <= rowOf(y1); row++) {
+      for (let column = columnOf(x0); column <= columnOf(x1); column++) touch(row * columns + column);
+    }
+  };
+  removed.forEach(item => mark(item, 'removed'));
+  added.forEach(item => mark(item, 'added'));
+
+  // Connected components over cells within JOIN_CELLS of each other
+  const seen = new Set();
+  const regions = [];
+  for (const start of cells.keys()) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    const queue = [start];
+    const region = { minColumn: Infinity, minRow: Infinity, maxColumn: -Infinity, maxRow: -Infinity, entries: new Set() };
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      const row = Math.floor(cell / columns);
+      const column = cell % columns;
+      region.minColumn = Math.min(region.minColumn, column);
+      region.maxColumn = Math.max(region.maxColumn, column);
+      region.minRow = Math.min(region.minRow, row);
+      region.maxRow = Math.max(region.maxRow, row);
+      cells.get(cell).forEach(entry => region.entries.add(entry));
+
+      for (let dy = -JOIN_CELLS; dy <= JOIN_CELLS; dy++) {
+        for (let dx = -JOIN_CELLS; dx <= JOIN_CELLS; dx++) {
+          const r = row + dy;
+          const c = column + dx;
+          if (r < 0 || c < 0 || r >= rows || c >= columns) continue;
+          const neighbour = r * columns + c;
+          if (cells.has(neighbour) && !seen.has(neighbour)) {
+            seen.add(neighbour);
+            queue.push(neighbour);
+          }
+        }
+      }
+    }
+    regions.push(region);
+  }
+
+  return regions.map((region) => {
+    const local = {
+      x: region.minColumn * CELL_POINTS,
+      y: region.minRow * CELL_POINTS,
+      right: Math.min((region.maxColumn + 1) * CELL_POINTS, page.width),
+      top: Math.min((region.maxRow + 1) * CELL_POINTS, page.height)
+    };
+    const corners = [page.toView(local.x, local.y), page.toView(local.right, local.top)];
+    const viewX = Math.min(corners[0][0], corners[1][0]);
+    const viewY = Math.min(corners[0][1], corners[1][1]);
+    const viewWidth = Math.abs(corners[0][0] - corners[1][0]);
+    const viewHeight = Math.abs(corners[0][1] - corners[1][1]);
+    const entries = [...region.entries];
+    const removedCount = entries.filter(entry => entry.change === 'removed').length;
+    const addedCount = entries.length - removedCount;
+    const texts = change => [...new Set(entries.filter(entry => entry.change === change && entry.text).map(entry => entry.text))].slice(0, MAX_REGION_TEXT);
+
+    return {
+      local,
+      change: removedCount && addedCount ? 'modified' : (addedCount ? 'added' : 'removed'),
+      added: addedCount,
+      removed: removedCount,
+      text_added: texts('added'),
+      text_removed: texts('removed'),
+      // Displayed page (rotation applied), y down, in points and as fractions of the page
+      x: Math.round(viewX * 10) / 10,
+      y: Math.round(viewY * 10) / 10,
+      width: Math.round(viewWidth * 10) / 10,
+      height: Math.round(viewHeight * 10) / 10,
+      bounds: {
+        x: Math.round((viewX / page.viewWidth) * 10000) / 10000,
+        y: Math.round((viewY / page.viewHeight) * 10000) / 10000,
+        width: Math.round((viewWidth / page.viewWidth) * 10000) / 10000,
+        height: Math.round((viewHeight / page.viewHeight) * 10000) / 10000
+      }
+    };
+  })
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+    .map((region, index) => ({ number: index + 1, ...region }));
+}
+
+/**
+ * Old page in red, new page in blue, changed regions outlined and numbered
+ * @private
+ */
+async function renderOverlay(baseBuffer, compareBuffer, base, compare, regions, options) {
+  const output = await PDFDocument.create();
+  const embed = async (buffer, pageNumber) => {
+    const source = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+    const page = source.getPage(pageNumber - 1);
+    // A blank page has no content stream, which embedPage cannot handle
+    if (!page.node.Contents()) page.node.set(PDFName.of('Contents'), source.context.register(source.context.flateStream('')));
+    const crop = page.getCropBox();
+    return output.embedPage(page, { left: crop.x, bottom: crop.y, right: crop.x + crop.width, top: crop.y + crop.height });
+  };
+  const baseEmbedded = await embed(baseBuffer, base.pageNumber);
+  const compareEmbedded = await embed(compareBuffer, compare.pageNumber);
+
+  const { width, height } = base;
+  const context = output.context;
+  const screen = context.register(context.obj({ Type: 'ExtGState', BM: 'Screen' }));
+  const multiply = context.register(context.obj({ Type: 'ExtGState', BM: 'Multiply' }));
+
+  // White page, the drawing, then its colour screened over it, in an isolated group
+  const tinted = (embedded, color) => context.register(context.flateStream(
+    [
+      `1 1 1 rg 0 0 ${width} ${height} re f`,
+      `q ${width / embedded.width} 0 0 ${height / embedded.height} 0 0 cm /Page Do Q`,
+      `/Tint gs ${color.join(' ')} rg 0 0 ${width} ${height} re f`
+    ].join('\n'),
+    {
+      Type: 'XObject',
+      Subtype: 'Form',
+      BBox: [0, 0, width, height],
+      Resources: { XObject: { Page: embedded.ref }, ExtGState: { Tint: screen } },
+      Group: { S: 'Transparency', I: true, CS: 'DeviceRGB' }
+    }
+  ));
+
+  const page = output.addPage([width, height]);
+  page.setRotation(degrees(base.rotation));
+  const oldName = page.node.newXObject('Old', tinted(baseEmbedded, OLD_COLOR));
+  const newName = page.node.newXObject('New', tinted(compareEmbedded, NEW_COLOR));
+  const multiplyName = page.node.newExtGState('Multiply', multiply);
+  page.pushOperators(
+    pushGraphicsState(), drawObject(oldName), popGraphicsState(),
+    pushGraphicsState(), setGraphicsState(multiplyName), drawObject(newName), popGraphicsState()
+  );
+
+  const font = await output.embedFont(StandardFonts.Helvetica);
+  const labelSize = Math.max(8, Math.min(width, height) / 150);
+  for (const region of regions.slice(0, MAX_REGIONS)) {
+    const { local } = region;
+    page.drawRectangle({
+      x: local.x - 2,
+      y: local.y - 2,
+      width: local.right - local.x + 4,
+      height: local.top - local.y + 4,
+      borderColor: REGION_COLOR,
+      borderWidth: Math.max(1, labelSize / 6),
+      borderOpacity: 0.9
+    });
+    page.drawText(String(region.number), { x: local.x, y: local.top + 4, size: labelSize, font, color: REGION_COLOR });
+  }
+
+  const legend = [
+    `Removed: ${options.baseLabel || 'previous version'}`,
+    `Added: ${options.compareLabel || 'new version'}`,
+    `${regions.length} changed region${regions.length === 1 ? '' : 's'}`
+  ];
+  page.drawText(legend[0], { x: 12, y: 12 + labelSize * 2.4, size: labelSize, font, color: rgb(...OLD_COLOR) });
+  page.drawText(legend[1], { x: 12, y: 12 + labelSize * 1.2, size: labelSize, font, color: rgb(...NEW_COLOR) });
+  page.drawText(legend[2], { x: 12, y: 12, size: labelSize, font, color: REGION_COLOR });
+
+  return Buffer.from(await output.save());
+}
+
+module.exports = DrawingComparator;
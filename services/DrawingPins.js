@@ -0,0 +1,215 @@
+// ============================================================================
+// DRAWING PINS
+// Punch items, RFIs, observations and photos placed at a point on a drawing
+// sheet, coloured by the item's status, and carried forward when the sheet is
+// superseded by a new revision
+// ============================================================================
+//
+// A pin is an entity_links row:
+//   source_type / source_id  -> the item (punch_item, rfi, observation, photo)
+//   target_type / target_id  -> 'drawing_sheet' / the sheet
+//   relationship             -> 'pin'
+//   metadata                 -> { x, y } as fractions of the sheet from its
+//                               top-left corner as displayed, optionally
+//                               bounds, markup_id, and carried_from (the sheet
+//                               the pin was copied from)
+// An item has at most one pin per sheet; pinning it again moves the pin.
+// ============================================================================
+
+const PIN_TYPES = {
+  punch_item: { table: 'punch_items', number: 'item_number', title: 'description' },
+  rfi: { table: 'rfis', number: 'rfi_number', title: 'title' },
+  observation: { table: 'observations', number: 'observation_number', title: 'title' },
+  photo: { table: 'photos', number: null, title: 'title' }
+};
+
+// Item status -> pin state, per type; anything unlisted is 'open'
+const STATUS_STATES = {
+  punch_item: { work_required: 'in_progress', ready_for_review: 'review', verified: 'closed', closed: 'closed' },
+  rfi: { draft: 'draft', answered: 'review', closed: 'closed' },
+  observation: { in_progress: 'in_progress', resolved: 'review', closed: 'closed' }
+};
+
+const STATE_COLORS = {
+  draft: { color: '#9E9E9E', label: 'Draft' },
+  open: { color: '#D32F2F', label: 'Open' },
+  in_progress: { color: '#F57C00', label: 'In progress' },
+  review: { color: '#1976D2', label: 'Awaiting review' },
+  closed: { color: '#388E3C', label: 'Closed' },
+  info: { color: '#607D8B', label: 'Photo' }
+};
+
+class DrawingPins {
+  /**
+   * @param {Object} pool - pg pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  static get types() {
+    return Object.keys(PIN_TYPES);
+  }
+
+  static get states() {
+    return Object.keys(STATE_COLORS);
+  }
+
+  /**
+   * Pin state for an item's status
+   * @param {string} entityType
+   * @param {string|null} status
+   * @returns {string}
+   */
+  static stateFor(entityType, status) {
+    if (entityType === 'photo') return 'info';
+    return (STATUS_STATES[entityType] || {})[status] || 'open';
+  }
+
+  /**
+   * The colour legend for pin states
+   * @returns {Array<Object>} [{ state, color, label }]
+   */
+  static legend() {
+    return Object.entries(STATE_COLORS).map(([state, { color, label }]) => ({ state, color, label }));
+  }
+
+  /**
+   * Check a pin from a request body
+   * @param {Object} fields - { entity_type, entity_id, x, y }
+   * @returns {string|null} Error message
+   */
+  static validate(fields) {
+    if (!PIN_TYPES[fields.entity_type]) {
+      return `entity_type must be one of: ${Object.keys(PIN_TYPES).join(', ')}`;
+    }
+    if (!fields.entity_id) return 'entity_id is required';
+    for (const axis of ['x', 'y']) {
+      const value = fields[axis];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+        return `${axis} must be a number from 0 to 1 (fraction of the sheet from its top-left corner)`;
+      }
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // PINS
+  // ==========================================================================
+
+  /**
+   * Project of a pinnable item, or null when it does not exist
+   * @param {Object} db
+   * @param {string} entityType
+   * @param {string} entityId
+   * @returns {Promise<string|null>}
+   */
+  async projectOf(db, entityType, entityId) {
+    const result = await db.query(`SELECT project_id FROM ${PIN_TYPES[entityType].table} WHERE id = $1`, [entityId]);
+    return result.rows[0]?.project_id || null;
+  }
+
+  /**
+   * Place an item on a sheet, or move its existing pin there
+   * @param {Object} db - pool or transaction client
+   * @param {string} sheetId
+   * @param {Object} pin - { entity_type, entity_id, x, y, ...extra metadata }
+   * @returns {Promise<Object>} { pin, moved }
+   */
+  async pin(db, sheetId, { entity_type, entity_id, x, y, ...extra }) {
+    const metadata = { ...extra, x: round(x), y: round(y) };
+    const result = await db.query(
+      `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship, metadata)
+       VALUES ($1, $2, 'drawing_sheet', $3, 'pin', $4)
+       ON CONFLICT (source_type, source_id, target_type, target_id, relationship)
+       DO UPDATE SET metadata = EXCLUDED.metadata
+       RETURNING *, (xmax <> 0) as moved`,
+      [entity_type, entity_id, sheetId, JSON.stringify(metadata)]
+    );
+    const { moved, ...pin } = result.rows[0];
+    return { pin, moved };
+  }
+
+  /**
+   * Every pin on a sheet with its item's number, title, status, state and colour
+   * @param {string} sheetId
+   * @param {Object} filters - { types: [entity_type], states: [state] }
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(sheetId, filters = {}) {
+    const types = filters.types && filters.types.length > 0 ? filters.types : Object.keys(PIN_TYPES);
+    const selects = types.map(type => {
+      const { table, number, title } = PIN_TYPES[type];
+      return `SELECT el.id, el.source_type as entity_type, el.source_id as entity_id, el.metadata, el.created_at,
+                     ${number ? `t.${number}` : 'NULL'}::text as number, t.${title}::text as title,
+                     ${type === 'photo' ? 'NULL' : 't.status'}::text as status
+              FROM entity_links el JOIN ${table} t ON t.id = el.source_id
+              WHERE el.target_type = 'drawing_sheet' AND el.target_id = $1
+                AND el.relationship = 'pin' AND el.source_type = '${type}'`;
+    });
+    const result = await this.pool.query(`${selects.join(' UNION ALL ')} ORDER BY created_at`, [sheetId]);
+
+    return result.rows
+      .map(row => {
+        const state = DrawingPins.stateFor(row.entity_type, row.status);
+        return {
+          ...row,
+          x: Number(row.metadata?.x),
+          y: Number(row.metadata?.y),
+          state,
+          color: STATE_COLORS[state].color,
+          carried_from: row.metadata?.carried_from || null
+        };
+      })
+      .filter(pin => !filters.states || filters.states.length === 0 || filters.states.includes(pin.state));
+  }
+
+  /**
+   * Copy a sheet's pins onto the revision that supersedes it. The old sheet
+   * keeps its pins; items already pinned on the new sheet keep that pin.
+   * @param {Object} db - Transaction client
+   * @param {string} fromSheetId - Superseded sheet
+   * @param {string} toSheetId - New current sheet
+   * @returns {Promise<number>} Pins copied
+   */
+  static async carryForward(db, fromSheetId, toSheetId) {
+    const result = await db.query(
+      `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship, metadata)
+       SELECT source_type, source_id, 'drawing_sheet', $2, 'pin', metadata || $3::jsonb
+       FROM entity_links
+       WHERE target_type = 'drawing_sheet' AND target_id = $1 AND relationship = 'pin'
+       ON CONFLICT (source_type, source_id, target_type, target_id, relationship) DO NOTHING`,
+      [fromSheetId, toSheetId, JSON.stringify({ carried_from: fromSheetId })]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Remove a deleted sheet's pins. Pins placed on it after it superseded
+   * `restoredSheetId` move back to that sheet.
+   * @param {Object} db - Transaction client
+   * @param {string} sheetId - Deleted sheet
+   * @param {string|null} restoredSheetId - Sheet made current again, if any
+   * @returns {Promise<void>}
+   */
+  static async release(db, sheetId, restoredSheetId) {
+    if (restoredSheetId) {
+      await db.query(
+        `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship, metadata)
+         SELECT source_type, source_id, 'drawing_sheet', $2, 'pin', metadata
+         FROM entity_links
+         WHERE target_type = 'drawing_sheet' AND target_id = $1 AND relationship = 'pin'
+         ON CONFLICT (source_type, source_id, target_type, target_id, relationship) DO NOTHING`,
+        [sheetId, restoredSheetId]
+      );
+    }
+    await db.query(
+      `DELETE FROM entity_links WHERE target_type = 'drawing_sheet' AND target_id = $1 AND relationship = 'pin'`,
+      [sheetId]
+    );
+  }
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+module.exports = DrawingPins;
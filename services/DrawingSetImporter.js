@@ -0,0 +1,466 @@
+// ============================================================================
+// DRAWING SET IMPORTER
+// Background worker that splits an uploaded drawing set PDF into one
+// drawing_sheet per page, reading each page's title block for the sheet
+// number, title and revision
+// ============================================================================
+//
+// An upload creates a drawing_set_imports row ('pending'); the worker claims
+// it with a lease, saves every page as its own single-page PDF document and
+// places the sheet:
+//   - confident read, new sheet number       -> current
+//   - confident read, number already current -> current, the older revision
+//                                               is superseded (any set in the
+//                                               project)
+//   - low confidence, same revision as the current sheet, or a number repeated
+//     within the upload                      -> pending_review
+// Reviewers confirm or correct pending sheets, which places them the same way.
+//
+// Pages are placed one transaction at a time and skipped when already placed,
+// so an import whose lease expired mid-way resumes where it stopped, and
+// re-running an import re-reads only the pages still waiting for review.
+// ============================================================================
+
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { readTitleBlocks, disciplineFor, normalizeSheetNumber, DEFAULT_REGION } = require('./TitleBlockReader');
+const DrawingPins = require('./DrawingPins');
+
+const LEASE_SECONDS = 1800;
+const DEFAULT_MAX_PAGES = 1000;
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+
+class DrawingSetImporter {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} storage - Storage provider (downloadFile)
+   * @param {Object} options
+   * @param {Function} options.saveDocument - (file, projectId, userId, fields) => documents row
+   * @param {Function} options.emitEvent - server.js emitEvent
+   * @param {Function} options.createNotification - server.js createNotification
+   * @param {number} options.minConfidence - Below this a page goes to review
+   * @param {number} options.maxPages - Larger sets are refused
+   * @param {number} options.pollIntervalMs
+   */
+  constructor(pool, storage, options = {}) {
+    this.pool = pool;
+    this.storage = storage;
+    this.saveDocument = options.saveDocument;
+    this.emitEvent = options.emitEvent;
+    this.createNotification = options.createNotification;
+    this.minConfidence = options.minConfidence
+      || parseFloat(process.env.DRAWING_IMPORT_MIN_CONFIDENCE)
+      || DEFAULT_MIN_CONFIDENCE;
+    this.maxPages = options.maxPages
+      || parseInt(process.env.DRAWING_IMPORT_MAX_PAGES, 10)
+      || DEFAULT_MAX_PAGES;
+    this.pollIntervalMs = options.pollIntervalMs
+      || parseInt(process.env.DRAWING_IMPORT_POLL_INTERVAL_MS, 10)
+      || 30000;
+    this._timer = null;
+    this._processing = false;
+    this._again = false;
+  }
+
+  // ==========================================================================
+  // QUEUE
+  // ==========================================================================
+
+  /**
+   * Queue a set PDF for splitting
+   * @param {Object} drawingSet - drawing_sets row
+   * @param {Object} document - documents row holding the whole set
+   * @param {string} userId
+   * @param {Object} region - Title-block region override (else the set's own)
+   * @returns {Promise<Object>} drawing_set_imports row
+   */
+  async queue(drawingSet, document, userId, region = null) {
+    const result = await this.pool.query(
+      `INSERT INTO drawing_set_imports (drawing_set_id, document_id, title_block_region, created_by)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [drawingSet.id, document.id, JSON.stringify(region || drawingSet.title_block_region || DEFAULT_REGION), userId]
+    );
+    this.kick();
+    return result.rows[0];
+  }
+
+  /**
+   * Run an import again, e.g. with a corrected title-block region. Pages
+   * already placed are kept; pages waiting for review are read again.
+   * @param {string} importId
+   * @param {Object} region - Optional new region
+   * @returns {Promise<Object|null>} drawing_set_imports row, null when still running
+   */
+  async requeue(importId, region = null) {
+    const result = await this.pool.query(
+      `UPDATE drawing_set_imports
+       SET status = 'pending', error = NULL, locked_until = NULL, completed_at = NULL,
+           title_block_region = COALESCE($2::JSONB, title_block_region)
+       WHERE id = $1 AND status IN ('completed', 'failed')
+       RETURNING *`,
+      [importId, region ? JSON.stringify(region) : null]
+    );
+    if (result.rows.length > 0) this.kick();
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Process the queue now instead of waiting for the next poll
+   */
+  kick() {
+    if (this._processing) {
+      this._again = true;
+      return;
+    }
+    setImmediate(() => {
+      this.processPending().catch((error) => {
+        console.error('Drawing set importer error:', error);
+      });
+    });
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  /**
+   * Start polling for pending imports
+   */
+  start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.processPending().catch((error) => {
+        console.error('Drawing set importer error:', error);
+      });
+    }, this.pollIntervalMs);
+
+    // Never hold the process open just for the worker
+    this._timer.unref();
+    console.log(`📐 Drawing set importer polling every ${this.pollIntervalMs}ms`);
+    this.kick();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Claim and run imports one at a time until the queue is empty
+   * @returns {Promise<number>} Number of imports processed
+   */
+  async processPending() {
+    if (this._processing) return 0;
+    this._processing = true;
+
+    let processed = 0;
+    try {
+      do {
+        this._again = false;
+        const claimResult = await this.pool.query(
+          `UPDATE drawing_set_imports
+           SET status = 'processing',
+               locked_until = CURRENT_TIMESTAMP + ($1 || ' seconds')::INTERVAL
+           WHERE id IN (
+             SELECT id FROM drawing_set_imports
+             WHERE status = 'pending'
+                OR (status = 'processing' AND locked_until < CURRENT_TIMESTAMP)
+             ORDER BY created_at
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *`,
+          [String(LEASE_SECONDS)]
+        );
+
+        if (claimResult.rows.length > 0) {
+          await this.runImport(claimResult.rows[0]);
+          processed += 1;
+          this._again = true;
+        }
+      } while (this._again);
+
+      return processed;
+    } finally {
+      this._processing = false;
+    }
+  }
+
+  /**
+   * Split and place every page of one claimed import. Failures are recorded
+   * on the import rather than thrown, so one bad file never stalls the queue.
+   * @param {Object} job - drawing_set_imports row
+   * @returns {Promise<string>} Resulting status
+   */
+  async runImport(job) {
+    const context = await this.pool.query(
+      `SELECT ds.*, d.name as document_name, d.file_path as document_file_path
+       FROM drawing_sets ds
+       JOIN documents d ON d.id = $2
+       WHERE ds.id = $1`,
+      [job.drawing_set_id, job.document_id]
+    );
+    const drawingSet = context.rows[0];
+    if (!drawingSet) return this._fail(job, 'The drawing set or its PDF was deleted');
+
+    let source;
+    let titleBlocks;
+    try {
+      const buffer = await this.storage.downloadFile(drawingSet.document_file_path);
+      source = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+      if (source.getPageCount() > this.maxPages) {
+        return this._fail(job, `The PDF has ${source.getPageCount()} pages; imports are limited to ${this.maxPages}`);
+      }
+      titleBlocks = await readTitleBlocks(buffer, job.title_block_region || DEFAULT_REGION);
+    } catch (error) {
+      return this._fail(job, `Could not read the PDF: ${error.message}`);
+    }
+
+    await this.pool.query('UPDATE drawing_set_imports SET page_count = $2 WHERE id = $1', [job.id, source.getPageCount()]);
+
+    const baseName = path.basename(drawingSet.document_name || 'drawings.pdf', path.extname(drawingSet.document_name || '.pdf'));
+    for (const page of titleBlocks) {
+      try {
+        await this._importPage(job, drawingSet, source, page, baseName);
+      } catch (error) {
+        return this._fail(job, `Page ${page.page_number}: ${error.message}`);
+      }
+    }
+
+    const totals = await this.pool.query(
+      `UPDATE drawing_set_imports i
+       SET status = 'completed', locked_until = NULL, completed_at = CURRENT_TIMESTAMP,
+           sheets_for_review = (SELECT COUNT(*) FROM drawing_sheets WHERE import_id = i.id AND status = 'pending_review')
+       WHERE i.id = $1 AND i.status = 'processing'
+       RETURNING *`,
+      [job.id]
+    );
+    const finished = totals.rows[0];
+    if (!finished) return 'pending';
+
+    await this.emitEvent('drawing_set.imported', 'drawing_set', drawingSet.id, drawingSet.project_id, job.created_by, {
+      import_id: job.id,
+      page_count: finished.page_count,
+      sheets_created: finished.sheets_created,
+      sheets_superseded: finished.sheets_superseded,
+      sheets_for_review: finished.sheets_for_review
+    });
+    if (job.created_by) {
+      await this.createNotification(
+        job.created_by,
+        'status_change',
+        `Drawing set imported: ${drawingSet.name}`,
+        `${finished.sheets_created} sheet${finished.sheets_created === 1 ? '' : 's'} added, ${finished.sheets_superseded} superseded`
+          + (finished.sheets_for_review > 0 ? `, ${finished.sheets_for_review} need review` : ''),
+        'drawing_set',
+        drawingSet.id
+      );
+    }
+    return 'completed';
+  }
+
+  // ==========================================================================
+  // SHEET PLACEMENT
+  // ==========================================================================
+
+  /**
+   * The current sheet with this number anywhere in the project
+   * @param {Object} db - pool or transaction client
+   * @param {string} projectId
+   * @param {string} sheetNumber
+   * @param {string} excludeId - The sheet being placed
+   * @returns {Promise<Object|null>}
+   */
+  async findCurrent(db, projectId, sheetNumber, excludeId = null) {
+    const result = await db.query(
+      `SELECT sh.* FROM drawing_sheets sh
+       JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+       WHERE ds.project_id = $1 AND sh.status = 'current'
+         AND UPPER(REPLACE(sh.sheet_number, ' ', '')) = $2
+         AND ($3::UUID IS NULL OR sh.id <> $3)
+       ORDER BY sh.created_at DESC
+       LIMIT 1
+       FOR UPDATE OF sh`,
+      [projectId, normalizeSheetNumber(sheetNumber), excludeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Make a sheet current, superseding the project's previous revision of its
+   * sheet number; pins on the previous revision are copied onto the new one
+   * @param {Object} db - Transaction client
+   * @param {Object} sheet - drawing_sheets row
+   * @param {string} projectId
+   * @returns {Promise<Object>} { sheet, superseded: previous row or null, pinsCarried }
+   */
+  async publish(db, sheet, projectId) {
+    const previous = await this.findCurrent(db, projectId, sheet.sheet_number, sheet.id);
+    let pinsCarried = 0;
+    if (previous) {
+      await db.query(
+        `UPDATE drawing_sheets SET status = 'superseded', superseded_by = $2, superseded_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [previous.id, sheet.id]
+      );
+      pinsCarried = await DrawingPins.carryForward(db, previous.id, sheet.id);
+    }
+    const result = await db.query(
+      `UPDATE drawing_sheets SET status = 'current', supersedes_id = COALESCE($2, supersedes_id)
+       WHERE id = $1 RETURNING *`,
+      [sheet.id, previous ? previous.id : null]
+    );
+    return { sheet: result.rows[0], superseded: previous, pinsCarried };
+  }
+
+  /**
+   * Why a confidently read sheet still needs a person to look at it
+   * @param {Object} db
+   * @param {Object} sheet - { id, sheet_number, revision, import_id }
+   * @param {string} projectId
+   * @returns {Promise<Array<string>>}
+   */
+  async placementConflicts(db, sheet, projectId) {
+    const previous = await this.findCurrent(db, projectId, sheet.sheet_number, sheet.id);
+    if (!previous) return [];
+    if (sheet.import_id && previous.import_id === sheet.import_id) return ['sheet_number_repeated_in_upload'];
+    if (normalizeSheetNumber(previous.revision) === normalizeSheetNumber(sheet.revision)) return ['same_revision_as_current'];
+    return [];
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Save one page as its own PDF and place its sheet
+   * @private
+   */
+  async _importPage(job, drawingSet, source, page, baseName) {
+    const existing = await this.pool.query(
+      'SELECT * FROM drawing_sheets WHERE import_id = $1 AND page_number = $2',
+      [job.id, page.page_number]
+    );
+    let sheet = existing.rows[0] || null;
+    if (sheet && sheet.status !== 'pending_review') return;
+
+    let documentVersionId = sheet ? sheet.document_version_id : null;
+    if (!sheet) {
+      const single = await PDFDocument.create();
+      const [copied] = await single.copyPages(source, [page.page_number - 1]);
+      single.addPage(copied);
+      const bytes = Buffer.from(await single.save());
+      const label = page.sheet_number || `page-${page.page_number}`;
+
+      const document = await this.saveDocument(
+        { buffer: bytes, originalname: `${baseName}-${label.replace(/[^A-Za-z0-9.-]+/g, '_')}.pdf`, size: bytes.length, mimetype: 'application/pdf' },
+        drawingSet.project_id,
+        job.created_by,
+        { name: `${label} ${page.title || ''}`.trim().slice(0, 255), category: 'drawing' }
+      );
+      const version = await this.pool.query(
+        'SELECT id FROM document_versions WHERE document_id = $1 ORDER BY version_number DESC LIMIT 1',
+        [document.id]
+      );
+      documentVersionId = version.rows[0].id;
+    }
+
+    const revision = page.revision || drawingSet.revision || null;
+    const reasons = [...page.reasons];
+    if (!page.revision && drawingSet.revision) reasons.push('revision_from_set');
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const fields = [
+        page.sheet_number || `PAGE-${page.page_number}`,
+        (page.title || `Page ${page.page_number}`).slice(0, 255),
+        revision,
+        page.discipline || disciplineFor(page.sheet_number) || drawingSet.discipline || null,
+        page.width,
+        page.height,
+        page.confidence
+      ];
+      if (sheet) {
+        const updated = await client.query(
+          `UPDATE drawing_sheets
+           SET sheet_number = $2, title = $3, revision = $4, discipline = $5, page_width = $6, page_height = $7,
+               extraction_confidence = $8
+           WHERE id = $1 RETURNING *`,
+          [sheet.id, ...fields]
+        );
+        sheet = updated.rows[0];
+      } else {
+        const inserted = await client.query(
+          `INSERT INTO drawing_sheets (drawing_set_id, sheet_number, title, revision, discipline, page_width, page_height,
+                                       extraction_confidence, page_number, document_version_id, import_id, status, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending_review', $12) RETURNING *`,
+          [drawingSet.id, ...fields, page.page_number, documentVersionId, job.id, job.created_by]
+        );
+        sheet = inserted.rows[0];
+      }
+
+      if (page.sheet_number && page.confidence >= this.minConfidence) {
+        reasons.push(...await this.placementConflicts(client, sheet, drawingSet.project_id));
+      } else {
+        reasons.push('low_confidence');
+      }
+
+      const extraction = {
+        sheet_number: page.sheet_number,
+        title: page.title,
+        revision: page.revision,
+        confidence: page.confidence,
+        candidates: page.candidates,
+        reasons,
+        region: job.title_block_region
+      };
+      await client.query('UPDATE drawing_sheets SET extraction = $2 WHERE id = $1', [sheet.id, JSON.stringify(extraction)]);
+
+      const needsReview = reasons.some(reason => ['low_confidence', 'sheet_number_repeated_in_upload', 'same_revision_as_current'].includes(reason));
+      let superseded = null;
+      if (!needsReview) {
+        ({ superseded } = await this.publish(client, sheet, drawingSet.project_id));
+      }
+
+      await client.query(
+        `UPDATE drawing_set_imports
+         SET pages_processed = GREATEST(pages_processed, $2),
+             sheets_created = sheets_created + $3,
+             sheets_superseded = sheets_superseded + $4,
+             locked_until = CURRENT_TIMESTAMP + ($5 || ' seconds')::INTERVAL
+         WHERE id = $1`,
+        [job.id, page.page_number, needsReview ? 0 : 1, superseded ? 1 : 0, String(LEASE_SECONDS)]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _fail(job, message) {
+    await this.pool.query(
+      `UPDATE drawing_set_imports SET status = 'failed', error = $2, locked_until = NULL, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [job.id, message]
+    );
+    if (job.created_by) {
+      await this.createNotification(job.created_by, 'status_change', 'Drawing set import failed', message, 'drawing_set', job.drawing_set_id);
+    }
+    return 'failed';
+  }
+}
+
+module.exports = DrawingSetImporter;
@@ -0,0 +1,502 @@
+// ============================================================================
+// DRAWING TRANSMITTALS
+// Numbered transmittals of drawings: recipients resolved at send time, a
+// secure download link per recipient, and acknowledgement of receipt
+// ============================================================================
+//
+// A transmittal is drafted with its drawings (documents or drawing sheets)
+// and the users and project roles it goes to. Sending it:
+//   - expands each role to the project members holding it at that moment
+//   - pins every drawing to its latest version unless one was named
+//   - gives each recipient a random access token for the download link,
+//     valid for TRANSMITTAL_LINK_DAYS (30 by default)
+//   - writes a drawing_distributions row per drawing and recipient, so the
+//     per-drawing distribution history stays complete
+// Recipients confirm receipt in the app, through the link, or by
+// acknowledging any of the transmittal's distribution rows.
+// ============================================================================
+
+const crypto = require('crypto');
+
+const PURPOSES = ['for_construction', 'for_review', 'for_approval', 'for_information', 'for_record', 'for_bid'];
+const EDITABLE_FIELDS = ['subject', 'purpose', 'message', 'acknowledge_by'];
+
+class DrawingTransmittals {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} options
+   * @param {Object} options.roleHierarchy - server.js ROLE_HIERARCHY (role -> level)
+   * @param {Function} options.createNotification - server.js createNotification
+   * @param {string} options.apiUrl - Base URL of this API, for download links
+   * @param {number} options.linkDays - Days a download link stays valid
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.roleHierarchy = options.roleHierarchy;
+    this.createNotification = options.createNotification;
+    this.apiUrl = (options.apiUrl || process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+    this.linkDays = options.linkDays || parseInt(process.env.TRANSMITTAL_LINK_DAYS, 10) || 30;
+  }
+
+  static get purposes() {
+    return PURPOSES;
+  }
+
+  static get editableFields() {
+    return EDITABLE_FIELDS;
+  }
+
+  /**
+   * Check transmittal fields from a request body
+   * @param {Object} fields - { subject, purpose, acknowledge_by, user_ids, roles, items, document_ids, drawing_sheet_ids }
+   * @param {boolean} creating - subject is required
+   * @returns {string|null} Error message
+   */
+  validate(fields, creating) {
+    if (creating || fields.subject !== undefined) {
+      if (typeof fields.subject !== 'string' || !fields.subject.trim() || fields.subject.length > 255) {
+        return 'subject is required (255 characters at most)';
+      }
+    }
+    if (fields.purpose !== undefined && !PURPOSES.includes(fields.purpose)) {
+      return `purpose must be one of: ${PURPOSES.join(', ')}`;
+    }
+    if (fields.acknowledge_by && Number.isNaN(Date.parse(fields.acknowledge_by))) {
+      return 'acknowledge_by must be a date';
+    }
+    for (const list of ['user_ids', 'roles', 'document_ids', 'drawing_sheet_ids', 'items']) {
+      if (fields[list] !== undefined && !Array.isArray(fields[list])) return `${list} must be an array`;
+    }
+    const unknownRoles = (fields.roles || []).filter(role => !this.roleHierarchy[role]);
+    if (unknownRoles.length > 0) {
+      return `Unknown role(s): ${unknownRoles.join(', ')}; expected ${Object.keys(this.roleHierarchy).join(', ')}`;
+    }
+    const badItem = (fields.items || []).find(item => !item || (!item.document_id && !item.drawing_sheet_id)
+      || (item.copies !== undefined && !(Number.isInteger(item.copies) && item.copies > 0)));
+    if (badItem) return 'Each item needs a document_id or drawing_sheet_id, and copies must be a positive whole number';
+    return null;
+  }
+
+  // ==========================================================================
+  // DRAFTS
+  // ==========================================================================
+
+  /**
+   * Next transmittal number for a project (TR-0001, TR-0002, ...)
+   * @param {Object} db
+   * @param {string} projectId
+   * @returns {Promise<string>}
+   */
+  async nextNumber(db, projectId) {
+    const result = await db.query('SELECT COUNT(*) as count FROM drawing_transmittals WHERE project_id = $1', [projectId]);
+    return `TR-${String(parseInt(result.rows[0].count) + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * Resolve requested drawings to transmittal items of the project
+   * @param {Object} db
+   * @param {string} projectId
+   * @param {Object} fields - { items: [{ document_id?, drawing_sheet_id?, document_version_id?, copies?, notes? }],
+   *                            document_ids, drawing_sheet_ids }
+   * @returns {Promise<Object>} { items } or { error }
+   */
+  async resolveItems(db, projectId, fields) {
+    const requested = [
+      ...(fields.items || []),
+      ...(fields.document_ids || []).map(documentId => ({ document_id: documentId })),
+      ...(fields.drawing_sheet_ids || []).map(sheetId => ({ drawing_sheet_id: sheetId }))
+    ];
+
+    const items = [];
+    const seen = new Set();
+    for (const entry of requested) {
+      let item;
+      if (entry.drawing_sheet_id) {
+        const sheet = await db.query(
+          `SELECT sh.id, sh.document_version_id, dv.document_id, ds.project_id
+           FROM drawing_sheets sh
+           JOIN drawing_sets ds ON ds.id = sh.drawing_set_id
+           LEFT JOIN document_versions dv ON dv.id = sh.document_version_id
+           WHERE sh.id = $1`,
+          [entry.drawing_sheet_id]
+        );
+        const row = sheet.rows[0];
+        if (!row || row.project_id !== projectId) return { error: `Drawing sheet ${entry.drawing_sheet_id} not found in this project` };
+        if (!row.document_id) return { error: `Drawing sheet ${entry.drawing_sheet_id} has no file to send` };
+        item = { document_id: row.document_id, document_version_id: row.document_version_id, drawing_sheet_id: row.id };
+      } else {
+        const document = await db.query('SELECT id, project_id FROM documents WHERE id = $1', [entry.document_id]);
+        if (!document.rows[0] || document.rows[0].project_id !== projectId) {
+          return { error: `Document ${entry.document_id} not found in this project` };
+        }
+        item = { document_id: entry.document_id, document_version_id: null, drawing_sheet_id: null };
+      }
+
+      if (entry.document_version_id) {
+        const version = await db.query('SELECT id FROM document_versions WHERE id = $1 AND document_id = $2',
+          [entry.document_version_id, item.document_id]);
+        if (version.rows.length === 0) return { error: `Version ${entry.document_version_id} is not a version of document ${item.document_id}` };
+        item.document_version_id = entry.document_version_id;
+      }
+
+      const key = `${item.document_id}:${item.drawing_sheet_id || ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      items.push({ ...item, copies: entry.copies || 1, notes: entry.notes || null });
+    }
+    return { items };
+  }
+
+  /**
+   * Create a draft with its drawings and requested recipients
+   * @param {Object} db - Transaction client
+   * @param {string} projectId
+   * @param {Object} fields - Validated request body
+   * @param {string} userId
+   * @returns {Promise<Object>} { transmittal, items } or { error, status }
+   */
+  async create(db, projectId, fields, userId) {
+    const resolved = await this.resolveItems(db, projectId, fields);
+    if (resolved.error) return { error: resolved.error, status: 400 };
+    if (resolved.items.length === 0) return { error: 'Add at least one drawing (items, document_ids or drawing_sheet_ids)', status: 400 };
+
+    const number = await this.nextNumber(db, projectId);
+    const result = await db.query(
+      `INSERT INTO drawing_transmittals (project_id, transmittal_number, subject, purpose, message, recipient_user_ids, recipient_roles,
+                                         acknowledge_by, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [projectId, number, fields.subject.trim(), fields.purpose || 'for_construction', fields.message || null,
+       [...new Set(fields.user_ids || [])], [...new Set(fields.roles || [])], fields.acknowledge_by || null, userId]
+    );
+    const items = await this.setItems(db, result.rows[0].id, resolved.items);
+    return { transmittal: result.rows[0], items };
+  }
+
+  /**
+   * Replace a draft's items
+   * @param {Object} db - Transaction client
+   * @param {string} transmittalId
+   * @param {Array<Object>} items - From resolveItems
+   * @returns {Promise<Array<Object>>} drawing_transmittal_items rows
+   */
+  async setItems(db, transmittalId, items) {
+    await db.query('DELETE FROM drawing_transmittal_items WHERE transmittal_id = $1', [transmittalId]);
+    const rows = [];
+    for (const [index, item] of items.entries()) {
+      const result = await db.query(
+        `INSERT INTO drawing_transmittal_items (transmittal_id, document_id, document_version_id, drawing_sheet_id, copies, notes, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [transmittalId, item.document_id, item.document_version_id, item.drawing_sheet_id, item.copies, item.notes, index + 1]
+      );
+      rows.push(result.rows[0]);
+    }
+    return rows;
+  }
+
+  // ==========================================================================
+  // SENDING
+  // ==========================================================================
+
+  /**
+   * Send a draft: resolve recipients, pin versions, issue download tokens and
+   * write the per-drawing distribution rows
+   * @param {Object} db - Transaction client
+   * @param {Object} transmittal - drawing_transmittals row, locked by the caller
+   * @param {string} userId - Sender
+   * @param {Object} options - { method: distribution_method recorded on the distribution rows }
+   * @returns {Promise<Object>} { transmittal, recipients, emptyRoles } or { error, status }
+   */
+  async send(db, transmittal, userId, { method = 'transmittal' } = {}) {
+    if (transmittal.status !== 'draft') return { error: 'Transmittal has already been sent', status: 409 };
+
+    const items = await db.query('SELECT * FROM drawing_transmittal_items WHERE transmittal_id = $1', [transmittal.id]);
+    if (items.rows.length === 0) return { error: 'Add at least one drawing before sending', status: 400 };
+
+    const resolved = await this.resolveRecipients(db, transmittal);
+    if (resolved.recipients.length === 0) {
+      return { error: 'No recipients: the named users and roles resolve to nobody on the project', status: 400 };
+    }
+
+    await db.query(
+      `UPDATE drawing_transmittal_items i
+       SET document_version_id = (SELECT dv.id FROM document_versions dv WHERE dv.document_id = i.document_id
+                                  ORDER BY dv.version_number DESC LIMIT 1)
+       WHERE i.transmittal_id = $1 AND i.document_version_id IS NULL`,
+      [transmittal.id]
+    );
+
+    const recipients = [];
+    for (const recipient of resolved.recipients) {
+      const result = await db.query(
+        `INSERT INTO drawing_transmittal_recipients (transmittal_id, user_id, via_role, access_token, token_expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' days')::interval) RETURNING *`,
+        [transmittal.id, recipient.user_id, recipient.via_role, crypto.randomBytes(24).toString('hex'), String(this.linkDays)]
+      );
+      recipients.push(result.rows[0]);
+    }
+
+    await db.query(
+      `INSERT INTO drawing_distributions
+       (document_id, distributed_to_user_id, distributed_to_role, distribution_method, distribution_notes, distributed_by, transmittal_id)
+       SELECT i.document_id, r.user_id, r.via_role, $4, $2, $3, $1
+       FROM drawing_transmittal_items i JOIN drawing_transmittal_recipients r ON r.transmittal_id = i.transmittal_id
+       WHERE i.transmittal_id = $1`,
+      [transmittal.id, `${transmittal.transmittal_number}: ${transmittal.subject}`, userId, method]
+    );
+
+    // Drawings move to 'distributed' in the drawing workflow unless already there
+    await db.query(
+      `INSERT INTO drawing_workflow_states (document_id, workflow_state, created_by, notes)
+       SELECT DISTINCT i.document_id, 'distributed', $2, $3
+       FROM drawing_transmittal_items i
+       WHERE i.transmittal_id = $1
+         AND COALESCE((SELECT ws.workflow_state FROM drawing_workflow_states ws WHERE ws.document_id = i.document_id
+                       ORDER BY ws.created_at DESC LIMIT 1), '') <> 'distributed'`,
+      [transmittal.id, userId, `Distributed on transmittal ${transmittal.transmittal_number}`]
+    );
+
+    const updated = await db.query(
+      `UPDATE drawing_transmittals SET status = 'sent', sent_by = $2, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [transmittal.id, userId]
+    );
+    return { transmittal: updated.rows[0], recipients, emptyRoles: resolved.emptyRoles };
+  }
+
+  /**
+   * Named users who are project members, plus the members holding each named
+   * role. A user named directly is not also counted under a role.
+   * @param {Object} db
+   * @param {Object} transmittal - drawing_transmittals row
+   * @returns {Promise<Object>} { recipients: [{ user_id, via_role }], emptyRoles: [role] }
+   */
+  async resolveRecipients(db, transmittal) {
+    const byUser = new Map();
+    if (transmittal.recipient_user_ids.length > 0) {
+      const direct = await db.query(
+        `SELECT pm.user_id FROM project_members pm JOIN users u ON u.id = pm.user_id
+         WHERE pm.project_id = $1 AND pm.user_id = ANY($2::UUID[]) AND COALESCE(u.is_active, true)`,
+        [transmittal.project_id, transmittal.recipient_user_ids]
+      );
+      for (const row of direct.rows) byUser.set(row.user_id, { user_id: row.user_id, via_role: null });
+    }
+
+    const emptyRoles = [];
+    for (const role of transmittal.recipient_roles) {
+      const members = await db.query(
+        `SELECT pm.user_id FROM project_members pm JOIN users u ON u.id = pm.user_id
+         WHERE pm.project_id = $1 AND pm.role = $2 AND COALESCE(u.is_active, true)`,
+        [transmittal.project_id, role]
+      );
+      if (members.rows.length === 0) emptyRoles.push(role);
+      for (const row of members.rows) {
+        if (!byUser.has(row.user_id)) byUser.set(row.user_id, { user_id: row.user_id, via_role: role });
+      }
+    }
+    return { recipients: [...byUser.values()], emptyRoles };
+  }
+
+  /**
+   * Tell recipients about a sent transmittal, with their download link
+   * @param {Object} transmittal - drawing_transmittals row
+   * @param {Array<Object>} recipients - drawing_transmittal_recipients rows
+   * @param {Object} options - { reminder, senderId }
+   * @returns {Promise<number>} Recipients notified
+   */
+  async notifyRecipients(transmittal, recipients, { reminder = false, senderId = null } = {}) {
+    const itemCount = await this.pool.query('SELECT COUNT(*)::int as count FROM drawing_transmittal_items WHERE transmittal_id = $1', [transmittal.id]);
+    const count = itemCount.rows[0].count;
+    let notified = 0;
+    for (const recipient of recipients) {
+      if (recipient.user_id === senderId && !reminder) continue;
+      const lines = [
+        `${count} drawing(s) ${transmittal.purpose.replace(/_/g, ' ')}.`,
+        transmittal.message,
+        `Download: ${this.accessLink(recipient.access_token)}`,
+        transmittal.acknowledge_by ? `Please confirm receipt by ${String(transmittal.acknowledge_by instanceof Date
+          ? transmittal.acknowledge_by.toISOString() : transmittal.acknowledge_by).slice(0, 10)}.` : 'Please confirm receipt.'
+      ].filter(Boolean);
+      await this.createNotification(recipient.user_id, 'assignment',
+        `${reminder ? 'Reminder: ' : ''}Transmittal ${transmittal.transmittal_number}: ${transmittal.subject}`,
+        lines.join('\n'), 'drawing_transmittal', transmittal.id);
+      await this.pool.query(
+        `UPDATE drawing_transmittal_recipients
+         SET notified_at = COALESCE(notified_at, CURRENT_TIMESTAMP),
+             last_reminded_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE last_reminded_at END
+         WHERE id = $1`,
+        [recipient.id, reminder]
+      );
+      notified++;
+    }
+    return notified;
+  }
+
+  /**
+   * Public link to a recipient's download page
+   * @param {string} token
+   * @returns {string}
+   */
+  accessLink(token) {
+    return `${this.apiUrl}/api/v1/transmittals/access/${token}`;
+  }
+
+  // ==========================================================================
+  // RECEIPT
+  // ==========================================================================
+
+  /**
+   * Recipient for a download-link token, or null when unknown or expired
+   * @param {string} token
+   * @returns {Promise<Object|null>} Recipient row with transmittal fields
+   */
+  async recipientForToken(token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{48}$/.test(token)) return null;
+    const result = await this.pool.query(
+      `SELECT r.*, t.project_id, t.transmittal_number, t.subject, t.purpose, t.message, t.acknowledge_by, t.sent_at,
+              p.name as project_name, u.first_name || ' ' || u.last_name as recipient_name
+       FROM drawing_transmittal_recipients r
+       JOIN drawing_transmittals t ON t.id = r.transmittal_id
+       JOIN projects p ON p.id = t.project_id
+       JOIN users u ON u.id = r.user_id
+       WHERE r.access_token = $1 AND r.token_expires_at > CURRENT_TIMESTAMP`,
+      [token]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a download through the link
+   * @param {string} recipientId
+   * @returns {Promise<void>}
+   */
+  async recordDownload(recipientId) {
+    await this.pool.query(
+      `UPDATE drawing_transmittal_recipients
+       SET download_count = download_count + 1, first_downloaded_at = COALESCE(first_downloaded_at, CURRENT_TIMESTAMP)
+       WHERE id = $1`,
+      [recipientId]
+    );
+  }
+
+  /**
+   * Confirm receipt for one recipient, and acknowledge their distribution rows
+   * @param {Object} db
+   * @param {string} transmittalId
+   * @param {string} userId
+   * @param {string} via - 'app', 'link' or 'distribution'
+   * @returns {Promise<Object|null>} Recipient row, or null when not a recipient
+   */
+  async acknowledge(db, transmittalId, userId, via) {
+    const result = await db.query(
+      `UPDATE drawing_transmittal_recipients
+       SET acknowledged_at = COALESCE(acknowledged_at, CURRENT_TIMESTAMP), acknowledged_via = COALESCE(acknowledged_via, $3)
+       WHERE transmittal_id = $1 AND user_id = $2 RETURNING *`,
+      [transmittalId, userId, via]
+    );
+    if (result.rows.length === 0) return null;
+
+    await db.query(
+      `UPDATE drawing_distributions SET acknowledged = true, acknowledged_at = COALESCE(acknowledged_at, CURRENT_TIMESTAMP)
+       WHERE transmittal_id = $1 AND distributed_to_user_id = $2`,
+      [transmittalId, userId]
+    );
+    return result.rows[0];
+  }
+
+  // ==========================================================================
+  // READING
+  // ==========================================================================
+
+  /**
+   * A transmittal with its items (and file paths) and recipients
+   * @param {Object} db
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async detail(db, id) {
+    const result = await db.query(
+      `SELECT t.*, su.first_name || ' ' || su.last_name as sent_by_name, cu.first_name || ' ' || cu.last_name as created_by_name
+       FROM drawing_transmittals t
+       LEFT JOIN users su ON su.id = t.sent_by
+       LEFT JOIN users cu ON cu.id = t.created_by
+       WHERE t.id = $1`,
+      [id]
+    );
+    if (result.rows.length === 0) return null;
+
+    const [items, recipients] = await Promise.all([
+      db.query(
+        `SELECT i.*, d.name as document_name, d.mime_type, dv.version_number,
+                COALESCE(dv.file_path, d.file_path) as file_path,
+                sh.sheet_number, sh.title as sheet_title, sh.revision
+         FROM drawing_transmittal_items i
+         JOIN documents d ON d.id = i.document_id
+         LEFT JOIN document_versions dv ON dv.id = i.document_version_id
+         LEFT JOIN drawing_sheets sh ON sh.id = i.drawing_sheet_id
+         WHERE i.transmittal_id = $1 ORDER BY i.sort_order`,
+        [id]
+      ),
+      db.query(
+        `SELECT r.id, r.user_id, r.via_role, r.notified_at, r.last_reminded_at, r.first_downloaded_at, r.download_count,
+                r.acknowledged_at, r.acknowledged_via, r.token_expires_at,
+                u.first_name || ' ' || u.last_name as name, u.email, o.name as company_name
+         FROM drawing_transmittal_recipients r
+         JOIN users u ON u.id = r.user_id
+         LEFT JOIN LATERAL (SELECT org.name FROM user_organizations uo JOIN organizations org ON org.id = uo.organization_id
+                            WHERE uo.user_id = r.user_id LIMIT 1) o ON true
+         WHERE r.transmittal_id = $1 ORDER BY u.last_name, u.first_name`,
+        [id]
+      )
+    ]);
+    return { ...result.rows[0], items: items.rows, recipients: recipients.rows };
+  }
+
+  /**
+   * Outstanding acknowledgements on a project's sent transmittals
+   * @param {string} projectId
+   * @returns {Promise<Object>} { summary, outstanding, by_recipient }
+   */
+  async acknowledgements(projectId) {
+    const totals = await this.pool.query(
+      `SELECT COUNT(DISTINCT t.id)::int as transmittals, COUNT(r.id)::int as recipients,
+              COUNT(r.acknowledged_at)::int as acknowledged,
+              COUNT(r.id) FILTER (WHERE r.acknowledged_at IS NULL)::int as outstanding,
+              COUNT(r.id) FILTER (WHERE r.acknowledged_at IS NULL AND t.acknowledge_by < CURRENT_DATE)::int as overdue
+       FROM drawing_transmittals t JOIN drawing_transmittal_recipients r ON r.transmittal_id = t.id
+       WHERE t.project_id = $1 AND t.status = 'sent'`,
+      [projectId]
+    );
+
+    const outstanding = await this.pool.query(
+      `SELECT t.id as transmittal_id, t.transmittal_number, t.subject, t.sent_at, t.acknowledge_by,
+              r.user_id, u.first_name || ' ' || u.last_name as name, u.email, r.via_role,
+              r.notified_at, r.last_reminded_at, r.first_downloaded_at, r.download_count,
+              (CURRENT_DATE - t.sent_at::date) as days_outstanding,
+              (t.acknowledge_by IS NOT NULL AND t.acknowledge_by < CURRENT_DATE) as overdue
+       FROM drawing_transmittals t
+       JOIN drawing_transmittal_recipients r ON r.transmittal_id = t.id
+       JOIN users u ON u.id = r.user_id
+       WHERE t.project_id = $1 AND t.status = 'sent' AND r.acknowledged_at IS NULL
+       ORDER BY t.sent_at, u.last_name, u.first_name`,
+      [projectId]
+    );
+
+    const byRecipient = new Map();
+    for (const row of outstanding.rows) {
+      if (!byRecipient.has(row.user_id)) {
+        byRecipient.set(row.user_id, { user_id: row.user_id, name: row.name, email: row.email, outstanding: 0, overdue: 0, oldest_sent_at: row.sent_at });
+      }
+      const entry = byRecipient.get(row.user_id);
+      entry.outstanding++;
+      if (row.overdue) entry.overdue++;
+    }
+
+    return {
+      summary: totals.rows[0],
+      outstanding: outstanding.rows,
+      by_recipient: [...byRecipient.values()].sort((a, b) => b.outstanding - a.outstanding)
+    };
+  }
+}
+
+module.exports = DrawingTransmittals;
@@ -0,0 +1,636 @@
+// ============================================================================
+// EARNED VALUE
+// Cost-loads schedule tasks from budget cost codes and measures them:
+// PV, EV, AC, SPI, CPI, EAC and VAC at task, WBS and project level, periodic
+// snapshots of those, and S-curve data
+// ============================================================================
+//
+// - BAC: the amounts loaded onto tasks (task_cost_loads). Budget that is not
+//   loaded onto any task is not measured.
+// - PV: each task's BAC spread evenly over the working days between its
+//   planned start and finish on its calendar, up to the status date. Dates
+//   come from the active baseline; tasks it does not hold use current dates.
+// - EV: BAC x percent complete (100 once the task is completed), as recorded
+//   when the measurement is taken.
+// - AC: approved and paid pay application lines for the cost code whose
+//   period ends on or before the status date. A cost code's actual cost is
+//   spread over the tasks loaded from it in proportion to what they have
+//   earned (or their BAC, before anything is earned). Cost codes with no
+//   loaded task are reported as unallocated_actual and left out of AC.
+// - EAC = BAC / CPI (AC + BAC - EV until there is a CPI), ETC = EAC - AC,
+//   VAC = BAC - EAC, TCPI = (BAC - EV) / (BAC - AC).
+// ============================================================================
+
+const WorkCalendar = require('./WorkCalendar');
+
+const PERIODS = ['weekly', 'monthly', 'none'];
+const S_CURVE_INTERVALS = ['week', 'month'];
+const ACTUAL_INVOICE_STATUSES = ['approved', 'paid'];
+const MAX_S_CURVE_POINTS = 600;
+
+const toDay = WorkCalendar.toDayNumber;
+const toDate = WorkCalendar.fromDayNumber;
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+const ratio = (numerator, denominator) => (denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null);
+// Day numbers count from Thursday 1970-01-01; 0 is Sunday
+const weekday = (day) => (((day + 4) % 7) + 7) % 7;
+
+class EarnedValue {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} scheduleEngine - ScheduleEngine, for the project's calendars
+   * @param {Object} options
+   * @param {number} options.pollIntervalMs - How often the worker looks for periods to snapshot
+   */
+  constructor(pool, scheduleEngine, options = {}) {
+    this.pool = pool;
+    this.scheduleEngine = scheduleEngine;
+    this.pollIntervalMs = options.pollIntervalMs
+      || parseInt(process.env.EVM_SNAPSHOT_POLL_INTERVAL_MS, 10)
+      || 6 * 60 * 60 * 1000;
+    this._timer = null;
+    this._processing = false;
+  }
+
+  static get periods() {
+    return PERIODS;
+  }
+
+  static get sCurveIntervals() {
+    return S_CURVE_INTERVALS;
+  }
+
+  // ==========================================================================
+  // COST LOADING
+  // ==========================================================================
+
+  /**
+   * A task's cost loads with their cost codes
+   * @param {Object} db
+   * @param {string} taskId
+   * @returns {Promise<Array<Object>>}
+   */
+  async costLoads(db, taskId) {
+    const result = await db.query(
+      `SELECT l.*, bl.cost_code, bl.description as cost_code_description
+       FROM task_cost_loads l JOIN budget_lines bl ON bl.id = l.budget_line_id
+       WHERE l.task_id = $1 ORDER BY bl.cost_code`,
+      [taskId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Replace a task's cost loads and set its budgeted_cost to their total
+   * @param {Object} db - Transaction client
+   * @param {Object} task - schedule_tasks row
+   * @param {Array<Object>} loads - [{ budget_line_id, amount }]
+   * @param {string} userId
+   * @returns {Promise<Object>} { loads, budgeted_cost } or { error, status }
+   */
+  async setCostLoads(db, task, loads, userId) {
+    if (!Array.isArray(loads)) return { error: 'loads must be an array of { budget_line_id, amount }', status: 400 };
+    if (loads.some(load => !load.budget_line_id || !(Number.isFinite(Number(load.amount)) && Number(load.amount) >= 0))) {
+      return { error: 'Every load needs a budget_line_id and a non-negative amount', status: 400 };
+    }
+    const budgetLineIds = loads.map(load => load.budget_line_id);
+    if (new Set(budgetLineIds).size !== budgetLineIds.length) {
+      return { error: 'Each cost code can be loaded onto a task once', status: 400 };
+    }
+    if (budgetLineIds.length > 0) {
+      const lines = await db.query(
+        'SELECT id FROM budget_lines WHERE id = ANY($1::UUID[]) AND project_id = $2',
+        [budgetLineIds, task.project_id]
+      );
+      if (lines.rows.length !== budgetLineIds.length) {
+        return { error: 'budget_line_id must reference budget lines on this project', status: 400 };
+      }
+    }
+
+    await db.query('DELETE FROM task_cost_loads WHERE task_id = $1', [task.id]);
+    for (const load of loads) {
+      await db.query(
+        'INSERT INTO task_cost_loads (task_id, budget_line_id, amount, created_by) VALUES ($1, $2, $3, $4)',
+        [task.id, load.budget_line_id, load.amount, userId]
+      );
+    }
+    const total = fromCents(loads.reduce((sum, load) => sum + toCents(load.amount), 0));
+    await db.query('UPDATE schedule_tasks SET budgeted_cost = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [total, task.id]);
+
+    return { loads: await this.costLoads(db, task.id), budgeted_cost: total };
+  }
+
+  /**
+   * Per cost code: budget, amount loaded onto tasks and what is left
+   * @param {string} projectId
+   * @returns {Promise<Object>} { lines, totals }
+   */
+  async loadingSummary(projectId) {
+    const result = await this.pool.query(
+      `SELECT bl.id as budget_line_id, bl.cost_code, bl.description, bl.category,
+              bl.budgeted_amount, COALESCE(SUM(l.amount), 0) as loaded_amount, COUNT(l.id) as task_count
+       FROM budget_lines bl LEFT JOIN task_cost_loads l ON l.budget_line_id = bl.id
+       WHERE bl.project_id = $1
+       GROUP BY bl.id
+       ORDER BY bl.cost_code`,
+      [projectId]
+    );
+    const lines = result.rows.map(row => {
+      const budgeted = toCents(row.budgeted_amount);
+      const loaded = toCents(row.loaded_amount);
+      return {
+        budget_line_id: row.budget_line_id,
+        cost_code: row.cost_code,
+        description: row.description,
+        category: row.category,
+        budgeted_amount: fromCents(budgeted),
+        loaded_amount: fromCents(loaded),
+        unloaded_amount: fromCents(budgeted - loaded),
+        task_count: parseInt(row.task_count, 10),
+        over_loaded: loaded > budgeted
+      };
+    });
+    const sum = key => fromCents(lines.reduce((total, line) => total + toCents(line[key]), 0));
+    return {
+      lines,
+      totals: { budgeted_amount: sum('budgeted_amount'), loaded_amount: sum('loaded_amount'), unloaded_amount: sum('unloaded_amount') }
+    };
+  }
+
+  // ==========================================================================
+  // MEASUREMENT
+  // ==========================================================================
+
+  /**
+   * Earned value at a status date
+   * @param {Object} db
+   * @param {string} projectId
+   * @param {string} statusDate - YYYY-MM-DD
+   * @returns {Promise<Object>} { status_date, baseline, project, wbs, tasks, unallocated_actual }
+   */
+  async measure(db, projectId, statusDate) {
+    const inputs = await this._loadInputs(db, projectId, statusDate);
+    const statusDay = toDay(statusDate);
+
+    // Cost code actuals spread over the tasks loaded from them
+    const byLine = new Map();
+    for (const load of inputs.loads) {
+      const task = inputs.tasks.get(load.task_id);
+      const entry = byLine.get(load.budget_line_id) || { loads: [], bac: 0, ev: 0 };
+      const bac = toCents(load.amount);
+      const ev = Math.round(bac * task.fraction_complete);
+      entry.loads.push({ task, bac, ev });
+      entry.bac += bac;
+      entry.ev += ev;
+      byLine.set(load.budget_line_id, entry);
+    }
+    let unallocated = 0;
+    for (const [budgetLineId, actual] of inputs.actuals) {
+      const entry = byLine.get(budgetLineId);
+      if (!entry) {
+        unallocated += actual;
+        continue;
+      }
+      const weight = load => (entry.ev > 0 ? load.ev / entry.ev : entry.bac > 0 ? load.bac / entry.bac : 1 / entry.loads.length);
+      let remaining = actual;
+      entry.loads.forEach((load, index) => {
+        // The last load takes the rounding remainder so the code's total is exact
+        const share = index === entry.loads.length - 1 ? remaining : Math.round(actual * weight(load));
+        load.task.ac += share;
+        remaining -= share;
+      });
+    }
+
+    const rows = [];
+    for (const entry of byLine.values()) {
+      for (const load of entry.loads) {
+        load.task.bac += load.bac;
+        load.task.ev += load.ev;
+      }
+    }
+    for (const task of inputs.tasks.values()) {
+      if (task.bac === 0 && task.ac === 0) continue;
+      const calendar = inputs.calendars.get(task.work_calendar_id) || inputs.defaultCalendar;
+      const planned = EarnedValue.plannedFraction(calendar, task.pv_start, task.pv_finish, statusDay);
+      task.pv = Math.round(task.bac * planned);
+      rows.push(task);
+    }
+
+    // Summary tasks roll up everything beneath them (and anything loaded on themselves)
+    const wbs = new Map();
+    for (const task of rows) {
+      for (let parent = inputs.tasks.get(task.parent_task_id), guard = 0; parent && guard < 100; parent = inputs.tasks.get(parent.parent_task_id), guard++) {
+        const node = wbs.get(parent.id) || { task: parent, bac: 0, pv: 0, ev: 0, ac: 0 };
+        node.bac += task.bac;
+        node.pv += task.pv;
+        node.ev += task.ev;
+        node.ac += task.ac;
+        wbs.set(parent.id, node);
+      }
+    }
+    for (const task of rows) {
+      const node = wbs.get(task.id);
+      if (!node) continue;
+      node.bac += task.bac;
+      node.pv += task.pv;
+      node.ev += task.ev;
+      node.ac += task.ac;
+    }
+
+    const describe = (task) => ({ task_id: task.id, task_code: task.task_code, name: task.name });
+    const totals = rows.reduce((sum, task) => ({
+      bac: sum.bac + task.bac, pv: sum.pv + task.pv, ev: sum.ev + task.ev, ac: sum.ac + task.ac
+    }), { bac: 0, pv: 0, ev: 0, ac: 0 });
+
+    return {
+      status_date: statusDate,
+      baseline: inputs.baseline ? { id: inputs.baseline.id, name: inputs.baseline.name } : null,
+      project: EarnedValue.metrics(totals),
+      wbs: [...wbs.values()]
+        .sort((a, b) => String(a.task.task_code || a.task.name).localeCompare(String(b.task.task_code || b.task.name)))
+        .map(node => ({ ...describe(node.task), ...EarnedValue.metrics(node) })),
+      tasks: rows
+        .sort((a, b) => String(a.task_code || a.name).localeCompare(String(b.task_code || b.name)))
+        .map(task => ({ ...describe(task), parent_task_id: task.parent_task_id, ...EarnedValue.metrics(task) })),
+      unallocated_actual: fromCents(unallocated)
+    };
+  }
+
+  /**
+   * Measure and store a snapshot
+   * @param {Object} db
+   * @param {string} projectId
+   * @param {Object} options
+   * @param {string} options.statusDate - YYYY-MM-DD
+   * @param {string} options.period - 'manual', 'weekly' or 'monthly'
+   * @param {string} options.userId
+   * @param {boolean} options.replace - Retake an existing snapshot for the date (default true)
+   * @returns {Promise<Object|null>} evm_snapshots row; null when one existed and replace is false
+   */
+  async takeSnapshot(db, projectId, { statusDate, period = 'manual', userId = null, replace = true }) {
+    const measured = await this.measure(db, projectId, statusDate);
+    const p = measured.project;
+    const result = await db.query(
+      `INSERT INTO evm_snapshots (
+        project_id, status_date, period, baseline_id, bac, pv, ev, ac, sv, cv, spi, cpi, eac, etc, vac, tcpi,
+        unallocated_actual, tasks, wbs, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      ON CONFLICT (project_id, status_date) DO ${replace ? `UPDATE SET
+        period = EXCLUDED.period, baseline_id = EXCLUDED.baseline_id, bac = EXCLUDED.bac, pv = EXCLUDED.pv,
+        ev = EXCLUDED.ev, ac = EXCLUDED.ac, sv = EXCLUDED.sv, cv = EXCLUDED.cv, spi = EXCLUDED.spi, cpi = EXCLUDED.cpi,
+        eac = EXCLUDED.eac, etc = EXCLUDED.etc, vac = EXCLUDED.vac, tcpi = EXCLUDED.tcpi,
+        unallocated_actual = EXCLUDED.unallocated_actual, tasks = EXCLUDED.tasks, wbs = EXCLUDED.wbs,
+        created_by = EXCLUDED.created_by, updated_at = CURRENT_TIMESTAMP` : 'NOTHING'}
+      RETURNING *`,
+      [
+        projectId, statusDate, period, measured.baseline ? measured.baseline.id : null,
+        p.bac, p.pv, p.ev, p.ac, p.sv, p.cv, p.spi, p.cpi, p.eac, p.etc, p.vac, p.tcpi,
+        measured.unallocated_actual, JSON.stringify(measured.tasks), JSON.stringify(measured.wbs), userId
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Cumulative PV at every period end over the project, with EV and AC from
+   * the snapshots (each point up to the last snapshot holds the latest one on
+   * or before it)
+   * @param {string} projectId
+   * @param {Object} options
+   * @param {string} options.interval - 'week' or 'month'
+   * @returns {Promise<Object>} { interval, baseline, bac, points: [{ date, pv, ev, ac, snapshot }] } or { error, status }
+   */
+  async sCurve(projectId, { interval = 'month' } = {}) {
+    const today = toDate(toDay(new Date()));
+    const inputs = await this._loadInputs(this.pool, projectId, today);
+    const snapshots = await this.pool.query(
+      `SELECT to_char(status_date, 'YYYY-MM-DD') as status_date, bac, pv, ev, ac
+       FROM evm_snapshots WHERE project_id = $1 ORDER BY status_date`,
+      [projectId]
+    );
+
+    const loaded = [...inputs.tasks.values()].filter(task => task.loaded_bac > 0);
+    const bac = loaded.reduce((sum, task) => sum + task.loaded_bac, 0);
+    const snapshotDays = snapshots.rows.map(row => toDay(row.status_date));
+    const starts = loaded.map(task => task.pv_start).filter(day => day !== null);
+    const finishes = [...loaded.map(task => task.pv_finish), ...snapshotDays].filter(day => day !== null);
+    if (starts.length === 0 && snapshotDays.length === 0) {
+      return { interval, baseline: null, bac: 0, points: [] };
+    }
+    const first = Math.min(...starts, ...snapshotDays);
+    const last = Math.max(...finishes);
+    const lastSnapshotDay = snapshotDays.length > 0 ? snapshotDays[snapshotDays.length - 1] : null;
+
+    // The day before the first start anchors the curve at zero
+    const days = new Set([first - 1, ...periodEnds(interval, first, last), ...snapshotDays, last]);
+    if (days.size > MAX_S_CURVE_POINTS) {
+      return { error: `The schedule spans more than ${MAX_S_CURVE_POINTS} ${interval}s; use a longer interval`, status: 400 };
+    }
+
+    const points = [...days].sort((a, b) => a - b).map(day => {
+      let pv = 0;
+      for (const task of loaded) {
+        const calendar = inputs.calendars.get(task.work_calendar_id) || inputs.defaultCalendar;
+        pv += Math.round(task.loaded_bac * EarnedValue.plannedFraction(calendar, task.pv_start, task.pv_finish, day));
+      }
+      // Nothing is known about EV and AC after the last snapshot
+      const index = day > lastSnapshotDay ? -1 : snapshotDays.findLastIndex(snapshotDay => snapshotDay <= day);
+      const snapshot = index >= 0 ? snapshots.rows[index] : null;
+      return {
+        date: toDate(day),
+        pv: fromCents(pv),
+        ev: snapshot ? Number(snapshot.ev) : null,
+        ac: snapshot ? Number(snapshot.ac) : null,
+        snapshot: snapshotDays[index] === day
+      };
+    });
+
+    return {
+      interval,
+      baseline: inputs.baseline ? { id: inputs.baseline.id, name: inputs.baseline.name } : null,
+      bac: fromCents(bac),
+      points
+    };
+  }
+
+  /**
+   * A stored snapshot in the shape measure returns
+   * @param {Object} row - evm_snapshots row
+   * @returns {Object}
+   */
+  static fromSnapshot(row) {
+    return {
+      id: row.id,
+      status_date: WorkCalendar.fromDayNumber(toDay(row.status_date)),
+      period: row.period,
+      baseline_id: row.baseline_id,
+      project: EarnedValue.metrics({ bac: toCents(row.bac), pv: toCents(row.pv), ev: toCents(row.ev), ac: toCents(row.ac) }),
+      wbs: row.wbs,
+      tasks: row.tasks,
+      unallocated_actual: Number(row.unallocated_actual),
+      created_by: row.created_by,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * One table of project, WBS and task rows for CSV export
+   * @param {Object} measured - { project, wbs, tasks } from measure or a snapshot
+   * @returns {Object} { columns, rows } in the shape toCsv takes
+   */
+  static exportRows({ project, wbs, tasks }) {
+    const money = value => (value === null || value === undefined ? '' : Number(value).toFixed(2));
+    const columns = [
+      { key: 'level', header: 'Level' },
+      { key: 'task_code', header: 'Code' },
+      { key: 'name', header: 'Name' },
+      ...['bac', 'pv', 'ev', 'ac', 'sv', 'cv'].map(key => ({ key, header: key.toUpperCase(), format: money })),
+      { key: 'spi', header: 'SPI' },
+      { key: 'cpi', header: 'CPI' },
+      ...['eac', 'etc', 'vac'].map(key => ({ key, header: key.toUpperCase(), format: money })),
+      { key: 'tcpi', header: 'TCPI' },
+      { key: 'percent_planned', header: 'Planned %' },
+      { key: 'percent_complete', header: 'Complete %' }
+    ];
+    return {
+      columns,
+      rows: [
+        { level: 'project', task_code: '', name: 'Project', ...project },
+        ...wbs.map(row => ({ level: 'wbs', ...row })),
+        ...tasks.map(row => ({ level: 'task', ...row }))
+      ]
+    };
+  }
+
+  /**
+   * Share of a task's work planned by the end of a day: working days from its
+   * start through the day over its working days
+   * @param {WorkCalendar} calendar
+   * @param {number|null} startDay
+   * @param {number|null} finishDay
+   * @param {number} day
+   * @returns {number} 0..1
+   */
+  static plannedFraction(calendar, startDay, finishDay, day) {
+    if (startDay === null) return 0;
+    const finish = finishDay === null || finishDay < startDay ? startDay : finishDay;
+    if (day < startDay) return 0;
+    if (day >= finish) return 1;
+    const total = calendar.workingDaysBetween(startDay - 1, finish);
+    return total > 0 ? calendar.workingDaysBetween(startDay - 1, day) / total : 0;
+  }
+
+  /**
+   * Derived measures from BAC, PV, EV and AC in cents
+   * @param {Object} values - { bac, pv, ev, ac } in cents
+   * @returns {Object} Everything in currency units, indices to three places
+   */
+  static metrics({ bac, pv, ev, ac }) {
+    const cpi = ratio(ev, ac);
+    const eac = ev > 0 && ac > 0 ? Math.round((bac * ac) / ev) : ac + Math.max(bac - ev, 0);
+    return {
+      bac: fromCents(bac),
+      pv: fromCents(pv),
+      ev: fromCents(ev),
+      ac: fromCents(ac),
+      sv: fromCents(ev - pv),
+      cv: fromCents(ev - ac),
+      spi: ratio(ev, pv),
+      cpi,
+      eac: fromCents(eac),
+      etc: fromCents(eac - ac),
+      vac: fromCents(bac - eac),
+      tcpi: ratio(bac - ev, bac - ac),
+      percent_planned: bac > 0 ? Math.round((pv / bac) * 1000) / 10 : null,
+      percent_complete: bac > 0 ? Math.round((ev / bac) * 1000) / 10 : null
+    };
+  }
+
+  /**
+   * The last period end strictly before a day: the previous Sunday, or the
+   * last day of the previous month
+   * @param {string} period - 'weekly' or 'monthly'
+   * @param {number} today - Day number
+   * @returns {string} YYYY-MM-DD
+   */
+  static lastPeriodEnd(period, today) {
+    if (period === 'weekly') {
+      return toDate(today - (weekday(today) === 0 ? 7 : weekday(today)));
+    }
+    const date = new Date(today * 24 * 60 * 60 * 1000);
+    return toDate(toDay(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 0)).toISOString().slice(0, 10)));
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  /**
+   * Start taking period-end snapshots
+   */
+  start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.snapshotPeriods().catch((error) => {
+        console.error('EVM snapshot error:', error);
+      });
+    }, this.pollIntervalMs);
+
+    // Never hold the process open just for the worker
+    this._timer.unref();
+    console.log(`📈 EVM period snapshots checked every ${Math.round(this.pollIntervalMs / 60000)} min`);
+    setImmediate(() => {
+      this.snapshotPeriods().catch((error) => {
+        console.error('EVM snapshot error:', error);
+      });
+    });
+  }
+
+  /**
+   * Stop taking period-end snapshots
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Snapshot every cost-loaded project whose last period end has none yet.
+   * A snapshot already taken for that date (by hand or another instance) is kept.
+   * @returns {Promise<number>} Snapshots taken
+   */
+  async snapshotPeriods() {
+    if (this._processing) return 0;
+    this._processing = true;
+
+    try {
+      const projects = await this.pool.query(
+        `SELECT p.id, p.evm_period FROM projects p
+         WHERE p.evm_period IN ('weekly', 'monthly')
+           AND EXISTS (SELECT 1 FROM task_cost_loads l JOIN schedule_tasks t ON t.id = l.task_id WHERE t.project_id = p.id)`
+      );
+      const today = toDay(new Date());
+      let taken = 0;
+      for (const project of projects.rows) {
+        const statusDate = EarnedValue.lastPeriodEnd(project.evm_period, today);
+        const existing = await this.pool.query(
+          'SELECT 1 FROM evm_snapshots WHERE project_id = $1 AND status_date = $2',
+          [project.id, statusDate]
+        );
+        if (existing.rows.length > 0) continue;
+        try {
+          const snapshot = await this.takeSnapshot(this.pool, project.id, { statusDate, period: project.evm_period, replace: false });
+          if (snapshot) taken += 1;
+        } catch (error) {
+          console.error(`EVM snapshot failed for project ${project.id}:`, error.message);
+        }
+      }
+      return taken;
+    } finally {
+      this._processing = false;
+    }
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Tasks (with the dates PV is measured on and fraction complete), cost
+   * loads, cost code actuals to the status date, the active baseline and calendars
+   * @private
+   */
+  async _loadInputs(db, projectId, statusDate) {
+    const [tasks, loads, baselines, actuals, calendars] = await Promise.all([
+      db.query(
+        `SELECT id, parent_task_id, task_code, name, status, percent_complete, work_calendar_id,
+                to_char(planned_start_date, 'YYYY-MM-DD') as planned_start_date,
+                to_char(planned_end_date, 'YYYY-MM-DD') as planned_end_date
+         FROM schedule_tasks WHERE project_id = $1`,
+        [projectId]
+      ),
+      db.query(
+        `SELECT l.task_id, l.budget_line_id, l.amount
+         FROM task_cost_loads l JOIN schedule_tasks t ON t.id = l.task_id
+         WHERE t.project_id = $1 ORDER BY l.task_id, l.budget_line_id`,
+        [projectId]
+      ),
+      db.query(
+        'SELECT id, name, task_snapshot FROM schedule_baselines WHERE project_id = $1 AND is_active = true LIMIT 1',
+        [projectId]
+      ),
+      db.query(
+        `SELECT sl.budget_line_id, SUM(cil.amount) as amount
+         FROM commitment_invoice_lines cil
+         JOIN commitment_invoices ci ON ci.id = cil.invoice_id
+         JOIN commitments c ON c.id = ci.commitment_id
+         JOIN sov_lines sl ON sl.id = cil.sov_line_id
+         WHERE c.project_id = $1 AND ci.status = ANY($2::VARCHAR[]) AND sl.budget_line_id IS NOT NULL
+           AND COALESCE(ci.period_end, ci.invoice_date) <= $3
+         GROUP BY sl.budget_line_id`,
+        [projectId, ACTUAL_INVOICE_STATUSES, statusDate]
+      ),
+      this.scheduleEngine.loadCalendars(db, projectId)
+    ]);
+
+    const baseline = baselines.rows[0] || null;
+    const baselineDates = new Map((baseline?.task_snapshot || []).map(task => [task.id, task]));
+    const byId = new Map();
+    for (const row of tasks.rows) {
+      const planned = baselineDates.get(row.id) || row;
+      byId.set(row.id, {
+        ...row,
+        fraction_complete: row.status === 'completed' ? 1 : Math.min(100, Math.max(0, Number(row.percent_complete) || 0)) / 100,
+        pv_start: toDay(planned.planned_start_date),
+        pv_finish: toDay(planned.planned_end_date),
+        loaded_bac: 0,
+        bac: 0,
+        pv: 0,
+        ev: 0,
+        ac: 0
+      });
+    }
+    for (const load of loads.rows) {
+      byId.get(load.task_id).loaded_bac += toCents(load.amount);
+    }
+
+    return {
+      tasks: byId,
+      loads: loads.rows,
+      baseline,
+      actuals: new Map(actuals.rows.map(row => [row.budget_line_id, toCents(row.amount)])),
+      calendars: calendars.calendars,
+      defaultCalendar: calendars.defaultCalendar
+    };
+  }
+}
+
+/**
+ * Period ends (Sundays, or last days of months) from the one on or after
+ * `from` through the first on or after `to`
+ * @private
+ */
+function periodEnds(interval, from, to) {
+  const ends = [];
+  if (interval === 'week') {
+    for (let day = from + ((7 - weekday(from)) % 7); ; day += 7) {
+      ends.push(day);
+      if (day >= to || ends.length > MAX_S_CURVE_POINTS) break;
+    }
+    return ends;
+  }
+  const start = new Date(from * 24 * 60 * 60 * 1000);
+  for (let month = 0; ; month++) {
+    const day = toDay(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + month + 1, 0)).toISOString().slice(0, 10));
+    ends.push(day);
+    if (day >= to || ends.length > MAX_S_CURVE_POINTS) break;
+  }
+  return ends;
+}
+
+module.exports = EarnedValue;
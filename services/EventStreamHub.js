@@ -0,0 +1,349 @@
+// ============================================================================
+// EVENT STREAM HUB
+// Fans out new notifications and system_events to Server-Sent Events clients
+// from a single LISTEN connection (see migrations/011_event_stream.sql)
+// ============================================================================
+
+const CHANNEL = 'buildpro_stream';
+const HEARTBEAT_MS = 25 * 1000;
+const MEMBERSHIP_REFRESH_MS = 60 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+const REPLAY_LIMIT = 500;
+
+// stream_seq comes from one sequence shared by both tables and doubles as the
+// SSE event id, so a single Last-Event-ID resumes both in order. Unlike
+// created_at it is unique, even for rows written in the same transaction.
+const CURSOR_COLUMN = `stream_seq AS stream_cursor`;
+
+class EventStreamHub {
+  constructor(pool) {
+    this.pool = pool;
+    this.clients = new Set();
+    this._listener = null;
+    this._starting = null;
+    this._stopped = false;
+    this._heartbeatTimer = null;
+    this._membershipTimer = null;
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Open the LISTEN connection. Called lazily when the first client connects.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this._listener) return;
+    if (this._starting) return this._starting;
+
+    this._stopped = false;
+    this._starting = (async () => {
+      try {
+        const client = await this.pool.connect();
+
+        client.on('notification', (message) => {
+          this._handleNotification(message).catch((error) => {
+            console.error('Event stream dispatch error:', error);
+          });
+        });
+
+        client.on('error', (error) => {
+          console.error('Event stream listener error:', error.message);
+          this._dropListener(true);
+        });
+
+        await client.query(`LISTEN ${CHANNEL}`);
+        this._listener = client;
+
+        this._heartbeatTimer = setInterval(() => this._heartbeat(), HEARTBEAT_MS);
+        this._heartbeatTimer.unref();
+        this._membershipTimer = setInterval(() => {
+          this._refreshMemberships().catch((error) => {
+            console.error('Event stream membership refresh error:', error);
+          });
+        }, MEMBERSHIP_REFRESH_MS);
+        this._membershipTimer.unref();
+
+        console.log('📡 Event stream listening for notifications and system events');
+      } catch (error) {
+        console.error('Event stream failed to start:', error.message);
+        this._scheduleReconnect();
+      } finally {
+        this._starting = null;
+      }
+    })();
+
+    return this._starting;
+  }
+
+  /**
+   * Close every client and release the LISTEN connection
+   */
+  stop() {
+    this._stopped = true;
+
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+
+    this._dropListener(false);
+  }
+
+  // ==========================================================================
+  // CLIENTS
+  // ==========================================================================
+
+  /**
+   * Register a connected SSE response and replay anything it missed.
+   * Live events that arrive during the replay are held back and flushed
+   * afterwards so the client always sees cursors in increasing order.
+   * @param {Object} client - { userId, res, projectFilter, types }
+   * @param {string} lastEventId - Value of the Last-Event-ID header, if any
+   * @returns {Promise<number>} Number of events replayed
+   */
+  async addClient(client, lastEventId) {
+    client.projectIds = await this._loadProjectIds(client.userId);
+    client.pending = [];
+    client.replayedIds = new Set();
+    this.clients.add(client);
+
+    await this.start();
+
+    let replayed = 0;
+    try {
+      if (/^\d+$/.test(String(lastEventId || ''))) {
+        replayed = await this._replay(client, String(lastEventId));
+      }
+    } finally {
+      const pending = client.pending;
+      client.pending = null;
+      for (const { event, row } of pending) {
+        if (!client.replayedIds.has(row.id)) {
+          this._send(client, event, row);
+        }
+      }
+      client.replayedIds = null;
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Unregister a client (connection closed)
+   */
+  removeClient(client) {
+    this.clients.delete(client);
+  }
+
+  /**
+   * Write a single SSE frame (or hold it while the client is replaying)
+   * @param {Object} client - Registered client
+   * @param {string} event - SSE event name
+   * @param {Object} row - Database row including stream_cursor
+   */
+  _send(client, event, row) {
+    if (client.pending) {
+      client.pending.push({ event, row });
+      return;
+    }
+
+    const { stream_cursor: cursor, ...data } = row;
+    client.res.write(`id: ${cursor}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Send everything newer than the client's cursor (Last-Event-ID resume)
+   * @private
+   */
+  async _replay(client, since) {
+    const rows = [];
+
+    if (client.types.has('notification')) {
+      const result = await this.pool.query(
+        `SELECT *, ${CURSOR_COLUMN}
+         FROM notifications
+         WHERE user_id = $1
+           AND stream_seq > $2::BIGINT
+         ORDER BY stream_seq
+         LIMIT ${REPLAY_LIMIT}`,
+        [client.userId, since]
+      );
+      rows.push(...result.rows.map(row => ({ event: 'notification', row })));
+    }
+
+    const projectIds = this._visibleProjects(client);
+    if (client.types.has('system_event') && projectIds.length > 0) {
+      const result = await this.pool.query(
+        `SELECT *, ${CURSOR_COLUMN}
+         FROM system_events
+         WHERE project_id = ANY($1::UUID[])
+           AND stream_seq > $2::BIGINT
+         ORDER BY stream_seq
+         LIMIT ${REPLAY_LIMIT}`,
+        [projectIds, since]
+      );
+      rows.push(...result.rows.map(row => ({ event: 'system_event', row })));
+    }
+
+    rows.sort((a, b) => (BigInt(a.row.stream_cursor) < BigInt(b.row.stream_cursor) ? -1 : 1));
+
+    // Each table returned its first REPLAY_LIMIT rows; past the first
+    // REPLAY_LIMIT merged, the other table may hold rows that were not read,
+    // and sending beyond them would move the client's cursor past them
+    rows.splice(REPLAY_LIMIT);
+
+    // Bypass the pending buffer: replayed rows go out first
+    const pending = client.pending;
+    client.pending = null;
+    for (const { event, row } of rows) {
+      client.replayedIds.add(row.id);
+      this._send(client, event, row);
+    }
+    client.pending = pending;
+
+    return rows.length;
+  }
+
+  /**
+   * @private
+   */
+  async _handleNotification(message) {
+    if (message.channel !== CHANNEL || this.clients.size === 0) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(message.payload);
+    } catch (error) {
+      return;
+    }
+
+    if (payload.table === 'notifications') {
+      const targets = [...this.clients].filter(
+        client => client.userId === payload.user_id && client.types.has('notification')
+      );
+      if (targets.length === 0) return;
+
+      const row = await this._loadRow('notifications', payload.id);
+      if (row) targets.forEach(client => this._send(client, 'notification', row));
+      return;
+    }
+
+    if (payload.table === 'system_events' && payload.project_id) {
+      const targets = [...this.clients].filter(
+        client => client.types.has('system_event')
+          && this._visibleProjects(client).includes(payload.project_id)
+      );
+      if (targets.length === 0) return;
+
+      const row = await this._loadRow('system_events', payload.id);
+      if (row) targets.forEach(client => this._send(client, 'system_event', row));
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _loadRow(table, id) {
+    const result = await this.pool.query(
+      `SELECT *, ${CURSOR_COLUMN} FROM ${table} WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Projects whose events the client may see: its memberships, optionally
+   * narrowed to the ?project_id it asked for
+   * @private
+   */
+  _visibleProjects(client) {
+    if (client.projectFilter) {
+      return client.projectIds.has(client.projectFilter) ? [client.projectFilter] : [];
+    }
+    return [...client.projectIds];
+  }
+
+  /**
+   * @private
+   */
+  async _loadProjectIds(userId) {
+    const result = await this.pool.query(
+      `SELECT project_id FROM project_members WHERE user_id = $1`,
+      [userId]
+    );
+    return new Set(result.rows.map(row => row.project_id));
+  }
+
+  /**
+   * Pick up members added to / removed from projects while connected
+   * @private
+   */
+  async _refreshMemberships() {
+    if (this.clients.size === 0) return;
+
+    const userIds = [...new Set([...this.clients].map(client => client.userId))];
+    const result = await this.pool.query(
+      `SELECT user_id, project_id FROM project_members WHERE user_id = ANY($1::UUID[])`,
+      [userIds]
+    );
+
+    const byUser = new Map(userIds.map(id => [id, new Set()]));
+    for (const row of result.rows) {
+      byUser.get(row.user_id).add(row.project_id);
+    }
+
+    for (const client of this.clients) {
+      client.projectIds = byUser.get(client.userId);
+    }
+  }
+
+  /**
+   * SSE comment frames keep proxies from closing idle connections
+   * @private
+   */
+  _heartbeat() {
+    for (const client of this.clients) {
+      client.res.write(`: ping ${Date.now()}\n\n`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _dropListener(reconnect) {
+    clearInterval(this._heartbeatTimer);
+    clearInterval(this._membershipTimer);
+    this._heartbeatTimer = null;
+    this._membershipTimer = null;
+
+    if (this._listener) {
+      const listener = this._listener;
+      this._listener = null;
+      listener.removeAllListeners('notification');
+      listener.release(true);
+    }
+
+    if (reconnect) {
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this._stopped || this.clients.size === 0) return;
+
+    const timer = setTimeout(() => this.start(), RECONNECT_DELAY_MS);
+    timer.unref();
+  }
+}
+
+module.exports = EventStreamHub;
@@ -0,0 +1,449 @@
+// ============================================================================
+// INBOUND EMAIL PROCESSOR
+// Turns replies to notification emails into RFI responses, submittal review
+// comments and workflow comments, with attachments stored as linked documents
+// ============================================================================
+//
+// Outgoing notification emails about a replyable item carry
+//   Reply-To: reply+<token>@<EMAIL_INBOUND_DOMAIN>
+// The token (email_reply_tokens) names the item; the sender is identified by
+// their From address and must be an active member of the item's project.
+// From is easy to forge, so a reply only carries the sender's authority (an
+// official RFI answer, a reviewer's step comment) when it comes from the user
+// the token was issued to and the MTA's SPF / DKIM checks did not fail;
+// anyone else's reply is kept as an unofficial comment.
+// Every message received is logged in inbound_emails, including the ones that
+// are rejected, with the reason.
+// ============================================================================
+
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+
+const REPLYABLE_TYPES = ['rfi', 'submittal', 'workflow'];
+const TOKEN_PATTERN = /reply\+([a-z0-9]{20,40})@/i;
+const TOKEN_TTL_DAYS = 180;
+const AUTH_METHODS = ['spf', 'dkim'];
+
+// Replies from the design team answer the RFI; anyone else's are comments
+const OFFICIAL_RESPONSE_MIN_ROLE = 'engineer';
+
+// Lines that start the quoted original in common mail clients
+const QUOTE_HEADERS = [
+  /^On .{1,200}wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{10,}\s*$/,
+  /^From:\s.+$/,
+  /^Sent from my /
+];
+
+class InboundEmailProcessor {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} options
+   * @param {Object} options.storage - Storage provider, keeps the raw .eml
+   * @param {Function} options.saveDocument - (file, projectId, userId, fields) => documents row
+   * @param {Function} options.discardDocuments - (documents) => removes saved documents and their files
+   * @param {Function} options.emitEvent - server.js emitEvent
+   * @param {Function} options.createNotification - server.js createNotification
+   * @param {RfiTracker} options.rfiTracker - Moves the ball in court after RFI responses
+   * @param {Object} options.roleLevels - Role name -> level (ROLE_HIERARCHY)
+   * @param {string} options.domain - Domain of reply addresses (EMAIL_INBOUND_DOMAIN)
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.storage = options.storage;
+    this.saveDocument = options.saveDocument;
+    this.discardDocuments = options.discardDocuments;
+    this.emitEvent = options.emitEvent;
+    this.createNotification = options.createNotification;
+    this.rfiTracker = options.rfiTracker;
+    this.roleLevels = options.roleLevels || {};
+    this.domain = options.domain === undefined ? process.env.EMAIL_INBOUND_DOMAIN : options.domain;
+  }
+
+  static get replyableTypes() {
+    return REPLYABLE_TYPES;
+  }
+
+  // ==========================================================================
+  // REPLY ADDRESSES
+  // ==========================================================================
+
+  /**
+   * Reply-To address for a notification email, or null when email-in is not
+   * configured or the item cannot take replies
+   * @param {Object} notification - notifications row (user_id, project_id, entity_type, entity_id)
+   * @returns {Promise<string|null>}
+   */
+  async replyAddress(notification) {
+    if (!this.domain || !REPLYABLE_TYPES.includes(notification.entity_type)
+      || !notification.entity_id || !notification.project_id) {
+      return null;
+    }
+
+    // Hex only: mail systems may fold the case of the local part
+    const token = crypto.randomBytes(16).toString('hex');
+    await this.pool.query(
+      `INSERT INTO email_reply_tokens (token, user_id, project_id, entity_type, entity_id, notification_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + INTERVAL '${TOKEN_TTL_DAYS} days')`,
+      [token, notification.user_id, notification.project_id, notification.entity_type, notification.entity_id, notification.id || null]
+    );
+    return `reply+${token}@${this.domain}`;
+  }
+
+  /**
+   * Whether an envelope recipient is one of our reply addresses
+   * @param {string} address
+   * @returns {boolean}
+   */
+  acceptsRecipient(address) {
+    return TOKEN_PATTERN.test(address || '')
+      && (!this.domain || String(address).toLowerCase().endsWith(`@${this.domain.toLowerCase()}`));
+  }
+
+  // ==========================================================================
+  // PROCESSING
+  // ==========================================================================
+
+  /**
+   * Parse and apply one raw MIME message
+   * @param {Buffer} raw - RFC 822 message
+   * @param {Object} options - { source: 'smtp'|'lmtp'|'upload', recipients: envelope RCPT TO addresses }
+   * @returns {Promise<Object>} inbound_emails row (status processed | rejected | failed)
+   */
+  async process(raw, { source = 'upload', recipients = [] } = {}) {
+    const parsed = await simpleParser(raw, { skipImageLinks: true, skipTextToHtml: true });
+    const fromAddress = (parsed.from?.value?.[0]?.address || '').toLowerCase();
+    const toAddresses = [
+      ...recipients,
+      ...[parsed.to, parsed.cc].flatMap(field => (field ? [].concat(field) : [])).flatMap(field => field.value.map(entry => entry.address))
+    ].filter(Boolean);
+    const tokenMatch = toAddresses.map(address => TOKEN_PATTERN.exec(address)).find(Boolean);
+
+    const authentication = InboundEmailProcessor.authenticationResults(parsed);
+
+    const inbound = await this._record(raw, parsed, {
+      source, fromAddress, toAddresses, authentication, token: tokenMatch ? tokenMatch[1].toLowerCase() : null
+    });
+    if (inbound.duplicate) return inbound;
+
+    const documents = [];
+    let applied = false;
+    try {
+      if (this._isAutoReply(parsed)) return this._reject(inbound.id, 'auto_reply');
+      if (!tokenMatch) return this._reject(inbound.id, 'no_reply_token');
+
+      const tokenResult = await this.pool.query('SELECT * FROM email_reply_tokens WHERE token = $1', [tokenMatch[1].toLowerCase()]);
+      const token = tokenResult.rows[0];
+      if (!token) return this._reject(inbound.id, 'unknown_reply_token');
+      if (new Date(token.expires_at) < new Date()) return this._reject(inbound.id, 'expired_reply_token', token);
+
+      // Forwarded replies are fine as long as the sender is on the project
+      const senderResult = await this.pool.query(
+        `SELECT u.id, u.first_name, u.last_name, u.email, pm.role
+         FROM users u
+         JOIN project_members pm ON pm.user_id = u.id AND pm.project_id = $2
+         WHERE LOWER(u.email) = $1 AND u.is_active IS NOT FALSE`,
+        [fromAddress, token.project_id]
+      );
+      const sender = senderResult.rows[0];
+      if (!sender) return this._reject(inbound.id, 'sender_not_project_member', token);
+      sender.verified = sender.id === token.user_id
+        && AUTH_METHODS.every(method => authentication[method] !== 'fail');
+
+      const body = InboundEmailProcessor.extractReply(parsed.text || '');
+      const attachments = (parsed.attachments || []).filter(attachment => !attachment.related && attachment.content?.length > 0);
+      if (!body && attachments.length === 0) return this._reject(inbound.id, 'empty_reply', token);
+
+      for (const attachment of attachments) {
+        documents.push(await this.saveDocument({
+          buffer: attachment.content,
+          originalname: attachment.filename || 'attachment',
+          mimetype: attachment.contentType || 'application/octet-stream',
+          size: attachment.size || attachment.content.length
+        }, token.project_id, sender.id, {
+          category: token.entity_type,
+          description: `Emailed by ${sender.email}: ${(parsed.subject || '').slice(0, 200)}`
+        }));
+      }
+
+      const result = await this._apply(token, sender, body, documents, inbound.id);
+      applied = true;
+
+      const processed = await this.pool.query(
+        `UPDATE inbound_emails
+         SET status = 'processed', reason = NULL, entity_type = $2, entity_id = $3, project_id = $4,
+             sender_user_id = $5, sender_verified = $6, body_text = $7, document_ids = $8, result = $9,
+             processed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [inbound.id, token.entity_type, token.entity_id, token.project_id, sender.id, sender.verified, body,
+         documents.map(document => document.id), JSON.stringify(result.record)]
+      );
+
+      await this._afterApply(token, sender, result);
+      return processed.rows[0];
+    } catch (error) {
+      // Attachments only belong to the item once the reply is applied; the
+      // MTA's retry saves them again
+      if (!applied && documents.length > 0 && this.discardDocuments) {
+        await this.discardDocuments(documents);
+      }
+      const failed = await this.pool.query(
+        `UPDATE inbound_emails SET status = 'failed', reason = $2, processed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [inbound.id, error.message]
+      );
+      return failed.rows[0];
+    }
+  }
+
+  /**
+   * The new text of a reply: everything above the quoted original, without
+   * the signature delimiter block
+   * @param {string} text - Plain-text body
+   * @returns {string}
+   */
+  static extractReply(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const kept = [];
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('>')) break;
+      if (QUOTE_HEADERS.some(pattern => pattern.test(trimmed))) break;
+      // RFC 3676 signature separator
+      if (line === '-- ' || line === '--') break;
+      kept.push(line);
+    }
+    return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * SPF and DKIM verdicts from the receiving MTA: the topmost
+   * Authentication-Results header (the one our MTA added), with Received-SPF
+   * as a fallback. A forged header further down can only claim a pass, which
+   * counts for no more than no header at all.
+   * @param {Object} parsed - mailparser result
+   * @returns {{spf: string|null, dkim: string|null}} pass, fail, softfail, none, ... or null when not reported
+   */
+  static authenticationResults(parsed) {
+    const first = (name) => [].concat(parsed.headers.get(name) || [])[0];
+    const header = first('authentication-results');
+    const results = Object.fromEntries(AUTH_METHODS.map(method => [method, null]));
+
+    if (typeof header === 'string') {
+      for (const method of AUTH_METHODS) {
+        const match = new RegExp(`(?:^|;)\\s*${method}\\s*=\\s*([a-z]+)`, 'i').exec(header);
+        if (match) results[method] = match[1].toLowerCase().slice(0, 20);
+      }
+    }
+
+    const receivedSpf = first('received-spf');
+    if (!results.spf && typeof receivedSpf === 'string') {
+      const match = /^\s*([a-z]+)/i.exec(receivedSpf);
+      if (match) results.spf = match[1].toLowerCase().slice(0, 20);
+    }
+
+    return results;
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Record the reply against its item in one transaction
+   * @private
+   */
+  async _apply(token, sender, body, documents, inboundEmailId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      let result;
+
+      if (token.entity_type === 'rfi') {
+        const rfiResult = await client.query('SELECT * FROM rfis WHERE id = $1 FOR UPDATE', [token.entity_id]);
+        const rfi = rfiResult.rows[0];
+        if (!rfi) throw new Error('RFI no longer exists');
+
+        const isOfficial = rfi.status !== 'closed' && Boolean(body) && sender.verified && (
+          sender.id === rfi.assigned_to
+          || sender.id === rfi.ball_in_court
+          || (this.roleLevels[sender.role] || 0) >= (this.roleLevels[OFFICIAL_RESPONSE_MIN_ROLE] || Infinity)
+        );
+        const response = await client.query(
+          `INSERT INTO rfi_responses (rfi_id, response_text, is_official, responded_by, source, inbound_email_id)
+           VALUES ($1, $2, $3, $4, 'email', $5) RETURNING *`,
+          [rfi.id, body || `(${documents.length} attachment${documents.length === 1 ? '' : 's'} by email)`, isOfficial, sender.id, inboundEmailId]
+        );
+        const tracked = await this.rfiTracker.recordResponse(client, rfi, response.rows[0], sender.id);
+        result = {
+          entity: tracked.rfi,
+          handoff: tracked.handoff,
+          record: { rfi_response_id: response.rows[0].id, is_official: isOfficial }
+        };
+      } else if (token.entity_type === 'submittal') {
+        const submittalResult = await client.query('SELECT * FROM submittals WHERE id = $1', [token.entity_id]);
+        const submittal = submittalResult.rows[0];
+        if (!submittal) throw new Error('Submittal no longer exists');
+
+        // The reviewer's own step collects their emailed comments; the decision
+        // itself is still recorded in the app. An unverified reply cannot speak
+        // for the reviewer and is only logged.
+        const stepResult = sender.verified ? await client.query(
+          `SELECT * FROM submittal_review_steps
+           WHERE submittal_id = $1 AND revision_number = $2 AND status = 'in_review' AND reviewer_id = $3
+           FOR UPDATE`,
+          [submittal.id, submittal.revision_number || 0, sender.id]
+        ) : { rows: [] };
+        const step = stepResult.rows[0] || null;
+        if (step && body) {
+          await client.query(
+            `UPDATE submittal_review_steps
+             SET review_comments = CONCAT_WS(E'\\n\\n', NULLIF(review_comments, ''), $2::TEXT)
+             WHERE id = $1`,
+            [step.id, body]
+          );
+        }
+        result = { entity: submittal, record: { submittal_review_step_id: step ? step.id : null } };
+      } else if (token.entity_type === 'workflow') {
+        const workflowResult = await client.query('SELECT * FROM workflow_instances WHERE id = $1', [token.entity_id]);
+        const workflow = workflowResult.rows[0];
+        if (!workflow) throw new Error('Workflow no longer exists');
+
+        const history = await client.query(
+          `INSERT INTO workflow_instance_history (workflow_instance_id, to_stage_id, actor_id, action_type, comments, metadata)
+           VALUES ($1, $2, $3, 'comment', $4, $5) RETURNING id`,
+          [workflow.id, workflow.current_stage_id, sender.id, body || null,
+           JSON.stringify({
+             source: 'email', inbound_email_id: inboundEmailId, sender_verified: sender.verified,
+             document_ids: documents.map(document => document.id)
+           })]
+        );
+        result = { entity: workflow, record: { workflow_history_id: history.rows[0].id } };
+      } else {
+        throw new Error(`Replies to ${token.entity_type} are not supported`);
+      }
+
+      for (const document of documents) {
+        await client.query(
+          `INSERT INTO entity_links (source_type, source_id, target_type, target_id, relationship, metadata)
+           VALUES ('document', $1, $2, $3, 'email_attachment', $4)
+           ON CONFLICT DO NOTHING`,
+          [document.id, token.entity_type, token.entity_id, JSON.stringify({ inbound_email_id: inboundEmailId })]
+        );
+      }
+
+      await client.query('COMMIT');
+      result.record.document_ids = documents.map(document => document.id);
+      result.record.sender_verified = sender.verified;
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Events and notifications once the reply is committed
+   * @private
+   */
+  async _afterApply(token, sender, { entity, record, handoff }) {
+    const senderName = `${sender.first_name || ''} ${sender.last_name || ''}`.trim() || sender.email;
+
+    if (token.entity_type === 'rfi') {
+      await this.emitEvent('rfi.response_added', 'rfi', entity.id, token.project_id, sender.id, { ...record, source: 'email' });
+      if (entity.created_by && entity.created_by !== sender.id) {
+        await this.createNotification(entity.created_by, 'status_change',
+          `RFI ${entity.rfi_number}: ${record.is_official ? 'answered' : 'new response'}`,
+          `${senderName} replied by email`, 'rfi', entity.id);
+      }
+      if (handoff && handoff.to !== entity.created_by) {
+        await this.rfiTracker.notifyHandoff(entity, handoff, sender.id);
+      }
+    } else if (token.entity_type === 'submittal') {
+      await this.emitEvent('submittal.email_reply', 'submittal', entity.id, token.project_id, sender.id, record);
+      if (entity.submitted_by && entity.submitted_by !== sender.id) {
+        await this.createNotification(entity.submitted_by, 'status_change', `Submittal ${entity.submittal_number}: reviewer comment`,
+          `${senderName} replied by email`, 'submittal', entity.id);
+      }
+    } else {
+      await this.emitEvent('workflow.email_reply', 'workflow', entity.id, token.project_id, sender.id, record);
+    }
+  }
+
+  /**
+   * Out-of-office and bounce messages would otherwise be posted as responses
+   * @private
+   */
+  _isAutoReply(parsed) {
+    const header = (name) => String(parsed.headers.get(name) || '').toLowerCase();
+    const autoSubmitted = header('auto-submitted');
+    return (autoSubmitted && autoSubmitted !== 'no')
+      || ['auto_reply', 'bulk', 'junk', 'list'].includes(header('precedence'))
+      || parsed.headers.has('x-autoreply')
+      || parsed.headers.has('x-autorespond')
+      || /^(mailer-daemon|postmaster)@/.test((parsed.from?.value?.[0]?.address || '').toLowerCase());
+  }
+
+  /**
+   * Log the message in inbound_emails. A message already seen is returned as
+   * a duplicate, unless it failed last time: then the MTA is retrying and it
+   * is processed again.
+   * @private
+   */
+  async _record(raw, parsed, { source, fromAddress, toAddresses, authentication, token }) {
+    const messageId = parsed.messageId || null;
+    if (messageId) {
+      const existing = await this.pool.query(
+        `WITH previous AS (SELECT id, status FROM inbound_emails WHERE message_id = $1 FOR UPDATE)
+         UPDATE inbound_emails ie
+         SET status = CASE WHEN previous.status = 'failed' THEN 'received' ELSE ie.status END
+         FROM previous WHERE ie.id = previous.id
+         RETURNING ie.*, (previous.status = 'failed') as retrying`,
+        [messageId]
+      );
+      if (existing.rows.length > 0) {
+        const { retrying, ...row } = existing.rows[0];
+        return retrying ? row : { ...row, duplicate: true };
+      }
+    }
+
+    const rawPath = this.storage
+      ? (await this.storage.uploadBuffer(raw, 'message.eml', { mimetype: 'message/rfc822' })).path
+      : null;
+
+    const inserted = await this.pool.query(
+      `INSERT INTO inbound_emails (message_id, source, from_address, to_addresses, subject, reply_token, raw_path,
+                                   spf_result, dkim_result, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'received')
+       ON CONFLICT (message_id) DO NOTHING
+       RETURNING *`,
+      [messageId, source, fromAddress, [...new Set(toAddresses.map(address => address.toLowerCase()))],
+       (parsed.subject || '').slice(0, 500), token, rawPath, authentication.spf, authentication.dkim]
+    );
+    if (inserted.rows.length === 0) {
+      // Another delivery of the same message got there first
+      const existing = await this.pool.query('SELECT * FROM inbound_emails WHERE message_id = $1', [messageId]);
+      return { ...existing.rows[0], duplicate: true };
+    }
+    return inserted.rows[0];
+  }
+
+  /**
+   * @private
+   */
+  async _reject(inboundEmailId, reason, token = null) {
+    const result = await this.pool.query(
+      `UPDATE inbound_emails
+       SET status = 'rejected', reason = $2, entity_type = $3, entity_id = $4, project_id = $5,
+           processed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [inboundEmailId, reason, token?.entity_type || null, token?.entity_id || null, token?.project_id || null]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = InboundEmailProcessor;
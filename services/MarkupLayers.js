@@ -0,0 +1,289 @@
+// ============================================================================
+// MARKUP LAYERS
+// Who can see and draw on each markup layer, and publishing a personal or
+// company layer to the project team
+// ============================================================================
+//
+// Visibility by scope:
+//   personal   -> the owner only
+//   company    -> members of the layer's organization, plus project members at
+//                 or above min_role (project managers by default)
+//   published  -> project members at or above min_role (everyone by default)
+// Markups without a layer predate layers and stay visible to the project.
+//
+// Drawing on a layer follows the same split: the owner, members of the
+// organization (or superintendents and up), or anyone who can see a
+// published layer.
+// ============================================================================
+
+const SCOPES = ['personal', 'company', 'published'];
+const DEFAULT_LAYER = 'Default';
+const DEFAULT_MIN_ROLE = { company: 'project_manager', published: 'viewer' };
+
+class MarkupLayers {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} roleHierarchy - server.js ROLE_HIERARCHY (role -> level)
+   */
+  constructor(pool, roleHierarchy) {
+    this.pool = pool;
+    this.roleHierarchy = roleHierarchy;
+  }
+
+  static get scopes() {
+    return SCOPES;
+  }
+
+  static get defaultName() {
+    return DEFAULT_LAYER;
+  }
+
+  /**
+   * Check layer fields from a request body
+   * @param {Object} fields - { name, scope, organization_id, min_role }
+   * @param {boolean} creating - name and scope are required
+   * @returns {string|null} Error message
+   */
+  validate(fields, creating) {
+    if (creating || fields.name !== undefined) {
+      if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.trim().length > 100) {
+        return 'name is required (100 characters at most)';
+      }
+    }
+    if (creating && !SCOPES.includes(fields.scope)) {
+      return `scope must be one of: ${SCOPES.join(', ')}`;
+    }
+    if (creating && fields.scope === 'company' && !fields.organization_id) {
+      return 'organization_id is required for a company layer';
+    }
+    if (fields.min_role !== undefined && fields.min_role !== null && !this.roleHierarchy[fields.min_role]) {
+      return `min_role must be one of: ${Object.keys(this.roleHierarchy).join(', ')}`;
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // VISIBILITY
+  // ==========================================================================
+
+  /**
+   * SQL condition limiting markups to layers the viewer can see. Pushes its
+   * parameters onto `params`.
+   * @param {string} layerAlias - Alias of drawing_markup_layers (LEFT JOINed)
+   * @param {Array} params - Query parameters so far
+   * @param {Object} viewer - { userId, roleLevel }
+   * @returns {string}
+   */
+  visibleCondition(layerAlias, params, viewer) {
+    params.push(viewer.userId);
+    const user = `$${params.length}`;
+    params.push(this._rolesAtOrBelow(viewer.roleLevel));
+    const roles = `$${params.length}`;
+    const l = layerAlias;
+    return `(${l}.id IS NULL
+      OR (${l}.scope = 'published' AND ${l}.min_role = ANY(${roles}))
+      OR (${l}.scope = 'personal' AND ${l}.owner_id = ${user})
+      OR (${l}.scope = 'company' AND (${l}.min_role = ANY(${roles})
+          OR ${l}.organization_id IN (SELECT organization_id FROM user_organizations WHERE user_id = ${user}))))`;
+  }
+
+  /**
+   * @param {Object} layer - drawing_markup_layers row
+   * @param {Object} viewer - { userId, roleLevel }
+   * @returns {Promise<boolean>}
+   */
+  async canSee(layer, viewer) {
+    if (!layer) return true;
+    if (layer.scope === 'personal') return layer.owner_id === viewer.userId;
+    if (layer.min_role && viewer.roleLevel >= this.roleHierarchy[layer.min_role]) return true;
+    if (layer.scope === 'company') return this._inOrganization(viewer.userId, layer.organization_id);
+    return false;
+  }
+
+  /**
+   * Whether the viewer may add markups to, rename or publish the layer
+   * @param {Object} layer - drawing_markup_layers row
+   * @param {Object} viewer - { userId, roleLevel }
+   * @returns {Promise<boolean>}
+   */
+  async canWrite(layer, viewer) {
+    if (layer.scope === 'personal') return layer.owner_id === viewer.userId;
+    if (layer.scope === 'company') {
+      return viewer.roleLevel >= this.roleHierarchy.superintendent
+        || this._inOrganization(viewer.userId, layer.organization_id);
+    }
+    return this.canSee(layer, viewer);
+  }
+
+  // ==========================================================================
+  // LAYERS
+  // ==========================================================================
+
+  /**
+   * Layers of a project the viewer can see, with markup counts
+   * @param {string} projectId
+   * @param {Object} viewer - { userId, roleLevel }
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(projectId, viewer) {
+    const params = [projectId];
+    const condition = this.visibleCondition('l', params, viewer);
+    const result = await this.pool.query(
+      `SELECT l.*, o.name as organization_name,
+              u.first_name || ' ' || u.last_name as owner_name,
+              (SELECT COUNT(*)::int FROM drawing_markups m WHERE m.layer_id = l.id) as markup_count
+       FROM drawing_markup_layers l
+       LEFT JOIN organizations o ON o.id = l.organization_id
+       LEFT JOIN users u ON u.id = l.owner_id
+       WHERE l.project_id = $1 AND ${condition}
+       ORDER BY CASE l.scope WHEN 'published' THEN 0 WHEN 'company' THEN 1 ELSE 2 END, l.name`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * The layer new markups go on when none is named: the project's published
+   * "Default" layer, created on first use
+   * @param {Object} db - pool or transaction client
+   * @param {string} projectId
+   * @returns {Promise<Object>}
+   */
+  async defaultLayer(db, projectId) {
+    await db.query(
+      `INSERT INTO drawing_markup_layers (project_id, name, scope, min_role)
+       VALUES ($1, $2, 'published', 'viewer')
+       ON CONFLICT (project_id, name) WHERE scope = 'published' DO NOTHING`,
+      [projectId, DEFAULT_LAYER]
+    );
+    const result = await db.query(
+      `SELECT * FROM drawing_markup_layers WHERE project_id = $1 AND name = $2 AND scope = 'published'`,
+      [projectId, DEFAULT_LAYER]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Resolve the layer a markup is being drawn on
+   * @param {Object} db - pool or transaction client
+   * @param {string} projectId - Project of the sheet or drawing
+   * @param {string|null} layerId - Requested layer, or null for the default
+   * @param {Object} viewer - { userId, roleLevel }
+   * @returns {Promise<Object>} { layer } or { error, status }
+   */
+  async forMarkup(db, projectId, layerId, viewer) {
+    if (!layerId) return { layer: await this.defaultLayer(db, projectId) };
+
+    const result = await db.query('SELECT * FROM drawing_markup_layers WHERE id = $1', [layerId]);
+    const layer = result.rows[0];
+    if (!layer || layer.project_id !== projectId || !(await this.canSee(layer, viewer))) {
+      return { error: 'Markup layer not found', status: 404 };
+    }
+    if (!(await this.canWrite(layer, viewer))) {
+      return { error: 'You cannot draw on this layer', status: 403 };
+    }
+    return { layer };
+  }
+
+  /**
+   * Create a layer. Personal layers belong to the creator; company layers
+   * need the creator to be in the organization unless superintendent or up.
+   * @param {string} projectId
+   * @param {Object} fields - { name, scope, organization_id, min_role }
+   * @param {Object} viewer - { userId, roleLevel }
+   * @returns {Promise<Object>} { layer } or { error, status }
+   */
+  async create(projectId, fields, viewer) {
+    const { scope } = fields;
+    if (scope === 'company' && viewer.roleLevel < this.roleHierarchy.superintendent
+      && !(await this._inOrganization(viewer.userId, fields.organization_id))) {
+      return { error: 'You can only create company layers for your own organization', status: 403 };
+    }
+    if (scope === 'published' && viewer.roleLevel < this.roleHierarchy.engineer) {
+      return { error: 'Requires engineer role or higher to create a published layer', status: 403 };
+    }
+
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO drawing_markup_layers (project_id, name, scope, owner_id, organization_id, min_role, published_by, published_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [
+          projectId,
+          fields.name.trim(),
+          scope,
+          scope === 'personal' ? viewer.userId : null,
+          scope === 'company' ? fields.organization_id : null,
+          scope === 'personal' ? null : (fields.min_role || DEFAULT_MIN_ROLE[scope]),
+          scope === 'published' ? viewer.userId : null,
+          scope === 'published' ? new Date() : null,
+          viewer.userId
+        ]
+      );
+      return { layer: result.rows[0] };
+    } catch (error) {
+      if (error.code === '23505') return { error: 'A layer with that name already exists', status: 409 };
+      throw error;
+    }
+  }
+
+  /**
+   * Publish a personal or company layer to the project team. With `merge`,
+   * its markups join the published layer of the same name instead.
+   * @param {Object} db - Transaction client
+   * @param {Object} layer - drawing_markup_layers row
+   * @param {Object} options - { name, min_role, merge }
+   * @param {string} userId
+   * @returns {Promise<Object>} { layer, merged } or { error, status }
+   */
+  async publish(db, layer, options, userId) {
+    if (layer.scope === 'published') return { error: 'Layer is already published', status: 400 };
+
+    const name = (options.name || layer.name).trim();
+    const existing = await db.query(
+      `SELECT * FROM drawing_markup_layers WHERE project_id = $1 AND name = $2 AND scope = 'published'`,
+      [layer.project_id, name]
+    );
+    if (existing.rows.length > 0) {
+      if (!options.merge) {
+        return { error: `A published layer named "${name}" exists; pass merge: true to add these markups to it`, status: 409 };
+      }
+      const moved = await db.query('UPDATE drawing_markups SET layer_id = $1 WHERE layer_id = $2', [existing.rows[0].id, layer.id]);
+      await db.query('DELETE FROM drawing_markup_layers WHERE id = $1', [layer.id]);
+      return { layer: existing.rows[0], merged: moved.rowCount };
+    }
+
+    const result = await db.query(
+      `UPDATE drawing_markup_layers
+       SET scope = 'published', name = $1, owner_id = NULL, organization_id = NULL,
+           min_role = $2, published_by = $3, published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 RETURNING *`,
+      [name, options.min_role || DEFAULT_MIN_ROLE.published, userId, layer.id]
+    );
+    return { layer: result.rows[0], merged: 0 };
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  _rolesAtOrBelow(level) {
+    return Object.keys(this.roleHierarchy).filter(role => this.roleHierarchy[role] <= (level || 0));
+  }
+
+  /**
+   * @private
+   */
+  async _inOrganization(userId, organizationId) {
+    if (!organizationId) return false;
+    const result = await this.pool.query(
+      'SELECT 1 FROM user_organizations WHERE user_id = $1 AND organization_id = $2',
+      [userId, organizationId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = MarkupLayers;
@@ -0,0 +1,512 @@
+// ============================================================================
+// MARKUP PDF
+// Flattens drawing markups into the sheet PDF with pdf-lib: each sheet page is
+// copied as-is and its markups are drawn into the page content, so they show
+// in any viewer and cannot be moved or hidden.
+// ============================================================================
+//
+// markup_data is written by the drawing viewer:
+//   { type, coordinates, content, style, layer, units, viewport }
+//
+// Coordinates are measured from the top-left corner of the sheet as displayed
+// (page rotation applied). They are fractions of the sheet (0..1) unless
+// `viewport: { width, height }` gives the size the markup was drawn at, or
+// `units` is 'points'. Shapes take one of:
+//   { x, y, width, height }              rectangle, ellipse, cloud, highlight, text
+//   { x1, y1, x2, y2 } / { start, end }  line, arrow
+//   { points: [{ x, y }, ...] }          polyline, polygon, freehand
+// ============================================================================
+
+const {
+  PDFDocument, StandardFonts, rgb, degrees,
+  pushGraphicsState, popGraphicsState, concatTransformationMatrix, setGraphicsState,
+  setLineWidth, setLineCap, setLineJoin, LineCapStyle, LineJoinStyle,
+  setStrokingRgbColor, setFillingRgbColor,
+  moveTo, lineTo, appendBezierCurve, closePath, stroke, fill, fillAndStroke
+} = require('pdf-lib');
+
+const DEFAULT_COLOR = '#FF0000';
+const DEFAULT_STROKE = 2;
+const DEFAULT_FONT_SIZE = 12;
+const HIGHLIGHT_OPACITY = 0.35;
+const GRAY = rgb(0.45, 0.45, 0.45);
+const BLACK = rgb(0, 0, 0);
+
+// Bezier handle length for a quarter ellipse
+const KAPPA = 0.5522847498;
+
+// Standard fonts only cover WinAnsi; replace anything else so drawText cannot throw
+const safeText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Flatten markups into their sheets
+ * @param {Object} data
+ * @param {string} data.title - Document title
+ * @param {Array<Object>} data.sheets - [{ sheet, pdf, markups }]: drawing_sheets
+ *        row, its drawing (bytes, or a function loading them so a large set is
+ *        not held in memory at once) and the drawing_markups rows to burn in
+ *        (with created_by_name)
+ * @param {boolean} [data.includeComments] - Number markups that have a comment
+ *        and list the comments on a page after each sheet
+ * @returns {Promise<Object>} { pdf: Uint8Array, drawn, skipped }
+ */
+async function renderMarkupPdf({ title, sheets, includeComments = false }) {
+  const output = await PDFDocument.create();
+  const font = await output.embedFont(StandardFonts.Helvetica);
+  const bold = await output.embedFont(StandardFonts.HelveticaBold);
+  output.setTitle(title);
+  output.setProducer('BuildPro');
+
+  let drawn = 0;
+  let skipped = 0;
+  for (const { sheet, pdf, markups } of sheets) {
+    const bytes = typeof pdf === 'function' ? await pdf() : pdf;
+    const source = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    // Pages split out of a set are single-page files
+    const index = source.getPageCount() === 1 ? 0 : (sheet.page_number || 1) - 1;
+    if (index < 0 || index >= source.getPageCount()) {
+      throw new Error(`Sheet ${sheet.sheet_number}: page ${index + 1} does not exist in its drawing`);
+    }
+    const [page] = await output.copyPages(source, [index]);
+    output.addPage(page);
+
+    const view = pageView(page);
+    const notes = [];
+    for (const markup of markups) {
+      const number = includeComments && markup.comment ? notes.length + 1 : null;
+      if (drawMarkup(output, page, view, markup, { font, bold, number })) {
+        drawn += 1;
+        if (number) notes.push({ number, markup });
+      } else {
+        skipped += 1;
+      }
+    }
+    if (notes.length > 0) drawNotesPage(output, { font, bold }, sheet, notes);
+  }
+
+  return { pdf: await output.save(), drawn, skipped };
+}
+
+/**
+ * A markup's box as fractions of the sheet, from its top-left corner
+ * @param {Object} markup - drawing_markups row
+ * @param {Object} [pageSize] - { width, height } of the sheet as displayed, in
+ *        points; only needed for markups measured in points
+ * @returns {Object|null} { x, y, width, height }
+ */
+function markupBounds(markup, pageSize = null) {
+  const data = markup.markup_data || {};
+  const size = pageSize && pageSize.width > 0 && pageSize.height > 0 ? pageSize : null;
+  if (data.units === 'points' && !size && !data.viewport) return null;
+  const view = size || { width: 1, height: 1 };
+  const shape = geometry(data, markup, markupScale(data, view));
+  if (!shape) return null;
+  const round = (value) => Math.round(value * 10000) / 10000;
+  return {
+    x: round(shape.box.x / view.width),
+    y: round(shape.box.y / view.height),
+    width: round(shape.box.width / view.width),
+    height: round(shape.box.height / view.height)
+  };
+}
+
+/**
+ * One markup burned into its sheet, cropped to the markup and its
+ * surroundings, for attaching to an item promoted from it
+ * @param {Object} data
+ * @param {Object} data.sheet - drawing_sheets row
+ * @param {Buffer} data.pdf - The sheet's drawing
+ * @param {Object} data.markup - drawing_markups row
+ * @param {number} [data.margin] - Context kept around the markup, as a fraction of the sheet
+ * @returns {Promise<Object>} { pdf: Uint8Array, bounds } (bounds as in markupBounds)
+ */
+async function renderMarkupSnapshot({ sheet, pdf, markup, margin = 0.08 }) {
+  const output = await PDFDocument.create();
+  const font = await output.embedFont(StandardFonts.Helvetica);
+  const bold = await output.embedFont(StandardFonts.HelveticaBold);
+  output.setTitle(`${sheet.sheet_number} markup snapshot`);
+  output.setProducer('BuildPro');
+
+  const source = await PDFDocument.load(pdf, { ignoreEncryption: true, updateMetadata: false });
+  const index = source.getPageCount() === 1 ? 0 : (sheet.page_number || 1) - 1;
+  if (index < 0 || index >= source.getPageCount()) {
+    throw new Error(`Sheet ${sheet.sheet_number}: page ${index + 1} does not exist in its drawing`);
+  }
+  const [page] = await output.copyPages(source, [index]);
+  output.addPage(page);
+
+  const view = pageView(page);
+  if (!drawMarkup(output, page, view, markup, { font, bold, number: null })) {
+    throw new Error('Markup has no drawable shape');
+  }
+  const bounds = markupBounds(markup, view);
+
+  // Crop to the markup plus margin, kept inside the sheet
+  const left = Math.max(0, (bounds.x - margin) * view.width);
+  const top = Math.max(0, (bounds.y - margin) * view.height);
+  const right = Math.min(view.width, (bounds.x + bounds.width + margin) * view.width);
+  const bottom = Math.min(view.height, (bounds.y + bounds.height + margin) * view.height);
+  const corners = [[left, top], [right, bottom]].map(view.toUser);
+  const x = Math.min(corners[0][0], corners[1][0]);
+  const y = Math.min(corners[0][1], corners[1][1]);
+  page.setCropBox(x, y, Math.abs(corners[1][0] - corners[0][0]), Math.abs(corners[1][1] - corners[0][1]));
+
+  return { pdf: await output.save(), bounds };
+}
+
+// ============================================================================
+// PAGE GEOMETRY
+// ============================================================================
+
+/**
+ * The displayed size of a page and the matrix from displayed coordinates
+ * (points from the top-left, y down) to PDF user space
+ */
+function pageView(page) {
+  const crop = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const { x, y, width, height } = crop;
+  const sideways = rotation === 90 || rotation === 270;
+  const matrix = {
+    0: [1, 0, 0, -1, x, y + height],
+    90: [0, 1, 1, 0, x, y],
+    180: [-1, 0, 0, 1, x + width, y],
+    270: [0, -1, -1, 0, x + width, y + height]
+  }[rotation] || [1, 0, 0, -1, x, y + height];
+
+  return {
+    width: sideways ? height : width,
+    height: sideways ? width : height,
+    rotation,
+    matrix,
+    toUser: ([px, py]) => [matrix[0] * px + matrix[2] * py + matrix[4], matrix[1] * px + matrix[3] * py + matrix[5]]
+  };
+}
+
+/**
+ * Scale from the markup's coordinate space to displayed points
+ */
+function markupScale(data, view) {
+  const viewport = data.viewport;
+  if (viewport && Number(viewport.width) > 0 && Number(viewport.height) > 0) {
+    return { x: view.width / Number(viewport.width), y: view.height / Number(viewport.height), stroke: view.width / Number(viewport.width) };
+  }
+  if (data.units === 'points') return { x: 1, y: 1, stroke: 1 };
+  return { x: view.width, y: view.height, stroke: 1 };
+}
+
+const toPoint = (value) => {
+  if (Array.isArray(value) && value.length >= 2) return [Number(value[0]), Number(value[1])];
+  if (value && typeof value === 'object') return [Number(value.x), Number(value.y)];
+  return null;
+};
+
+const finite = (...values) => values.every(Number.isFinite);
+
+/**
+ * Normalise the coordinate forms into a box and/or a list of points, in
+ * displayed points
+ */
+function geometry(data, markup, scale) {
+  let coordinates = data.coordinates;
+  if (Array.isArray(coordinates)) coordinates = { points: coordinates };
+  if (!coordinates && finite(markup.position_x, markup.position_y)) {
+    coordinates = { x: markup.position_x, y: markup.position_y };
+  }
+  if (!coordinates || typeof coordinates !== 'object') return null;
+
+  const at = ([px, py]) => [px * scale.x, py * scale.y];
+  let points = null;
+  if (Array.isArray(coordinates.points)) {
+    points = coordinates.points.map(toPoint).filter(point => point && finite(...point)).map(at);
+  } else if (finite(Number(coordinates.x1), Number(coordinates.y1), Number(coordinates.x2), Number(coordinates.y2))) {
+    points = [at([Number(coordinates.x1), Number(coordinates.y1)]), at([Number(coordinates.x2), Number(coordinates.y2)])];
+  } else if (coordinates.start && coordinates.end) {
+    points = [toPoint(coordinates.start), toPoint(coordinates.end)].filter(point => point && finite(...point)).map(at);
+  }
+
+  let box = null;
+  const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(coordinates[key]));
+  if (finite(x, y)) {
+    box = { x: x * scale.x, y: y * scale.y, width: finite(width) ? width * scale.x : 0, height: finite(height) ? height * scale.y : 0 };
+    // Boxes dragged up or left arrive with negative sizes
+    if (box.width < 0) { box.x += box.width; box.width = -box.width; }
+    if (box.height < 0) { box.y += box.height; box.height = -box.height; }
+  } else if (points && points.length > 0) {
+    const [left, top, right, bottom] = points.reduce(
+      ([l, t, r, b], [px, py]) => [Math.min(l, px), Math.min(t, py), Math.max(r, px), Math.max(b, py)],
+      [Infinity, Infinity, -Infinity, -Infinity]
+    );
+    box = { x: left, y: top, width: right - left, height: bottom - top };
+  }
+  if (!box) return null;
+  return { box, points };
+}
+
+// ============================================================================
+// MARKUPS
+// ============================================================================
+
+const parseColor = (value) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+  return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+};
+
+const clampOpacity = (value, fallback) => {
+  const opacity = Number(value);
+  return Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : fallback;
+};
+
+/**
+ * Draw one markup; false when its type or coordinates cannot be drawn
+ */
+function drawMarkup(output, page, view, markup, { font, bold, number }) {
+  const data = markup.markup_data || {};
+  const type = String(data.type || markup.markup_type || '').toLowerCase();
+  const scale = markupScale(data, view);
+  const shape = geometry(data, markup, scale);
+  if (!shape) return false;
+
+  const style = data.style || {};
+  const color = parseColor(style.color || style.stroke || markup.color) || parseColor(DEFAULT_COLOR);
+  const fillColor = parseColor(style.fill || style.fill_color || style.fillColor);
+  const lineWidth = (Number(style.stroke_width ?? style.strokeWidth ?? style.line_width) || DEFAULT_STROKE) * scale.stroke;
+  const opacity = clampOpacity(style.opacity, 1);
+  const { box, points } = shape;
+
+  const path = [];
+  let mode = 'stroke';
+  switch (type) {
+    case 'rectangle':
+    case 'rect':
+    case 'square':
+      if (box.width <= 0 || box.height <= 0) return false;
+      path.push(...rectanglePath(box));
+      if (fillColor) mode = 'fillAndStroke';
+      break;
+    case 'highlight':
+      if (box.width <= 0 || box.height <= 0) return false;
+      path.push(...rectanglePath(box));
+      mode = 'highlight';
+      break;
+    case 'ellipse':
+    case 'circle':
+      if (box.width <= 0 || box.height <= 0) return false;
+      path.push(...ellipsePath(box));
+      if (fillColor) mode = 'fillAndStroke';
+      break;
+    case 'cloud':
+    case 'revision_cloud':
+      if (box.width <= 0 || box.height <= 0) return false;
+      path.push(...cloudPath(box, Math.max(lineWidth * 4, Math.min(box.width, box.height) / 6, 6)));
+      break;
+    case 'line':
+    case 'arrow':
+    case 'polyline':
+    case 'freehand':
+    case 'pen':
+    case 'ink':
+    case 'polygon':
+      if (!points || points.length < 2) return false;
+      path.push(moveTo(...points[0]), ...points.slice(1).map(point => lineTo(...point)));
+      if (type === 'polygon') path.push(closePath());
+      if (type === 'arrow') path.push(...arrowHead(points[points.length - 2], points[points.length - 1], lineWidth));
+      break;
+    case 'text':
+    case 'note':
+    case 'callout':
+      break;
+    default:
+      return false;
+  }
+
+  if (path.length > 0) {
+    const operators = [pushGraphicsState(), concatTransformationMatrix(...view.matrix)];
+    const alpha = mode === 'highlight' ? clampOpacity(style.opacity, HIGHLIGHT_OPACITY) : opacity;
+    if (alpha < 1) {
+      const state = output.context.register(output.context.obj({ Type: 'ExtGState', CA: alpha, ca: alpha }));
+      operators.push(setGraphicsState(page.node.newExtGState('GS', state)));
+    }
+    operators.push(
+      setLineWidth(lineWidth),
+      setLineCap(LineCapStyle.Round),
+      setLineJoin(LineJoinStyle.Round),
+      setStrokingRgbColor(...color),
+      setFillingRgbColor(...(fillColor || color)),
+      ...path,
+      mode === 'highlight' ? fill() : (mode === 'fillAndStroke' ? fillAndStroke() : stroke()),
+      popGraphicsState()
+    );
+    page.pushOperators(...operators);
+  }
+
+  const content = data.content ?? data.text;
+  if (content !== undefined && content !== null && String(content).trim() !== '') {
+    const size = (Number(style.font_size ?? style.fontSize) || DEFAULT_FONT_SIZE) * scale.stroke;
+    const anchor = path.length > 0 && type !== 'callout' ? { x: box.x, y: box.y + box.height + size * 0.3 } : box;
+    drawLines(page, view, wrapText(content, font, size, box.width > size * 4 ? box.width : null), {
+      x: anchor.x, y: anchor.y, size, font, color, opacity
+    });
+  } else if (path.length === 0) {
+    return false;
+  }
+
+  if (number) drawNumber(page, view, box, number, bold);
+  return true;
+}
+
+const rectanglePath = ({ x, y, width, height }) => [
+  moveTo(x, y), lineTo(x + width, y), lineTo(x + width, y + height), lineTo(x, y + height), closePath()
+];
+
+function ellipsePath({ x, y, width, height }) {
+  const rx = width / 2;
+  const ry = height / 2;
+  const cx = x + rx;
+  const cy = y + ry;
+  const ox = rx * KAPPA;
+  const oy = ry * KAPPA;
+  return [
+    moveTo(cx - rx, cy),
+    appendBezierCurve(cx - rx, cy - oy, cx - ox, cy - ry, cx, cy - ry),
+    appendBezierCurve(cx + ox, cy - ry, cx + rx, cy - oy, cx + rx, cy),
+    appendBezierCurve(cx + rx, cy + oy, cx + ox, cy + ry, cx, cy + ry),
+    appendBezierCurve(cx - ox, cy + ry, cx - rx, cy + oy, cx - rx, cy),
+    closePath()
+  ];
+}
+
+/**
+ * Revision cloud: scallops bulging outward along each edge of the box
+ */
+function cloudPath({ x, y, width, height }, scallop) {
+  const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+  const center = [x + width / 2, y + height / 2];
+  const operators = [moveTo(...corners[0])];
+  for (let side = 0; side < 4; side++) {
+    const [ax, ay] = corners[side];
+    const [bx, by] = corners[(side + 1) % 4];
+    const length = Math.hypot(bx - ax, by - ay);
+    const count = Math.max(1, Math.round(length / scallop));
+    // Outward normal, away from the box centre
+    let nx = (by - ay) / length;
+    let ny = -(bx - ax) / length;
+    if (nx * ((ax + bx) / 2 - center[0]) + ny * ((ay + by) / 2 - center[1]) < 0) { nx = -nx; ny = -ny; }
+    for (let step = 0; step < count; step++) {
+      const [sx, sy] = [ax + ((bx - ax) * step) / count, ay + ((by - ay) * step) / count];
+      const [ex, ey] = [ax + ((bx - ax) * (step + 1)) / count, ay + ((by - ay) * (step + 1)) / count];
+      const bulge = (length / count) * 0.55;
+      operators.push(appendBezierCurve(
+        sx + nx * bulge, sy + ny * bulge,
+        ex + nx * bulge, ey + ny * bulge,
+        ex, ey
+      ));
+    }
+  }
+  operators.push(closePath());
+  return operators;
+}
+
+function arrowHead([fromX, fromY], [toX, toY], lineWidth) {
+  const angle = Math.atan2(toY - fromY, toX - fromX);
+  const length = Math.max(lineWidth * 5, 8);
+  const spread = Math.PI / 7;
+  return [-1, 1].flatMap(side => [
+    moveTo(toX, toY),
+    lineTo(toX - length * Math.cos(angle + side * spread), toY - length * Math.sin(angle + side * spread))
+  ]);
+}
+
+function wrapText(content, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of safeText(String(content).replace(/\r\n?/g, '\n').replace(/\n/g, '\u0000')).split('\u0000')) {
+    if (!maxWidth) {
+      lines.push(paragraph);
+      continue;
+    }
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Text lines from a displayed top-left position, upright as the sheet is viewed
+ */
+function drawLines(page, view, lines, { x, y, size, font, color, opacity }) {
+  lines.forEach((line, index) => {
+    const baseline = view.toUser([x, y + size * (index + 0.85) * 1.15]);
+    page.drawText(line, {
+      x: baseline[0],
+      y: baseline[1],
+      size,
+      font,
+      color: rgb(...color),
+      opacity,
+      rotate: degrees(view.rotation)
+    });
+  });
+}
+
+function drawNumber(page, view, box, number, bold) {
+  const size = Math.max(8, Math.min(view.width, view.height) / 120);
+  const radius = size * 0.9;
+  const [cx, cy] = view.toUser([box.x + box.width + radius, box.y - radius]);
+  page.drawCircle({ x: cx, y: cy, size: radius, color: rgb(1, 1, 1), borderColor: BLACK, borderWidth: 1 });
+  const label = String(number);
+  const offset = view.toUser([box.x + box.width + radius - bold.widthOfTextAtSize(label, size) / 2, box.y - radius + size * 0.35]);
+  page.drawText(label, { x: offset[0], y: offset[1], size, font: bold, color: BLACK, rotate: degrees(view.rotation) });
+}
+
+// ============================================================================
+// COMMENTS
+// ============================================================================
+
+function drawNotesPage(output, { font, bold }, sheet, notes) {
+  const margin = 48;
+  const size = 10;
+  let page = output.addPage([612, 792]);
+  let y = 792 - margin;
+  const heading = () => {
+    page.drawText(safeText(`${sheet.sheet_number} - ${sheet.title || ''}`.trim()), { x: margin, y, size: 14, font: bold });
+    y -= 18;
+    page.drawText('Markup comments', { x: margin, y, size, font, color: GRAY });
+    y -= 24;
+  };
+  heading();
+
+  for (const { number, markup } of notes) {
+    const meta = [
+      markup.created_by_name,
+      markup.created_at ? new Date(markup.created_at).toISOString().slice(0, 10) : null,
+      markup.status === 'resolved' ? 'Resolved' : 'Unresolved'
+    ].filter(Boolean).join('  |  ');
+    const lines = wrapText(markup.comment, font, size, 612 - margin * 2 - 24);
+    if (y - (lines.length + 1) * size * 1.4 < margin) {
+      page = output.addPage([612, 792]);
+      y = 792 - margin;
+      heading();
+    }
+    page.drawText(String(number), { x: margin, y, size, font: bold });
+    page.drawText(safeText(meta), { x: margin + 24, y, size: size - 1, font, color: GRAY });
+    y -= size * 1.4;
+    for (const line of lines) {
+      page.drawText(line, { x: margin + 24, y, size, font });
+      y -= size * 1.4;
+    }
+    y -= size * 0.6;
+  }
+}
+
+module.exports = { renderMarkupPdf, renderMarkupSnapshot, markupBounds };
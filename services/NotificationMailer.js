@@ -0,0 +1,533 @@
+// ============================================================================
+// NOTIFICATION MAILER SERVICE
+// Email delivery for the notifications table: instant sends, daily digests,
+// per-user / per-project preferences and signed mark-read / unsubscribe links
+// ============================================================================
+//
+// Every new notifications row starts email_status = 'pending'. The worker
+// resolves the recipient's email mode for (project, type):
+//   instant -> sent right away ('sent')
+//   digest  -> held as 'digest_queued' and sent in one email per user per day
+//   off     -> 'skipped'
+// Preference lookup, most specific first: project + type, project + any type,
+// all projects + type, all projects + any type, then DEFAULT_MODES.
+// ============================================================================
+
+const crypto = require('crypto');
+const { renderNotification, renderDigest } = require('../email/templates');
+
+const EMAIL_MODES = ['instant', 'digest', 'off'];
+const ANY_TYPE = '*';
+
+// Work handed to someone is worth an interruption; status chatter waits for the digest
+const DEFAULT_MODES = {
+  assignment: 'instant',
+  mention: 'instant',
+  overdue: 'instant',
+  due_soon: 'digest',
+  status_change: 'digest',
+  workflow: 'digest'
+};
+const FALLBACK_MODE = 'digest';
+
+const TYPE_LABELS = {
+  assignment: 'Assignment',
+  mention: 'Mention',
+  overdue: 'Overdue',
+  due_soon: 'Due soon',
+  status_change: 'Status change',
+  workflow: 'Workflow'
+};
+
+// Where each entity lives in the web app, relative to /projects/:projectId
+const ENTITY_PATHS = {
+  rfi: 'rfis',
+  submittal: 'submittals',
+  inspection_run: 'inspections',
+  observation: 'observations',
+  incident: 'safety/incidents',
+  incident_corrective_action: 'safety/corrective-actions',
+  pay_application: 'pay-applications',
+  schedule_task: 'schedule/tasks',
+  change_event: 'change-events',
+  change_order: 'change-orders',
+  asi: 'asis',
+  document: 'documents',
+  drawing_set: 'drawings/sets',
+  drawing_sheet: 'drawings/sheets',
+  drawing_transmittal: 'drawings/transmittals',
+  punch_item: 'punch',
+  workflow: 'workflows'
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_SECONDS = 300;
+const LEASE_SECONDS = 300;
+const TOKEN_MAX_AGE_DAYS = 90;
+
+class NotificationMailer {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} transport - Email transport (email/index.js)
+   * @param {Object} options - { secret, appUrl, apiUrl, digestHour, pollIntervalMs, batchSize,
+   *                             replyAddress: async (notification) => Reply-To address or null }
+   */
+  constructor(pool, transport, options = {}) {
+    this.pool = pool;
+    this.transport = transport;
+    this.secret = options.secret;
+    this.appUrl = (options.appUrl || process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+    this.apiUrl = (options.apiUrl || process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+    this.digestHour = options.digestHour ?? parseInt(process.env.EMAIL_DIGEST_HOUR_UTC || '12', 10);
+    this.pollIntervalMs = options.pollIntervalMs
+      || parseInt(process.env.EMAIL_POLL_INTERVAL_MS, 10)
+      || 15000;
+    this.batchSize = options.batchSize || 50;
+    this.replyAddress = options.replyAddress || null;
+    this._timer = null;
+    this._processing = false;
+  }
+
+  static get emailModes() {
+    return EMAIL_MODES;
+  }
+
+  static get defaultModes() {
+    return { ...DEFAULT_MODES, [ANY_TYPE]: FALLBACK_MODE };
+  }
+
+  static get notificationTypes() {
+    return Object.keys(TYPE_LABELS);
+  }
+
+  // ==========================================================================
+  // LINKS
+  // ==========================================================================
+
+  /**
+   * Web app path for the entity a notification is about, e.g. /projects/:id/rfis/:rfiId
+   * @param {Object} notification - notifications row (project_id, entity_type, entity_id)
+   * @returns {string}
+   */
+  static deepPath(notification) {
+    const entityPath = ENTITY_PATHS[notification.entity_type];
+    if (!notification.project_id) return '/notifications';
+    if (!entityPath || !notification.entity_id) return `/projects/${notification.project_id}`;
+    return `/projects/${notification.project_id}/${entityPath}/${notification.entity_id}`;
+  }
+
+  /**
+   * Absolute web app URL for a notification's entity
+   * @param {Object} notification
+   * @returns {string}
+   */
+  deepLink(notification) {
+    return `${this.appUrl}${NotificationMailer.deepPath(notification)}`;
+  }
+
+  /**
+   * Sign a link payload. Links in emails work without a session, so they carry
+   * an HMAC over their own contents and expire after TOKEN_MAX_AGE_DAYS.
+   * @param {Object} payload - { action: 'read'|'unsubscribe', userId, notificationId?, projectId?, type? }
+   * @returns {string} token
+   */
+  signToken(payload) {
+    const body = Buffer.from(JSON.stringify({ ...payload, issuedAt: Date.now() })).toString('base64url');
+    return `${body}.${this._hmac(body)}`;
+  }
+
+  /**
+   * @param {string} token
+   * @param {string} action - Expected action
+   * @returns {Object|null} Payload, or null if forged, expired or for another action
+   */
+  verifyToken(token, action) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [body, signature] = token.split('.');
+    // Byte lengths: timingSafeEqual throws when they differ
+    const expected = Buffer.from(this._hmac(body));
+    const provided = Buffer.from(signature || '');
+    if (provided.length === 0 || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (payload.action !== action) return null;
+      if (Date.now() - payload.issuedAt > TOKEN_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) return null;
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  unsubscribeUrl(userId, scope = {}) {
+    const token = this.signToken({ action: 'unsubscribe', userId, projectId: scope.projectId || null, type: scope.type || null });
+    return `${this.apiUrl}/api/v1/notifications/unsubscribe?token=${token}`;
+  }
+
+  markReadUrl(notification) {
+    const token = this.signToken({ action: 'read', userId: notification.user_id, notificationId: notification.id });
+    return `${this.apiUrl}/api/v1/notifications/${notification.id}/read?token=${token}`;
+  }
+
+  // ==========================================================================
+  // PREFERENCES
+  // ==========================================================================
+
+  /**
+   * Email mode for one user, project and notification type
+   * @param {Array<Object>} preferences - The user's notification_preferences rows
+   * @param {string} projectId
+   * @param {string} type
+   * @returns {string} instant | digest | off
+   */
+  static resolveMode(preferences, projectId, type) {
+    const find = (project, notificationType) => preferences.find(preference =>
+      (preference.project_id || null) === (project || null) && preference.notification_type === notificationType);
+
+    const match = (projectId && find(projectId, type))
+      || (projectId && find(projectId, ANY_TYPE))
+      || find(null, type)
+      || find(null, ANY_TYPE);
+    return match ? match.email_mode : (DEFAULT_MODES[type] || FALLBACK_MODE);
+  }
+
+  /**
+   * Create or clear a preference. email_mode null removes the row so the
+   * next broader setting applies again.
+   * @param {string} userId
+   * @param {Object} preference - { project_id, notification_type, email_mode }
+   * @returns {Promise<Object|null>} Saved row
+   */
+  async setPreference(userId, { project_id = null, notification_type = ANY_TYPE, email_mode }) {
+    if (email_mode === null) {
+      await this.pool.query(
+        `DELETE FROM notification_preferences
+         WHERE user_id = $1 AND project_id IS NOT DISTINCT FROM $2 AND notification_type = $3`,
+        [userId, project_id, notification_type]
+      );
+      return null;
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO notification_preferences (user_id, project_id, notification_type, email_mode)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, COALESCE(project_id, '00000000-0000-0000-0000-000000000000'::UUID), notification_type)
+       DO UPDATE SET email_mode = EXCLUDED.email_mode, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [userId, project_id, notification_type, email_mode]
+    );
+    return result.rows[0];
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  /**
+   * Start polling for pending notifications and due digests
+   */
+  start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.processAll().catch((error) => {
+        console.error('Notification mailer error:', error);
+      });
+    }, this.pollIntervalMs);
+
+    // Never hold the process open just for the worker
+    this._timer.unref();
+    console.log(`✉️  Notification mailer polling every ${this.pollIntervalMs}ms (digest at ${this.digestHour}:00 UTC)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Send instant emails now instead of waiting for the next poll
+   */
+  kick() {
+    if (this._processing) return;
+    setImmediate(() => {
+      this.processAll().catch((error) => {
+        console.error('Notification mailer error:', error);
+      });
+    });
+  }
+
+  /**
+   * One worker pass: route pending notifications, then send any due digests
+   * @returns {Promise<Object>} { routed, digests }
+   */
+  async processAll() {
+    if (this._processing) return { routed: 0, digests: 0 };
+    this._processing = true;
+    try {
+      const routed = await this.processPending();
+      const digests = await this.processDigests();
+      return { routed, digests };
+    } finally {
+      this._processing = false;
+    }
+  }
+
+  /**
+   * Claim pending notifications and send, queue or skip each one.
+   * Claimed rows move to 'sending' with a lease; a crashed worker's lease
+   * simply expires and the row is picked up again.
+   * @returns {Promise<number>} Number of notifications routed
+   */
+  async processPending() {
+    const claimResult = await this.pool.query(
+      `UPDATE notifications
+       SET email_status = 'sending',
+           email_locked_until = CURRENT_TIMESTAMP + ($2 || ' seconds')::INTERVAL
+       WHERE id IN (
+         SELECT id FROM notifications
+         WHERE (email_status = 'pending' AND (email_locked_until IS NULL OR email_locked_until <= CURRENT_TIMESTAMP))
+            OR (email_status = 'sending' AND email_locked_until < CURRENT_TIMESTAMP AND email_digest_at IS NULL)
+         ORDER BY created_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [this.batchSize, String(LEASE_SECONDS)]
+    );
+    if (claimResult.rows.length === 0) return 0;
+
+    const context = await this._loadContext(claimResult.rows);
+    for (const row of claimResult.rows) {
+      const notification = this._normalize(row);
+      const recipient = context.users.get(notification.user_id);
+
+      if (!recipient || !recipient.email || recipient.is_active === false || notification.is_read) {
+        await this._setStatus(notification.id, 'skipped', null);
+        continue;
+      }
+
+      const mode = NotificationMailer.resolveMode(context.preferences.get(notification.user_id) || [], notification.project_id, notification.type);
+      if (mode === 'off') {
+        await this._setStatus(notification.id, 'skipped', null);
+      } else if (mode === 'digest') {
+        await this._setStatus(notification.id, 'digest_queued', null);
+      } else {
+        await this._sendInstant(notification, recipient, context.projects.get(notification.project_id));
+      }
+    }
+    return claimResult.rows.length;
+  }
+
+  /**
+   * Send each user one email with everything queued before today's digest
+   * time. Runs on every poll after that hour; rows claimed by one instance are
+   * invisible to the others, so each digest goes out once.
+   * @param {Date} now
+   * @returns {Promise<number>} Number of digest emails sent
+   */
+  async processDigests(now = new Date()) {
+    const cutoff = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), this.digestHour));
+    if (now < cutoff) return 0;
+
+    const claimResult = await this.pool.query(
+      `UPDATE notifications
+       SET email_status = 'sending',
+           email_digest_at = $1,
+           email_locked_until = CURRENT_TIMESTAMP + ($2 || ' seconds')::INTERVAL
+       WHERE id IN (
+         SELECT id FROM notifications
+         WHERE (email_status = 'digest_queued' AND created_at < $1)
+            OR (email_status = 'sending' AND email_digest_at IS NOT NULL AND email_locked_until < CURRENT_TIMESTAMP)
+         ORDER BY user_id, created_at
+         LIMIT 2000
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [cutoff, String(LEASE_SECONDS)]
+    );
+    if (claimResult.rows.length === 0) return 0;
+
+    const context = await this._loadContext(claimResult.rows);
+    const byUser = new Map();
+    for (const row of claimResult.rows) {
+      const notification = this._normalize(row);
+      if (!byUser.has(notification.user_id)) byUser.set(notification.user_id, []);
+      byUser.get(notification.user_id).push(notification);
+    }
+
+    let sent = 0;
+    for (const [userId, notifications] of byUser) {
+      const recipient = context.users.get(userId);
+      // Anything read in the app since it was queued is no longer news
+      const unread = notifications.filter(notification => !notification.is_read);
+      const ids = notifications.map(notification => notification.id);
+      if (!recipient || !recipient.email || recipient.is_active === false || unread.length === 0) {
+        await this._setStatus(ids, 'skipped', null);
+        continue;
+      }
+
+      const groups = new Map();
+      for (const notification of unread) {
+        const key = notification.project_id || 'general';
+        if (!groups.has(key)) groups.set(key, { project: context.projects.get(notification.project_id) || null, items: [] });
+        groups.get(key).items.push({
+          notification,
+          link: this.deepLink(notification),
+          typeLabel: TYPE_LABELS[notification.type] || 'Update'
+        });
+      }
+
+      const email = renderDigest({
+        recipient,
+        groups: [...groups.values()],
+        date: cutoff.toISOString().slice(0, 10),
+        inboxUrl: `${this.appUrl}/notifications`,
+        preferencesUrl: `${this.appUrl}/settings/notifications`,
+        unsubscribeAllUrl: this.unsubscribeUrl(userId)
+      });
+
+      try {
+        await this.transport.send({
+          to: recipient.email,
+          ...email,
+          headers: this._unsubscribeHeaders(this.unsubscribeUrl(userId))
+        });
+        await this._setStatus(unread.map(notification => notification.id), 'sent', null);
+        const dropped = notifications.filter(notification => notification.is_read).map(notification => notification.id);
+        if (dropped.length > 0) await this._setStatus(dropped, 'skipped', null);
+        sent += 1;
+      } catch (error) {
+        // Hand the rows back to tomorrow's digest rather than retrying in a loop
+        await this.pool.query(
+          `UPDATE notifications SET email_status = 'digest_queued', email_digest_at = NULL,
+                  email_locked_until = NULL, email_error = $2
+           WHERE id = ANY($1::UUID[])`,
+          [ids, error.message]
+        );
+      }
+    }
+    return sent;
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  async _sendInstant(notification, recipient, project) {
+    const typeLabel = TYPE_LABELS[notification.type] || 'Update';
+    // Replies to this address come back in through email-in
+    const replyTo = this.replyAddress ? await this.replyAddress(notification) : null;
+    const email = renderNotification({
+      notification,
+      canReply: Boolean(replyTo),
+      recipient,
+      project,
+      typeLabel,
+      link: this.deepLink(notification),
+      markReadUrl: this.markReadUrl(notification),
+      unsubscribeTypeUrl: this.unsubscribeUrl(notification.user_id, { projectId: notification.project_id, type: notification.type }),
+      unsubscribeProjectUrl: notification.project_id ? this.unsubscribeUrl(notification.user_id, { projectId: notification.project_id }) : null,
+      preferencesUrl: `${this.appUrl}/settings/notifications`
+    });
+
+    try {
+      await this.transport.send({
+        to: recipient.email,
+        ...email,
+        replyTo,
+        headers: this._unsubscribeHeaders(this.unsubscribeUrl(notification.user_id, { projectId: notification.project_id, type: notification.type }))
+      });
+      await this._setStatus(notification.id, 'sent', null);
+    } catch (error) {
+      const attempts = (notification.email_attempts || 0) + 1;
+      await this.pool.query(
+        `UPDATE notifications
+         SET email_status = $2, email_attempts = $3, email_error = $4,
+             email_locked_until = CURRENT_TIMESTAMP + ($5 || ' seconds')::INTERVAL
+         WHERE id = $1`,
+        [notification.id, attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', attempts, error.message, String(RETRY_DELAY_SECONDS * attempts)]
+      );
+    }
+  }
+
+  /**
+   * One-click unsubscribe (RFC 8058) for mail clients that support it
+   * @private
+   */
+  _unsubscribeHeaders(url) {
+    return {
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  /**
+   * Recipients, their preferences and project names for a batch
+   * @private
+   */
+  async _loadContext(rows) {
+    const userIds = [...new Set(rows.map(row => row.user_id))];
+    const projectIds = [...new Set(rows.map(row => row.project_id).filter(Boolean))];
+
+    const [usersResult, preferencesResult, projectsResult] = await Promise.all([
+      this.pool.query('SELECT * FROM users WHERE id = ANY($1::UUID[])', [userIds]),
+      this.pool.query('SELECT * FROM notification_preferences WHERE user_id = ANY($1::UUID[])', [userIds]),
+      projectIds.length > 0
+        ? this.pool.query('SELECT id, name FROM projects WHERE id = ANY($1::UUID[])', [projectIds])
+        : { rows: [] }
+    ]);
+
+    const preferences = new Map();
+    for (const preference of preferencesResult.rows) {
+      if (!preferences.has(preference.user_id)) preferences.set(preference.user_id, []);
+      preferences.get(preference.user_id).push(preference);
+    }
+
+    return {
+      users: new Map(usersResult.rows.map(user => [user.id, user])),
+      preferences,
+      projects: new Map(projectsResult.rows.map(project => [project.id, project]))
+    };
+  }
+
+  /**
+   * Rows from before migration 022 may only have the legacy notification_type
+   * @private
+   */
+  _normalize(row) {
+    return { ...row, type: row.type || row.notification_type || 'general' };
+  }
+
+  /**
+   * @private
+   */
+  async _setStatus(ids, status, errorMessage) {
+    await this.pool.query(
+      `UPDATE notifications
+       SET email_status = $2, email_error = $3, email_locked_until = NULL,
+           emailed_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP ELSE emailed_at END
+       WHERE id = ANY($1::UUID[])`,
+      [Array.isArray(ids) ? ids : [ids], status, errorMessage]
+    );
+  }
+
+  /**
+   * @private
+   */
+  _hmac(value) {
+    return crypto.createHmac('sha256', this.secret).update(`notification-email:${value}`).digest('base64url');
+  }
+}
+
+module.exports = NotificationMailer;
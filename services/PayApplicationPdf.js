@@ -0,0 +1,237 @@
+// ============================================================================
+// PAY APPLICATION PDF
+// Renders a pay application as a G702-style summary page followed by
+// G703-style continuation sheets using pdf-lib
+// ============================================================================
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const PORTRAIT = [612, 792];
+const LANDSCAPE = [792, 612];
+const MARGIN = 36;
+const GRAY = rgb(0.45, 0.45, 0.45);
+const LIGHT = rgb(0.92, 0.92, 0.92);
+const BLACK = rgb(0, 0, 0);
+
+// Continuation sheet columns (widths sum to the landscape content width)
+const G703_COLUMNS = [
+  { key: 'line_number', label: ['A', 'Item'], width: 34, align: 'left' },
+  { key: 'description', label: ['B', 'Description of Work'], width: 168, align: 'left' },
+  { key: 'scheduled_value', label: ['C', 'Scheduled Value'], width: 70, money: true },
+  { key: 'previous_work_completed', label: ['D', 'From Previous'], width: 70, money: true },
+  { key: 'work_completed_this_period', label: ['E', 'This Period'], width: 70, money: true },
+  { key: 'materials_stored', label: ['F', 'Materials Stored'], width: 70, money: true },
+  { key: 'total_completed_and_stored', label: ['G', 'Completed & Stored'], width: 76, money: true },
+  { key: 'percent_complete', label: ['', '% (G/C)'], width: 42, percent: true },
+  { key: 'balance_to_finish', label: ['H', 'Balance to Finish'], width: 70, money: true },
+  { key: 'retainage_amount', label: ['I', 'Retainage'], width: 62, money: true }
+];
+
+const formatMoney = (value) => {
+  const amount = Number(value || 0);
+  const formatted = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return amount < 0 ? `-$${formatted}` : `$${formatted}`;
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+// Standard fonts only cover WinAnsi; replace anything else so drawText cannot throw
+const safeText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const fitText = (text, font, size, maxWidth) => {
+  let result = safeText(text);
+  if (font.widthOfTextAtSize(result, size) <= maxWidth) return result;
+  while (result.length > 0 && font.widthOfTextAtSize(`${result}...`, size) > maxWidth) {
+    result = result.slice(0, -1);
+  }
+  return `${result}...`;
+};
+
+/**
+ * Render a pay application
+ * @param {Object} data
+ * @param {Object} data.project - { name, project_number }
+ * @param {Object} data.commitment - { commitment_number, title, total_amount }
+ * @param {Object} data.vendor - { name } of the vendor organization, if any
+ * @param {Object} data.application - commitment_invoices row (with approved_by_name)
+ * @param {Array<Object>} data.lines - commitment_invoice_lines rows
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function renderPayApplicationPdf({ project, commitment, vendor, application, lines }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  pdfDoc.setTitle(`Pay Application ${application.application_number} - ${commitment.commitment_number}`);
+  pdfDoc.setProducer('BuildPro');
+
+  drawSummaryPage(pdfDoc, { font, bold }, { project, commitment, vendor, application });
+  drawContinuationSheets(pdfDoc, { font, bold }, { project, commitment, application, lines });
+
+  return pdfDoc.save();
+}
+
+// ============================================================================
+// G702 SUMMARY
+// ============================================================================
+
+function drawSummaryPage(pdfDoc, fonts, { project, commitment, vendor, application }) {
+  const { font, bold } = fonts;
+  const page = pdfDoc.addPage(PORTRAIT);
+  const [width, height] = PORTRAIT;
+  let y = height - MARGIN;
+
+  const text = (value, x, yPos, options = {}) => {
+    page.drawText(safeText(value), { x, y: yPos, size: options.size || 10, font: options.font || font, color: options.color || BLACK });
+  };
+  const rightText = (value, xRight, yPos, options = {}) => {
+    const size = options.size || 10;
+    const usedFont = options.font || font;
+    text(value, xRight - usedFont.widthOfTextAtSize(safeText(value), size), yPos, options);
+  };
+
+  text('APPLICATION AND CERTIFICATE FOR PAYMENT', MARGIN, y - 14, { font: bold, size: 15 });
+  text('G702-style summary', MARGIN, y - 28, { size: 9, color: GRAY });
+  y -= 52;
+
+  const details = [
+    ['Project', `${project.name}${project.project_number ? ` (${project.project_number})` : ''}`],
+    ['Contract', `${commitment.commitment_number} - ${commitment.title}`],
+    ['From (Contractor)', vendor?.name || ''],
+    ['Application No.', String(application.application_number)],
+    ['Invoice No.', application.invoice_number],
+    ['Invoice Date', formatDate(application.invoice_date)],
+    ['Period', `${formatDate(application.period_start)} to ${formatDate(application.period_end)}`],
+    ['Status', application.status]
+  ];
+  for (const [label, value] of details) {
+    text(label, MARGIN, y, { font: bold, size: 9 });
+    text(fitText(value, font, 10, width - MARGIN * 2 - 120), MARGIN + 120, y);
+    y -= 15;
+  }
+
+  y -= 12;
+  page.drawRectangle({ x: MARGIN, y: y - 4, width: width - MARGIN * 2, height: 18, color: LIGHT });
+  text("CONTRACTOR'S APPLICATION FOR PAYMENT", MARGIN + 6, y, { font: bold, size: 10 });
+  y -= 26;
+
+  const retainagePercent = Number(application.retainage_percent || 0);
+  const workRetainage = Number(application.total_completed_and_stored || 0) - Number(application.materials_stored || 0);
+  const summaryLines = [
+    ['1.', 'Original contract sum', commitment.total_amount],
+    ['2.', 'Net change by change orders', Number(application.contract_sum || 0) - Number(commitment.total_amount || 0)],
+    ['3.', 'Contract sum to date (line 1 + 2)', application.contract_sum],
+    ['4.', 'Total completed and stored to date (column G)', application.total_completed_and_stored],
+    ['5.', `Retainage: a. ${retainagePercent}% of completed work`, workRetainage * retainagePercent / 100],
+    ['', `b. ${retainagePercent}% of stored material`, Number(application.materials_stored || 0) * retainagePercent / 100],
+    ['', 'Total retainage (line 5a + 5b, column I)', application.retainage_amount],
+    ['6.', 'Total earned less retainage (line 4 - line 5)', application.total_earned_less_retainage],
+    ['7.', 'Less previous certificates for payment', application.previous_certificates],
+    ['8.', 'CURRENT PAYMENT DUE', application.total_amount],
+    ['9.', 'Balance to finish, including retainage (line 3 - line 6)',
+      Number(application.contract_sum || 0) - Number(application.total_earned_less_retainage || 0)]
+  ];
+
+  for (const [number, label, amount] of summaryLines) {
+    const isDue = number === '8.';
+    text(number, MARGIN + 6, y, { font: isDue ? bold : font });
+    // Continuation lines (5b, total retainage) are indented under their number
+    text(label, MARGIN + 30 + (number ? 0 : 12), y, { font: isDue ? bold : font });
+    rightText(formatMoney(amount), width - MARGIN - 6, y, { font: isDue ? bold : font });
+    page.drawLine({ start: { x: MARGIN, y: y - 5 }, end: { x: width - MARGIN, y: y - 5 }, thickness: 0.3, color: LIGHT });
+    y -= 20;
+  }
+
+  y -= 24;
+  const columnWidth = (width - MARGIN * 2 - 24) / 2;
+  const signatureBlock = (x, title, name, date) => {
+    text(title, x, y, { font: bold, size: 9 });
+    page.drawLine({ start: { x, y: y - 34 }, end: { x: x + columnWidth, y: y - 34 }, thickness: 0.6, color: BLACK });
+    text(name ? `By: ${name}` : 'By:', x, y - 46, { size: 9 });
+    text(`Date: ${formatDate(date)}`, x, y - 58, { size: 9 });
+  };
+  signatureBlock(MARGIN, 'CONTRACTOR', application.submitted_by_name, application.submitted_at);
+  signatureBlock(MARGIN + columnWidth + 24, 'CERTIFIED FOR PAYMENT', application.approved_by_name, application.approved_at);
+
+  text(`Amount certified: ${application.approved_at ? formatMoney(application.total_amount) : '__________'}`,
+    MARGIN + columnWidth + 24, y - 76, { size: 9 });
+}
+
+// ============================================================================
+// G703 CONTINUATION SHEETS
+// ============================================================================
+
+function drawContinuationSheets(pdfDoc, fonts, { project, commitment, application, lines }) {
+  const { font, bold } = fonts;
+  const [width, height] = LANDSCAPE;
+  const rowHeight = 15;
+  const fontSize = 7.5;
+  const headerBottom = height - MARGIN - 62;
+  const rowsPerPage = Math.floor((headerBottom - MARGIN - 40) / rowHeight);
+
+  const totals = {};
+  for (const column of G703_COLUMNS.filter(col => col.money)) {
+    totals[column.key] = lines.reduce((sum, line) => sum + Number(line[column.key] || 0), 0);
+  }
+  totals.percent_complete = totals.scheduled_value > 0
+    ? (totals.total_completed_and_stored / totals.scheduled_value) * 100
+    : 0;
+
+  const rows = [...lines, { ...totals, line_number: '', description: 'GRAND TOTALS', isTotal: true }];
+  const pageCount = Math.max(1, Math.ceil(rows.length / rowsPerPage));
+
+  const cellText = (column, row) => {
+    const value = row[column.key];
+    if (column.money) return formatMoney(value);
+    if (column.percent) return `${Number(value || 0).toFixed(1)}%`;
+    return value ?? '';
+  };
+
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    const page = pdfDoc.addPage(LANDSCAPE);
+    let y = height - MARGIN;
+
+    page.drawText('CONTINUATION SHEET', { x: MARGIN, y: y - 12, size: 13, font: bold });
+    page.drawText(safeText(`G703-style  |  ${project.name}  |  ${commitment.commitment_number}  |  Application No. ${application.application_number}  |  Period to ${formatDate(application.period_end)}`),
+      { x: MARGIN, y: y - 26, size: 8.5, font, color: GRAY });
+
+    // Column headers
+    y = headerBottom + 22;
+    page.drawRectangle({ x: MARGIN, y: headerBottom, width: width - MARGIN * 2, height: 28, color: LIGHT });
+    let x = MARGIN;
+    for (const column of G703_COLUMNS) {
+      const [letter, label] = column.label;
+      page.drawText(letter, { x: x + 3, y: y - 2, size: fontSize, font: bold });
+      page.drawText(fitText(label, bold, fontSize, column.width - 6), { x: x + 3, y: y - 13, size: fontSize, font: bold });
+      x += column.width;
+    }
+
+    y = headerBottom - rowHeight + 4;
+    for (const row of rows.slice(pageIndex * rowsPerPage, (pageIndex + 1) * rowsPerPage)) {
+      const rowFont = row.isTotal ? bold : font;
+      x = MARGIN;
+      for (const column of G703_COLUMNS) {
+        const value = fitText(cellText(column, row), rowFont, fontSize, column.width - 6);
+        const textX = column.align === 'left'
+          ? x + 3
+          : x + column.width - 3 - rowFont.widthOfTextAtSize(value, fontSize);
+        page.drawText(value, { x: textX, y, size: fontSize, font: rowFont });
+        x += column.width;
+      }
+      page.drawLine({
+        start: { x: MARGIN, y: y - 4 }, end: { x: width - MARGIN, y: y - 4 },
+        thickness: row.isTotal ? 0.8 : 0.3, color: row.isTotal ? BLACK : LIGHT
+      });
+      y -= rowHeight;
+    }
+
+    const footer = `Page ${pageIndex + 2} of ${pageCount + 1}`;
+    page.drawText(footer, { x: width - MARGIN - font.widthOfTextAtSize(footer, 8), y: MARGIN - 14, size: 8, font, color: GRAY });
+  }
+}
+
+module.exports = { renderPayApplicationPdf };
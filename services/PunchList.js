@@ -0,0 +1,351 @@
+// ============================================================================
+// PUNCH LIST
+// Punch item lifecycle: which moves are allowed, who may make them, what each
+// move needs first, and the status history kept for sign-off
+// ============================================================================
+//
+// States:
+//   open              -> work_required     issued to the responsible company
+//   work_required     -> ready_for_review  the company reports the work done
+//   ready_for_review  -> verified          accepted on the walk
+//                     -> work_required     rejected, with a reason
+//   verified          -> closed            signed off
+//
+// Issuing needs a responsible company (assigned_company_id) and, when the
+// item has photos_required, a 'before' photo; marking it ready for review
+// needs an 'after' photo. Members of the responsible company may mark their
+// own items ready for review; issuing needs engineer, and accepting,
+// rejecting and closing need superintendent.
+// ============================================================================
+
+const TRANSITIONS = {
+  open: ['work_required'],
+  work_required: ['ready_for_review'],
+  ready_for_review: ['verified', 'work_required'],
+  verified: ['closed'],
+  closed: []
+};
+
+const PRIORITIES = ['low', 'normal', 'high'];
+const PHOTO_STAGES = ['before', 'after'];
+
+// Fields editable through PUT /punch-items/:id (status has its own endpoint)
+const EDITABLE_FIELDS = [
+  'description', 'location', 'trade', 'priority', 'due_date', 'assigned_to', 'assigned_company_id',
+  'photos_required', 'back_charge_amount', 'back_charge_notes'
+];
+
+class PunchList {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {Object} roleHierarchy - server.js ROLE_HIERARCHY (role -> level)
+   * @param {Object} options
+   * @param {Function} options.createNotification - server.js createNotification
+   */
+  constructor(pool, roleHierarchy, options = {}) {
+    this.pool = pool;
+    this.roleHierarchy = roleHierarchy;
+    this.createNotification = options.createNotification;
+  }
+
+  static get statuses() {
+    return Object.keys(TRANSITIONS);
+  }
+
+  static get transitions() {
+    return TRANSITIONS;
+  }
+
+  static get photoStages() {
+    return PHOTO_STAGES;
+  }
+
+  static get editableFields() {
+    return EDITABLE_FIELDS;
+  }
+
+  /**
+   * Check punch item fields from a request body
+   * @param {Object} fields
+   * @returns {string|null} Error message
+   */
+  static validate(fields) {
+    if (fields.priority !== undefined && !PRIORITIES.includes(fields.priority)) {
+      return `priority must be one of: ${PRIORITIES.join(', ')}`;
+    }
+    if (fields.photos_required !== undefined && typeof fields.photos_required !== 'boolean') {
+      return 'photos_required must be true or false';
+    }
+    if (fields.back_charge_amount !== undefined && fields.back_charge_amount !== null) {
+      const amount = Number(fields.back_charge_amount);
+      if (fields.back_charge_amount === '' || !Number.isFinite(amount) || amount < 0) {
+        return 'back_charge_amount must be a non-negative number (or null to clear it)';
+      }
+    }
+    for (const field of ['description', 'location', 'trade']) {
+      if (fields[field] !== undefined && (typeof fields[field] !== 'string' || !fields[field].trim())) {
+        return `${field} cannot be empty`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that a company can be made responsible for items
+   * @param {Object} db
+   * @param {string} companyId
+   * @returns {Promise<string|null>} Error message
+   */
+  async checkCompany(db, companyId) {
+    const result = await db.query('SELECT id FROM organizations WHERE id = $1', [companyId]);
+    return result.rows.length === 0 ? 'assigned_company_id is not a known organization' : null;
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Whether the viewer may move an item to `status` now
+   * @param {Object} db
+   * @param {Object} item - punch_items row
+   * @param {string} status - Requested status
+   * @param {Object} viewer - { userId, roleLevel }
+   * @param {string} [notes] - Reason, required when rejecting
+   * @returns {Promise<Object|null>} { error, status, allowed? } or null when allowed
+   */
+  async check(db, item, status, viewer, notes) {
+    const allowed = TRANSITIONS[item.status] || [];
+    if (!allowed.includes(status)) {
+      return { error: `Cannot move punch item from ${item.status} to ${status}`, status: 400, allowed };
+    }
+
+    const rejecting = PunchList.isRejection(item.status, status);
+    if (status === 'ready_for_review') {
+      if (viewer.roleLevel < this.roleHierarchy.superintendent
+        && !(await this._inCompany(db, viewer.userId, item.assigned_company_id))) {
+        return { error: 'Only the responsible company or a superintendent can mark this item ready for review', status: 403 };
+      }
+    } else {
+      const needed = status === 'work_required' && !rejecting ? 'engineer' : 'superintendent';
+      if (viewer.roleLevel < this.roleHierarchy[needed]) {
+        return { error: `Requires ${needed} role or higher to move a punch item to ${status}`, status: 403 };
+      }
+    }
+
+    if (rejecting && !(typeof notes === 'string' && notes.trim())) {
+      return { error: 'A reason (notes) is required to reject a punch item', status: 400 };
+    }
+    if (status === 'work_required' && !rejecting && !item.assigned_company_id) {
+      return { error: 'Assign a responsible company before issuing the item', status: 409 };
+    }
+
+    const stage = item.photos_required && !rejecting
+      ? { work_required: 'before', ready_for_review: 'after' }[status]
+      : null;
+    if (stage) {
+      const photos = await db.query(
+        `SELECT COUNT(*)::int as count FROM entity_links
+         WHERE source_type = 'photo' AND target_type = 'punch_item' AND target_id = $1 AND relationship = $2`,
+        [item.id, stage]
+      );
+      if (photos.rows[0].count === 0) {
+        return { error: `Add a ${stage} photo before moving the item to ${status}`, status: 409 };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start a new item's history
+   * @param {Object} db
+   * @param {Object} item - punch_items row just inserted
+   * @param {string} actorId
+   * @returns {Promise<void>}
+   */
+  async recordCreated(db, item, actorId) {
+    await db.query(
+      `INSERT INTO punch_item_history (punch_item_id, from_status, to_status, changed_by) VALUES ($1, NULL, $2, $3)`,
+      [item.id, item.status, actorId]
+    );
+  }
+
+  /**
+   * A move from ready_for_review back to work_required
+   * @param {string} from
+   * @param {string} to
+   * @returns {boolean}
+   */
+  static isRejection(from, to) {
+    return from === 'ready_for_review' && to === 'work_required';
+  }
+
+  /**
+   * Apply a checked status change: timestamps, who did it, and history
+   * @param {Object} db - Transaction client
+   * @param {Object} item - punch_items row before the change
+   * @param {string} status - New status
+   * @param {string} actorId
+   * @param {string} [notes]
+   * @returns {Promise<Object>} Updated punch_items row
+   */
+  async transition(db, item, status, actorId, notes) {
+    const rejecting = PunchList.isRejection(item.status, status);
+    const updated = await db.query(
+      `UPDATE punch_items
+       SET status = $2,
+           issued_at = CASE WHEN $2 = 'work_required' THEN COALESCE(issued_at, CURRENT_TIMESTAMP) ELSE issued_at END,
+           completed_at = CASE WHEN $2 = 'ready_for_review' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+           completed_by = CASE WHEN $2 = 'ready_for_review' THEN $3 ELSE completed_by END,
+           rejected_at = CASE WHEN $4 THEN CURRENT_TIMESTAMP ELSE rejected_at END,
+           rejection_reason = CASE WHEN $4 THEN $5 ELSE rejection_reason END,
+           rejection_count = rejection_count + CASE WHEN $4 THEN 1 ELSE 0 END,
+           verified_at = CASE WHEN $2 = 'verified' THEN CURRENT_TIMESTAMP ELSE verified_at END,
+           verified_by = CASE WHEN $2 = 'verified' THEN $3 ELSE verified_by END,
+           closed_at = CASE WHEN $2 = 'closed' THEN CURRENT_TIMESTAMP ELSE NULL END,
+           closed_by = CASE WHEN $2 = 'closed' THEN $3 ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [item.id, status, actorId, rejecting, rejecting ? notes.trim() : null]
+    );
+
+    await db.query(
+      `INSERT INTO punch_item_history (punch_item_id, from_status, to_status, notes, changed_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [item.id, item.status, status, notes || null, actorId]
+    );
+    return updated.rows[0];
+  }
+
+  /**
+   * Tell the next party about a status change: the assignee when the item is
+   * issued or rejected, the creator when it is ready for review
+   * @param {Object} item - punch_items row after the change
+   * @param {string} fromStatus
+   * @param {string} actorId
+   * @param {string} [notes]
+   * @returns {Promise<void>}
+   */
+  async notify(item, fromStatus, actorId, notes) {
+    const label = `Punch item ${item.item_number}`;
+    const rejected = PunchList.isRejection(fromStatus, item.status);
+    let recipient = null;
+    let title = null;
+    if (rejected) {
+      recipient = item.completed_by || item.assigned_to;
+      title = `${label} rejected`;
+    } else if (item.status === 'work_required') {
+      recipient = item.assigned_to;
+      title = `${label} issued to you`;
+    } else if (item.status === 'ready_for_review') {
+      recipient = item.created_by;
+      title = `${label} ready for review`;
+    }
+    if (!recipient || recipient === actorId) return;
+
+    await this.createNotification(recipient, item.status === 'work_required' && !rejected ? 'assignment' : 'status_change',
+      title, notes || item.description, 'punch_item', item.id);
+  }
+
+  // ==========================================================================
+  // DETAILS
+  // ==========================================================================
+
+  /**
+   * Photos attached to an item with their stage (before / after)
+   * @param {Object} db
+   * @param {string} itemId
+   * @returns {Promise<Array<Object>>}
+   */
+  async photos(db, itemId) {
+    const result = await db.query(
+      `SELECT p.*, d.file_path, el.relationship as stage
+       FROM entity_links el
+       JOIN photos p ON p.id = el.source_id
+       JOIN documents d ON d.id = p.document_id
+       WHERE el.source_type = 'photo' AND el.target_type = 'punch_item' AND el.target_id = $1
+         AND el.relationship = ANY($2)
+       ORDER BY el.relationship DESC, p.taken_at`,
+      [itemId, PHOTO_STAGES]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Status changes of an item, oldest first
+   * @param {Object} db
+   * @param {string} itemId
+   * @returns {Promise<Array<Object>>}
+   */
+  async history(db, itemId) {
+    const result = await db.query(
+      `SELECT h.*, u.first_name || ' ' || u.last_name as changed_by_name
+       FROM punch_item_history h LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.punch_item_id = $1 ORDER BY h.changed_at`,
+      [itemId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Items of a project grouped by trade, with the names and photo counts the
+   * sign-off report prints
+   * @param {string} projectId
+   * @param {Object} filters - { trades: [trade], statuses: [status] }
+   * @returns {Promise<Array<Object>>} [{ trade, items }] in trade order
+   */
+  async byTrade(projectId, filters = {}) {
+    const params = [projectId];
+    const conditions = ['pi.project_id = $1'];
+    if (filters.trades && filters.trades.length > 0) {
+      params.push(filters.trades.map(trade => trade.toLowerCase()));
+      conditions.push(`LOWER(pi.trade) = ANY($${params.length})`);
+    }
+    if (filters.statuses && filters.statuses.length > 0) {
+      params.push(filters.statuses);
+      conditions.push(`pi.status = ANY($${params.length})`);
+    }
+
+    const result = await this.pool.query(
+      `SELECT pi.*, o.name as company_name,
+              vu.first_name || ' ' || vu.last_name as verified_by_name,
+              cu.first_name || ' ' || cu.last_name as closed_by_name,
+              (SELECT COUNT(*)::int FROM entity_links el WHERE el.source_type = 'photo' AND el.target_type = 'punch_item'
+                 AND el.target_id = pi.id AND el.relationship = 'before') as before_photos,
+              (SELECT COUNT(*)::int FROM entity_links el WHERE el.source_type = 'photo' AND el.target_type = 'punch_item'
+                 AND el.target_id = pi.id AND el.relationship = 'after') as after_photos
+       FROM punch_items pi
+       LEFT JOIN organizations o ON o.id = pi.assigned_company_id
+       LEFT JOIN users vu ON vu.id = pi.verified_by
+       LEFT JOIN users cu ON cu.id = pi.closed_by
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY pi.trade, pi.item_number`,
+      params
+    );
+
+    const groups = new Map();
+    for (const item of result.rows) {
+      if (!groups.has(item.trade)) groups.set(item.trade, []);
+      groups.get(item.trade).push(item);
+    }
+    return [...groups].map(([trade, items]) => ({ trade, items }));
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  async _inCompany(db, userId, companyId) {
+    if (!companyId) return false;
+    const result = await db.query(
+      'SELECT 1 FROM user_organizations WHERE user_id = $1 AND organization_id = $2',
+      [userId, companyId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = PunchList;
@@ -0,0 +1,192 @@
+// ============================================================================
+// PUNCH LIST PDF
+// Renders a project's punch list one trade at a time, each trade with its
+// items, status and sign-off details, back-charge total and signature lines
+// ============================================================================
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const LANDSCAPE = [792, 612];
+const MARGIN = 36;
+const GRAY = rgb(0.45, 0.45, 0.45);
+const LIGHT = rgb(0.92, 0.92, 0.92);
+const BLACK = rgb(0, 0, 0);
+
+const STATUS_LABELS = {
+  open: 'Open',
+  work_required: 'Work required',
+  ready_for_review: 'Ready for review',
+  verified: 'Verified',
+  closed: 'Closed'
+};
+
+// Item table columns (widths sum to the landscape content width)
+const COLUMNS = [
+  { key: 'item_number', label: 'No.', width: 40 },
+  { key: 'description', label: 'Description', width: 176 },
+  { key: 'location', label: 'Location', width: 96 },
+  { key: 'company_name', label: 'Responsible Company', width: 100 },
+  { key: 'status', label: 'Status', width: 70, format: (item) => STATUS_LABELS[item.status] || item.status },
+  { key: 'photos', label: 'Photos B/A', width: 44, format: (item) => `${item.before_photos || 0}/${item.after_photos || 0}` },
+  { key: 'verified', label: 'Verified', width: 90, format: (item) => signedBy(item.verified_by_name, item.verified_at) },
+  { key: 'closed', label: 'Closed', width: 44, format: (item) => formatDate(item.closed_at) },
+  { key: 'back_charge_amount', label: 'Back-charge', width: 60, money: true }
+];
+
+const formatMoney = (value) => {
+  const amount = Number(value || 0);
+  const formatted = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return amount < 0 ? `-$${formatted}` : `$${formatted}`;
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+const signedBy = (name, date) => (date ? `${formatDate(date)}${name ? ` ${name}` : ''}` : '');
+
+// Standard fonts only cover WinAnsi; replace anything else so drawText cannot throw
+const safeText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const fitText = (text, font, size, maxWidth) => {
+  let result = safeText(text);
+  if (font.widthOfTextAtSize(result, size) <= maxWidth) return result;
+  while (result.length > 0 && font.widthOfTextAtSize(`${result}...`, size) > maxWidth) {
+    result = result.slice(0, -1);
+  }
+  return `${result}...`;
+};
+
+/**
+ * Render a punch list by trade
+ * @param {Object} data
+ * @param {Object} data.project - { name, project_number }
+ * @param {Array<Object>} data.trades - [{ trade, items }] from PunchList#byTrade
+ * @param {Array<string>} [data.statuses] - Status filter, printed in the header
+ * @param {Date} [data.generatedAt]
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function renderPunchListPdf({ project, trades, statuses, generatedAt = new Date() }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  pdfDoc.setTitle(`Punch List - ${project.name}`);
+  pdfDoc.setProducer('BuildPro');
+
+  const subtitle = [
+    project.project_number ? `${project.name} (${project.project_number})` : project.name,
+    statuses && statuses.length > 0 ? `Status: ${statuses.map(status => STATUS_LABELS[status] || status).join(', ')}` : 'All statuses',
+    `Generated ${formatDate(generatedAt)}`
+  ].join('  |  ');
+
+  if (trades.length === 0) {
+    const page = pdfDoc.addPage(LANDSCAPE);
+    page.drawText('PUNCH LIST', { x: MARGIN, y: LANDSCAPE[1] - MARGIN - 12, size: 13, font: bold });
+    page.drawText(safeText(subtitle), { x: MARGIN, y: LANDSCAPE[1] - MARGIN - 26, size: 8.5, font, color: GRAY });
+    page.drawText('No punch items match this report.', { x: MARGIN, y: LANDSCAPE[1] - MARGIN - 60, size: 10, font });
+  }
+  for (const { trade, items } of trades) {
+    drawTrade(pdfDoc, { font, bold }, { trade, items, subtitle });
+  }
+
+  const pages = pdfDoc.getPages();
+  pages.forEach((page, index) => {
+    const footer = `Page ${index + 1} of ${pages.length}`;
+    page.drawText(footer, { x: LANDSCAPE[0] - MARGIN - font.widthOfTextAtSize(footer, 8), y: MARGIN - 14, size: 8, font, color: GRAY });
+  });
+
+  return pdfDoc.save();
+}
+
+// ============================================================================
+// TRADE PAGES
+// ============================================================================
+
+function drawTrade(pdfDoc, fonts, { trade, items, subtitle }) {
+  const { font, bold } = fonts;
+  const [width, height] = LANDSCAPE;
+  const rowHeight = 15;
+  const fontSize = 7.5;
+  const headerBottom = height - MARGIN - 62;
+  const signOffHeight = 110;
+
+  const closed = items.filter(item => item.status === 'closed').length;
+  const backCharges = items.reduce((sum, item) => sum + Number(item.back_charge_amount || 0), 0);
+  const rows = [...items, {
+    item_number: '',
+    description: `${items.length} item(s), ${closed} closed`,
+    back_charge_amount: backCharges,
+    isTotal: true
+  }];
+
+  const cellText = (column, row) => {
+    if (row.isTotal && column.format) return '';
+    if (column.money) return row[column.key] === null || row[column.key] === undefined ? '' : formatMoney(row[column.key]);
+    if (column.format) return column.format(row);
+    return row[column.key] ?? '';
+  };
+
+  const startPage = (continued) => {
+    const page = pdfDoc.addPage(LANDSCAPE);
+    const top = height - MARGIN;
+    page.drawText(fitText(`PUNCH LIST - ${trade}${continued ? ' (continued)' : ''}`, bold, 13, width - MARGIN * 2),
+      { x: MARGIN, y: top - 12, size: 13, font: bold });
+    page.drawText(fitText(subtitle, font, 8.5, width - MARGIN * 2), { x: MARGIN, y: top - 26, size: 8.5, font, color: GRAY });
+
+    page.drawRectangle({ x: MARGIN, y: headerBottom, width: width - MARGIN * 2, height: 18, color: LIGHT });
+    let x = MARGIN;
+    for (const column of COLUMNS) {
+      page.drawText(fitText(column.label, bold, fontSize, column.width - 6), { x: x + 3, y: headerBottom + 6, size: fontSize, font: bold });
+      x += column.width;
+    }
+    return page;
+  };
+
+  let page = startPage(false);
+  let y = headerBottom - rowHeight + 4;
+  for (const row of rows) {
+    if (y < MARGIN + 10) {
+      page = startPage(true);
+      y = headerBottom - rowHeight + 4;
+    }
+    const rowFont = row.isTotal ? bold : font;
+    let x = MARGIN;
+    for (const column of COLUMNS) {
+      const value = fitText(cellText(column, row), rowFont, fontSize, column.width - 6);
+      const textX = column.money ? x + column.width - 3 - rowFont.widthOfTextAtSize(value, fontSize) : x + 3;
+      page.drawText(value, { x: textX, y, size: fontSize, font: rowFont });
+      x += column.width;
+    }
+    page.drawLine({
+      start: { x: MARGIN, y: y - 4 }, end: { x: width - MARGIN, y: y - 4 },
+      thickness: row.isTotal ? 0.8 : 0.3, color: row.isTotal ? BLACK : LIGHT
+    });
+    y -= rowHeight;
+  }
+
+  // Sign-off block under the table, on a new page when it does not fit
+  if (y - signOffHeight < MARGIN) {
+    page = startPage(true);
+    y = headerBottom - 10;
+  }
+  y -= 24;
+  const companies = [...new Set(items.map(item => item.company_name).filter(Boolean))];
+  page.drawText(fitText(`Responsible: ${companies.length > 0 ? companies.join(', ') : 'not assigned'}`, font, 9, width - MARGIN * 2),
+    { x: MARGIN, y, size: 9, font });
+  y -= 20;
+
+  const columnWidth = (width - MARGIN * 2 - 24) / 2;
+  const signatureBlock = (x, title) => {
+    page.drawText(title, { x, y, size: 9, font: bold });
+    page.drawLine({ start: { x, y: y - 34 }, end: { x: x + columnWidth, y: y - 34 }, thickness: 0.6, color: BLACK });
+    page.drawText('By:', { x, y: y - 46, size: 9, font });
+    page.drawText('Date:', { x, y: y - 58, size: 9, font });
+  };
+  signatureBlock(MARGIN, 'SUBCONTRACTOR - WORK COMPLETE');
+  signatureBlock(MARGIN + columnWidth + 24, 'CONTRACTOR - ACCEPTED');
+}
+
+module.exports = { renderPunchListPdf };
@@ -0,0 +1,457 @@
+// ============================================================================
+// RFI TRACKER
+// Who owes the next move on each RFI (ball in court), distribution lists,
+// business-day response deadlines, and the overdue escalation worker
+// ============================================================================
+//
+// Ball in court follows the conversation:
+//   draft                      -> the creator (it has not been issued)
+//   open                       -> the assignee, else the first 'to' recipient
+//   response by the holder     -> the other party (creator <-> assignee)
+//   official response          -> the creator, to review and close
+//   closed                     -> nobody
+// Every handoff is kept in rfi_ball_in_court_log, so days-in-court can be
+// reported per party.
+//
+// Due dates count business days on the project's default work calendar from
+// the day the RFI is opened. The worker sends one due-soon and one overdue
+// notice to the holder, then escalates to project managers and the creator
+// once an RFI is RFI_ESCALATION_DAYS business days late.
+// ============================================================================
+
+const WorkCalendar = require('./WorkCalendar');
+
+const DISTRIBUTION_ROLES = ['to', 'cc'];
+
+class RfiTracker {
+  /**
+   * @param {Object} pool - pg pool
+   * @param {ScheduleEngine} scheduleEngine - Source of project calendars
+   * @param {Object} options
+   * @param {Function} options.createNotification - server.js createNotification
+   * @param {Function} options.notifyProjectManagers - server.js notifyProjectManagers
+   * @param {number} options.responseDays - Default business days to respond
+   * @param {number} options.escalationDays - Business days overdue before escalating
+   * @param {number} options.pollIntervalMs
+   */
+  constructor(pool, scheduleEngine, options = {}) {
+    this.pool = pool;
+    this.scheduleEngine = scheduleEngine;
+    this.createNotification = options.createNotification;
+    this.notifyProjectManagers = options.notifyProjectManagers;
+    this.responseDays = options.responseDays || parseInt(process.env.RFI_RESPONSE_DAYS, 10) || 7;
+    this.escalationDays = options.escalationDays || parseInt(process.env.RFI_ESCALATION_DAYS, 10) || 3;
+    this.pollIntervalMs = options.pollIntervalMs
+      || parseInt(process.env.RFI_DEADLINE_POLL_INTERVAL_MS, 10)
+      || 60 * 60 * 1000;
+    this._timer = null;
+    this._processing = false;
+  }
+
+  static get distributionRoles() {
+    return DISTRIBUTION_ROLES;
+  }
+
+  // ==========================================================================
+  // DISTRIBUTION
+  // ==========================================================================
+
+  /**
+   * Normalize a distribution from a request body:
+   * { to: [userId], cc: [userId] } or [{ user_id, role }]
+   * @param {Object|Array} distribution
+   * @returns {Object} { entries: [{ user_id, role }] } or { error }
+   */
+  static parseDistribution(distribution) {
+    let entries;
+    if (Array.isArray(distribution)) {
+      entries = distribution.map(entry => ({ user_id: entry.user_id, role: entry.role || 'to' }));
+    } else if (distribution && typeof distribution === 'object') {
+      entries = DISTRIBUTION_ROLES.flatMap(role => [].concat(distribution[role] || []).map(userId => ({ user_id: userId, role })));
+    } else {
+      return { error: 'distribution must be { to: [...], cc: [...] } or [{ user_id, role }]' };
+    }
+
+    const invalid = entries.find(entry => !entry.user_id || !DISTRIBUTION_ROLES.includes(entry.role));
+    if (invalid) return { error: `Each distribution entry needs a user_id and a role of ${DISTRIBUTION_ROLES.join(' or ')}` };
+
+    // A user listed as both 'to' and 'cc' is a 'to' recipient
+    const byUser = new Map();
+    for (const entry of entries) {
+      if (!byUser.has(entry.user_id) || entry.role === 'to') byUser.set(entry.user_id, entry);
+    }
+    return { entries: [...byUser.values()] };
+  }
+
+  /**
+   * Replace an RFI's distribution list. Recipients must be project members.
+   * @param {Object} db - pool or transaction client
+   * @param {Object} rfi - rfis row
+   * @param {Array<Object>} entries - From parseDistribution
+   * @param {string} userId - Who made the change
+   * @returns {Promise<Object>} { distribution, added: [{ user_id, role }] } or { error }
+   */
+  async setDistribution(db, rfi, entries, userId) {
+    const userIds = entries.map(entry => entry.user_id);
+    if (userIds.length > 0) {
+      const members = await db.query(
+        'SELECT user_id FROM project_members WHERE project_id = $1 AND user_id = ANY($2::UUID[])',
+        [rfi.project_id, userIds]
+      );
+      const memberIds = new Set(members.rows.map(row => row.user_id));
+      const outsider = userIds.find(id => !memberIds.has(id));
+      if (outsider) return { error: `User ${outsider} is not a member of this project` };
+    }
+
+    const previous = await db.query('SELECT user_id, role FROM rfi_distribution WHERE rfi_id = $1', [rfi.id]);
+    const previousRoles = new Map(previous.rows.map(row => [row.user_id, row.role]));
+
+    await db.query('DELETE FROM rfi_distribution WHERE rfi_id = $1 AND NOT (user_id = ANY($2::UUID[]))', [rfi.id, userIds]);
+    for (const entry of entries) {
+      await db.query(
+        `INSERT INTO rfi_distribution (rfi_id, user_id, role, added_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (rfi_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+        [rfi.id, entry.user_id, entry.role, userId]
+      );
+    }
+
+    return {
+      distribution: await this.getDistribution(db, rfi.id),
+      added: entries.filter(entry => previousRoles.get(entry.user_id) !== entry.role)
+    };
+  }
+
+  /**
+   * @param {Object} db
+   * @param {string} rfiId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDistribution(db, rfiId) {
+    const result = await db.query(
+      `SELECT rd.user_id, rd.role, u.first_name || ' ' || u.last_name as name, u.email
+       FROM rfi_distribution rd
+       JOIN users u ON u.id = rd.user_id
+       WHERE rd.rfi_id = $1
+       ORDER BY rd.role DESC, u.last_name, u.first_name`,
+      [rfiId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Tell recipients an RFI has been issued to them (or they were added later)
+   * @param {Object} rfi
+   * @param {Array<Object>} entries - [{ user_id, role }]
+   * @param {string} actorId - Not notified
+   */
+  async notifyDistribution(rfi, entries, actorId) {
+    for (const entry of entries) {
+      if (entry.user_id === actorId) continue;
+      await this.createNotification(
+        entry.user_id,
+        entry.role === 'to' ? 'assignment' : 'status_change',
+        entry.role === 'to' ? `RFI ${rfi.rfi_number} issued to you` : `RFI ${rfi.rfi_number} (cc)`,
+        `${rfi.title}${rfi.due_date ? ` - response due ${WorkCalendar.fromDayNumber(WorkCalendar.toDayNumber(rfi.due_date))}` : ''}`,
+        'rfi',
+        rfi.id
+      );
+    }
+  }
+
+  // ==========================================================================
+  // BALL IN COURT
+  // ==========================================================================
+
+  /**
+   * Who should hold an RFI in a given status
+   * @param {Object} db
+   * @param {Object} rfi
+   * @param {string} status
+   * @returns {Promise<string|null>} user id
+   */
+  async holderForStatus(db, rfi, status) {
+    if (status === 'draft') return rfi.created_by;
+    if (status === 'answered') return rfi.created_by;
+    if (status === 'closed') return null;
+    return (await this._responder(db, rfi)) || rfi.created_by;
+  }
+
+  /**
+   * Move the ball. No-op when the holder does not change.
+   * @param {Object} db - Transaction client
+   * @param {Object} rfi - rfis row (ball_in_court is the current holder)
+   * @param {string|null} userId - New holder
+   * @param {string} reason - e.g. opened, response, official_response, reassigned, closed
+   * @param {string} actorId
+   * @returns {Promise<Object|null>} { from, to, reason } when it moved
+   */
+  async setBallInCourt(db, rfi, userId, reason, actorId) {
+    if ((rfi.ball_in_court || null) === (userId || null)) return null;
+
+    await db.query(
+      `UPDATE rfi_ball_in_court_log SET released_at = CURRENT_TIMESTAMP
+       WHERE rfi_id = $1 AND released_at IS NULL`,
+      [rfi.id]
+    );
+    if (userId) {
+      await db.query(
+        `INSERT INTO rfi_ball_in_court_log (rfi_id, user_id, reason, assigned_by)
+         VALUES ($1, $2, $3, $4)`,
+        [rfi.id, userId, reason, actorId]
+      );
+    }
+    await db.query(
+      `UPDATE rfis SET ball_in_court = $2, ball_in_court_since = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [rfi.id, userId]
+    );
+
+    const handoff = { from: rfi.ball_in_court || null, to: userId || null, reason };
+    rfi.ball_in_court = userId || null;
+    return handoff;
+  }
+
+  /**
+   * Apply a status change: timestamps, due date on opening, and ball in court
+   * @param {Object} db - Transaction client
+   * @param {Object} rfi - rfis row before the change
+   * @param {string} status - New status
+   * @param {string} actorId
+   * @returns {Promise<Object>} { rfi, handoff }
+   */
+  async transition(db, rfi, status, actorId) {
+    let dueDate = rfi.due_date;
+    if (status === 'open' && !rfi.opened_at && !dueDate) {
+      dueDate = await this.dueDate(rfi.project_id, new Date(), rfi.response_days);
+    }
+
+    const updated = await db.query(
+      `UPDATE rfis
+       SET status = $2,
+           due_date = $3,
+           opened_at = CASE WHEN $2 = 'open' THEN COALESCE(opened_at, CURRENT_TIMESTAMP) ELSE opened_at END,
+           answered_at = CASE WHEN $2 = 'answered' THEN CURRENT_TIMESTAMP ELSE answered_at END,
+           closed_at = CASE WHEN $2 = 'closed' THEN CURRENT_TIMESTAMP ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [rfi.id, status, dueDate]
+    );
+
+    const next = { ...updated.rows[0], ball_in_court: rfi.ball_in_court };
+    const holder = await this.holderForStatus(db, next, status);
+    const handoff = await this.setBallInCourt(db, next, holder, status === 'open' ? 'opened' : status, actorId);
+    return { rfi: next, handoff };
+  }
+
+  /**
+   * Hand the ball on after a response. An official answer goes back to the
+   * creator (and answers an open RFI); a reply by whoever holds the ball goes
+   * to the other side of the conversation; anyone else's comment leaves it.
+   * @param {Object} db - Transaction client
+   * @param {Object} rfi - rfis row, locked by the caller
+   * @param {Object} response - rfi_responses row
+   * @param {string} responderId
+   * @returns {Promise<Object>} { rfi, handoff }
+   */
+  async recordResponse(db, rfi, response, responderId) {
+    if (response.is_official && rfi.status === 'open') {
+      return this.transition(db, rfi, 'answered', responderId);
+    }
+    if (rfi.status === 'closed') return { rfi, handoff: null };
+
+    let holder = rfi.ball_in_court;
+    if (response.is_official) {
+      holder = rfi.created_by;
+    } else if (responderId === rfi.ball_in_court) {
+      holder = responderId === rfi.created_by
+        ? (await this._responder(db, rfi)) || rfi.ball_in_court
+        : rfi.created_by;
+    }
+
+    const handoff = await this.setBallInCourt(db, rfi, holder, response.is_official ? 'official_response' : 'response', responderId);
+    return { rfi, handoff };
+  }
+
+  /**
+   * Tell the new holder the ball is with them
+   * @param {Object} rfi
+   * @param {Object|null} handoff - From setBallInCourt
+   * @param {string} actorId - Not notified
+   */
+  async notifyHandoff(rfi, handoff, actorId) {
+    if (!handoff || !handoff.to || handoff.to === actorId) return;
+    await this.createNotification(
+      handoff.to,
+      'assignment',
+      `RFI ${rfi.rfi_number}: ball in your court`,
+      `${rfi.title}${rfi.due_date && rfi.status === 'open' ? ` - response due ${WorkCalendar.fromDayNumber(WorkCalendar.toDayNumber(rfi.due_date))}` : ''}`,
+      'rfi',
+      rfi.id
+    );
+  }
+
+  // ==========================================================================
+  // DEADLINES
+  // ==========================================================================
+
+  /**
+   * Response deadline: business days after `from` on the project calendar
+   * @param {string} projectId
+   * @param {string|Date} from
+   * @param {number} responseDays - Defaults to RFI_RESPONSE_DAYS
+   * @returns {Promise<string>} YYYY-MM-DD
+   */
+  async dueDate(projectId, from, responseDays) {
+    const calendar = await this.scheduleEngine.projectCalendar(projectId);
+    const start = WorkCalendar.fromDayNumber(WorkCalendar.toDayNumber(from));
+    return calendar.addWorkingDaysToDate(start, responseDays || this.responseDays);
+  }
+
+  /**
+   * Business-day ages of an RFI, as of today (or when it was closed)
+   * @param {WorkCalendar} calendar - The project's calendar
+   * @param {Object} rfi
+   * @returns {Object} { days_open, days_overdue, days_in_court }
+   */
+  static ages(calendar, rfi) {
+    const endDay = WorkCalendar.toDayNumber(rfi.closed_at || new Date());
+    const since = (value) => {
+      const day = WorkCalendar.toDayNumber(value);
+      return day === null ? null : Math.max(calendar.workingDaysBetween(day, endDay), 0);
+    };
+
+    const dueDay = WorkCalendar.toDayNumber(rfi.due_date);
+    const late = rfi.status === 'open' && dueDay !== null && endDay > dueDay;
+    return {
+      days_open: since(rfi.opened_at || rfi.created_at),
+      days_overdue: late ? calendar.workingDaysBetween(dueDay, endDay) : 0,
+      days_in_court: rfi.ball_in_court ? since(rfi.ball_in_court_since || rfi.created_at) : null
+    };
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  /**
+   * Start checking deadlines
+   */
+  start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.checkDeadlines().catch((error) => {
+        console.error('RFI deadline check error:', error);
+      });
+    }, this.pollIntervalMs);
+
+    // Never hold the process open just for the worker
+    this._timer.unref();
+    console.log(`⏰ RFI deadline checks every ${Math.round(this.pollIntervalMs / 60000)} min`);
+    setImmediate(() => {
+      this.checkDeadlines().catch((error) => {
+        console.error('RFI deadline check error:', error);
+      });
+    });
+  }
+
+  /**
+   * Stop checking deadlines
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Send due-soon, overdue and escalation notices that are due. Each notice is
+   * claimed by stamping its column first, so it goes out once even with
+   * several API instances running.
+   * @returns {Promise<Object>} { due_soon, overdue, escalated }
+   */
+  async checkDeadlines() {
+    const counts = { due_soon: 0, overdue: 0, escalated: 0 };
+    if (this._processing) return counts;
+    this._processing = true;
+
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM rfis
+         WHERE status = 'open' AND due_date IS NOT NULL
+           AND (due_soon_notified_at IS NULL OR overdue_notified_at IS NULL OR escalated_at IS NULL)
+           AND due_date <= CURRENT_DATE + 14
+         ORDER BY project_id, due_date`
+      );
+
+      const calendars = new Map();
+      for (const rfi of result.rows) {
+        if (!calendars.has(rfi.project_id)) {
+          calendars.set(rfi.project_id, await this.scheduleEngine.projectCalendar(rfi.project_id));
+        }
+        const calendar = calendars.get(rfi.project_id);
+        const today = WorkCalendar.toDayNumber(new Date());
+        const dueDay = WorkCalendar.toDayNumber(rfi.due_date);
+        const dueLabel = WorkCalendar.fromDayNumber(dueDay);
+
+        if (today > dueDay) {
+          const daysLate = calendar.workingDaysBetween(dueDay, today);
+          if (rfi.ball_in_court && await this._claim(rfi.id, 'overdue_notified_at')) {
+            await this.createNotification(rfi.ball_in_court, 'overdue', `RFI ${rfi.rfi_number} is overdue`,
+              `${rfi.title} - response was due ${dueLabel}`, 'rfi', rfi.id);
+            counts.overdue += 1;
+          }
+          if (daysLate >= this.escalationDays && await this._claim(rfi.id, 'escalated_at')) {
+            const message = `${rfi.title} - ${daysLate} business days past due (${dueLabel})`;
+            await this.notifyProjectManagers(rfi.project_id, rfi.ball_in_court || rfi.created_by, 'overdue',
+              `Escalation: RFI ${rfi.rfi_number} overdue`, message, 'rfi', rfi.id);
+            if (rfi.created_by !== rfi.ball_in_court) {
+              await this.createNotification(rfi.created_by, 'overdue', `Escalation: RFI ${rfi.rfi_number} overdue`, message, 'rfi', rfi.id);
+            }
+            counts.escalated += 1;
+          }
+        } else if (rfi.ball_in_court && calendar.workingDaysBetween(today, dueDay) <= 1
+          && await this._claim(rfi.id, 'due_soon_notified_at')) {
+          await this.createNotification(rfi.ball_in_court, 'due_soon', `RFI ${rfi.rfi_number} is due ${today === dueDay ? 'today' : 'tomorrow'}`,
+            `${rfi.title} - response due ${dueLabel}`, 'rfi', rfi.id);
+          counts.due_soon += 1;
+        }
+      }
+      return counts;
+    } finally {
+      this._processing = false;
+    }
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Who answers: the assignee, else the first 'to' recipient
+   * @private
+   */
+  async _responder(db, rfi) {
+    if (rfi.assigned_to) return rfi.assigned_to;
+    const first = await db.query(
+      `SELECT user_id FROM rfi_distribution WHERE rfi_id = $1 AND role = 'to' ORDER BY created_at LIMIT 1`,
+      [rfi.id]
+    );
+    return first.rows[0]?.user_id || null;
+  }
+
+  /**
+   * @private
+   */
+  async _claim(rfiId, column) {
+    const result = await this.pool.query(
+      `UPDATE rfis SET ${column} = CURRENT_TIMESTAMP WHERE id = $1 AND ${column} IS NULL RETURNING id`,
+      [rfiId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = RfiTracker;
@@ -0,0 +1,475 @@
+// ============================================================================
+// SCHEDULE COMPARISON
+// Compares two snapshots of a project schedule - two baselines, a baseline
+// and the current schedule, or a what-if scenario - task by task: start, finish, duration and total
+// float deltas, added and deleted tasks, changed logic and milestone slippage
+// ============================================================================
+//
+// - Tasks are matched by id, then by task_code for tasks left over (a
+//   re-imported schedule gets new ids but keeps its activity codes).
+// - Date deltas are calendar days, later is positive. Duration and float
+//   deltas are working days, as stored.
+// - Logic is compared per predecessor / successor pair. Baselines taken before
+//   dependency snapshots existed have no logic to compare (logic.available).
+// - Milestones are schedule_milestones (actual, else forecast, else target
+//   date) plus zero-duration tasks that no milestone is tied to.
+// ============================================================================
+
+const WorkCalendar = require('./WorkCalendar');
+
+const toDay = WorkCalendar.toDayNumber;
+const toDate = (day) => (day === null || day === undefined ? null : WorkCalendar.fromDayNumber(day));
+const delta = (from, to) => (from === null || from === undefined || to === null || to === undefined ? null : to - from);
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const numberOrNull = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// Export columns (same shape as toCsv)
+const TASK_COLUMNS = [
+  { key: 'change', header: 'Change' },
+  { key: 'task_code', header: 'Task Code' },
+  { key: 'task_name', header: 'Task' },
+  { key: 'from_start', header: 'From Start' },
+  { key: 'to_start', header: 'To Start' },
+  { key: 'start_delta_days', header: 'Start Delta (days)' },
+  { key: 'from_finish', header: 'From Finish' },
+  { key: 'to_finish', header: 'To Finish' },
+  { key: 'finish_delta_days', header: 'Finish Delta (days)' },
+  { key: 'from_duration', header: 'From Duration' },
+  { key: 'to_duration', header: 'To Duration' },
+  { key: 'duration_delta_days', header: 'Duration Delta' },
+  { key: 'from_total_float', header: 'From Total Float' },
+  { key: 'to_total_float', header: 'To Total Float' },
+  { key: 'total_float_delta_days', header: 'Float Delta' },
+  { key: 'is_critical', header: 'Critical', format: (value) => (value ? 'Yes' : '') }
+];
+
+const LOGIC_COLUMNS = [
+  { key: 'change', header: 'Change' },
+  { key: 'predecessor_code', header: 'Predecessor Code' },
+  { key: 'predecessor_name', header: 'Predecessor' },
+  { key: 'successor_code', header: 'Successor Code' },
+  { key: 'successor_name', header: 'Successor' },
+  { key: 'from_relationship', header: 'From', format: (value, row) => relationship(row.from_type, row.from_lag_days) },
+  { key: 'to_relationship', header: 'To', format: (value, row) => relationship(row.to_type, row.to_lag_days) }
+];
+
+const MILESTONE_COLUMNS = [
+  { key: 'change', header: 'Change' },
+  { key: 'name', header: 'Milestone' },
+  { key: 'source', header: 'Source' },
+  { key: 'from_date', header: 'From Date' },
+  { key: 'to_date', header: 'To Date' },
+  { key: 'slippage_days', header: 'Slippage (days)' }
+];
+
+const relationship = (type, lag) => (type ? `${type}${lag ? `${lag > 0 ? '+' : ''}${lag}d` : ''}` : '');
+
+class ScheduleComparison {
+  /**
+   * @param {Object} pool - pg pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // ==========================================================================
+  // SNAPSHOTS
+  // ==========================================================================
+
+  /**
+   * Load one side of a comparison
+   * @param {string} projectId
+   * @param {string} ref - 'current', 'active' (the active baseline), a baseline id or 'scenario:<id>'
+   * @returns {Promise<Object|null>} { ref, name, date, tasks, dependencies|null, milestones|null }
+   */
+  async load(projectId, ref) {
+    if (ref === 'current') {
+      const [tasks, dependencies, milestones, project] = await Promise.all([
+        this.pool.query('SELECT * FROM schedule_tasks WHERE project_id = $1', [projectId]),
+        this.pool.query(
+          `SELECT d.* FROM task_dependencies d
+           JOIN schedule_tasks t ON t.id = d.successor_task_id
+           WHERE t.project_id = $1`,
+          [projectId]
+        ),
+        this.pool.query('SELECT * FROM schedule_milestones WHERE project_id = $1', [projectId]),
+        this.pool.query('SELECT schedule_data_date FROM projects WHERE id = $1', [projectId])
+      ]);
+      return {
+        ref: 'current',
+        name: 'Current schedule',
+        date: toDate(toDay(project.rows[0]?.schedule_data_date)) || toDate(toDay(new Date())),
+        tasks: tasks.rows,
+        dependencies: dependencies.rows,
+        milestones: milestones.rows
+      };
+    }
+
+    const scenarioId = ref.startsWith('scenario:') ? ref.slice('scenario:'.length) : null;
+    if (scenarioId !== null) {
+      if (!UUID_PATTERN.test(scenarioId)) return null;
+      const scenario = await this.pool.query('SELECT * FROM schedule_scenarios WHERE id = $1 AND project_id = $2', [scenarioId, projectId]);
+      if (scenario.rows.length === 0) return null;
+      const { snapshot } = scenario.rows[0];
+      return {
+        ref,
+        name: scenario.rows[0].name,
+        date: snapshot.data_date || toDate(toDay(scenario.rows[0].updated_at)),
+        tasks: snapshot.tasks,
+        dependencies: snapshot.dependencies,
+        milestones: snapshot.milestones
+      };
+    }
+
+    if (ref !== 'active' && !UUID_PATTERN.test(ref)) return null;
+    const result = ref === 'active'
+      ? await this.pool.query('SELECT * FROM schedule_baselines WHERE project_id = $1 AND is_active = true LIMIT 1', [projectId])
+      : await this.pool.query('SELECT * FROM schedule_baselines WHERE id = $1 AND project_id = $2', [ref, projectId]);
+    const baseline = result.rows[0];
+    if (!baseline) return null;
+    return {
+      ref: baseline.id,
+      name: baseline.name,
+      date: toDate(toDay(baseline.baseline_date)),
+      tasks: baseline.task_snapshot || [],
+      dependencies: baseline.dependency_snapshot || null,
+      milestones: baseline.milestone_snapshot || null
+    };
+  }
+
+  // ==========================================================================
+  // COMPARISON
+  // ==========================================================================
+
+  /**
+   * Compare two snapshots
+   * @param {Object} from - Earlier snapshot (see load)
+   * @param {Object} to - Later snapshot
+   * @param {Object} options
+   * @param {boolean} options.changedOnly - Leave unchanged tasks and milestones out (default true)
+   * @returns {Object} { from, to, summary, tasks, added, deleted, logic, milestones }
+   */
+  static compare(from, to, { changedOnly = true } = {}) {
+    const { pairs, added, deleted, toIdFor } = matchTasks(from.tasks, to.tasks);
+
+    const tasks = pairs.map(([before, after]) => {
+      const row = {
+        task_id: after.id,
+        task_code: after.task_code || null,
+        task_name: after.name,
+        from_start: toDate(toDay(before.planned_start_date)),
+        to_start: toDate(toDay(after.planned_start_date)),
+        from_finish: toDate(toDay(before.planned_end_date)),
+        to_finish: toDate(toDay(after.planned_end_date)),
+        from_duration: numberOrNull(before.duration_days),
+        to_duration: numberOrNull(after.duration_days),
+        from_total_float: numberOrNull(before.total_float_days),
+        to_total_float: numberOrNull(after.total_float_days),
+        is_critical: Boolean(after.is_critical),
+        renamed: before.name !== after.name ? before.name : undefined
+      };
+      row.start_delta_days = delta(toDay(row.from_start), toDay(row.to_start));
+      row.finish_delta_days = delta(toDay(row.from_finish), toDay(row.to_finish));
+      row.duration_delta_days = delta(row.from_duration, row.to_duration);
+      row.total_float_delta_days = delta(row.from_total_float, row.to_total_float);
+      row.changed = Boolean(row.start_delta_days || row.finish_delta_days || row.duration_delta_days
+        || row.total_float_delta_days || row.renamed);
+      row.change = !row.changed ? 'unchanged'
+        : row.finish_delta_days > 0 ? 'delayed'
+          : row.finish_delta_days < 0 ? 'ahead' : 'changed';
+      return row;
+    });
+
+    const logic = compareLogic(from, to, toIdFor);
+    const milestones = compareMilestones(from, to, pairs, toIdFor);
+
+    const finish = (snapshot) => snapshot.tasks.reduce((max, task) => Math.max(max, toDay(task.planned_end_date) ?? -Infinity), -Infinity);
+    const fromFinish = finish(from);
+    const toFinish = finish(to);
+    const changedTasks = tasks.filter(task => task.changed);
+
+    const summary = {
+      from_finish: Number.isFinite(fromFinish) ? toDate(fromFinish) : null,
+      to_finish: Number.isFinite(toFinish) ? toDate(toFinish) : null,
+      finish_delta_days: Number.isFinite(fromFinish) && Number.isFinite(toFinish) ? toFinish - fromFinish : null,
+      tasks_compared: pairs.length,
+      tasks_changed: changedTasks.length,
+      tasks_started_later: tasks.filter(task => task.start_delta_days > 0).length,
+      tasks_finishing_later: tasks.filter(task => task.finish_delta_days > 0).length,
+      tasks_finishing_earlier: tasks.filter(task => task.finish_delta_days < 0).length,
+      durations_changed: tasks.filter(task => task.duration_delta_days).length,
+      float_eroded: tasks.filter(task => task.total_float_delta_days < 0).length,
+      tasks_added: added.length,
+      tasks_deleted: deleted.length,
+      logic_added: logic.available ? logic.added.length : null,
+      logic_removed: logic.available ? logic.removed.length : null,
+      logic_changed: logic.available ? logic.changed.length : null,
+      milestones_slipped: milestones.filter(milestone => milestone.slippage_days > 0).length,
+      max_milestone_slippage_days: milestones.reduce((max, milestone) => Math.max(max, milestone.slippage_days || 0), 0)
+    };
+
+    const byDelay = (a, b) => (b.finish_delta_days ?? 0) - (a.finish_delta_days ?? 0) || String(a.task_code || a.task_name).localeCompare(String(b.task_code || b.task_name));
+    return {
+      from: { ref: from.ref, name: from.name, date: from.date },
+      to: { ref: to.ref, name: to.name, date: to.date },
+      summary,
+      tasks: (changedOnly ? changedTasks : tasks).sort(byDelay),
+      added: added.map(task => taskSummary(task)),
+      deleted: deleted.map(task => taskSummary(task)),
+      logic,
+      milestones: (changedOnly ? milestones.filter(milestone => milestone.change !== 'unchanged') : milestones)
+        .sort((a, b) => (b.slippage_days ?? 0) - (a.slippage_days ?? 0))
+    };
+  }
+
+  // ==========================================================================
+  // EXPORT
+  // ==========================================================================
+
+  /**
+   * Every change as one list, for CSV
+   * @param {Object} comparison - compare result
+   * @returns {Object} { columns, rows }
+   */
+  static changeRows(comparison) {
+    const columns = [
+      { key: 'section', header: 'Section' },
+      ...TASK_COLUMNS,
+      { key: 'predecessor', header: 'Predecessor' },
+      { key: 'successor', header: 'Successor' },
+      { key: 'from_relationship', header: 'From Relationship' },
+      { key: 'to_relationship', header: 'To Relationship' },
+      { key: 'slippage_days', header: 'Milestone Slippage (days)' }
+    ];
+    const rows = [
+      ...comparison.tasks.map(task => ({ section: 'task', ...task })),
+      ...comparison.added.map(task => ({ section: 'task', change: 'added', ...addedRow(task, 'to') })),
+      ...comparison.deleted.map(task => ({ section: 'task', change: 'deleted', ...addedRow(task, 'from') })),
+      ...(comparison.logic.available ? [...comparison.logic.added, ...comparison.logic.removed, ...comparison.logic.changed] : []).map(link => ({
+        section: 'logic',
+        change: link.change,
+        predecessor: [link.predecessor_code, link.predecessor_name].filter(Boolean).join(' '),
+        successor: [link.successor_code, link.successor_name].filter(Boolean).join(' '),
+        from_relationship: relationship(link.from_type, link.from_lag_days),
+        to_relationship: relationship(link.to_type, link.to_lag_days)
+      })),
+      ...comparison.milestones.map(milestone => ({
+        section: 'milestone',
+        change: milestone.change,
+        task_name: milestone.name,
+        from_finish: milestone.from_date,
+        to_finish: milestone.to_date,
+        finish_delta_days: milestone.slippage_days,
+        slippage_days: milestone.slippage_days
+      }))
+    ];
+    return { columns, rows };
+  }
+
+  /**
+   * One worksheet per section, for XLSX
+   * @param {Object} comparison - compare result
+   * @returns {Array<Object>} [{ name, columns, rows }]
+   */
+  static sheets(comparison) {
+    const { summary } = comparison;
+    const summaryRows = [
+      ['From', `${comparison.from.name} (${comparison.from.date || ''})`],
+      ['To', `${comparison.to.name} (${comparison.to.date || ''})`],
+      ...Object.entries(summary).map(([key, value]) => [key.replace(/_/g, ' '), value])
+    ].map(([item, value]) => ({ item, value }));
+
+    return [
+      { name: 'Summary', columns: [{ key: 'item', header: 'Item', width: 32 }, { key: 'value', header: 'Value', width: 40 }], rows: summaryRows },
+      { name: 'Tasks', columns: TASK_COLUMNS, rows: comparison.tasks },
+      {
+        name: 'Added & Deleted',
+        columns: TASK_COLUMNS.filter(column => !column.key.includes('delta')),
+        rows: [
+          ...comparison.added.map(task => ({ change: 'added', ...addedRow(task, 'to') })),
+          ...comparison.deleted.map(task => ({ change: 'deleted', ...addedRow(task, 'from') }))
+        ]
+      },
+      {
+        name: 'Logic',
+        columns: LOGIC_COLUMNS,
+        rows: comparison.logic.available
+          ? [...comparison.logic.added, ...comparison.logic.removed, ...comparison.logic.changed]
+          : [{ change: comparison.logic.reason }]
+      },
+      { name: 'Milestones', columns: MILESTONE_COLUMNS, rows: comparison.milestones }
+    ];
+  }
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Pair tasks by id, then by task_code
+ * @private
+ */
+function matchTasks(fromTasks, toTasks) {
+  const toById = new Map(toTasks.map(task => [task.id, task]));
+  const pairs = [];
+  const unmatchedFrom = [];
+  const matchedTo = new Set();
+  for (const task of fromTasks) {
+    const other = toById.get(task.id);
+    if (other) {
+      pairs.push([task, other]);
+      matchedTo.add(other.id);
+    } else {
+      unmatchedFrom.push(task);
+    }
+  }
+
+  // Codes used once on each side only, so a duplicated code never pairs wrongly
+  const uniqueCodes = (tasks) => {
+    const counts = new Map();
+    for (const task of tasks) if (task.task_code) counts.set(task.task_code, (counts.get(task.task_code) || 0) + 1);
+    return new Map(tasks.filter(task => task.task_code && counts.get(task.task_code) === 1).map(task => [task.task_code, task]));
+  };
+  const toByCode = uniqueCodes(toTasks.filter(task => !matchedTo.has(task.id)));
+  const fromByCode = uniqueCodes(unmatchedFrom);
+
+  const toIdFor = new Map(pairs.map(([before, after]) => [before.id, after.id]));
+  const deleted = [];
+  for (const task of unmatchedFrom) {
+    const other = task.task_code && fromByCode.get(task.task_code) === task ? toByCode.get(task.task_code) : null;
+    if (other) {
+      pairs.push([task, other]);
+      matchedTo.add(other.id);
+      toIdFor.set(task.id, other.id);
+    } else {
+      deleted.push(task);
+    }
+  }
+  const added = toTasks.filter(task => !matchedTo.has(task.id));
+  return { pairs, added, deleted, toIdFor };
+}
+
+/**
+ * Dependencies added, removed or changed (type / lag), keyed on the later snapshot's task ids
+ * @private
+ */
+function compareLogic(from, to, toIdFor) {
+  if (!Array.isArray(from.dependencies) || !Array.isArray(to.dependencies)) {
+    const missing = [from, to].filter(snapshot => !Array.isArray(snapshot.dependencies)).map(snapshot => snapshot.name);
+    return { available: false, reason: `No logic snapshot for ${missing.join(' and ')}`, added: [], removed: [], changed: [] };
+  }
+
+  const names = new Map();
+  for (const task of [...from.tasks, ...to.tasks]) names.set(task.id, task);
+  const describe = (link, change, before, after) => {
+    const predecessor = names.get(link.predecessor_task_id) || {};
+    const successor = names.get(link.successor_task_id) || {};
+    return {
+      change,
+      predecessor_task_id: link.predecessor_task_id,
+      predecessor_code: predecessor.task_code || null,
+      predecessor_name: predecessor.name || null,
+      successor_task_id: link.successor_task_id,
+      successor_code: successor.task_code || null,
+      successor_name: successor.name || null,
+      from_type: before ? before.dependency_type || 'FS' : null,
+      from_lag_days: before ? Number(before.lag_days || 0) : null,
+      to_type: after ? after.dependency_type || 'FS' : null,
+      to_lag_days: after ? Number(after.lag_days || 0) : null
+    };
+  };
+
+  const mapped = (id) => toIdFor.get(id) || id;
+  const fromLinks = new Map(from.dependencies.map(link => [`${mapped(link.predecessor_task_id)}|${mapped(link.successor_task_id)}`, link]));
+  const toLinks = new Map(to.dependencies.map(link => [`${link.predecessor_task_id}|${link.successor_task_id}`, link]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, link] of toLinks) {
+    const before = fromLinks.get(key);
+    if (!before) {
+      added.push(describe(link, 'logic_added', null, link));
+    } else if ((before.dependency_type || 'FS') !== (link.dependency_type || 'FS') || Number(before.lag_days || 0) !== Number(link.lag_days || 0)) {
+      changed.push(describe(link, 'logic_changed', before, link));
+    }
+  }
+  for (const [key, link] of fromLinks) {
+    if (!toLinks.has(key)) removed.push(describe(link, 'logic_removed', link, null));
+  }
+  return { available: true, added, removed, changed };
+}
+
+/**
+ * Milestone dates on each side and the slip between them
+ * @private
+ */
+function compareMilestones(from, to, pairs, toIdFor) {
+  const rows = [];
+  const milestoneDate = (milestone) => toDay(milestone.actual_date) ?? toDay(milestone.forecast_date) ?? toDay(milestone.target_date);
+  const tiedTasks = new Set();
+
+  if (Array.isArray(from.milestones) && Array.isArray(to.milestones)) {
+    const toById = new Map(to.milestones.map(milestone => [milestone.id, milestone]));
+    const seen = new Set();
+    for (const before of from.milestones) {
+      const after = toById.get(before.id);
+      rows.push(milestoneRow(before.name, 'milestone', milestoneDate(before), after ? milestoneDate(after) : null, !after));
+      if (after) seen.add(after.id);
+      if (before.related_task_id) tiedTasks.add(toIdFor.get(before.related_task_id) || before.related_task_id);
+    }
+    for (const after of to.milestones) {
+      if (after.related_task_id) tiedTasks.add(after.related_task_id);
+      if (!seen.has(after.id)) rows.push({ ...milestoneRow(after.name, 'milestone', null, milestoneDate(after)), change: 'added' });
+    }
+  }
+
+  const isMilestone = (task) => Number(task.duration_days) === 0 || task.task_type === 'milestone';
+  for (const [before, after] of pairs) {
+    if ((isMilestone(before) || isMilestone(after)) && !tiedTasks.has(after.id)) {
+      rows.push(milestoneRow(after.name, 'task', toDay(before.planned_end_date), toDay(after.planned_end_date)));
+    }
+  }
+  return rows;
+}
+
+function milestoneRow(name, source, fromDay, toDayValue, deleted = false) {
+  const slippage = deleted ? null : delta(fromDay, toDayValue);
+  return {
+    name,
+    source,
+    from_date: toDate(fromDay),
+    to_date: toDate(toDayValue),
+    slippage_days: slippage,
+    change: deleted ? 'deleted' : slippage > 0 ? 'slipped' : slippage < 0 ? 'earlier' : 'unchanged'
+  };
+}
+
+function taskSummary(task) {
+  return {
+    task_id: task.id,
+    task_code: task.task_code || null,
+    task_name: task.name,
+    start: toDate(toDay(task.planned_start_date)),
+    finish: toDate(toDay(task.planned_end_date)),
+    duration: numberOrNull(task.duration_days),
+    total_float: numberOrNull(task.total_float_days),
+    is_critical: Boolean(task.is_critical)
+  };
+}
+
+// An added / deleted task on the export's from_* or to_* columns
+function addedRow(task, side) {
+  return {
+    task_code: task.task_code,
+    task_name: task.task_name,
+    [`${side}_start`]: task.start,
+    [`${side}_finish`]: task.finish,
+    [`${side}_duration`]: task.duration,
+    [`${side}_total_float`]: task.total_float,
+    is_critical: task.is_critical
+  };
+}
+
+module.exports = ScheduleComparison;
@@ -0,0 +1,593 @@
+// ============================================================================
+// SCHEDULE ENGINE
+// Calendar-aware critical path method: forward / backward pass in working
+// days, FS/SS/FF/SF relationships with lags, constraints, actual dates and
+// cycle detection. Results are persisted to schedule_tasks.
+// ============================================================================
+//
+// Date conventions
+// - duration_days counts working days on the task's calendar; the finish date
+//   is inclusive (a 1-day task starts and finishes on the same day).
+// - Lags count working days on the successor's calendar.
+// - FS means "start the working day after the predecessor finishes". A
+//   zero-duration milestone sits at the end of the day its driving predecessor
+//   finishes; a milestone with no predecessors sits at the start of its day.
+// - Tasks without predecessors start on their planned_start_date. Tasks with
+//   predecessors are driven by logic; use an SNET constraint to hold them later.
+// - planned_start_date / planned_end_date are the current schedule and are
+//   updated to the early dates, so Gantt, look-ahead and variance all read the
+//   same dates. Summary (parent) tasks roll up from their children.
+// ============================================================================
+
+const WorkCalendar = require('./WorkCalendar');
+
+const DEPENDENCY_TYPES = ['FS', 'SS', 'FF', 'SF'];
+const CONSTRAINT_TYPES = ['asap', 'alap', 'snet', 'snlt', 'fnet', 'fnlt', 'mso', 'mfo'];
+
+const toDay = WorkCalendar.toDayNumber;
+const toDate = (day) => (day === null || day === undefined ? null : WorkCalendar.fromDayNumber(day));
+
+/**
+ * Run the critical path calculation over an in-memory schedule
+ * @param {Object} input
+ * @param {Array<Object>} input.tasks - schedule_tasks rows
+ * @param {Array<Object>} input.dependencies - task_dependencies rows
+ * @param {Function} input.calendarFor - (task) => WorkCalendar
+ * @param {string} input.dataDate - Optional YYYY-MM-DD; unfinished work is not scheduled before it
+ * @returns {Object} { results: Map<taskId, dates>, cycles, warnings, projectStart, projectFinish }
+ */
+function computeSchedule({ tasks, dependencies, calendarFor, dataDate = null }) {
+  const warnings = [];
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const parentIds = new Set(tasks.map(task => task.parent_task_id).filter(id => id && byId.has(id)));
+  const network = tasks.filter(task => !parentIds.has(task.id));
+  const dataDay = toDay(dataDate);
+
+  const nodes = new Map(network.map(task => [task.id, {
+    task,
+    calendar: calendarFor(task),
+    duration: Math.max(0, Math.round(Number(task.duration_days) || 0)),
+    predecessors: [],
+    successors: []
+  }]));
+
+  for (const dependency of dependencies) {
+    const predecessor = nodes.get(dependency.predecessor_task_id);
+    const successor = nodes.get(dependency.successor_task_id);
+    if (!predecessor || !successor) {
+      if (byId.has(dependency.predecessor_task_id) && byId.has(dependency.successor_task_id)) {
+        warnings.push({ dependency_id: dependency.id, message: 'Relationship on a summary task is ignored; link the tasks beneath it instead' });
+      }
+      continue;
+    }
+    const link = {
+      type: DEPENDENCY_TYPES.includes(dependency.dependency_type) ? dependency.dependency_type : 'FS',
+      lag: Math.round(Number(dependency.lag_days) || 0)
+    };
+    predecessor.successors.push({ ...link, node: successor });
+    successor.predecessors.push({ ...link, node: predecessor });
+  }
+
+  // Kahn's algorithm; anything left over sits on or behind a cycle
+  const order = [];
+  const incoming = new Map([...nodes.values()].map(node => [node, node.predecessors.length]));
+  const ready = [...nodes.values()].filter(node => node.predecessors.length === 0);
+  while (ready.length > 0) {
+    const node = ready.shift();
+    order.push(node);
+    for (const { node: successor } of node.successors) {
+      incoming.set(successor, incoming.get(successor) - 1);
+      if (incoming.get(successor) === 0) ready.push(successor);
+    }
+  }
+  if (order.length < nodes.size) {
+    const remaining = [...nodes.values()].filter(node => incoming.get(node) > 0);
+    return { results: new Map(), cycles: findCycles(remaining), warnings, projectStart: null, projectFinish: null };
+  }
+
+  // Gap of one day before a successor with duration (see conventions above)
+  const gap = (predecessor, successor) => (successor.duration > 0
+    && (predecessor.duration > 0 || predecessor.predecessors.length > 0) ? 1 : 0);
+  const startFromFinish = (node, finish) => (node.duration === 0
+    ? node.calendar.previousWorkingDay(finish)
+    : node.calendar.addWorkingDays(node.calendar.previousWorkingDay(finish), -(node.duration - 1)));
+  const finishFromStart = (node, start) => (node.duration === 0 ? start : node.calendar.addWorkingDays(start, node.duration - 1));
+
+  // ==========================================================================
+  // FORWARD PASS
+  // ==========================================================================
+
+  for (const node of order) {
+    const { task, calendar } = node;
+    const constraintDay = toDay(task.constraint_date);
+    const actualStart = toDay(task.actual_start_date);
+    const actualFinish = toDay(task.actual_end_date);
+
+    if (actualStart !== null) {
+      node.es = actualStart;
+    } else {
+      const candidates = [];
+      if (node.predecessors.length === 0) candidates.push(toDay(task.planned_start_date));
+
+      for (const { type, lag, node: predecessor } of node.predecessors) {
+        if (type === 'FS') candidates.push(calendar.addWorkingDays(predecessor.ef, lag + gap(predecessor, node)));
+        if (type === 'SS') candidates.push(calendar.addWorkingDays(predecessor.es, lag));
+        if (type === 'FF') candidates.push(startFromFinish(node, calendar.addWorkingDays(predecessor.ef, lag)));
+        if (type === 'SF') candidates.push(startFromFinish(node, calendar.addWorkingDays(predecessor.es, lag - gap(predecessor, node))));
+      }
+
+      if (dataDay !== null) candidates.push(dataDay);
+      if (constraintDay !== null && task.constraint_type === 'snet') candidates.push(constraintDay);
+      if (constraintDay !== null && task.constraint_type === 'fnet') candidates.push(startFromFinish(node, constraintDay));
+
+      let es = Math.max(...candidates.filter(day => day !== null && day !== undefined));
+      if (!Number.isFinite(es)) {
+        es = toDay(task.planned_start_date);
+      }
+      // Mandatory constraints override logic
+      if (constraintDay !== null && task.constraint_type === 'mso') es = constraintDay;
+      if (constraintDay !== null && task.constraint_type === 'mfo') es = startFromFinish(node, constraintDay);
+      node.es = calendar.nextWorkingDay(es);
+    }
+
+    if (actualFinish !== null) {
+      node.ef = actualFinish;
+    } else if (actualStart !== null && dataDay !== null && dataDay > actualStart) {
+      // In progress: remaining work resumes at the data date
+      const remaining = Math.ceil(node.duration * (1 - Math.min(100, Number(task.percent_complete) || 0) / 100));
+      const resume = calendar.nextWorkingDay(dataDay);
+      node.ef = remaining === 0 ? Math.max(node.es, calendar.previousWorkingDay(dataDay)) : calendar.addWorkingDays(resume, remaining - 1);
+    } else {
+      node.ef = finishFromStart(node, node.es);
+    }
+  }
+
+  const projectStart = Math.min(...order.map(node => node.es));
+  const projectFinish = Math.max(...order.map(node => node.ef));
+
+  // ==========================================================================
+  // BACKWARD PASS
+  // ==========================================================================
+
+  const latestFinishFromStart = (node, start) => finishFromStart(node, node.calendar.previousWorkingDay(start));
+
+  for (const node of [...order].reverse()) {
+    const { task, calendar } = node;
+    if (task.actual_end_date) {
+      node.ls = node.es;
+      node.lf = node.ef;
+      continue;
+    }
+
+    const candidates = [];
+    if (node.successors.length === 0) candidates.push(projectFinish);
+    for (const { type, lag, node: successor } of node.successors) {
+      const lagCalendar = successor.calendar;
+      if (type === 'FS') candidates.push(lagCalendar.addWorkingDays(successor.ls, -(lag + gap(node, successor))));
+      if (type === 'SS') candidates.push(latestFinishFromStart(node, lagCalendar.addWorkingDays(successor.ls, -lag)));
+      if (type === 'FF') candidates.push(lagCalendar.addWorkingDays(successor.lf, -lag));
+      if (type === 'SF') candidates.push(latestFinishFromStart(node, lagCalendar.addWorkingDays(successor.lf, -(lag - gap(node, successor)))));
+    }
+
+    const constraintDay = toDay(task.constraint_date);
+    if (constraintDay !== null) {
+      if (task.constraint_type === 'snlt') candidates.push(latestFinishFromStart(node, constraintDay));
+      if (task.constraint_type === 'fnlt') candidates.push(constraintDay);
+    }
+
+    let lf = Math.min(...candidates);
+    if (constraintDay !== null && task.constraint_type === 'mso') lf = latestFinishFromStart(node, constraintDay);
+    if (constraintDay !== null && task.constraint_type === 'mfo') lf = constraintDay;
+
+    node.lf = calendar.previousWorkingDay(lf);
+    node.ls = node.duration === 0 ? node.lf : calendar.addWorkingDays(node.lf, -(node.duration - 1));
+  }
+
+  // ==========================================================================
+  // FLOAT
+  // ==========================================================================
+
+  for (const node of order) {
+    const { task, calendar } = node;
+    if (task.actual_end_date) {
+      node.totalFloat = 0;
+      node.freeFloat = 0;
+      node.isCritical = false;
+      continue;
+    }
+
+    // Finish float, so in-progress tasks measure against their remaining work
+    node.totalFloat = calendar.workingDaysBetween(node.ef, node.lf);
+
+    let freeFloat = null;
+    for (const { type, lag, node: successor } of node.successors) {
+      const lagCalendar = successor.calendar;
+      let slack;
+      if (type === 'FS') slack = calendar.workingDaysBetween(node.ef, calendar.previousWorkingDay(lagCalendar.addWorkingDays(successor.es, -(lag + gap(node, successor)))));
+      if (type === 'SS') slack = calendar.workingDaysBetween(node.es, calendar.previousWorkingDay(lagCalendar.addWorkingDays(successor.es, -lag)));
+      if (type === 'FF') slack = calendar.workingDaysBetween(node.ef, calendar.previousWorkingDay(lagCalendar.addWorkingDays(successor.ef, -lag)));
+      if (type === 'SF') slack = calendar.workingDaysBetween(node.es, calendar.previousWorkingDay(lagCalendar.addWorkingDays(successor.ef, -(lag - gap(node, successor)))));
+      freeFloat = freeFloat === null ? slack : Math.min(freeFloat, slack);
+    }
+    node.freeFloat = freeFloat === null ? node.totalFloat : Math.min(freeFloat, node.totalFloat);
+
+    // As-late-as-possible tasks use up their free float without moving successors
+    if (task.constraint_type === 'alap' && !task.actual_start_date && node.freeFloat > 0) {
+      node.es = calendar.addWorkingDays(node.es, node.freeFloat);
+      node.ef = finishFromStart(node, node.es);
+      node.totalFloat -= node.freeFloat;
+      node.freeFloat = 0;
+    }
+
+    node.isCritical = node.totalFloat <= 0;
+  }
+
+  const results = new Map();
+  for (const node of order) {
+    results.set(node.task.id, {
+      early_start_date: toDate(node.es),
+      early_finish_date: toDate(node.ef),
+      late_start_date: toDate(node.ls),
+      late_finish_date: toDate(node.lf),
+      total_float_days: node.totalFloat,
+      free_float_days: node.freeFloat,
+      is_critical: node.isCritical
+    });
+  }
+
+  // ==========================================================================
+  // SUMMARY ROLL-UP
+  // ==========================================================================
+
+  const childrenOf = new Map();
+  for (const task of tasks) {
+    if (task.parent_task_id && byId.has(task.parent_task_id)) {
+      if (!childrenOf.has(task.parent_task_id)) childrenOf.set(task.parent_task_id, []);
+      childrenOf.get(task.parent_task_id).push(task.id);
+    }
+  }
+  const rollUp = (taskId, seen = new Set()) => {
+    if (results.has(taskId)) return results.get(taskId);
+    if (seen.has(taskId)) return null;
+    seen.add(taskId);
+    const children = (childrenOf.get(taskId) || []).map(childId => rollUp(childId, seen)).filter(Boolean);
+    if (children.length === 0) return null;
+    const pick = (field, reducer) => children.map(child => child[field]).filter(Boolean).reduce((a, b) => (reducer(a, b) ? a : b));
+    const summary = {
+      early_start_date: pick('early_start_date', (a, b) => a <= b),
+      early_finish_date: pick('early_finish_date', (a, b) => a >= b),
+      late_start_date: pick('late_start_date', (a, b) => a <= b),
+      late_finish_date: pick('late_finish_date', (a, b) => a >= b),
+      total_float_days: Math.min(...children.map(child => child.total_float_days)),
+      free_float_days: Math.min(...children.map(child => child.free_float_days)),
+      is_critical: children.some(child => child.is_critical),
+      is_summary: true
+    };
+    results.set(taskId, summary);
+    return summary;
+  };
+  parentIds.forEach(parentId => {
+    if (!rollUp(parentId)) warnings.push({ task_id: parentId, message: 'Summary task has a circular parent chain and was not scheduled' });
+  });
+
+  return {
+    results,
+    cycles: [],
+    warnings,
+    projectStart: toDate(projectStart),
+    projectFinish: toDate(projectFinish)
+  };
+}
+
+/**
+ * Pull distinct cycles out of the nodes Kahn's algorithm could not order
+ * @private
+ */
+function findCycles(remaining) {
+  const pending = new Set(remaining);
+  const cycles = [];
+  const state = new Map();
+
+  const visit = (node, path) => {
+    state.set(node, 'active');
+    path.push(node);
+    for (const { node: successor } of node.successors) {
+      if (!pending.has(successor)) continue;
+      if (state.get(successor) === 'active') {
+        cycles.push(path.slice(path.indexOf(successor)).map(entry => ({
+          id: entry.task.id,
+          task_code: entry.task.task_code,
+          name: entry.task.name
+        })));
+      } else if (!state.has(successor)) {
+        visit(successor, path);
+      }
+    }
+    path.pop();
+    state.set(node, 'done');
+  };
+
+  for (const node of remaining) {
+    if (!state.has(node)) visit(node, []);
+  }
+  return cycles;
+}
+
+class ScheduleEngine {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  static get dependencyTypes() {
+    return DEPENDENCY_TYPES;
+  }
+
+  static get constraintTypes() {
+    return CONSTRAINT_TYPES;
+  }
+
+  // ==========================================================================
+  // CALENDARS
+  // ==========================================================================
+
+  /**
+   * Build WorkCalendars for a project: its own calendars, any shared calendar a
+   * task references, and the shared default template
+   * @param {Object} db - pool or transaction client
+   * @param {string} projectId
+   * @returns {Promise<{ calendars: Map<string, WorkCalendar>, defaultCalendar: WorkCalendar }>}
+   */
+  async loadCalendars(db, projectId) {
+    const calendarsResult = await db.query(
+      `SELECT * FROM work_calendars
+       WHERE project_id = $1
+          OR id IN (SELECT work_calendar_id FROM schedule_tasks WHERE project_id = $1 AND work_calendar_id IS NOT NULL)
+          OR (project_id IS NULL AND is_default = true)`,
+      [projectId]
+    );
+    const exceptionsResult = calendarsResult.rows.length > 0
+      ? await db.query(
+        'SELECT calendar_id, exception_date, is_working FROM calendar_exceptions WHERE calendar_id = ANY($1::UUID[])',
+        [calendarsResult.rows.map(row => row.id)]
+      )
+      : { rows: [] };
+
+    const calendars = new Map();
+    for (const row of calendarsResult.rows) {
+      calendars.set(row.id, new WorkCalendar({
+        ...row,
+        exceptions: exceptionsResult.rows.filter(exception => exception.calendar_id === row.id)
+      }));
+    }
+
+    const defaultRow = calendarsResult.rows.find(row => row.project_id && row.is_default)
+      || calendarsResult.rows.find(row => !row.project_id && row.is_default);
+    return {
+      calendars,
+      defaultCalendar: defaultRow ? calendars.get(defaultRow.id) : WorkCalendar.standard()
+    };
+  }
+
+  /**
+   * The calendar used for a project's own dates (e.g. business-day due dates)
+   * @param {string} projectId
+   * @returns {Promise<WorkCalendar>}
+   */
+  async projectCalendar(projectId) {
+    const { defaultCalendar } = await this.loadCalendars(this.pool, projectId);
+    return defaultCalendar;
+  }
+
+  /**
+   * Working-day duration of a task spanning start..finish inclusive
+   * @param {string} projectId
+   * @param {string} calendarId - Task calendar, or null for the project default
+   * @param {string} start - YYYY-MM-DD
+   * @param {string} finish - YYYY-MM-DD
+   * @returns {Promise<number>}
+   */
+  async durationBetween(projectId, calendarId, start, finish) {
+    const { calendars, defaultCalendar } = await this.loadCalendars(this.pool, projectId);
+    const calendar = calendars.get(calendarId) || defaultCalendar;
+    const startDay = calendar.nextWorkingDay(toDay(start));
+    const finishDay = toDay(finish);
+    return finishDay < startDay ? 0 : calendar.workingDaysBetween(startDay, finishDay) + 1;
+  }
+
+  // ==========================================================================
+  // LOGIC CHECKS
+  // ==========================================================================
+
+  /**
+   * Would a new predecessor -> successor link close a loop?
+   * @param {string} predecessorId
+   * @param {string} successorId
+   * @returns {Promise<Array<Object>|null>} The existing path from successor back to predecessor, or null
+   */
+  async findCycle(predecessorId, successorId) {
+    if (predecessorId === successorId) return [];
+    const result = await this.pool.query(
+      `WITH RECURSIVE downstream(task_id, path) AS (
+         SELECT successor_task_id, ARRAY[$1::UUID, successor_task_id]
+         FROM task_dependencies WHERE predecessor_task_id = $1
+         UNION ALL
+         SELECT td.successor_task_id, d.path || td.successor_task_id
+         FROM task_dependencies td
+         JOIN downstream d ON td.predecessor_task_id = d.task_id
+         WHERE NOT td.successor_task_id = ANY(d.path)
+       )
+       SELECT path FROM downstream WHERE task_id = $2 LIMIT 1`,
+      [successorId, predecessorId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const path = result.rows[0].path;
+    const tasksResult = await this.pool.query(
+      'SELECT id, task_code, name FROM schedule_tasks WHERE id = ANY($1::UUID[])',
+      [path]
+    );
+    const byId = new Map(tasksResult.rows.map(row => [row.id, row]));
+    return path.map(id => byId.get(id) || { id });
+  }
+
+  // ==========================================================================
+  // RECALCULATION
+  // ==========================================================================
+
+  /**
+   * Recalculate a project's schedule and persist early/late dates, float and
+   * criticality. Planned dates move to the early dates; moved tasks are
+   * written to schedule_audit_log.
+   * @param {string} projectId
+   * @param {Object} options
+   * @param {string} options.userId - Acting user for the audit log
+   * @param {string} options.reason - Audit reason, e.g. 'task_updated'
+   * @returns {Promise<Object>} { cycles, warnings, updated, moved, project_start, project_finish, data_date }
+   */
+  async recalculate(projectId, { userId = null, reason = 'recalculated' } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      // One recalculation per project at a time
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`schedule:${projectId}`]);
+
+      const projectResult = await client.query(
+        `SELECT to_char(schedule_data_date, 'YYYY-MM-DD') as data_date FROM projects WHERE id = $1`,
+        [projectId]
+      );
+      const dataDate = projectResult.rows[0]?.data_date || null;
+
+      const tasksResult = await client.query(
+        `SELECT id, parent_task_id, task_code, name, planned_start_date, planned_end_date, duration_days,
+                actual_start_date, actual_end_date, percent_complete, constraint_type, constraint_date,
+                work_calendar_id, early_start_date, early_finish_date, late_start_date, late_finish_date,
+                total_float_days, free_float_days, is_critical
+         FROM schedule_tasks WHERE project_id = $1`,
+        [projectId]
+      );
+      if (tasksResult.rows.length === 0) {
+        await client.query('COMMIT');
+        return { cycles: [], warnings: [], updated: 0, moved: 0, project_start: null, project_finish: null, data_date: dataDate };
+      }
+
+      const dependenciesResult = await client.query(
+        `SELECT td.*
+         FROM task_dependencies td
+         JOIN schedule_tasks t ON td.successor_task_id = t.id
+         WHERE t.project_id = $1`,
+        [projectId]
+      );
+      const { calendars, defaultCalendar } = await this.loadCalendars(client, projectId);
+
+      const tasks = tasksResult.rows;
+      const computed = computeSchedule({
+        tasks,
+        dependencies: dependenciesResult.rows,
+        calendarFor: (task) => calendars.get(task.work_calendar_id) || defaultCalendar,
+        dataDate
+      });
+
+      if (computed.cycles.length > 0) {
+        await client.query('ROLLBACK');
+        return { cycles: computed.cycles, warnings: computed.warnings, updated: 0, moved: 0, project_start: null, project_finish: null, data_date: dataDate };
+      }
+
+      const changes = [];
+      const moves = [];
+      for (const task of tasks) {
+        const result = computed.results.get(task.id);
+        if (!result) continue;
+
+        const plannedStart = WorkCalendar.fromDayNumber(toDay(task.planned_start_date));
+        const plannedEnd = WorkCalendar.fromDayNumber(toDay(task.planned_end_date));
+        const same = (value, next) => (value === null || value === undefined ? null : WorkCalendar.fromDayNumber(toDay(value))) === next;
+        const unchanged = plannedStart === result.early_start_date
+          && plannedEnd === result.early_finish_date
+          && same(task.early_start_date, result.early_start_date)
+          && same(task.early_finish_date, result.early_finish_date)
+          && same(task.late_start_date, result.late_start_date)
+          && same(task.late_finish_date, result.late_finish_date)
+          && Number(task.total_float_days) === result.total_float_days
+          && Number(task.free_float_days) === result.free_float_days
+          && Boolean(task.is_critical) === result.is_critical;
+        if (unchanged) continue;
+
+        const calendar = calendars.get(task.work_calendar_id) || defaultCalendar;
+        changes.push({
+          id: task.id,
+          ...result,
+          duration_days: result.is_summary
+            ? calendar.workingDaysBetween(toDay(result.early_start_date), toDay(result.early_finish_date)) + 1
+            : null
+        });
+        if (plannedStart !== result.early_start_date || plannedEnd !== result.early_finish_date) {
+          moves.push({
+            task_id: task.id,
+            old_value: `${plannedStart} - ${plannedEnd}`,
+            new_value: `${result.early_start_date} - ${result.early_finish_date}`
+          });
+        }
+      }
+
+      if (changes.length > 0) {
+        await client.query(
+          `UPDATE schedule_tasks t SET
+            planned_start_date = r.early_start_date,
+            planned_end_date = r.early_finish_date,
+            early_start_date = r.early_start_date,
+            early_finish_date = r.early_finish_date,
+            late_start_date = r.late_start_date,
+            late_finish_date = r.late_finish_date,
+            total_float_days = r.total_float_days,
+            free_float_days = r.free_float_days,
+            is_critical = r.is_critical,
+            duration_days = COALESCE(r.duration_days, t.duration_days),
+            updated_at = CURRENT_TIMESTAMP
+          FROM jsonb_to_recordset($1::JSONB) AS r(
+            id UUID, early_start_date DATE, early_finish_date DATE, late_start_date DATE, late_finish_date DATE,
+            total_float_days INTEGER, free_float_days INTEGER, is_critical BOOLEAN, duration_days INTEGER
+          )
+          WHERE t.id = r.id`,
+          [JSON.stringify(changes)]
+        );
+      }
+
+      if (moves.length > 0) {
+        await client.query(
+          `INSERT INTO schedule_audit_log (project_id, task_id, change_type, field_changed, old_value, new_value, reason, changed_by)
+           SELECT $1, r.task_id, 'dates_recalculated', 'planned_dates', r.old_value, r.new_value, $2, $3
+           FROM jsonb_to_recordset($4::JSONB) AS r(task_id UUID, old_value TEXT, new_value TEXT)`,
+          [projectId, reason, userId, JSON.stringify(moves)]
+        );
+      }
+
+      // Milestones tied to a task forecast on that task's finish
+      await client.query(
+        `UPDATE schedule_milestones m SET forecast_date = t.planned_end_date, updated_at = CURRENT_TIMESTAMP
+         FROM schedule_tasks t
+         WHERE m.related_task_id = t.id AND t.project_id = $1
+           AND m.forecast_date IS DISTINCT FROM t.planned_end_date`,
+        [projectId]
+      );
+
+      await client.query('COMMIT');
+      return {
+        cycles: [],
+        warnings: computed.warnings,
+        updated: changes.length,
+        moved: moves.length,
+        project_start: computed.projectStart,
+        project_finish: computed.projectFinish,
+        data_date: dataDate
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = ScheduleEngine;
+module.exports.computeSchedule = computeSchedule;
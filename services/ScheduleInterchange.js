@@ -0,0 +1,803 @@
+// ============================================================================
+// SCHEDULE INTERCHANGE SERVICE
+// Imports Primavera XER and MS Project XML (MSPDI) schedules into
+// schedule_tasks / task_dependencies / work_calendars and exports them back
+// ============================================================================
+//
+// Both format readers produce the same interchange model:
+//
+//   {
+//     format: 'xer' | 'mspdi',
+//     project: { name, start_date },
+//     calendars: [{ key, name, working_days: [0-6], hours_per_day, is_default,
+//                   exceptions: [{ date, is_working, hours, name }] }],
+//     wbs: [{ key, parent_key, code, name }],
+//     activities: [{ key, parent_key, code, name, planned_start, planned_finish,
+//                    duration_days, actual_start, actual_finish, percent_complete,
+//                    is_milestone, constraint_type, constraint_date, calendar_key,
+//                    early_start, early_finish, late_start, late_finish, total_float_days }],
+//     relationships: [{ predecessor_key, successor_key, type, lag_days }],
+//     baseline: { name, tasks: { [activity key]: { start, finish, duration_days } } } | null,
+//     problems: [{ severity: 'error' | 'warning', entity, ref, message }]
+//   }
+//
+// Dates are YYYY-MM-DD strings throughout. Keys are the source system's ids
+// and are stored as schedule_tasks.external_id ("<format>:<key>") so that a
+// re-import of the same schedule updates tasks instead of duplicating them.
+// ============================================================================
+
+const { parseXer, writeXer } = require('./ScheduleXer');
+const { parseMspdi, writeMspdi } = require('./ScheduleMspdi');
+
+const FORMATS = {
+  xer: { parse: parseXer, write: writeXer, extension: 'xer', contentType: 'application/octet-stream' },
+  mspdi: { parse: parseMspdi, write: writeMspdi, extension: 'xml', contentType: 'application/xml' }
+};
+
+const IMPORT_MODES = ['merge', 'replace'];
+const CONSTRAINTS_WITH_DATES = ['mso', 'mfo', 'snet', 'snlt', 'fnet', 'fnlt'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Normalize a pg DATE (Date at local midnight), ISO timestamp or date string
+ * @param {*} value
+ * @returns {string|null} YYYY-MM-DD
+ */
+const toDateString = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const daySpan = (start, finish) => Math.round((Date.parse(`${finish}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS);
+
+class ScheduleInterchange {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  static get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  static get importModes() {
+    return IMPORT_MODES;
+  }
+
+  /**
+   * Work out the format of an uploaded schedule
+   * @param {string} fileName - Original file name
+   * @param {string} text - File contents
+   * @returns {string|null} 'xer', 'mspdi' or null
+   */
+  static detectFormat(fileName, text) {
+    if (text.startsWith('ERMHDR')) return 'xer';
+    if (/^\s*(<\?xml[^>]*>\s*)?<Project[\s>]/.test(text)) return 'mspdi';
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    if (extension === 'xer') return 'xer';
+    if (extension === 'xml') return 'mspdi';
+    return null;
+  }
+
+  /**
+   * Decode an uploaded file; XER exports are frequently Windows-1252 rather than UTF-8
+   * @param {Buffer} buffer
+   * @returns {string}
+   */
+  static decode(buffer) {
+    let text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) text = buffer.toString('latin1');
+    return text.replace(/^\uFEFF/, '');
+  }
+
+  // ==========================================================================
+  // PARSING & VALIDATION
+  // ==========================================================================
+
+  /**
+   * Parse a schedule file and validate the mapping
+   * @param {string} format - 'xer' or 'mspdi'
+   * @param {string} text - File contents
+   * @param {Object} options - Format options (xer: project; mspdi: baselineNumber)
+   * @returns {Object} Interchange model with problems filled in
+   * @throws {Error} When the file cannot be read at all
+   */
+  parse(format, text, options = {}) {
+    const handler = FORMATS[format];
+    if (!handler) {
+      throw new Error(`Unsupported schedule format: ${format}`);
+    }
+    const model = handler.parse(text, options);
+    this._validate(model);
+    return model;
+  }
+
+  /**
+   * Check the model against what schedule_tasks can hold. Errors block the
+   * import; warnings describe data that was dropped or converted.
+   * @private
+   */
+  _validate(model) {
+    const { problems } = model;
+    const error = (entity, ref, message) => problems.push({ severity: 'error', entity, ref, message });
+    const warning = (entity, ref, message) => problems.push({ severity: 'warning', entity, ref, message });
+
+    const wbsKeys = new Set(model.wbs.map(node => node.key));
+    const activityKeys = new Set(model.activities.map(activity => activity.key));
+    const calendarKeys = new Set(model.calendars.map(calendar => calendar.key));
+
+    for (const node of model.wbs) {
+      if (node.parent_key && !wbsKeys.has(node.parent_key)) {
+        warning('wbs', node.code, 'Parent WBS not found; placed at the top level');
+        node.parent_key = null;
+      }
+    }
+
+    // Break WBS parent cycles so the tree can be written parent-first
+    for (const node of model.wbs) {
+      const seen = new Set([node.key]);
+      let parent = model.wbs.find(candidate => candidate.key === node.parent_key);
+      while (parent) {
+        if (seen.has(parent.key)) {
+          warning('wbs', node.code, 'WBS hierarchy is circular; placed at the top level');
+          node.parent_key = null;
+          break;
+        }
+        seen.add(parent.key);
+        parent = model.wbs.find(candidate => candidate.key === parent.parent_key);
+      }
+    }
+
+    // WBS nodes take their dates from the activities beneath them, so empty branches cannot be stored
+    const withActivities = new Set();
+    for (const activity of model.activities) {
+      let key = activity.parent_key;
+      while (key && !withActivities.has(key)) {
+        withActivities.add(key);
+        key = model.wbs.find(node => node.key === key)?.parent_key;
+      }
+    }
+    for (const node of model.wbs) {
+      if (!withActivities.has(node.key)) warning('wbs', node.code, 'WBS node has no activities and will be skipped');
+    }
+
+    if (model.activities.length === 0) {
+      error('file', null, 'The schedule contains no activities');
+    }
+
+    const codes = new Map();
+    for (const activity of model.activities) {
+      const ref = activity.code || activity.key;
+
+      if (!activity.name) {
+        error('activity', ref, 'Activity has no name');
+      } else if (activity.name.length > 500) {
+        warning('activity', ref, 'Name longer than 500 characters was truncated');
+        activity.name = activity.name.slice(0, 500);
+      }
+      if (activity.code && activity.code.length > 50) {
+        warning('activity', ref, 'Activity code longer than 50 characters was truncated');
+        activity.code = activity.code.slice(0, 50);
+      }
+      if (activity.code) {
+        if (codes.has(activity.code)) warning('activity', ref, 'Duplicate activity code');
+        codes.set(activity.code, activity.key);
+      }
+
+      if (!activity.planned_start || !activity.planned_finish) {
+        error('activity', ref, 'Activity has no start or finish date');
+      } else if (activity.planned_finish < activity.planned_start) {
+        error('activity', ref, `Finish ${activity.planned_finish} is before start ${activity.planned_start}`);
+      }
+      if (activity.duration_days === null || activity.duration_days === undefined || Number.isNaN(activity.duration_days)) {
+        if (activity.planned_start && activity.planned_finish) {
+          activity.duration_days = daySpan(activity.planned_start, activity.planned_finish);
+          warning('activity', ref, `No duration given; using ${activity.duration_days} calendar days between start and finish`);
+        }
+      }
+
+      if (activity.parent_key && !wbsKeys.has(activity.parent_key)) {
+        warning('activity', ref, 'WBS not found; activity placed at the top level');
+        activity.parent_key = null;
+      }
+      if (activity.calendar_key && !calendarKeys.has(activity.calendar_key)) {
+        warning('activity', ref, `Calendar ${activity.calendar_key} not found; the project calendar is used`);
+        activity.calendar_key = null;
+      }
+      if (CONSTRAINTS_WITH_DATES.includes(activity.constraint_type) && !activity.constraint_date) {
+        warning('activity', ref, `Constraint ${activity.constraint_type} has no date and was dropped`);
+        activity.constraint_type = null;
+      }
+    }
+
+    const allKeys = new Set([...wbsKeys, ...activityKeys]);
+    const seenLinks = new Set();
+    model.relationships = model.relationships.filter(link => {
+      const ref = `${link.predecessor_key} -> ${link.successor_key}`;
+      if (!allKeys.has(link.predecessor_key) || !allKeys.has(link.successor_key)) {
+        warning('relationship', ref, 'Relationship references an activity that is not in the import and was skipped');
+        return false;
+      }
+      if (link.predecessor_key === link.successor_key) {
+        warning('relationship', ref, 'Self-relationship skipped');
+        return false;
+      }
+      const id = `${link.predecessor_key}|${link.successor_key}|${link.type}`;
+      if (seenLinks.has(id)) {
+        warning('relationship', ref, 'Duplicate relationship skipped');
+        return false;
+      }
+      seenLinks.add(id);
+      return true;
+    });
+
+    if (model.calendars.length === 0) {
+      warning('calendar', null, 'No calendars in the file; tasks use the project default calendar');
+    }
+  }
+
+  // ==========================================================================
+  // IMPORT
+  // ==========================================================================
+
+  /**
+   * Import a parsed schedule into a project
+   * @param {string} projectId - UUID of the project
+   * @param {Object} model - Output of parse()
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {string} options.mode - 'merge' updates tasks matched by external id; 'replace' deletes the existing schedule first
+   * @param {string} options.userId - UUID of the importing user
+   * @param {string} options.fileName - Original file name (for the import log)
+   * @returns {Promise<Object>} { record, summary, plan, problems, committed }
+   */
+  async importSchedule(projectId, model, { dryRun = false, mode = 'merge', userId, fileName }) {
+    const errors = model.problems.filter(problem => problem.severity === 'error');
+    const { plan, existingTasks, existingCalendars } = await this._plan(projectId, model, mode);
+    const summary = {
+      calendars: model.calendars.length,
+      calendar_exceptions: model.calendars.reduce((sum, calendar) => sum + calendar.exceptions.length, 0),
+      wbs: model.wbs.length,
+      activities: model.activities.length,
+      milestones: model.activities.filter(activity => activity.is_milestone).length,
+      relationships: model.relationships.length,
+      baseline_tasks: model.baseline ? Object.keys(model.baseline.tasks).length : 0,
+      errors: errors.length,
+      warnings: model.problems.length - errors.length
+    };
+
+    if (dryRun || errors.length > 0) {
+      const record = await this._logImport(this.pool, projectId, model.format, fileName, mode, dryRun,
+        dryRun ? 'previewed' : 'rejected', { ...summary, plan }, model.problems, userId);
+      return { record, summary, plan, problems: model.problems, committed: false };
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (mode === 'replace') {
+        await client.query('DELETE FROM schedule_tasks WHERE project_id = $1', [projectId]);
+        existingTasks.clear();
+      }
+
+      const calendarIds = await this._saveCalendars(client, projectId, model, existingCalendars, userId);
+      const taskIds = await this._saveTasks(client, projectId, model, existingTasks, calendarIds, userId);
+      await this._saveRelationships(client, model, taskIds, userId);
+      await this._saveMilestones(client, projectId, model, taskIds, userId);
+      const baseline = await this._saveBaseline(client, projectId, model, taskIds, userId);
+
+      await client.query(
+        `INSERT INTO schedule_audit_log (project_id, change_type, new_value, reason, changed_by)
+         VALUES ($1, 'schedule_imported', $2, $3, $4)`,
+        [projectId, JSON.stringify({ format: model.format, mode, ...summary }), fileName || null, userId]
+      );
+
+      const record = await this._logImport(client, projectId, model.format, fileName, mode, false,
+        'imported', { ...summary, plan, baseline_id: baseline ? baseline.id : null }, model.problems, userId);
+
+      await client.query('COMMIT');
+      return { record, summary, plan, problems: model.problems, committed: true, baseline };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Count what an import would create, update and delete
+   * @private
+   */
+  async _plan(projectId, model, mode) {
+    const tasksResult = await this.pool.query(
+      `SELECT id, external_id FROM schedule_tasks WHERE project_id = $1`,
+      [projectId]
+    );
+    const calendarsResult = await this.pool.query(
+      `SELECT id, name, external_id FROM work_calendars WHERE project_id = $1`,
+      [projectId]
+    );
+
+    const existingTasks = new Map(tasksResult.rows
+      .filter(row => row.external_id)
+      .map(row => [row.external_id, row.id]));
+    const existingCalendars = calendarsResult.rows;
+
+    const matchedTasks = mode === 'replace'
+      ? 0
+      : [...model.wbs, ...model.activities].filter(item => existingTasks.has(`${model.format}:${item.key}`)).length;
+    const matchedCalendars = model.calendars.filter(calendar => this._findCalendar(existingCalendars, model.format, calendar)).length;
+
+    const plan = {
+      mode,
+      tasks_to_create: model.wbs.length + model.activities.length - matchedTasks,
+      tasks_to_update: matchedTasks,
+      tasks_to_delete: mode === 'replace' ? tasksResult.rows.length : 0,
+      calendars_to_create: model.calendars.length - matchedCalendars,
+      calendars_to_update: matchedCalendars,
+      relationships_to_write: model.relationships.length,
+      baseline: model.baseline ? model.baseline.name : null
+    };
+
+    return { plan, existingTasks, existingCalendars };
+  }
+
+  _findCalendar(existingCalendars, format, calendar) {
+    const externalId = `${format}:${calendar.key}`;
+    return existingCalendars.find(row => row.external_id === externalId)
+      || existingCalendars.find(row => !row.external_id && row.name === calendar.name);
+  }
+
+  /**
+   * Upsert project calendars and replace their exceptions
+   * @private
+   * @returns {Promise<Map<string, string>>} calendar key -> work_calendars.id
+   */
+  async _saveCalendars(client, projectId, model, existingCalendars, userId) {
+    const calendarIds = new Map();
+    const hasDefault = model.calendars.some(calendar => calendar.is_default);
+    if (hasDefault) {
+      await client.query('UPDATE work_calendars SET is_default = false WHERE project_id = $1', [projectId]);
+    }
+
+    for (const calendar of model.calendars) {
+      const externalId = `${model.format}:${calendar.key}`;
+      const existing = this._findCalendar(existingCalendars, model.format, calendar);
+      let calendarId;
+
+      if (existing) {
+        await client.query(
+          `UPDATE work_calendars SET
+            name = $1, working_days = $2, hours_per_day = $3,
+            is_default = $4, external_id = $5, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $6`,
+          [calendar.name, calendar.working_days, calendar.hours_per_day, calendar.is_default, externalId, existing.id]
+        );
+        await client.query('DELETE FROM calendar_exceptions WHERE calendar_id = $1', [existing.id]);
+        calendarId = existing.id;
+      } else {
+        const result = await client.query(
+          `INSERT INTO work_calendars (
+            project_id, name, description, working_days, hours_per_day, is_default, external_id, created_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id`,
+          [projectId, calendar.name, `Imported from ${model.format.toUpperCase()}`, calendar.working_days,
+            calendar.hours_per_day, calendar.is_default, externalId, userId]
+        );
+        calendarId = result.rows[0].id;
+      }
+
+      for (const exception of calendar.exceptions) {
+        await client.query(
+          `INSERT INTO calendar_exceptions (calendar_id, exception_date, is_working, name, hours)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (calendar_id, exception_date) DO UPDATE SET
+             is_working = EXCLUDED.is_working, name = EXCLUDED.name, hours = EXCLUDED.hours`,
+          [calendarId, exception.date, exception.is_working, exception.name, exception.hours]
+        );
+      }
+
+      calendarIds.set(calendar.key, calendarId);
+    }
+
+    return calendarIds;
+  }
+
+  /**
+   * Upsert WBS summaries (parents first) and then activities
+   * @private
+   * @returns {Promise<Map<string, string>>} source key -> schedule_tasks.id
+   */
+  async _saveTasks(client, projectId, model, existingTasks, calendarIds, userId) {
+    const taskIds = new Map();
+    const defaultCalendarId = [...calendarIds.entries()]
+      .find(([key]) => model.calendars.find(calendar => calendar.key === key)?.is_default)?.[1] || null;
+
+    // WBS nodes take their dates from the activities beneath them
+    const wbsDates = new Map();
+    const childrenOf = (key) => [
+      ...model.wbs.filter(node => node.parent_key === key),
+      ...model.activities.filter(activity => activity.parent_key === key)
+    ];
+    const rollUp = (node, seen = new Set()) => {
+      if (wbsDates.has(node.key)) return wbsDates.get(node.key);
+      if (seen.has(node.key)) return null;
+      seen.add(node.key);
+      let start = null;
+      let finish = null;
+      for (const child of childrenOf(node.key)) {
+        const dates = child.planned_start !== undefined
+          ? { start: child.planned_start, finish: child.planned_finish }
+          : rollUp(child, seen);
+        if (!dates || !dates.start) continue;
+        if (!start || dates.start < start) start = dates.start;
+        if (!finish || dates.finish > finish) finish = dates.finish;
+      }
+      const result = start ? { start, finish } : null;
+      wbsDates.set(node.key, result);
+      return result;
+    };
+
+    const saveTask = async (key, values) => {
+      const externalId = `${model.format}:${key}`;
+      const existingId = existingTasks.get(externalId);
+      const params = [
+        values.parent_task_id, values.task_code, values.name,
+        values.planned_start_date, values.planned_end_date, values.duration_days,
+        values.actual_start_date, values.actual_end_date, values.status, values.percent_complete,
+        values.task_type, values.constraint_type, values.constraint_date, values.work_calendar_id,
+        values.early_start_date, values.early_finish_date, values.late_start_date, values.late_finish_date,
+        values.total_float_days
+      ];
+
+      if (existingId) {
+        await client.query(
+          `UPDATE schedule_tasks SET
+            parent_task_id = $1, task_code = $2, name = $3,
+            planned_start_date = $4, planned_end_date = $5, duration_days = $6,
+            actual_start_date = $7, actual_end_date = $8, status = $9, percent_complete = $10,
+            task_type = $11, constraint_type = $12, constraint_date = $13, work_calendar_id = $14,
+            early_start_date = $15, early_finish_date = $16, late_start_date = $17, late_finish_date = $18,
+            total_float_days = COALESCE($19, total_float_days),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $20`,
+          [...params, existingId]
+        );
+        taskIds.set(key, existingId);
+        return;
+      }
+
+      const result = await client.query(
+        `INSERT INTO schedule_tasks (
+          parent_task_id, task_code, name,
+          planned_start_date, planned_end_date, duration_days,
+          actual_start_date, actual_end_date, status, percent_complete,
+          task_type, constraint_type, constraint_date, work_calendar_id,
+          early_start_date, early_finish_date, late_start_date, late_finish_date,
+          total_float_days, project_id, external_id, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, COALESCE($19, 0), $20, $21, $22)
+        RETURNING id`,
+        [...params, projectId, externalId, userId]
+      );
+      taskIds.set(key, result.rows[0].id);
+    };
+
+    // Parents before children so parent_task_id always resolves
+    const pending = [...model.wbs];
+    while (pending.length > 0) {
+      const index = pending.findIndex(node => !node.parent_key || taskIds.has(node.parent_key) || !pending.some(other => other.key === node.parent_key));
+      const [node] = pending.splice(index === -1 ? 0 : index, 1);
+      const dates = rollUp(node);
+      if (!dates) continue;
+      await saveTask(node.key, {
+        parent_task_id: taskIds.get(node.parent_key) || null,
+        task_code: node.code ? String(node.code).slice(0, 50) : null,
+        name: String(node.name).slice(0, 500),
+        planned_start_date: dates.start,
+        planned_end_date: dates.finish,
+        duration_days: daySpan(dates.start, dates.finish),
+        actual_start_date: null,
+        actual_end_date: null,
+        status: 'not_started',
+        percent_complete: 0,
+        task_type: 'summary',
+        constraint_type: null,
+        constraint_date: null,
+        work_calendar_id: defaultCalendarId,
+        early_start_date: null,
+        early_finish_date: null,
+        late_start_date: null,
+        late_finish_date: null,
+        total_float_days: null
+      });
+    }
+
+    for (const activity of model.activities) {
+      let status = 'not_started';
+      if (activity.actual_finish) status = 'completed';
+      else if (activity.actual_start || activity.percent_complete > 0) status = 'in_progress';
+
+      await saveTask(activity.key, {
+        parent_task_id: taskIds.get(activity.parent_key) || null,
+        task_code: activity.code,
+        name: activity.name,
+        planned_start_date: activity.planned_start,
+        planned_end_date: activity.planned_finish,
+        duration_days: activity.duration_days,
+        actual_start_date: activity.actual_start,
+        actual_end_date: activity.actual_finish,
+        status,
+        percent_complete: status === 'completed' ? 100 : activity.percent_complete,
+        task_type: 'task',
+        constraint_type: activity.constraint_type || 'asap',
+        constraint_date: activity.constraint_date,
+        work_calendar_id: calendarIds.get(activity.calendar_key) || defaultCalendarId,
+        early_start_date: activity.early_start,
+        early_finish_date: activity.early_finish,
+        late_start_date: activity.late_start,
+        late_finish_date: activity.late_finish,
+        total_float_days: activity.total_float_days
+      });
+    }
+
+    return taskIds;
+  }
+
+  /**
+   * Replace the logic between imported tasks with the file's relationships
+   * @private
+   */
+  async _saveRelationships(client, model, taskIds, userId) {
+    const ids = [...taskIds.values()];
+    if (ids.length === 0) return;
+
+    await client.query(
+      `DELETE FROM task_dependencies
+       WHERE successor_task_id = ANY($1::UUID[]) AND predecessor_task_id = ANY($1::UUID[])`,
+      [ids]
+    );
+
+    for (const link of model.relationships) {
+      const predecessorId = taskIds.get(link.predecessor_key);
+      const successorId = taskIds.get(link.successor_key);
+      // Either end may have been an empty WBS node that was skipped
+      if (!predecessorId || !successorId) continue;
+      await client.query(
+        `INSERT INTO task_dependencies (predecessor_task_id, successor_task_id, dependency_type, lag_days, created_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [predecessorId, successorId, link.type, link.lag_days, userId]
+      );
+    }
+  }
+
+  /**
+   * Keep a schedule_milestones row in step with each milestone activity
+   * @private
+   */
+  async _saveMilestones(client, projectId, model, taskIds, userId) {
+    for (const activity of model.activities.filter(item => item.is_milestone)) {
+      const taskId = taskIds.get(activity.key);
+      const targetDate = activity.planned_finish || activity.planned_start;
+      const actualDate = activity.actual_finish || activity.actual_start;
+
+      const updated = await client.query(
+        `UPDATE schedule_milestones SET
+          name = $1, target_date = $2, actual_date = $3,
+          status = CASE WHEN $3::DATE IS NOT NULL THEN 'achieved' ELSE status END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE related_task_id = $4
+        RETURNING id`,
+        [activity.name, targetDate, actualDate, taskId]
+      );
+      if (updated.rows.length > 0) continue;
+
+      await client.query(
+        `INSERT INTO schedule_milestones (
+          project_id, name, milestone_type, target_date, actual_date, status, related_task_id, created_by
+        ) VALUES ($1, $2, 'project', $3, $4, $5, $6, $7)`,
+        [projectId, activity.name, targetDate, actualDate, actualDate ? 'achieved' : 'pending', taskId, userId]
+      );
+    }
+  }
+
+  /**
+   * Store the file's baseline as a schedule_baselines snapshot
+   * @private
+   */
+  async _saveBaseline(client, projectId, model, taskIds, userId) {
+    if (!model.baseline) return null;
+
+    const snapshot = model.activities
+      .filter(activity => model.baseline.tasks[activity.key] && model.baseline.tasks[activity.key].start)
+      .map(activity => {
+        const saved = model.baseline.tasks[activity.key];
+        return {
+          id: taskIds.get(activity.key),
+          task_code: activity.code,
+          name: activity.name,
+          parent_task_id: taskIds.get(activity.parent_key) || null,
+          planned_start_date: saved.start,
+          planned_end_date: saved.finish || saved.start,
+          duration_days: saved.duration_days
+        };
+      });
+    if (snapshot.length === 0) return null;
+
+    const starts = snapshot.map(task => task.planned_start_date).sort();
+    const finishes = snapshot.map(task => task.planned_end_date).sort();
+    const activeResult = await client.query(
+      'SELECT 1 FROM schedule_baselines WHERE project_id = $1 AND is_active = true LIMIT 1',
+      [projectId]
+    );
+
+    // The file carries baseline dates only, so logic is the file's current logic between the baselined
+    // tasks; with no assignments or calendars the baseline is version 2 and cannot be restored
+    const snapshotIds = snapshot.map(task => task.id);
+    const dependencies = await client.query(
+      `SELECT * FROM task_dependencies WHERE predecessor_task_id = ANY($1::uuid[]) AND successor_task_id = ANY($1::uuid[])`,
+      [snapshotIds]
+    );
+    const milestones = await client.query(
+      'SELECT * FROM schedule_milestones WHERE project_id = $1 AND related_task_id = ANY($2::uuid[])',
+      [projectId, snapshotIds]
+    );
+    const baselineFinish = new Map(snapshot.map(task => [task.id, task.planned_end_date]));
+    const milestoneSnapshot = milestones.rows.map(milestone => ({
+      ...milestone, forecast_date: baselineFinish.get(milestone.related_task_id), actual_date: null
+    }));
+
+    const result = await client.query(
+      `INSERT INTO schedule_baselines (
+        project_id, name, description, baseline_type,
+        baseline_date, start_date, finish_date, snapshot_version,
+        task_snapshot, dependency_snapshot, milestone_snapshot, is_active, created_by
+      ) VALUES ($1, $2, $3, 'approved', CURRENT_DATE, $4, $5, 2, $6, $7, $8, $9, $10)
+      RETURNING id, name, baseline_type, start_date, finish_date, snapshot_version, is_active`,
+      [
+        projectId, String(model.baseline.name).slice(0, 200), `Imported from ${model.format.toUpperCase()}`,
+        starts[0], finishes[finishes.length - 1],
+        JSON.stringify(snapshot), JSON.stringify(dependencies.rows), JSON.stringify(milestoneSnapshot),
+        activeResult.rows.length === 0, userId
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async _logImport(db, projectId, format, fileName, mode, dryRun, status, summary, problems, userId) {
+    const result = await db.query(
+      `INSERT INTO schedule_imports (project_id, format, file_name, mode, dry_run, status, summary, problems, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [projectId, format, fileName || null, mode, dryRun, status, JSON.stringify(summary), JSON.stringify(problems), userId]
+    );
+    return result.rows[0];
+  }
+
+  // ==========================================================================
+  // EXPORT
+  // ==========================================================================
+
+  /**
+   * Load a project's schedule with every date normalized to YYYY-MM-DD
+   * @param {string} projectId - UUID of the project
+   * @returns {Promise<Object|null>} { project, calendars, tasks, dependencies, baseline } or null
+   */
+  async loadSchedule(projectId) {
+    const projectResult = await this.pool.query(
+      'SELECT id, name, project_number, start_date, end_date FROM projects WHERE id = $1',
+      [projectId]
+    );
+    if (projectResult.rows.length === 0) return null;
+
+    const tasksResult = await this.pool.query(
+      `SELECT * FROM schedule_tasks WHERE project_id = $1 ORDER BY planned_start_date, task_code, created_at`,
+      [projectId]
+    );
+    const dependenciesResult = await this.pool.query(
+      `SELECT td.*
+       FROM task_dependencies td
+       JOIN schedule_tasks t ON td.successor_task_id = t.id
+       WHERE t.project_id = $1`,
+      [projectId]
+    );
+
+    // Project calendars plus any shared calendar a task points at
+    const calendarsResult = await this.pool.query(
+      `SELECT * FROM work_calendars
+       WHERE project_id = $1
+          OR id IN (SELECT work_calendar_id FROM schedule_tasks WHERE project_id = $1 AND work_calendar_id IS NOT NULL)
+          OR (project_id IS NULL AND is_default = true)
+       ORDER BY project_id NULLS LAST, is_default DESC, name`,
+      [projectId]
+    );
+    const exceptionsResult = calendarsResult.rows.length > 0
+      ? await this.pool.query(
+        `SELECT * FROM calendar_exceptions WHERE calendar_id = ANY($1::UUID[]) ORDER BY exception_date`,
+        [calendarsResult.rows.map(calendar => calendar.id)]
+      )
+      : { rows: [] };
+
+    // A project calendar marked default wins over the shared template
+    const projectDefault = calendarsResult.rows.find(calendar => calendar.project_id && calendar.is_default);
+    const calendars = calendarsResult.rows.map(calendar => ({
+      ...calendar,
+      is_default: projectDefault ? calendar.id === projectDefault.id : calendar.is_default,
+      working_days: calendar.working_days || [1, 2, 3, 4, 5],
+      exceptions: exceptionsResult.rows
+        .filter(exception => exception.calendar_id === calendar.id)
+        .map(exception => ({ ...exception, exception_date: toDateString(exception.exception_date) }))
+    }));
+
+    const dateFields = [
+      'planned_start_date', 'planned_end_date', 'actual_start_date', 'actual_end_date',
+      'early_start_date', 'early_finish_date', 'late_start_date', 'late_finish_date', 'constraint_date'
+    ];
+    const tasks = tasksResult.rows.map(task => {
+      const normalized = { ...task };
+      dateFields.forEach(field => { normalized[field] = toDateString(task[field]); });
+      return normalized;
+    });
+
+    const baselineResult = await this.pool.query(
+      `SELECT name, task_snapshot FROM schedule_baselines
+       WHERE project_id = $1 AND is_active = true
+       ORDER BY created_at DESC LIMIT 1`,
+      [projectId]
+    );
+    let baseline = null;
+    if (baselineResult.rows.length > 0 && Array.isArray(baselineResult.rows[0].task_snapshot)) {
+      baseline = {
+        name: baselineResult.rows[0].name,
+        tasks: new Map(baselineResult.rows[0].task_snapshot.map(task => [task.id, {
+          planned_start_date: toDateString(task.planned_start_date),
+          planned_end_date: toDateString(task.planned_end_date),
+          duration_days: task.duration_days
+        }]))
+      };
+    }
+
+    const project = projectResult.rows[0];
+    return {
+      project: { ...project, start_date: toDateString(project.start_date), end_date: toDateString(project.end_date) },
+      calendars,
+      tasks,
+      dependencies: dependenciesResult.rows,
+      baseline
+    };
+  }
+
+  /**
+   * Export a project's schedule
+   * @param {string} projectId - UUID of the project
+   * @param {string} format - 'xer' or 'mspdi'
+   * @returns {Promise<Object|null>} { content, fileName, contentType, warnings } or null if the project does not exist
+   */
+  async exportSchedule(projectId, format) {
+    const handler = FORMATS[format];
+    if (!handler) {
+      throw new Error(`Unsupported schedule format: ${format}`);
+    }
+
+    const schedule = await this.loadSchedule(projectId);
+    if (!schedule) return null;
+
+    const { content, warnings } = handler.write(schedule);
+    const baseName = String(schedule.project.project_number || schedule.project.name || 'schedule')
+      .replace(/[^A-Za-z0-9._-]+/g, '_');
+
+    return {
+      content,
+      fileName: `${baseName}.${handler.extension}`,
+      contentType: handler.contentType,
+      warnings
+    };
+  }
+}
+
+module.exports = ScheduleInterchange;
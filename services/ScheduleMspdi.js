@@ -0,0 +1,506 @@
+// ============================================================================
+// MS PROJECT XML (MSPDI) FORMAT
+// Reads and writes Microsoft Project's XML interchange format to and from the
+// interchange model described in ScheduleInterchange.js
+// ============================================================================
+
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+
+const MSPDI_NAMESPACE = 'http://schemas.microsoft.com/project';
+
+const RELATIONSHIP_TYPES = { 0: 'FF', 1: 'FS', 2: 'SF', 3: 'SS' };
+const EXPORT_RELATIONSHIP_TYPES = { FF: 0, FS: 1, SF: 2, SS: 3 };
+
+const CONSTRAINT_TYPES = { 0: null, 1: 'alap', 2: 'mso', 3: 'mfo', 4: 'snet', 5: 'snlt', 6: 'fnet', 7: 'fnlt' };
+const EXPORT_CONSTRAINT_TYPES = { asap: 0, alap: 1, mso: 2, mfo: 3, snet: 4, snlt: 5, fnet: 6, fnlt: 7 };
+
+// LagFormat codes: elapsed units count calendar time, percent formats scale the predecessor
+const ELAPSED_LAG_FORMATS = new Set([4, 6, 8, 10, 12, 36, 38, 40, 42, 44]);
+const PERCENT_LAG_FORMATS = new Set([19, 20, 51, 52]);
+const LAG_FORMAT_DAYS = 7;
+const DURATION_FORMAT_DAYS = 7;
+
+// Exceptions longer than this are almost certainly data errors; cap the expansion
+const MAX_EXCEPTION_DAYS = 366 * 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ARRAY_ELEMENTS = new Set(['Calendar', 'WeekDay', 'WorkingTime', 'Exception', 'Task', 'PredecessorLink', 'Baseline']);
+
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ARRAY_ELEMENTS.has(name)
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  format: true,
+  suppressEmptyNode: true
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const xmlDate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const hoursBetween = (from, to) => {
+  const [fromHours, fromMinutes] = String(from).split(':').map(Number);
+  const [toHours, toMinutes] = String(to).split(':').map(Number);
+  const end = toHours * 60 + toMinutes || 24 * 60;
+  return Math.max(0, end - (fromHours * 60 + fromMinutes)) / 60;
+};
+
+const workingHours = (workingTimes) => (workingTimes?.WorkingTime || [])
+  .reduce((sum, time) => sum + hoursBetween(time.FromTime, time.ToTime), 0);
+
+/**
+ * Parse an ISO 8601 duration as written by MS Project (e.g. PT16H0M0S)
+ * @param {string} value
+ * @returns {number|null} Hours
+ */
+function durationHours(value) {
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(value || ''));
+  if (!match) return null;
+  const [, days, hours, minutes, seconds] = match.map(part => Number(part || 0));
+  return days * 24 + hours + minutes / 60 + seconds / 3600;
+}
+
+// Drop null/undefined keys so the builder does not emit empty elements
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+
+// ============================================================================
+// READING
+// ============================================================================
+
+function expandRange(fromValue, toValue, exception, problems, ref) {
+  const from = xmlDate(fromValue);
+  const to = xmlDate(toValue) || from;
+  if (!from) return [];
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  const span = Math.round((end - start) / DAY_MS) + 1;
+  if (span > MAX_EXCEPTION_DAYS) {
+    problems.push({ severity: 'warning', entity: 'calendar', ref, message: `Exception ${from} to ${to} is longer than ${MAX_EXCEPTION_DAYS} days; only the first ${MAX_EXCEPTION_DAYS} were imported` });
+  }
+  const dates = [];
+  for (let i = 0; i < Math.min(span, MAX_EXCEPTION_DAYS); i++) {
+    dates.push({ ...exception, date: new Date(start + i * DAY_MS).toISOString().slice(0, 10) });
+  }
+  return dates;
+}
+
+function readCalendars(projectNode, minutesPerDay, problems) {
+  const rawCalendars = projectNode.Calendars?.Calendar || [];
+  const byUid = new Map(rawCalendars.map(calendar => [calendar.UID, calendar]));
+
+  const readWeek = (calendar, seen = new Set()) => {
+    // Derived calendars inherit any weekday they do not override from their base
+    const base = byUid.get(calendar.BaseCalendarUID);
+    const days = base && !seen.has(base.UID) ? readWeek(base, new Set([...seen, calendar.UID])) : new Map();
+    for (const weekDay of calendar.WeekDays?.WeekDay || []) {
+      const dayType = Number(weekDay.DayType);
+      if (dayType >= 1 && dayType <= 7) {
+        days.set(dayType, { working: weekDay.DayWorking === '1', hours: workingHours(weekDay.WorkingTimes) });
+      }
+    }
+    return days;
+  };
+
+  return rawCalendars.map(calendar => {
+    const name = calendar.Name || `Calendar ${calendar.UID}`;
+    const days = readWeek(calendar);
+    const workingDays = [];
+    let hoursPerDay = 0;
+    for (let dayType = 1; dayType <= 7; dayType++) {
+      const day = days.get(dayType);
+      // MS Project treats an undefined weekday as the Monday-Friday default
+      const working = day ? day.working : dayType >= 2 && dayType <= 6;
+      if (working) {
+        workingDays.push(dayType - 1);
+        hoursPerDay = Math.max(hoursPerDay, day?.hours || 0);
+      }
+    }
+
+    const exceptions = new Map();
+    const addRange = (timePeriod, working, hours, exceptionName) => {
+      for (const exception of expandRange(timePeriod?.FromDate, timePeriod?.ToDate, {
+        is_working: working,
+        hours: working ? hours || null : null,
+        name: exceptionName || null
+      }, problems, name)) {
+        exceptions.set(exception.date, exception);
+      }
+    };
+
+    // Project 2003 style: weekday entries with DayType 0 and a time period
+    for (const weekDay of calendar.WeekDays?.WeekDay || []) {
+      if (Number(weekDay.DayType) === 0 && weekDay.TimePeriod) {
+        addRange(weekDay.TimePeriod, weekDay.DayWorking === '1', workingHours(weekDay.WorkingTimes), null);
+      }
+    }
+    // Project 2007+ style: <Exceptions>
+    for (const exception of calendar.Exceptions?.Exception || []) {
+      if (exception.Type && exception.Type !== '1') {
+        problems.push({ severity: 'warning', entity: 'calendar', ref: name, message: `Recurring exception "${exception.Name || exception.TimePeriod?.FromDate}" (type ${exception.Type}) is not supported and was skipped` });
+        continue;
+      }
+      addRange(exception.TimePeriod, exception.DayWorking === '1', workingHours(exception.WorkingTimes), exception.Name);
+    }
+
+    return {
+      key: calendar.UID,
+      name,
+      is_base: calendar.IsBaseCalendar === '1',
+      working_days: workingDays,
+      hours_per_day: hoursPerDay || minutesPerDay / 60,
+      is_default: calendar.UID === projectNode.CalendarUID,
+      exceptions: [...exceptions.values()].sort((a, b) => a.date.localeCompare(b.date))
+    };
+  });
+}
+
+/**
+ * Parse an MSPDI document into the interchange model
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {number} options.baselineNumber - Which MS Project baseline (0-10) to import, default 0
+ * @returns {Object} Interchange model
+ */
+function parseMspdi(text, options = {}) {
+  let document;
+  try {
+    document = parser.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid XML: ${error.message}`);
+  }
+  const projectNode = document.Project;
+  if (!projectNode || typeof projectNode !== 'object') {
+    throw new Error('Not an MS Project XML file (missing <Project> root)');
+  }
+
+  const problems = [];
+  const minutesPerDay = Number(projectNode.MinutesPerDay) || 480;
+  const hoursPerDay = minutesPerDay / 60;
+  const baselineNumber = String(options.baselineNumber ?? 0);
+
+  const rawTasks = (projectNode.Tasks?.Task || [])
+    .filter(task => task.UID !== '0' && task.IsNull !== '1')
+    .sort((a, b) => Number(a.ID || 0) - Number(b.ID || 0));
+
+  // Resource calendars are only kept when a task actually uses them
+  const usedCalendars = new Set(rawTasks.map(task => task.CalendarUID).filter(uid => uid && uid !== '-1'));
+  const calendars = readCalendars(projectNode, minutesPerDay, problems)
+    .filter(calendar => calendar.is_base || usedCalendars.has(calendar.key))
+    .map(({ is_base, ...calendar }) => calendar);
+  const calendarKeys = new Set(calendars.map(calendar => calendar.key));
+
+  const toDays = (hours, ref, label) => {
+    const days = hours / hoursPerDay;
+    const rounded = Math.round(days);
+    if (Math.abs(days - rounded) > 0.01) {
+      problems.push({ severity: 'warning', entity: 'activity', ref, message: `${label} of ${hours}h is ${days.toFixed(2)} days; rounded to ${rounded}` });
+    }
+    return rounded;
+  };
+
+  // Hierarchy comes from outline numbers (1, 1.1, 1.1.2 ...)
+  const uidByOutline = new Map(rawTasks.filter(task => task.OutlineNumber).map(task => [task.OutlineNumber, task.UID]));
+  const parentKey = (task) => {
+    const outline = String(task.OutlineNumber || '');
+    const cut = outline.lastIndexOf('.');
+    return cut === -1 ? null : uidByOutline.get(outline.slice(0, cut)) || null;
+  };
+
+  const wbs = [];
+  const activities = [];
+  let baseline = null;
+
+  for (const task of rawTasks) {
+    const ref = task.WBS || task.ID || task.UID;
+    if (task.Summary === '1') {
+      wbs.push({ key: task.UID, parent_key: parentKey(task), code: task.WBS || task.OutlineNumber, name: task.Name || `Summary ${task.UID}` });
+      continue;
+    }
+
+    const isMilestone = task.Milestone === '1';
+    let constraintType = CONSTRAINT_TYPES[Number(task.ConstraintType || 0)];
+    if (constraintType === undefined) {
+      problems.push({ severity: 'warning', entity: 'activity', ref, message: `Constraint type ${task.ConstraintType} is not supported and was dropped` });
+      constraintType = null;
+    }
+
+    let calendarKey = task.CalendarUID && task.CalendarUID !== '-1' ? task.CalendarUID : null;
+    if (calendarKey && !calendarKeys.has(calendarKey)) {
+      problems.push({ severity: 'warning', entity: 'activity', ref, message: `Calendar ${calendarKey} is not defined in the file; the project calendar is used` });
+      calendarKey = null;
+    }
+
+    const durationValue = durationHours(task.Duration);
+    activities.push({
+      key: task.UID,
+      parent_key: parentKey(task),
+      code: task.WBS || null,
+      name: task.Name,
+      planned_start: xmlDate(task.Start),
+      planned_finish: xmlDate(task.Finish),
+      duration_days: isMilestone ? 0 : (durationValue === null ? null : toDays(durationValue, ref, 'Duration')),
+      actual_start: xmlDate(task.ActualStart),
+      actual_finish: xmlDate(task.ActualFinish),
+      percent_complete: Math.round(Math.max(0, Math.min(100, Number(task.PercentComplete || 0)))),
+      is_milestone: isMilestone,
+      constraint_type: constraintType,
+      constraint_date: constraintType ? xmlDate(task.ConstraintDate) : null,
+      calendar_key: calendarKey,
+      early_start: xmlDate(task.EarlyStart),
+      early_finish: xmlDate(task.EarlyFinish),
+      late_start: xmlDate(task.LateStart),
+      late_finish: xmlDate(task.LateFinish),
+      // TotalSlack is in tenths of a minute
+      total_float_days: task.TotalSlack === undefined ? null : Math.round(Number(task.TotalSlack) / 10 / minutesPerDay)
+    });
+
+    const saved = (task.Baseline || []).find(entry => String(entry.Number) === baselineNumber);
+    if (saved && saved.Start) {
+      baseline = baseline || { name: `${projectNode.Title || projectNode.Name || 'MS Project'} - Baseline ${baselineNumber}`, tasks: {} };
+      const savedHours = durationHours(saved.Duration);
+      baseline.tasks[task.UID] = {
+        start: xmlDate(saved.Start),
+        finish: xmlDate(saved.Finish),
+        duration_days: isMilestone || savedHours === null ? 0 : Math.round(savedHours / hoursPerDay)
+      };
+    }
+  }
+
+  const durationByKey = new Map(activities.map(activity => [activity.key, activity.duration_days || 0]));
+  const relationships = [];
+  for (const task of rawTasks) {
+    for (const link of task.PredecessorLink || []) {
+      const ref = `${link.PredecessorUID} -> ${task.UID}`;
+      if (link.CrossProject === '1') {
+        problems.push({ severity: 'warning', entity: 'relationship', ref, message: 'Cross-project relationship skipped' });
+        continue;
+      }
+      const type = RELATIONSHIP_TYPES[Number(link.Type ?? 1)];
+      if (!type) {
+        problems.push({ severity: 'warning', entity: 'relationship', ref, message: `Unknown relationship type ${link.Type} skipped` });
+        continue;
+      }
+
+      // LinkLag is in tenths of a minute; percent formats store percent * 10
+      const lagFormat = Number(link.LagFormat || LAG_FORMAT_DAYS);
+      const linkLag = Number(link.LinkLag || 0);
+      let lagDays;
+      if (PERCENT_LAG_FORMATS.has(lagFormat)) {
+        lagDays = (linkLag / 10 / 100) * (durationByKey.get(link.PredecessorUID) || 0);
+        problems.push({ severity: 'warning', entity: 'relationship', ref, message: `Percentage lag converted to ${Math.round(lagDays)} days of the predecessor's current duration` });
+      } else if (ELAPSED_LAG_FORMATS.has(lagFormat)) {
+        lagDays = linkLag / 10 / (24 * 60);
+        if (linkLag !== 0) {
+          problems.push({ severity: 'warning', entity: 'relationship', ref, message: 'Elapsed lag imported as working days' });
+        }
+      } else {
+        lagDays = linkLag / 10 / minutesPerDay;
+      }
+      if (Math.abs(lagDays - Math.round(lagDays)) > 0.01) {
+        problems.push({ severity: 'warning', entity: 'relationship', ref, message: `Lag of ${lagDays.toFixed(2)} days rounded to ${Math.round(lagDays)}` });
+      }
+
+      relationships.push({ predecessor_key: link.PredecessorUID, successor_key: task.UID, type, lag_days: Math.round(lagDays) });
+    }
+  }
+
+  return {
+    format: 'mspdi',
+    project: {
+      name: projectNode.Title || projectNode.Name || null,
+      start_date: xmlDate(projectNode.StartDate)
+    },
+    calendars,
+    wbs,
+    activities,
+    relationships,
+    baseline,
+    problems
+  };
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+function calendarElement(calendar, uid) {
+  const hours = Number(calendar.hours_per_day) || 8;
+  const workingDays = new Set((calendar.working_days || []).map(Number));
+  const timesFor = (dayHours) => ({ WorkingTime: [{ FromTime: '08:00:00', ToTime: clockAfterEight(dayHours) }] });
+
+  const weekDays = [];
+  for (let dayType = 1; dayType <= 7; dayType++) {
+    const working = workingDays.has(dayType - 1);
+    weekDays.push(compact({ DayType: dayType, DayWorking: working ? 1 : 0, WorkingTimes: working ? timesFor(hours) : null }));
+  }
+
+  const exceptions = (calendar.exceptions || []).map(exception => compact({
+    EnteredByOccurrences: 0,
+    TimePeriod: { FromDate: `${exception.exception_date}T00:00:00`, ToDate: `${exception.exception_date}T23:59:00` },
+    Occurrences: 1,
+    Name: exception.name,
+    Type: 1,
+    DayWorking: exception.is_working ? 1 : 0,
+    WorkingTimes: exception.is_working ? timesFor(exception.hours || hours) : null
+  }));
+
+  return compact({
+    UID: uid,
+    Name: calendar.name,
+    IsBaseCalendar: 1,
+    BaseCalendarUID: -1,
+    WeekDays: { WeekDay: weekDays },
+    Exceptions: exceptions.length > 0 ? { Exception: exceptions } : null
+  });
+}
+
+// Clock time `hours` after 08:00 in MSPDI hh:mm:ss form
+function clockAfterEight(hours) {
+  const minutes = Math.min(8 * 60 + Math.round(Number(hours) * 60), 23 * 60 + 59);
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
+}
+
+/**
+ * Serialize a project schedule as MSPDI XML
+ * @param {Object} schedule - Output of ScheduleInterchange#loadSchedule
+ * @returns {{ content: string, warnings: Array<Object> }}
+ */
+function writeMspdi(schedule) {
+  const { project, calendars, tasks, dependencies, baseline } = schedule;
+  const warnings = [];
+
+  const calendarUids = new Map(calendars.map((calendar, index) => [calendar.id, index + 1]));
+  const defaultCalendar = calendars.find(calendar => calendar.is_default) || calendars[0];
+  const hoursPerDay = Number(defaultCalendar?.hours_per_day) || 8;
+  const minutesPerDay = Math.round(hoursPerDay * 60);
+  const durationText = (days) => `PT${Math.round(Number(days || 0) * hoursPerDay * 100) / 100}H0M0S`;
+  const finishTime = clockAfterEight(hoursPerDay);
+
+  // Walk the parent_task_id tree to assign outline numbers in display order
+  const children = new Map();
+  const taskIds = new Set(tasks.map(task => task.id));
+  for (const task of tasks) {
+    const parent = task.parent_task_id && taskIds.has(task.parent_task_id) ? task.parent_task_id : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(task);
+  }
+
+  const ordered = [];
+  const visited = new Set();
+  const walk = (parentId, prefix, level) => {
+    (children.get(parentId) || []).forEach((task, index) => {
+      if (visited.has(task.id)) return;
+      visited.add(task.id);
+      const outline = prefix ? `${prefix}.${index + 1}` : String(index + 1);
+      ordered.push({ task, outline, level });
+      walk(task.id, outline, level + 1);
+    });
+  };
+  walk(null, '', 1);
+  if (ordered.length < tasks.length) {
+    warnings.push({ entity: 'activity', ref: null, message: `${tasks.length - ordered.length} tasks with a circular parent chain were skipped` });
+  }
+
+  const uids = new Map(ordered.map((entry, index) => [entry.task.id, index + 1]));
+  const predecessorsOf = new Map();
+  for (const dependency of dependencies) {
+    if (!uids.has(dependency.predecessor_task_id) || !uids.has(dependency.successor_task_id)) continue;
+    if (!predecessorsOf.has(dependency.successor_task_id)) predecessorsOf.set(dependency.successor_task_id, []);
+    predecessorsOf.get(dependency.successor_task_id).push(dependency);
+  }
+
+  const startDates = tasks.map(task => task.planned_start_date).filter(Boolean).sort();
+  const finishDates = tasks.map(task => task.planned_end_date).filter(Boolean).sort();
+  const projectStart = startDates[0] || project.start_date;
+  const projectFinish = finishDates[finishDates.length - 1] || project.end_date;
+
+  const taskElements = [compact({
+    UID: 0,
+    ID: 0,
+    Name: project.name,
+    OutlineNumber: 0,
+    OutlineLevel: 0,
+    Start: projectStart ? `${projectStart}T08:00:00` : null,
+    Finish: projectFinish ? `${projectFinish}T${finishTime}` : null,
+    Summary: 1
+  })];
+
+  ordered.forEach(({ task, outline, level }, index) => {
+    const isSummary = children.has(task.id);
+    const duration = Number(task.duration_days || 0);
+    const snapshot = baseline?.tasks.get(task.id);
+    taskElements.push(compact({
+      UID: uids.get(task.id),
+      ID: index + 1,
+      Name: task.name,
+      WBS: task.task_code,
+      OutlineNumber: outline,
+      OutlineLevel: level,
+      Start: task.planned_start_date ? `${task.planned_start_date}T08:00:00` : null,
+      Finish: task.planned_end_date ? `${task.planned_end_date}T${duration === 0 ? '08:00:00' : finishTime}` : null,
+      Duration: durationText(duration),
+      DurationFormat: DURATION_FORMAT_DAYS,
+      Milestone: !isSummary && duration === 0 ? 1 : 0,
+      Summary: isSummary ? 1 : 0,
+      Critical: task.is_critical ? 1 : 0,
+      PercentComplete: Math.round(Number(task.percent_complete || 0)),
+      ActualStart: task.actual_start_date ? `${task.actual_start_date}T08:00:00` : null,
+      ActualFinish: task.actual_end_date ? `${task.actual_end_date}T${finishTime}` : null,
+      EarlyStart: task.early_start_date ? `${task.early_start_date}T08:00:00` : null,
+      EarlyFinish: task.early_finish_date ? `${task.early_finish_date}T${finishTime}` : null,
+      LateStart: task.late_start_date ? `${task.late_start_date}T08:00:00` : null,
+      LateFinish: task.late_finish_date ? `${task.late_finish_date}T${finishTime}` : null,
+      ConstraintType: EXPORT_CONSTRAINT_TYPES[task.constraint_type] ?? 0,
+      CalendarUID: calendarUids.get(task.work_calendar_id) || -1,
+      ConstraintDate: task.constraint_date ? `${task.constraint_date}T08:00:00` : null,
+      TotalSlack: task.total_float_days === null || task.total_float_days === undefined
+        ? null
+        : Number(task.total_float_days) * minutesPerDay * 10,
+      PredecessorLink: (predecessorsOf.get(task.id) || []).map(dependency => ({
+        PredecessorUID: uids.get(dependency.predecessor_task_id),
+        Type: EXPORT_RELATIONSHIP_TYPES[dependency.dependency_type] ?? 1,
+        CrossProject: 0,
+        LinkLag: Number(dependency.lag_days || 0) * minutesPerDay * 10,
+        LagFormat: LAG_FORMAT_DAYS
+      })),
+      Baseline: snapshot
+        ? [compact({
+          Number: 0,
+          Start: snapshot.planned_start_date ? `${snapshot.planned_start_date}T08:00:00` : null,
+          Finish: snapshot.planned_end_date ? `${snapshot.planned_end_date}T${finishTime}` : null,
+          Duration: durationText(snapshot.duration_days)
+        })]
+        : null
+    }));
+  });
+
+  const document = {
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8', '@_standalone': 'yes' },
+    Project: compact({
+      '@_xmlns': MSPDI_NAMESPACE,
+      SaveVersion: 14,
+      Name: `${project.project_number || project.name}.xml`,
+      Title: project.name,
+      ScheduleFromStart: 1,
+      StartDate: projectStart ? `${projectStart}T08:00:00` : null,
+      FinishDate: projectFinish ? `${projectFinish}T${finishTime}` : null,
+      CalendarUID: defaultCalendar ? calendarUids.get(defaultCalendar.id) : null,
+      MinutesPerDay: minutesPerDay,
+      MinutesPerWeek: minutesPerDay * Math.max(1, (defaultCalendar?.working_days || [1, 2, 3, 4, 5]).length),
+      DurationFormat: DURATION_FORMAT_DAYS,
+      Calendars: calendars.length > 0
+        ? { Calendar: calendars.map(calendar => calendarElement(calendar, calendarUids.get(calendar.id))) }
+        : null,
+      Tasks: { Task: taskElements }
+    })
+  };
+
+  return { content: builder.build(document), warnings };
+}
+
+module.exports = { parseMspdi, writeMspdi };
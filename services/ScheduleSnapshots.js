@@ -0,0 +1,573 @@
+// ============================================================================
+// SCHEDULE SNAPSHOTS
+// Full copies of a project schedule: baselines that can be restored over the
+// live plan, and what-if scenarios that are edited and recalculated in memory
+// without touching schedule_tasks
+// ============================================================================
+//
+// Snapshot format (version 3):
+//   { version, data_date, tasks, dependencies, milestones, assignments, calendars }
+// Rows are the tables' own rows as JSON, with DATE columns as YYYY-MM-DD;
+// calendars carry their exceptions. Baselines store the parts in separate
+// columns (task_snapshot, dependency_snapshot, ...) with snapshot_version;
+// version 1 baselines hold tasks only and version 2 add logic and milestones.
+// Only version 3 baselines can be restored or branched.
+// ============================================================================
+
+const crypto = require('crypto');
+const ScheduleEngine = require('./ScheduleEngine');
+const WorkCalendar = require('./WorkCalendar');
+
+const { computeSchedule } = ScheduleEngine;
+
+const SNAPSHOT_VERSION = 3;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Task fields a scenario edit may set
+const SCENARIO_TASK_FIELDS = [
+  'name', 'task_code', 'parent_task_id', 'planned_start_date', 'planned_end_date', 'duration_days',
+  'actual_start_date', 'actual_end_date', 'percent_complete', 'status', 'constraint_type', 'constraint_date',
+  'work_calendar_id'
+];
+const SCENARIO_DATE_FIELDS = ['planned_start_date', 'planned_end_date', 'actual_start_date', 'actual_end_date', 'constraint_date'];
+
+class ScheduleSnapshots {
+  /**
+   * @param {Object} pool - pg pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.columnCache = new Map();
+  }
+
+  static get version() {
+    return SNAPSHOT_VERSION;
+  }
+
+  // ==========================================================================
+  // CAPTURE
+  // ==========================================================================
+
+  /**
+   * Snapshot a project's live schedule
+   * @param {Object} db - pool or transaction client
+   * @param {string} projectId
+   * @returns {Promise<Object>} Version 3 snapshot
+   */
+  async capture(db, projectId) {
+    // to_jsonb keeps DATE columns as YYYY-MM-DD, whatever the server time zone
+    const rows = async (sql) => (await db.query(sql, [projectId])).rows[0].rows;
+    const [tasks, dependencies, milestones, assignments, calendars, project] = await Promise.all([
+      rows(`SELECT COALESCE(jsonb_agg(to_jsonb(t) ORDER BY t.planned_start_date, t.id), '[]') as rows
+            FROM schedule_tasks t WHERE t.project_id = $1`),
+      rows(`SELECT COALESCE(jsonb_agg(to_jsonb(d) ORDER BY d.id), '[]') as rows
+            FROM task_dependencies d JOIN schedule_tasks t ON t.id = d.successor_task_id
+            WHERE t.project_id = $1`),
+      rows(`SELECT COALESCE(jsonb_agg(to_jsonb(m) ORDER BY m.target_date, m.id), '[]') as rows
+            FROM schedule_milestones m WHERE m.project_id = $1`),
+      rows(`SELECT COALESCE(jsonb_agg(to_jsonb(a) ORDER BY a.id), '[]') as rows
+            FROM task_assignments a JOIN schedule_tasks t ON t.id = a.task_id
+            WHERE t.project_id = $1`),
+      rows(`SELECT COALESCE(jsonb_agg(to_jsonb(c) || jsonb_build_object('exceptions', COALESCE(
+              (SELECT jsonb_agg(to_jsonb(e) ORDER BY e.exception_date) FROM calendar_exceptions e WHERE e.calendar_id = c.id), '[]'))
+              ORDER BY c.name), '[]') as rows
+            FROM work_calendars c
+            WHERE c.project_id = $1
+               OR c.id IN (SELECT work_calendar_id FROM schedule_tasks WHERE project_id = $1 AND work_calendar_id IS NOT NULL)
+               OR (c.project_id IS NULL AND c.is_default = true)`),
+      db.query(`SELECT to_char(schedule_data_date, 'YYYY-MM-DD') as data_date FROM projects WHERE id = $1`, [projectId])
+    ]);
+    return {
+      version: SNAPSHOT_VERSION,
+      data_date: project.rows[0]?.data_date || null,
+      tasks,
+      dependencies,
+      milestones,
+      assignments,
+      calendars
+    };
+  }
+
+  /**
+   * The snapshot held by a schedule_baselines row
+   * @param {Object} baseline - schedule_baselines row
+   * @returns {Object} Snapshot; parts older versions did not capture are null
+   */
+  static fromBaseline(baseline) {
+    const dataDay = WorkCalendar.toDayNumber(baseline.data_date);
+    return {
+      version: baseline.snapshot_version || 1,
+      data_date: dataDay === null ? null : WorkCalendar.fromDayNumber(dataDay),
+      tasks: baseline.task_snapshot || [],
+      dependencies: baseline.dependency_snapshot || null,
+      milestones: baseline.milestone_snapshot || null,
+      assignments: baseline.assignment_snapshot || null,
+      calendars: baseline.calendar_snapshot || null
+    };
+  }
+
+  // ==========================================================================
+  // BASELINES
+  // ==========================================================================
+
+  /**
+   * Take a full baseline of the live schedule. 'original' and 'approved'
+   * baselines become the active one.
+   * @param {Object} db - pool or transaction client
+   * @param {string} projectId
+   * @param {Object} fields - { name, description, baseline_type }
+   * @param {string} userId
+   * @returns {Promise<Object>} { baseline } or { error, status }
+   */
+  async createBaseline(db, projectId, { name, description, baseline_type: baselineType = 'approved' }, userId) {
+    const snapshot = await this.capture(db, projectId);
+    if (snapshot.tasks.length === 0) return { error: 'The schedule has no tasks to baseline', status: 400 };
+
+    const starts = snapshot.tasks.map(task => task.planned_start_date).sort();
+    const finishes = snapshot.tasks.map(task => task.planned_end_date).sort();
+    const active = baselineType === 'original' || baselineType === 'approved';
+    if (active) {
+      await db.query('UPDATE schedule_baselines SET is_active = false WHERE project_id = $1', [projectId]);
+    }
+
+    const result = await db.query(
+      `INSERT INTO schedule_baselines (
+        project_id, name, description, baseline_type,
+        baseline_date, start_date, finish_date, data_date, snapshot_version,
+        task_snapshot, dependency_snapshot, milestone_snapshot, assignment_snapshot, calendar_snapshot,
+        is_active, created_by
+      ) VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *`,
+      [
+        projectId, name, description, baselineType,
+        starts[0], finishes[finishes.length - 1], snapshot.data_date, SNAPSHOT_VERSION,
+        JSON.stringify(snapshot.tasks), JSON.stringify(snapshot.dependencies), JSON.stringify(snapshot.milestones),
+        JSON.stringify(snapshot.assignments), JSON.stringify(snapshot.calendars),
+        active, userId
+      ]
+    );
+    return { baseline: result.rows[0] };
+  }
+
+  // ==========================================================================
+  // RESTORE
+  // ==========================================================================
+
+  /**
+   * What restoring a snapshot would do to the live schedule
+   * @param {Object} db
+   * @param {string} projectId
+   * @param {Object} snapshot - Version 3 snapshot
+   * @returns {Promise<Object>}
+   */
+  async preview(db, projectId, snapshot) {
+    const current = await db.query(
+      'SELECT id, task_code, name FROM schedule_tasks WHERE project_id = $1 ORDER BY planned_start_date, name',
+      [projectId]
+    );
+    const snapshotIds = new Set(snapshot.tasks.map(task => task.id));
+    const currentIds = new Set(current.rows.map(task => task.id));
+    return {
+      tasks_restored: snapshot.tasks.filter(task => currentIds.has(task.id)).length,
+      tasks_recreated: snapshot.tasks.filter(task => !currentIds.has(task.id)).length,
+      tasks_removed: current.rows.filter(task => !snapshotIds.has(task.id)),
+      dependencies: snapshot.dependencies.length,
+      milestones: snapshot.milestones.length,
+      assignments: snapshot.assignments.length,
+      calendars: snapshot.calendars.filter(calendar => calendar.project_id === projectId).length,
+      data_date: snapshot.data_date
+    };
+  }
+
+  /**
+   * Replace the live schedule with a snapshot. Tasks added since are deleted
+   * (with their links, notes and assignments); tasks, logic, milestones,
+   * assignments, the project's calendars and the data date return to the
+   * snapshot. Calendars added since are kept.
+   * @param {Object} db - Transaction client
+   * @param {string} projectId
+   * @param {Object} snapshot - Version 3 snapshot
+   * @returns {Promise<Object>} Counts restored
+   */
+  async restore(db, projectId, snapshot) {
+    // People who have left the system since are dropped from the restored rows
+    const userIds = [...new Set([
+      ...snapshot.tasks.flatMap(task => [task.created_by, task.assigned_to]),
+      ...snapshot.dependencies.map(link => link.created_by),
+      ...snapshot.milestones.map(milestone => milestone.created_by),
+      ...snapshot.assignments.flatMap(assignment => [assignment.user_id, assignment.assigned_by]),
+      ...snapshot.calendars.map(calendar => calendar.created_by)
+    ].filter(Boolean))];
+    const users = await db.query('SELECT id FROM users WHERE id = ANY($1::uuid[])', [userIds]);
+    const activeUsers = new Set(users.rows.map(user => user.id));
+    const withUsers = (row, fields) => Object.fromEntries(Object.entries(row).map(([key, value]) =>
+      [key, fields.includes(key) && value && !activeUsers.has(value) ? null : value]));
+
+    const calendars = snapshot.calendars
+      .filter(calendar => calendar.project_id === projectId)
+      .map(calendar => withUsers(calendar, ['created_by']));
+    await this._upsert(db, 'work_calendars', calendars);
+    if (calendars.length > 0) {
+      const calendarIds = calendars.map(calendar => calendar.id);
+      await db.query('DELETE FROM calendar_exceptions WHERE calendar_id = ANY($1::uuid[])', [calendarIds]);
+      await this._upsert(db, 'calendar_exceptions', calendars.flatMap(calendar => calendar.exceptions || []));
+    }
+
+    const taskIds = snapshot.tasks.map(task => task.id);
+    const removed = await db.query(
+      'DELETE FROM schedule_tasks WHERE project_id = $1 AND NOT (id = ANY($2::uuid[]))',
+      [projectId, taskIds]
+    );
+    await this._upsert(db, 'schedule_tasks', snapshot.tasks.map(task => ({ ...withUsers(task, ['created_by', 'assigned_to']), project_id: projectId })));
+
+    await db.query('DELETE FROM task_dependencies WHERE successor_task_id = ANY($1::uuid[])', [taskIds]);
+    await this._upsert(db, 'task_dependencies', snapshot.dependencies.map(link => withUsers(link, ['created_by'])));
+
+    await db.query(
+      'DELETE FROM schedule_milestones WHERE project_id = $1 AND NOT (id = ANY($2::uuid[]))',
+      [projectId, snapshot.milestones.map(milestone => milestone.id)]
+    );
+    await this._upsert(db, 'schedule_milestones', snapshot.milestones.map(milestone => ({ ...withUsers(milestone, ['created_by']), project_id: projectId })));
+
+    await db.query('DELETE FROM task_assignments WHERE task_id = ANY($1::uuid[])', [taskIds]);
+    const assignments = snapshot.assignments
+      .filter(assignment => activeUsers.has(assignment.user_id))
+      .map(assignment => withUsers(assignment, ['assigned_by']));
+    await this._upsert(db, 'task_assignments', assignments);
+
+    await db.query('UPDATE projects SET schedule_data_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [snapshot.data_date, projectId]);
+
+    return {
+      tasks: snapshot.tasks.length,
+      tasks_removed: removed.rowCount,
+      dependencies: snapshot.dependencies.length,
+      milestones: snapshot.milestones.length,
+      assignments: assignments.length,
+      assignments_skipped: snapshot.assignments.length - assignments.length,
+      calendars: calendars.length,
+      data_date: snapshot.data_date
+    };
+  }
+
+  // ==========================================================================
+  // WHAT-IF SCENARIOS
+  // ==========================================================================
+
+  /**
+   * Branch a scenario from the live schedule or a full baseline
+   * @param {Object} db
+   * @param {string} projectId
+   * @param {Object} fields - { name, description, from: 'current' | baseline id }
+   * @param {string} userId
+   * @returns {Promise<Object>} { scenario } or { error, status }
+   */
+  async createScenario(db, projectId, { name, description, from = 'current' }, userId) {
+    let snapshot;
+    let sourceBaselineId = null;
+    if (from === 'current') {
+      snapshot = await this.capture(db, projectId);
+    } else if (!UUID_PATTERN.test(from)) {
+      return { error: "from must be 'current' or a baseline id", status: 400 };
+    } else {
+      const baseline = await db.query('SELECT * FROM schedule_baselines WHERE id = $1 AND project_id = $2', [from, projectId]);
+      if (baseline.rows.length === 0) return { error: 'Baseline not found on this project', status: 404 };
+      snapshot = ScheduleSnapshots.fromBaseline(baseline.rows[0]);
+      if (snapshot.version < SNAPSHOT_VERSION) {
+        return { error: `Baseline "${baseline.rows[0].name}" has a version ${snapshot.version} snapshot without logic or calendars; only full baselines can be branched`, status: 409 };
+      }
+      sourceBaselineId = baseline.rows[0].id;
+    }
+
+    const calculated = ScheduleSnapshots.calculate(snapshot);
+    const result = await db.query(
+      `INSERT INTO schedule_scenarios (project_id, name, description, source_baseline_id, snapshot, warnings, calculated_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, $7) RETURNING *`,
+      [projectId, name, description || null, sourceBaselineId, JSON.stringify(calculated.snapshot || snapshot),
+       JSON.stringify(calculated.cycles.length > 0 ? [{ message: 'Schedule logic contains circular dependencies', cycles: calculated.cycles }] : calculated.warnings), userId]
+    );
+    return { scenario: result.rows[0] };
+  }
+
+  /**
+   * Edit a task in a scenario snapshot (in place)
+   * @param {Object} snapshot
+   * @param {string} taskId
+   * @param {Object} fields - Any of SCENARIO_TASK_FIELDS
+   * @returns {Object} { task } or { error, status }
+   */
+  static editTask(snapshot, taskId, fields) {
+    const task = snapshot.tasks.find(candidate => candidate.id === taskId);
+    if (!task) return { error: 'Task not found in this scenario', status: 404 };
+    const error = ScheduleSnapshots.validateTask(snapshot, fields, task);
+    if (error) return { error, status: 400 };
+
+    for (const field of SCENARIO_TASK_FIELDS) {
+      if (fields[field] !== undefined && field !== 'planned_end_date') task[field] = fields[field];
+    }
+    // A new finish without a duration means "make it last until then", as on the live schedule
+    if (fields.planned_end_date && (fields.duration_days === undefined || fields.duration_days === null)) {
+      task.duration_days = durationBetween(snapshot, task, task.planned_start_date, fields.planned_end_date);
+    }
+    task.updated_at = new Date().toISOString();
+    return { task };
+  }
+
+  /**
+   * Add a task to a scenario snapshot
+   * @param {Object} snapshot
+   * @param {Object} fields - name, planned_start_date and duration_days or planned_end_date, plus SCENARIO_TASK_FIELDS
+   * @returns {Object} { task } or { error, status }
+   */
+  static addTask(snapshot, fields) {
+    if (!fields.name || !fields.planned_start_date) return { error: 'name and planned_start_date are required', status: 400 };
+    if ((fields.duration_days === undefined || fields.duration_days === null) && !fields.planned_end_date) {
+      return { error: 'duration_days or planned_end_date is required', status: 400 };
+    }
+    const error = ScheduleSnapshots.validateTask(snapshot, fields, null);
+    if (error) return { error, status: 400 };
+
+    const task = {
+      id: crypto.randomUUID(),
+      status: 'not_started',
+      percent_complete: 0,
+      task_type: 'task',
+      priority: 'normal',
+      total_float_days: 0,
+      free_float_days: 0,
+      is_critical: false,
+      scenario_only: true
+    };
+    for (const field of SCENARIO_TASK_FIELDS) {
+      if (fields[field] !== undefined) task[field] = fields[field];
+    }
+    if (task.duration_days === undefined || task.duration_days === null) {
+      task.duration_days = durationBetween(snapshot, task, task.planned_start_date, task.planned_end_date);
+    }
+    task.planned_end_date = task.planned_end_date || task.planned_start_date;
+    snapshot.tasks.push(task);
+    return { task };
+  }
+
+  /**
+   * Remove a task, the tasks beneath it and their logic and assignments from a scenario
+   * @param {Object} snapshot
+   * @param {string} taskId
+   * @returns {Object} { removed } or { error, status }
+   */
+  static removeTask(snapshot, taskId) {
+    if (!snapshot.tasks.some(task => task.id === taskId)) return { error: 'Task not found in this scenario', status: 404 };
+    const removed = new Set([taskId]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const task of snapshot.tasks) {
+        if (!removed.has(task.id) && removed.has(task.parent_task_id)) {
+          removed.add(task.id);
+          grew = true;
+        }
+      }
+    }
+    snapshot.tasks = snapshot.tasks.filter(task => !removed.has(task.id));
+    snapshot.dependencies = snapshot.dependencies.filter(link => !removed.has(link.predecessor_task_id) && !removed.has(link.successor_task_id));
+    snapshot.assignments = snapshot.assignments.filter(assignment => !removed.has(assignment.task_id));
+    for (const milestone of snapshot.milestones) {
+      if (removed.has(milestone.related_task_id)) milestone.related_task_id = null;
+    }
+    return { removed: removed.size };
+  }
+
+  /**
+   * Add a relationship to a scenario
+   * @param {Object} snapshot
+   * @param {Object} fields - { predecessor_task_id, successor_task_id, dependency_type, lag_days }
+   * @returns {Object} { dependency } or { error, status }
+   */
+  static addDependency(snapshot, { predecessor_task_id: predecessorId, successor_task_id: successorId, dependency_type: type = 'FS', lag_days: lag = 0 }) {
+    if (!predecessorId || !successorId) return { error: 'predecessor_task_id and successor_task_id are required', status: 400 };
+    if (predecessorId === successorId) return { error: 'Cannot create self-dependency', status: 400 };
+    if (!ScheduleEngine.dependencyTypes.includes(type)) {
+      return { error: `dependency_type must be one of: ${ScheduleEngine.dependencyTypes.join(', ')}`, status: 400 };
+    }
+    if (!Number.isInteger(lag)) return { error: 'lag_days must be a whole number', status: 400 };
+    const ids = new Set(snapshot.tasks.map(task => task.id));
+    if (!ids.has(predecessorId) || !ids.has(successorId)) return { error: 'Task not found in this scenario', status: 404 };
+    if (snapshot.dependencies.some(link => link.predecessor_task_id === predecessorId && link.successor_task_id === successorId)) {
+      return { error: 'These tasks are already linked', status: 409 };
+    }
+
+    const dependency = {
+      id: crypto.randomUUID(),
+      predecessor_task_id: predecessorId,
+      successor_task_id: successorId,
+      dependency_type: type,
+      lag_days: lag
+    };
+    snapshot.dependencies.push(dependency);
+    return { dependency };
+  }
+
+  /**
+   * Remove a relationship from a scenario
+   * @param {Object} snapshot
+   * @param {string} dependencyId
+   * @returns {Object} { removed } or { error, status }
+   */
+  static removeDependency(snapshot, dependencyId) {
+    const before = snapshot.dependencies.length;
+    snapshot.dependencies = snapshot.dependencies.filter(link => link.id !== dependencyId);
+    if (snapshot.dependencies.length === before) return { error: 'Dependency not found in this scenario', status: 404 };
+    return { removed: 1 };
+  }
+
+  /**
+   * Check scenario task fields
+   * @param {Object} snapshot
+   * @param {Object} fields
+   * @param {Object|null} task - Task being edited, null when adding
+   * @returns {string|null} Error message
+   */
+  static validateTask(snapshot, fields, task) {
+    for (const field of SCENARIO_DATE_FIELDS) {
+      if (fields[field] !== undefined && fields[field] !== null && !DATE_PATTERN.test(fields[field])) return `${field} must be YYYY-MM-DD`;
+    }
+    if (fields.duration_days !== undefined && fields.duration_days !== null && !(Number.isInteger(fields.duration_days) && fields.duration_days >= 0)) {
+      return 'duration_days must be a whole number of working days';
+    }
+    if (fields.percent_complete !== undefined && !(Number(fields.percent_complete) >= 0 && Number(fields.percent_complete) <= 100)) {
+      return 'percent_complete must be between 0 and 100';
+    }
+    if (fields.constraint_type && !ScheduleEngine.constraintTypes.includes(fields.constraint_type)) {
+      return `constraint_type must be one of: ${ScheduleEngine.constraintTypes.join(', ')}`;
+    }
+    if (fields.work_calendar_id && !snapshot.calendars.some(calendar => calendar.id === fields.work_calendar_id)) {
+      return 'work_calendar_id is not a calendar in this scenario';
+    }
+    if (fields.parent_task_id) {
+      if (!snapshot.tasks.some(candidate => candidate.id === fields.parent_task_id)) return 'parent_task_id is not a task in this scenario';
+      // Walking up from the new parent must not reach the task itself
+      const byId = new Map(snapshot.tasks.map(candidate => [candidate.id, candidate]));
+      for (let parent = byId.get(fields.parent_task_id); task && parent; parent = byId.get(parent.parent_task_id)) {
+        if (parent.id === task.id) return 'A task cannot be placed beneath itself';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run the critical path over a snapshot and write the dates, float and
+   * criticality back onto its tasks (and milestone forecasts)
+   * @param {Object} snapshot
+   * @returns {Object} { snapshot, cycles, warnings, project_start, project_finish }; snapshot is null when logic has cycles
+   */
+  static calculate(snapshot) {
+    const { calendars, defaultCalendar } = snapshotCalendars(snapshot);
+    const computed = computeSchedule({
+      tasks: snapshot.tasks,
+      dependencies: snapshot.dependencies,
+      calendarFor: (task) => calendars.get(task.work_calendar_id) || defaultCalendar,
+      dataDate: snapshot.data_date
+    });
+    if (computed.cycles.length > 0) {
+      return { snapshot: null, cycles: computed.cycles, warnings: computed.warnings, project_start: null, project_finish: null };
+    }
+
+    const tasks = snapshot.tasks.map(task => {
+      const result = computed.results.get(task.id);
+      if (!result) return task;
+      const calendar = calendars.get(task.work_calendar_id) || defaultCalendar;
+      return {
+        ...task,
+        planned_start_date: result.early_start_date,
+        planned_end_date: result.early_finish_date,
+        early_start_date: result.early_start_date,
+        early_finish_date: result.early_finish_date,
+        late_start_date: result.late_start_date,
+        late_finish_date: result.late_finish_date,
+        total_float_days: result.total_float_days,
+        free_float_days: result.free_float_days,
+        is_critical: result.is_critical,
+        duration_days: result.is_summary
+          ? calendar.workingDaysBetween(WorkCalendar.toDayNumber(result.early_start_date), WorkCalendar.toDayNumber(result.early_finish_date)) + 1
+          : task.duration_days
+      };
+    });
+    const finishes = new Map(tasks.map(task => [task.id, task.planned_end_date]));
+    const milestones = snapshot.milestones.map(milestone => (milestone.related_task_id && finishes.has(milestone.related_task_id)
+      ? { ...milestone, forecast_date: finishes.get(milestone.related_task_id) }
+      : milestone));
+
+    return {
+      snapshot: { ...snapshot, tasks, milestones },
+      cycles: [],
+      warnings: computed.warnings,
+      project_start: computed.projectStart,
+      project_finish: computed.projectFinish
+    };
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Insert or update rows by id, writing only the columns the rows carry
+   * (so columns added after a snapshot was taken keep their defaults)
+   * @private
+   */
+  async _upsert(db, table, rows) {
+    if (rows.length === 0) return;
+    const tableColumns = await this._columns(db, table);
+    const present = new Set(rows.flatMap(row => Object.keys(row)));
+    const columns = tableColumns.filter(column => present.has(column));
+    const list = columns.map(column => `"${column}"`).join(', ');
+    const updates = columns.filter(column => column !== 'id').map(column => `"${column}" = EXCLUDED."${column}"`).join(', ');
+    await db.query(
+      `INSERT INTO ${table} (${list})
+       SELECT ${list} FROM jsonb_populate_recordset(NULL::${table}, $1::jsonb)
+       ON CONFLICT (id) DO ${updates ? `UPDATE SET ${updates}` : 'NOTHING'}`,
+      [JSON.stringify(rows)]
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _columns(db, table) {
+    if (!this.columnCache.has(table)) {
+      const result = await db.query(
+        `SELECT column_name FROM information_schema.columns
+         WHERE table_schema = 'public' AND table_name = $1 AND is_generated = 'NEVER'
+         ORDER BY ordinal_position`,
+        [table]
+      );
+      this.columnCache.set(table, result.rows.map(row => row.column_name));
+    }
+    return this.columnCache.get(table);
+  }
+}
+
+/**
+ * WorkCalendars from a snapshot, with the project default (else the shared default, else standard)
+ * @private
+ */
+function snapshotCalendars(snapshot) {
+  const calendars = new Map(snapshot.calendars.map(row => [row.id, new WorkCalendar({ ...row, exceptions: row.exceptions || [] })]));
+  const defaultRow = snapshot.calendars.find(row => row.project_id && row.is_default)
+    || snapshot.calendars.find(row => !row.project_id && row.is_default);
+  return { calendars, defaultCalendar: defaultRow ? calendars.get(defaultRow.id) : WorkCalendar.standard() };
+}
+
+/**
+ * Working-day duration of start..finish inclusive on the task's calendar
+ * @private
+ */
+function durationBetween(snapshot, task, start, finish) {
+  const { calendars, defaultCalendar } = snapshotCalendars(snapshot);
+  const calendar = calendars.get(task.work_calendar_id) || defaultCalendar;
+  const startDay = calendar.nextWorkingDay(WorkCalendar.toDayNumber(start));
+  const finishDay = WorkCalendar.toDayNumber(finish);
+  return finishDay < startDay ? 0 : calendar.workingDaysBetween(startDay, finishDay) + 1;
+}
+
+module.exports = ScheduleSnapshots;
@@ -0,0 +1,605 @@
+// ============================================================================
+// PRIMAVERA P6 XER FORMAT
+// Reads and writes the tab-delimited XER exchange file (CALENDAR, PROJECT,
+// PROJWBS, TASK and TASKPRED tables) to and from the interchange model
+// described in ScheduleInterchange.js
+// ============================================================================
+
+const RELATIONSHIP_TYPES = { PR_FS: 'FS', PR_SS: 'SS', PR_FF: 'FF', PR_SF: 'SF' };
+
+const CONSTRAINT_TYPES = {
+  CS_MSO: 'mso',
+  CS_MANDSTART: 'mso',
+  CS_MSOA: 'snet',
+  CS_MSOB: 'snlt',
+  CS_MEO: 'mfo',
+  CS_MANDFIN: 'mfo',
+  CS_MEOA: 'fnet',
+  CS_MEOB: 'fnlt',
+  CS_ALAP: 'alap'
+};
+
+const EXPORT_CONSTRAINT_TYPES = {
+  mso: 'CS_MSO', mfo: 'CS_MEO', snet: 'CS_MSOA', snlt: 'CS_MSOB', fnet: 'CS_MEOA', fnlt: 'CS_MEOB', alap: 'CS_ALAP'
+};
+
+// clndr_data exception dates are serial day numbers counted from 1899-12-30
+const SERIAL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TABLE_FIELDS = {
+  CALENDAR: ['clndr_id', 'default_flag', 'clndr_name', 'proj_id', 'base_clndr_id', 'clndr_type', 'day_hr_cnt', 'week_hr_cnt', 'clndr_data'],
+  PROJECT: ['proj_id', 'proj_short_name', 'project_flag', 'orig_proj_id', 'sum_base_proj_id', 'clndr_id', 'plan_start_date', 'scd_end_date', 'last_recalc_date'],
+  PROJWBS: ['wbs_id', 'proj_id', 'seq_num', 'proj_node_flag', 'status_code', 'wbs_short_name', 'wbs_name', 'parent_wbs_id'],
+  TASK: [
+    'task_id', 'proj_id', 'wbs_id', 'clndr_id', 'phys_complete_pct', 'complete_pct_type', 'task_type', 'duration_type',
+    'status_code', 'task_code', 'task_name', 'total_float_hr_cnt', 'free_float_hr_cnt', 'remain_drtn_hr_cnt',
+    'target_drtn_hr_cnt', 'cstr_date', 'cstr_type', 'act_start_date', 'act_end_date', 'early_start_date',
+    'early_end_date', 'late_start_date', 'late_end_date', 'target_start_date', 'target_end_date', 'driving_path_flag'
+  ],
+  TASKPRED: ['task_pred_id', 'task_id', 'pred_task_id', 'proj_id', 'pred_proj_id', 'pred_type', 'lag_hr_cnt']
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const xerDate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const serialToDate = (serial) => new Date(SERIAL_EPOCH + Number(serial) * DAY_MS).toISOString().slice(0, 10);
+
+const dateToSerial = (date) => Math.round((Date.parse(`${date}T00:00:00Z`) - SERIAL_EPOCH) / DAY_MS);
+
+const hoursBetween = (from, to) => {
+  const [fromHours, fromMinutes] = String(from).split(':').map(Number);
+  const [toHours, toMinutes] = String(to).split(':').map(Number);
+  const end = toHours * 60 + toMinutes || 24 * 60;
+  return Math.max(0, end - (fromHours * 60 + fromMinutes)) / 60;
+};
+
+// Clock time `hours` after 08:00, as used for exported start/finish stamps
+const clockAfterEight = (hours) => {
+  const minutes = Math.min(8 * 60 + Math.round(Number(hours) * 60), 23 * 60 + 59);
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+// Tabs and line breaks would corrupt the row; P6 uses 0x7F for embedded newlines
+const cell = (value) => (value === null || value === undefined ? '' : String(value).replace(/\t/g, ' ').replace(/\r?\n/g, '\x7f'));
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Split an XER file into its tables
+ * @param {string} text - File contents
+ * @returns {Object<string, Array<Object>>} Rows keyed by table name
+ */
+function readTables(text) {
+  const tables = {};
+  let current = null;
+  let fields = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const cells = line.split('\t');
+    if (cells[0] === '%T') {
+      current = cells[1];
+      tables[current] = tables[current] || [];
+      fields = [];
+    } else if (cells[0] === '%F') {
+      fields = cells.slice(1);
+    } else if (cells[0] === '%R' && current) {
+      const row = {};
+      fields.forEach((field, index) => {
+        row[field] = cells[index + 1] === undefined ? '' : cells[index + 1];
+      });
+      tables[current].push(row);
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Parse the nested clndr_data structure, e.g.
+ * (0||CalendarData()((0||DaysOfWeek()((0||2()((0||0(s|08:00|f|12:00)())))))))
+ * @param {string} data - Raw clndr_data value
+ * @returns {Object|null} Root node { name, attributes, children }
+ * @private
+ */
+function parseCalendarData(data) {
+  const source = String(data || '').replace(/[\s\x7f]/g, '');
+  let index = 0;
+
+  const readUntil = (terminator) => {
+    const end = source.indexOf(terminator, index);
+    if (end === -1) throw new Error('Unterminated calendar data');
+    const value = source.slice(index, end);
+    index = end + 1;
+    return value;
+  };
+
+  const readNode = () => {
+    if (source[index] !== '(') throw new Error('Malformed calendar data');
+    index += 1;
+    const header = readUntil('(');
+    const attributeText = readUntil(')');
+    if (source[index] !== '(') throw new Error('Malformed calendar data');
+    index += 1;
+    const children = [];
+    while (source[index] === '(') children.push(readNode());
+    index += 2; // closing ")" of the child list and of the node
+    const parts = attributeText ? attributeText.split('|') : [];
+    const attributes = {};
+    for (let i = 0; i + 1 < parts.length; i += 2) attributes[parts[i]] = parts[i + 1];
+    return { name: header.split('||')[1] || header, attributes, children };
+  };
+
+  if (!source.startsWith('(')) return null;
+  return readNode();
+}
+
+function intervalHours(node) {
+  return node.children.reduce((sum, interval) => sum + hoursBetween(interval.attributes.s, interval.attributes.f), 0);
+}
+
+function readCalendar(row, problems) {
+  const calendar = {
+    key: row.clndr_id,
+    name: row.clndr_name || `Calendar ${row.clndr_id}`,
+    working_days: [1, 2, 3, 4, 5],
+    hours_per_day: Number(row.day_hr_cnt) || 8,
+    is_default: row.default_flag === 'Y',
+    exceptions: []
+  };
+
+  let root;
+  try {
+    root = parseCalendarData(row.clndr_data);
+  } catch (error) {
+    problems.push({ severity: 'warning', entity: 'calendar', ref: calendar.name, message: `Calendar data could not be read (${error.message}); a Monday-Friday week is assumed` });
+    return calendar;
+  }
+  if (!root) return calendar;
+
+  const daysOfWeek = root.children.find(node => node.name === 'DaysOfWeek');
+  if (daysOfWeek) {
+    // XER numbers days 1 (Sunday) to 7 (Saturday); work_calendars uses 0-6
+    calendar.working_days = daysOfWeek.children
+      .filter(day => day.children.length > 0)
+      .map(day => Number(day.name) - 1)
+      .filter(day => day >= 0 && day <= 6)
+      .sort();
+  }
+
+  const exceptions = root.children.find(node => node.name === 'Exceptions');
+  for (const exception of exceptions ? exceptions.children : []) {
+    if (!exception.attributes.d) continue;
+    const hours = intervalHours(exception);
+    calendar.exceptions.push({
+      date: serialToDate(exception.attributes.d),
+      is_working: hours > 0,
+      hours: hours > 0 ? hours : null,
+      name: null
+    });
+  }
+
+  return calendar;
+}
+
+/**
+ * Parse an XER file into the interchange model
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.project - proj_id or proj_short_name to import when the file holds several
+ * @returns {Object} Interchange model
+ */
+function parseXer(text, options = {}) {
+  if (!text.startsWith('ERMHDR')) {
+    throw new Error('Not an XER file (missing ERMHDR header)');
+  }
+
+  const tables = readTables(text);
+  const problems = [];
+  const projects = tables.PROJECT || [];
+  if (projects.length === 0) {
+    throw new Error('XER file contains no PROJECT table rows');
+  }
+
+  let project;
+  if (options.project) {
+    project = projects.find(row => row.proj_id === String(options.project) || row.proj_short_name === String(options.project));
+    if (!project) throw new Error(`Project ${options.project} not found in XER file`);
+  } else {
+    // Baseline copies travel as extra PROJECT rows; prefer the one no other project points to
+    const baselineIds = new Set(projects.map(row => row.sum_base_proj_id).filter(Boolean));
+    const candidates = projects.filter(row => !baselineIds.has(row.proj_id));
+    project = candidates[0] || projects[0];
+    if (candidates.length > 1) {
+      problems.push({
+        severity: 'warning', entity: 'file', ref: project.proj_short_name,
+        message: `File contains ${candidates.length} projects; importing ${project.proj_short_name}. Pass xer_project to choose another.`
+      });
+    }
+  }
+
+  const projectId = project.proj_id;
+  const projectTasks = (tables.TASK || []).filter(row => row.proj_id === projectId);
+  const usedCalendarIds = new Set([project.clndr_id, ...projectTasks.map(row => row.clndr_id)].filter(Boolean));
+
+  const calendars = (tables.CALENDAR || [])
+    .filter(row => usedCalendarIds.has(row.clndr_id) || (row.clndr_type !== 'CA_Rsrc' && (!row.proj_id || row.proj_id === projectId)))
+    .map(row => readCalendar(row, problems));
+  const calendarHours = new Map(calendars.map(calendar => [calendar.key, calendar.hours_per_day]));
+  if (project.clndr_id) {
+    calendars.forEach(calendar => { calendar.is_default = calendar.key === project.clndr_id; });
+  }
+  const hoursFor = (calendarId) => calendarHours.get(calendarId) || calendarHours.get(project.clndr_id) || 8;
+
+  const toDays = (hours, calendarId, ref, label) => {
+    if (hours === '' || hours === undefined || hours === null) return null;
+    const days = Number(hours) / hoursFor(calendarId);
+    const rounded = Math.round(days);
+    if (Math.abs(days - rounded) > 0.01) {
+      problems.push({ severity: 'warning', entity: 'activity', ref, message: `${label} of ${Number(hours)}h is ${days.toFixed(2)} days; rounded to ${rounded}` });
+    }
+    return rounded;
+  };
+
+  // WBS: the project node itself (proj_node_flag = Y) is not carried over
+  const wbsRows = (tables.PROJWBS || []).filter(row => row.proj_id === projectId);
+  const rootWbsIds = new Set(wbsRows.filter(row => row.proj_node_flag === 'Y').map(row => row.wbs_id));
+  const wbsKey = (wbsId) => (wbsId && !rootWbsIds.has(wbsId) ? `wbs-${wbsId}` : null);
+  const wbs = wbsRows
+    .filter(row => row.proj_node_flag !== 'Y')
+    .sort((a, b) => Number(a.seq_num || 0) - Number(b.seq_num || 0))
+    .map(row => ({
+      key: wbsKey(row.wbs_id),
+      parent_key: wbsKey(row.parent_wbs_id),
+      code: row.wbs_short_name,
+      name: row.wbs_name || row.wbs_short_name
+    }));
+
+  const activities = projectTasks.map(row => {
+    const ref = row.task_code || row.task_id;
+    const isMilestone = row.task_type === 'TT_Mile' || row.task_type === 'TT_FinMile';
+    if (row.task_type === 'TT_LOE' || row.task_type === 'TT_WBS') {
+      problems.push({ severity: 'warning', entity: 'activity', ref, message: `${row.task_type === 'TT_LOE' ? 'Level of effort' : 'WBS summary'} activity imported as a regular task` });
+    }
+
+    let constraintType = null;
+    if (row.cstr_type && row.cstr_type !== 'CS_ASAP') {
+      constraintType = CONSTRAINT_TYPES[row.cstr_type] || null;
+      if (!constraintType) {
+        problems.push({ severity: 'warning', entity: 'activity', ref, message: `Constraint ${row.cstr_type} is not supported and was dropped` });
+      }
+    }
+
+    const targetHours = row.target_drtn_hr_cnt;
+    let percent = Number(row.phys_complete_pct || 0);
+    if (row.complete_pct_type === 'CP_Drtn' && Number(targetHours) > 0) {
+      percent = (1 - Number(row.remain_drtn_hr_cnt || 0) / Number(targetHours)) * 100;
+    }
+    if (row.status_code === 'TK_Complete') percent = 100;
+
+    return {
+      key: `task-${row.task_id}`,
+      parent_key: wbsKey(row.wbs_id),
+      code: row.task_code,
+      name: row.task_name,
+      planned_start: xerDate(row.target_start_date || row.early_start_date || row.act_start_date),
+      planned_finish: xerDate(row.target_end_date || row.early_end_date || row.act_end_date),
+      duration_days: isMilestone ? 0 : toDays(targetHours, row.clndr_id, ref, 'Duration'),
+      actual_start: xerDate(row.act_start_date),
+      actual_finish: xerDate(row.act_end_date),
+      percent_complete: Math.round(Math.max(0, Math.min(100, percent))),
+      is_milestone: isMilestone,
+      constraint_type: constraintType,
+      constraint_date: constraintType ? xerDate(row.cstr_date) : null,
+      calendar_key: row.clndr_id || null,
+      early_start: xerDate(row.early_start_date),
+      early_finish: xerDate(row.early_end_date),
+      late_start: xerDate(row.late_start_date),
+      late_finish: xerDate(row.late_end_date),
+      total_float_days: row.total_float_hr_cnt === '' || row.total_float_hr_cnt === undefined
+        ? null
+        : Math.round(Number(row.total_float_hr_cnt) / hoursFor(row.clndr_id))
+    };
+  });
+
+  const taskCalendar = new Map(projectTasks.map(row => [row.task_id, row.clndr_id]));
+  const relationships = [];
+  for (const row of tables.TASKPRED || []) {
+    if (row.proj_id !== projectId && row.pred_proj_id !== projectId) continue;
+    const ref = `${row.pred_task_id} -> ${row.task_id}`;
+    if (row.pred_proj_id && row.proj_id && row.pred_proj_id !== row.proj_id) {
+      problems.push({ severity: 'warning', entity: 'relationship', ref, message: 'Cross-project relationship skipped' });
+      continue;
+    }
+    const type = RELATIONSHIP_TYPES[row.pred_type];
+    if (!type) {
+      problems.push({ severity: 'warning', entity: 'relationship', ref, message: `Unknown relationship type ${row.pred_type} skipped` });
+      continue;
+    }
+    // P6 measures lag on the predecessor's calendar
+    const lagDays = Number(row.lag_hr_cnt || 0) / hoursFor(taskCalendar.get(row.pred_task_id));
+    if (Math.abs(lagDays - Math.round(lagDays)) > 0.01) {
+      problems.push({ severity: 'warning', entity: 'relationship', ref, message: `Lag of ${Number(row.lag_hr_cnt)}h rounded to ${Math.round(lagDays)} days` });
+    }
+    relationships.push({
+      predecessor_key: `task-${row.pred_task_id}`,
+      successor_key: `task-${row.task_id}`,
+      type,
+      lag_days: Math.round(lagDays)
+    });
+  }
+
+  // The project baseline is exported as a second PROJECT; match its activities by code
+  let baseline = null;
+  if (project.sum_base_proj_id && project.sum_base_proj_id !== projectId) {
+    const baselineProject = projects.find(row => row.proj_id === project.sum_base_proj_id);
+    if (!baselineProject) {
+      problems.push({ severity: 'warning', entity: 'baseline', ref: project.proj_short_name, message: 'Project baseline is not included in the file' });
+    } else {
+      const byCode = new Map(activities.filter(activity => activity.code).map(activity => [activity.code, activity.key]));
+      baseline = { name: baselineProject.proj_short_name, tasks: {} };
+      for (const row of (tables.TASK || []).filter(task => task.proj_id === baselineProject.proj_id)) {
+        const key = byCode.get(row.task_code);
+        if (!key) continue;
+        const isMilestone = row.task_type === 'TT_Mile' || row.task_type === 'TT_FinMile';
+        baseline.tasks[key] = {
+          start: xerDate(row.target_start_date || row.early_start_date),
+          finish: xerDate(row.target_end_date || row.early_end_date),
+          duration_days: isMilestone ? 0 : Math.round(Number(row.target_drtn_hr_cnt || 0) / hoursFor(row.clndr_id))
+        };
+      }
+    }
+  }
+
+  return {
+    format: 'xer',
+    project: {
+      name: project.proj_short_name,
+      start_date: xerDate(project.plan_start_date)
+    },
+    calendars,
+    wbs,
+    activities,
+    relationships,
+    baseline,
+    problems
+  };
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+function buildCalendarData(calendar) {
+  const hours = Number(calendar.hours_per_day) || 8;
+  const interval = `(0||0(s|08:00|f|${clockAfterEight(hours)})())`;
+  const workingDays = new Set((calendar.working_days || []).map(Number));
+
+  const days = [];
+  for (let day = 1; day <= 7; day++) {
+    days.push(`(0||${day}()(${workingDays.has(day - 1) ? interval : ''}))`);
+  }
+
+  const exceptions = (calendar.exceptions || []).map((exception, index) => {
+    const exceptionInterval = exception.is_working
+      ? `(0||0(s|08:00|f|${clockAfterEight(exception.hours || hours)})())`
+      : '';
+    return `(0||${index}(d|${dateToSerial(exception.exception_date)})(${exceptionInterval}))`;
+  });
+
+  return `(0||CalendarData()((0||DaysOfWeek()(${days.join('')}))(0||VIEW(ShowTotal|Y)())(0||Exceptions()(${exceptions.join('')}))))`;
+}
+
+/**
+ * Serialize a project schedule as XER
+ * @param {Object} schedule - Output of ScheduleInterchange#loadSchedule
+ * @returns {{ content: string, warnings: Array<Object> }}
+ */
+function writeXer(schedule) {
+  const { project, calendars, tasks, dependencies, baseline } = schedule;
+  const warnings = [];
+  const rows = { CALENDAR: [], PROJECT: [], PROJWBS: [], TASK: [], TASKPRED: [] };
+  const stamp = (date, time) => (date ? `${date} ${time}` : '');
+
+  const calendarIds = new Map();
+  let defaultCalendarId = null;
+  calendars.forEach((calendar, index) => {
+    const clndrId = index + 1;
+    calendarIds.set(calendar.id, clndrId);
+    if (calendar.is_default && !defaultCalendarId) defaultCalendarId = clndrId;
+    const hours = Number(calendar.hours_per_day) || 8;
+    rows.CALENDAR.push({
+      clndr_id: clndrId,
+      default_flag: calendar.is_default ? 'Y' : 'N',
+      clndr_name: calendar.name,
+      proj_id: calendar.project_id ? 1 : '',
+      base_clndr_id: '',
+      clndr_type: calendar.project_id ? 'CA_Project' : 'CA_Base',
+      day_hr_cnt: hours,
+      week_hr_cnt: hours * (calendar.working_days || []).length,
+      clndr_data: buildCalendarData(calendar)
+    });
+  });
+  defaultCalendarId = defaultCalendarId || (rows.CALENDAR.length > 0 ? 1 : '');
+  const hoursForCalendar = (clndrId) => Number(rows.CALENDAR.find(row => row.clndr_id === clndrId)?.day_hr_cnt) || 8;
+
+  // Tasks with children become WBS nodes; leaves become activities
+  const childCount = new Map();
+  tasks.forEach(task => {
+    if (task.parent_task_id) childCount.set(task.parent_task_id, (childCount.get(task.parent_task_id) || 0) + 1);
+  });
+
+  const projectCode = (project.project_number || project.name || 'PROJECT').slice(0, 40);
+  const rootWbsId = 1;
+  rows.PROJWBS.push({
+    wbs_id: rootWbsId, proj_id: 1, seq_num: 0, proj_node_flag: 'Y', status_code: 'WS_Open',
+    wbs_short_name: projectCode, wbs_name: project.name, parent_wbs_id: ''
+  });
+
+  const wbsIds = new Map();
+  const activityIds = new Map();
+  const activityCodes = new Map();
+  let nextWbsId = 2;
+  let nextTaskId = 1;
+  let sequence = 0;
+
+  tasks.filter(task => childCount.has(task.id)).forEach(task => wbsIds.set(task.id, nextWbsId++));
+  tasks.filter(task => childCount.has(task.id)).forEach(task => {
+    rows.PROJWBS.push({
+      wbs_id: wbsIds.get(task.id),
+      proj_id: 1,
+      seq_num: ++sequence,
+      proj_node_flag: 'N',
+      status_code: 'WS_Open',
+      wbs_short_name: task.task_code || `WBS${wbsIds.get(task.id)}`,
+      wbs_name: task.name,
+      parent_wbs_id: wbsIds.get(task.parent_task_id) || rootWbsId
+    });
+  });
+
+  const usedCodes = new Set(tasks.map(task => task.task_code).filter(Boolean));
+  const activityRow = (task, projId, wbsId, taskId, code) => {
+    const clndrId = calendarIds.get(task.work_calendar_id) || defaultCalendarId;
+    const hours = hoursForCalendar(clndrId);
+    const duration = Number(task.duration_days || 0);
+    const isMilestone = duration === 0;
+    const percent = Number(task.percent_complete || 0);
+    const statusCode = task.actual_end_date || task.status === 'completed'
+      ? 'TK_Complete'
+      : (task.actual_start_date || task.status === 'in_progress' ? 'TK_Active' : 'TK_NotStart');
+    return {
+      task_id: taskId,
+      proj_id: projId,
+      wbs_id: wbsId,
+      clndr_id: clndrId,
+      phys_complete_pct: percent,
+      complete_pct_type: 'CP_Phys',
+      task_type: isMilestone ? (task.constraint_type === 'mfo' || task.constraint_type === 'fnlt' ? 'TT_FinMile' : 'TT_Mile') : 'TT_Task',
+      duration_type: 'DT_FixedDUR2',
+      status_code: statusCode,
+      task_code: code,
+      task_name: task.name,
+      total_float_hr_cnt: task.total_float_days === null || task.total_float_days === undefined ? '' : Number(task.total_float_days) * hours,
+      free_float_hr_cnt: task.free_float_days === null || task.free_float_days === undefined ? '' : Number(task.free_float_days) * hours,
+      remain_drtn_hr_cnt: statusCode === 'TK_Complete' ? 0 : Math.round(duration * hours * (100 - percent)) / 100,
+      target_drtn_hr_cnt: duration * hours,
+      cstr_date: stamp(task.constraint_date, '08:00'),
+      cstr_type: EXPORT_CONSTRAINT_TYPES[task.constraint_type] || 'CS_ASAP',
+      act_start_date: stamp(task.actual_start_date, '08:00'),
+      act_end_date: stamp(task.actual_end_date, clockAfterEight(hours)),
+      early_start_date: stamp(task.early_start_date || task.planned_start_date, '08:00'),
+      early_end_date: stamp(task.early_finish_date || task.planned_end_date, clockAfterEight(hours)),
+      late_start_date: stamp(task.late_start_date, '08:00'),
+      late_end_date: stamp(task.late_finish_date, clockAfterEight(hours)),
+      target_start_date: stamp(task.planned_start_date, '08:00'),
+      target_end_date: stamp(task.planned_end_date, isMilestone ? '08:00' : clockAfterEight(hours)),
+      driving_path_flag: task.is_critical ? 'Y' : 'N'
+    };
+  };
+
+  let generatedCode = 1000;
+  tasks.filter(task => !childCount.has(task.id)).forEach(task => {
+    let code = task.task_code;
+    if (!code) {
+      do { generatedCode += 10; } while (usedCodes.has(`A${generatedCode}`));
+      code = `A${generatedCode}`;
+      usedCodes.add(code);
+    }
+    const taskId = nextTaskId++;
+    activityIds.set(task.id, taskId);
+    activityCodes.set(task.id, code);
+    rows.TASK.push(activityRow(task, 1, wbsIds.get(task.parent_task_id) || rootWbsId, taskId, code));
+  });
+
+  let nextPredId = 1;
+  for (const dependency of dependencies) {
+    const taskId = activityIds.get(dependency.successor_task_id);
+    const predTaskId = activityIds.get(dependency.predecessor_task_id);
+    if (!taskId || !predTaskId) {
+      warnings.push({ entity: 'relationship', ref: dependency.id, message: 'Relationship on a summary task cannot be expressed in XER and was skipped' });
+      continue;
+    }
+    const predRow = rows.TASK[predTaskId - 1];
+    rows.TASKPRED.push({
+      task_pred_id: nextPredId++,
+      task_id: taskId,
+      pred_task_id: predTaskId,
+      proj_id: 1,
+      pred_proj_id: 1,
+      pred_type: `PR_${dependency.dependency_type || 'FS'}`,
+      lag_hr_cnt: Number(dependency.lag_days || 0) * hoursForCalendar(predRow.clndr_id)
+    });
+  }
+
+  const startDates = tasks.map(task => task.planned_start_date).filter(Boolean).sort();
+  const finishDates = tasks.map(task => task.planned_end_date).filter(Boolean).sort();
+  const projectRow = {
+    proj_id: 1,
+    proj_short_name: projectCode,
+    project_flag: 'Y',
+    orig_proj_id: '',
+    sum_base_proj_id: '',
+    clndr_id: defaultCalendarId,
+    plan_start_date: stamp(startDates[0] || project.start_date, '08:00'),
+    scd_end_date: stamp(finishDates[finishDates.length - 1] || project.end_date, '17:00'),
+    last_recalc_date: stamp(new Date().toISOString().slice(0, 10), '08:00')
+  };
+  rows.PROJECT.push(projectRow);
+
+  // Active baseline travels as a second project that the main project points at
+  if (baseline && baseline.tasks.size > 0) {
+    projectRow.sum_base_proj_id = 2;
+    rows.PROJECT.push({
+      ...projectRow,
+      proj_id: 2,
+      proj_short_name: `${projectCode.slice(0, 36)}-BL`,
+      orig_proj_id: 1,
+      sum_base_proj_id: ''
+    });
+    rows.PROJWBS.push({
+      wbs_id: nextWbsId, proj_id: 2, seq_num: 0, proj_node_flag: 'Y', status_code: 'WS_Open',
+      wbs_short_name: `${projectCode.slice(0, 36)}-BL`, wbs_name: baseline.name, parent_wbs_id: ''
+    });
+    for (const task of tasks) {
+      const snapshot = baseline.tasks.get(task.id);
+      if (!snapshot || !activityIds.has(task.id)) continue;
+      rows.TASK.push(activityRow(
+        {
+          ...task,
+          planned_start_date: snapshot.planned_start_date,
+          planned_end_date: snapshot.planned_end_date,
+          duration_days: snapshot.duration_days,
+          early_start_date: snapshot.planned_start_date,
+          early_finish_date: snapshot.planned_end_date,
+          late_start_date: null,
+          late_finish_date: null,
+          actual_start_date: null,
+          actual_end_date: null,
+          percent_complete: 0,
+          status: 'not_started'
+        },
+        2, nextWbsId, nextTaskId++, activityCodes.get(task.id)
+      ));
+    }
+  }
+
+  const lines = [
+    ['ERMHDR', '19.12', new Date().toISOString().slice(0, 10), 'Project', 'BuildPro', 'BuildPro', 'dbxDatabaseNoName', 'Project Management', 'USD'].join('\t')
+  ];
+  for (const [table, fields] of Object.entries(TABLE_FIELDS)) {
+    if (rows[table].length === 0) continue;
+    lines.push(`%T\t${table}`);
+    lines.push(['%F', ...fields].join('\t'));
+    for (const row of rows[table]) {
+      lines.push(['%R', ...fields.map(field => cell(row[field]))].join('\t'));
+    }
+  }
+  lines.push('%E');
+
+  return { content: `${lines.join('\r\n')}\r\n`, warnings };
+}
+
+module.exports = { parseXer, writeXer };
@@ -0,0 +1,350 @@
+// ============================================================================
+// TITLE BLOCK READER
+// Reads sheet number, title and revision from the text layer of a drawing
+// page, looking only inside the title-block region
+// ============================================================================
+//
+// Regions are fractions of the page as displayed (rotation applied), measured
+// from the top-left corner: { x, y, width, height }. The default covers the
+// bottom-right corner, where US and ISO title blocks keep the sheet number.
+//
+// Confidence (0..1) adds up what was found:
+//   sheet number  0.6  (scaled down when two candidates look equally likely)
+//   title         0.3 next to a TITLE label, 0.1 when guessed from font size
+//   revision      0.1
+// Pages below the importer's threshold go to the review queue. Scanned sheets
+// have no text layer and always need review.
+// ============================================================================
+
+const MAX_PAGES = 2000;
+
+const DEFAULT_REGION = { x: 0.7, y: 0.65, width: 0.3, height: 0.35 };
+
+// A-101, A101, S2.01, M-001A, FP-1, E 201
+const SHEET_NUMBER_PATTERN = /^[A-Z]{1,3}[-.]?\d{1,4}(?:[.-]\d{1,3})?[A-Z]?$/;
+const SHEET_NUMBER_LABEL = /\b(?:SHEET|DRAWING|DWG)\.?\s*(?:NO\b|NUMBER\b|NUM\b|#)\.?/i;
+const TITLE_LABEL = /^\s*(?:(?:SHEET|DRAWING|DWG)\s+TITLE\b:?|TITLE\s*(?::|$))/i;
+const REVISION_VALUE = /\bREV(?:ISION)?(?:\s*NO\.?)?\.?\s*(?:[:#-]\s*|\s+)([A-Z0-9]{1,3})\b/i;
+const REVISION_LABEL = /^\s*REV(?:ISION)?(?:\s*NO)?\.?:?\s*$/i;
+const REVISION_STOPWORDS = new Set(['BY', 'NO', 'DT', 'DAT']);
+// Boilerplate that is never the sheet title
+const OTHER_LABELS = /\b(?:SCALE|DATE|DRAWN|CHECKED|APPROVED|PROJECT|JOB|SEAL|STAMP|ISSUE|REVISIONS?|COPYRIGHT|CONSULTANT|CLIENT|OWNER|ARCHITECT|ENGINEER)\b/i;
+
+const DISCIPLINES = {
+  G: 'General', C: 'Civil', L: 'Landscape', A: 'Architectural', I: 'Interiors',
+  S: 'Structural', M: 'Mechanical', P: 'Plumbing', FP: 'Fire Protection',
+  E: 'Electrical', T: 'Telecommunications', Q: 'Equipment', H: 'Hazardous Materials'
+};
+
+// pdfjs prints canvas polyfill warnings when loaded; only pay for it when a PDF arrives
+let pdfjs = null;
+const loadPdfjs = () => {
+  if (!pdfjs) pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjs;
+};
+
+/**
+ * Check a title-block region from a request
+ * @param {Object} region
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRegion(region) {
+  if (!region || typeof region !== 'object') return 'title_block_region must be { x, y, width, height }';
+  for (const key of ['x', 'y', 'width', 'height']) {
+    const value = region[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+      return `title_block_region.${key} must be a fraction of the page between 0 and 1`;
+    }
+  }
+  if (region.width === 0 || region.height === 0) return 'title_block_region must have a width and height';
+  if (region.x + region.width > 1.0001 || region.y + region.height > 1.0001) {
+    return 'title_block_region must lie within the page';
+  }
+  return null;
+}
+
+/**
+ * Discipline implied by a sheet number's prefix (FP-101 -> Fire Protection)
+ * @param {string} sheetNumber
+ * @returns {string|null}
+ */
+function disciplineFor(sheetNumber) {
+  const prefix = (String(sheetNumber || '').match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+  return DISCIPLINES[prefix.slice(0, 2)] || DISCIPLINES[prefix.slice(0, 1)] || null;
+}
+
+/**
+ * Sheet numbers compare without spaces and case: "a 101" is "A101"
+ * @param {string} sheetNumber
+ * @returns {string}
+ */
+function normalizeSheetNumber(sheetNumber) {
+  return String(sheetNumber || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Read the title block of every page of a PDF
+ * @param {Buffer} buffer - PDF contents
+ * @param {Object} region - Title-block region (DEFAULT_REGION when omitted)
+ * @returns {Promise<Array<Object>>} Per page: { page_number, width, height, ...parseTitleBlock() }
+ */
+async function readTitleBlocks(buffer, region = DEFAULT_REGION) {
+  const document = await loadPdfjs().getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    const pageCount = Math.min(document.numPages, MAX_PAGES);
+    for (let number = 1; number <= pageCount; number++) {
+      const page = await document.getPage(number);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+
+      const bounds = {
+        left: region.x * viewport.width,
+        top: region.y * viewport.height,
+        right: (region.x + region.width) * viewport.width,
+        bottom: (region.y + region.height) * viewport.height
+      };
+      const items = [];
+      for (const item of content.items) {
+        if (!item.str || !item.str.trim()) continue;
+        const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+        if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) continue;
+        items.push({
+          str: item.str,
+          x,
+          y,
+          width: item.width || 0,
+          size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 1
+        });
+      }
+
+      pages.push({
+        page_number: number,
+        width: Math.round(viewport.width * 100) / 100,
+        height: Math.round(viewport.height * 100) / 100,
+        has_text: content.items.some(item => item.str && item.str.trim()),
+        ...parseTitleBlock(items, bounds)
+      });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await document.destroy();
+  }
+}
+
+/**
+ * Pick sheet number, title and revision out of the text found in a title block
+ * @param {Array<Object>} items - [{ str, x, y, width, size }] in page points, y down
+ * @param {Object} bounds - Region in page points { left, top, right, bottom }
+ * @returns {Object} { sheet_number, title, revision, discipline, confidence, reasons, candidates }
+ */
+function parseTitleBlock(items, bounds) {
+  const lines = groupLines(items);
+  const reasons = [];
+  if (lines.length === 0) {
+    return { sheet_number: null, title: null, revision: null, discipline: null, confidence: 0, reasons: ['no_text_in_title_block'], candidates: [] };
+  }
+
+  const maxSize = Math.max(...lines.map(line => line.size));
+  const labelLines = lines.filter(line => SHEET_NUMBER_LABEL.test(line.text));
+
+  // Sheet number: big, near a SHEET NO. label, towards the corner
+  const scored = new Map();
+  for (const line of lines) {
+    for (const token of sheetNumberTokens(line.text)) {
+      const labelled = SHEET_NUMBER_LABEL.test(line.text)
+        || labelLines.some(label => label.y < line.y && line.y - label.y <= Math.max(label.size * 4, line.size * 1.5) && overlaps(label, line));
+      const corner = ((line.x - bounds.left) / Math.max(bounds.right - bounds.left, 1)
+        + (line.y - bounds.top) / Math.max(bounds.bottom - bounds.top, 1)) / 2;
+      const score = line.size / maxSize + (labelled ? 0.6 : 0) + 0.2 * corner;
+      const value = normalizeSheetNumber(token);
+      if (!scored.has(value) || scored.get(value).score < score) {
+        scored.set(value, { value: token.toUpperCase(), score: Math.round(score * 1000) / 1000, labelled, line });
+      }
+    }
+  }
+  const candidates = [...scored.values()].sort((a, b) => b.score - a.score);
+
+  let confidence = 0;
+  let sheetNumber = null;
+  if (candidates.length === 0) {
+    reasons.push('no_sheet_number');
+  } else {
+    sheetNumber = candidates[0].value;
+    const clarity = candidates.length === 1 ? 1 : Math.min(1, (candidates[0].score - candidates[1].score) / 0.3);
+    if (clarity < 1) reasons.push('ambiguous_sheet_number');
+    confidence += 0.6 * (0.5 + 0.5 * clarity);
+  }
+  const numberLine = candidates[0] ? candidates[0].line : null;
+
+  // Title: after a TITLE label, else the largest remaining text
+  let title = labelledTitle(lines, numberLine);
+  if (title) {
+    confidence += 0.3;
+  } else {
+    title = guessedTitle(lines, numberLine);
+    if (title) {
+      confidence += 0.1;
+      reasons.push('title_guessed');
+    } else {
+      reasons.push('no_title');
+    }
+  }
+
+  const revision = findRevision(lines);
+  if (revision) confidence += 0.1;
+  else reasons.push('no_revision');
+
+  return {
+    sheet_number: sheetNumber,
+    title,
+    revision,
+    discipline: disciplineFor(sheetNumber),
+    confidence: Math.round(confidence * 1000) / 1000,
+    reasons,
+    candidates: candidates.slice(0, 5).map(candidate => ({ value: candidate.value, score: candidate.score, labelled: candidate.labelled }))
+  };
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Merge text items that share a baseline into lines, top to bottom
+ * @private
+ */
+function groupLines(items) {
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = [];
+  for (const item of sorted) {
+    const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= Math.min(candidate.size, item.size) * 0.5
+      && Math.abs(candidate.size - item.size) <= Math.max(candidate.size, item.size) * 0.25);
+    if (line) line.items.push(item);
+    else lines.push({ y: item.y, size: item.size, items: [item] });
+  }
+
+  return lines.map((line) => {
+    const parts = line.items.sort((a, b) => a.x - b.x);
+    let text = '';
+    let end = null;
+    for (const part of parts) {
+      const gap = end === null ? 0 : part.x - end;
+      text += (end !== null && gap > part.size * 0.15 && !text.endsWith(' ') ? ' ' : '') + part.str;
+      end = part.x + part.width;
+    }
+    return {
+      text: text.replace(/\s+/g, ' ').trim(),
+      x: parts[0].x,
+      right: end,
+      y: line.y,
+      size: Math.max(...parts.map(part => part.size))
+    };
+  }).filter(line => line.text.length > 0).sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Tokens (or "A 101" token pairs) shaped like sheet numbers
+ * @private
+ */
+function sheetNumberTokens(text) {
+  const cleaned = text.replace(SHEET_NUMBER_LABEL, ' ').replace(/[:#]/g, ' ').trim();
+  const tokens = cleaned.split(/\s+/).filter(Boolean);
+  const found = [];
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index].toUpperCase();
+    if (SHEET_NUMBER_PATTERN.test(token)) found.push(token);
+    const pair = tokens[index + 1] ? `${token}${tokens[index + 1]}`.toUpperCase() : null;
+    if (pair && /^[A-Z]{1,2}$/.test(token) && SHEET_NUMBER_PATTERN.test(pair)) found.push(`${token} ${tokens[index + 1]}`);
+  }
+  return found;
+}
+
+/**
+ * @private
+ */
+function overlaps(a, b) {
+  return a.x <= (b.right || b.x) + a.size * 4 && b.x <= (a.right || a.x) + a.size * 4;
+}
+
+/**
+ * Text on the same line as a TITLE label, else up to three lines under it
+ * @private
+ */
+function labelledTitle(lines, numberLine) {
+  const labelIndex = lines.findIndex(line => TITLE_LABEL.test(line.text) && !SHEET_NUMBER_LABEL.test(line.text));
+  if (labelIndex === -1) return null;
+  const label = lines[labelIndex];
+
+  const sameLine = label.text.replace(TITLE_LABEL, '').replace(/^[\s:-]+/, '').trim();
+  if (sameLine.length >= 3) return sameLine;
+
+  const parts = [];
+  for (const line of lines.slice(labelIndex + 1)) {
+    if (line.y - label.y > label.size * 10 || parts.length === 3) break;
+    if (!overlaps(label, line)) continue;
+    if (line === numberLine || SHEET_NUMBER_LABEL.test(line.text) || OTHER_LABELS.test(line.text)) break;
+    if (parts.length > 0 && Math.abs(line.size - parts[parts.length - 1].size) > parts[parts.length - 1].size * 0.2) break;
+    parts.push(line);
+  }
+  return parts.length > 0 ? parts.map(part => part.text).join(' ') : null;
+}
+
+/**
+ * Largest text that is not the sheet number or a label, with any same-size
+ * lines directly under it
+ * @private
+ */
+function guessedTitle(lines, numberLine) {
+  const eligible = lines.filter(line => line !== numberLine
+    && (line.text.match(/[A-Z]/gi) || []).length >= 3
+    && !SHEET_NUMBER_LABEL.test(line.text)
+    && !OTHER_LABELS.test(line.text)
+    && !REVISION_VALUE.test(line.text)
+    && !/\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}/.test(line.text));
+  if (eligible.length === 0) return null;
+
+  const first = eligible.reduce((best, line) => (line.size > best.size ? line : best));
+  const parts = [first];
+  for (const line of eligible.slice(eligible.indexOf(first) + 1)) {
+    const previous = parts[parts.length - 1];
+    if (parts.length === 3 || Math.abs(line.size - first.size) > first.size * 0.1 || line.y - previous.y > first.size * 2) break;
+    parts.push(line);
+  }
+  return parts.map(part => part.text).join(' ');
+}
+
+/**
+ * "REV 3", "REVISION: B", or a REV label with the value on the line below
+ * @private
+ */
+function findRevision(lines) {
+  for (const [index, line] of lines.entries()) {
+    const match = line.text.match(REVISION_VALUE);
+    if (match && !REVISION_STOPWORDS.has(match[1].toUpperCase())) return match[1].toUpperCase();
+
+    if (REVISION_LABEL.test(line.text)) {
+      const below = lines.slice(index + 1).find(next => next.y - line.y <= line.size * 3 && overlaps(line, next));
+      const value = below && below.text.match(/^([A-Z0-9]{1,3})$/i);
+      if (value) return value[1].toUpperCase();
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  readTitleBlocks,
+  parseTitleBlock,
+  validateRegion,
+  disciplineFor,
+  normalizeSheetNumber
+};
@@ -0,0 +1,203 @@
+// ============================================================================
+// TRANSMITTAL PDF
+// Renders a transmittal cover sheet: header, purpose, message, the drawings
+// enclosed and the distribution list with receipt status
+// ============================================================================
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const PORTRAIT = [612, 792];
+const MARGIN = 36;
+const GRAY = rgb(0.45, 0.45, 0.45);
+const LIGHT = rgb(0.92, 0.92, 0.92);
+const BLACK = rgb(0, 0, 0);
+
+const PURPOSE_LABELS = {
+  for_construction: 'For Construction',
+  for_review: 'For Review',
+  for_approval: 'For Approval',
+  for_information: 'For Information',
+  for_record: 'For Record',
+  for_bid: 'For Bid'
+};
+
+// Widths sum to the portrait content width
+const ITEM_COLUMNS = [
+  { label: 'No.', width: 30, value: (item, index) => String(index + 1) },
+  { label: 'Sheet / Document', width: 120, value: (item) => item.sheet_number || item.document_name },
+  { label: 'Title', width: 250, value: (item) => item.sheet_title || (item.sheet_number ? item.document_name : item.notes || '') },
+  { label: 'Rev', width: 50, value: (item) => item.revision || '' },
+  { label: 'Version', width: 50, value: (item) => (item.version_number ? `v${item.version_number}` : '') },
+  { label: 'Copies', width: 40, value: (item) => String(item.copies || 1) }
+];
+
+const RECIPIENT_COLUMNS = [
+  { label: 'Name', width: 150, value: (recipient) => recipient.name },
+  { label: 'Company', width: 150, value: (recipient) => recipient.company_name || '' },
+  { label: 'Via', width: 100, value: (recipient) => (recipient.via_role ? recipient.via_role.replace(/_/g, ' ') : 'named') },
+  { label: 'Received', width: 140, value: (recipient) => formatDate(recipient.acknowledged_at) }
+];
+
+const formatDate = (value) => {
+  if (!value) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+// Standard fonts only cover WinAnsi; replace anything else so drawText cannot throw
+const safeText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const fitText = (text, font, size, maxWidth) => {
+  let result = safeText(text);
+  if (font.widthOfTextAtSize(result, size) <= maxWidth) return result;
+  while (result.length > 0 && font.widthOfTextAtSize(`${result}...`, size) > maxWidth) {
+    result = result.slice(0, -1);
+  }
+  return `${result}...`;
+};
+
+// Break text into lines that fit maxWidth, keeping explicit line breaks
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+  for (const paragraph of safeText(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+/**
+ * Render a transmittal cover sheet
+ * @param {Object} data
+ * @param {Object} data.project - { name, project_number }
+ * @param {Object} data.transmittal - DrawingTransmittals#detail result (with items and recipients)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function renderTransmittalPdf({ project, transmittal }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  pdfDoc.setTitle(`Transmittal ${transmittal.transmittal_number} - ${project.name}`);
+  pdfDoc.setProducer('BuildPro');
+
+  const [width, height] = PORTRAIT;
+  const contentWidth = width - MARGIN * 2;
+  let page = pdfDoc.addPage(PORTRAIT);
+  let y = height - MARGIN;
+
+  const text = (value, x, yPos, options = {}) => {
+    page.drawText(safeText(value), { x, y: yPos, size: options.size || 10, font: options.font || font, color: options.color || BLACK });
+  };
+  const newPage = () => {
+    page = pdfDoc.addPage(PORTRAIT);
+    y = height - MARGIN - 14;
+    text(`Transmittal ${transmittal.transmittal_number} (continued)`, MARGIN, y, { font: bold, size: 11 });
+    y -= 24;
+  };
+  const ensureRoom = (needed) => {
+    if (y - needed < MARGIN + 20) newPage();
+  };
+
+  text('TRANSMITTAL', MARGIN, y - 16, { font: bold, size: 18 });
+  const number = safeText(transmittal.transmittal_number);
+  text(number, width - MARGIN - bold.widthOfTextAtSize(number, 16), y - 16, { font: bold, size: 16 });
+  y -= 46;
+
+  const details = [
+    ['Project', `${project.name}${project.project_number ? ` (${project.project_number})` : ''}`],
+    ['Subject', transmittal.subject],
+    ['Date', formatDate(transmittal.sent_at) || 'Draft - not sent'],
+    ['From', transmittal.sent_by_name || transmittal.created_by_name || ''],
+    ['Confirm receipt by', formatDate(transmittal.acknowledge_by) || '-']
+  ];
+  for (const [label, value] of details) {
+    text(label, MARGIN, y, { font: bold, size: 9 });
+    text(fitText(value, font, 10, contentWidth - 120), MARGIN + 120, y);
+    y -= 15;
+  }
+
+  // Purpose checkboxes
+  y -= 8;
+  let x = MARGIN;
+  for (const [purpose, label] of Object.entries(PURPOSE_LABELS)) {
+    page.drawRectangle({ x, y: y - 2, width: 9, height: 9, borderColor: BLACK, borderWidth: 0.6 });
+    if (transmittal.purpose === purpose) text('X', x + 1.5, y - 0.5, { font: bold, size: 8 });
+    text(label, x + 13, y, { size: 8.5 });
+    x += 13 + font.widthOfTextAtSize(label, 8.5) + 14;
+  }
+  y -= 24;
+
+  if (transmittal.message) {
+    for (const line of wrapText(transmittal.message, font, 9.5, contentWidth)) {
+      ensureRoom(13);
+      text(line, MARGIN, y, { size: 9.5 });
+      y -= 13;
+    }
+    y -= 10;
+  }
+
+  const drawTable = (title, columns, rows) => {
+    ensureRoom(50);
+    text(title, MARGIN, y, { font: bold, size: 10 });
+    y -= 18;
+    const header = () => {
+      page.drawRectangle({ x: MARGIN, y: y - 4, width: contentWidth, height: 16, color: LIGHT });
+      let colX = MARGIN;
+      for (const column of columns) {
+        text(fitText(column.label, bold, 8, column.width - 6), colX + 3, y, { font: bold, size: 8 });
+        colX += column.width;
+      }
+      y -= 16;
+    };
+    header();
+    rows.forEach((row, index) => {
+      if (y < MARGIN + 30) {
+        newPage();
+        header();
+      }
+      let colX = MARGIN;
+      for (const column of columns) {
+        text(fitText(column.value(row, index), font, 8.5, column.width - 6), colX + 3, y, { size: 8.5 });
+        colX += column.width;
+      }
+      page.drawLine({ start: { x: MARGIN, y: y - 4 }, end: { x: width - MARGIN, y: y - 4 }, thickness: 0.3, color: LIGHT });
+      y -= 14;
+    });
+    y -= 14;
+  };
+
+  drawTable(`ENCLOSED (${transmittal.items.length})`, ITEM_COLUMNS, transmittal.items);
+  drawTable(`DISTRIBUTION (${transmittal.recipients.length})`, RECIPIENT_COLUMNS, transmittal.recipients);
+
+  ensureRoom(80);
+  y -= 10;
+  const columnWidth = (contentWidth - 24) / 2;
+  const signatureBlock = (sx, title) => {
+    text(title, sx, y, { font: bold, size: 9 });
+    page.drawLine({ start: { x: sx, y: y - 34 }, end: { x: sx + columnWidth, y: y - 34 }, thickness: 0.6, color: BLACK });
+    text('By:', sx, y - 46, { size: 9 });
+    text('Date:', sx, y - 58, { size: 9 });
+  };
+  signatureBlock(MARGIN, 'SENT BY');
+  signatureBlock(MARGIN + columnWidth + 24, 'RECEIVED BY');
+
+  const pages = pdfDoc.getPages();
+  pages.forEach((p, index) => {
+    const footer = `${transmittal.transmittal_number}  |  Page ${index + 1} of ${pages.length}`;
+    p.drawText(safeText(footer), { x: width - MARGIN - font.widthOfTextAtSize(safeText(footer), 8), y: MARGIN - 14, size: 8, font, color: GRAY });
+  });
+
+  return pdfDoc.save();
+}
+
+module.exports = { renderTransmittalPdf };
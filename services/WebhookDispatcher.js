@@ -0,0 +1,403 @@
+// ============================================================================
+// WEBHOOK DISPATCHER SERVICE
+// Persisted outbound webhook queue: fan-out, HMAC signing, retries, dead-letter
+// ============================================================================
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_LEASE_SECONDS = 300;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 4000;
+
+class WebhookDispatcher {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.pollIntervalMs = options.pollIntervalMs
+      || parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10)
+      || 15000;
+    this.batchSize = options.batchSize || 20;
+    this.userAgent = options.userAgent || 'BuildPro-Webhooks/1.0';
+    this._timer = null;
+    this._processing = false;
+  }
+
+  // ==========================================================================
+  // SIGNING
+  // ==========================================================================
+
+  /**
+   * Generate a new random signing secret
+   * @returns {string} Secret prefixed with whsec_
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Compute the signature header value for a payload.
+   * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare.
+   * @param {string} secret - Webhook signing secret
+   * @param {string} timestamp - Unix timestamp (seconds) sent as X-BuildPro-Timestamp
+   * @param {string} body - Raw JSON request body
+   * @returns {string} Signature in the form sha256=<hex>
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  // ==========================================================================
+  // ENQUEUE
+  // ==========================================================================
+
+  /**
+   * Record a system event and queue deliveries for every subscribed webhook
+   * @param {string} eventType - e.g. workflow.transition
+   * @param {string} entityType - Entity the event is about
+   * @param {string} entityId - UUID of the entity
+   * @param {string} projectId - UUID of the project (webhooks are project-scoped)
+   * @param {string} userId - UUID of the acting user
+   * @param {Object} eventData - Event payload
+   * @returns {Promise<Object>} { event, deliveries }
+   */
+  async publish(eventType, entityType, entityId, projectId, userId, eventData) {
+    const eventResult = await this.pool.query(
+      `INSERT INTO system_events (event_type, entity_type, entity_id, project_id, user_id, event_data)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [eventType, entityType, entityId, projectId, userId, JSON.stringify(eventData || {})]
+    );
+
+    const event = eventResult.rows[0];
+    const deliveries = await this.enqueueEvent(event);
+
+    return { event, deliveries };
+  }
+
+  /**
+   * Queue deliveries of an already-recorded system event
+   * @param {Object} event - system_events row
+   * @returns {Promise<Array>} Created delivery rows
+   */
+  async enqueueEvent(event) {
+    if (!event || !event.project_id) {
+      return [];
+    }
+
+    const webhookResult = await this.pool.query(
+      `SELECT * FROM webhooks
+       WHERE project_id = $1
+         AND is_active = true
+         AND ($2 = ANY(event_types) OR '*' = ANY(event_types))`,
+      [event.project_id, event.event_type]
+    );
+
+    const deliveries = [];
+    for (const webhook of webhookResult.rows) {
+      deliveries.push(await this._insertDelivery(webhook, event));
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Send a webhook.ping event to a single webhook and attempt it immediately
+   * @param {Object} webhook - webhooks row
+   * @param {string} userId - UUID of user requesting the test
+   * @returns {Promise<Object>} Delivery row after the attempt
+   */
+  async sendTest(webhook, userId) {
+    const eventResult = await this.pool.query(
+      `INSERT INTO system_events (event_type, entity_type, entity_id, project_id, user_id, event_data)
+       VALUES ('webhook.ping', 'webhook', $1, $2, $3, $4)
+       RETURNING *`,
+      [webhook.id, webhook.project_id, userId, JSON.stringify({ message: 'Test delivery from BuildPro' })]
+    );
+
+    const delivery = await this._insertDelivery(webhook, eventResult.rows[0]);
+    return await this._attempt(delivery, webhook);
+  }
+
+  /**
+   * Put a finished delivery (failed, dead-lettered or a success being replayed)
+   * back on the queue with a fresh attempt budget
+   * @param {string} deliveryId - UUID of delivery
+   * @returns {Promise<Object|null>} Updated delivery, or null if it is still queued
+   */
+  async redeliver(deliveryId) {
+    const result = await this.pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending',
+           next_retry_at = CURRENT_TIMESTAMP,
+           attempt_count = 0,
+           last_error = NULL
+       WHERE id = $1 AND status IN ('failed', 'dead_letter', 'success')
+       RETURNING *`,
+      [deliveryId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  /**
+   * Start polling the queue for due deliveries
+   */
+  start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.processDueDeliveries().catch((error) => {
+        console.error('Webhook worker error:', error);
+      });
+    }, this.pollIntervalMs);
+
+    // Never hold the process open just for the worker
+    this._timer.unref();
+    console.log(`🔔 Webhook worker polling every ${this.pollIntervalMs}ms`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Claim and attempt one batch of due deliveries.
+   * Claimed rows move to 'delivering' with a lease; a crashed worker's lease
+   * simply expires and the row is picked up again.
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async processDueDeliveries() {
+    if (this._processing) return 0;
+    this._processing = true;
+
+    try {
+      const claimResult = await this.pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'delivering',
+             next_retry_at = CURRENT_TIMESTAMP + ($2 || ' seconds')::INTERVAL
+         WHERE id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE status IN ('pending', 'delivering')
+             AND next_retry_at <= CURRENT_TIMESTAMP
+           ORDER BY next_retry_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [this.batchSize, String(DELIVERY_LEASE_SECONDS)]
+      );
+
+      for (const delivery of claimResult.rows) {
+        const webhookResult = await this.pool.query(
+          `SELECT * FROM webhooks WHERE id = $1`,
+          [delivery.webhook_id]
+        );
+        const webhook = webhookResult.rows[0];
+
+        if (!webhook || !webhook.is_active) {
+          await this.pool.query(
+            `UPDATE webhook_deliveries
+             SET status = 'failed', last_error = 'Webhook disabled', next_retry_at = NULL
+             WHERE id = $1`,
+            [delivery.id]
+          );
+          continue;
+        }
+
+        await this._attempt(delivery, webhook);
+      }
+
+      return claimResult.rows.length;
+    } finally {
+      this._processing = false;
+    }
+  }
+
+  // ==========================================================================
+  // PRIVATE HELPERS
+  // ==========================================================================
+
+  /**
+   * Build the frozen JSON body for an event
+   * @private
+   */
+  _buildPayload(event, deliveryId) {
+    return {
+      id: deliveryId,
+      event: event.event_type,
+      event_id: event.id,
+      created_at: event.created_at,
+      project_id: event.project_id,
+      entity: {
+        type: event.entity_type,
+        id: event.entity_id
+      },
+      actor_id: event.user_id,
+      data: typeof event.event_data === 'string'
+        ? JSON.parse(event.event_data)
+        : event.event_data
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _insertDelivery(webhook, event) {
+    const deliveryId = uuidv4();
+    const payload = this._buildPayload(event, deliveryId);
+
+    const result = await this.pool.query(
+      `INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, status, attempt_count, next_retry_at)
+       VALUES ($1, $2, $3, $4, $5, 'pending', 0, CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [deliveryId, webhook.id, event.id, event.event_type, JSON.stringify(payload)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * POST a delivery and record the outcome
+   * @private
+   */
+  async _attempt(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attemptNumber = (delivery.attempt_count || 0) + 1;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': this.userAgent,
+      'X-BuildPro-Event': delivery.event_type,
+      'X-BuildPro-Delivery': delivery.id,
+      'X-BuildPro-Timestamp': timestamp,
+      'X-BuildPro-Attempt': String(attemptNumber)
+    };
+
+    if (webhook.secret) {
+      headers['X-BuildPro-Signature'] = WebhookDispatcher.sign(webhook.secret, timestamp, body);
+    }
+
+    const startedAt = Date.now();
+    let httpStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        validateStatus: () => true
+      });
+
+      httpStatus = response.status;
+      responseBody = typeof response.data === 'string'
+        ? response.data.slice(0, RESPONSE_BODY_LIMIT)
+        : null;
+
+      if (httpStatus < 200 || httpStatus >= 300) {
+        errorMessage = `HTTP ${httpStatus}`;
+      }
+    } catch (error) {
+      errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+
+    if (!errorMessage) {
+      const result = await this.pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'success',
+             http_status = $1,
+             response_body = $2,
+             attempt_count = $3,
+             last_attempt_at = CURRENT_TIMESTAMP,
+             delivered_at = CURRENT_TIMESTAMP,
+             duration_ms = $4,
+             last_error = NULL,
+             next_retry_at = NULL
+         WHERE id = $5
+         RETURNING *`,
+        [httpStatus, responseBody, attemptNumber, durationMs, delivery.id]
+      );
+
+      await this.pool.query(
+        `UPDATE webhooks SET last_success_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [webhook.id]
+      );
+
+      return result.rows[0];
+    }
+
+    const maxAttempts = webhook.max_attempts || DEFAULT_MAX_ATTEMPTS;
+    const exhausted = attemptNumber >= maxAttempts;
+    const nextRetryAt = exhausted ? null : new Date(Date.now() + this._retryDelay(attemptNumber));
+
+    const result = await this.pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $1,
+           http_status = $2,
+           response_body = $3,
+           attempt_count = $4,
+           last_attempt_at = CURRENT_TIMESTAMP,
+           duration_ms = $5,
+           last_error = $6,
+           next_retry_at = $7
+       WHERE id = $8
+       RETURNING *`,
+      [
+        exhausted ? 'dead_letter' : 'pending',
+        httpStatus,
+        responseBody,
+        attemptNumber,
+        durationMs,
+        errorMessage,
+        nextRetryAt,
+        delivery.id
+      ]
+    );
+
+    await this.pool.query(
+      `UPDATE webhooks SET last_failure_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [webhook.id]
+    );
+
+    if (exhausted) {
+      console.warn(`Webhook delivery ${delivery.id} dead-lettered after ${attemptNumber} attempts: ${errorMessage}`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Exponential backoff with up to 10% jitter
+   * @private
+   */
+  _retryDelay(attemptNumber) {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attemptNumber - 1), MAX_RETRY_DELAY_MS);
+    return delay + Math.floor(Math.random() * delay * 0.1);
+  }
+}
+
+module.exports = WebhookDispatcher;
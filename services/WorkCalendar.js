@@ -0,0 +1,169 @@
+// ============================================================================
+// WORK CALENDAR
+// Working-day arithmetic over a work_calendars row and its calendar_exceptions
+// ============================================================================
+//
+// Days are handled internally as integer day numbers (days since 1970-01-01,
+// UTC) so that arithmetic never crosses a timezone or DST boundary. Public
+// helpers that take or return dates use YYYY-MM-DD strings.
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STANDARD_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+// A calendar with no working time at all would make every scan run forever
+const MAX_SCAN_DAYS = 366 * 20;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class WorkCalendar {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - work_calendars.id (null for the built-in standard week)
+   * @param {string} options.name
+   * @param {Array<number>} options.working_days - 0 (Sunday) to 6 (Saturday)
+   * @param {number} options.hours_per_day
+   * @param {Array<Object>} options.exceptions - calendar_exceptions rows { exception_date, is_working }
+   */
+  constructor({ id = null, name = 'Standard', working_days = STANDARD_WORKING_DAYS, hours_per_day = 8, exceptions = [] } = {}) {
+    this.id = id;
+    this.name = name;
+    this.hoursPerDay = Number(hours_per_day) || 8;
+    this.workingDays = new Set((working_days || STANDARD_WORKING_DAYS).map(Number));
+    this.exceptions = new Map();
+    for (const exception of exceptions) {
+      const day = WorkCalendar.toDayNumber(exception.exception_date);
+      if (day !== null) this.exceptions.set(day, Boolean(exception.is_working));
+    }
+
+    if (this.workingDays.size === 0 && ![...this.exceptions.values()].some(Boolean)) {
+      this.workingDays = new Set([0, 1, 2, 3, 4, 5, 6]);
+      this.hasNoWorkingTime = true;
+    }
+  }
+
+  /**
+   * The Monday-Friday calendar used when a project has none configured
+   * @returns {WorkCalendar}
+   */
+  static standard() {
+    return new WorkCalendar();
+  }
+
+  /**
+   * @param {string|Date} value - YYYY-MM-DD, ISO timestamp or pg DATE
+   * @returns {number|null} Day number
+   */
+  static toDayNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) {
+      // pg returns DATE columns as local midnight
+      return Math.round(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / DAY_MS);
+    }
+    const text = String(value);
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.slice(0, 10));
+    if (text.length > 10 || !match) {
+      const parsed = new Date(text);
+      return Number.isNaN(parsed.getTime()) ? null : WorkCalendar.toDayNumber(parsed);
+    }
+    return Math.round(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS);
+  }
+
+  /**
+   * @param {number} day - Day number
+   * @returns {string} YYYY-MM-DD
+   */
+  static fromDayNumber(day) {
+    const date = new Date(day * DAY_MS);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  /**
+   * @param {number} day - Day number
+   * @returns {boolean}
+   */
+  isWorkingDay(day) {
+    if (this.exceptions.has(day)) return this.exceptions.get(day);
+    // Day 0 (1970-01-01) was a Thursday
+    return this.workingDays.has((((day + 4) % 7) + 7) % 7);
+  }
+
+  /**
+   * The given day if it is a working day, otherwise the next one
+   * @param {number} day
+   * @returns {number}
+   */
+  nextWorkingDay(day) {
+    let current = day;
+    for (let scanned = 0; !this.isWorkingDay(current); scanned++) {
+      if (scanned > MAX_SCAN_DAYS) throw new Error(`Calendar ${this.name} has no working days after ${WorkCalendar.fromDayNumber(day)}`);
+      current += 1;
+    }
+    return current;
+  }
+
+  /**
+   * The given day if it is a working day, otherwise the previous one
+   * @param {number} day
+   * @returns {number}
+   */
+  previousWorkingDay(day) {
+    let current = day;
+    for (let scanned = 0; !this.isWorkingDay(current); scanned++) {
+      if (scanned > MAX_SCAN_DAYS) throw new Error(`Calendar ${this.name} has no working days before ${WorkCalendar.fromDayNumber(day)}`);
+      current -= 1;
+    }
+    return current;
+  }
+
+  /**
+   * Move a number of working days forward (positive) or backward (negative).
+   * Zero returns the day unchanged.
+   * @param {number} day
+   * @param {number} count
+   * @returns {number}
+   */
+  addWorkingDays(day, count) {
+    const step = count < 0 ? -1 : 1;
+    let remaining = Math.abs(Math.round(count));
+    let current = day;
+    let scanned = 0;
+    while (remaining > 0) {
+      current += step;
+      if (this.isWorkingDay(current)) remaining -= 1;
+      if (++scanned > MAX_SCAN_DAYS) throw new Error(`Calendar ${this.name} ran out of working days`);
+    }
+    return current;
+  }
+
+  /**
+   * Signed number of working days after `from` up to and including `to`,
+   * so that addWorkingDays(from, result) lands on `to` when both are working days
+   * @param {number} from
+   * @param {number} to
+   * @returns {number}
+   */
+  workingDaysBetween(from, to) {
+    if (to === from) return 0;
+    const [low, high, sign] = to > from ? [from, to, 1] : [to, from, -1];
+    if (high - low > MAX_SCAN_DAYS) throw new Error(`Calendar ${this.name} range is too long`);
+    let count = 0;
+    for (let day = low + 1; day <= high; day++) {
+      if (this.isWorkingDay(day)) count += 1;
+    }
+    return sign * count;
+  }
+
+  /**
+   * Date-string form of addWorkingDays, snapping the start onto a working day first
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} count
+   * @returns {string} YYYY-MM-DD
+   */
+  addWorkingDaysToDate(date, count) {
+    return WorkCalendar.fromDayNumber(this.addWorkingDays(this.nextWorkingDay(WorkCalendar.toDayNumber(date)), count));
+  }
+}
+
+module.exports = WorkCalendar;
@@ -0,0 +1,111 @@
+// ============================================================================
+// XLSX WRITER
+// Builds a minimal Office Open XML workbook: one worksheet per table, a bold
+// frozen header row, numbers as numbers and everything else as inline text
+// ============================================================================
+
+const JSZip = require('jszip');
+
+const CONTENT_TYPES = (sheetCount) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${Array.from({ length: sheetCount }, (_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+// Style 0 is the default, style 1 the bold header
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+// XML 1.0 has no escape for most control characters; drop them
+const xmlText = (value) => String(value)
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Worksheet names: at most 31 characters, none of : \ / ? * [ ]
+const sheetName = (name, index) => (String(name || '').replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`);
+
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const cell = (value, ref, style) => {
+  if (value === null || value === undefined || value === '') return '';
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = value instanceof Date ? value.toISOString() : value;
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${xmlText(text)}</t></is></c>`;
+};
+
+const worksheet = ({ columns, rows }) => {
+  const lines = [
+    `<row r="1">${columns.map((column, index) => cell(column.header, `${columnLetter(index)}1`, 1)).join('')}</row>`
+  ];
+  rows.forEach((row, rowIndex) => {
+    const r = rowIndex + 2;
+    const cells = columns.map((column, index) =>
+      cell(column.format ? column.format(row[column.key], row) : row[column.key], `${columnLetter(index)}${r}`)).join('');
+    lines.push(`<row r="${r}">${cells}</row>`);
+  });
+  const widths = columns.map((column, index) =>
+    `<col min="${index + 1}" max="${index + 1}" width="${column.width || Math.max(10, Math.min(60, String(column.header).length + 4))}" customWidth="1"/>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths}</cols>
+<sheetData>${lines.join('')}</sheetData>
+</worksheet>`;
+};
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<Object>} sheets - [{ name, columns: [{ key, header, format?, width? }], rows }];
+ *                                 columns are the same shape toCsv takes
+ * @returns {Promise<Buffer>}
+ */
+async function renderXlsx(sheets) {
+  const zip = new JSZip();
+  const names = [];
+  for (const [index, sheet] of sheets.entries()) {
+    let name = sheetName(sheet.name, index);
+    while (names.includes(name)) name = `${name.slice(0, 28)} ${index + 1}`;
+    names.push(name);
+    zip.file(`xl/worksheets/sheet${index + 1}.xml`, worksheet(sheet));
+  }
+
+  zip.file('[Content_Types].xml', CONTENT_TYPES(sheets.length));
+  zip.file('_rels/.rels', ROOT_RELS);
+  zip.file('xl/styles.xml', STYLES);
+  zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((name, index) => `<sheet name="${xmlText(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>
+</workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${names.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = { renderXlsx };
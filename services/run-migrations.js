@@ -87,6 +87,583 @@ async function runMigrations(pool) {
       }
     }
 
+    // ==========================================================================
+    // MIGRATION 010: Webhook Delivery
+    // Purpose: Delivery queue columns, dead-letter status on webhook_deliveries
+    // Check: Query webhook_deliveries columns to see if payload exists
+    // File: migrations/010_webhook_delivery.sql
+    // ==========================================================================
+
+    const webhookCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'webhook_deliveries'
+      AND column_name = 'payload';
+    `);
+
+    if (webhookCheck.rows.length === 0) {
+      console.log('📊 Running migration 010: Webhook Delivery...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '010_webhook_delivery.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 010 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 011: Event Stream
+    // Purpose: pg_notify triggers on notifications / system_events for SSE
+    // Check: system_events.stream_seq column exists (the file is re-runnable,
+    //        so databases from before the cursor column pick it up)
+    // File: migrations/011_event_stream.sql
+    // ==========================================================================
+
+    const streamCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'system_events'
+      AND column_name = 'stream_seq';
+    `);
+
+    if (streamCheck.rows.length === 0) {
+      console.log('📊 Running migration 011: Event Stream...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '011_event_stream.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 011 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 012: Submittal Review Routing
+    // Purpose: Reviewer chains per submittal revision, revise-and-resubmit history
+    // Check Table: submittal_revisions
+    // File: migrations/012_submittal_reviews.sql
+    // ==========================================================================
+
+    const submittalReviewCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'submittal_revisions'
+      );
+    `);
+
+    if (!submittalReviewCheck.rows[0].exists) {
+      console.log('📊 Running migration 012: Submittal Review Routing...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '012_submittal_reviews.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 012 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 013: Inspections
+    // Purpose: Scoring, submit/lock and template snapshots on inspection_runs
+    // Check: Query inspection_runs columns to see if template_snapshot exists
+    // File: migrations/013_inspections.sql
+    // ==========================================================================
+
+    const inspectionCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'inspection_runs'
+      AND column_name = 'template_snapshot';
+    `);
+
+    if (inspectionCheck.rows.length === 0) {
+      console.log('📊 Running migration 013: Inspections...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '013_inspections.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 013 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 014: Safety Incidents
+    // Purpose: Incident lifecycle, OSHA 300 fields, corrective action tracking
+    // Check: Query incidents columns to see if osha_outcome exists
+    // File: migrations/014_safety_incidents.sql
+    // ==========================================================================
+
+    const incidentCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'incidents'
+      AND column_name = 'osha_outcome';
+    `);
+
+    if (incidentCheck.rows.length === 0) {
+      console.log('📊 Running migration 014: Safety Incidents...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '014_safety_incidents.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 014 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 015: Pay Applications
+    // Purpose: Schedule of values billing, G702/G703 figures, retainage
+    // Check: Query commitment_invoices columns to see if application_number exists
+    // File: migrations/015_pay_applications.sql
+    // ==========================================================================
+
+    const payAppCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'commitment_invoices'
+      AND column_name = 'application_number';
+    `);
+
+    if (payAppCheck.rows.length === 0) {
+      console.log('📊 Running migration 015: Pay Applications...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '015_pay_applications.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 015 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 016: Cost Report
+    // Purpose: Cost-code allocation of change events/orders, forecast-to-complete history
+    // Check Table: budget_forecasts
+    // File: migrations/016_cost_report.sql
+    // ==========================================================================
+
+    const costReportCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'budget_forecasts'
+      );
+    `);
+
+    if (!costReportCheck.rows[0].exists) {
+      console.log('📊 Running migration 016: Cost Report...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '016_cost_report.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 016 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 017: Schedule Interchange
+    // Purpose: XER / MSPDI import source ids and import log
+    // Check Table: schedule_imports
+    // File: migrations/017_schedule_interchange.sql
+    // ==========================================================================
+
+    const scheduleImportsCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'schedule_imports'
+      );
+    `);
+
+    if (!scheduleImportsCheck.rows[0].exists) {
+      console.log('📊 Running migration 017: Schedule Interchange...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '017_schedule_interchange.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 017 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 018: Schedule Engine
+    // Purpose: Status date for the calendar-aware CPM engine
+    // Check: projects.schedule_data_date
+    // File: migrations/018_schedule_engine.sql
+    // ==========================================================================
+
+    const scheduleEngineCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'projects'
+      AND column_name = 'schedule_data_date';
+    `);
+
+    if (scheduleEngineCheck.rows.length === 0) {
+      console.log('📊 Running migration 018: Schedule Engine...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '018_schedule_engine.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 018 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 019: Document Search
+    // Purpose: Extracted document text and full-text search vectors
+    // Check Table: document_text_pages
+    // File: migrations/019_document_search.sql
+    // ==========================================================================
+
+    const documentSearchCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'document_text_pages'
+      );
+    `);
+
+    if (!documentSearchCheck.rows[0].exists) {
+      console.log('📊 Running migration 019: Document Search...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '019_document_search.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 019 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 020: Email Notifications
+    // Purpose: Email delivery state on notifications and per-user email preferences
+    // Check: notifications.email_status
+    // File: migrations/020_email_notifications.sql
+    // ==========================================================================
+
+    const emailStatusCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'notifications'
+      AND column_name = 'email_status';
+    `);
+
+    if (emailStatusCheck.rows.length === 0) {
+      console.log('📊 Running migration 020: Email Notifications...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '020_email_notifications.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 020 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 021: Notification Inbox
+    // Purpose: Read / archived state and inbox indexes on notifications
+    // Check: notifications.archived_at
+    // File: migrations/021_notification_inbox.sql
+    // ==========================================================================
+
+    const archivedAtCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'notifications'
+      AND column_name = 'archived_at';
+    `);
+
+    if (archivedAtCheck.rows.length === 0) {
+      console.log('📊 Running migration 021: Notification Inbox...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '021_notification_inbox.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 021 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 022: Inbound Email
+    // Purpose: Reply tokens, inbound email log and email-sourced RFI responses
+    // Check: inbound_emails.sender_verified column exists (the file is
+    //        re-runnable, so databases from before sender checks pick it up)
+    // File: migrations/022_inbound_email.sql
+    // ==========================================================================
+
+    const inboundEmailsCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'inbound_emails'
+      AND column_name = 'sender_verified';
+    `);
+
+    if (inboundEmailsCheck.rows.length === 0) {
+      console.log('📊 Running migration 022: Inbound Email...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '022_inbound_email.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 022 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 023: RFI Tracking
+    // Purpose: RFI distribution, ball-in-court history, business-day deadlines and escalation
+    // Check Table: rfi_ball_in_court_log
+    // File: migrations/023_rfi_tracking.sql
+    // ==========================================================================
+
+    const rfiTrackingCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'rfi_ball_in_court_log'
+      );
+    `);
+
+    if (!rfiTrackingCheck.rows[0].exists) {
+      console.log('📊 Running migration 023: RFI Tracking...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '023_rfi_tracking.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 023 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 024: Drawing Set Import
+    // Purpose: Split drawing set PDFs into sheets, title-block recognition, sheet supersession
+    // Check Table: drawing_set_imports
+    // File: migrations/024_drawing_set_import.sql
+    // ==========================================================================
+
+    const drawingSetImportCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'drawing_set_imports'
+      );
+    `);
+
+    if (!drawingSetImportCheck.rows[0].exists) {
+      console.log('📊 Running migration 024: Drawing Set Import...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '024_drawing_set_import.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 024 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 025: Drawing Comparisons
+    // Purpose: Cached revision comparisons between two drawing sheet versions
+    // Check Table: drawing_comparisons
+    // File: migrations/025_drawing_comparisons.sql
+    // ==========================================================================
+
+    const drawingComparisonsCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'drawing_comparisons'
+      );
+    `);
+
+    if (!drawingComparisonsCheck.rows[0].exists) {
+      console.log('📊 Running migration 025: Drawing Comparisons...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '025_drawing_comparisons.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 025 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 026: Markup Layers
+    // Purpose: Personal, company and published markup layers with role-based visibility
+    // Check Table: drawing_markup_layers
+    // File: migrations/026_markup_layers.sql
+    // ==========================================================================
+
+    const markupLayersCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'drawing_markup_layers'
+      );
+    `);
+
+    if (!markupLayersCheck.rows[0].exists) {
+      console.log('📊 Running migration 026: Markup Layers...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '026_markup_layers.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 026 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 027: Punch Lifecycle
+    // Purpose: Punch item state machine, responsible company, photo requirement, back-charges and status history
+    // Check Table: punch_item_history
+    // File: migrations/027_punch_lifecycle.sql
+    // ==========================================================================
+
+    const punchHistoryCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'punch_item_history'
+      );
+    `);
+
+    if (!punchHistoryCheck.rows[0].exists) {
+      console.log('📊 Running migration 027: Punch Lifecycle...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '027_punch_lifecycle.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 027 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 028: Drawing Transmittals
+    // Purpose: Numbered drawing transmittals, role recipients resolved at send time, download links and acknowledgements
+    // Check Table: drawing_transmittals
+    // File: migrations/028_drawing_transmittals.sql
+    // ==========================================================================
+
+    const transmittalsCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'drawing_transmittals'
+      );
+    `);
+
+    if (!transmittalsCheck.rows[0].exists) {
+      console.log('📊 Running migration 028: Drawing Transmittals...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '028_drawing_transmittals.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 028 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 029: ASI Incorporation
+    // Purpose: Change events and schedule links generated from ASIs, incorporation timestamp
+    // Check: change_events.source_asi_id
+    // File: migrations/029_asi_incorporation.sql
+    // ==========================================================================
+
+    const asiIncorporationCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'change_events'
+      AND column_name = 'source_asi_id';
+    `);
+
+    if (asiIncorporationCheck.rows.length === 0) {
+      console.log('📊 Running migration 029: ASI Incorporation...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '029_asi_incorporation.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 029 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 030: Baseline Comparison
+    // Purpose: Dependency and milestone snapshots on schedule baselines
+    // Check: schedule_baselines.dependency_snapshot
+    // File: migrations/030_baseline_comparison.sql
+    // ==========================================================================
+
+    const baselineComparisonCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = 'schedule_baselines'
+      AND column_name = 'dependency_snapshot';
+    `);
+
+    if (baselineComparisonCheck.rows.length === 0) {
+      console.log('📊 Running migration 030: Baseline Comparison...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '030_baseline_comparison.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 030 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 031: Schedule Snapshots
+    // Purpose: Full versioned baseline snapshots for restore, what-if schedule scenarios
+    // Check Table: schedule_scenarios
+    // File: migrations/031_schedule_snapshots.sql
+    // ==========================================================================
+
+    const scheduleSnapshotsCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'schedule_scenarios'
+      );
+    `);
+
+    if (!scheduleSnapshotsCheck.rows[0].exists) {
+      console.log('📊 Running migration 031: Schedule Snapshots...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '031_schedule_snapshots.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 031 completed');
+    }
+
+    // ==========================================================================
+    // MIGRATION 032: Earned Value
+    // Purpose: Task cost loading from budget cost codes, periodic EVM snapshots
+    // Check Table: evm_snapshots
+    // File: migrations/032_earned_value.sql
+    // ==========================================================================
+
+    const earnedValueCheck = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'evm_snapshots'
+      );
+    `);
+
+    if (!earnedValueCheck.rows[0].exists) {
+      console.log('📊 Running migration 032: Earned Value...');
+
+      const migrationPath = path.join(__dirname, '..', 'migrations', '032_earned_value.sql');
+      const sql = fs.readFileSync(migrationPath, 'utf8');
+      await client.query(sql);
+
+      console.log('✅ Migration 032 completed');
+    }
+
     // ==========================================================================
     // ADD NEW MIGRATIONS HERE
     // Copy the block above and modify for your new migration:
@@ -0,0 +1,104 @@
+// ============================================================================
+// EVENT STREAM API ENDPOINTS
+// Server-Sent Events push channel for notifications and system_events
+// ============================================================================
+
+const STREAM_TYPES = ['notification', 'system_event'];
+
+/**
+ * Register event stream routes
+ * @param {Express} app - Express app instance
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Function} authenticateToken - Authentication middleware
+ * @param {EventStreamHub} eventStreamHub - Shared hub holding the LISTEN connection
+ */
+function registerStreamRoutes(app, pool, authenticateToken, eventStreamHub) {
+  // EventSource cannot send an Authorization header, so the token may also
+  // arrive as ?access_token=
+  const authenticateStream = (req, res, next) => {
+    if (!req.headers['authorization'] && req.query.access_token) {
+      req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    authenticateToken(req, res, next);
+  };
+
+  // ==========================================================================
+  // OPEN STREAM
+  // GET /api/v1/stream?project_id=&types=notification,system_event
+  // Resume with the Last-Event-ID header (or ?last_event_id=)
+  // ==========================================================================
+
+  app.get('/api/v1/stream', authenticateStream, async (req, res) => {
+    const { project_id } = req.query;
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim())
+      : STREAM_TYPES;
+
+    const invalidType = types.find(type => !STREAM_TYPES.includes(type));
+    if (invalidType) {
+      return res.status(400).json({
+        error: `Unknown stream type: ${invalidType}. Valid types: ${STREAM_TYPES.join(', ')}`
+      });
+    }
+
+    if (project_id) {
+      try {
+        const memberCheck = await pool.query(
+          `SELECT 1 FROM project_members WHERE project_id = $1 AND user_id = $2`,
+          [project_id, req.user.userId]
+        );
+
+        if (memberCheck.rows.length === 0) {
+          return res.status(403).json({ error: 'Access denied. You must be a project member.' });
+        }
+      } catch (error) {
+        console.error('Error opening event stream:', error);
+        return res.status(500).json({
+          error: 'Failed to open event stream',
+          details: error.message
+        });
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      userId: req.user.userId,
+      projectFilter: project_id || null,
+      types: new Set(types),
+      res
+    };
+
+    req.on('close', () => {
+      client.closed = true;
+      eventStreamHub.removeClient(client);
+    });
+
+    try {
+      const lastEventId = req.get('last-event-id') || req.query.last_event_id;
+      const replayed = await eventStreamHub.addClient(client, lastEventId);
+
+      // Disconnected while the replay was running
+      if (client.closed) {
+        eventStreamHub.removeClient(client);
+        return;
+      }
+
+      res.write(`event: ready\ndata: ${JSON.stringify({ replayed, types })}\n\n`);
+    } catch (error) {
+      console.error('Error opening event stream:', error);
+      eventStreamHub.removeClient(client);
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to open event stream' })}\n\n`);
+      res.end();
+    }
+  });
+}
+
+module.exports = { registerStreamRoutes };
@@ -0,0 +1,485 @@
+// ============================================================================
+// WEBHOOK API ENDPOINTS
+// Project webhook subscriptions and delivery history
+// ============================================================================
+
+const WebhookDispatcher = require('./WebhookDispatcher');
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'success', 'failed', 'dead_letter'];
+
+// Never echo the signing secret back except on create / rotate
+const WEBHOOK_COLUMNS = `
+  id, project_id, name, description, url, event_types, is_active, max_attempts,
+  created_by, created_at, updated_at, last_success_at, last_failure_at,
+  (secret IS NOT NULL) AS has_secret
+`;
+
+/**
+ * Validate a webhook target URL
+ * @returns {string|null} Error message or null if valid
+ */
+function validateUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return 'url is required';
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must use http or https';
+    }
+  } catch (error) {
+    return 'url is not a valid URL';
+  }
+
+  return null;
+}
+
+/**
+ * Validate subscribed event types
+ * @returns {string|null} Error message or null if valid
+ */
+function validateEventTypes(eventTypes) {
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+    return 'event_types must be a non-empty array';
+  }
+
+  if (eventTypes.some(type => typeof type !== 'string' || type.trim() === '')) {
+    return 'event_types must contain only non-empty strings';
+  }
+
+  return null;
+}
+
+/**
+ * Register webhook API routes
+ * @param {Express} app - Express app instance
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Function} authenticateToken - Authentication middleware
+ * @param {Function} checkPermission - Project role middleware factory
+ * @param {WebhookDispatcher} webhookDispatcher - Shared dispatcher instance
+ */
+function registerWebhookRoutes(app, pool, authenticateToken, checkPermission, webhookDispatcher) {
+  const base = '/api/v1/projects/:projectId/webhooks';
+
+  const loadWebhook = async (projectId, webhookId, columns = WEBHOOK_COLUMNS) => {
+    const result = await pool.query(
+      `SELECT ${columns} FROM webhooks WHERE id = $1 AND project_id = $2`,
+      [webhookId, projectId]
+    );
+    return result.rows[0] || null;
+  };
+
+  // ==========================================================================
+  // LIST WEBHOOKS
+  // GET /api/v1/projects/:projectId/webhooks
+  // ==========================================================================
+
+  app.get(base, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT ${WEBHOOK_COLUMNS},
+          (SELECT COUNT(*) FROM webhook_deliveries wd
+           WHERE wd.webhook_id = webhooks.id AND wd.status IN ('pending', 'delivering')) AS queued_count,
+          (SELECT COUNT(*) FROM webhook_deliveries wd
+           WHERE wd.webhook_id = webhooks.id AND wd.status = 'dead_letter') AS dead_letter_count
+         FROM webhooks
+         WHERE project_id = $1
+         ORDER BY created_at DESC`,
+        [req.params.projectId]
+      );
+
+      res.json({
+        success: true,
+        webhooks: result.rows
+      });
+
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve webhooks',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // CREATE WEBHOOK
+  // POST /api/v1/projects/:projectId/webhooks
+  // ==========================================================================
+
+  app.post(base, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const { name, description, url, event_types, secret, max_attempts, is_active } = req.body;
+
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+
+      const validationError = validateUrl(url) || validateEventTypes(event_types);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const signingSecret = secret || WebhookDispatcher.generateSecret();
+
+      const result = await pool.query(
+        `INSERT INTO webhooks (project_id, name, description, url, event_types, secret, max_attempts, is_active, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 8), COALESCE($8, true), $9)
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [
+          req.params.projectId,
+          name,
+          description || null,
+          url,
+          event_types,
+          signingSecret,
+          max_attempts || null,
+          is_active,
+          req.user.userId
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        webhook: { ...result.rows[0], secret: signingSecret }
+      });
+
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      res.status(500).json({
+        error: 'Failed to create webhook',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // GET WEBHOOK
+  // GET /api/v1/projects/:projectId/webhooks/:webhookId
+  // ==========================================================================
+
+  app.get(`${base}/:webhookId`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req.params.projectId, req.params.webhookId);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const statsResult = await pool.query(
+        `SELECT status, COUNT(*) AS count
+         FROM webhook_deliveries
+         WHERE webhook_id = $1
+         GROUP BY status`,
+        [webhook.id]
+      );
+
+      const deliveryStats = {};
+      for (const row of statsResult.rows) {
+        deliveryStats[row.status] = parseInt(row.count, 10);
+      }
+
+      res.json({
+        success: true,
+        webhook: { ...webhook, delivery_stats: deliveryStats }
+      });
+
+    } catch (error) {
+      console.error('Error getting webhook:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve webhook',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // UPDATE WEBHOOK
+  // PUT /api/v1/projects/:projectId/webhooks/:webhookId
+  // ==========================================================================
+
+  app.put(`${base}/:webhookId`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const { name, description, url, event_types, max_attempts, is_active } = req.body;
+
+      if (url !== undefined) {
+        const urlError = validateUrl(url);
+        if (urlError) return res.status(400).json({ error: urlError });
+      }
+
+      if (event_types !== undefined) {
+        const typesError = validateEventTypes(event_types);
+        if (typesError) return res.status(400).json({ error: typesError });
+      }
+
+      const result = await pool.query(
+        `UPDATE webhooks
+         SET name = COALESCE($1, name),
+             description = COALESCE($2, description),
+             url = COALESCE($3, url),
+             event_types = COALESCE($4, event_types),
+             max_attempts = COALESCE($5, max_attempts),
+             is_active = COALESCE($6, is_active),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7 AND project_id = $8
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [
+          name,
+          description,
+          url,
+          event_types,
+          max_attempts,
+          is_active,
+          req.params.webhookId,
+          req.params.projectId
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({
+        success: true,
+        webhook: result.rows[0]
+      });
+
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      res.status(500).json({
+        error: 'Failed to update webhook',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // DELETE WEBHOOK
+  // DELETE /api/v1/projects/:projectId/webhooks/:webhookId
+  // ==========================================================================
+
+  app.delete(`${base}/:webhookId`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `DELETE FROM webhooks WHERE id = $1 AND project_id = $2 RETURNING id`,
+        [req.params.webhookId, req.params.projectId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted'
+      });
+
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      res.status(500).json({
+        error: 'Failed to delete webhook',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // ROTATE SIGNING SECRET
+  // POST /api/v1/projects/:projectId/webhooks/:webhookId/rotate-secret
+  // ==========================================================================
+
+  app.post(`${base}/:webhookId/rotate-secret`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const secret = WebhookDispatcher.generateSecret();
+
+      const result = await pool.query(
+        `UPDATE webhooks SET secret = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND project_id = $3
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [secret, req.params.webhookId, req.params.projectId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({
+        success: true,
+        webhook: { ...result.rows[0], secret }
+      });
+
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      res.status(500).json({
+        error: 'Failed to rotate secret',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // SEND TEST DELIVERY
+  // POST /api/v1/projects/:projectId/webhooks/:webhookId/test
+  // ==========================================================================
+
+  app.post(`${base}/:webhookId/test`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req.params.projectId, req.params.webhookId, '*');
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const delivery = await webhookDispatcher.sendTest(webhook, req.user.userId);
+
+      res.json({
+        success: delivery.status === 'success',
+        delivery
+      });
+
+    } catch (error) {
+      console.error('Error sending test webhook:', error);
+      res.status(500).json({
+        error: 'Failed to send test delivery',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // DELIVERY HISTORY
+  // GET /api/v1/projects/:projectId/webhooks/:webhookId/deliveries
+  // ==========================================================================
+
+  app.get(`${base}/:webhookId/deliveries`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const { status, event_type } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+
+      const webhook = await loadWebhook(req.params.projectId, req.params.webhookId, 'id');
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      let query = `
+        SELECT id, webhook_id, event_id, event_type, status, http_status, attempt_count,
+               next_retry_at, last_attempt_at, last_error, duration_ms, created_at, delivered_at
+        FROM webhook_deliveries
+        WHERE webhook_id = $1
+      `;
+      const params = [webhook.id];
+      let paramIndex = 2;
+
+      if (status) {
+        query += ` AND status = $${paramIndex}`;
+        params.push(status);
+        paramIndex++;
+      }
+
+      if (event_type) {
+        query += ` AND event_type = $${paramIndex}`;
+        params.push(event_type);
+        paramIndex++;
+      }
+
+      query += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+      params.push(limit, offset);
+
+      const result = await pool.query(query, params);
+
+      res.json({
+        success: true,
+        count: result.rows.length,
+        deliveries: result.rows
+      });
+
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve deliveries',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // DELIVERY DETAIL
+  // GET /api/v1/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId
+  // ==========================================================================
+
+  app.get(`${base}/:webhookId/deliveries/:deliveryId`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT wd.*
+         FROM webhook_deliveries wd
+         INNER JOIN webhooks w ON w.id = wd.webhook_id
+         WHERE wd.id = $1 AND wd.webhook_id = $2 AND w.project_id = $3`,
+        [req.params.deliveryId, req.params.webhookId, req.params.projectId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      res.json({
+        success: true,
+        delivery: result.rows[0]
+      });
+
+    } catch (error) {
+      console.error('Error getting webhook delivery:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve delivery',
+        details: error.message
+      });
+    }
+  });
+
+  // ==========================================================================
+  // REDELIVER
+  // POST /api/v1/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+  // ==========================================================================
+
+  app.post(`${base}/:webhookId/deliveries/:deliveryId/redeliver`, authenticateToken, checkPermission('project_manager'), async (req, res) => {
+    try {
+      const ownership = await pool.query(
+        `SELECT wd.id
+         FROM webhook_deliveries wd
+         INNER JOIN webhooks w ON w.id = wd.webhook_id
+         WHERE wd.id = $1 AND wd.webhook_id = $2 AND w.project_id = $3`,
+        [req.params.deliveryId, req.params.webhookId, req.params.projectId]
+      );
+
+      if (ownership.rows.length === 0) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      const delivery = await webhookDispatcher.redeliver(req.params.deliveryId);
+
+      if (!delivery) {
+        return res.status(409).json({ error: 'Delivery is already queued' });
+      }
+
+      res.json({
+        success: true,
+        message: 'Delivery re-queued',
+        delivery
+      });
+
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+      res.status(500).json({
+        error: 'Failed to re-queue delivery',
+        details: error.message
+      });
+    }
+  });
+}
+
+module.exports = { registerWebhookRoutes };
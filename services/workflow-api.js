@@ -5,16 +5,18 @@
 
 const WorkflowManager = require('./WorkflowManager');
 const ActionExecutor = require('./ActionExecutor');
+const WebhookDispatcher = require('./WebhookDispatcher');
 
 /**
  * Register workflow API routes
  * @param {Express} app - Express app instance
  * @param {Pool} pool - PostgreSQL connection pool
  * @param {Function} authenticateToken - Authentication middleware
+ * @param {WebhookDispatcher} webhookDispatcher - Dispatcher for workflow.transition events
  */
-function registerWorkflowRoutes(app, pool, authenticateToken) {
+function registerWorkflowRoutes(app, pool, authenticateToken, webhookDispatcher = new WebhookDispatcher(pool)) {
   const workflowManager = new WorkflowManager(pool);
-  const actionExecutor = new ActionExecutor(pool);
+  const actionExecutor = new ActionExecutor(pool, webhookDispatcher);
 
   // ==========================================================================
   // START WORKFLOW
@@ -368,6 +370,8 @@ function registerWorkflowRoutes(app, pool, authenticateToken) {
         });
       }
 
+      const previous = await workflowManager.getWorkflow(workflowId);
+
       const workflow = await workflowManager.transitionWorkflow(
         workflowId,
         transition_action,
@@ -375,6 +379,31 @@ function registerWorkflowRoutes(app, pool, authenticateToken) {
         comments
       );
 
+      // The one place workflow.transition is published (stage trigger_webhook
+      // actions only publish their own named events); fan-out must never fail
+      // the transition itself
+      try {
+        await webhookDispatcher.publish(
+          'workflow.transition',
+          workflow.entity_type,
+          workflow.entity_id,
+          workflow.project_id,
+          req.user.userId,
+          {
+            workflow_instance_id: workflow.id,
+            template_name: workflow.template_name,
+            transition_action,
+            comments: comments || null,
+            from_stage: previous.stage_name,
+            to_stage: workflow.stage_name,
+            workflow_status: workflow.workflow_status,
+            assigned_to: workflow.assigned_to
+          }
+        );
+      } catch (webhookError) {
+        console.error('Error publishing workflow.transition event:', webhookError);
+      }
+
       res.json({
         success: true,
         message: `Workflow transitioned: ${transition_action}`,